@@ -12,7 +12,16 @@ if (SENDGRID_API_KEY) {
   sgMail.setApiKey(SENDGRID_API_KEY);
 }
 
-const VALID_ROLES = new Set(['viewer', 'editor']);
+const VALID_ROLES = new Set(['viewer', 'commenter', 'editor']);
+
+// Invitation links are for one person and stop working after a week
+const INVITATION_LINK_TTL_DAYS = 7;
+
+const ROLE_DESCRIPTIONS = {
+  viewer: 'Can view only',
+  commenter: 'Can view & comment',
+  editor: 'Can view & edit',
+};
 
 function escapeHtml(value) {
   return String(value ?? '')
@@ -47,7 +56,7 @@ function generateInvitationToken() {
  * Payload:
  * {
  *   email: "recipient@example.com",
- *   role: "viewer" | "editor",
+ *   role: "viewer" | "commenter" | "editor",
  *   canvasName: "My Canvas",
  *   inviterName: "John Doe",
  *   canvasId: "canvas_123"
@@ -84,6 +93,7 @@ exports.sendCanvasInvitation = functions.database
       const escapedCanvasName = escapeHtml(canvasName);
       const escapedInviterName = escapeHtml(inviterName);
       const escapedRole = escapeHtml(role);
+      const roleDescription = ROLE_DESCRIPTIONS[role];
       
       // Check if SendGrid is configured
       if (!SENDGRID_API_KEY) {
@@ -99,6 +109,9 @@ exports.sendCanvasInvitation = functions.database
           role,
           createdBy: sanitizeText(invitation.inviterId || invitation.createdBy || 'invitation', 120),
           createdAt: admin.database.ServerValue.TIMESTAMP,
+          expiresAt: Date.now() + INVITATION_LINK_TTL_DAYS * 24 * 60 * 60 * 1000,
+          maxUses: 1,
+          uses: 0,
           invitationId: context.params.invitationId,
         });
 
@@ -137,7 +150,7 @@ exports.sendCanvasInvitation = functions.database
                 <h2 style="margin: 0 0 10px 0; font-size: 20px; color: #667eea;">${escapedCanvasName}</h2>
                 <p style="margin: 0; color: #666;">
                   Role: <strong style="color: ${role === 'editor' ? '#10b981' : '#6b7280'}; text-transform: capitalize;">${escapedRole}</strong>
-                  ${role === 'editor' ? '(Can view & edit)' : '(Can view only)'}
+                  (${roleDescription})
                 </p>
               </div>
               
@@ -146,6 +159,9 @@ exports.sendCanvasInvitation = functions.database
                    style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 14px 32px; text-decoration: none; border-radius: 8px; font-weight: 600; font-size: 16px; box-shadow: 0 4px 6px rgba(102, 126, 234, 0.4);">
                   Open Canvas →
                 </a>
+                <p style="font-size: 12px; color: #999; margin: 12px 0 0 0;">
+                  This link works once and expires in ${INVITATION_LINK_TTL_DAYS} days.
+                </p>
               </div>
               
               <p style="font-size: 14px; color: #666; margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb;">
@@ -167,9 +183,9 @@ Hi there!
 
 ${inviterName} has invited you to collaborate on their canvas: "${canvasName}"
 
-Role: ${role} ${role === 'editor' ? '(Can view & edit)' : '(Can view only)'}
+Role: ${role} (${roleDescription})
 
-Open the canvas here:
+Open the canvas here (the link works once and expires in ${INVITATION_LINK_TTL_DAYS} days):
 ${canvasLink}
 
 What is CollabCanvasGAI?
@@ -0,0 +1,275 @@
+/**
+ * Canvas tools offered to the AI model for function calling. Shared by the
+ * Vercel function (api/chat.js) and the local dev server (server.js) so both
+ * offer the same tools; the client runs them (src/utils/canvasTools.js).
+ */
+const CANVAS_TOOLS = [
+  {
+    type: 'function',
+    function: {
+      name: 'createShape',
+      description:
+        'Create a new shape on the canvas. Use count for simple horizontal lines only. For text shapes, ALWAYS provide the text parameter with the desired content.',
+      parameters: {
+        type: 'object',
+        properties: {
+          shapeType: {
+            type: 'string',
+            enum: [
+              'rectangle',
+              'circle',
+              'polygon',
+              'text',
+              'sticky',
+              'customPolygon',
+              'connector',
+            ],
+            description: 'Type of shape to create',
+          },
+          x: { type: 'number', description: 'X coordinate (optional, defaults to center)' },
+          y: { type: 'number', description: 'Y coordinate (optional, defaults to center)' },
+          width: { type: 'number', description: 'Width for rectangles and text boxes' },
+          height: { type: 'number', description: 'Height for rectangles and text boxes' },
+          radius: { type: 'number', description: 'Radius for circles and polygons' },
+          color: { type: 'string', description: 'Color in hex format (e.g., #646cff)' },
+          text: {
+            type: 'string',
+            description: 'REQUIRED for text shapes - the actual text content to display',
+          },
+          count: {
+            type: 'number',
+            description: 'Number of shapes to create in a horizontal line (default: 1)',
+          },
+          fromShapeId: { type: 'string', description: 'Connector: shape ID to start from' },
+          toShapeId: { type: 'string', description: 'Connector: shape ID to point to' },
+          fromAnchor: { type: 'string', enum: ['top', 'right', 'bottom', 'left', 'center'] },
+          toAnchor: { type: 'string', enum: ['top', 'right', 'bottom', 'left', 'center'] },
+          x2: { type: 'number', description: 'Connector: end X when not attached' },
+          y2: { type: 'number', description: 'Connector: end Y when not attached' },
+          routing: { type: 'string', enum: ['straight', 'elbow'] },
+          startArrowhead: { type: 'string', enum: ['none', 'arrow', 'triangle', 'circle'] },
+          endArrowhead: { type: 'string', enum: ['none', 'arrow', 'triangle', 'circle'] },
+        },
+        required: ['shapeType'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'createShapesBatch',
+      description:
+        'Create multiple shapes at specific x,y positions in one call. Perfect for patterns (circle outlines, grids, drawings). Calculate positions using math (e.g., circle: x = centerX + radius*cos(angle), y = centerY + radius*sin(angle)). You can see the canvas and calculate exact coordinates.',
+      parameters: {
+        type: 'object',
+        properties: {
+          shapes: {
+            type: 'array',
+            description: 'Array of shapes with specific positions',
+            items: {
+              type: 'object',
+              properties: {
+                shapeType: {
+                  type: 'string',
+                  enum: [
+                    'rectangle',
+                    'circle',
+                    'polygon',
+                    'text',
+                    'sticky',
+                    'customPolygon',
+                    'connector',
+                  ],
+                },
+                x: {
+                  type: 'number',
+                  description: 'X position (required except for connectors)',
+                },
+                y: {
+                  type: 'number',
+                  description: 'Y position (required except for connectors)',
+                },
+                width: { type: 'number' },
+                height: { type: 'number' },
+                radius: { type: 'number' },
+                color: { type: 'string' },
+                text: { type: 'string' },
+                fromIndex: {
+                  type: 'number',
+                  description: 'Connector: index of an earlier shape in this batch to start from',
+                },
+                toIndex: {
+                  type: 'number',
+                  description: 'Connector: index of an earlier shape in this batch to point to',
+                },
+                fromShapeId: { type: 'string' },
+                toShapeId: { type: 'string' },
+                routing: { type: 'string', enum: ['straight', 'elbow'] },
+                endArrowhead: { type: 'string', enum: ['none', 'arrow', 'triangle', 'circle'] },
+              },
+              required: ['shapeType'],
+            },
+            maxItems: 50,
+          },
+        },
+        required: ['shapes'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'alignShapes',
+      description: 'Align selected shapes',
+      parameters: {
+        type: 'object',
+        properties: {
+          alignment: {
+            type: 'string',
+            enum: ['left', 'right', 'top', 'bottom', 'center-horizontal', 'center-vertical'],
+          },
+          useSelected: { type: 'boolean' },
+        },
+        required: ['alignment'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'distributeShapes',
+      description: 'Evenly distribute shapes',
+      parameters: {
+        type: 'object',
+        properties: {
+          direction: { type: 'string', enum: ['horizontal', 'vertical'] },
+          spacing: { type: 'number' },
+          useSelected: { type: 'boolean' },
+        },
+        required: ['direction'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'arrangeInGrid',
+      description: 'Arrange shapes in a grid',
+      parameters: {
+        type: 'object',
+        properties: {
+          rows: { type: 'number' },
+          columns: { type: 'number' },
+          spacing: { type: 'number' },
+          useSelected: { type: 'boolean' },
+        },
+        required: ['rows', 'columns'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'updateShapeProperties',
+      description: 'Update shape properties',
+      parameters: {
+        type: 'object',
+        properties: {
+          color: { type: 'string' },
+          width: { type: 'number' },
+          height: { type: 'number' },
+          radius: { type: 'number' },
+          rotation: { type: 'number' },
+          strokeColor: { type: 'string' },
+          strokeWidth: { type: 'number' },
+          strokeDash: { type: 'string', enum: ['solid', 'dashed', 'dotted'] },
+          cornerRadius: { type: 'number' },
+          opacity: { type: 'number' },
+          useSelected: { type: 'boolean' },
+        },
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'deleteShapes',
+      description: 'Delete shapes',
+      parameters: {
+        type: 'object',
+        properties: {
+          useSelected: { type: 'boolean' },
+          confirmation: { type: 'boolean' },
+        },
+        required: ['confirmation'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'groupShapes',
+      description: 'Group shapes into one unit',
+      parameters: {
+        type: 'object',
+        properties: {
+          shapeIds: { type: 'array', items: { type: 'string' } },
+          name: { type: 'string' },
+        },
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'ungroupShapes',
+      description: 'Dissolve groups',
+      parameters: {
+        type: 'object',
+        properties: {
+          groupIds: { type: 'array', items: { type: 'string' } },
+          groupName: { type: 'string' },
+        },
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'getCanvasInfo',
+      description: 'Get canvas information',
+      parameters: { type: 'object', properties: {} },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'selectShapes',
+      description: 'Select shapes by criteria',
+      parameters: {
+        type: 'object',
+        properties: {
+          shapeType: {
+            type: 'string',
+            enum: [
+              'rectangle',
+              'circle',
+              'polygon',
+              'text',
+              'sticky',
+              'customPolygon',
+              'image',
+              'connector',
+              'path',
+              'all',
+            ],
+          },
+          color: { type: 'string' },
+          groupName: { type: 'string' },
+        },
+      },
+    },
+  },
+];
+
+module.exports = { CANVAS_TOOLS };
@@ -2,8 +2,10 @@
  * XSS / Sanitization Note:
  * All user-generated text is rendered through React's JSX escaping (TextBox, ChatPanel, etc.),
  * which safely encodes HTML entities. SVG <text> elements do not interpret HTML markup.
- * There is no use of dangerouslySetInnerHTML anywhere in this codebase.
- * If future features require rendering raw HTML (e.g., rich text), add DOMPurify sanitization.
+ * The one place raw HTML is set is the rich text editor (InlineTextEditor sets innerHTML), and
+ * that HTML comes only from richTextToHtml, which escapes all text and attributes with escapeHtml
+ * and only renders http, https and mailto links (isSafeLink). Any new HTML source must go
+ * through richTextToHtml or be sanitized (e.g. with DOMPurify).
  */
 import { useState, useRef, useEffect, useCallback, useMemo } from 'react';
 import {
@@ -12,10 +14,13 @@ import {
   MIN_ZOOM,
   MAX_ZOOM,
   GRID_SIZE,
+  SNAP_THRESHOLD,
+  SNAP_GUIDE_COLOR,
   BOUNDARY_COLOR,
   BOUNDARY_WIDTH,
   SHOW_FPS_COUNTER,
   FPS_UPDATE_INTERVAL,
+  MIN_SHAPE_SIZE,
   MIN_RECTANGLE_SIZE,
   MIN_CIRCLE_RADIUS,
   MIN_POLYGON_RADIUS,
@@ -27,24 +32,39 @@ import {
   AUTO_LOGOUT_TIMEOUT,
   DEFAULT_CANVAS_ID,
   PAN_PADDING_PERCENT,
+  MIN_CONNECTOR_LENGTH,
+  CONNECTOR_SNAP_DISTANCE,
+  CONNECTOR_ROUTING,
+  DEFAULT_CONNECTOR_COLOR,
+  DEFAULT_CONNECTOR_STROKE_WIDTH,
+  DEFAULT_PATH_STROKE_WIDTH,
+  MIN_PATH_SAMPLE_DISTANCE,
+  PATH_SIMPLIFY_TOLERANCE,
+  DEFAULT_STICKY_SIZE,
+  VIEWPORT_SYNC_THROTTLE,
+  CULL_MARGIN,
+  READ_ONLY_ROLES,
 } from '../utils/constants';
 import {
   screenToCanvas,
   clampPanOffset,
-  clamp,
   calculateFPS,
   constrainRectangle,
   constrainCircle,
+  getVisibleRegion,
+  clampToCanvas,
+  getGridLines,
 } from '../utils/canvasUtils';
 import {
   testFirestoreConnection,
   createShape,
+  generateObjectId,
   updateShape,
-  batchUpdateShapes,
   deleteShape,
   updateCursor,
   removeCursor,
   updatePresenceHeartbeat,
+  updatePresenceViewport,
   getUserRole,
 } from '../services/canvasService';
 import { uploadImage } from '../services/imageService';
@@ -60,35 +80,99 @@ import { useSelection } from '../hooks/useSelection';
 import { useCanvasClipboard } from '../hooks/useCanvasClipboard';
 import { useShapeDrawing } from '../hooks/useShapeDrawing';
 import { useShapeTransform } from '../hooks/useShapeTransform';
+import { useSpatialIndex } from '../hooks/useSpatialIndex';
+import { snapMove, snapPoint, offsetBounds } from '../utils/snapUtils';
 import { useCanvasKeyboard } from '../hooks/useCanvasKeyboard';
+import { useGroups } from '../hooks/useGroups';
+import { useFrames } from '../hooks/useFrames';
 import { getRandomColor, getGridColor } from '../utils/colorUtils';
 import { setup500Test, generateTestShapes } from '../utils/testData';
 import { executeCanvasTool } from '../utils/canvasTools';
+import { createBatchAction } from '../utils/historyUtils';
+import { downloadShapesAsSvg, getContentBounds } from '../utils/svgExport';
+import { getCollaboratorViewports, getSessionViewport } from '../utils/minimapUtils';
+import {
+  findAnchorTarget,
+  resolveConnectorEndpoints,
+  getConnectorEndpointUpdates,
+  sortConnectorsLast,
+  isConnector,
+} from '../utils/connectorUtils';
+import {
+  isGroup,
+  getEffectiveLock,
+  getGroupMembers,
+  getSelectedGroups,
+  getSelectionUnits,
+  sortGroupsFirst,
+  offsetGroupedShapeCopy,
+  scaleShape,
+  rotateShape,
+  getTransformFields,
+  expandSelectionToGroups,
+} from '../utils/groupUtils';
+import { isStyleable } from '../utils/styleUtils';
+import { isInspectable, getInspectorUpdates } from '../utils/inspectorUtils';
+import { isSticky, buildStickyData } from '../utils/stickyUtils';
+import {
+  isFrame,
+  getFrameIdForShape,
+  getFrameMembershipUpdates,
+  expandWithFrameChildren,
+  sortFramesFirst,
+  remapFrameId,
+} from '../utils/frameUtils';
+import { getCommentAnchor, getCommentPosition } from '../utils/commentUtils';
+import { simplifyPoints, normalizePathPoints, scalePathPoints } from '../utils/pathUtils';
+import { getExportFilename } from '../utils/download';
 import Cursor from './Cursor';
 import ShapePalette from './ShapePalette';
+import PropertiesPanel from './PropertiesPanel';
 import SelectionBox from './SelectionBox';
 import ZoomControls from './ZoomControls';
+import Minimap from './Minimap';
 import ChatPanel from './ChatPanel';
 import InlineTextEditor from './InlineTextEditor';
 import ContextMenu from './ContextMenu';
+import ExportModal from './ExportModal';
+import ShapeHistoryPanel from './ShapeHistoryPanel';
+import CommentPin from './CommentPin';
 import DebugPanel from './DebugPanel';
 import LayersPanel from './LayersPanel';
 import ShapeRenderer from './ShapeRenderer';
 import MultiSelectionBox from './MultiSelectionBox';
 import ShapePreview from './ShapePreview';
 import CustomPolygonPreview from './CustomPolygonPreview';
+import Toast from './Toast';
 import styles from './Canvas.module.css';
 
+// Shared empty guide list, so clearing guides that are already clear skips a render
+const NO_GUIDES = [];
+
 /**
  * Canvas component — SVG-based collaborative canvas with pan and zoom.
  * Wires together extracted hooks and renders the UI shell.
  */
 function Canvas({
   sessionId,
+  onlineUsers = [],
   onlineUsersCount = 0,
   canvasId = DEFAULT_CANVAS_ID,
+  canvasName = '',
+  exportScope = null,
+  onExportScopeChange,
   backgroundColor = '#1a1a1a',
   gridVisible = false,
+  snapEnabled = false,
+  followedSessionId = null,
+  onStopFollowing,
+  infinite = false,
+  comments = [],
+  activeCommentId = null,
+  onSelectComment,
+  isPlacingComment = false,
+  commentDraft = null,
+  onPlaceComment,
 }) {
   const svgRef = useRef(null);
   const containerRef = useRef(null);
@@ -109,7 +193,46 @@ function Canvas({
     setBatchDeleting,
   } = useCanvas(user?.uid, user?.displayName, canvasId);
   const { cursors } = useCursors(sessionId, canvasId);
-  const { recordAction, popUndo, popRedo } = useHistory();
+
+  // Lookup used to resolve connector ends bound to other shapes
+  const shapesById = useMemo(() => new Map(shapes.map((s) => [s.id, s])), [shapes]);
+
+  // Comment pins follow the shapes they're pinned to; resolved threads only show when selected
+  const commentPins = useMemo(
+    () =>
+      comments
+        .filter((thread) => !thread.resolved || thread.id === activeCommentId)
+        .map((thread) => ({
+          id: thread.id,
+          ...getCommentPosition(thread, shapesById),
+          authorId: thread.createdBy,
+          count: thread.messages.length,
+          resolved: !!thread.resolved,
+        })),
+    [comments, activeCommentId, shapesById]
+  );
+
+  // Transient notifications (e.g. undo skipped because someone else edited the shape)
+  const [toast, setToast] = useState(null);
+  const dismissToast = useCallback(() => setToast(null), []);
+
+  const handleHistoryConflict = useCallback(({ direction, conflicts, applied }) => {
+    const count = new Set(conflicts.map((c) => c.shapeId)).size;
+    const label = direction === 'undo' ? 'Undo' : 'Redo';
+    const shapesText = count === 1 ? '1 shape' : `${count} shapes`;
+    const reason = conflicts.every((c) => c.reason === 'locked')
+      ? 'being edited by another user'
+      : 'changed by another user';
+    setToast({
+      type: 'warning',
+      message: applied
+        ? `${label} partially applied — skipped ${shapesText} ${reason}.`
+        : `${label} skipped — ${shapesText} ${reason}.`,
+    });
+  }, []);
+
+  const { recordAction, undo, redo, updateShapeWithHistory, batchUpdateShapesWithHistory } =
+    useHistory(canvasId, shapes, { userId: user?.uid, onConflict: handleHistoryConflict });
 
   // User role
   const [userRole, setUserRole] = useState(null);
@@ -123,9 +246,12 @@ function Canvas({
 
   // Context menu
   const [contextMenu, setContextMenu] = useState(null);
+  // Shape whose history is shown ("Show History" in the context menu)
+  const [historyShapeId, setHistoryShapeId] = useState(null);
 
   // Layers panel
   const [isLayersPanelOpen, setIsLayersPanelOpen] = useState(false);
+  const [isMinimapOpen, setIsMinimapOpen] = useState(true);
 
   // FPS & performance
   const [fps, setFps] = useState(0);
@@ -160,13 +286,16 @@ function Canvas({
     panOffset,
     setPanOffset,
     containerSize,
+    canvasSize,
     viewBox,
     handleZoomIn,
     handleZoomOut,
     handleZoomReset,
     handleZoomSet,
     handleFitCanvas,
-  } = useViewport(svgRef, containerRef);
+    handleZoomToRegion,
+    handleCenterOn,
+  } = useViewport(svgRef, containerRef, { infinite });
 
   const {
     isDrawingCustomPolygon,
@@ -201,9 +330,39 @@ function Canvas({
     setDrawStart,
     drawCurrent,
     setDrawCurrent,
+    penPoints,
+    setPenPoints,
     previewRect,
   } = useShapeDrawing();
 
+  // Connector being drawn: ends near a shape's anchor attach to that shape
+  const connectorDraft = useMemo(() => {
+    if (!isDrawing || selectedTool !== TOOL_TYPES.CONNECTOR) return null;
+    const snapDistance = CONNECTOR_SNAP_DISTANCE / viewport.zoom;
+    const startTarget = findAnchorTarget(shapes, drawStart, snapDistance);
+    const endTarget = findAnchorTarget(
+      shapes,
+      drawCurrent,
+      snapDistance,
+      startTarget ? [startTarget.shapeId] : []
+    );
+    return {
+      type: SHAPE_TYPES.CONNECTOR,
+      x: startTarget ? startTarget.x : drawStart.x,
+      y: startTarget ? startTarget.y : drawStart.y,
+      x2: endTarget ? endTarget.x : drawCurrent.x,
+      y2: endTarget ? endTarget.y : drawCurrent.y,
+      startShapeId: startTarget?.shapeId || null,
+      startAnchor: startTarget?.anchor || null,
+      endShapeId: endTarget?.shapeId || null,
+      endAnchor: endTarget?.anchor || null,
+      routing: CONNECTOR_ROUTING.STRAIGHT,
+      startArrowhead: 'none',
+      endArrowhead: 'arrow',
+      strokeWidth: DEFAULT_CONNECTOR_STROKE_WIDTH,
+    };
+  }, [isDrawing, selectedTool, shapes, drawStart, drawCurrent, viewport.zoom]);
+
   const { clipboard, setClipboard } = useCanvasClipboard({
     user,
     canvasId,
@@ -219,10 +378,13 @@ function Canvas({
     user,
     selectedShapeId,
     selectedShapeIds,
+    setSelectedShapeIds,
     selectShape,
     viewport,
     setIsDraggingLocal,
     userRole,
+    snapEnabled,
+    containerSize,
     trackActivity: useCallback(() => {
       const now = Date.now();
       lastActivityRef.current = now;
@@ -263,6 +425,12 @@ function Canvas({
     setRotateStart,
     rotateInitial,
     setRotateInitial,
+    groupTransformInitial,
+    setGroupTransformInitial,
+    snapTargetsRef,
+    snapBoundsRef,
+    snapGuides,
+    setSnapGuides,
     didInteractRef,
     handleShapeMouseDown,
     handleResizeStart,
@@ -318,6 +486,69 @@ function Canvas({
     return () => stopCleanup();
   }, [canvasId]);
 
+  // Share the part of the canvas in view, for collaborators' minimaps and
+  // followers (throttled, so followers keep up while we pan)
+  const lastViewportSyncRef = useRef(0);
+  useEffect(() => {
+    if (!sessionId || !canvasId || containerSize.width === 0) return;
+    const wait = Math.max(0, lastViewportSyncRef.current + VIEWPORT_SYNC_THROTTLE - Date.now());
+    const timeoutId = setTimeout(() => {
+      lastViewportSyncRef.current = Date.now();
+      updatePresenceViewport(
+        canvasId,
+        sessionId,
+        getVisibleRegion(viewport, containerSize.width, containerSize.height)
+      );
+    }, wait);
+    return () => clearTimeout(timeoutId);
+  }, [sessionId, canvasId, viewport, containerSize]);
+
+  // Follow mode: show what the followed session sees, until we leave or they do
+  const followedViewport = useMemo(
+    () => getSessionViewport(followedSessionId, onlineUsers, cursors),
+    [followedSessionId, onlineUsers, cursors]
+  );
+  const lastFollowedViewportRef = useRef(null);
+
+  useEffect(() => {
+    if (!followedViewport) {
+      lastFollowedViewportRef.current = null;
+      return;
+    }
+    // Presence heartbeats re-send the same viewport; only move when it changed
+    const { x, y, width, height } = followedViewport;
+    const key = `${x},${y},${width},${height}`;
+    if (key === lastFollowedViewportRef.current) return;
+    lastFollowedViewportRef.current = key;
+    handleZoomToRegion(followedViewport, { padding: 0, maxZoom: MAX_ZOOM });
+  }, [followedViewport, handleZoomToRegion]);
+
+  useEffect(() => {
+    if (!followedSessionId || onlineUsers.length === 0) return;
+    if (!onlineUsers.some((u) => u.sessionId === followedSessionId)) onStopFollowing?.();
+  }, [followedSessionId, onlineUsers, onStopFollowing]);
+
+  // Panning, zooming or editing ourselves stops following
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!followedSessionId || !container) return;
+    const stop = () => onStopFollowing?.();
+    const handleKeyDown = (e) => {
+      const target = e.target;
+      const isTyping =
+        target?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName);
+      if (!isTyping && !['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) stop();
+    };
+    container.addEventListener('pointerdown', stop, true);
+    container.addEventListener('wheel', stop, true);
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => {
+      container.removeEventListener('pointerdown', stop, true);
+      container.removeEventListener('wheel', stop, true);
+      window.removeEventListener('keydown', handleKeyDown, true);
+    };
+  }, [followedSessionId, onStopFollowing]);
+
   // Debug helpers (dev only)
   useEffect(() => {
     if (SHOW_FPS_COUNTER && user?.uid) setup500Test(user.uid);
@@ -345,6 +576,34 @@ function Canvas({
 
   // ----- Handlers -----
 
+  // Fit shapes in view; with nothing visible to fit, the whole canvas
+  const zoomToShapes = useCallback(
+    (targets) => {
+      const bounds = getContentBounds(
+        targets.filter((s) => s.visible !== false && s.type !== SHAPE_TYPES.GROUP)
+      );
+      if (!bounds) return false;
+      handleZoomToRegion({
+        x: bounds.minX,
+        y: bounds.minY,
+        width: bounds.width,
+        height: bounds.height,
+      });
+      return true;
+    },
+    [handleZoomToRegion]
+  );
+
+  const handleZoomToFit = useCallback(() => {
+    if (!zoomToShapes(shapes)) handleFitCanvas();
+  }, [zoomToShapes, shapes, handleFitCanvas]);
+
+  const handleZoomToSelection = useCallback(() => {
+    const ids = selectedShapeIds.length > 0 ? selectedShapeIds : [selectedShapeId];
+    const leafIds = expandSelectionToGroups(ids.filter(Boolean), shapes);
+    zoomToShapes(shapes.filter((s) => leafIds.includes(s.id)));
+  }, [selectedShapeIds, selectedShapeId, shapes, zoomToShapes]);
+
   const handleShapeClick = useCallback(() => {}, []);
 
   // Handle send to front / back
@@ -353,52 +612,272 @@ function Canvas({
     const ids = selectedShapeIds.length > 0 ? selectedShapeIds : [selectedShapeId];
     const maxZ = shapes.length > 0 ? Math.max(...shapes.map((s) => s.zIndex || 0)) : 0;
     try {
-      for (const id of ids) await updateShape(canvasId, id, { zIndex: maxZ + 1 });
+      await batchUpdateShapesWithHistory(
+        Object.fromEntries(ids.map((id) => [id, { zIndex: maxZ + 1 }]))
+      );
       notifyFirestoreActivity();
     } catch (error) {
       reportError(error, { component: 'Canvas', action: 'handleSendToFront' });
     }
-  }, [user, selectedShapeId, selectedShapeIds, shapes, canvasId, notifyFirestoreActivity]);
+  }, [
+    user,
+    selectedShapeId,
+    selectedShapeIds,
+    shapes,
+    batchUpdateShapesWithHistory,
+    notifyFirestoreActivity,
+  ]);
 
   const handleSendToBack = useCallback(async () => {
     if (!user || (!selectedShapeId && selectedShapeIds.length === 0)) return;
     const ids = selectedShapeIds.length > 0 ? selectedShapeIds : [selectedShapeId];
     const minZ = shapes.length > 0 ? Math.min(...shapes.map((s) => s.zIndex || 0)) : 0;
     try {
-      for (const id of ids) await updateShape(canvasId, id, { zIndex: minZ - 1 });
+      await batchUpdateShapesWithHistory(
+        Object.fromEntries(ids.map((id) => [id, { zIndex: minZ - 1 }]))
+      );
       notifyFirestoreActivity();
     } catch (error) {
       reportError(error, { component: 'Canvas', action: 'handleSendToBack' });
     }
-  }, [user, selectedShapeId, selectedShapeIds, shapes, canvasId, notifyFirestoreActivity]);
+  }, [
+    user,
+    selectedShapeId,
+    selectedShapeIds,
+    shapes,
+    batchUpdateShapesWithHistory,
+    notifyFirestoreActivity,
+  ]);
+
+  // Groups
+  const { groupShapes, ungroupShapes } = useGroups({ canvasId, user, shapes, recordAction });
+
+  // Frames
+  const { createFrame } = useFrames({ canvasId, user, shapes, recordAction });
+
+  // Select a shape, or a group together with every shape in it (layers panel, context menu)
+  const selectShapeOrGroup = useCallback(
+    (id) => {
+      selectShape(id);
+      setSelectedShapeIds(
+        isGroup(shapesById.get(id)) ? getGroupMembers(id, shapes).map((s) => s.id) : []
+      );
+    },
+    [shapes, shapesById, selectShape, setSelectedShapeIds]
+  );
+
+  const handleGroup = useCallback(async () => {
+    if (!user || READ_ONLY_ROLES.includes(userRole)) return;
+    const ids =
+      selectedShapeIds.length > 0 ? selectedShapeIds : selectedShapeId ? [selectedShapeId] : [];
+    try {
+      const group = await groupShapes(ids);
+      if (!group) return;
+      selectShape(group.groupId);
+      setSelectedShapeIds(group.memberIds);
+      notifyFirestoreActivity();
+    } catch (error) {
+      reportError(error, { component: 'Canvas', action: 'groupShapes' });
+    }
+  }, [
+    user,
+    userRole,
+    selectedShapeId,
+    selectedShapeIds,
+    groupShapes,
+    selectShape,
+    setSelectedShapeIds,
+    notifyFirestoreActivity,
+  ]);
+
+  // Ungroup dissolves the top-level groups of the selection, one level at a time
+  const handleUngroup = useCallback(async () => {
+    if (!user || READ_ONLY_ROLES.includes(userRole)) return;
+    const ids =
+      selectedShapeIds.length > 0 ? selectedShapeIds : selectedShapeId ? [selectedShapeId] : [];
+    const groupIds = getSelectionUnits(ids, shapes).filter((id) => isGroup(shapesById.get(id)));
+    if (groupIds.length === 0) return;
+    try {
+      if (selectedShapeId) await deselectShape();
+      const memberIds = await ungroupShapes(groupIds);
+      setSelectedShapeIds(memberIds);
+      notifyFirestoreActivity();
+    } catch (error) {
+      reportError(error, { component: 'Canvas', action: 'ungroupShapes' });
+    }
+  }, [
+    user,
+    userRole,
+    selectedShapeId,
+    selectedShapeIds,
+    shapes,
+    shapesById,
+    ungroupShapes,
+    deselectShape,
+    setSelectedShapeIds,
+    notifyFirestoreActivity,
+  ]);
+
+  // Right-clicked connector (line options in the context menu)
+  const contextConnector = useMemo(() => {
+    if (contextMenu?.shapeIds?.length !== 1) return null;
+    const shape = shapesById.get(contextMenu.shapeIds[0]);
+    return shape?.type === SHAPE_TYPES.CONNECTOR ? shape : null;
+  }, [contextMenu, shapesById]);
+
+  const handleUpdateConnector = useCallback(
+    async (updates) => {
+      if (!user || READ_ONLY_ROLES.includes(userRole) || !contextConnector) return;
+      try {
+        await updateShapeWithHistory(contextConnector.id, updates);
+        notifyFirestoreActivity();
+      } catch (error) {
+        reportError(error, { component: 'Canvas', action: 'updateConnector' });
+      }
+    },
+    [user, userRole, contextConnector, updateShapeWithHistory, notifyFirestoreActivity]
+  );
+
+  // Export the right-clicked selection as SVG
+  const handleExportSelectionSvg = useCallback(async () => {
+    const ids = expandWithFrameChildren(contextMenu?.shapeIds || [], shapes);
+    const selected = shapes.filter((s) => ids.includes(s.id));
+    try {
+      await downloadShapesAsSvg(
+        selected,
+        getExportFilename(`${canvasName || 'canvas'} selection`, 'svg'),
+        { backgroundColor }
+      );
+    } catch (error) {
+      reportError(error, { component: 'Canvas', action: 'handleExportSelectionSvg' });
+    }
+  }, [contextMenu, shapes, canvasName, backgroundColor]);
+
+  // Shapes the export dialog treats as "selection" (a selected frame brings its children)
+  const exportSelectionIds = useMemo(
+    () =>
+      expandWithFrameChildren(
+        selectedShapeIds.length > 0 ? selectedShapeIds : selectedShapeId ? [selectedShapeId] : [],
+        shapes
+      ),
+    [selectedShapeIds, selectedShapeId, shapes]
+  );
+  const selectedFrameId = isFrame(shapesById.get(selectedShapeId)) ? selectedShapeId : null;
 
   // Visibility toggle (layers)
   const handleToggleVisibility = useCallback(
     async (shapeId) => {
-      if (!user || userRole === 'viewer') return;
+      if (!user || READ_ONLY_ROLES.includes(userRole)) return;
       const shape = shapes.find((s) => s.id === shapeId);
       if (!shape) return;
       try {
-        await updateShape(canvasId, shapeId, { visible: shape.visible === false });
+        const visible = shape.visible === false;
+        if (isGroup(shape)) {
+          // A group shows or hides everything in it
+          const ids = [shapeId, ...getGroupMembers(shapeId, shapes).map((s) => s.id)];
+          await batchUpdateShapesWithHistory(
+            Object.fromEntries(ids.map((id) => [id, { visible }]))
+          );
+        } else {
+          await updateShapeWithHistory(shapeId, { visible });
+        }
         notifyFirestoreActivity();
       } catch (error) {
         reportError(error, { component: 'Canvas', action: 'toggleVisibility' });
       }
     },
-    [user, userRole, shapes, canvasId, notifyFirestoreActivity]
+    [
+      user,
+      userRole,
+      shapes,
+      updateShapeWithHistory,
+      batchUpdateShapesWithHistory,
+      notifyFirestoreActivity,
+    ]
   );
 
   const handleRenameShape = useCallback(
     async (shapeId, newName) => {
-      if (!user || userRole === 'viewer') return;
+      if (!user || READ_ONLY_ROLES.includes(userRole)) return;
       try {
-        await updateShape(canvasId, shapeId, { name: newName });
+        await updateShapeWithHistory(shapeId, { name: newName });
         notifyFirestoreActivity();
       } catch (error) {
         reportError(error, { component: 'Canvas', action: 'renameShape' });
       }
     },
-    [user, userRole, canvasId, notifyFirestoreActivity]
+    [user, userRole, updateShapeWithHistory, notifyFirestoreActivity]
+  );
+
+  // Selected shapes the properties panel edits, leaving out those locked by someone else
+  const { inspectorTargets, lockedInspectorCount } = useMemo(() => {
+    if (!user || READ_ONLY_ROLES.includes(userRole))
+      return { inspectorTargets: [], lockedInspectorCount: 0 };
+    const ids = selectedShapeIds.length > 0 ? selectedShapeIds : [selectedShapeId];
+    const selected = ids.map((id) => shapesById.get(id)).filter(isInspectable);
+    const editable = selected.filter((shape) => {
+      const { lockedBy } = getEffectiveLock(shape, shapesById);
+      return !lockedBy || lockedBy === user.uid;
+    });
+    return {
+      inspectorTargets: editable,
+      lockedInspectorCount: selected.length - editable.length,
+    };
+  }, [user, userRole, selectedShapeId, selectedShapeIds, shapesById]);
+
+  const styleTargets = useMemo(() => inspectorTargets.filter(isStyleable), [inspectorTargets]);
+
+  const handleInspectorChange = useCallback(
+    async (field, value) => {
+      const updates = getInspectorUpdates(field, value, inspectorTargets, shapes, canvasSize);
+      if (Object.keys(updates).length === 0) return;
+      try {
+        await batchUpdateShapesWithHistory(updates);
+        notifyFirestoreActivity();
+      } catch (error) {
+        reportError(error, { component: 'Canvas', action: 'updateProperties' });
+      }
+    },
+    [inspectorTargets, shapes, canvasSize, batchUpdateShapesWithHistory, notifyFirestoreActivity]
+  );
+
+  const handlePaperChange = useCallback(
+    async (color) => {
+      const updates = Object.fromEntries(
+        inspectorTargets.filter(isSticky).map((shape) => [shape.id, { color }])
+      );
+      if (Object.keys(updates).length === 0) return;
+      try {
+        await batchUpdateShapesWithHistory(updates);
+        notifyFirestoreActivity();
+      } catch (error) {
+        reportError(error, { component: 'Canvas', action: 'updatePaper' });
+      }
+    },
+    [inspectorTargets, batchUpdateShapesWithHistory, notifyFirestoreActivity]
+  );
+
+  const handleStyleChange = useCallback(
+    async (style) => {
+      if (styleTargets.length === 0) return;
+      // Corner radius only applies to rectangles
+      const { cornerRadius, ...rest } = style;
+      const updates = Object.fromEntries(
+        styleTargets.map((shape) => [
+          shape.id,
+          cornerRadius !== undefined && shape.type === SHAPE_TYPES.RECTANGLE
+            ? { ...rest, cornerRadius }
+            : rest,
+        ])
+      );
+      try {
+        await batchUpdateShapesWithHistory(updates);
+        notifyFirestoreActivity();
+      } catch (error) {
+        reportError(error, { component: 'Canvas', action: 'updateStyle' });
+      }
+    },
+    [styleTargets, batchUpdateShapesWithHistory, notifyFirestoreActivity]
   );
 
   // Clear all shapes
@@ -410,7 +889,10 @@ function Canvas({
     if (!confirmed) return;
 
     try {
-      const deletableShapes = shapes.filter((s) => !s.lockedBy || s.lockedBy === user.uid);
+      const deletableShapes = shapes.filter((s) => {
+        const { lockedBy } = getEffectiveLock(s, shapesById);
+        return !lockedBy || lockedBy === user.uid;
+      });
       if (deletableShapes.length === 0) {
         alert('All shapes are locked by other users.');
         return;
@@ -441,6 +923,7 @@ function Canvas({
     }
   }, [
     shapes,
+    shapesById,
     user,
     deselectShape,
     setSelectedShapeIds,
@@ -451,22 +934,28 @@ function Canvas({
 
   // Duplicate
   const handleDuplicate = useCallback(async () => {
-    if (!user || userRole === 'viewer') return;
+    if (!user || READ_ONLY_ROLES.includes(userRole)) return;
     if (!selectedShapeId && selectedShapeIds.length === 0) return;
 
-    const shapesToDuplicate = selectedShapeIds.length > 0 ? selectedShapeIds : [selectedShapeId];
+    const shapesToDuplicate = expandWithFrameChildren(
+      selectedShapeIds.length > 0 ? selectedShapeIds : [selectedShapeId],
+      shapes
+    );
     try {
       const newIds = [];
+      const createActions = [];
       if (selectedShapeId) await deselectShape();
       setSelectedShapeIds([]);
 
-      for (const shapeId of shapesToDuplicate) {
-        const shape = shapes.find((s) => s.id === shapeId);
-        if (!shape) continue;
+      const idMap = new Map();
+      const toDuplicate = [
+        ...getSelectedGroups(shapesToDuplicate, shapes),
+        ...shapes.filter((s) => shapesToDuplicate.includes(s.id)),
+      ];
+
+      for (const shape of sortFramesFirst(sortGroupsFirst(sortConnectorsLast(toDuplicate)))) {
         const dup = {
-          ...shape,
-          x: shape.x + 20,
-          y: shape.y + 20,
+          ...remapFrameId(offsetGroupedShapeCopy(shape, 20, shapesById, idMap), idMap),
           createdBy: user.uid,
           lockedBy: null,
           lockedByUserName: null,
@@ -474,8 +963,11 @@ function Canvas({
         delete dup.id;
         delete dup.timestamp;
         const newId = await createShape(canvasId, dup);
-        newIds.push(newId);
+        idMap.set(shape.id, newId);
+        if (!isGroup(shape)) newIds.push(newId);
+        createActions.push({ type: 'create', shapeId: newId, shapeData: dup });
       }
+      recordAction(createBatchAction(createActions));
 
       if (newIds.length === 1) setTimeout(() => selectShape(newIds[0]), 100);
       else setTimeout(() => setSelectedShapeIds(newIds), 100);
@@ -487,6 +979,7 @@ function Canvas({
     selectedShapeId,
     selectedShapeIds,
     shapes,
+    shapesById,
     user,
     deselectShape,
     selectShape,
@@ -494,20 +987,21 @@ function Canvas({
     notifyFirestoreActivity,
     userRole,
     setSelectedShapeIds,
+    recordAction,
   ]);
 
   // Align
   const handleAlign = useCallback(
     (alignment) => {
-      if (!user || userRole === 'viewer') return;
+      if (!user || READ_ONLY_ROLES.includes(userRole)) return;
       if (!selectedShapeId && selectedShapeIds.length === 0) return;
 
       const context = {
         shapes,
         selectedShapeIds:
           selectedShapeIds.length > 0 ? selectedShapeIds : selectedShapeId ? [selectedShapeId] : [],
-        updateShape: (id, updates) => updateShape(canvasId, id, updates),
-        batchUpdateShapes: (updates) => batchUpdateShapes(canvasId, updates),
+        updateShape: (id, updates) => updateShapeWithHistory(id, updates),
+        batchUpdateShapes: (updates) => batchUpdateShapesWithHistory(updates),
         canvasId,
         userId: user.uid,
         viewport,
@@ -523,6 +1017,8 @@ function Canvas({
       selectedShapeIds,
       viewport,
       userRole,
+      updateShapeWithHistory,
+      batchUpdateShapesWithHistory,
       notifyFirestoreActivity,
     ]
   );
@@ -532,15 +1028,16 @@ function Canvas({
     (shapeData) => {
       if (!user || !canvasId) return null;
       try {
+        // The ID is generated here so later tool calls (e.g. connectors) can refer to the shape
         const shape = {
           ...shapeData,
-          id: `${user.uid}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+          id: generateObjectId(user.uid),
           createdBy: user.uid,
           timestamp: Date.now(),
           rotation: shapeData.rotation || 0,
           zIndex: Date.now(),
         };
-        createShape(canvasId, shape);
+        createShape(canvasId, shape, shape.id);
         return shape;
       } catch (error) {
         reportError(error, { component: 'Canvas', action: 'cannyCreateShape' });
@@ -554,28 +1051,28 @@ function Canvas({
     (shapeId, updates) => {
       if (!canvasId) return false;
       try {
-        updateShape(canvasId, shapeId, updates);
+        updateShapeWithHistory(shapeId, updates);
         return true;
       } catch (error) {
         reportError(error, { component: 'Canvas', action: 'cannyUpdateShape' });
         return false;
       }
     },
-    [canvasId]
+    [canvasId, updateShapeWithHistory]
   );
 
   const handleBatchUpdateShapesForCanny = useCallback(
     (updates) => {
       if (!canvasId) return false;
       try {
-        batchUpdateShapes(canvasId, updates);
+        batchUpdateShapesWithHistory(updates);
         return true;
       } catch (error) {
         reportError(error, { component: 'Canvas', action: 'cannyBatchUpdateShapes' });
         return false;
       }
     },
-    [canvasId]
+    [canvasId, batchUpdateShapesWithHistory]
   );
 
   const handleDeleteShapeForCanny = useCallback(
@@ -592,6 +1089,30 @@ function Canvas({
     [canvasId]
   );
 
+  const handleGroupShapesForCanny = useCallback(
+    (ids, name) => {
+      if (!user || !canvasId) return null;
+      // The ID is generated here so Canny can refer to the group right away
+      const groupId = generateObjectId(user.uid);
+      groupShapes(ids, { name, groupId }).catch((error) =>
+        reportError(error, { component: 'Canvas', action: 'cannyGroupShapes' })
+      );
+      return groupId;
+    },
+    [user, canvasId, groupShapes]
+  );
+
+  const handleUngroupShapesForCanny = useCallback(
+    (groupIds) => {
+      if (!canvasId) return false;
+      ungroupShapes(groupIds).catch((error) =>
+        reportError(error, { component: 'Canvas', action: 'cannyUngroupShapes' })
+      );
+      return true;
+    },
+    [canvasId, ungroupShapes]
+  );
+
   // Generate test shapes
   const handleGenerate500 = useCallback(async () => {
     if (!user) return;
@@ -653,12 +1174,18 @@ function Canvas({
       const canvasPos = screenToCanvas(e.clientX, e.clientY, viewport, rect);
       const shouldPan = e.shiftKey || e.metaKey || e.ctrlKey;
 
+      if (isPlacingComment && !shouldPan) {
+        e.preventDefault();
+        onPlaceComment?.(getCommentAnchor(canvasPos));
+        return;
+      }
+
       if (shouldPan) {
         setIsPanning(true);
         setPanStart({ x: e.clientX, y: e.clientY });
         setPanOffset({ x: viewport.offsetX, y: viewport.offsetY });
       } else if (selectedTool === TOOL_TYPES.CUSTOM_POLYGON) {
-        if (userRole === 'viewer') return;
+        if (READ_ONLY_ROLES.includes(userRole)) return;
         e.preventDefault();
 
         if (!isDrawingCustomPolygon) {
@@ -682,12 +1209,13 @@ function Canvas({
         setSelectStart(canvasPos);
         setSelectCurrent(canvasPos);
       } else {
-        if (userRole === 'viewer') return;
+        if (READ_ONLY_ROLES.includes(userRole)) return;
         deselectShape();
         setSelectedShapeIds([]);
         setIsDrawing(true);
         setDrawStart(canvasPos);
         setDrawCurrent(canvasPos);
+        if (selectedTool === TOOL_TYPES.PATH) setPenPoints([canvasPos]);
       }
 
       e.preventDefault();
@@ -701,6 +1229,8 @@ function Canvas({
       trackActivity,
       userRole,
       contextMenu,
+      isPlacingComment,
+      onPlaceComment,
       setIsPanning,
       setPanStart,
       setPanOffset,
@@ -714,6 +1244,40 @@ function Canvas({
       setIsDrawing,
       setDrawStart,
       setDrawCurrent,
+      setPenPoints,
+    ]
+  );
+
+  // With the connector or pen tool, pressing on a shape starts drawing there instead of a drag.
+  // Every drawing tool draws on a frame's background so shapes can be drawn inside it.
+  const handleShapeMouseDownForTool = useCallback(
+    (shapeId, e) => {
+      if (isPlacingComment && e.button === 0 && svgRef.current) {
+        // Pressing a shape while placing a comment pins it to the shape
+        e.stopPropagation();
+        e.preventDefault();
+        const rect = svgRef.current.getBoundingClientRect();
+        const canvasPos = screenToCanvas(e.clientX, e.clientY, viewport, rect);
+        onPlaceComment?.(getCommentAnchor(canvasPos, shapesById.get(shapeId)));
+      } else if (
+        selectedTool === TOOL_TYPES.CONNECTOR ||
+        selectedTool === TOOL_TYPES.PATH ||
+        (selectedTool !== TOOL_TYPES.SELECT && isFrame(shapesById.get(shapeId)))
+      ) {
+        e.stopPropagation();
+        handleCanvasMouseDown(e);
+      } else {
+        handleShapeMouseDown(shapeId, e);
+      }
+    },
+    [
+      selectedTool,
+      shapesById,
+      handleCanvasMouseDown,
+      handleShapeMouseDown,
+      isPlacingComment,
+      onPlaceComment,
+      viewport,
     ]
   );
 
@@ -737,7 +1301,8 @@ function Canvas({
             pos.y,
             user.displayName,
             cursorArrivalTime.current,
-            true
+            true,
+            getVisibleRegion(viewport, containerSize.width, containerSize.height)
           )
             .then(() => notifyFirestoreActivity())
             .catch((err) => reportError(err, { component: 'Canvas' }));
@@ -754,8 +1319,8 @@ function Canvas({
           viewport.zoom,
           containerSize.width,
           containerSize.height,
-          CANVAS_WIDTH,
-          CANVAS_HEIGHT,
+          canvasSize.width,
+          canvasSize.height,
           PAN_PADDING_PERCENT
         );
         setViewport((prev) => ({ ...prev, offsetX: clamped.offsetX, offsetY: clamped.offsetY }));
@@ -764,14 +1329,46 @@ function Canvas({
         setSelectCurrent(screenToCanvas(e.clientX, e.clientY, viewport, rect));
       } else if (isDrawing && svgRef.current) {
         const rect = svgRef.current.getBoundingClientRect();
-        setDrawCurrent(screenToCanvas(e.clientX, e.clientY, viewport, rect));
+        const canvasPos = screenToCanvas(e.clientX, e.clientY, viewport, rect);
+        setDrawCurrent(canvasPos);
+        if (selectedTool === TOOL_TYPES.PATH) {
+          // Skip samples closer than a couple of screen pixels to the previous one
+          setPenPoints((prev) => {
+            const last = prev[prev.length - 1];
+            if (
+              last &&
+              Math.hypot(canvasPos.x - last.x, canvasPos.y - last.y) <
+                MIN_PATH_SAMPLE_DISTANCE / viewport.zoom
+            ) {
+              return prev;
+            }
+            return [...prev, canvasPos];
+          });
+        }
       } else if (isDragging && svgRef.current && (selectedShapeId || draggedShapeIds.length > 0)) {
         const rect = svgRef.current.getBoundingClientRect();
         const canvasPos = screenToCanvas(e.clientX, e.clientY, viewport, rect);
-        const dx = canvasPos.x - dragStart.x;
-        const dy = canvasPos.y - dragStart.y;
+        let dx = canvasPos.x - dragStart.x;
+        let dy = canvasPos.y - dragStart.y;
         didInteractRef.current = true;
 
+        // Snap the dragged box to other shapes (Alt moves freely)
+        if (snapTargetsRef.current && snapBoundsRef.current && !e.altKey) {
+          const snap = snapMove(
+            offsetBounds(snapBoundsRef.current, dx, dy),
+            snapTargetsRef.current,
+            {
+              threshold: SNAP_THRESHOLD / viewport.zoom,
+              gridSize: gridVisible ? GRID_SIZE : 0,
+            }
+          );
+          dx += snap.dx;
+          dy += snap.dy;
+          setSnapGuides(snap.guides);
+        } else {
+          setSnapGuides(NO_GUIDES);
+        }
+
         setShapes((prev) =>
           prev.map((r) => {
             if (!draggedShapeIds.includes(r.id)) return r;
@@ -780,23 +1377,39 @@ function Canvas({
 
             if (r.type === SHAPE_TYPES.CUSTOM_POLYGON) {
               const verts = (initial.vertices || r.vertices).map((v) => ({
-                x: clamp(v.x + dx, 0, CANVAS_WIDTH),
-                y: clamp(v.y + dy, 0, CANVAS_HEIGHT),
+                x: clampToCanvas(v.x + dx, canvasSize.width),
+                y: clampToCanvas(v.y + dy, canvasSize.height),
               }));
               return { ...r, vertices: verts };
             }
 
+            if (r.type === SHAPE_TYPES.CONNECTOR) {
+              return {
+                ...r,
+                x: initial.x + dx,
+                y: initial.y + dy,
+                x2: initial.x2 + dx,
+                y2: initial.y2 + dy,
+              };
+            }
+
             let newX = initial.x + dx;
             let newY = initial.y + dy;
 
-            if (r.type === SHAPE_TYPES.RECTANGLE || r.type === SHAPE_TYPES.TEXT) {
+            if (
+              r.type === SHAPE_TYPES.RECTANGLE ||
+              r.type === SHAPE_TYPES.FRAME ||
+              r.type === SHAPE_TYPES.TEXT ||
+              r.type === SHAPE_TYPES.STICKY ||
+              r.type === SHAPE_TYPES.PATH
+            ) {
               const c = constrainRectangle(
                 newX,
                 newY,
                 r.width,
                 r.height,
-                CANVAS_WIDTH,
-                CANVAS_HEIGHT
+                canvasSize.width,
+                canvasSize.height
               );
               newX = c.x;
               newY = c.y;
@@ -806,13 +1419,13 @@ function Canvas({
                 newY - r.height / 2,
                 r.width,
                 r.height,
-                CANVAS_WIDTH,
-                CANVAS_HEIGHT
+                canvasSize.width,
+                canvasSize.height
               );
               newX = c.x + r.width / 2;
               newY = c.y + r.height / 2;
             } else if (r.type === SHAPE_TYPES.CIRCLE || r.type === SHAPE_TYPES.POLYGON) {
-              const c = constrainCircle(newX, newY, r.radius, CANVAS_WIDTH, CANVAS_HEIGHT);
+              const c = constrainCircle(newX, newY, r.radius, canvasSize.width, canvasSize.height);
               newX = c.x;
               newY = c.y;
             }
@@ -831,23 +1444,36 @@ function Canvas({
 
             if (shape.type === SHAPE_TYPES.CUSTOM_POLYGON) {
               const verts = (initial.vertices || shape.vertices).map((v) => ({
-                x: clamp(v.x + dx, 0, CANVAS_WIDTH),
-                y: clamp(v.y + dy, 0, CANVAS_HEIGHT),
+                x: clampToCanvas(v.x + dx, canvasSize.width),
+                y: clampToCanvas(v.y + dy, canvasSize.height),
               }));
               updateShape(canvasId, id, { vertices: verts }).catch((err) =>
                 reportError(err, { component: 'Canvas' })
               );
+            } else if (shape.type === SHAPE_TYPES.CONNECTOR) {
+              updateShape(canvasId, id, {
+                x: initial.x + dx,
+                y: initial.y + dy,
+                x2: initial.x2 + dx,
+                y2: initial.y2 + dy,
+              }).catch((err) => reportError(err, { component: 'Canvas' }));
             } else {
               let nx = initial.x + dx,
                 ny = initial.y + dy;
-              if (shape.type === SHAPE_TYPES.RECTANGLE || shape.type === SHAPE_TYPES.TEXT) {
+              if (
+                shape.type === SHAPE_TYPES.RECTANGLE ||
+                shape.type === SHAPE_TYPES.FRAME ||
+                shape.type === SHAPE_TYPES.TEXT ||
+                shape.type === SHAPE_TYPES.STICKY ||
+                shape.type === SHAPE_TYPES.PATH
+              ) {
                 const c = constrainRectangle(
                   nx,
                   ny,
                   shape.width,
                   shape.height,
-                  CANVAS_WIDTH,
-                  CANVAS_HEIGHT
+                  canvasSize.width,
+                  canvasSize.height
                 );
                 nx = c.x;
                 ny = c.y;
@@ -857,13 +1483,19 @@ function Canvas({
                   ny - shape.height / 2,
                   shape.width,
                   shape.height,
-                  CANVAS_WIDTH,
-                  CANVAS_HEIGHT
+                  canvasSize.width,
+                  canvasSize.height
                 );
                 nx = c.x + shape.width / 2;
                 ny = c.y + shape.height / 2;
               } else if (shape.type === SHAPE_TYPES.CIRCLE || shape.type === SHAPE_TYPES.POLYGON) {
-                const c = constrainCircle(nx, ny, shape.radius, CANVAS_WIDTH, CANVAS_HEIGHT);
+                const c = constrainCircle(
+                  nx,
+                  ny,
+                  shape.radius,
+                  canvasSize.width,
+                  canvasSize.height
+                );
                 nx = c.x;
                 ny = c.y;
               }
@@ -874,16 +1506,53 @@ function Canvas({
           });
           lastDragUpdate.current = now;
         }
-      } else if (isResizing && svgRef.current && selectedShapeId && resizeInitial) {
+      } else if (isResizing && svgRef.current && groupTransformInitial) {
+        // Groups scale uniformly from the corner opposite the dragged handle
         const rect = svgRef.current.getBoundingClientRect();
         const canvasPos = screenToCanvas(e.clientX, e.clientY, viewport, rect);
+        const { bounds, members } = groupTransformInitial;
+        const origin = {
+          x: resizeHandle.includes('w') ? bounds.maxX : bounds.minX,
+          y: resizeHandle.includes('n') ? bounds.maxY : bounds.minY,
+        };
+        const scale = Math.max(
+          Math.abs(canvasPos.x - origin.x) / (bounds.width || 1),
+          Math.abs(canvasPos.y - origin.y) / (bounds.height || 1),
+          MIN_SHAPE_SIZE / Math.max(bounds.width, bounds.height, 1)
+        );
+        const memberUpdates = new Map(members.map((m) => [m.id, scaleShape(m, origin, scale)]));
+        didInteractRef.current = true;
+        setShapes((prev) =>
+          prev.map((r) => (memberUpdates.has(r.id) ? { ...r, ...memberUpdates.get(r.id) } : r))
+        );
+      } else if (isResizing && svgRef.current && selectedShapeId && resizeInitial) {
+        const rect = svgRef.current.getBoundingClientRect();
+        let canvasPos = screenToCanvas(e.clientX, e.clientY, viewport, rect);
         let updates = {};
 
         if (
           resizeInitial.type === SHAPE_TYPES.RECTANGLE ||
+          resizeInitial.type === SHAPE_TYPES.FRAME ||
           resizeInitial.type === SHAPE_TYPES.TEXT ||
-          resizeInitial.type === SHAPE_TYPES.IMAGE
+          resizeInitial.type === SHAPE_TYPES.STICKY ||
+          resizeInitial.type === SHAPE_TYPES.IMAGE ||
+          resizeInitial.type === SHAPE_TYPES.PATH
         ) {
+          // Snap the dragged handle along the axes it moves (Alt resizes freely)
+          if (snapTargetsRef.current && !e.altKey) {
+            const snap = snapPoint(
+              canvasPos,
+              snapTargetsRef.current,
+              { threshold: SNAP_THRESHOLD / viewport.zoom, gridSize: gridVisible ? GRID_SIZE : 0 },
+              {
+                x: resizeHandle.includes('e') || resizeHandle.includes('w'),
+                y: resizeHandle.includes('n') || resizeHandle.includes('s'),
+              }
+            );
+            canvasPos = snap.point;
+            setSnapGuides(snap.guides);
+          }
+
           const { x, y, width, height } = resizeInitial;
           const centerX = resizeInitial.type === SHAPE_TYPES.IMAGE ? x : x + width / 2;
           const centerY = resizeInitial.type === SHAPE_TYPES.IMAGE ? y : y + height / 2;
@@ -910,9 +1579,26 @@ function Canvas({
             nH = MIN_RECTANGLE_SIZE;
             nY = centerY - nH / 2;
           }
+          // A perfectly straight pen stroke has no size to scale along that axis
+          if (resizeInitial.type === SHAPE_TYPES.PATH) {
+            if (!width) [nX, nW] = [x, 0];
+            if (!height) [nY, nH] = [y, 0];
+          }
 
-          const constrained = constrainRectangle(nX, nY, nW, nH, CANVAS_WIDTH, CANVAS_HEIGHT);
-          if (resizeInitial.type === SHAPE_TYPES.IMAGE) {
+          const constrained = constrainRectangle(
+            nX,
+            nY,
+            nW,
+            nH,
+            canvasSize.width,
+            canvasSize.height
+          );
+          if (resizeInitial.type === SHAPE_TYPES.PATH) {
+            updates = {
+              ...constrained,
+              points: scalePathPoints(resizeInitial.points || [], resizeInitial, constrained),
+            };
+          } else if (resizeInitial.type === SHAPE_TYPES.IMAGE) {
             updates = {
               x: constrained.x + constrained.width / 2,
               y: constrained.y + constrained.height / 2,
@@ -932,16 +1618,58 @@ function Canvas({
           const minR =
             resizeInitial.type === SHAPE_TYPES.CIRCLE ? MIN_CIRCLE_RADIUS : MIN_POLYGON_RADIUS;
           let newRadius = Math.max(dist, minR);
-          const maxR = Math.min(
-            Math.min(resizeInitial.x, CANVAS_WIDTH - resizeInitial.x),
-            Math.min(resizeInitial.y, CANVAS_HEIGHT - resizeInitial.y)
-          );
+          const maxR = Number.isFinite(canvasSize.width)
+            ? Math.min(
+                Math.min(resizeInitial.x, canvasSize.width - resizeInitial.x),
+                Math.min(resizeInitial.y, canvasSize.height - resizeInitial.y)
+              )
+            : Infinity;
           newRadius = Math.min(newRadius, maxR);
           updates = { radius: newRadius };
+        } else if (resizeInitial.type === SHAPE_TYPES.CONNECTOR) {
+          // Endpoint handles: attach to a nearby anchor, otherwise leave the end free
+          const isStart = resizeHandle === 'start';
+          const otherShapeId = isStart ? resizeInitial.endShapeId : resizeInitial.startShapeId;
+          const target = findAnchorTarget(
+            shapes,
+            canvasPos,
+            CONNECTOR_SNAP_DISTANCE / viewport.zoom,
+            otherShapeId ? [otherShapeId] : []
+          );
+          const point = target || canvasPos;
+          updates = isStart
+            ? {
+                x: point.x,
+                y: point.y,
+                startShapeId: target?.shapeId || null,
+                startAnchor: target?.anchor || null,
+              }
+            : {
+                x2: point.x,
+                y2: point.y,
+                endShapeId: target?.shapeId || null,
+                endAnchor: target?.anchor || null,
+              };
         }
 
         didInteractRef.current = true;
         setShapes((prev) => prev.map((r) => (r.id === selectedShapeId ? { ...r, ...updates } : r)));
+      } else if (isRotating && svgRef.current && groupTransformInitial) {
+        // Members turn around the center of the group's bounds
+        const rect = svgRef.current.getBoundingClientRect();
+        const canvasPos = screenToCanvas(e.clientX, e.clientY, viewport, rect);
+        const { bounds, members } = groupTransformInitial;
+        const center = { x: bounds.centerX, y: bounds.centerY };
+        const angle = Math.atan2(canvasPos.y - center.y, canvasPos.x - center.x) * (180 / Math.PI);
+        const startAngle =
+          Math.atan2(rotateStart.y - center.y, rotateStart.x - center.x) * (180 / Math.PI);
+        const memberUpdates = new Map(
+          members.map((m) => [m.id, rotateShape(m, center, angle - startAngle)])
+        );
+        didInteractRef.current = true;
+        setShapes((prev) =>
+          prev.map((r) => (memberUpdates.has(r.id) ? { ...r, ...memberUpdates.get(r.id) } : r))
+        );
       } else if (isRotating && svgRef.current && selectedShapeId) {
         const rect = svgRef.current.getBoundingClientRect();
         const canvasPos = screenToCanvas(e.clientX, e.clientY, viewport, rect);
@@ -949,7 +1677,13 @@ function Canvas({
         if (!shape) return;
 
         let centerX, centerY;
-        if (shape.type === SHAPE_TYPES.RECTANGLE || shape.type === SHAPE_TYPES.TEXT) {
+        if (
+          shape.type === SHAPE_TYPES.RECTANGLE ||
+          shape.type === SHAPE_TYPES.FRAME ||
+          shape.type === SHAPE_TYPES.TEXT ||
+          shape.type === SHAPE_TYPES.STICKY ||
+          shape.type === SHAPE_TYPES.PATH
+        ) {
           centerX = shape.x + (shape.width || 0) / 2;
           centerY = shape.y + (shape.height || 0) / 2;
         } else if (shape.type === SHAPE_TYPES.CUSTOM_POLYGON && shape.vertices) {
@@ -972,6 +1706,7 @@ function Canvas({
     },
     [
       isPanning,
+      canvasSize,
       isSelecting,
       isDrawing,
       isDragging,
@@ -988,6 +1723,7 @@ function Canvas({
       resizeInitial,
       rotateStart,
       rotateInitial,
+      groupTransformInitial,
       selectedShapeId,
       shapes,
       user,
@@ -996,14 +1732,82 @@ function Canvas({
       notifyFirestoreActivity,
       trackActivity,
       setViewport,
+      selectedTool,
       setSelectCurrent,
       setDrawCurrent,
+      setPenPoints,
       setShapes,
       didInteractRef,
+      gridVisible,
+      snapTargetsRef,
+      snapBoundsRef,
+      setSnapGuides,
     ]
   );
 
+  // Create a sticky note signed by the user, then select it and start editing its text
+  const createStickyNote = useCallback(
+    async ({ x, y, width, height, color }) => {
+      const constrained = constrainRectangle(
+        x,
+        y,
+        width,
+        height,
+        canvasSize.width,
+        canvasSize.height
+      );
+      let shapeData = {
+        ...buildStickyData({
+          ...constrained,
+          color,
+          createdBy: user.uid,
+          createdByName: user.displayName || user.email,
+          canvasHeight: canvasSize.height,
+        }),
+        zIndex: Date.now(),
+      };
+      const frameId = getFrameIdForShape(shapeData, shapes);
+      if (frameId) shapeData = { ...shapeData, frameId };
+      const newId = await createShape(canvasId, shapeData);
+      recordAction({ type: 'create', shapeId: newId, shapeData });
+      notifyFirestoreActivity();
+      setSelectedTool(TOOL_TYPES.SELECT);
+      setTimeout(() => {
+        if (newId) {
+          selectShape(newId);
+          setEditingTextId(newId);
+          setEditingText('');
+        }
+      }, 100);
+    },
+    [user, shapes, canvasId, recordAction, notifyFirestoreActivity, selectShape, canvasSize]
+  );
+
+  // S: a new note next to the selected one (same paper and size), or in the middle of the view
+  const handleNewSticky = useCallback(() => {
+    if (!user || READ_ONLY_ROLES.includes(userRole)) return;
+    const selected = shapesById.get(selectedShapeId);
+    const placement = isSticky(selected)
+      ? {
+          x: selected.x + selected.width + 20,
+          y: selected.y,
+          width: selected.width,
+          height: selected.height,
+          color: selected.color,
+        }
+      : {
+          x: viewport.offsetX + containerSize.width / 2 / viewport.zoom - DEFAULT_STICKY_SIZE / 2,
+          y: viewport.offsetY + containerSize.height / 2 / viewport.zoom - DEFAULT_STICKY_SIZE / 2,
+          width: DEFAULT_STICKY_SIZE,
+          height: DEFAULT_STICKY_SIZE,
+        };
+    createStickyNote(placement).catch((error) =>
+      reportError(error, { component: 'Canvas', action: 'createSticky' })
+    );
+  }, [user, userRole, shapesById, selectedShapeId, viewport, containerSize, createStickyNote]);
+
   const handleMouseUp = useCallback(async () => {
+    setSnapGuides(NO_GUIDES);
     if (isPanning) {
       setIsPanning(false);
     } else if (isSelecting) {
@@ -1011,6 +1815,7 @@ function Canvas({
       resolveSelection(shapes, deselectShape);
     } else if (isDrawing) {
       setIsDrawing(false);
+      setPenPoints([]);
       const dx = Math.abs(drawCurrent.x - drawStart.x);
       const dy = Math.abs(drawCurrent.y - drawStart.y);
 
@@ -1022,18 +1827,72 @@ function Canvas({
             color: selectedTool === SHAPE_TYPES.TEXT ? undefined : color,
             createdBy: user.uid,
           };
+          // Shapes drawn inside a frame become its children
+          const withFrame = (data) => {
+            const frameId = getFrameIdForShape(data, shapes);
+            return frameId ? { ...data, frameId } : data;
+          };
 
-          if (selectedTool === SHAPE_TYPES.RECTANGLE) {
+          if (selectedTool === SHAPE_TYPES.CONNECTOR) {
+            const length = connectorDraft
+              ? Math.hypot(
+                  connectorDraft.x2 - connectorDraft.x,
+                  connectorDraft.y2 - connectorDraft.y
+                )
+              : 0;
+            if (length >= MIN_CONNECTOR_LENGTH) {
+              shapeData = {
+                ...shapeData,
+                ...connectorDraft,
+                color: DEFAULT_CONNECTOR_COLOR,
+                rotation: 0,
+                zIndex: Date.now(),
+              };
+              const id = await createShape(canvasId, shapeData);
+              recordAction({ type: 'create', shapeId: id, shapeData });
+              notifyFirestoreActivity();
+            }
+          } else if (selectedTool === SHAPE_TYPES.PATH) {
+            const points = simplifyPoints(penPoints, PATH_SIMPLIFY_TOLERANCE / viewport.zoom);
+            if (points.length >= 2) {
+              shapeData = {
+                ...shapeData,
+                ...normalizePathPoints(points),
+                strokeWidth: DEFAULT_PATH_STROKE_WIDTH,
+                rotation: 0,
+                zIndex: Date.now(),
+              };
+              shapeData = withFrame(shapeData);
+              const id = await createShape(canvasId, shapeData);
+              recordAction({ type: 'create', shapeId: id, shapeData });
+              notifyFirestoreActivity();
+            }
+          } else if (selectedTool === SHAPE_TYPES.FRAME) {
+            if (dx >= MIN_RECTANGLE_SIZE && dy >= MIN_RECTANGLE_SIZE) {
+              const constrained = constrainRectangle(
+                Math.min(drawStart.x, drawCurrent.x),
+                Math.min(drawStart.y, drawCurrent.y),
+                dx,
+                dy,
+                canvasSize.width,
+                canvasSize.height
+              );
+              const frame = await createFrame(constrained);
+              if (frame) selectShape(frame.frameId);
+              notifyFirestoreActivity();
+            }
+          } else if (selectedTool === SHAPE_TYPES.RECTANGLE) {
             if (dx >= MIN_RECTANGLE_SIZE && dy >= MIN_RECTANGLE_SIZE) {
               const constrained = constrainRectangle(
                 Math.min(drawStart.x, drawCurrent.x),
                 Math.min(drawStart.y, drawCurrent.y),
                 dx,
                 dy,
-                CANVAS_WIDTH,
-                CANVAS_HEIGHT
+                canvasSize.width,
+                canvasSize.height
               );
               shapeData = { ...shapeData, ...constrained, rotation: 0, zIndex: Date.now() };
+              shapeData = withFrame(shapeData);
               const id = await createShape(canvasId, shapeData);
               recordAction({ type: 'create', shapeId: id, shapeData });
               notifyFirestoreActivity();
@@ -1045,10 +1904,11 @@ function Canvas({
                 (drawStart.x + drawCurrent.x) / 2,
                 (drawStart.y + drawCurrent.y) / 2,
                 radius,
-                CANVAS_WIDTH,
-                CANVAS_HEIGHT
+                canvasSize.width,
+                canvasSize.height
               );
               shapeData = { ...shapeData, ...constrained, rotation: 0, zIndex: Date.now() };
+              shapeData = withFrame(shapeData);
               const id = await createShape(canvasId, shapeData);
               recordAction({ type: 'create', shapeId: id, shapeData });
               notifyFirestoreActivity();
@@ -1060,8 +1920,8 @@ function Canvas({
                 (drawStart.x + drawCurrent.x) / 2,
                 (drawStart.y + drawCurrent.y) / 2,
                 radius,
-                CANVAS_WIDTH,
-                CANVAS_HEIGHT
+                canvasSize.width,
+                canvasSize.height
               );
               shapeData = {
                 ...shapeData,
@@ -1072,10 +1932,20 @@ function Canvas({
                 rotation: 0,
                 zIndex: Date.now(),
               };
+              shapeData = withFrame(shapeData);
               const id = await createShape(canvasId, shapeData);
               recordAction({ type: 'create', shapeId: id, shapeData });
               notifyFirestoreActivity();
             }
+          } else if (selectedTool === SHAPE_TYPES.STICKY) {
+            // A click places a default-size note; a drag sets its size
+            const isSized = dx >= MIN_RECTANGLE_SIZE && dy >= MIN_RECTANGLE_SIZE;
+            await createStickyNote({
+              x: Math.min(drawStart.x, drawCurrent.x),
+              y: Math.min(drawStart.y, drawCurrent.y),
+              width: isSized ? dx : DEFAULT_STICKY_SIZE,
+              height: isSized ? dy : DEFAULT_STICKY_SIZE,
+            });
           } else if (selectedTool === SHAPE_TYPES.TEXT) {
             let width = dx,
               height = dy;
@@ -1086,8 +1956,8 @@ function Canvas({
               Math.min(drawStart.y, drawCurrent.y),
               width,
               height,
-              CANVAS_WIDTH,
-              CANVAS_HEIGHT
+              canvasSize.width,
+              canvasSize.height
             );
             shapeData = {
               ...shapeData,
@@ -1098,6 +1968,7 @@ function Canvas({
               rotation: 0,
               zIndex: Date.now(),
             };
+            shapeData = withFrame(shapeData);
             const newId = await createShape(canvasId, shapeData);
             recordAction({ type: 'create', shapeId: newId, shapeData });
             notifyFirestoreActivity();
@@ -1126,16 +1997,28 @@ function Canvas({
         if (draggedShapeIds.length === 1) deselectShape();
       } else if (user) {
         try {
-          await Promise.all(
-            draggedShapeIds.map((id) => {
-              const shape = shapes.find((s) => s.id === id);
-              if (!shape) return Promise.resolve();
-              if (shape.type === SHAPE_TYPES.CUSTOM_POLYGON) {
-                return updateShape(canvasId, id, { vertices: shape.vertices });
-              }
-              return updateShape(canvasId, id, { x: shape.x, y: shape.y });
-            })
+          // One batch write so a multi-shape drag undoes in a single step
+          // (connectors attached to the moved shapes are updated in the same batch)
+          const positionUpdates = getConnectorEndpointUpdates(shapes, draggedShapeIds);
+          draggedShapeIds.forEach((id) => {
+            const shape = shapes.find((s) => s.id === id);
+            if (!shape) return;
+            if (shape.type === SHAPE_TYPES.CUSTOM_POLYGON) {
+              positionUpdates[id] = { vertices: shape.vertices };
+            } else if (shape.type === SHAPE_TYPES.CONNECTOR) {
+              const { start, end } = resolveConnectorEndpoints(shape, shapesById);
+              positionUpdates[id] = { x: start.x, y: start.y, x2: end.x, y2: end.y };
+            } else {
+              positionUpdates[id] = { x: shape.x, y: shape.y };
+            }
+          });
+          // Shapes dropped on a frame join it; shapes dragged out of their frame leave it
+          Object.entries(getFrameMembershipUpdates(draggedShapeIds, shapes)).forEach(
+            ([id, update]) => {
+              positionUpdates[id] = { ...positionUpdates[id], ...update };
+            }
           );
+          await batchUpdateShapesWithHistory(positionUpdates, dragInitialPositions);
           notifyFirestoreActivity();
         } catch (error) {
           reportError(error, { component: 'Canvas', action: 'updateShapePositions' });
@@ -1143,6 +2026,40 @@ function Canvas({
       }
       setDraggedShapeIds([]);
       setDragInitialPositions({});
+    } else if ((isResizing || isRotating) && groupTransformInitial) {
+      setIsResizing(false);
+      setIsRotating(false);
+      setIsDraggingLocal(false);
+      if (user && sessionId)
+        removeCursor(canvasId, sessionId).catch((err) => reportError(err, { component: 'Canvas' }));
+      setResizeHandle(null);
+      setResizeStart({ x: 0, y: 0 });
+      setResizeInitial(null);
+      setRotateStart({ x: 0, y: 0 });
+      setRotateInitial(0);
+      setGroupTransformInitial(null);
+
+      if (user && didInteractRef.current) {
+        try {
+          // Every member (and connectors attached to them) in one batch and one undo step
+          const { members } = groupTransformInitial;
+          const updates = getConnectorEndpointUpdates(
+            shapes,
+            members.map((m) => m.id)
+          );
+          const previous = {};
+          members.forEach((member) => {
+            const shape = shapesById.get(member.id);
+            if (!shape) return;
+            updates[member.id] = getTransformFields(shape);
+            previous[member.id] = getTransformFields(member);
+          });
+          await batchUpdateShapesWithHistory(updates, previous);
+          notifyFirestoreActivity();
+        } catch (error) {
+          reportError(error, { component: 'Canvas', action: 'transformGroup' });
+        }
+      }
     } else if (isResizing && selectedShapeId) {
       setIsResizing(false);
       setIsDraggingLocal(false);
@@ -1158,14 +2075,45 @@ function Canvas({
           let updates = {};
           if (
             shape.type === SHAPE_TYPES.RECTANGLE ||
+            shape.type === SHAPE_TYPES.FRAME ||
             shape.type === SHAPE_TYPES.TEXT ||
+            shape.type === SHAPE_TYPES.STICKY ||
             shape.type === SHAPE_TYPES.IMAGE
           ) {
             updates = { x: shape.x, y: shape.y, width: shape.width, height: shape.height };
+          } else if (shape.type === SHAPE_TYPES.PATH) {
+            updates = {
+              x: shape.x,
+              y: shape.y,
+              width: shape.width,
+              height: shape.height,
+              points: shape.points,
+            };
           } else if (shape.type === SHAPE_TYPES.CIRCLE || shape.type === SHAPE_TYPES.POLYGON) {
             updates = { radius: shape.radius };
+          } else if (shape.type === SHAPE_TYPES.CONNECTOR) {
+            updates =
+              resizeHandle === 'start'
+                ? {
+                    x: shape.x,
+                    y: shape.y,
+                    startShapeId: shape.startShapeId,
+                    startAnchor: shape.startAnchor,
+                  }
+                : {
+                    x2: shape.x2,
+                    y2: shape.y2,
+                    endShapeId: shape.endShapeId,
+                    endAnchor: shape.endAnchor,
+                  };
           }
-          await updateShape(canvasId, selectedShapeId, updates);
+          await batchUpdateShapesWithHistory(
+            {
+              ...getConnectorEndpointUpdates(shapes, [selectedShapeId]),
+              [selectedShapeId]: updates,
+            },
+            { [selectedShapeId]: resizeInitial }
+          );
           notifyFirestoreActivity();
         } catch (error) {
           reportError(error, { component: 'Canvas', action: 'updateShapeDimensions' });
@@ -1182,7 +2130,13 @@ function Canvas({
       const shape = shapes.find((s) => s.id === selectedShapeId);
       if (shape && user) {
         try {
-          await updateShape(canvasId, selectedShapeId, { rotation: shape.rotation || 0 });
+          await batchUpdateShapesWithHistory(
+            {
+              ...getConnectorEndpointUpdates(shapes, [selectedShapeId]),
+              [selectedShapeId]: { rotation: shape.rotation || 0 },
+            },
+            { [selectedShapeId]: { rotation: rotateInitial } }
+          );
           notifyFirestoreActivity();
         } catch (error) {
           reportError(error, { component: 'Canvas', action: 'updateShapeRotation' });
@@ -1191,6 +2145,7 @@ function Canvas({
     }
   }, [
     isPanning,
+    canvasSize,
     isSelecting,
     isDrawing,
     isDragging,
@@ -1198,23 +2153,36 @@ function Canvas({
     isRotating,
     drawStart,
     drawCurrent,
+    connectorDraft,
+    penPoints,
     selectedShapeId,
     draggedShapeIds,
+    dragInitialPositions,
+    resizeHandle,
+    resizeInitial,
+    rotateInitial,
+    groupTransformInitial,
     shapes,
+    shapesById,
     user,
     sessionId,
     canvasId,
     selectedTool,
+    viewport.zoom,
+    createFrame,
+    createStickyNote,
     setIsDraggingLocal,
     notifyFirestoreActivity,
     deselectShape,
     resolveSelection,
     recordAction,
+    batchUpdateShapesWithHistory,
     selectShape,
     didInteractRef,
     setIsPanning,
     setIsSelecting,
     setIsDrawing,
+    setPenPoints,
     setIsDragging,
     setIsResizing,
     setIsRotating,
@@ -1227,7 +2195,9 @@ function Canvas({
     setResizeInitial,
     setRotateStart,
     setRotateInitial,
+    setGroupTransformInitial,
     setSelectedTool,
+    setSnapGuides,
   ]);
 
   // Global mouse listeners
@@ -1279,8 +2249,13 @@ function Canvas({
     handleZoomReset,
     handleSendToFront,
     handleSendToBack,
-    popUndo,
-    popRedo,
+    handleGroup,
+    handleUngroup,
+    handleNewSticky,
+    handleZoomToFit,
+    handleZoomToSelection,
+    undo,
+    redo,
     recordAction,
     notifyFirestoreActivity,
     trackActivity,
@@ -1289,86 +2264,70 @@ function Canvas({
 
   // ----- Memos -----
 
+  const visibleRegion = useMemo(
+    () =>
+      containerSize.width > 0
+        ? getVisibleRegion(viewport, containerSize.width, containerSize.height)
+        : null,
+    [viewport, containerSize]
+  );
+
+  const collaboratorViewports = useMemo(
+    () => getCollaboratorViewports(onlineUsers, sessionId),
+    [onlineUsers, sessionId]
+  );
+
   const dynamicGridColor = useMemo(() => getGridColor(backgroundColor), [backgroundColor]);
 
+  // Only the lines in view are drawn, so the grid works at any offset (infinite canvases)
   const gridLines = useMemo(() => {
-    const lines = [];
-    for (let x = 0; x <= CANVAS_WIDTH; x += GRID_SIZE) {
-      lines.push(
+    if (!gridVisible || !visibleRegion) return [];
+    const grid = getGridLines(visibleRegion, GRID_SIZE, canvasSize.width, canvasSize.height);
+    return [
+      ...grid.vertical.map((x) => (
         <line
           key={`v-${x}`}
           x1={x}
-          y1={0}
+          y1={grid.minY}
           x2={x}
-          y2={CANVAS_HEIGHT}
+          y2={grid.maxY}
           stroke={dynamicGridColor}
           strokeWidth={1 / viewport.zoom}
         />
-      );
-    }
-    for (let y = 0; y <= CANVAS_HEIGHT; y += GRID_SIZE) {
-      lines.push(
+      )),
+      ...grid.horizontal.map((y) => (
         <line
           key={`h-${y}`}
-          x1={0}
+          x1={grid.minX}
           y1={y}
-          x2={CANVAS_WIDTH}
+          x2={grid.maxX}
           y2={y}
           stroke={dynamicGridColor}
           strokeWidth={1 / viewport.zoom}
         />
-      );
-    }
-    return lines;
-  }, [viewport.zoom, dynamicGridColor]);
+      )),
+    ];
+  }, [gridVisible, visibleRegion, canvasSize, viewport.zoom, dynamicGridColor]);
 
+  const isGroupSelected = isGroup(shapesById.get(selectedShapeId));
+
+  // Shapes near the view, from the spatial index. Connectors are always drawn: a bound
+  // end follows its shape, so their stored coordinates can't be used to cull them.
+  const searchShapes = useSpatialIndex(shapes);
+  const connectors = useMemo(() => shapes.filter(isConnector), [shapes]);
   const visibleShapes = useMemo(() => {
-    const buf = 200;
-    const vl = viewport.offsetX - buf;
-    const vt = viewport.offsetY - buf;
-    const vr = viewport.offsetX + containerSize.width / viewport.zoom + buf;
-    const vb = viewport.offsetY + containerSize.height / viewport.zoom + buf;
-
-    return shapes
-      .filter((shape) => {
-        if (shape.visible === false) return false;
-        let sl, st, sr, sb;
-        if (
-          shape.type === SHAPE_TYPES.RECTANGLE ||
-          shape.type === SHAPE_TYPES.TEXT ||
-          shape.type === SHAPE_TYPES.IMAGE
-        ) {
-          sl = shape.x;
-          st = shape.y;
-          sr = shape.x + (shape.width || 0);
-          sb = shape.y + (shape.height || 0);
-        } else if (shape.type === SHAPE_TYPES.CIRCLE || shape.type === SHAPE_TYPES.POLYGON) {
-          const r = shape.radius || 0;
-          sl = shape.x - r;
-          st = shape.y - r;
-          sr = shape.x + r;
-          sb = shape.y + r;
-        } else if (shape.type === SHAPE_TYPES.CUSTOM_POLYGON && shape.vertices) {
-          const xs = shape.vertices.map((v) => v.x);
-          const ys = shape.vertices.map((v) => v.y);
-          sl = Math.min(...xs);
-          st = Math.min(...ys);
-          sr = Math.max(...xs);
-          sb = Math.max(...ys);
-        } else {
-          return true;
-        }
-        return !(sl > vr || sr < vl || st > vb || sb < vt);
-      })
+    const nearby = visibleRegion
+      ? searchShapes({
+          x: visibleRegion.x - CULL_MARGIN,
+          y: visibleRegion.y - CULL_MARGIN,
+          width: visibleRegion.width + CULL_MARGIN * 2,
+          height: visibleRegion.height + CULL_MARGIN * 2,
+        })
+      : shapes;
+    return [...nearby.filter((shape) => !isConnector(shape)), ...connectors]
+      .filter((shape) => shape.visible !== false && !isGroup(shape))
       .sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0));
-  }, [
-    shapes,
-    viewport.offsetX,
-    viewport.offsetY,
-    viewport.zoom,
-    containerSize.width,
-    containerSize.height,
-  ]);
+  }, [shapes, searchShapes, connectors, visibleRegion]);
 
   // ----- JSX -----
 
@@ -1408,6 +2367,16 @@ function Canvas({
         hasSelection={selectedShapeId || selectedShapeIds.length > 0}
       />
 
+      <PropertiesPanel
+        shapes={inspectorTargets}
+        styleShapes={styleTargets}
+        lockedCount={lockedInspectorCount}
+        onChangeField={handleInspectorChange}
+        onChangeStyle={handleStyleChange}
+        onChangePaper={handlePaperChange}
+        infinite={infinite}
+      />
+
       <input
         ref={fileInputRef}
         type="file"
@@ -1441,39 +2410,56 @@ function Canvas({
         className={styles['canvas-svg']}
         viewBox={viewBox}
         onMouseDown={handleCanvasMouseDown}
-        style={{ cursor: isPanning ? 'grabbing' : isDragging ? 'move' : 'crosshair' }}
+        style={{
+          cursor: isPanning
+            ? 'grabbing'
+            : isDragging
+              ? 'move'
+              : isPlacingComment
+                ? 'copy'
+                : 'crosshair',
+        }}
       >
-        <rect x={0} y={0} width={CANVAS_WIDTH} height={CANVAS_HEIGHT} fill={backgroundColor} />
+        {infinite ? (
+          visibleRegion && <rect {...visibleRegion} fill={backgroundColor} />
+        ) : (
+          <rect x={0} y={0} width={CANVAS_WIDTH} height={CANVAS_HEIGHT} fill={backgroundColor} />
+        )}
         {gridVisible && <g className={styles['canvas-grid']}>{gridLines}</g>}
-        <rect
-          x={0}
-          y={0}
-          width={CANVAS_WIDTH}
-          height={CANVAS_HEIGHT}
-          fill="none"
-          stroke={BOUNDARY_COLOR}
-          strokeWidth={BOUNDARY_WIDTH / viewport.zoom}
-        />
+        {!infinite && (
+          <rect
+            x={0}
+            y={0}
+            width={CANVAS_WIDTH}
+            height={CANVAS_HEIGHT}
+            fill="none"
+            stroke={BOUNDARY_COLOR}
+            strokeWidth={BOUNDARY_WIDTH / viewport.zoom}
+          />
+        )}
 
         <g className={styles['canvas-content']}>
           <ShapeRenderer
             visibleShapes={visibleShapes}
+            shapesById={shapesById}
             selectedShapeId={selectedShapeId}
             selectedShapeIds={selectedShapeIds}
+            zoom={viewport.zoom}
             user={user}
             userRole={userRole}
             onShapeClick={handleShapeClick}
-            onShapeMouseDown={handleShapeMouseDown}
-            onSelectShape={selectShape}
+            onShapeMouseDown={handleShapeMouseDownForTool}
+            onSelectShape={selectShapeOrGroup}
             onSetEditingTextId={setEditingTextId}
             onSetEditingText={setEditingText}
             onSetContextMenu={setContextMenu}
           />
 
-          {/* Single-selection box */}
-          {selectedShapeId && !isDrawing && selectedShapeIds.length === 0 && (
+          {/* Single-selection box (a selected group also lists its members in selectedShapeIds) */}
+          {selectedShapeId && !isDrawing && (selectedShapeIds.length === 0 || isGroupSelected) && (
             <SelectionBox
-              shape={shapes.find((s) => s.id === selectedShapeId)}
+              shape={shapesById.get(selectedShapeId)}
+              shapesById={shapesById}
               zoom={viewport.zoom}
               onResizeStart={handleResizeStart}
               onRotateStart={handleRotateStart}
@@ -1481,7 +2467,7 @@ function Canvas({
           )}
 
           {/* Multi-selection box */}
-          {selectedShapeIds.length > 1 && !isDrawing && (
+          {selectedShapeIds.length > 1 && !isDrawing && !isGroupSelected && (
             <MultiSelectionBox
               selectedShapeIds={selectedShapeIds}
               shapes={shapes}
@@ -1496,6 +2482,8 @@ function Canvas({
             selectedTool={selectedTool}
             drawStart={drawStart}
             drawCurrent={drawCurrent}
+            connectorDraft={connectorDraft}
+            penPoints={penPoints}
             zoom={viewport.zoom}
           />
 
@@ -1521,11 +2509,62 @@ function Canvas({
               );
             })()}
 
+          {/* Snap guides while dragging or resizing */}
+          {(isDragging || isResizing) &&
+            snapGuides.map((g) => (
+              <line
+                key={`${g.kind}-${g.x1}-${g.y1}-${g.x2}-${g.y2}`}
+                x1={g.x1}
+                y1={g.y1}
+                x2={g.x2}
+                y2={g.y2}
+                stroke={SNAP_GUIDE_COLOR}
+                strokeWidth={1 / viewport.zoom}
+                strokeDasharray={
+                  g.kind === 'spacing' ? `${4 / viewport.zoom} ${2 / viewport.zoom}` : undefined
+                }
+                style={{ pointerEvents: 'none' }}
+              />
+            ))}
+
           {/* Custom polygon preview */}
           {isDrawingCustomPolygon && customPolygonVertices.length > 0 && (
             <CustomPolygonPreview vertices={customPolygonVertices} zoom={viewport.zoom} />
           )}
 
+          {/* Comment pins: open threads, the selected one and the one being written */}
+          <g>
+            {commentPins.map((pin) => (
+              <CommentPin
+                key={pin.id}
+                threadId={pin.id}
+                x={pin.x}
+                y={pin.y}
+                zoom={viewport.zoom}
+                authorId={pin.authorId}
+                count={pin.count}
+                active={pin.id === activeCommentId}
+                resolved={pin.resolved}
+                onSelect={onSelectComment}
+              />
+            ))}
+            {commentDraft &&
+              (() => {
+                const { x, y } = getCommentPosition(commentDraft, shapesById);
+                return (
+                  <CommentPin
+                    threadId={null}
+                    x={x}
+                    y={y}
+                    zoom={viewport.zoom}
+                    authorId={user?.uid}
+                    draft
+                    active
+                  />
+                );
+              })()}
+          </g>
+
           {/* Cursors */}
           <g className={styles['cursors-layer']}>
             {cursors.map((c) => (
@@ -1575,10 +2614,25 @@ function Canvas({
         onZoomReset={handleZoomReset}
         onZoomSet={handleZoomSet}
         onFitCanvas={handleFitCanvas}
+        onZoomToFit={handleZoomToFit}
+        onZoomToSelection={handleZoomToSelection}
+        hasSelection={!!selectedShapeId || selectedShapeIds.length > 0}
+        isMinimapOpen={isMinimapOpen}
+        onToggleMinimap={() => setIsMinimapOpen(!isMinimapOpen)}
         minZoom={MIN_ZOOM}
         maxZoom={MAX_ZOOM}
       />
 
+      {isMinimapOpen && (
+        <Minimap
+          shapes={shapes}
+          visibleRegion={visibleRegion}
+          collaborators={collaboratorViewports}
+          onNavigate={handleCenterOn}
+          infinite={infinite}
+        />
+      )}
+
       <button
         className={styles['layers-toggle-btn']}
         onClick={() => setIsLayersPanelOpen(!isLayersPanelOpen)}
@@ -1595,7 +2649,7 @@ function Canvas({
       <LayersPanel
         shapes={shapes}
         selectedShapeIds={selectedShapeIds}
-        onSelectShape={selectShape}
+        onSelectShape={selectShapeOrGroup}
         onToggleVisibility={handleToggleVisibility}
         onRenameShape={handleRenameShape}
         userRole={userRole}
@@ -1612,7 +2666,9 @@ function Canvas({
         updateShape={handleUpdateShapeForCanny}
         batchUpdateShapes={handleBatchUpdateShapesForCanny}
         deleteShape={handleDeleteShapeForCanny}
-        selectShape={selectShape}
+        groupShapes={handleGroupShapesForCanny}
+        ungroupShapes={handleUngroupShapesForCanny}
+        selectShape={selectShapeOrGroup}
         deselectShape={deselectShape}
         viewport={{
           offsetX: viewport.offsetX,
@@ -1621,6 +2677,7 @@ function Canvas({
           centerX: viewport.offsetX + containerSize.width / 2 / viewport.zoom,
           centerY: viewport.offsetY + containerSize.height / 2 / viewport.zoom,
         }}
+        infinite={infinite}
         svgRef={svgRef}
       />
 
@@ -1629,20 +2686,12 @@ function Canvas({
           shape={shapes.find((s) => s.id === editingTextId)}
           text={editingText}
           onTextChange={setEditingText}
-          onFinish={(save, formattingUpdates) => {
-            if (save) {
-              const currentShape = shapes.find((s) => s.id === editingTextId);
-              const updates = { text: editingText };
-              if (formattingUpdates) Object.assign(updates, formattingUpdates);
-              const hasChanges =
-                editingText !== currentShape?.text ||
-                (formattingUpdates &&
-                  (formattingUpdates.fontSize !== currentShape?.fontSize ||
-                    formattingUpdates.fontWeight !== currentShape?.fontWeight ||
-                    formattingUpdates.fontStyle !== currentShape?.fontStyle ||
-                    formattingUpdates.textColor !== currentShape?.textColor ||
-                    formattingUpdates.backgroundColor !== currentShape?.backgroundColor));
-              if (hasChanges) updateShape(canvasId, editingTextId, updates);
+          onFinish={(save, updates) => {
+            // The editor only reports fields that changed
+            if (save && updates && Object.keys(updates).length > 0) {
+              updateShapeWithHistory(editingTextId, updates).catch((err) =>
+                reportError(err, { component: 'Canvas', action: 'updateText' })
+              );
             }
             setEditingTextId(null);
             setEditingText('');
@@ -1650,6 +2699,10 @@ function Canvas({
           }}
           viewport={viewport}
           containerSize={containerSize}
+          canvasHeight={canvasSize.height}
+          canvasId={canvasId}
+          sessionId={sessionId}
+          user={user}
         />
       )}
 
@@ -1658,13 +2711,50 @@ function Canvas({
           x={contextMenu.x}
           y={contextMenu.y}
           selectedCount={contextMenu.shapeIds?.length || 1}
+          connector={contextConnector}
+          onUpdateConnector={handleUpdateConnector}
           onSendToFront={handleSendToFront}
           onSendToBack={handleSendToBack}
           onAlign={handleAlign}
+          onExportSvg={handleExportSelectionSvg}
+          onExportPng={
+            onExportScopeChange
+              ? () => onExportScopeChange(selectedFrameId ? 'frame' : 'selection')
+              : undefined
+          }
+          onShowHistory={
+            contextMenu.shapeIds?.length === 1
+              ? () => setHistoryShapeId(contextMenu.shapeIds[0])
+              : undefined
+          }
           onClose={() => setContextMenu(null)}
         />
       )}
 
+      {historyShapeId && (
+        <ShapeHistoryPanel
+          canvasId={canvasId}
+          shape={shapesById.get(historyShapeId)}
+          onClose={() => setHistoryShapeId(null)}
+        />
+      )}
+
+      <ExportModal
+        isOpen={!!exportScope}
+        onClose={() => onExportScopeChange?.(null)}
+        initialScope={exportScope || 'full'}
+        canvasName={canvasName}
+        shapes={shapes}
+        selectedIds={exportSelectionIds}
+        initialFrameId={selectedFrameId}
+        viewport={viewport}
+        containerSize={containerSize}
+        backgroundColor={backgroundColor}
+        infinite={infinite}
+      />
+
+      {toast && <Toast message={toast.message} type={toast.type} onDismiss={dismissToast} />}
+
       <DebugPanel />
     </div>
   );
@@ -11,6 +11,7 @@ function CanvasCard({
   onDeleteCanvas,
   onRenameCanvas,
   onDuplicateCanvas,
+  onExportCanvas,
   onToggleStar,
   viewMode = 'grid',
 }) {
@@ -93,6 +94,17 @@ function CanvasCard({
     setShowMenu(false);
   };
 
+  const handleExport = async (e) => {
+    e.stopPropagation();
+
+    try {
+      await onExportCanvas(canvas.id, canvas.name);
+    } catch (error) {
+      alert(`Failed to export canvas: ${error.message}`);
+    }
+    setShowMenu(false);
+  };
+
   const handleToggleStar = (e) => {
     e.stopPropagation();
     onToggleStar(canvas.id);
@@ -243,6 +255,7 @@ function CanvasCard({
               <button onClick={handleDuplicate} disabled={canvas.role !== 'owner'}>
                 📋 Duplicate
               </button>
+              {onExportCanvas && <button onClick={handleExport}>⬇️ Export JSON</button>}
               <button onClick={handleDelete} disabled={canvas.role !== 'owner'} className="danger">
                 🗑️ Delete
               </button>
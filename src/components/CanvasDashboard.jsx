@@ -1,7 +1,8 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../hooks/useAuth';
 import { useTheme } from '../hooks/useTheme';
+import { useSnapping } from '../hooks/useSnapping';
 import {
   getUserCanvases,
   createCanvas,
@@ -9,9 +10,13 @@ import {
   updateCanvasMetadata,
   duplicateCanvas,
   toggleCanvasStarred,
+  exportCanvasDocument,
+  importCanvasDocument,
 } from '../services/canvasService';
 import { autoMigrate } from '../services/canvasMigration';
 import { reportError } from '../utils/errorHandler';
+import { parseCanvasDocument, MAX_IMPORT_FILE_BYTES } from '../utils/canvasDocument';
+import { downloadBlob, getExportFilename } from '../utils/download';
 import CanvasCard from './CanvasCard';
 import CreateCanvasModal from './CreateCanvasModal';
 import UserSettingsModal from './UserSettingsModal';
@@ -28,6 +33,7 @@ function CanvasDashboard() {
   const { user, signOut } = useAuth();
   const onOpenCanvas = useCallback((canvasId) => navigate(`/canvas/${canvasId}`), [navigate]);
   const { theme, setTheme } = useTheme();
+  const { snapEnabled, setSnapEnabled } = useSnapping(user?.uid);
   const [canvases, setCanvases] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -38,6 +44,8 @@ function CanvasDashboard() {
   const [viewMode, setViewMode] = useState('grid'); // 'grid' or 'list'
   const [sortBy, setSortBy] = useState('lastAccessed'); // 'lastAccessed', 'name', 'created'
   const [filterBy, setFilterBy] = useState('all'); // 'all', 'owned', 'shared'
+  const [isImporting, setIsImporting] = useState(false);
+  const importInputRef = useRef(null);
 
   // Load user's canvases
   useEffect(() => {
@@ -134,6 +142,61 @@ function CanvasDashboard() {
     }
   };
 
+  const handleExportCanvas = async (canvasId, canvasName) => {
+    try {
+      const document = await exportCanvasDocument(canvasId);
+      downloadBlob(
+        new Blob([JSON.stringify(document, null, 2)], { type: 'application/json' }),
+        getExportFilename(canvasName, 'json')
+      );
+    } catch (error) {
+      reportError(error, { component: 'CanvasDashboard', action: 'handleExportCanvas' });
+      throw error;
+    }
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    // Reset so picking the same file again still fires onChange
+    e.target.value = '';
+    if (!file) return;
+
+    if (canvases.length >= CANVAS_LIMIT) {
+      setShowLimitModal(true);
+      return;
+    }
+    if (file.size > MAX_IMPORT_FILE_BYTES) {
+      alert('This file is too large to import.');
+      return;
+    }
+
+    setIsImporting(true);
+    try {
+      let raw;
+      try {
+        raw = JSON.parse(await file.text());
+      } catch {
+        alert('This file is not valid JSON.');
+        return;
+      }
+
+      const result = parseCanvasDocument(raw);
+      if (!result.success) {
+        alert(`Could not import canvas: ${result.error}`);
+        return;
+      }
+
+      const canvasId = await importCanvasDocument(user.uid, result.document);
+      await loadCanvases();
+      onOpenCanvas(canvasId);
+    } catch (error) {
+      reportError(error, { component: 'CanvasDashboard', action: 'handleImportFile' });
+      alert(`Failed to import canvas: ${error.message}`);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
   const handleToggleStar = async (canvasId) => {
     try {
       const newStarred = await toggleCanvasStarred(canvasId, user.uid);
@@ -242,6 +305,23 @@ function CanvasDashboard() {
             ＋ New Canvas
           </button>
 
+          <button
+            className="btn btn-secondary"
+            onClick={() => importInputRef.current?.click()}
+            disabled={isImporting}
+            title="Import a canvas from a JSON file"
+          >
+            {isImporting ? 'Importing...' : '⬆ Import'}
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleImportFile}
+            style={{ display: 'none' }}
+            aria-hidden="true"
+          />
+
           <button
             className="btn btn-secondary"
             onClick={() => setIsSettingsOpen(true)}
@@ -343,6 +423,7 @@ function CanvasDashboard() {
               onDeleteCanvas={handleDeleteCanvas}
               onRenameCanvas={handleRenameCanvas}
               onDuplicateCanvas={handleDuplicateCanvas}
+              onExportCanvas={handleExportCanvas}
               onToggleStar={handleToggleStar}
             />
           ))}
@@ -415,6 +496,8 @@ function CanvasDashboard() {
         onClose={() => setIsSettingsOpen(false)}
         theme={theme}
         onThemeChange={setTheme}
+        snapEnabled={snapEnabled}
+        onSnapChange={setSnapEnabled}
       />
     </div>
   );
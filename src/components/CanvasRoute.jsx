@@ -1,15 +1,26 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { useParams, useSearchParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../hooks/useAuth';
 import { useTheme } from '../hooks/useTheme';
+import { useSnapping } from '../hooks/useSnapping';
 import { usePresence } from '../hooks/usePresence';
+import { usePresenter } from '../hooks/usePresenter';
+import { useAutoSnapshot } from '../hooks/useAutoSnapshot';
+import { useOfflineStatus } from '../hooks/useOfflineStatus';
+import { useComments } from '../hooks/useComments';
 import { requestCanvasAccess, getCanvasMetadata } from '../services/canvasService';
 import { reportError } from '../utils/errorHandler';
+import { COMMENTING_ROLES } from '../utils/constants';
+import { getUserColor } from '../utils/colorUtils';
 import Canvas from './Canvas';
 import PresenceSidebar from './PresenceSidebar';
+import FollowBanner from './FollowBanner';
+import OfflineIndicator from './OfflineIndicator';
 import ShareCanvasModal from './ShareCanvasModal';
 import CanvasSettingsModal from './CanvasSettingsModal';
 import UserSettingsModal from './UserSettingsModal';
+import VersionHistoryPanel from './VersionHistoryPanel';
+import CommentsSidebar from './CommentsSidebar';
 
 function CanvasRoute({ sessionId }) {
   const { canvasId } = useParams();
@@ -18,6 +29,7 @@ function CanvasRoute({ sessionId }) {
 
   const { user } = useAuth();
   const { theme, setTheme } = useTheme();
+  const { snapEnabled, setSnapEnabled } = useSnapping(user?.uid);
 
   const [canvasName, setCanvasName] = useState('');
   const [accessChecked, setAccessChecked] = useState(false);
@@ -27,16 +39,96 @@ function CanvasRoute({ sessionId }) {
   const [canvasSettings, setCanvasSettings] = useState({
     backgroundColor: '#1a1a1a',
     gridVisible: false,
+    infinite: false,
   });
 
   // Modal state
   const [isShareModalOpen, setIsShareModalOpen] = useState(false);
   const [isCanvasSettingsModalOpen, setIsCanvasSettingsModalOpen] = useState(false);
   const [isUserSettingsModalOpen, setIsUserSettingsModalOpen] = useState(false);
+  const [isHistoryPanelOpen, setIsHistoryPanelOpen] = useState(false);
+
+  // Export dialog scope ('viewport' | 'selection' | 'full'), null when closed
+  const [exportScope, setExportScope] = useState(null);
 
   // Presence
   const { onlineUsers } = usePresence(sessionId, user?.uid, user?.displayName, canvasId);
 
+  // Offline editing: connection state and shape changes waiting to be sent
+  const offlineStatus = useOfflineStatus(canvasId);
+
+  // Comments: the open thread, and a new pin waiting for its first message
+  const { threads: commentThreads, members: commentMembers } = useComments(canvasId, {
+    userRole,
+    onlineUsers,
+  });
+  const [isCommentsOpen, setIsCommentsOpen] = useState(false);
+  const [activeCommentId, setActiveCommentId] = useState(null);
+  const [isPlacingComment, setIsPlacingComment] = useState(false);
+  const [commentDraft, setCommentDraft] = useState(null);
+  const openCommentCount = commentThreads.filter((thread) => !thread.resolved).length;
+
+  const handleSelectComment = useCallback((threadId) => {
+    setIsCommentsOpen(true);
+    setCommentDraft(null);
+    setActiveCommentId(threadId);
+  }, []);
+
+  const handlePlaceComment = useCallback((anchor) => {
+    setIsCommentsOpen(true);
+    setIsPlacingComment(false);
+    setActiveCommentId(null);
+    setCommentDraft(anchor);
+  }, []);
+
+  const handleCloseComments = useCallback(() => {
+    setIsCommentsOpen(false);
+    setIsPlacingComment(false);
+    setCommentDraft(null);
+    setActiveCommentId(null);
+  }, []);
+
+  // Follow mode: the session whose view we track, and presenter mode pulling everyone along
+  const [followedSessionId, setFollowedSessionId] = useState(null);
+  const { presenter, isPresenting, startPresenting, stopPresenting } = usePresenter(
+    sessionId,
+    user,
+    canvasId
+  );
+  const presenterSessionId = presenter?.sessionId || null;
+  const previousPresenterRef = useRef(null);
+
+  useEffect(() => {
+    const previous = previousPresenterRef.current;
+    previousPresenterRef.current = presenterSessionId;
+    if (presenterSessionId && presenterSessionId !== sessionId) {
+      setFollowedSessionId(presenterSessionId);
+    } else if (previous) {
+      // The presentation ended; stop following it (but not someone we picked ourselves)
+      setFollowedSessionId((current) => (current === previous ? null : current));
+    }
+  }, [presenterSessionId, sessionId]);
+
+  const handleFollowUser = useCallback((followSessionId) => {
+    setFollowedSessionId((current) => (current === followSessionId ? null : followSessionId));
+  }, []);
+
+  const handleStopFollowing = useCallback(() => setFollowedSessionId(null), []);
+
+  const handleStartPresenting = useCallback(() => {
+    setFollowedSessionId(null);
+    startPresenting();
+  }, [startPresenting]);
+
+  const followedUser = followedSessionId
+    ? onlineUsers.find((u) => u.sessionId === followedSessionId)
+    : null;
+
+  // Periodic version snapshots (only from clients that can edit)
+  const canEdit = userRole === 'owner' || userRole === 'editor';
+  const canComment = COMMENTING_ROLES.includes(userRole);
+  useAutoSnapshot(canvasId, user, accessChecked && canEdit);
+
   // Check canvas access on mount
   useEffect(() => {
     if (!user || !canvasId) return;
@@ -76,13 +168,14 @@ function CanvasRoute({ sessionId }) {
           setCanvasSettings({
             backgroundColor: metadata.settings.backgroundColor || '#1a1a1a',
             gridVisible: metadata.settings.gridVisible === true,
+            infinite: metadata.settings.infinite === true,
           });
         } else {
-          setCanvasSettings({ backgroundColor: '#1a1a1a', gridVisible: false });
+          setCanvasSettings({ backgroundColor: '#1a1a1a', gridVisible: false, infinite: false });
         }
       } catch (error) {
         reportError(error, { component: 'CanvasRoute', action: 'loadSettings' });
-        setCanvasSettings({ backgroundColor: '#1a1a1a', gridVisible: false });
+        setCanvasSettings({ backgroundColor: '#1a1a1a', gridVisible: false, infinite: false });
       }
     };
 
@@ -113,7 +206,71 @@ function CanvasRoute({ sessionId }) {
           <h1>CollabCanvas</h1>
         </div>
         <div className="header-right">
-          {userRole !== 'viewer' && (
+          <OfflineIndicator
+            online={offlineStatus.online}
+            pendingCount={offlineStatus.pendingCount}
+            conflictCount={offlineStatus.conflictCount}
+            failedCount={offlineStatus.failedCount}
+            onDismissConflicts={offlineStatus.dismissConflicts}
+          />
+          <button
+            className="btn-export"
+            onClick={() => setExportScope('full')}
+            title="Export as PNG or SVG"
+          >
+            <svg
+              viewBox="0 0 24 24"
+              width="18"
+              height="18"
+              fill="none"
+              stroke="currentColor"
+              strokeWidth="2"
+            >
+              <path d="M12 3v12M7 10l5 5 5-5M4 21h16" />
+            </svg>
+            Export
+          </button>
+          <button
+            className="btn-comments"
+            onClick={() => (isCommentsOpen ? handleCloseComments() : setIsCommentsOpen(true))}
+            title="Comments"
+            aria-pressed={isCommentsOpen}
+          >
+            <svg
+              viewBox="0 0 24 24"
+              width="18"
+              height="18"
+              fill="none"
+              stroke="currentColor"
+              strokeWidth="2"
+              strokeLinecap="round"
+              strokeLinejoin="round"
+            >
+              <path d="M21 12a8 8 0 01-11.6 7.1L3 21l1.9-6.4A8 8 0 1121 12z" />
+            </svg>
+            Comments{openCommentCount > 0 && ` (${openCommentCount})`}
+          </button>
+          <button
+            className="btn-history"
+            onClick={() => setIsHistoryPanelOpen(true)}
+            title="Version History"
+          >
+            <svg
+              viewBox="0 0 24 24"
+              width="18"
+              height="18"
+              fill="none"
+              stroke="currentColor"
+              strokeWidth="2"
+              strokeLinecap="round"
+              strokeLinejoin="round"
+            >
+              <path d="M3 12a9 9 0 109-9 9 9 0 00-6.4 2.6L3 8" />
+              <path d="M3 3v5h5M12 7v5l3 3" />
+            </svg>
+            History
+          </button>
+          {canEdit && (
             <button
               className="btn-canvas-settings"
               onClick={() => setIsCanvasSettingsModalOpen(true)}
@@ -183,12 +340,78 @@ function CanvasRoute({ sessionId }) {
       <main id="canvas-main" className="app-main canvas-main">
         <Canvas
           sessionId={sessionId}
+          onlineUsers={onlineUsers}
           onlineUsersCount={onlineUsers.length}
           canvasId={canvasId}
+          canvasName={canvasName}
+          exportScope={exportScope}
+          onExportScopeChange={setExportScope}
           backgroundColor={canvasSettings.backgroundColor}
           gridVisible={canvasSettings.gridVisible}
+          infinite={canvasSettings.infinite}
+          snapEnabled={snapEnabled}
+          followedSessionId={followedSessionId}
+          onStopFollowing={handleStopFollowing}
+          comments={commentThreads}
+          activeCommentId={activeCommentId}
+          onSelectComment={handleSelectComment}
+          isPlacingComment={isPlacingComment}
+          commentDraft={commentDraft}
+          onPlaceComment={handlePlaceComment}
+        />
+        {followedUser && (
+          <FollowBanner
+            label={
+              followedSessionId === presenterSessionId
+                ? `Following ${followedUser.userName || 'Anonymous'}'s presentation`
+                : `Following ${followedUser.userName || 'Anonymous'}`
+            }
+            color={getUserColor(followedUser.userId)}
+            actionLabel="Stop following"
+            onStop={handleStopFollowing}
+          />
+        )}
+        {isPresenting && (
+          <FollowBanner
+            label="You're presenting: everyone is following your view"
+            color={getUserColor(user.uid)}
+            actionLabel="Stop presenting"
+            onStop={stopPresenting}
+          />
+        )}
+        <PresenceSidebar
+          onlineUsers={onlineUsers}
+          currentSessionId={sessionId}
+          followedSessionId={followedSessionId}
+          onFollowUser={handleFollowUser}
+          presenter={presenter}
+          isPresenting={isPresenting}
+          onStartPresenting={handleStartPresenting}
+          onStopPresenting={stopPresenting}
+        />
+        <CommentsSidebar
+          canvasId={canvasId}
+          user={user}
+          isOwner={userRole === 'owner'}
+          canComment={canComment}
+          isOpen={isCommentsOpen}
+          onClose={handleCloseComments}
+          threads={commentThreads}
+          members={commentMembers}
+          activeThreadId={activeCommentId}
+          onSelectThread={setActiveCommentId}
+          isPlacing={isPlacingComment}
+          onTogglePlacing={() => {
+            setCommentDraft(null);
+            setIsPlacingComment((placing) => !placing);
+          }}
+          draft={commentDraft}
+          onCancelDraft={() => setCommentDraft(null)}
+          onThreadCreated={(threadId) => {
+            setCommentDraft(null);
+            setActiveCommentId(threadId);
+          }}
         />
-        <PresenceSidebar onlineUsers={onlineUsers} currentSessionId={sessionId} />
       </main>
 
       <CanvasSettingsModal
@@ -204,6 +427,17 @@ function CanvasRoute({ sessionId }) {
         onClose={() => setIsUserSettingsModalOpen(false)}
         theme={theme}
         onThemeChange={setTheme}
+        snapEnabled={snapEnabled}
+        onSnapChange={setSnapEnabled}
+      />
+
+      <VersionHistoryPanel
+        canvasId={canvasId}
+        canvasName={canvasName}
+        user={user}
+        canEdit={canEdit}
+        isOpen={isHistoryPanelOpen}
+        onClose={() => setIsHistoryPanelOpen(false)}
       />
 
       <ShareCanvasModal
@@ -8,11 +8,13 @@ import styles from './CanvasSettingsModal.module.css';
  * Allows owners to:
  * - Change background color
  * - Toggle grid visibility
+ * - Switch between the fixed board and an infinite canvas
  * - Configure default permissions (future)
  */
 function CanvasSettingsModal({ canvasId, canvasName, isOpen, onClose, onSettingsChange }) {
   const [backgroundColor, setBackgroundColor] = useState('#1a1a1a');
   const [gridVisible, setGridVisible] = useState(false);
+  const [infinite, setInfinite] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [successMessage, setSuccessMessage] = useState('');
@@ -43,6 +45,7 @@ function CanvasSettingsModal({ canvasId, canvasName, isOpen, onClose, onSettings
       if (metadata?.settings) {
         setBackgroundColor(metadata.settings.backgroundColor || '#1a1a1a');
         setGridVisible(metadata.settings.gridVisible === true);
+        setInfinite(metadata.settings.infinite === true);
       }
     } catch (err) {
       reportError(err, { component: 'CanvasSettingsModal', action: 'loadSettings' });
@@ -59,6 +62,7 @@ function CanvasSettingsModal({ canvasId, canvasName, isOpen, onClose, onSettings
         settings: {
           backgroundColor,
           gridVisible,
+          infinite,
         },
       });
 
@@ -66,7 +70,7 @@ function CanvasSettingsModal({ canvasId, canvasName, isOpen, onClose, onSettings
 
       // Notify parent component of changes
       if (onSettingsChange) {
-        onSettingsChange({ backgroundColor, gridVisible });
+        onSettingsChange({ backgroundColor, gridVisible, infinite });
       }
 
       setTimeout(() => {
@@ -124,7 +128,7 @@ function CanvasSettingsModal({ canvasId, canvasName, isOpen, onClose, onSettings
         <div className={styles['settings-modal-header']}>
           <h2>Canvas Settings</h2>
           <p className={styles['settings-modal-subtitle']}>
-            Background and grid settings for this canvas
+            Background, grid and size settings for this canvas
           </p>
           <button
             className={styles['settings-modal-close']}
@@ -206,6 +210,28 @@ function CanvasSettingsModal({ canvasId, canvasName, isOpen, onClose, onSettings
               </span>
             </label>
           </div>
+
+          {/* Canvas Size Section */}
+          <div className={styles['settings-section']}>
+            <h3>Canvas Size</h3>
+            <p className={styles['settings-section-description']}>
+              An infinite canvas has no edges: pan and place shapes anywhere. Shapes keep their
+              positions when you switch; back on the 5000 × 5000 board, shapes outside it move onto
+              it when next edited.
+            </p>
+
+            <label className={styles['settings-toggle']}>
+              <input
+                type="checkbox"
+                checked={infinite}
+                onChange={(e) => setInfinite(e.target.checked)}
+              />
+              <span className={styles['settings-toggle-slider']}></span>
+              <span className={styles['settings-toggle-label']}>
+                {infinite ? 'Infinite Canvas' : 'Fixed Board'}
+              </span>
+            </label>
+          </div>
         </div>
 
         {/* Footer */}
@@ -76,9 +76,12 @@ function ChatPanel({
   updateShape,
   batchUpdateShapes,
   deleteShape,
+  groupShapes,
+  ungroupShapes,
   selectShape,
   deselectShape,
   viewport = { offsetX: 0, offsetY: 0, zoom: 1, centerX: 0, centerY: 0 },
+  infinite = false, // Infinite canvas: tools don't keep shapes inside the board
   svgRef, // SVG element reference for canvas capture
 }) {
   const [isOpen, setIsOpen] = useState(false);
@@ -110,11 +113,15 @@ function ChatPanel({
     updateShape,
     batchUpdateShapes,
     deleteShape,
+    groupShapes,
+    ungroupShapes,
     selectShape,
     deselectShape,
     viewport,
+    infinite,
     canvasId,
     userId: user?.uid,
+    userName: user?.displayName || user?.email,
   };
 
   // Use AI SDK's useChat hook for streaming with tool support
@@ -1,6 +1,7 @@
 import { memo } from 'react';
 import { SELECTION_COLOR, SELECTION_WIDTH } from '../utils/constants';
 import { getUserColor, getContrastColor } from '../utils/colorUtils';
+import { getStyleAttributes } from '../utils/styleUtils';
 
 /**
  * Circle component - SVG circle for collaborative canvas
@@ -14,6 +15,10 @@ const Circle = memo(function Circle({
   radius,
   color,
   rotation = 0,
+  strokeColor,
+  strokeWidth = 0,
+  strokeDash = 'solid',
+  opacity = 1,
   text = null,
   fontSize = 14,
   fontWeight = 'normal',
@@ -60,6 +65,8 @@ const Circle = memo(function Circle({
   // Rotation transform (circles don't visually rotate, but we keep it for consistency)
   const transform = rotation ? `rotate(${rotation} ${x} ${y})` : undefined;
 
+  const styleAttrs = getStyleAttributes({ strokeColor, strokeWidth, strokeDash, opacity });
+
   return (
     <g className="circle-group" transform={transform}>
       {/* Main circle */}
@@ -68,6 +75,7 @@ const Circle = memo(function Circle({
         cy={y}
         r={radius}
         fill={color}
+        {...styleAttrs}
         className={`canvas-circle ${isLocked ? 'locked' : ''}`}
         style={{
           cursor: cursorStyle,
@@ -84,6 +92,7 @@ const Circle = memo(function Circle({
           x={x}
           y={y}
           fill={textColor || getContrastColor(color)}
+          fillOpacity={styleAttrs.fillOpacity}
           fontSize={fontSize}
           fontWeight={fontWeight}
           fontStyle={fontStyle}
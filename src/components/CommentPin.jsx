@@ -0,0 +1,80 @@
+import { memo } from 'react';
+import { getUserColor, getContrastColor } from '../utils/colorUtils';
+
+const PIN_SIZE = 28;
+
+/**
+ * CommentPin component - SVG marker for a comment thread
+ * Drawn at the same size whatever the zoom, its tip on the pinned point, in the
+ * color of the thread's author. Shows the number of messages in the thread, or
+ * "+" for a comment still being written.
+ */
+function CommentPin({
+  threadId,
+  x,
+  y,
+  zoom,
+  authorId,
+  count = 0,
+  active,
+  resolved,
+  draft,
+  onSelect,
+}) {
+  const color = resolved ? '#8a8a8a' : getUserColor(authorId || '');
+  const textColor = getContrastColor(color);
+  const r = PIN_SIZE / 2;
+
+  const select = (e) => {
+    e.stopPropagation();
+    onSelect?.(threadId);
+  };
+
+  return (
+    <g
+      className="comment-pin"
+      transform={`translate(${x}, ${y}) scale(${1 / zoom})`}
+      role="button"
+      tabIndex={0}
+      aria-label={
+        draft
+          ? 'New comment'
+          : `Comment thread, ${count} message${count === 1 ? '' : 's'}${resolved ? ', resolved' : ''}`
+      }
+      aria-pressed={active}
+      style={{ cursor: 'pointer' }}
+      onMouseDown={(e) => e.stopPropagation()}
+      onClick={select}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          select(e);
+        }
+      }}
+    >
+      {/* Speech bubble whose square corner sits on the pinned point */}
+      <path
+        d={`M 0 0 L 0 ${-PIN_SIZE} L ${PIN_SIZE - r} ${-PIN_SIZE} A ${r} ${r} 0 0 1 ${PIN_SIZE} ${-r} A ${r} ${r} 0 0 1 ${PIN_SIZE - r} 0 Z`}
+        fill={color}
+        stroke={active ? 'white' : 'rgba(0, 0, 0, 0.35)'}
+        strokeWidth={active ? 3 : 1.5}
+        style={{ filter: 'drop-shadow(0 2px 4px rgba(0,0,0,0.35))' }}
+      />
+      <text
+        x={PIN_SIZE / 2}
+        y={-PIN_SIZE / 2}
+        textAnchor="middle"
+        dominantBaseline="central"
+        fill={textColor}
+        fontSize="12"
+        fontWeight="700"
+        fontFamily="system-ui, -apple-system, sans-serif"
+        style={{ pointerEvents: 'none', userSelect: 'none' }}
+      >
+        {draft ? '+' : resolved ? '✓' : count}
+      </text>
+    </g>
+  );
+}
+
+export default memo(CommentPin);
@@ -0,0 +1,421 @@
+import { useState, useEffect, useRef } from 'react';
+import {
+  createCommentThread,
+  replyToCommentThread,
+  setCommentThreadResolved,
+  deleteCommentThread,
+} from '../services/commentService';
+import { findMentions, getMentionQuery, splitMentions } from '../utils/commentUtils';
+import { formatEditTime } from '../utils/shapeHistoryUtils';
+import { MAX_COMMENT_LENGTH } from '../utils/constants';
+import { reportError } from '../utils/errorHandler';
+import styles from './CommentsSidebar.module.css';
+
+const MAX_SUGGESTIONS = 6;
+
+/**
+ * Comment text box with @mention suggestions: typing `@` lists the members
+ * whose name starts with what follows; Enter sends, Shift+Enter adds a line
+ */
+function CommentComposer({
+  members,
+  currentUserId,
+  placeholder,
+  submitLabel,
+  focusOnMount,
+  onSubmit,
+}) {
+  const [text, setText] = useState('');
+  const [mention, setMention] = useState(null);
+  const [highlighted, setHighlighted] = useState(0);
+  const [busy, setBusy] = useState(false);
+  const textareaRef = useRef(null);
+
+  useEffect(() => {
+    if (focusOnMount) textareaRef.current?.focus();
+  }, [focusOnMount]);
+
+  const suggestions = mention
+    ? members
+        .filter(
+          (member) =>
+            member.userId !== currentUserId &&
+            member.userName.toLowerCase().startsWith(mention.query.toLowerCase())
+        )
+        .slice(0, MAX_SUGGESTIONS)
+    : [];
+
+  const updateMention = (value, caret) => {
+    setMention(getMentionQuery(value, caret));
+    setHighlighted(0);
+  };
+
+  const insertMention = (member) => {
+    const caret = mention.start + 1 + mention.query.length;
+    const inserted = `@${member.userName} `;
+    const next = text.slice(0, mention.start) + inserted + text.slice(caret);
+    setText(next);
+    setMention(null);
+    requestAnimationFrame(() => {
+      const position = mention.start + inserted.length;
+      textareaRef.current?.focus();
+      textareaRef.current?.setSelectionRange(position, position);
+    });
+  };
+
+  const submit = async () => {
+    const trimmed = text.trim();
+    if (!trimmed || busy) return;
+    setBusy(true);
+    try {
+      await onSubmit(trimmed, findMentions(trimmed, members));
+      setText('');
+      setMention(null);
+    } catch {
+      // The caller reports the error; keep the text so it can be sent again
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setHighlighted((highlighted + step + suggestions.length) % suggestions.length);
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        insertMention(suggestions[highlighted]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        setMention(null);
+        return;
+      }
+    }
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      submit();
+    }
+  };
+
+  return (
+    <form
+      className={styles['comment-composer']}
+      onSubmit={(e) => {
+        e.preventDefault();
+        submit();
+      }}
+    >
+      <textarea
+        ref={textareaRef}
+        value={text}
+        rows={2}
+        maxLength={MAX_COMMENT_LENGTH}
+        placeholder={placeholder}
+        aria-label={placeholder}
+        onChange={(e) => {
+          setText(e.target.value);
+          updateMention(e.target.value, e.target.selectionStart);
+        }}
+        onSelect={(e) => updateMention(e.target.value, e.target.selectionStart)}
+        onKeyDown={handleKeyDown}
+      />
+      {suggestions.length > 0 && (
+        <ul className={styles['mention-suggestions']} role="listbox" aria-label="Mention someone">
+          {suggestions.map((member, index) => (
+            <li
+              key={member.userId}
+              role="option"
+              aria-selected={index === highlighted}
+              className={index === highlighted ? styles['highlighted'] : ''}
+              onMouseDown={(e) => {
+                // Keep the focus in the text box
+                e.preventDefault();
+                insertMention(member);
+              }}
+            >
+              @{member.userName}
+            </li>
+          ))}
+        </ul>
+      )}
+      <button type="submit" disabled={busy || !text.trim()}>
+        {submitLabel}
+      </button>
+    </form>
+  );
+}
+
+// Message text with the members it mentions highlighted
+function MessageText({ message, members, currentUserId }) {
+  const mentioned = members.filter((member) => message.mentions?.includes(member.userId));
+  return (
+    <p className={styles['comment-text']}>
+      {splitMentions(message.text || '', mentioned).map((segment, index) =>
+        segment.userId ? (
+          <span
+            key={index}
+            className={`${styles['mention']} ${segment.userId === currentUserId ? styles['mention-me'] : ''}`}
+          >
+            {segment.text}
+          </span>
+        ) : (
+          segment.text
+        )
+      )}
+    </p>
+  );
+}
+
+/**
+ * CommentsSidebar component - Comment threads pinned on the canvas
+ * Lists threads filtered by open or resolved. Owners, editors and commenters can:
+ * - Place a new comment on the canvas or on a shape and @mention members
+ * - Reply to, resolve and reopen threads
+ * - Delete threads they started (the owner can delete any)
+ * Viewers can only read.
+ */
+function CommentsSidebar({
+  canvasId,
+  user,
+  isOwner,
+  canComment,
+  isOpen,
+  onClose,
+  threads,
+  members,
+  activeThreadId,
+  onSelectThread,
+  isPlacing,
+  onTogglePlacing,
+  draft,
+  onCancelDraft,
+  onThreadCreated,
+}) {
+  const [filter, setFilter] = useState('open');
+  const [error, setError] = useState('');
+  const threadRefs = useRef(new Map());
+
+  const activeThread = threads.find((thread) => thread.id === activeThreadId);
+  const activeResolved = activeThread ? !!activeThread.resolved : null;
+  const openCount = threads.filter((thread) => !thread.resolved).length;
+  const visibleThreads = threads.filter((thread) => !!thread.resolved === (filter === 'resolved'));
+
+  // Show the selected thread (a pin may have been clicked) under the right filter
+  useEffect(() => {
+    if (activeResolved === null) return;
+    setFilter(activeResolved ? 'resolved' : 'open');
+    threadRefs.current.get(activeThreadId)?.scrollIntoView?.({ block: 'nearest' });
+  }, [activeThreadId, activeResolved]);
+
+  if (!isOpen) return null;
+
+  const userInfo = { userId: user?.uid, userName: user?.displayName || user?.email || '' };
+
+  const run = async (action, message, work) => {
+    setError('');
+    try {
+      return await work();
+    } catch (err) {
+      reportError(err, { component: 'CommentsSidebar', action });
+      setError(message);
+      throw err;
+    }
+  };
+
+  const handleCreate = (text, mentions) =>
+    run('createCommentThread', 'Failed to add the comment', async () => {
+      const threadId = await createCommentThread(canvasId, draft, { ...userInfo, text, mentions });
+      onThreadCreated(threadId);
+    });
+
+  const handleReply = (threadId) => (text, mentions) =>
+    run('replyToCommentThread', 'Failed to send the reply', () =>
+      replyToCommentThread(canvasId, threadId, { ...userInfo, text, mentions })
+    );
+
+  const handleResolve = (thread) =>
+    run('setCommentThreadResolved', 'Failed to update the thread', () =>
+      setCommentThreadResolved(canvasId, thread.id, !thread.resolved, user?.uid)
+    ).catch(() => {});
+
+  const handleDelete = (thread) => {
+    if (!window.confirm('Delete this comment thread and all its replies?')) return;
+    run('deleteCommentThread', 'Failed to delete the thread', () =>
+      deleteCommentThread(canvasId, thread.id)
+    )
+      .then(() => onSelectThread(null))
+      .catch(() => {});
+  };
+
+  return (
+    <aside className={styles['comments-sidebar']} aria-label="Comments">
+      <div className={styles['comments-header']}>
+        <h3>Comments</h3>
+        <button className={styles['comments-close']} onClick={onClose} aria-label="Close comments">
+          ✕
+        </button>
+      </div>
+
+      <div className={styles['comments-toolbar']}>
+        <div className={styles['comments-filter']} role="tablist" aria-label="Filter comments">
+          <button
+            role="tab"
+            aria-selected={filter === 'open'}
+            className={filter === 'open' ? styles['active'] : ''}
+            onClick={() => setFilter('open')}
+          >
+            Open ({openCount})
+          </button>
+          <button
+            role="tab"
+            aria-selected={filter === 'resolved'}
+            className={filter === 'resolved' ? styles['active'] : ''}
+            onClick={() => setFilter('resolved')}
+          >
+            Resolved ({threads.length - openCount})
+          </button>
+        </div>
+        {canComment && (
+          <button
+            className={`${styles['comments-add']} ${isPlacing ? styles['placing'] : ''}`}
+            onClick={onTogglePlacing}
+            aria-pressed={isPlacing}
+          >
+            {isPlacing ? 'Cancel' : '+ Comment'}
+          </button>
+        )}
+      </div>
+
+      {error && <div className={styles['comments-error']}>{error}</div>}
+
+      <div className={styles['comments-list']}>
+        {isPlacing && (
+          <p className={styles['comments-hint']}>
+            Click the canvas to place your comment, or a shape to pin it there.
+          </p>
+        )}
+
+        {draft && (
+          <div className={`${styles['comment-thread']} ${styles['active']}`}>
+            <div className={styles['comment-thread-title']}>
+              New comment {draft.shapeId ? 'on a shape' : 'on the canvas'}
+            </div>
+            <CommentComposer
+              members={members}
+              currentUserId={user?.uid}
+              placeholder="Add a comment… (@ to mention)"
+              submitLabel="Comment"
+              focusOnMount
+              onSubmit={handleCreate}
+            />
+            <button className={styles['comment-secondary-btn']} onClick={onCancelDraft}>
+              Discard
+            </button>
+          </div>
+        )}
+
+        {visibleThreads.length === 0 && !draft && !isPlacing && (
+          <p className={styles['comments-hint']}>
+            {filter === 'resolved'
+              ? 'No resolved comments.'
+              : canComment
+                ? 'No open comments. Add one to start a discussion on the canvas.'
+                : 'No open comments.'}
+          </p>
+        )}
+
+        {visibleThreads.map((thread) => {
+          const isActive = thread.id === activeThreadId;
+          const [first, ...replies] = thread.messages;
+          const mentionsMe = thread.messages.some((message) =>
+            message.mentions?.includes(user?.uid)
+          );
+          const canDelete = canComment && (isOwner || thread.createdBy === user?.uid);
+
+          return (
+            // eslint-disable-next-line jsx-a11y/no-static-element-interactions, jsx-a11y/click-events-have-key-events
+            <div
+              key={thread.id}
+              ref={(el) => {
+                if (el) threadRefs.current.set(thread.id, el);
+                else threadRefs.current.delete(thread.id);
+              }}
+              className={`${styles['comment-thread']} ${isActive ? styles['active'] : ''}`}
+              onClick={() => !isActive && onSelectThread(thread.id)}
+            >
+              <div className={styles['comment-thread-title']}>
+                <span>{thread.createdByName || 'Someone'}</span>
+                {mentionsMe && <span className={styles['mention-badge']}>@ you</span>}
+                <span className={styles['comment-time']}>{formatEditTime(thread.createdAt)}</span>
+              </div>
+
+              {first && <MessageText message={first} members={members} currentUserId={user?.uid} />}
+
+              {!isActive && replies.length > 0 && (
+                <button
+                  className={styles['comment-replies-link']}
+                  onClick={() => onSelectThread(thread.id)}
+                >
+                  {replies.length} {replies.length === 1 ? 'reply' : 'replies'}
+                </button>
+              )}
+
+              {isActive && (
+                <>
+                  {replies.map((message) => (
+                    <div key={message.id} className={styles['comment-reply']}>
+                      <div className={styles['comment-thread-title']}>
+                        <span>{message.userName || 'Someone'}</span>
+                        <span className={styles['comment-time']}>
+                          {formatEditTime(message.createdAt)}
+                        </span>
+                      </div>
+                      <MessageText message={message} members={members} currentUserId={user?.uid} />
+                    </div>
+                  ))}
+
+                  {canComment && !thread.resolved && (
+                    <CommentComposer
+                      members={members}
+                      currentUserId={user?.uid}
+                      placeholder="Reply… (@ to mention)"
+                      submitLabel="Reply"
+                      onSubmit={handleReply(thread.id)}
+                    />
+                  )}
+
+                  {canComment && (
+                    <div className={styles['comment-actions']}>
+                      <button
+                        className={styles['comment-secondary-btn']}
+                        onClick={() => handleResolve(thread)}
+                      >
+                        {thread.resolved ? 'Reopen' : 'Resolve'}
+                      </button>
+                      {canDelete && (
+                        <button
+                          className={`${styles['comment-secondary-btn']} ${styles['danger']}`}
+                          onClick={() => handleDelete(thread)}
+                        >
+                          Delete
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </aside>
+  );
+}
+
+export default CommentsSidebar;
@@ -0,0 +1,121 @@
+import { memo } from 'react';
+import {
+  SELECTION_COLOR,
+  DEFAULT_CONNECTOR_COLOR,
+  DEFAULT_CONNECTOR_STROKE_WIDTH,
+} from '../utils/constants';
+import { pointsToPathData, getArrowheadPath } from '../utils/connectorUtils';
+
+// Invisible stroke around the line so thin connectors are easy to grab
+const HIT_STROKE_WIDTH = 12;
+
+/**
+ * Connector component - SVG line or arrow between two points
+ * `points` is the resolved route (see getConnectorRoute), so ends bound to
+ * other shapes are already at those shapes' anchors
+ * Memoized for performance with large numbers of objects
+ */
+const Connector = memo(function Connector({
+  id,
+  points,
+  color = DEFAULT_CONNECTOR_COLOR,
+  strokeWidth = DEFAULT_CONNECTOR_STROKE_WIDTH,
+  startArrowhead = 'none',
+  endArrowhead = 'arrow',
+  isSelected = false,
+  isLocked = false,
+  cursorStyle = 'default',
+  onClick,
+  onMouseDown,
+  onContextMenu,
+}) {
+  if (!points || points.length < 2) return null;
+
+  const handleClick = (e) => {
+    e.stopPropagation();
+    if (onClick) {
+      onClick(id, e);
+    }
+  };
+
+  const handleMouseDown = (e) => {
+    e.stopPropagation();
+    if (onMouseDown) {
+      onMouseDown(id, e);
+    }
+  };
+
+  const handleContextMenu = (e) => {
+    e.stopPropagation();
+    if (onContextMenu) {
+      onContextMenu(e);
+    }
+  };
+
+  const pathData = pointsToPathData(points);
+  const arrowheads = [
+    getArrowheadPath(points[0], points[1], startArrowhead, strokeWidth),
+    getArrowheadPath(
+      points[points.length - 1],
+      points[points.length - 2],
+      endArrowhead,
+      strokeWidth
+    ),
+  ].filter(Boolean);
+
+  return (
+    <g className="connector-group">
+      {/* Selection highlight (drawn under the line) */}
+      {isSelected && (
+        <path
+          d={pathData}
+          fill="none"
+          stroke={SELECTION_COLOR}
+          strokeWidth={strokeWidth + 4}
+          strokeLinejoin="round"
+          strokeLinecap="round"
+          opacity={0.5}
+          className="selection-highlight"
+          style={{ pointerEvents: 'none' }}
+        />
+      )}
+
+      <path
+        d={pathData}
+        fill="none"
+        stroke={isLocked && !isSelected ? 'rgba(255, 100, 100, 0.8)' : color}
+        strokeWidth={strokeWidth}
+        strokeLinejoin="round"
+        className={`canvas-connector ${isLocked ? 'locked' : ''}`}
+        style={{ pointerEvents: 'none' }}
+      />
+
+      {arrowheads.map((arrowhead, i) => (
+        <path
+          key={i}
+          d={arrowhead.d}
+          fill={arrowhead.filled ? color : 'none'}
+          stroke={color}
+          strokeWidth={strokeWidth}
+          strokeLinejoin="round"
+          strokeLinecap="round"
+          style={{ pointerEvents: 'none' }}
+        />
+      ))}
+
+      {/* Hit area */}
+      <path
+        d={pathData}
+        fill="none"
+        stroke="transparent"
+        strokeWidth={Math.max(HIT_STROKE_WIDTH, strokeWidth + 6)}
+        style={{ cursor: cursorStyle }}
+        onClick={handleClick}
+        onMouseDown={handleMouseDown}
+        onContextMenu={handleContextMenu}
+      />
+    </g>
+  );
+});
+
+export default Connector;
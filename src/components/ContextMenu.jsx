@@ -1,11 +1,18 @@
 import React, { useEffect, useRef } from 'react';
+import { ARROWHEAD_STYLES, CONNECTOR_ROUTING } from '../utils/constants';
 import './ContextMenu.css';
 
 /**
  * Context menu that appears on right-click
- * Supports z-order operations and alignment (when multiple items selected)
+ * Supports z-order operations, alignment (when multiple items selected), export,
+ * line options when a single connector is selected and a single shape's history
  */
 
+const ARROWHEAD_LABELS = { none: 'None', arrow: 'Arrow', triangle: 'Triangle', circle: 'Dot' };
+
+const nextArrowhead = (style) =>
+  ARROWHEAD_STYLES[(ARROWHEAD_STYLES.indexOf(style) + 1) % ARROWHEAD_STYLES.length];
+
 const activateOnEnterOrSpace = (e) => {
   if (e.key === 'Enter' || e.key === ' ') {
     e.preventDefault();
@@ -13,7 +20,20 @@ const activateOnEnterOrSpace = (e) => {
   }
 };
 
-function ContextMenu({ x, y, onSendToFront, onSendToBack, onAlign, onClose, selectedCount = 1 }) {
+function ContextMenu({
+  x,
+  y,
+  onSendToFront,
+  onSendToBack,
+  onAlign,
+  onExportSvg,
+  onExportPng,
+  onClose,
+  selectedCount = 1,
+  connector = null,
+  onUpdateConnector,
+  onShowHistory,
+}) {
   const menuRef = useRef(null);
 
   // Focus the menu on mount and handle keyboard navigation
@@ -65,7 +85,34 @@ function ContextMenu({ x, y, onSendToFront, onSendToBack, onAlign, onClose, sele
     onClose();
   };
 
+  const handleExportSvg = (e) => {
+    e.stopPropagation();
+    onExportSvg();
+    onClose();
+  };
+
+  const handleExportPng = (e) => {
+    e.stopPropagation();
+    onExportPng();
+    onClose();
+  };
+
+  const handleConnectorUpdate = (updates) => (e) => {
+    e.stopPropagation();
+    onUpdateConnector(updates);
+    onClose();
+  };
+
+  const handleShowHistory = (e) => {
+    e.stopPropagation();
+    onShowHistory();
+    onClose();
+  };
+
   const itemLabel = selectedCount > 1 ? `${selectedCount} items` : 'item';
+  const isElbow = connector?.routing === CONNECTOR_ROUTING.ELBOW;
+  const startArrowhead = connector?.startArrowhead || 'none';
+  const endArrowhead = connector?.endArrowhead || 'arrow';
 
   return (
     <div
@@ -102,6 +149,90 @@ function ContextMenu({ x, y, onSendToFront, onSendToBack, onAlign, onClose, sele
         {selectedCount > 1 && <span className="context-menu-count">({itemLabel})</span>}
       </div>
 
+      {connector && onUpdateConnector && (
+        <>
+          <div className="context-menu-divider" role="separator" />
+          <div className="context-menu-section-title">Connector</div>
+          <div
+            className="context-menu-item"
+            role="menuitem"
+            tabIndex={-1}
+            onClick={handleConnectorUpdate({
+              routing: isElbow ? CONNECTOR_ROUTING.STRAIGHT : CONNECTOR_ROUTING.ELBOW,
+            })}
+            onKeyDown={activateOnEnterOrSpace}
+          >
+            <span className="context-menu-icon">{isElbow ? '╱' : '┐'}</span>
+            <span>{isElbow ? 'Straight Line' : 'Elbow Line'}</span>
+          </div>
+          <div
+            className="context-menu-item"
+            role="menuitem"
+            tabIndex={-1}
+            onClick={handleConnectorUpdate({ startArrowhead: nextArrowhead(startArrowhead) })}
+            onKeyDown={activateOnEnterOrSpace}
+          >
+            <span className="context-menu-icon">◀</span>
+            <span>Start: {ARROWHEAD_LABELS[startArrowhead]}</span>
+          </div>
+          <div
+            className="context-menu-item"
+            role="menuitem"
+            tabIndex={-1}
+            onClick={handleConnectorUpdate({ endArrowhead: nextArrowhead(endArrowhead) })}
+            onKeyDown={activateOnEnterOrSpace}
+          >
+            <span className="context-menu-icon">▶</span>
+            <span>End: {ARROWHEAD_LABELS[endArrowhead]}</span>
+          </div>
+        </>
+      )}
+
+      {onExportSvg && (
+        <>
+          <div className="context-menu-divider" role="separator" />
+          <div
+            className="context-menu-item"
+            role="menuitem"
+            tabIndex={-1}
+            onClick={handleExportSvg}
+            onKeyDown={activateOnEnterOrSpace}
+          >
+            <span className="context-menu-icon">💾</span>
+            <span>Export as SVG</span>
+            {selectedCount > 1 && <span className="context-menu-count">({itemLabel})</span>}
+          </div>
+          {onExportPng && (
+            <div
+              className="context-menu-item"
+              role="menuitem"
+              tabIndex={-1}
+              onClick={handleExportPng}
+              onKeyDown={activateOnEnterOrSpace}
+            >
+              <span className="context-menu-icon">🖼️</span>
+              <span>Export as PNG…</span>
+            </div>
+          )}
+        </>
+      )}
+
+      {selectedCount === 1 && onShowHistory && (
+        <>
+          <div className="context-menu-divider" role="separator" />
+          <div
+            className="context-menu-item"
+            role="menuitem"
+            tabIndex={-1}
+            onClick={handleShowHistory}
+            onKeyDown={activateOnEnterOrSpace}
+          >
+            <span className="context-menu-icon">🕘</span>
+            <span>Show History</span>
+          </div>
+        </>
+      )}
+
       {/* Alignment options - only show when multiple items selected */}
       {selectedCount > 1 && onAlign && (
         <>
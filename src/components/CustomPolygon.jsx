@@ -1,6 +1,7 @@
 import { memo } from 'react';
 import { SELECTION_COLOR, SELECTION_WIDTH } from '../utils/constants';
 import { getUserColor, getContrastColor } from '../utils/colorUtils';
+import { getStyleAttributes } from '../utils/styleUtils';
 
 /**
  * CustomPolygon component - SVG polygon with arbitrary vertices for collaborative canvas
@@ -12,6 +13,10 @@ const CustomPolygon = memo(function CustomPolygon({
   vertices, // Array of {x, y} points
   color,
   rotation = 0,
+  strokeColor,
+  strokeWidth = 0,
+  strokeDash = 'solid',
+  opacity = 1,
   text = null,
   fontSize = 14,
   fontWeight = 'normal',
@@ -69,12 +74,15 @@ const CustomPolygon = memo(function CustomPolygon({
   // Rotation transform around centroid
   const transform = rotation ? `rotate(${rotation} ${centroidX} ${centroidY})` : undefined;
 
+  const styleAttrs = getStyleAttributes({ strokeColor, strokeWidth, strokeDash, opacity });
+
   return (
     <g className="custom-polygon-group" transform={transform}>
       {/* Main polygon */}
       <polygon
         points={points}
         fill={color}
+        {...styleAttrs}
         className={`canvas-custom-polygon ${isLocked ? 'locked' : ''}`}
         style={{
           cursor: cursorStyle,
@@ -91,6 +99,7 @@ const CustomPolygon = memo(function CustomPolygon({
           x={centroidX}
           y={centroidY}
           fill={textColor || getContrastColor(color)}
+          fillOpacity={styleAttrs.fillOpacity}
           fontSize={fontSize}
           fontWeight={fontWeight}
           fontStyle={fontStyle}
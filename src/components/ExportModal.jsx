@@ -0,0 +1,256 @@
+import { useState, useEffect, useMemo } from 'react';
+import { EXPORT_SCALES } from '../utils/constants';
+import { getExportRegion, shapesToSvg, embedImages } from '../utils/svgExport';
+import { exportShapesToPng, getPngExportSize } from '../utils/canvasCapture';
+import { downloadBlob, getExportFilename } from '../utils/download';
+import { reportError } from '../utils/errorHandler';
+import { isFrame, expandWithFrameChildren } from '../utils/frameUtils';
+import styles from './ExportModal.module.css';
+
+const SCOPE_OPTIONS = [
+  { value: 'viewport', label: 'Viewport' },
+  { value: 'selection', label: 'Selection' },
+  { value: 'frame', label: 'Frame' },
+  { value: 'full', label: 'All content' },
+];
+
+/**
+ * ExportModal component - Download the canvas as PNG or SVG
+ * Options:
+ * - Scope: current viewport, selection bounds, a single frame or all content
+ * - Scale (PNG only): 1x / 2x / 4x, reduced automatically for very large exports
+ * - Background: canvas color or transparent
+ */
+function ExportModal({
+  isOpen,
+  onClose,
+  initialScope = 'full',
+  canvasName,
+  shapes,
+  selectedIds,
+  initialFrameId = null,
+  viewport,
+  containerSize,
+  backgroundColor,
+  infinite = false,
+}) {
+  const [format, setFormat] = useState('png');
+  const [scope, setScope] = useState(initialScope);
+  const [frameId, setFrameId] = useState(initialFrameId);
+  const [scale, setScale] = useState(2);
+  const [transparent, setTransparent] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState('');
+
+  const hasSelection = selectedIds.length > 0;
+  const frames = useMemo(() => shapes.filter((s) => isFrame(s)), [shapes]);
+  const frame = frames.find((f) => f.id === frameId);
+
+  // Reset scope whenever the dialog is (re)opened
+  useEffect(() => {
+    if (isOpen) {
+      const unavailable =
+        (initialScope === 'selection' && !hasSelection) ||
+        (initialScope === 'frame' && frames.length === 0);
+      setScope(unavailable ? 'full' : initialScope);
+      setFrameId(initialFrameId || frames[0]?.id || null);
+      setError('');
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps -- only re-run when the dialog opens
+  }, [isOpen, initialScope]);
+
+  const scopedShapes = useMemo(() => {
+    if (scope === 'selection') return shapes.filter((s) => selectedIds.includes(s.id));
+    if (scope === 'frame') {
+      const ids = expandWithFrameChildren(frameId ? [frameId] : [], shapes);
+      return shapes.filter((s) => ids.includes(s.id));
+    }
+    return shapes;
+  }, [scope, shapes, selectedIds, frameId]);
+
+  const region = useMemo(
+    () =>
+      getExportRegion(scope, { shapes, selectedIds, frameId, viewport, containerSize, infinite }),
+    [scope, shapes, selectedIds, frameId, viewport, containerSize, infinite]
+  );
+
+  const pngSize = region ? getPngExportSize(region, scale) : null;
+
+  const handleExport = async () => {
+    if (!region) return;
+    setExporting(true);
+    setError('');
+
+    const exportBackground = transparent ? null : backgroundColor;
+    const suffix =
+      scope === 'selection' ? ' selection' : scope === 'frame' ? ` ${frame?.name || 'frame'}` : '';
+    const baseName = `${canvasName || 'canvas'}${suffix}`;
+
+    try {
+      if (format === 'png') {
+        const blob = await exportShapesToPng(scopedShapes, {
+          region,
+          scale,
+          backgroundColor: exportBackground,
+        });
+        downloadBlob(blob, getExportFilename(baseName, 'png'));
+      } else {
+        const imageData = await embedImages(scopedShapes);
+        const svg = shapesToSvg(scopedShapes, {
+          region,
+          imageData,
+          backgroundColor: exportBackground,
+        });
+        downloadBlob(
+          new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }),
+          getExportFilename(baseName, 'svg')
+        );
+      }
+      onClose();
+    } catch (err) {
+      reportError(err, { component: 'ExportModal', action: 'handleExport', format, scope });
+      setError('Export failed. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    // eslint-disable-next-line jsx-a11y/no-static-element-interactions
+    <div
+      className={styles['export-modal-overlay']}
+      onClick={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+      onKeyDown={(e) => {
+        if (e.key === 'Escape') onClose();
+      }}
+    >
+      <div
+        className={styles['export-modal']}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="export-modal-title"
+      >
+        <div className={styles['export-modal-header']}>
+          <h2 id="export-modal-title">Export</h2>
+          <button className={styles['export-modal-close']} onClick={onClose} aria-label="Close">
+            ✕
+          </button>
+        </div>
+
+        <div className={styles['export-modal-content']}>
+          {error && <div className={styles['export-modal-error']}>{error}</div>}
+
+          <fieldset className={styles['export-option']}>
+            <legend>Format</legend>
+            <div className={styles['export-segmented']}>
+              {['png', 'svg'].map((value) => (
+                <button
+                  key={value}
+                  className={format === value ? styles.active : ''}
+                  onClick={() => setFormat(value)}
+                  aria-pressed={format === value}
+                >
+                  {value.toUpperCase()}
+                </button>
+              ))}
+            </div>
+          </fieldset>
+
+          <fieldset className={styles['export-option']}>
+            <legend>Area</legend>
+            <div className={styles['export-segmented']}>
+              {SCOPE_OPTIONS.map((option) => (
+                <button
+                  key={option.value}
+                  className={scope === option.value ? styles.active : ''}
+                  onClick={() => setScope(option.value)}
+                  disabled={
+                    (option.value === 'selection' && !hasSelection) ||
+                    (option.value === 'frame' && frames.length === 0)
+                  }
+                  aria-pressed={scope === option.value}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            {scope === 'frame' && (
+              <select
+                className={styles['export-frame-select']}
+                value={frameId || ''}
+                onChange={(e) => setFrameId(e.target.value)}
+                aria-label="Frame to export"
+              >
+                {frames.map((f) => (
+                  <option key={f.id} value={f.id}>
+                    {f.name || 'Frame'}
+                  </option>
+                ))}
+              </select>
+            )}
+          </fieldset>
+
+          {format === 'png' && (
+            <fieldset className={styles['export-option']}>
+              <legend>Scale</legend>
+              <div className={styles['export-segmented']}>
+                {EXPORT_SCALES.map((value) => (
+                  <button
+                    key={value}
+                    className={scale === value ? styles.active : ''}
+                    onClick={() => setScale(value)}
+                    aria-pressed={scale === value}
+                  >
+                    {value}x
+                  </button>
+                ))}
+              </div>
+            </fieldset>
+          )}
+
+          <label className={styles['export-checkbox']}>
+            <input
+              type="checkbox"
+              checked={transparent}
+              onChange={(e) => setTransparent(e.target.checked)}
+            />
+            Transparent background
+          </label>
+
+          <p className={styles['export-summary']}>
+            {!region && 'Nothing to export in this area.'}
+            {region && format === 'png' && (
+              <>
+                {pngSize.width} × {pngSize.height} px
+                {pngSize.limited &&
+                  ` — scale reduced to ${pngSize.scale.toFixed(2)}x to stay within browser limits`}
+              </>
+            )}
+            {region &&
+              format === 'svg' &&
+              `${Math.round(region.width)} × ${Math.round(region.height)} canvas units`}
+          </p>
+        </div>
+
+        <div className={styles['export-modal-footer']}>
+          <button className={styles['export-cancel-btn']} onClick={onClose} disabled={exporting}>
+            Cancel
+          </button>
+          <button
+            className={styles['export-confirm-btn']}
+            onClick={handleExport}
+            disabled={exporting || !region}
+          >
+            {exporting ? 'Exporting...' : `Export ${format.toUpperCase()}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ExportModal;
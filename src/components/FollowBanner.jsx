@@ -0,0 +1,25 @@
+import { memo } from 'react';
+import styles from './FollowBanner.module.css';
+
+/**
+ * FollowBanner component - Frames the canvas while following someone's view or
+ * presenting, with a way to stop
+ * @param {string} label - What's happening, e.g. "Following Ada"
+ * @param {string} color - Frame and banner color
+ * @param {string} actionLabel - Label of the stop button
+ * @param {function} onStop - Stops following or presenting
+ */
+const FollowBanner = memo(function FollowBanner({ label, color, actionLabel, onStop }) {
+  return (
+    <div className={styles['follow-frame']} style={{ borderColor: color }}>
+      <div className={styles['follow-banner']} style={{ backgroundColor: color }} role="status">
+        <span>{label}</span>
+        <button className={styles['follow-stop']} onClick={onStop}>
+          {actionLabel}
+        </button>
+      </div>
+    </div>
+  );
+});
+
+export default FollowBanner;
@@ -0,0 +1,137 @@
+import { memo } from 'react';
+import {
+  SELECTION_COLOR,
+  SELECTION_WIDTH,
+  DEFAULT_FRAME_COLOR,
+  FRAME_BORDER_COLOR,
+  FRAME_LABEL_FONT_SIZE,
+} from '../utils/constants';
+import { getUserColor, getContrastColor } from '../utils/colorUtils';
+
+/**
+ * Frame component - Named container (artboard) for collaborative canvas
+ * Draws the frame background and its name above the top-left corner;
+ * ShapeRenderer draws the children on top, clipped to the frame
+ * Memoized for performance with large numbers of objects
+ */
+const Frame = memo(function Frame({
+  id,
+  x,
+  y,
+  width,
+  height,
+  color = DEFAULT_FRAME_COLOR,
+  name = 'Frame',
+  isSelected = false,
+  isLocked = false,
+  cursorStyle = 'default',
+  lockedBy = null,
+  lockedByUserName = null,
+  onClick,
+  onMouseDown,
+  onContextMenu,
+}) {
+  const handleClick = (e) => {
+    e.stopPropagation();
+    if (onClick) {
+      onClick(id, e);
+    }
+  };
+
+  const handleMouseDown = (e) => {
+    e.stopPropagation();
+    if (onMouseDown) {
+      onMouseDown(id, e);
+    }
+  };
+
+  const handleContextMenu = (e) => {
+    e.stopPropagation();
+    if (onContextMenu) {
+      onContextMenu(e);
+    }
+  };
+
+  return (
+    <g className="frame-group">
+      {/* Frame name (clicking it selects the frame, like its background) */}
+      <text
+        x={x}
+        y={y - 6}
+        fill={isSelected ? SELECTION_COLOR : '#666'}
+        fontSize={FRAME_LABEL_FONT_SIZE}
+        fontWeight="500"
+        fontFamily="system-ui, -apple-system, sans-serif"
+        style={{ userSelect: 'none', cursor: cursorStyle }}
+        onClick={handleClick}
+        onMouseDown={handleMouseDown}
+        onContextMenu={handleContextMenu}
+      >
+        {name}
+      </text>
+
+      {/* Background */}
+      <rect
+        x={x}
+        y={y}
+        width={width}
+        height={height}
+        fill={color}
+        stroke={isLocked && !isSelected ? 'rgba(255, 100, 100, 0.8)' : FRAME_BORDER_COLOR}
+        strokeWidth={1}
+        className={`canvas-frame ${isLocked ? 'locked' : ''}`}
+        style={{ cursor: cursorStyle }}
+        onClick={handleClick}
+        onMouseDown={handleMouseDown}
+        onContextMenu={handleContextMenu}
+      />
+
+      {/* Selection highlight */}
+      {isSelected && (
+        <rect
+          x={x}
+          y={y}
+          width={width}
+          height={height}
+          fill="none"
+          stroke={SELECTION_COLOR}
+          strokeWidth={SELECTION_WIDTH}
+          className="selection-highlight"
+          style={{ pointerEvents: 'none' }}
+        />
+      )}
+
+      {/* Show user name label for locked frame (right-aligned so it doesn't cover the name) */}
+      {isLocked && !isSelected && lockedByUserName && (
+        <g transform={`translate(${x + width - (lockedByUserName.length * 7 + 12)}, ${y - 26})`}>
+          <rect
+            x="0"
+            y="0"
+            width={lockedByUserName.length * 7 + 12}
+            height="22"
+            fill={getUserColor(lockedBy)}
+            rx="4"
+            ry="4"
+            style={{
+              filter: 'drop-shadow(0 2px 4px rgba(0,0,0,0.3))',
+              pointerEvents: 'none',
+            }}
+          />
+          <text
+            x="6"
+            y="15"
+            fill={getContrastColor(getUserColor(lockedBy))}
+            fontSize="12"
+            fontWeight="600"
+            fontFamily="system-ui, -apple-system, sans-serif"
+            style={{ pointerEvents: 'none', userSelect: 'none' }}
+          >
+            {lockedByUserName}
+          </text>
+        </g>
+      )}
+    </g>
+  );
+});
+
+export default Frame;
@@ -1,78 +1,375 @@
-import { useEffect, useRef, useState } from 'react';
+import { useEffect, useLayoutEffect, useRef, useState } from 'react';
 import {
+  SHAPE_TYPES,
   FONT_SIZES,
   DEFAULT_FONT_SIZE,
   DEFAULT_TEXT_COLOR,
   DEFAULT_TEXT_BACKGROUND_COLOR,
+  TEXT_ALIGNMENTS,
+  FONT_FAMILIES,
+  DEFAULT_FONT_FAMILY,
+  LINE_HEIGHTS,
+  DEFAULT_LINE_HEIGHT,
+  STICKY_TEXT_COLOR,
 } from '../utils/constants';
+import {
+  getRichText,
+  plainTextToRichText,
+  richTextToHtml,
+  htmlToRichText,
+  richTextToPlainText,
+  isSameRichText,
+  isSafeLink,
+  getTextOffset,
+  getRangeAtOffset,
+} from '../utils/richTextUtils';
+import { isSticky, getStickyHeight } from '../utils/stickyUtils';
+import { useCollaborativeText } from '../hooks/useCollaborativeText';
 import ColorPicker from './ColorPicker';
 import styles from './InlineTextEditor.module.css';
 
+// Inline formatting buttons: execCommand name, label, title
+const MARK_BUTTONS = [
+  { command: 'bold', label: <strong>B</strong>, title: 'Bold (Cmd/Ctrl+B)' },
+  { command: 'italic', label: <em>I</em>, title: 'Italic (Cmd/Ctrl+I)' },
+  { command: 'underline', label: <u>U</u>, title: 'Underline (Cmd/Ctrl+U)' },
+  { command: 'strikeThrough', label: <s>S</s>, title: 'Strikethrough (Cmd/Ctrl+Shift+X)' },
+  { command: 'insertUnorderedList', label: '•', title: 'Bulleted list' },
+  { command: 'insertOrderedList', label: '1.', title: 'Numbered list' },
+];
+
+const ALIGN_LABELS = { left: 'L', center: 'C', right: 'R' };
+
+// The editor's selection as plain-text offsets, or null when it's elsewhere
+const getSelectionOffsets = (editor) => {
+  const selection = window.getSelection();
+  if (!editor || !selection || selection.rangeCount === 0) return null;
+  if (!editor.contains(selection.anchorNode) || !editor.contains(selection.focusNode)) return null;
+  return {
+    anchor: getTextOffset(editor, selection.anchorNode, selection.anchorOffset),
+    focus: getTextOffset(editor, selection.focusNode, selection.focusOffset),
+  };
+};
+
+// Screen boxes of the text between two offsets, relative to `origin`
+const getTextRects = (editor, origin, start, end) => {
+  const range = getRangeAtOffset(editor, start);
+  if (end !== start) {
+    const endRange = getRangeAtOffset(editor, end);
+    range.setEnd(endRange.startContainer, endRange.startOffset);
+  }
+  let rects = Array.from(range.getClientRects());
+  // Collapsed ranges on empty lines have no boxes; use the line itself
+  if (rects.length === 0 && range.startContainer.getBoundingClientRect) {
+    rects = [range.startContainer.getBoundingClientRect()];
+  }
+  return rects.map((rect) => ({
+    left: rect.left - origin.left,
+    top: rect.top - origin.top,
+    width: rect.width,
+    height: rect.height,
+  }));
+};
+
 /**
- * InlineTextEditor - Renders an inline textarea overlaid on the canvas for text editing
+ * InlineTextEditor - Renders an inline text editor overlaid on the canvas.
+ * In text boxes, inline formatting (bold, italic, underline, strikethrough, links,
+ * lists) lives in the text itself and alignment, font and line height apply to the
+ * whole box. Labels of other shapes are plain text, bold/italic as a whole. Sticky
+ * notes are plain text with no toolbar; they grow taller when the text needs it.
+ * Several people can edit a text box's text at once: changes merge character by
+ * character and the others' carets and selections show in their colors.
  * @param {object} shape - The shape being edited
- * @param {string} text - Current text value
- * @param {function} onTextChange - Callback when text changes
- * @param {function} onFinish - Callback when editing is complete (receives updates object)
+ * @param {string} text - Current plain text value
+ * @param {function} onTextChange - Callback with the plain text as it changes
+ * @param {function} onFinish - Callback when editing is complete (receives save flag and
+ *   the changed fields, including `text` and `richText` when the content changed)
  * @param {object} viewport - Current viewport (zoom, offsetX, offsetY)
  * @param {object} containerSize - Canvas container size
+ * @param {number} canvasHeight - Board height sticky notes grow within (Infinity when infinite)
+ * @param {string} canvasId - Canvas the shape is on, for collaborative editing
+ * @param {string} sessionId - This tab's presence session, identifying its edits and caret
+ * @param {object} user - Current user, to label the caret others see
  */
-function InlineTextEditor({ shape, text, onTextChange, onFinish, viewport, containerSize }) {
-  const textareaRef = useRef(null);
-
-  // Text formatting state
-  const [fontSize, setFontSize] = useState(shape.fontSize || DEFAULT_FONT_SIZE);
-  const [isBold, setIsBold] = useState(shape.fontWeight === 'bold' || false);
-  const [isItalic, setIsItalic] = useState(shape.fontStyle === 'italic' || false);
-  const [textColor, setTextColor] = useState(shape.textColor || shape.color || DEFAULT_TEXT_COLOR);
-  const [backgroundColor, setBackgroundColor] = useState(
-    shape.backgroundColor || DEFAULT_TEXT_BACKGROUND_COLOR
-  );
+function InlineTextEditor({
+  shape,
+  text,
+  onTextChange,
+  onFinish,
+  viewport,
+  containerSize,
+  canvasHeight,
+  canvasId,
+  sessionId,
+  user,
+}) {
+  const editorRef = useRef(null);
+  const bodyRef = useRef(null);
+  const linkInputRef = useRef(null);
+  const savedRangeRef = useRef(null);
+  const isRichText = shape.type === SHAPE_TYPES.TEXT;
+  const isStickyNote = isSticky(shape);
 
-  // Focus the textarea when component mounts
-  useEffect(() => {
-    if (textareaRef.current) {
-      textareaRef.current.focus();
-      textareaRef.current.select();
+  // Formatting as the editor opened, to report only what changed
+  const initialRef = useRef(null);
+  if (!initialRef.current) {
+    initialRef.current = {
+      text,
+      richText: isRichText ? getRichText({ ...shape, text }) : plainTextToRichText(text),
+      fontSize: shape.fontSize || DEFAULT_FONT_SIZE,
+      textColor: shape.textColor || shape.color || DEFAULT_TEXT_COLOR,
+      backgroundColor: shape.backgroundColor || DEFAULT_TEXT_BACKGROUND_COLOR,
+      textAlign: shape.textAlign || 'left',
+      fontFamily: shape.fontFamily || DEFAULT_FONT_FAMILY,
+      lineHeight: shape.lineHeight || DEFAULT_LINE_HEIGHT,
+      fontWeight: shape.fontWeight || 'normal',
+      fontStyle: shape.fontStyle || 'normal',
+    };
+  }
+  const initial = initialRef.current;
+
+  // Box formatting state
+  const [fontSize, setFontSize] = useState(initial.fontSize);
+  const [textColor, setTextColor] = useState(initial.textColor);
+  const [backgroundColor, setBackgroundColor] = useState(initial.backgroundColor);
+  const [textAlign, setTextAlign] = useState(initial.textAlign);
+  const [fontFamily, setFontFamily] = useState(initial.fontFamily);
+  const [lineHeight, setLineHeight] = useState(initial.lineHeight);
+  // Labels are bold/italic as a whole
+  const [isBold, setIsBold] = useState(initial.fontWeight === 'bold');
+  const [isItalic, setIsItalic] = useState(initial.fontStyle === 'italic');
+
+  // Inline formatting at the caret, for the toolbar's active states
+  const [activeCommands, setActiveCommands] = useState({});
+  const [linkDraft, setLinkDraft] = useState(null);
+  const [linkError, setLinkError] = useState(false);
+
+  const readRichText = (keepTrailingLines = false) =>
+    editorRef.current ? htmlToRichText(editorRef.current, keepTrailingLines) : initial.richText;
+
+  // Show text changed by others, keeping the caret where it was in the text
+  const handleRemoteChange = (richText, mapOffset) => {
+    const editor = editorRef.current;
+    if (!editor) return;
+    const offsets = mapOffset ? getSelectionOffsets(editor) : null;
+    editor.innerHTML = richTextToHtml(richText);
+    if (offsets) {
+      const range = getRangeAtOffset(editor, mapOffset(offsets.anchor));
+      const focus = getRangeAtOffset(editor, mapOffset(offsets.focus));
+      window
+        .getSelection()
+        ?.setBaseAndExtent(
+          range.startContainer,
+          range.startOffset,
+          focus.startContainer,
+          focus.startOffset
+        );
     }
-  }, []);
+    onTextChange(richTextToPlainText(richText));
+  };
 
-  // Handle keyboard shortcuts
+  // Only text boxes are edited together; labels and sticky notes are short enough to take turns
+  const { ready, carets, publishContent, publishCaret } = useCollaborativeText({
+    canvasId: isRichText ? canvasId : null,
+    shapeId: shape.id,
+    sessionId,
+    user,
+    initialRichText: initial.richText,
+    readContent: () => readRichText(true),
+    onRemoteChange: handleRemoteChange,
+  });
+
+  // Fill the editor when it mounts
+  useEffect(() => {
+    if (editorRef.current) editorRef.current.innerHTML = richTextToHtml(initial.richText);
+  }, [initial]);
+
+  // Focus it and select everything once it can be edited
   useEffect(() => {
-    const handleKeyDown = (e) => {
-      if (e.key === 'Escape') {
-        e.preventDefault();
-        onFinish(false); // Cancel without saving
-      } else if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) {
-        e.preventDefault();
-        // Save with formatting changes
-        const updates = {
+    const editor = editorRef.current;
+    if (!editor || !ready) return;
+    editor.focus();
+    const range = document.createRange();
+    range.selectNodeContents(editor);
+    const selection = window.getSelection();
+    selection?.removeAllRanges();
+    selection?.addRange(range);
+  }, [ready]);
+
+  // Track which inline formats apply at the caret, and share the selection
+  useEffect(() => {
+    const handleSelectionChange = () => {
+      if (!editorRef.current?.contains(document.getSelection()?.anchorNode)) return;
+      const offsets = getSelectionOffsets(editorRef.current);
+      if (offsets) publishCaret(offsets.anchor, offsets.focus);
+      setActiveCommands(
+        Object.fromEntries(
+          MARK_BUTTONS.map(({ command }) => [command, document.queryCommandState?.(command)])
+        )
+      );
+    };
+    document.addEventListener('selectionchange', handleSelectionChange);
+    return () => document.removeEventListener('selectionchange', handleSelectionChange);
+  }, [publishCaret]);
+
+  // Where the others' carets and selections are drawn; worked out again when the text moves
+  const [caretBoxes, setCaretBoxes] = useState([]);
+  const [scrollTop, setScrollTop] = useState(0);
+  useLayoutEffect(() => {
+    const editor = editorRef.current;
+    const body = bodyRef.current;
+    if (!editor || !body || carets.length === 0) {
+      setCaretBoxes([]);
+      return;
+    }
+    const origin = body.getBoundingClientRect();
+    setCaretBoxes(
+      carets.map((caret) => ({
+        ...caret,
+        selection:
+          caret.start === caret.end
+            ? []
+            : getTextRects(
+                editor,
+                origin,
+                Math.min(caret.start, caret.end),
+                Math.max(caret.start, caret.end)
+              ),
+        caret: getTextRects(editor, origin, caret.end, caret.end)[0] || null,
+      }))
+    );
+  }, [carets, scrollTop, fontSize, fontFamily, lineHeight, textAlign]);
+
+  const handleInput = () => {
+    onTextChange(richTextToPlainText(readRichText()));
+    publishContent();
+  };
+
+  const runCommand = (command, value) => {
+    editorRef.current?.focus();
+    document.execCommand(command, false, value);
+    handleInput();
+  };
+
+  // Keep the editor's selection while the link field has focus
+  const openLinkField = () => {
+    const selection = window.getSelection();
+    savedRangeRef.current =
+      selection && selection.rangeCount > 0 ? selection.getRangeAt(0).cloneRange() : null;
+    setLinkDraft('');
+    setLinkError(false);
+    setTimeout(() => linkInputRef.current?.focus(), 0);
+  };
+
+  const closeLinkField = () => {
+    setLinkDraft(null);
+    const range = savedRangeRef.current;
+    editorRef.current?.focus();
+    if (range) {
+      const selection = window.getSelection();
+      selection?.removeAllRanges();
+      selection?.addRange(range);
+    }
+  };
+
+  const applyLink = () => {
+    const raw = (linkDraft || '').trim();
+    const url = raw && !/^[a-z]+:/i.test(raw) ? `https://${raw}` : raw;
+    if (url && !isSafeLink(url)) {
+      setLinkError(true);
+      return;
+    }
+    closeLinkField();
+    runCommand(url ? 'createLink' : 'unlink', url || undefined);
+  };
+
+  const getUpdates = () => {
+    const richText = readRichText();
+    if (isStickyNote) {
+      const plain = richTextToPlainText(richText);
+      if (plain === initial.text) return {};
+      const height = getStickyHeight({ ...shape, text: plain }, canvasHeight);
+      return height !== shape.height ? { text: plain, height } : { text: plain };
+    }
+    const next = isRichText
+      ? { fontSize, textColor, backgroundColor, textAlign, fontFamily, lineHeight }
+      : {
           fontSize,
-          fontWeight: isBold ? 'bold' : 'normal',
-          fontStyle: isItalic ? 'italic' : 'normal',
           textColor,
           backgroundColor,
+          fontWeight: isBold ? 'bold' : 'normal',
+          fontStyle: isItalic ? 'italic' : 'normal',
         };
-        onFinish(true, updates); // Save with formatting
-      } else if (e.key === 'b' && (e.metaKey || e.ctrlKey)) {
-        e.preventDefault();
-        setIsBold(!isBold);
-      } else if (e.key === 'i' && (e.metaKey || e.ctrlKey)) {
-        e.preventDefault();
-        setIsItalic(!isItalic);
-      }
-    };
+    const updates = Object.fromEntries(
+      Object.entries(next).filter(([key, value]) => value !== initial[key])
+    );
+    if (!isRichText) {
+      const plain = richTextToPlainText(richText);
+      if (plain !== initial.text) updates.text = plain;
+    } else if (!isSameRichText(richText, initial.richText)) {
+      updates.text = richTextToPlainText(richText);
+      updates.richText = richText;
+      // Bold and italic now live on the text; box-wide values would apply twice
+      if (shape.fontWeight && shape.fontWeight !== 'normal') updates.fontWeight = 'normal';
+      if (shape.fontStyle && shape.fontStyle !== 'normal') updates.fontStyle = 'normal';
+    }
+    return updates;
+  };
+
+  const handleSave = () => onFinish(true, getUpdates());
 
-    window.addEventListener('keydown', handleKeyDown);
-    return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [onFinish, fontSize, isBold, isItalic, textColor, backgroundColor]);
+  // Editor shortcuts; keys never reach the canvas shortcuts while editing
+  const handleKeyDown = (e) => {
+    e.stopPropagation();
+    const hasModifier = e.metaKey || e.ctrlKey;
+    const key = e.key.toLowerCase();
+
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      if (linkDraft !== null) closeLinkField();
+      else onFinish(false); // Cancel without saving
+    } else if (e.key === 'Enter' && hasModifier) {
+      e.preventDefault();
+      handleSave();
+    } else if (!isRichText && hasModifier && (key === 'b' || key === 'i')) {
+      e.preventDefault();
+      if (key === 'b') setIsBold(!isBold);
+      else setIsItalic(!isItalic);
+    } else if (isStickyNote) {
+      // Sticky notes are plain text
+      if (hasModifier && ['b', 'i', 'u', 'k'].includes(key)) e.preventDefault();
+    } else if (!isRichText) {
+      // Labels have no inline formatting
+      if (hasModifier && ['u', 'k'].includes(key)) e.preventDefault();
+    } else if (hasModifier && !e.shiftKey && ['b', 'i', 'u'].includes(key)) {
+      e.preventDefault();
+      runCommand({ b: 'bold', i: 'italic', u: 'underline' }[key]);
+    } else if (hasModifier && e.shiftKey && key === 'x') {
+      e.preventDefault();
+      runCommand('strikeThrough');
+    } else if (hasModifier && key === 'k') {
+      e.preventDefault();
+      openLinkField();
+    }
+  };
+
+  // Paste as plain text so foreign markup never reaches the model
+  const handlePaste = (e) => {
+    e.preventDefault();
+    runCommand('insertText', e.clipboardData.getData('text/plain'));
+  };
 
   // Calculate position on screen based on shape position and viewport
   const getScreenPosition = () => {
     // Calculate shape center in canvas coordinates
     let centerX, centerY, width, height;
 
-    if (shape.type === 'text' || shape.type === 'rectangle') {
+    if (shape.type === 'sticky') {
+      centerX = shape.x + (shape.width || 200) / 2;
+      centerY = shape.y + (shape.height || 200) / 2;
+      width = shape.width || 200;
+      height = shape.height || 200;
+    } else if (shape.type === 'text' || shape.type === 'rectangle') {
       centerX = shape.x + (shape.width || 200) / 2;
       centerY = shape.y + (shape.height || 60) / 2;
       width = shape.width || 200;
@@ -106,17 +403,6 @@ function InlineTextEditor({ shape, text, onTextChange, onFinish, viewport, conta
 
   const position = getScreenPosition();
 
-  const handleSave = () => {
-    const updates = {
-      fontSize,
-      fontWeight: isBold ? 'bold' : 'normal',
-      fontStyle: isItalic ? 'italic' : 'normal',
-      textColor,
-      backgroundColor,
-    };
-    onFinish(true, updates);
-  };
-
   return (
     // eslint-disable-next-line jsx-a11y/no-static-element-interactions
     <div
@@ -126,9 +412,7 @@ function InlineTextEditor({ shape, text, onTextChange, onFinish, viewport, conta
           handleSave();
         }
       }}
-      onKeyDown={(e) => {
-        if (e.key === 'Escape') handleSave();
-      }}
+      onKeyDown={handleKeyDown}
     >
       <div
         className={styles['inline-text-editor-container']}
@@ -140,82 +424,276 @@ function InlineTextEditor({ shape, text, onTextChange, onFinish, viewport, conta
         }}
       >
         {/* Formatting Toolbar */}
-        <div className={styles['text-editor-toolbar']}>
-          {/* Font Size */}
-          <div className={styles['toolbar-group']}>
-            <label className={styles['toolbar-label']} htmlFor="text-editor-font-size">
-              Size:
-            </label>
-            <select
-              id="text-editor-font-size"
-              className={styles['toolbar-select']}
-              value={fontSize}
-              onChange={(e) => setFontSize(Number(e.target.value))}
-              onClick={(e) => e.stopPropagation()}
-            >
-              {FONT_SIZES.map((size) => (
-                <option key={size} value={size}>
-                  {size}px
-                </option>
+        {!isStickyNote && (
+          <div
+            className={styles['text-editor-toolbar']}
+            role="toolbar"
+            aria-label="Text formatting"
+          >
+            {/* Font Size */}
+            <div className={styles['toolbar-group']}>
+              <label className={styles['toolbar-label']} htmlFor="text-editor-font-size">
+                Size:
+              </label>
+              <select
+                id="text-editor-font-size"
+                className={styles['toolbar-select']}
+                value={fontSize}
+                onChange={(e) => setFontSize(Number(e.target.value))}
+                onClick={(e) => e.stopPropagation()}
+              >
+                {FONT_SIZES.map((size) => (
+                  <option key={size} value={size}>
+                    {size}px
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {/* Font Family */}
+            {isRichText && (
+              <div className={styles['toolbar-group']}>
+                <label className={styles['toolbar-label']} htmlFor="text-editor-font-family">
+                  Font:
+                </label>
+                <select
+                  id="text-editor-font-family"
+                  className={styles['toolbar-select']}
+                  value={fontFamily}
+                  onChange={(e) => setFontFamily(e.target.value)}
+                >
+                  {Object.entries(FONT_FAMILIES).map(([key, family]) => (
+                    <option key={key} value={key}>
+                      {family.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {/* Line Height */}
+            {isRichText && (
+              <div className={styles['toolbar-group']}>
+                <label className={styles['toolbar-label']} htmlFor="text-editor-line-height">
+                  Line:
+                </label>
+                <select
+                  id="text-editor-line-height"
+                  className={styles['toolbar-select']}
+                  value={lineHeight}
+                  onChange={(e) => setLineHeight(Number(e.target.value))}
+                >
+                  {LINE_HEIGHTS.map((height) => (
+                    <option key={height} value={height}>
+                      {height}×
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {/* Bold / Italic for the whole label */}
+            {!isRichText && (
+              <>
+                <button
+                  className={`${styles['toolbar-button']} ${isBold ? styles['active'] : ''}`}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setIsBold(!isBold);
+                  }}
+                  title="Bold (Cmd/Ctrl+B)"
+                  aria-pressed={isBold}
+                >
+                  <strong>B</strong>
+                </button>
+                <button
+                  className={`${styles['toolbar-button']} ${isItalic ? styles['active'] : ''}`}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setIsItalic(!isItalic);
+                  }}
+                  title="Italic (Cmd/Ctrl+I)"
+                  aria-pressed={isItalic}
+                >
+                  <em>I</em>
+                </button>
+              </>
+            )}
+
+            {/* Inline formatting and lists (mousedown keeps the text selection) */}
+            {isRichText &&
+              MARK_BUTTONS.map(({ command, label, title }) => (
+                <button
+                  key={command}
+                  className={`${styles['toolbar-button']} ${activeCommands[command] ? styles['active'] : ''}`}
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    runCommand(command);
+                  }}
+                  title={title}
+                  aria-label={title}
+                  aria-pressed={!!activeCommands[command]}
+                >
+                  {label}
+                </button>
               ))}
-            </select>
+
+            {/* Link */}
+            {isRichText && (
+              <button
+                className={`${styles['toolbar-button']} ${linkDraft !== null ? styles['active'] : ''}`}
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  if (linkDraft === null) openLinkField();
+                  else closeLinkField();
+                }}
+                title="Link (Cmd/Ctrl+K)"
+                aria-label="Link (Cmd/Ctrl+K)"
+              >
+                🔗
+              </button>
+            )}
+
+            {/* Alignment */}
+            {isRichText && (
+              <div className={styles['toolbar-group']} role="group" aria-label="Alignment">
+                {TEXT_ALIGNMENTS.map((align) => (
+                  <button
+                    key={align}
+                    className={`${styles['toolbar-button']} ${textAlign === align ? styles['active'] : ''}`}
+                    onMouseDown={(e) => e.preventDefault()}
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      setTextAlign(align);
+                    }}
+                    title={`Align ${align}`}
+                    aria-label={`Align ${align}`}
+                    aria-pressed={textAlign === align}
+                  >
+                    {ALIGN_LABELS[align]}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {/* Text Color Picker */}
+            <ColorPicker value={textColor} onChange={setTextColor} label="Color" />
+
+            {/* Background Color Picker */}
+            <ColorPicker
+              value={backgroundColor}
+              onChange={setBackgroundColor}
+              label="BG"
+              allowTransparent={true}
+            />
           </div>
+        )}
 
-          {/* Bold */}
-          <button
-            className={`${styles['toolbar-button']} ${isBold ? styles['active'] : ''}`}
-            onClick={(e) => {
-              e.stopPropagation();
-              setIsBold(!isBold);
-            }}
-            title="Bold (Cmd/Ctrl+B)"
-          >
-            <strong>B</strong>
-          </button>
-
-          {/* Italic */}
-          <button
-            className={`${styles['toolbar-button']} ${isItalic ? styles['active'] : ''}`}
-            onClick={(e) => {
-              e.stopPropagation();
-              setIsItalic(!isItalic);
-            }}
-            title="Italic (Cmd/Ctrl+I)"
-          >
-            <em>I</em>
-          </button>
-
-          {/* Text Color Picker */}
-          <ColorPicker value={textColor} onChange={setTextColor} label="Color" />
-
-          {/* Background Color Picker */}
-          <ColorPicker
-            value={backgroundColor}
-            onChange={setBackgroundColor}
-            label="BG"
-            allowTransparent={true}
+        {/* Link URL field */}
+        {linkDraft !== null && (
+          <div className={styles['text-editor-link']}>
+            <input
+              ref={linkInputRef}
+              type="url"
+              className={`${styles['text-editor-link-input']} ${linkError ? styles['invalid'] : ''}`}
+              value={linkDraft}
+              onChange={(e) => {
+                setLinkDraft(e.target.value);
+                setLinkError(false);
+              }}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') {
+                  e.preventDefault();
+                  e.stopPropagation();
+                  applyLink();
+                }
+              }}
+              placeholder="https://example.com (empty removes the link)"
+              aria-label="Link URL"
+              aria-invalid={linkError}
+            />
+            <button className={styles['text-editor-link-apply']} onClick={applyLink}>
+              Apply
+            </button>
+          </div>
+        )}
+
+        {/* Editable text, with the others' selections and carets over it */}
+        <div ref={bodyRef} className={styles['inline-text-editor-body']}>
+          <div
+            ref={editorRef}
+            className={styles['inline-text-editor-content']}
+            contentEditable={ready}
+            suppressContentEditableWarning
+            role="textbox"
+            aria-multiline="true"
+            aria-label="Text"
+            tabIndex={0}
+            spellCheck={false}
+            data-placeholder="Type text here..."
+            onInput={handleInput}
+            onPaste={handlePaste}
+            onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+            style={
+              isStickyNote
+                ? {
+                    fontSize: '16px',
+                    textAlign: 'center',
+                    color: STICKY_TEXT_COLOR,
+                    background: shape.color,
+                  }
+                : {
+                    fontSize: `${fontSize}px`,
+                    ...(isRichText
+                      ? { fontFamily: FONT_FAMILIES[fontFamily]?.css, lineHeight, textAlign }
+                      : {
+                          fontWeight: isBold ? 'bold' : 'normal',
+                          fontStyle: isItalic ? 'italic' : 'normal',
+                          textAlign: 'center',
+                        }),
+                    color: textColor,
+                  }
+            }
           />
+          {caretBoxes.map(({ sessionId: caretSessionId, userName, color, selection, caret }) => (
+            <div key={caretSessionId} aria-hidden="true">
+              {selection.map((rect, i) => (
+                <div
+                  key={i}
+                  className={styles['remote-selection']}
+                  style={{ ...rect, background: color }}
+                />
+              ))}
+              {caret && (
+                <div
+                  className={styles['remote-caret']}
+                  style={{
+                    left: caret.left,
+                    top: caret.top,
+                    height: caret.height,
+                    background: color,
+                  }}
+                >
+                  <span className={styles['remote-caret-label']} style={{ background: color }}>
+                    {userName}
+                  </span>
+                </div>
+              )}
+            </div>
+          ))}
         </div>
 
-        {/* Text Area */}
-        <textarea
-          ref={textareaRef}
-          className={styles['inline-text-editor-textarea']}
-          value={text}
-          onChange={(e) => onTextChange(e.target.value)}
-          placeholder="Type text here..."
-          spellCheck={false}
-          style={{
-            fontSize: `${fontSize}px`,
-            fontWeight: isBold ? 'bold' : 'normal',
-            fontStyle: isItalic ? 'italic' : 'normal',
-            color: textColor,
-          }}
-        />
-
         {/* Hints */}
         <div className={styles['inline-text-editor-hint']}>
-          <span>Cmd/Ctrl + Enter to save • Esc to cancel • Cmd/Ctrl + B/I for bold/italic</span>
+          <span>
+            {isStickyNote
+              ? 'Cmd/Ctrl + Enter to save • Esc to cancel'
+              : isRichText
+                ? 'Cmd/Ctrl + Enter to save • Esc to cancel • Cmd/Ctrl + B/I/U to format • Cmd/Ctrl + K for a link'
+                : 'Cmd/Ctrl + Enter to save • Esc to cancel • Cmd/Ctrl + B/I for bold/italic'}
+          </span>
         </div>
       </div>
     </div>
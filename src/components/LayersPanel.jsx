@@ -1,9 +1,15 @@
 import { useState, useRef, useEffect } from 'react';
+import { isGroup, getEffectiveLock, getGroupMembers } from '../utils/groupUtils';
+import { isFrame } from '../utils/frameUtils';
+import { getLastEditedLabel } from '../utils/shapeHistoryUtils';
+import { READ_ONLY_ROLES } from '../utils/constants';
 import styles from './LayersPanel.module.css';
 
 /**
  * LayersPanel - Illustrator-style layers panel for shape management
  * Shows all shapes with selection, visibility, and locking controls
+ * Groups are listed as collapsible rows with their children indented below
+ * Frames are top-level sections holding the shapes (and groups) inside them
  */
 function LayersPanel({
   shapes = [],
@@ -17,6 +23,7 @@ function LayersPanel({
 }) {
   const [editingShapeId, setEditingShapeId] = useState(null);
   const [editingName, setEditingName] = useState('');
+  const [collapsedLayerIds, setCollapsedLayerIds] = useState([]);
   const editInputRef = useRef(null);
   const panelRef = useRef(null);
 
@@ -55,8 +62,60 @@ function LayersPanel({
     };
   }, [isOpen, onTogglePanel]);
 
+  // Layer tree: children of each group or frame (null = top level); links to missing
+  // groups and frames are ignored. A top-level group is in a frame when all its shapes are.
+  const shapesById = new Map(shapes.map((s) => [s.id, s]));
+  const getFrameParentId = (shape) => {
+    if (!isGroup(shape)) return isFrame(shapesById.get(shape.frameId)) ? shape.frameId : null;
+    const frameIds = new Set(getGroupMembers(shape.id, shapes).map((m) => m.frameId || null));
+    const [frameId] = frameIds;
+    return frameIds.size === 1 && isFrame(shapesById.get(frameId)) ? frameId : null;
+  };
+  const childrenByParent = new Map();
+  shapes.forEach((shape) => {
+    const parentId = isGroup(shapesById.get(shape.groupId))
+      ? shape.groupId
+      : getFrameParentId(shape);
+    if (!childrenByParent.has(parentId)) childrenByParent.set(parentId, []);
+    childrenByParent.get(parentId).push(shape);
+  });
+
+  // A group sits at the z-index of its frontmost member
+  const layerZIndex = new Map();
+  const getLayerZIndex = (shape, visited = new Set()) => {
+    if (layerZIndex.has(shape.id)) return layerZIndex.get(shape.id);
+    let z = shape.zIndex || 0;
+    if (isGroup(shape) && !visited.has(shape.id)) {
+      visited.add(shape.id);
+      const children = childrenByParent.get(shape.id) || [];
+      if (children.length > 0) z = Math.max(...children.map((c) => getLayerZIndex(c, visited)));
+    }
+    layerZIndex.set(shape.id, z);
+    return z;
+  };
+
   // Sort shapes by z-index (highest first = top of list = front of canvas)
-  const sortedShapes = [...shapes].sort((a, b) => (b.zIndex || 0) - (a.zIndex || 0));
+  const sortLayers = (list) => [...list].sort((a, b) => getLayerZIndex(b) - getLayerZIndex(a));
+
+  // Flatten the tree into rows, skipping the children of collapsed groups and frames
+  const hasChildren = (shape) => isGroup(shape) || isFrame(shape);
+  const layerRows = [];
+  const addRows = (parentId, depth, visited) => {
+    sortLayers(childrenByParent.get(parentId) || []).forEach((shape) => {
+      layerRows.push({ shape, depth });
+      if (hasChildren(shape) && !visited.has(shape.id) && !collapsedLayerIds.includes(shape.id)) {
+        addRows(shape.id, depth + 1, new Set([...visited, shape.id]));
+      }
+    });
+  };
+  addRows(null, 0, new Set());
+
+  const toggleCollapsed = (layerId, e) => {
+    e.stopPropagation();
+    setCollapsedLayerIds((prev) =>
+      prev.includes(layerId) ? prev.filter((id) => id !== layerId) : [...prev, layerId]
+    );
+  };
 
   const handleLayerClick = (shapeId, e) => {
     e.stopPropagation();
@@ -64,6 +123,7 @@ function LayersPanel({
     // Don't select if clicking on visibility toggle or edit input
     if (
       e.target.closest('[data-layer-action="visibility"]') ||
+      e.target.closest('[data-layer-action="collapse"]') ||
       e.target.closest('[data-layer-action="name-input"]')
     ) {
       return;
@@ -79,7 +139,7 @@ function LayersPanel({
 
   const handleNameDoubleClick = (shape, e) => {
     e.stopPropagation();
-    if (userRole === 'viewer') return;
+    if (READ_ONLY_ROLES.includes(userRole)) return;
 
     setEditingShapeId(shape.id);
     setEditingName(shape.name || getDefaultShapeName(shape));
@@ -121,6 +181,10 @@ function LayersPanel({
       customPolygon: 'Polygon',
       text: 'Text',
       image: 'Image',
+      connector: 'Connector',
+      path: 'Drawing',
+      group: 'Group',
+      frame: 'Frame',
     };
 
     return typeNames[shape.type] || 'Shape';
@@ -155,6 +219,12 @@ function LayersPanel({
             </text>
           </svg>
         );
+      case 'sticky':
+        return (
+          <svg viewBox="0 0 16 16" fill="currentColor">
+            <path d="M 2 2 H 14 V 10 L 10 14 H 2 Z" />
+          </svg>
+        );
       case 'image':
         return (
           <svg viewBox="0 0 16 16" fill="currentColor">
@@ -172,6 +242,33 @@ function LayersPanel({
             <path d="M 2 11 L 6 7 L 10 11 L 14 7 L 14 14 L 2 14 Z" />
           </svg>
         );
+      case 'connector':
+        return (
+          <svg viewBox="0 0 16 16" fill="none" stroke="currentColor" strokeWidth="1.5">
+            <path d="M 3 13 L 12 4" />
+            <path d="M 7 4 L 12 4 L 12 9" />
+          </svg>
+        );
+      case 'path':
+        return (
+          <svg viewBox="0 0 16 16" fill="none" stroke="currentColor" strokeWidth="1.5">
+            <path d="M 2 11 C 4 4, 7 4, 8 8 S 12 12, 14 5" strokeLinecap="round" />
+          </svg>
+        );
+      case 'frame':
+        return (
+          <svg viewBox="0 0 16 16" fill="none" stroke="currentColor" strokeWidth="1.5">
+            <path d="M 5 1 V 15 M 11 1 V 15 M 1 5 H 15 M 1 11 H 15" />
+          </svg>
+        );
+      case 'group':
+        return (
+          <svg viewBox="0 0 16 16" fill="none" stroke="currentColor" strokeWidth="1.5">
+            <rect x="1.5" y="1.5" width="13" height="13" rx="1" strokeDasharray="2 1.5" />
+            <rect x="4" y="4" width="4" height="4" fill="currentColor" />
+            <circle cx="10.5" cy="10.5" r="2" fill="currentColor" />
+          </svg>
+        );
       default:
         return (
           <svg viewBox="0 0 16 16" fill="currentColor">
@@ -181,8 +278,18 @@ function LayersPanel({
     }
   };
 
-  const isSelected = (shapeId) => {
-    return selectedShapeIds.includes(shapeId);
+  // A group row is selected when all of its shapes are
+  const isSelected = (shape) => {
+    if (!isGroup(shape)) return selectedShapeIds.includes(shape.id);
+    const leafIds = [];
+    const collect = (groupId, visited) => {
+      (childrenByParent.get(groupId) || []).forEach((child) => {
+        if (!isGroup(child)) leafIds.push(child.id);
+        else if (!visited.has(child.id)) collect(child.id, new Set([...visited, child.id]));
+      });
+    };
+    collect(shape.id, new Set([shape.id]));
+    return leafIds.length > 0 && leafIds.every((id) => selectedShapeIds.includes(id));
   };
 
   if (!isOpen) return null;
@@ -204,7 +311,7 @@ function LayersPanel({
       {/* Layers List */}
       <div className={styles['layers-list-wrapper']}>
         <div className={styles['layers-list']}>
-          {sortedShapes.length === 0 ? (
+          {layerRows.length === 0 ? (
             <div className={styles['layers-empty']}>
               <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                 <rect x="3" y="3" width="18" height="18" rx="2" />
@@ -214,17 +321,26 @@ function LayersPanel({
               <span>Create shapes to see them here</span>
             </div>
           ) : (
-            sortedShapes.map((shape) => {
-              const isShapeSelected = isSelected(shape.id);
+            layerRows.map(({ shape, depth }) => {
+              const isShapeSelected = isSelected(shape);
               const isVisible = shape.visible !== false;
-              const isLocked = shape.lockedBy && shape.lockedBy !== shape.createdBy;
+              // Selecting a group locks the group record, which covers its children
+              const lock = getEffectiveLock(shape, shapesById);
+              const isLocked = lock.lockedBy && lock.lockedBy !== shape.createdBy;
+              const isCollapsed = collapsedLayerIds.includes(shape.id);
+              const kind = isFrame(shape) ? 'frame' : 'group';
+              const name = shape.name || getDefaultShapeName(shape);
+              // Hovering a layer shows who edited the shape last
+              const lastEdited = getLastEditedLabel(shape);
 
               return (
                 <div
                   key={shape.id}
                   role="button"
                   tabIndex={0}
-                  className={`${styles['layer-item']} ${isShapeSelected ? styles['selected'] : ''} ${!isVisible ? styles['hidden'] : ''}`}
+                  className={`${styles['layer-item']} ${isFrame(shape) ? styles['layer-frame'] : ''} ${isShapeSelected ? styles['selected'] : ''} ${!isVisible ? styles['hidden'] : ''}`}
+                  style={{ '--layer-depth': depth }}
+                  title={lastEdited || undefined}
                   onClick={(e) => handleLayerClick(shape.id, e)}
                   onKeyDown={(e) => {
                     if (e.key === 'Enter' || e.key === ' ') {
@@ -233,6 +349,19 @@ function LayersPanel({
                     }
                   }}
                 >
+                  {/* Group / frame expand/collapse */}
+                  {hasChildren(shape) && (
+                    <button
+                      className={styles['layer-collapse-toggle']}
+                      data-layer-action="collapse"
+                      onClick={(e) => toggleCollapsed(shape.id, e)}
+                      title={isCollapsed ? `Expand ${kind}` : `Collapse ${kind}`}
+                      aria-expanded={!isCollapsed}
+                    >
+                      {isCollapsed ? '▸' : '▾'}
+                    </button>
+                  )}
+
                   {/* Visibility Toggle */}
                   <button
                     className={styles['layer-visibility-toggle']}
@@ -244,7 +373,12 @@ function LayersPanel({
                   </button>
 
                   {/* Shape Icon */}
-                  <div className={styles['layer-icon']} style={{ color: shape.color || '#646cff' }}>
+                  <div
+                    className={styles['layer-icon']}
+                    style={{
+                      color: isFrame(shape) ? 'var(--text-secondary)' : shape.color || '#646cff',
+                    }}
+                  >
                     {getShapeIcon(shape.type)}
                   </div>
 
@@ -265,9 +399,9 @@ function LayersPanel({
                     <div
                       className={styles['layer-name']}
                       onDoubleClick={(e) => handleNameDoubleClick(shape, e)}
-                      title={shape.name || getDefaultShapeName(shape)}
+                      title={lastEdited ? `${name}\n${lastEdited}` : name}
                     >
-                      {shape.name || getDefaultShapeName(shape)}
+                      {name}
                     </div>
                   )}
 
@@ -275,7 +409,7 @@ function LayersPanel({
                   {isLocked && (
                     <div
                       className={styles['layer-lock-indicator']}
-                      title={`Locked by ${shape.lockedByUserName || 'another user'}`}
+                      title={`Locked by ${lock.lockedByUserName || 'another user'}`}
                     >
                       🔒
                     </div>
@@ -0,0 +1,127 @@
+import { memo, useMemo, useRef } from 'react';
+import { MINIMAP_SIZE } from '../utils/constants';
+import { getMinimapShapes, getMinimapWorld, minimapToCanvas } from '../utils/minimapUtils';
+import styles from './Minimap.module.css';
+
+// Smallest drawn shape, in minimap pixels
+const MIN_SHAPE_PIXELS = 2;
+
+/**
+ * Minimap - Overview of the whole canvas: shapes as simple boxes, the current
+ * viewport and collaborators' viewports. Click or drag on it to pan there.
+ * @param {object[]} shapes - All shapes on the canvas
+ * @param {object} visibleRegion - The part of the canvas in view ({x, y, width, height})
+ * @param {object[]} collaborators - Other sessions' viewports ({sessionId, userName, color, viewport})
+ * @param {function} onNavigate - Called with the canvas point to center the view on
+ * @param {boolean} infinite - Infinite canvas: show the area around the content instead of the board
+ */
+const Minimap = memo(function Minimap({
+  shapes,
+  visibleRegion,
+  collaborators = [],
+  onNavigate,
+  infinite = false,
+}) {
+  // Part of the canvas shown while dragging, so the view moving doesn't shift what's under the pointer
+  const dragWorldRef = useRef(null);
+
+  // On an infinite canvas the part shown depends on where the shapes are, so it's
+  // worked out from their plain outlines before they get a minimum size
+  const outlines = useMemo(() => getMinimapShapes(shapes), [shapes]);
+  const world = useMemo(
+    () =>
+      getMinimapWorld(
+        [
+          ...outlines,
+          ...(visibleRegion ? [visibleRegion] : []),
+          ...collaborators.map((c) => c.viewport),
+        ],
+        infinite
+      ),
+    [outlines, visibleRegion, collaborators, infinite]
+  );
+  const scale = MINIMAP_SIZE / world.width;
+  const rects = useMemo(() => getMinimapShapes(shapes, MIN_SHAPE_PIXELS / scale), [shapes, scale]);
+
+  const navigate = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    onNavigate(minimapToCanvas(e.clientX, e.clientY, rect, dragWorldRef.current || world));
+  };
+
+  const handlePointerDown = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    dragWorldRef.current = world;
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    navigate(e);
+  };
+
+  const handlePointerMove = (e) => {
+    if (dragWorldRef.current) navigate(e);
+  };
+
+  const handlePointerUp = (e) => {
+    dragWorldRef.current = null;
+    e.currentTarget.releasePointerCapture?.(e.pointerId);
+  };
+
+  return (
+    <div className={styles['minimap']} aria-label="Minimap">
+      <svg
+        className={styles['minimap-svg']}
+        width={MINIMAP_SIZE}
+        height={(world.height / world.width) * MINIMAP_SIZE}
+        viewBox={`${world.x} ${world.y} ${world.width} ${world.height}`}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        role="img"
+        aria-label="Canvas overview; click or drag to move the view"
+      >
+        {rects.map((rect) => (
+          <rect
+            key={rect.id}
+            x={rect.x}
+            y={rect.y}
+            width={rect.width}
+            height={rect.height}
+            fill={rect.color}
+            opacity={0.7}
+          />
+        ))}
+
+        {collaborators.map(({ sessionId, userName, color, viewport }) => (
+          <rect
+            key={sessionId}
+            x={viewport.x}
+            y={viewport.y}
+            width={viewport.width}
+            height={viewport.height}
+            fill="none"
+            stroke={color}
+            strokeWidth={1.5}
+            strokeDasharray="4 3"
+            vectorEffect="non-scaling-stroke"
+          >
+            <title>{userName}</title>
+          </rect>
+        ))}
+
+        {visibleRegion && (
+          <rect
+            className={styles['minimap-viewport']}
+            x={visibleRegion.x}
+            y={visibleRegion.y}
+            width={visibleRegion.width}
+            height={visibleRegion.height}
+            strokeWidth={2}
+            vectorEffect="non-scaling-stroke"
+          />
+        )}
+      </svg>
+    </div>
+  );
+});
+
+export default Minimap;
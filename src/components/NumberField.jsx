@@ -0,0 +1,56 @@
+import { useState, useEffect } from 'react';
+import styles from './NumberField.module.css';
+
+const format = (value) => (value === null ? '' : String(Math.round(value * 100) / 100));
+
+/**
+ * NumberField - Labeled number input that edits a draft and commits on Enter or
+ * blur, so typing a value records one undo step instead of one per keystroke.
+ * Escape restores the current value.
+ * @param {number|null} value - Current value; null shows "Mixed" (selected shapes differ)
+ * @param {function} onCommit - Called with the clamped value when it changes
+ */
+function NumberField({ label, value, min = -Infinity, max = Infinity, step, disabled, onCommit }) {
+  const [draft, setDraft] = useState(format(value));
+
+  useEffect(() => {
+    setDraft(format(value));
+  }, [value]);
+
+  const commit = () => {
+    const parsed = Number(draft);
+    if (draft.trim() === '' || !Number.isFinite(parsed)) {
+      setDraft(format(value));
+      return;
+    }
+    const next = Math.min(Math.max(parsed, min), max);
+    setDraft(format(next));
+    if (next !== value) onCommit(next);
+  };
+
+  return (
+    <label className={styles['number-field']}>
+      <span className={styles['number-field-label']}>{label}</span>
+      <input
+        type="number"
+        className={styles['number-field-input']}
+        value={draft}
+        placeholder={value === null ? 'Mixed' : undefined}
+        min={Number.isFinite(min) ? min : undefined}
+        max={Number.isFinite(max) ? max : undefined}
+        step={step}
+        disabled={disabled}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => {
+          // Keep Delete/Backspace and shortcuts away from the canvas
+          e.stopPropagation();
+          if (e.key === 'Enter') e.currentTarget.blur();
+          if (e.key === 'Escape') setDraft(format(value));
+        }}
+      />
+    </label>
+  );
+}
+
+export default NumberField;
@@ -0,0 +1,61 @@
+import { memo } from 'react';
+import styles from './OfflineIndicator.module.css';
+
+const changes = (count) => `${count} ${count === 1 ? 'change' : 'changes'}`;
+
+/**
+ * OfflineIndicator component - Shows that the canvas is offline or still sending
+ * changes made offline, and which of those changes others' edits overrode or the
+ * server refused. Renders nothing while everything is in sync.
+ * @param {boolean} online - Whether the canvas is connected
+ * @param {number} pendingCount - Changes waiting to be sent
+ * @param {number} conflictCount - Changes others' edits overrode on reconnect
+ * @param {number} failedCount - Changes that couldn't be saved on reconnect
+ * @param {function} onDismissConflicts - Hides the conflict and failure notices
+ */
+const OfflineIndicator = memo(function OfflineIndicator({
+  online,
+  pendingCount,
+  conflictCount,
+  failedCount = 0,
+  onDismissConflicts,
+}) {
+  if (online && pendingCount === 0 && conflictCount === 0 && failedCount === 0) return null;
+
+  const dismissButton = (
+    <button className={styles['offline-dismiss']} onClick={onDismissConflicts} aria-label="Dismiss">
+      ×
+    </button>
+  );
+
+  return (
+    <div className={styles['offline-indicator']} role="status">
+      {!online && (
+        <span className={`${styles['offline-badge']} ${styles['offline']}`}>
+          <span className={styles['offline-dot']} />
+          Offline{pendingCount > 0 && ` — ${changes(pendingCount)} pending`}
+        </span>
+      )}
+      {online && pendingCount > 0 && (
+        <span className={`${styles['offline-badge']} ${styles['syncing']}`}>
+          <span className={styles['offline-dot']} />
+          Syncing {changes(pendingCount)}…
+        </span>
+      )}
+      {conflictCount > 0 && (
+        <span className={`${styles['offline-badge']} ${styles['conflict']}`}>
+          {changes(conflictCount)} made offline conflicted with others&apos; edits; theirs were kept
+          {dismissButton}
+        </span>
+      )}
+      {failedCount > 0 && (
+        <span className={`${styles['offline-badge']} ${styles['conflict']}`}>
+          {changes(failedCount)} made offline couldn&apos;t be saved
+          {dismissButton}
+        </span>
+      )}
+    </div>
+  );
+});
+
+export default OfflineIndicator;
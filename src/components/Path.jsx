@@ -0,0 +1,138 @@
+import { memo } from 'react';
+import { SELECTION_COLOR, DEFAULT_PATH_STROKE_WIDTH } from '../utils/constants';
+import { getUserColor, getContrastColor } from '../utils/colorUtils';
+import { getSmoothPathData } from '../utils/pathUtils';
+
+// Invisible stroke around the line so thin strokes are easy to grab
+const HIT_STROKE_WIDTH = 12;
+
+/**
+ * Path component - Freehand pen stroke for collaborative canvas
+ * Points are relative to x,y and drawn as a smooth curve
+ * Memoized for performance with large numbers of objects
+ */
+const Path = memo(function Path({
+  id,
+  x,
+  y,
+  width = 0,
+  height = 0,
+  points,
+  color,
+  strokeWidth = DEFAULT_PATH_STROKE_WIDTH,
+  rotation = 0,
+  isSelected = false,
+  isLocked = false,
+  cursorStyle = 'default',
+  lockedBy = null,
+  lockedByUserName = null,
+  onClick,
+  onMouseDown,
+  onContextMenu,
+}) {
+  if (!points || points.length === 0) return null;
+
+  const pathData = getSmoothPathData(points, x, y);
+  const centerX = x + width / 2;
+  const centerY = y + height / 2;
+
+  const handleClick = (e) => {
+    e.stopPropagation();
+    if (onClick) {
+      onClick(id, e);
+    }
+  };
+
+  const handleMouseDown = (e) => {
+    e.stopPropagation();
+    if (onMouseDown) {
+      onMouseDown(id, e);
+    }
+  };
+
+  const handleContextMenu = (e) => {
+    e.stopPropagation();
+    if (onContextMenu) {
+      onContextMenu(e);
+    }
+  };
+
+  // Rotation transform around the center of the bounding box
+  const transform = rotation ? `rotate(${rotation} ${centerX} ${centerY})` : undefined;
+
+  return (
+    <g className="path-group" transform={transform}>
+      {/* Selection highlight (drawn under the stroke) */}
+      {isSelected && (
+        <path
+          d={pathData}
+          fill="none"
+          stroke={SELECTION_COLOR}
+          strokeWidth={strokeWidth + 4}
+          strokeLinecap="round"
+          strokeLinejoin="round"
+          opacity={0.5}
+          className="selection-highlight"
+          style={{ pointerEvents: 'none' }}
+        />
+      )}
+
+      <path
+        d={pathData}
+        fill="none"
+        stroke={isLocked && !isSelected ? 'rgba(255, 100, 100, 0.8)' : color}
+        strokeWidth={strokeWidth}
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        className={`canvas-path ${isLocked ? 'locked' : ''}`}
+        style={{ pointerEvents: 'none' }}
+      />
+
+      {/* Hit area */}
+      <path
+        d={pathData}
+        fill="none"
+        stroke="transparent"
+        strokeWidth={Math.max(HIT_STROKE_WIDTH, strokeWidth + 6)}
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        style={{ cursor: cursorStyle }}
+        onClick={handleClick}
+        onMouseDown={handleMouseDown}
+        onContextMenu={handleContextMenu}
+      />
+
+      {/* Show user name label for locked path */}
+      {isLocked && !isSelected && lockedByUserName && (
+        <g transform={`translate(${x}, ${y - 30})`}>
+          <rect
+            x="0"
+            y="0"
+            width={lockedByUserName.length * 7 + 12}
+            height="22"
+            fill={getUserColor(lockedBy)}
+            rx="4"
+            ry="4"
+            style={{
+              filter: 'drop-shadow(0 2px 4px rgba(0,0,0,0.3))',
+              pointerEvents: 'none',
+            }}
+          />
+          <text
+            x="6"
+            y="15"
+            fill={getContrastColor(getUserColor(lockedBy))}
+            fontSize="12"
+            fontWeight="600"
+            fontFamily="system-ui, -apple-system, sans-serif"
+            style={{ pointerEvents: 'none', userSelect: 'none' }}
+          >
+            {lockedByUserName}
+          </text>
+        </g>
+      )}
+    </g>
+  );
+});
+
+export default Path;
@@ -1,6 +1,7 @@
 import { memo } from 'react';
 import { SELECTION_COLOR, SELECTION_WIDTH } from '../utils/constants';
 import { getUserColor, getContrastColor } from '../utils/colorUtils';
+import { getStyleAttributes } from '../utils/styleUtils';
 
 /**
  * Polygon component - SVG polygon for collaborative canvas
@@ -15,6 +16,10 @@ const Polygon = memo(function Polygon({
   sides = 5,
   color,
   rotation = 0,
+  strokeColor,
+  strokeWidth = 0,
+  strokeDash = 'solid',
+  opacity = 1,
   text = null,
   fontSize = 14,
   fontWeight = 'normal',
@@ -79,12 +84,15 @@ const Polygon = memo(function Polygon({
   // Rotation transform around center
   const transform = rotation ? `rotate(${rotation} ${x} ${y})` : undefined;
 
+  const styleAttrs = getStyleAttributes({ strokeColor, strokeWidth, strokeDash, opacity });
+
   return (
     <g className="polygon-group" transform={transform}>
       {/* Main polygon */}
       <polygon
         points={points}
         fill={color}
+        {...styleAttrs}
         className={`canvas-polygon ${isLocked ? 'locked' : ''}`}
         style={{
           cursor: cursorStyle,
@@ -101,6 +109,7 @@ const Polygon = memo(function Polygon({
           x={x}
           y={y}
           fill={textColor || getContrastColor(color)}
+          fillOpacity={styleAttrs.fillOpacity}
           fontSize={fontSize}
           fontWeight={fontWeight}
           fontStyle={fontStyle}
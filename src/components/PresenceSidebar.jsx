@@ -4,9 +4,19 @@ import styles from './PresenceSidebar.module.css';
 
 /**
  * PresenceSidebar component - displays online users in a sidebar
- * Auto-hides and shows on hover
+ * Auto-hides and shows on hover. Clicking another user follows their view;
+ * presenting makes everyone follow yours.
  */
-function PresenceSidebar({ onlineUsers, currentSessionId }) {
+function PresenceSidebar({
+  onlineUsers,
+  currentSessionId,
+  followedSessionId = null,
+  onFollowUser,
+  presenter = null,
+  isPresenting = false,
+  onStartPresenting,
+  onStopPresenting,
+}) {
   const [isExpanded, setIsExpanded] = useState(false);
 
   return (
@@ -53,12 +63,33 @@ function PresenceSidebar({ onlineUsers, currentSessionId }) {
           ) : (
             onlineUsers.map((user) => {
               const isCurrentUser = user.sessionId === currentSessionId;
+              const isFollowed = user.sessionId === followedSessionId;
+              const isPresenter = user.sessionId === presenter?.sessionId;
               const userColor = getUserColor(user.userId);
+              const followProps = isCurrentUser
+                ? {}
+                : {
+                    role: 'button',
+                    tabIndex: 0,
+                    'aria-pressed': isFollowed,
+                    title: isFollowed
+                      ? 'Stop following'
+                      : `Follow ${user.userName || 'Anonymous'}'s view`,
+                    onClick: () => onFollowUser?.(user.sessionId),
+                    onKeyDown: (e) => {
+                      if (e.key === 'Enter' || e.key === ' ') {
+                        e.preventDefault();
+                        onFollowUser?.(user.sessionId);
+                      }
+                    },
+                  };
 
               return (
                 <div
                   key={user.sessionId}
-                  className={`${styles['presence-user']} ${isCurrentUser ? styles['current-user'] : ''}`}
+                  className={`${styles['presence-user']} ${isCurrentUser ? styles['current-user'] : ''} ${isFollowed ? styles['followed-user'] : ''}`}
+                  style={isFollowed ? { borderColor: userColor } : undefined}
+                  {...followProps}
                 >
                   {/* User avatar/indicator */}
                   <div
@@ -74,6 +105,9 @@ function PresenceSidebar({ onlineUsers, currentSessionId }) {
                     <div className={styles['user-name']}>
                       {user.userName || 'Anonymous'}
                       {isCurrentUser && <span className={styles['you-label']}>(you)</span>}
+                      {isPresenter && (
+                        <span className={styles['presenting-label']}>Presenting</span>
+                      )}
                     </div>
                     <div className={styles['user-status']}>
                       <span
@@ -81,6 +115,7 @@ function PresenceSidebar({ onlineUsers, currentSessionId }) {
                       ></span>
                       <span className={styles['status-text']}>
                         {user.isActive ? 'Active' : 'Away'}
+                        {isFollowed && ' · Following'}
                       </span>
                     </div>
                   </div>
@@ -89,6 +124,27 @@ function PresenceSidebar({ onlineUsers, currentSessionId }) {
             })
           )}
         </div>
+
+        <div className={styles['presence-footer']}>
+          {isPresenting ? (
+            <button className={styles['present-btn']} onClick={onStopPresenting}>
+              Stop presenting
+            </button>
+          ) : (
+            <button
+              className={styles['present-btn']}
+              onClick={onStartPresenting}
+              disabled={Boolean(presenter)}
+              title={
+                presenter
+                  ? `${presenter.userName || 'Someone'} is presenting`
+                  : 'Everyone follows your view until they move away'
+              }
+            >
+              Present to everyone
+            </button>
+          )}
+        </div>
       </aside>
     </>
   );
@@ -0,0 +1,124 @@
+import NumberField from './NumberField';
+import StylePanel from './StylePanel';
+import {
+  MIN_SHAPE_SIZE,
+  MIN_POLYGON_SIDES,
+  MAX_POLYGON_SIDES,
+  STICKY_COLORS,
+  STICKY_COLOR_NAMES,
+} from '../utils/constants';
+import { isSticky } from '../utils/stickyUtils';
+import { getInspectorValues } from '../utils/inspectorUtils';
+import { getCanvasSize } from '../utils/canvasUtils';
+import styles from './PropertiesPanel.module.css';
+
+/**
+ * PropertiesPanel - Docked inspector for exact position, size, rotation,
+ * radius and sides of the selection, plus its style. Fields the selected
+ * shapes don't share show as "Mixed".
+ * @param {object[]} shapes - Selected shapes the user may edit
+ * @param {object[]} styleShapes - The subset of `shapes` that can be styled
+ * @param {number} lockedCount - Selected shapes left out because others have them locked
+ * @param {function} onChangeField - Called with (field, value) for a geometry field
+ * @param {function} onChangeStyle - Called with style fields to update
+ * @param {function} onChangePaper - Called with the paper color for selected sticky notes
+ * @param {boolean} infinite - Infinite canvas: positions and sizes have no upper or lower limit
+ */
+function PropertiesPanel({
+  shapes,
+  styleShapes,
+  lockedCount = 0,
+  onChangeField,
+  onChangeStyle,
+  onChangePaper,
+  infinite = false,
+}) {
+  if (shapes.length === 0 && lockedCount === 0) return null;
+
+  const canvasSize = getCanvasSize(infinite);
+  const minPosition = infinite ? -Infinity : 0;
+
+  const stickies = shapes.filter(isSticky);
+  const paperColor = stickies.every((s) => s.color === stickies[0]?.color)
+    ? stickies[0]?.color
+    : null;
+
+  const values = getInspectorValues(shapes);
+  const has = (field) => field in values;
+  const field = (name, label, props = {}) =>
+    has(name) && (
+      <NumberField
+        label={label}
+        value={values[name]}
+        onCommit={(value) => onChangeField(name, value)}
+        {...props}
+      />
+    );
+
+  return (
+    <aside className={styles['properties-panel']} aria-label="Properties">
+      <h3 className={styles['properties-title']}>
+        Properties
+        {shapes.length > 1 && <span>{shapes.length} shapes</span>}
+      </h3>
+
+      {lockedCount > 0 && (
+        <p className={styles['properties-locked']}>
+          {shapes.length === 0
+            ? 'The selection is being edited by someone else'
+            : `${lockedCount} selected shape${lockedCount > 1 ? 's are' : ' is'} locked by someone else`}
+        </p>
+      )}
+
+      {shapes.length > 0 && (
+        <section className={styles['properties-section']} aria-label="Layout">
+          <h4 className={styles['properties-section-title']}>Layout</h4>
+          <div className={styles['properties-row']}>
+            {field('x', 'X', { min: minPosition, max: canvasSize.width })}
+            {field('y', 'Y', { min: minPosition, max: canvasSize.height })}
+          </div>
+          {has('width') && (
+            <div className={styles['properties-row']}>
+              {field('width', 'W', { min: MIN_SHAPE_SIZE, max: canvasSize.width })}
+              {field('height', 'H', { min: MIN_SHAPE_SIZE, max: canvasSize.height })}
+            </div>
+          )}
+          {(has('rotation') || has('radius')) && (
+            <div className={styles['properties-row']}>
+              {field('rotation', 'Rotation°', { min: -360, max: 360 })}
+              {field('radius', 'Radius', { min: 1 })}
+            </div>
+          )}
+          {has('sides') && (
+            <div className={styles['properties-row']}>
+              {field('sides', 'Sides', { min: MIN_POLYGON_SIDES, max: MAX_POLYGON_SIDES, step: 1 })}
+            </div>
+          )}
+        </section>
+      )}
+
+      {stickies.length > 0 && (
+        <section className={styles['properties-section']} aria-label="Paper">
+          <h4 className={styles['properties-section-title']}>Paper</h4>
+          <div className={styles['properties-swatches']}>
+            {STICKY_COLORS.map((color) => (
+              <button
+                key={color}
+                className={`${styles['properties-swatch']} ${paperColor === color ? styles['active'] : ''}`}
+                style={{ backgroundColor: color }}
+                onClick={() => onChangePaper(color)}
+                title={STICKY_COLOR_NAMES[color]}
+                aria-label={`${STICKY_COLOR_NAMES[color]} paper`}
+                aria-pressed={paperColor === color}
+              />
+            ))}
+          </div>
+        </section>
+      )}
+
+      {styleShapes.length > 0 && <StylePanel shapes={styleShapes} onChange={onChangeStyle} />}
+    </aside>
+  );
+}
+
+export default PropertiesPanel;
@@ -1,6 +1,7 @@
 import { memo } from 'react';
 import { SELECTION_COLOR, SELECTION_WIDTH } from '../utils/constants';
 import { getUserColor, getContrastColor } from '../utils/colorUtils';
+import { getStyleAttributes, getCornerRadius } from '../utils/styleUtils';
 
 /**
  * Rectangle component - SVG rectangle for collaborative canvas
@@ -15,6 +16,11 @@ const Rectangle = memo(function Rectangle({
   height,
   color,
   rotation = 0,
+  strokeColor,
+  strokeWidth = 0,
+  strokeDash = 'solid',
+  cornerRadius = 0,
+  opacity = 1,
   text = null,
   fontSize = 14,
   fontWeight = 'normal',
@@ -63,6 +69,9 @@ const Rectangle = memo(function Rectangle({
   const centerY = y + height / 2;
   const transform = rotation ? `rotate(${rotation} ${centerX} ${centerY})` : undefined;
 
+  const styleAttrs = getStyleAttributes({ strokeColor, strokeWidth, strokeDash, opacity });
+  const rx = getCornerRadius({ cornerRadius, width, height }) || undefined;
+
   return (
     <g className="rectangle-group" transform={transform}>
       {/* Main rectangle */}
@@ -71,7 +80,10 @@ const Rectangle = memo(function Rectangle({
         y={y}
         width={width}
         height={height}
+        rx={rx}
+        ry={rx}
         fill={color}
+        {...styleAttrs}
         className={`canvas-rectangle ${isLocked ? 'locked' : ''}`}
         style={{
           cursor: cursorStyle,
@@ -88,6 +100,7 @@ const Rectangle = memo(function Rectangle({
           x={centerX}
           y={centerY}
           fill={textColor || getContrastColor(color)}
+          fillOpacity={styleAttrs.fillOpacity}
           fontSize={fontSize}
           fontWeight={fontWeight}
           fontStyle={fontStyle}
@@ -114,6 +127,8 @@ const Rectangle = memo(function Rectangle({
           y={y}
           width={width}
           height={height}
+          rx={rx}
+          ry={rx}
           fill="none"
           stroke={SELECTION_COLOR}
           strokeWidth={SELECTION_WIDTH}
@@ -132,6 +147,8 @@ const Rectangle = memo(function Rectangle({
             y={y}
             width={width}
             height={height}
+            rx={rx}
+            ry={rx}
             fill="rgba(255, 100, 100, 0.1)"
             className="lock-indicator"
             style={{
@@ -9,12 +9,22 @@ import {
   ROTATION_HANDLE_OFFSET,
   SHAPE_TYPES,
 } from '../utils/constants';
+import { resolveConnectorEndpoints } from '../utils/connectorUtils';
+import { getGroupMembers, getGroupBounds } from '../utils/groupUtils';
 
 /**
  * SelectionBox component - Renders selection outline, resize handles, and rotation handle
  * for the currently selected shape
+ * Connectors get a handle on each end instead ('start' / 'end' resize handles)
+ * Groups get a box around all members with corner handles (they scale uniformly)
  */
-const SelectionBox = memo(function SelectionBox({ shape, zoom, onResizeStart, onRotateStart }) {
+const SelectionBox = memo(function SelectionBox({
+  shape,
+  shapesById,
+  zoom,
+  onResizeStart,
+  onRotateStart,
+}) {
   if (!shape) return null;
 
   const handleSize = HANDLE_SIZE / zoom;
@@ -22,12 +32,68 @@ const SelectionBox = memo(function SelectionBox({ shape, zoom, onResizeStart, on
   const handleStrokeWidth = HANDLE_STROKE_WIDTH / zoom;
   const rotationOffset = ROTATION_HANDLE_OFFSET / zoom;
 
+  if (shape.type === SHAPE_TYPES.CONNECTOR) {
+    const { start, end } = resolveConnectorEndpoints(shape, shapesById || {});
+    return (
+      <g className="selection-box">
+        {[
+          { type: 'start', point: start },
+          { type: 'end', point: end },
+        ].map((handle) => (
+          <circle
+            key={handle.type}
+            cx={handle.point.x}
+            cy={handle.point.y}
+            r={handleSize / 1.5}
+            fill={HANDLE_FILL}
+            stroke={HANDLE_STROKE}
+            strokeWidth={handleStrokeWidth}
+            style={{ cursor: 'crosshair' }}
+            onMouseDown={(e) => {
+              e.stopPropagation();
+              if (onResizeStart) {
+                onResizeStart(handle.type, e);
+              }
+            }}
+          />
+        ))}
+      </g>
+    );
+  }
+
   // Calculate bounding box based on shape type
   let bounds = { x: 0, y: 0, width: 0, height: 0, centerX: 0, centerY: 0 };
 
-  if (
+  if (shape.type === SHAPE_TYPES.GROUP) {
+    const groupBounds = getGroupBounds(
+      getGroupMembers(shape.id, Array.from((shapesById || new Map()).values()))
+    );
+    if (!groupBounds) return null;
+    bounds = {
+      x: groupBounds.minX,
+      y: groupBounds.minY,
+      width: groupBounds.width,
+      height: groupBounds.height,
+      centerX: groupBounds.centerX,
+      centerY: groupBounds.centerY,
+    };
+  } else if (shape.type === SHAPE_TYPES.PATH) {
+    // Paths use x,y as top-left; a straight stroke may have zero width or height
+    const width = shape.width || 0;
+    const height = shape.height || 0;
+    bounds = {
+      x: shape.x,
+      y: shape.y,
+      width,
+      height,
+      centerX: shape.x + width / 2,
+      centerY: shape.y + height / 2,
+    };
+  } else if (
     shape.type === SHAPE_TYPES.RECTANGLE ||
+    shape.type === SHAPE_TYPES.FRAME ||
     shape.type === SHAPE_TYPES.TEXT ||
+    shape.type === SHAPE_TYPES.STICKY ||
     shape.type === SHAPE_TYPES.IMAGE
   ) {
     // Safety check for width/height
@@ -83,13 +149,23 @@ const SelectionBox = memo(function SelectionBox({ shape, zoom, onResizeStart, on
     };
   }
 
-  // Resize handles for rectangles, text boxes, and images (8 handles: 4 corners + 4 edges)
+  // Resize handles for rectangles, frames, text boxes, images and paths (8 handles: 4 corners + 4 edges)
   const resizeHandles = [];
 
-  if (
+  if (shape.type === SHAPE_TYPES.GROUP) {
+    resizeHandles.push(
+      { type: 'nw', x: bounds.x, y: bounds.y, cursor: 'nw-resize' },
+      { type: 'ne', x: bounds.x + bounds.width, y: bounds.y, cursor: 'ne-resize' },
+      { type: 'sw', x: bounds.x, y: bounds.y + bounds.height, cursor: 'sw-resize' },
+      { type: 'se', x: bounds.x + bounds.width, y: bounds.y + bounds.height, cursor: 'se-resize' }
+    );
+  } else if (
     shape.type === SHAPE_TYPES.RECTANGLE ||
+    shape.type === SHAPE_TYPES.FRAME ||
     shape.type === SHAPE_TYPES.TEXT ||
-    shape.type === SHAPE_TYPES.IMAGE
+    shape.type === SHAPE_TYPES.STICKY ||
+    shape.type === SHAPE_TYPES.IMAGE ||
+    shape.type === SHAPE_TYPES.PATH
   ) {
     // Corners
     resizeHandles.push(
@@ -115,6 +191,9 @@ const SelectionBox = memo(function SelectionBox({ shape, zoom, onResizeStart, on
     );
   }
 
+  // Frames stay axis-aligned so their children's clip region is a plain box
+  const canRotate = shape.type !== SHAPE_TYPES.FRAME;
+
   // Rotation handle position (above the shape)
   const rotationHandleX = bounds.centerX;
   const rotationHandleY = bounds.y - rotationOffset;
@@ -159,33 +238,37 @@ const SelectionBox = memo(function SelectionBox({ shape, zoom, onResizeStart, on
         />
       ))}
 
-      {/* Line connecting to rotation handle */}
-      <line
-        x1={bounds.centerX}
-        y1={bounds.y}
-        x2={rotationHandleX}
-        y2={rotationHandleY}
-        stroke={SELECTION_COLOR}
-        strokeWidth={strokeWidth}
-        style={{ pointerEvents: 'none' }}
-      />
+      {canRotate && (
+        <>
+          {/* Line connecting to rotation handle */}
+          <line
+            x1={bounds.centerX}
+            y1={bounds.y}
+            x2={rotationHandleX}
+            y2={rotationHandleY}
+            stroke={SELECTION_COLOR}
+            strokeWidth={strokeWidth}
+            style={{ pointerEvents: 'none' }}
+          />
 
-      {/* Rotation handle */}
-      <circle
-        cx={rotationHandleX}
-        cy={rotationHandleY}
-        r={handleSize / 1.5}
-        fill={HANDLE_FILL}
-        stroke={HANDLE_STROKE}
-        strokeWidth={handleStrokeWidth}
-        style={{ cursor: 'grab' }}
-        onMouseDown={(e) => {
-          e.stopPropagation();
-          if (onRotateStart) {
-            onRotateStart(e);
-          }
-        }}
-      />
+          {/* Rotation handle */}
+          <circle
+            cx={rotationHandleX}
+            cy={rotationHandleY}
+            r={handleSize / 1.5}
+            fill={HANDLE_FILL}
+            stroke={HANDLE_STROKE}
+            strokeWidth={handleStrokeWidth}
+            style={{ cursor: 'grab' }}
+            onMouseDown={(e) => {
+              e.stopPropagation();
+              if (onRotateStart) {
+                onRotateStart(e);
+              }
+            }}
+          />
+        </>
+      )}
     </g>
   );
 });
@@ -0,0 +1,74 @@
+import { useState, useEffect } from 'react';
+import { subscribeToShapeHistory } from '../services/shapeHistoryService';
+import { describeShapeHistoryEntry, formatEditTime } from '../utils/shapeHistoryUtils';
+import styles from './ShapeHistoryPanel.module.css';
+
+/**
+ * ShapeHistoryPanel component - Who changed a shape, and when
+ * Lists the shape's history newest first (opened from the context menu)
+ */
+function ShapeHistoryPanel({ canvasId, shape, onClose }) {
+  const [entries, setEntries] = useState(null);
+  const shapeId = shape?.id;
+
+  useEffect(() => {
+    if (!canvasId || !shapeId) return;
+    setEntries(null);
+    return subscribeToShapeHistory(canvasId, shapeId, setEntries);
+  }, [canvasId, shapeId]);
+
+  if (!shape) return null;
+
+  return (
+    // eslint-disable-next-line jsx-a11y/no-static-element-interactions
+    <div
+      className={styles['shape-history-overlay']}
+      onClick={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+      onKeyDown={(e) => {
+        if (e.key === 'Escape') onClose();
+      }}
+    >
+      <div
+        className={styles['shape-history']}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="shape-history-title"
+      >
+        <div className={styles['shape-history-header']}>
+          <h2 id="shape-history-title">History — {shape.name || 'Shape'}</h2>
+          <button className={styles['shape-history-close']} onClick={onClose} aria-label="Close">
+            ✕
+          </button>
+        </div>
+
+        <div className={styles['shape-history-content']}>
+          {entries === null ? (
+            <p className={styles['shape-history-empty']}>Loading…</p>
+          ) : entries.length === 0 ? (
+            <p className={styles['shape-history-empty']}>No changes recorded for this shape yet.</p>
+          ) : (
+            <ul className={styles['shape-history-list']}>
+              {entries.map((entry) => (
+                <li key={entry.id} className={styles['shape-history-item']}>
+                  <span className={styles['shape-history-change']}>
+                    {describeShapeHistoryEntry(entry)}
+                  </span>
+                  <span
+                    className={styles['shape-history-meta']}
+                    title={new Date(entry.createdAt).toLocaleString()}
+                  >
+                    {entry.userName || 'Someone'} · {formatEditTime(entry.createdAt)}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ShapeHistoryPanel;
@@ -49,6 +49,20 @@ const ShapePalette = memo(function ShapePalette({
       ),
       label: 'Rectangle',
     },
+    {
+      type: TOOL_TYPES.FRAME,
+      icon: (
+        <svg viewBox="0 0 24 24" width="24" height="24">
+          <path
+            d="M8 3 V21 M16 3 V21 M3 8 H21 M3 16 H21"
+            fill="none"
+            stroke="currentColor"
+            strokeWidth="2"
+          />
+        </svg>
+      ),
+      label: 'Frame',
+    },
     {
       type: TOOL_TYPES.CIRCLE,
       icon: (
@@ -89,6 +103,37 @@ const ShapePalette = memo(function ShapePalette({
       ),
       label: 'Custom Polygon',
     },
+    {
+      type: TOOL_TYPES.CONNECTOR,
+      icon: (
+        <svg viewBox="0 0 24 24" width="24" height="24">
+          <path d="M4 20 L18 6" fill="none" stroke="currentColor" strokeWidth="2" />
+          <path
+            d="M11 6 H18 V13"
+            fill="none"
+            stroke="currentColor"
+            strokeWidth="2"
+            strokeLinejoin="round"
+          />
+        </svg>
+      ),
+      label: 'Connector',
+    },
+    {
+      type: TOOL_TYPES.PATH,
+      icon: (
+        <svg viewBox="0 0 24 24" width="24" height="24">
+          <path
+            d="M3 17 C6 8, 10 6, 12 12 S 17 18, 21 7"
+            fill="none"
+            stroke="currentColor"
+            strokeWidth="2"
+            strokeLinecap="round"
+          />
+        </svg>
+      ),
+      label: 'Pen',
+    },
     {
       type: TOOL_TYPES.TEXT,
       icon: (
@@ -98,6 +143,21 @@ const ShapePalette = memo(function ShapePalette({
       ),
       label: 'Text Box',
     },
+    {
+      type: TOOL_TYPES.STICKY,
+      icon: (
+        <svg viewBox="0 0 24 24" width="24" height="24">
+          <path
+            d="M4 4h16v11l-5 5H4z M15 20v-5h5"
+            fill="none"
+            stroke="currentColor"
+            strokeWidth="2"
+            strokeLinejoin="round"
+          />
+        </svg>
+      ),
+      label: 'Sticky Note (S)',
+    },
     {
       type: TOOL_TYPES.IMAGE,
       icon: (
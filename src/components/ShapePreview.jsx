@@ -4,8 +4,15 @@ import {
   MIN_CIRCLE_RADIUS,
   MIN_POLYGON_RADIUS,
   DEFAULT_POLYGON_SIDES,
+  DEFAULT_PATH_STROKE_WIDTH,
+  DEFAULT_FRAME_COLOR,
+  FRAME_BORDER_COLOR,
+  DEFAULT_STICKY_COLOR,
+  DEFAULT_STICKY_SIZE,
 } from '../utils/constants';
 import { getRandomColor } from '../utils/colorUtils';
+import { getConnectorRoute, pointsToPathData } from '../utils/connectorUtils';
+import { getSmoothPathData } from '../utils/pathUtils';
 
 /**
  * ShapePreview — Ghost shape shown while drawing a new shape.
@@ -16,6 +23,8 @@ export default function ShapePreview({
   selectedTool,
   drawStart,
   drawCurrent,
+  connectorDraft,
+  penPoints,
   zoom,
 }) {
   if (!isDrawing || !previewRect) return null;
@@ -24,6 +33,45 @@ export default function ShapePreview({
   const dy = Math.abs(drawCurrent.y - drawStart.y);
   const dashStyle = `${10 / zoom} ${5 / zoom}`;
 
+  if (selectedTool === SHAPE_TYPES.CONNECTOR && connectorDraft) {
+    // Ends attached to a shape are marked with a dot on the anchor
+    const attachedEnds = [
+      connectorDraft.startShapeId && { x: connectorDraft.x, y: connectorDraft.y },
+      connectorDraft.endShapeId && { x: connectorDraft.x2, y: connectorDraft.y2 },
+    ].filter(Boolean);
+
+    return (
+      <g className="preview-shape" style={{ pointerEvents: 'none' }}>
+        <path
+          d={pointsToPathData(getConnectorRoute(connectorDraft, {}))}
+          fill="none"
+          stroke="#fff"
+          strokeWidth={2 / zoom}
+          strokeDasharray={dashStyle}
+        />
+        {attachedEnds.map((point, i) => (
+          <circle key={i} cx={point.x} cy={point.y} r={5 / zoom} fill="#646cff" />
+        ))}
+      </g>
+    );
+  }
+
+  if (selectedTool === SHAPE_TYPES.PATH && penPoints?.length > 0) {
+    return (
+      <path
+        d={getSmoothPathData(penPoints)}
+        fill="none"
+        stroke="#fff"
+        strokeWidth={DEFAULT_PATH_STROKE_WIDTH}
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        opacity={0.7}
+        className="preview-shape"
+        style={{ pointerEvents: 'none' }}
+      />
+    );
+  }
+
   if (
     selectedTool === SHAPE_TYPES.RECTANGLE &&
     previewRect.width >= MIN_RECTANGLE_SIZE &&
@@ -46,6 +94,28 @@ export default function ShapePreview({
     );
   }
 
+  if (
+    selectedTool === SHAPE_TYPES.FRAME &&
+    previewRect.width >= MIN_RECTANGLE_SIZE &&
+    previewRect.height >= MIN_RECTANGLE_SIZE
+  ) {
+    return (
+      <rect
+        x={previewRect.x}
+        y={previewRect.y}
+        width={previewRect.width}
+        height={previewRect.height}
+        fill={DEFAULT_FRAME_COLOR}
+        opacity={0.6}
+        stroke={FRAME_BORDER_COLOR}
+        strokeWidth={1 / zoom}
+        strokeDasharray={dashStyle}
+        className="preview-shape"
+        style={{ pointerEvents: 'none' }}
+      />
+    );
+  }
+
   if (selectedTool === SHAPE_TYPES.CIRCLE) {
     const radius = Math.sqrt(dx * dx + dy * dy) / 2;
     const centerX = (drawStart.x + drawCurrent.x) / 2;
@@ -101,6 +171,28 @@ export default function ShapePreview({
     }
   }
 
+  if (selectedTool === SHAPE_TYPES.STICKY) {
+    // Matches mouseup: a drag too small to size the note places a default one
+    const isSized =
+      previewRect.width >= MIN_RECTANGLE_SIZE && previewRect.height >= MIN_RECTANGLE_SIZE;
+    return (
+      <rect
+        x={previewRect.x}
+        y={previewRect.y}
+        width={isSized ? previewRect.width : DEFAULT_STICKY_SIZE}
+        height={isSized ? previewRect.height : DEFAULT_STICKY_SIZE}
+        fill={DEFAULT_STICKY_COLOR}
+        opacity={0.6}
+        stroke="#fff"
+        strokeWidth={2 / zoom}
+        strokeDasharray={dashStyle}
+        rx={2}
+        className="preview-shape"
+        style={{ pointerEvents: 'none' }}
+      />
+    );
+  }
+
   if (selectedTool === SHAPE_TYPES.TEXT) {
     const width = Math.max(dx, 200);
     const height = Math.max(dy, 60);
@@ -1,18 +1,38 @@
-import { SHAPE_TYPES } from '../utils/constants';
+import { useRef } from 'react';
+import { SHAPE_TYPES, LOD_MIN_SCREEN_SIZE, READ_ONLY_ROLES } from '../utils/constants';
+import { getShapeBounds } from '../utils/canvasUtils';
 import Rectangle from './Rectangle';
 import Circle from './Circle';
 import Polygon from './Polygon';
 import CustomPolygon from './CustomPolygon';
 import TextBox from './TextBox';
+import Sticky from './Sticky';
 import Image from './Image';
+import Connector from './Connector';
+import Path from './Path';
+import Frame from './Frame';
+import SimplifiedShape from './SimplifiedShape';
+import { getConnectorRoute } from '../utils/connectorUtils';
+import { getEffectiveLock, getTopLevelGroupId, getGroupMembers } from '../utils/groupUtils';
+import { isFrame, getFrameClipId, getFrameRenderOrder } from '../utils/frameUtils';
 
 /**
  * ShapeRenderer — Maps each visible shape to its component.
+ * `shapesById` holds every shape (not only visible ones) so connectors can
+ * follow shapes that are off-screen, and grouped shapes share their group's lock.
+ * A frame's children are drawn right after it, clipped to its bounds.
+ *
+ * The shape components are memoized, so their per-shape handlers are created
+ * once and read the latest props through a ref: while panning or dragging only
+ * the shapes that changed re-render. Shapes smaller than LOD_MIN_SCREEN_SIZE on
+ * screen (at `zoom`) are drawn as SimplifiedShape boxes unless selected.
  */
 export default function ShapeRenderer({
   visibleShapes,
+  shapesById,
   selectedShapeId,
   selectedShapeIds,
+  zoom = 1,
   user,
   userRole,
   onShapeClick,
@@ -22,49 +42,127 @@ export default function ShapeRenderer({
   onSetEditingText,
   onSetContextMenu,
 }) {
-  return visibleShapes.map((shape) => {
-    const handleDoubleClick = (e) => {
-      e.stopPropagation();
-      if (userRole === 'viewer') return;
-      if (!shape.lockedBy || shape.lockedBy === user?.uid) {
-        onSelectShape(shape.id);
-        onSetEditingTextId(shape.id);
-        onSetEditingText(shape.text || '');
-      }
-    };
+  const { topLevel, childrenByFrame } = getFrameRenderOrder(visibleShapes, shapesById);
 
-    const handleContextMenu = (e) => {
-      e.preventDefault();
-      e.stopPropagation();
-      if (userRole === 'viewer') return;
-      if (shape.lockedBy && shape.lockedBy !== user?.uid) return;
+  const latestRef = useRef(null);
+  latestRef.current = {
+    shapesById,
+    selectedShapeId,
+    selectedShapeIds,
+    user,
+    userRole,
+    onSelectShape,
+    onSetEditingTextId,
+    onSetEditingText,
+    onSetContextMenu,
+  };
+  const handlersRef = useRef(new Map());
 
-      if (!selectedShapeIds.includes(shape.id) && shape.id !== selectedShapeId) {
-        onSelectShape(shape.id);
-      }
+  const handleDoubleClick = (shapeId, e) => {
+    const { shapesById, user, userRole, onSelectShape, onSetEditingTextId, onSetEditingText } =
+      latestRef.current;
+    const shape = shapesById.get(shapeId);
+    if (!shape) return;
+    const lock = getEffectiveLock(shape, shapesById);
+    const isLocked = !!lock.lockedBy && lock.lockedBy !== user?.uid;
 
-      onSetContextMenu({
-        x: e.clientX,
-        y: e.clientY,
-        shapeIds: selectedShapeIds.length > 0 ? selectedShapeIds : [shape.id],
-      });
-    };
+    e.stopPropagation();
+    if (
+      READ_ONLY_ROLES.includes(userRole) ||
+      shape.type === SHAPE_TYPES.CONNECTOR ||
+      shape.type === SHAPE_TYPES.PATH ||
+      shape.type === SHAPE_TYPES.FRAME
+    ) {
+      return;
+    }
+    // Text boxes can be edited by several people at once; other shapes need the lock
+    if (isLocked && shape.type !== SHAPE_TYPES.TEXT) return;
+    // Double-click edits the shape itself, even inside a group
+    if (!isLocked) onSelectShape(shape.id);
+    onSetEditingTextId(shape.id);
+    onSetEditingText(shape.text || '');
+  };
+
+  const handleContextMenu = (shapeId, e) => {
+    const { shapesById, selectedShapeId, selectedShapeIds, user, userRole, onSelectShape } =
+      latestRef.current;
+    const shape = shapesById.get(shapeId);
+
+    e.preventDefault();
+    e.stopPropagation();
+    if (!shape || READ_ONLY_ROLES.includes(userRole)) return;
+    const lock = getEffectiveLock(shape, shapesById);
+    if (lock.lockedBy && lock.lockedBy !== user?.uid) return;
 
+    let shapeIds = selectedShapeIds.length > 0 ? selectedShapeIds : [shape.id];
+    if (!selectedShapeIds.includes(shape.id) && shape.id !== selectedShapeId) {
+      // Right-clicking a grouped shape selects its whole group
+      const unitId = getTopLevelGroupId(shape, shapesById);
+      onSelectShape(unitId);
+      shapeIds =
+        unitId === shape.id
+          ? [shape.id]
+          : getGroupMembers(unitId, Array.from(shapesById.values())).map((s) => s.id);
+    }
+
+    latestRef.current.onSetContextMenu({ x: e.clientX, y: e.clientY, shapeIds });
+  };
+
+  // One pair of handlers per shape for as long as it's drawn
+  const getHandlers = (shapeId) => {
+    let handlers = handlersRef.current.get(shapeId);
+    if (!handlers) {
+      handlers = {
+        onDoubleClick: (e) => handleDoubleClick(shapeId, e),
+        onContextMenu: (e) => handleContextMenu(shapeId, e),
+      };
+      handlersRef.current.set(shapeId, handlers);
+    }
+    return handlers;
+  };
+  for (const shapeId of handlersRef.current.keys()) {
+    if (!shapesById.has(shapeId)) handlersRef.current.delete(shapeId);
+  }
+
+  const renderShape = (shape) => {
+    const lock = getEffectiveLock(shape, shapesById);
+    const isLocked = !!lock.lockedBy && lock.lockedBy !== user?.uid;
     const isSelected = shape.id === selectedShapeId || selectedShapeIds.includes(shape.id);
-    const isLocked = !!shape.lockedBy && shape.lockedBy !== user?.uid;
 
     const shapeProps = {
       ...shape,
       isSelected,
       isLocked,
       cursorStyle: isLocked && !isSelected ? 'not-allowed' : 'default',
-      lockedByUserName: shape.lockedByUserName,
+      lockedBy: lock.lockedBy,
+      lockedByUserName: lock.lockedByUserName,
       onClick: onShapeClick,
       onMouseDown: onShapeMouseDown,
-      onDoubleClick: handleDoubleClick,
-      onContextMenu: handleContextMenu,
+      ...getHandlers(shape.id),
     };
 
+    if (!isSelected && shape.type !== SHAPE_TYPES.CONNECTOR) {
+      const bounds = getShapeBounds(shape);
+      if (Math.max(bounds.width, bounds.height) * zoom < LOD_MIN_SCREEN_SIZE) {
+        return (
+          <SimplifiedShape
+            key={shape.id}
+            id={shape.id}
+            x={bounds.minX}
+            y={bounds.minY}
+            width={bounds.width}
+            height={bounds.height}
+            color={shape.color}
+            strokeColor={shape.strokeColor}
+            opacity={shape.opacity}
+            cursorStyle={shapeProps.cursorStyle}
+            onClick={onShapeClick}
+            onMouseDown={onShapeMouseDown}
+          />
+        );
+      }
+    }
+
     if (shape.type === SHAPE_TYPES.CIRCLE) {
       return <Circle key={shape.id} {...shapeProps} />;
     } else if (shape.type === SHAPE_TYPES.POLYGON) {
@@ -80,12 +178,27 @@ export default function ShapeRenderer({
           fontSize={shape.fontSize || 16}
           fontWeight={shape.fontWeight || 'normal'}
           fontStyle={shape.fontStyle || 'normal'}
+          richText={shape.richText}
+          textAlign={shape.textAlign}
+          fontFamily={shape.fontFamily}
+          lineHeight={shape.lineHeight}
           textColor={shape.textColor}
           backgroundColor={shape.backgroundColor || 'transparent'}
           width={shape.width || 200}
           height={shape.height || 60}
         />
       );
+    } else if (shape.type === SHAPE_TYPES.STICKY) {
+      return (
+        <Sticky
+          key={shape.id}
+          {...shapeProps}
+          text={shape.text || ''}
+          createdByName={shape.createdByName}
+          width={shape.width || 200}
+          height={shape.height || 200}
+        />
+      );
     } else if (shape.type === SHAPE_TYPES.IMAGE) {
       return (
         <Image
@@ -96,8 +209,33 @@ export default function ShapeRenderer({
           height={shape.height || 200}
         />
       );
+    } else if (shape.type === SHAPE_TYPES.CONNECTOR) {
+      return (
+        <Connector key={shape.id} {...shapeProps} points={getConnectorRoute(shape, shapesById)} />
+      );
+    } else if (shape.type === SHAPE_TYPES.PATH) {
+      return <Path key={shape.id} {...shapeProps} />;
+    } else if (shape.type === SHAPE_TYPES.FRAME) {
+      return <Frame key={shape.id} {...shapeProps} />;
     } else {
       return <Rectangle key={shape.id} {...shapeProps} />;
     }
+  };
+
+  return topLevel.map((shape) => {
+    if (!isFrame(shape)) return renderShape(shape);
+
+    const clipId = getFrameClipId(shape.id);
+    return (
+      <g key={shape.id} className="frame-container">
+        <defs>
+          <clipPath id={clipId}>
+            <rect x={shape.x} y={shape.y} width={shape.width} height={shape.height} />
+          </clipPath>
+        </defs>
+        {renderShape(shape)}
+        <g clipPath={`url(#${clipId})`}>{(childrenByFrame.get(shape.id) || []).map(renderShape)}</g>
+      </g>
+    );
   });
 }
@@ -1,22 +1,46 @@
 import { useState, useEffect, useCallback } from 'react';
 import {
   createShareToken,
+  getShareTokens,
+  revokeShareToken,
   removeCanvasPermission,
   getCanvasPermissions,
 } from '../services/canvasService';
 import { CANVAS_ROLE } from '../utils/constants';
 import { reportError } from '../utils/errorHandler';
+import { formatShareLinkUses, formatShareLinkExpiry } from '../utils/shareLinkUtils';
 import styles from './ShareCanvasModal.module.css';
 
+const SHARE_ROLE_LABELS = {
+  [CANVAS_ROLE.VIEWER]: 'Viewer',
+  [CANVAS_ROLE.COMMENTER]: 'Commenter',
+  [CANVAS_ROLE.EDITOR]: 'Editor',
+};
+
+const HOUR = 60 * 60 * 1000;
+const LINK_EXPIRY_OPTIONS = [
+  { label: 'Never', duration: null },
+  { label: '1 hour', duration: HOUR },
+  { label: '1 day', duration: 24 * HOUR },
+  { label: '7 days', duration: 7 * 24 * HOUR },
+  { label: '30 days', duration: 30 * 24 * HOUR },
+];
+const LINK_USE_LIMIT_OPTIONS = [null, 1, 5, 10, 25, 100];
+
 /**
  * ShareCanvasModal component - Share canvas with other users
  * Allows owners to:
- * - Generate shareable links with role permissions (Editor/Viewer)
+ * - Generate shareable links with role permissions (Editor/Commenter/Viewer),
+ *   optionally expiring or limited to a number of uses
+ * - See active links with their use counts and revoke them
  * - Manage collaborators
  */
 function ShareCanvasModal({ canvasId, canvasName, currentUserId, isOpen, onClose }) {
   const [shareLink, setShareLink] = useState('');
   const [shareLinkRole, setShareLinkRole] = useState(CANVAS_ROLE.VIEWER); // Role for share link
+  const [linkExpiry, setLinkExpiry] = useState(0); // Index into LINK_EXPIRY_OPTIONS
+  const [linkUseLimit, setLinkUseLimit] = useState(0); // Index into LINK_USE_LIMIT_OPTIONS
+  const [activeLinks, setActiveLinks] = useState([]);
   const [collaborators, setCollaborators] = useState([]);
   const [loading, setLoading] = useState(false);
   const [linkLoading, setLinkLoading] = useState(false);
@@ -41,14 +65,32 @@ function ShareCanvasModal({ canvasId, canvasName, currentUserId, isOpen, onClose
     }
   }, [canvasId]);
 
+  // Load links that can still be used
+  const loadShareLinks = useCallback(async () => {
+    try {
+      const links = await getShareTokens(canvasId);
+      setActiveLinks(links.filter((link) => link.status === 'active'));
+    } catch (err) {
+      reportError(err, { component: 'ShareCanvasModal', action: 'loadShareLinks' });
+    }
+  }, [canvasId]);
+
   // Generate shareable link on mount
   useEffect(() => {
     if (isOpen && canvasId) {
       const link = `${window.location.origin}/canvas/${canvasId}`;
       setShareLink(link);
       loadCollaborators();
+      loadShareLinks();
     }
-  }, [isOpen, canvasId, loadCollaborators]);
+  }, [isOpen, canvasId, loadCollaborators, loadShareLinks]);
+
+  const getLinkWithToken = (token) => `${shareLink}?token=${encodeURIComponent(token)}`;
+
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    setTimeout(() => setSuccessMessage(''), 2000);
+  };
 
   // Copy shareable link after creating a role-scoped token.
   const handleCopyLink = async () => {
@@ -56,12 +98,16 @@ function ShareCanvasModal({ canvasId, canvasName, currentUserId, isOpen, onClose
     setError('');
 
     try {
-      const token = await createShareToken(canvasId, currentUserId, shareLinkRole);
-      const linkWithToken = `${shareLink}?token=${encodeURIComponent(token)}`;
-      await navigator.clipboard.writeText(linkWithToken);
+      const { duration } = LINK_EXPIRY_OPTIONS[linkExpiry];
+      const token = await createShareToken(canvasId, currentUserId, shareLinkRole, {
+        expiresAt: duration ? Date.now() + duration : null,
+        maxUses: LINK_USE_LIMIT_OPTIONS[linkUseLimit],
+      });
+      loadShareLinks();
+      await navigator.clipboard.writeText(getLinkWithToken(token));
 
       setCopySuccess(true);
-      setSuccessMessage(`${shareLinkRole === 'editor' ? 'Editor' : 'Viewer'} link copied!`);
+      setSuccessMessage(`${SHARE_ROLE_LABELS[shareLinkRole]} link copied!`);
       setTimeout(() => {
         setCopySuccess(false);
         setSuccessMessage('');
@@ -74,6 +120,36 @@ function ShareCanvasModal({ canvasId, canvasName, currentUserId, isOpen, onClose
     }
   };
 
+  // Copy an existing link again
+  const handleCopyExistingLink = async (link) => {
+    setError('');
+    try {
+      await navigator.clipboard.writeText(getLinkWithToken(link.token));
+      showSuccess(`${SHARE_ROLE_LABELS[link.role] || 'Share'} link copied!`);
+    } catch (err) {
+      reportError(err, { component: 'ShareCanvasModal', action: 'handleCopyExistingLink' });
+      setError('Failed to copy share link');
+    }
+  };
+
+  // Revoke a link: nobody new can join through it
+  const handleRevokeLink = async (link) => {
+    const confirmed = window.confirm(
+      'Revoke this link? Nobody new will be able to join through it. People who already joined keep their access.'
+    );
+    if (!confirmed) return;
+
+    setError('');
+    try {
+      await revokeShareToken(canvasId, link.token);
+      setActiveLinks((links) => links.filter((other) => other.token !== link.token));
+      showSuccess('Link revoked');
+    } catch (err) {
+      reportError(err, { component: 'ShareCanvasModal', action: 'handleRevokeLink' });
+      setError('Failed to revoke the link. Please try again.');
+    }
+  };
+
   // Remove collaborator
   const handleRemoveCollaborator = async (userId) => {
     if (userId === currentUserId) {
@@ -154,6 +230,15 @@ function ShareCanvasModal({ canvasId, canvasName, currentUserId, isOpen, onClose
                 <span className={styles['role-label']}>Viewer</span>
                 <span className={styles['role-desc']}>Can view only</span>
               </button>
+              <button
+                type="button"
+                className={`${styles['share-link-role-btn']} ${shareLinkRole === CANVAS_ROLE.COMMENTER ? styles['active'] : ''}`}
+                onClick={() => setShareLinkRole(CANVAS_ROLE.COMMENTER)}
+              >
+                <span className={styles['role-icon']}>💬</span>
+                <span className={styles['role-label']}>Commenter</span>
+                <span className={styles['role-desc']}>Can view & comment</span>
+              </button>
               <button
                 type="button"
                 className={`${styles['share-link-role-btn']} ${shareLinkRole === CANVAS_ROLE.EDITOR ? styles['active'] : ''}`}
@@ -165,6 +250,32 @@ function ShareCanvasModal({ canvasId, canvasName, currentUserId, isOpen, onClose
               </button>
             </div>
 
+            <div className={styles['share-link-options']}>
+              <label>
+                Expires
+                <select value={linkExpiry} onChange={(e) => setLinkExpiry(Number(e.target.value))}>
+                  {LINK_EXPIRY_OPTIONS.map((option, index) => (
+                    <option key={option.label} value={index}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Uses
+                <select
+                  value={linkUseLimit}
+                  onChange={(e) => setLinkUseLimit(Number(e.target.value))}
+                >
+                  {LINK_USE_LIMIT_OPTIONS.map((limit, index) => (
+                    <option key={limit ?? 'unlimited'} value={index}>
+                      {limit === null ? 'Unlimited' : limit === 1 ? '1 person' : `${limit} people`}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </div>
+
             <div className={styles['share-link-container']}>
               <input
                 type="text"
@@ -182,6 +293,46 @@ function ShareCanvasModal({ canvasId, canvasName, currentUserId, isOpen, onClose
             </div>
           </div>
 
+          {/* Active Links */}
+          <div className={styles['share-section']}>
+            <h3>Active Links ({activeLinks.length})</h3>
+            {activeLinks.length === 0 ? (
+              <p className={styles['share-empty-state']}>
+                No active links. Links you copy above show up here until they expire, run out of
+                uses or are revoked.
+              </p>
+            ) : (
+              <div className={styles['share-collaborators-list']}>
+                {activeLinks.map((link) => (
+                  <div key={link.token} className={styles['share-collaborator-item']}>
+                    <div className={styles['share-collaborator-info']}>
+                      <span
+                        className={`${styles['share-role-badge']} ${styles['role-' + link.role] || ''}`}
+                      >
+                        {link.role}
+                      </span>
+                      <span className={styles['share-link-meta']}>
+                        {formatShareLinkUses(link)} · {formatShareLinkExpiry(link)}
+                      </span>
+                    </div>
+                    <div className={styles['share-link-actions']}>
+                      <button onClick={() => handleCopyExistingLink(link)} title="Copy link">
+                        Copy
+                      </button>
+                      <button
+                        className={styles['danger']}
+                        onClick={() => handleRevokeLink(link)}
+                        title="Revoke link"
+                      >
+                        Revoke
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
           {/* Collaborators List */}
           <div className={styles['share-section']}>
             <h3>Collaborators ({collaborators.length})</h3>
@@ -0,0 +1,54 @@
+import { memo } from 'react';
+
+// Shapes without a fill (text boxes, pen strokes) still show up in a neutral gray
+const FALLBACK_COLOR = '#9ca3af';
+
+/**
+ * SimplifiedShape - Low-detail stand-in for a shape too small on screen to make
+ * out: a plain box over its bounds in its color, with no stroke, text or lock
+ * badge. It can still be clicked and dragged.
+ * `x`, `y`, `width` and `height` are the shape's bounding box (getShapeBounds).
+ */
+const SimplifiedShape = memo(function SimplifiedShape({
+  id,
+  x,
+  y,
+  width,
+  height,
+  color,
+  strokeColor,
+  opacity = 1,
+  cursorStyle = 'default',
+  onClick,
+  onMouseDown,
+}) {
+  const handleClick = (e) => {
+    e.stopPropagation();
+    if (onClick) {
+      onClick(id, e);
+    }
+  };
+
+  const handleMouseDown = (e) => {
+    e.stopPropagation();
+    if (onMouseDown) {
+      onMouseDown(id, e);
+    }
+  };
+
+  return (
+    <rect
+      x={x}
+      y={y}
+      width={width}
+      height={height}
+      fill={color || strokeColor || FALLBACK_COLOR}
+      opacity={opacity}
+      style={{ cursor: cursorStyle }}
+      onClick={handleClick}
+      onMouseDown={handleMouseDown}
+    />
+  );
+});
+
+export default SimplifiedShape;
@@ -0,0 +1,197 @@
+import { memo, useMemo } from 'react';
+import { layoutSticky } from '../utils/stickyUtils';
+import { STICKY_TEXT_COLOR } from '../utils/constants';
+
+/**
+ * Sticky component - Renders a sticky note: paper, auto-fitted text and author
+ * @param {string} id - Unique identifier
+ * @param {number} x - X coordinate (top-left)
+ * @param {number} y - Y coordinate (top-left)
+ * @param {number} width - Width of the note
+ * @param {number} height - Height of the note
+ * @param {string} text - Note text
+ * @param {string} color - Paper color
+ * @param {string} createdByName - Author shown in the footer
+ * @param {number} rotation - Rotation in degrees
+ * @param {boolean} isSelected - Whether the note is selected
+ * @param {boolean} isLocked - Whether the note is locked
+ * @param {string} lockedBy - User ID who locked it
+ * @param {string} lockedByUserName - Name of user who locked it
+ * @param {function} onClick - Click handler
+ * @param {function} onMouseDown - Mouse down handler
+ * @param {function} onDoubleClick - Double click handler for editing
+ */
+const Sticky = memo(function Sticky({
+  id,
+  x,
+  y,
+  width = 200,
+  height = 200,
+  text = '',
+  color,
+  createdByName,
+  rotation = 0,
+  isSelected,
+  isLocked,
+  cursorStyle = 'default',
+  lockedBy,
+  lockedByUserName,
+  onClick,
+  onMouseDown,
+  onDoubleClick,
+  onContextMenu,
+}) {
+  const centerX = x + width / 2;
+  const centerY = y + height / 2;
+  const transform = rotation ? `rotate(${rotation} ${centerX} ${centerY})` : undefined;
+
+  const layout = useMemo(
+    () => layoutSticky({ x, y, width, height, text, createdByName }),
+    [x, y, width, height, text, createdByName]
+  );
+
+  const handleClick = (e) => {
+    e.stopPropagation();
+    if (onClick) {
+      onClick(id, e);
+    }
+  };
+
+  const handleMouseDown = (e) => {
+    e.stopPropagation();
+    if (onMouseDown) {
+      onMouseDown(id, e);
+    }
+  };
+
+  const handleDoubleClick = (e) => {
+    e.stopPropagation();
+    if (onDoubleClick) {
+      onDoubleClick(e);
+    }
+  };
+
+  const handleContextMenu = (e) => {
+    e.stopPropagation();
+    if (onContextMenu) {
+      onContextMenu(e);
+    }
+  };
+
+  return (
+    <g transform={transform}>
+      {/* Shadow */}
+      <rect
+        x={x + 3}
+        y={y + 4}
+        width={width}
+        height={height}
+        fill="rgba(0, 0, 0, 0.18)"
+        rx={2}
+        style={{ pointerEvents: 'none' }}
+      />
+
+      {/* Paper - handles all interactions */}
+      <rect
+        x={x}
+        y={y}
+        width={width}
+        height={height}
+        fill={color}
+        rx={2}
+        onClick={handleClick}
+        onMouseDown={handleMouseDown}
+        onDoubleClick={handleDoubleClick}
+        onContextMenu={handleContextMenu}
+        style={{ cursor: cursorStyle }}
+      />
+
+      {/* Text */}
+      {layout.lines.map((line, i) => (
+        <text
+          key={i}
+          x={line.x}
+          y={line.y}
+          fill={STICKY_TEXT_COLOR}
+          fontSize={layout.fontSize}
+          fontFamily="Arial, sans-serif"
+          textAnchor="middle"
+          style={{ userSelect: 'none', pointerEvents: 'none', whiteSpace: 'pre' }}
+        >
+          {line.text}
+        </text>
+      ))}
+
+      {/* Author */}
+      {layout.author && (
+        <text
+          x={layout.author.x}
+          y={layout.author.y}
+          fill={STICKY_TEXT_COLOR}
+          fillOpacity={0.6}
+          fontSize={layout.author.fontSize}
+          fontFamily="Arial, sans-serif"
+          textAnchor="end"
+          style={{ userSelect: 'none', pointerEvents: 'none' }}
+        >
+          {layout.author.text}
+        </text>
+      )}
+
+      {/* Selection highlight */}
+      {isSelected && (
+        <rect
+          x={x - 2}
+          y={y - 2}
+          width={width + 4}
+          height={height + 4}
+          fill="none"
+          stroke="#646cff"
+          strokeWidth={2}
+          rx={3}
+          style={{ pointerEvents: 'none' }}
+        />
+      )}
+
+      {/* Lock indicator */}
+      {isLocked && lockedBy && (
+        <g style={{ pointerEvents: 'none' }}>
+          <rect
+            x={x + width - 30}
+            y={y + 5}
+            width={25}
+            height={20}
+            fill="rgba(255, 100, 100, 0.9)"
+            stroke="#ff4444"
+            strokeWidth={1}
+            rx={3}
+          />
+          <text
+            x={x + width - 17.5}
+            y={y + 17}
+            fill="white"
+            fontSize={12}
+            fontWeight="bold"
+            textAnchor="middle"
+          >
+            🔒
+          </text>
+          {lockedByUserName && (
+            <text
+              x={x + width / 2}
+              y={y - 5}
+              fill="#ff4444"
+              fontSize={12}
+              fontWeight="bold"
+              textAnchor="middle"
+            >
+              {lockedByUserName}
+            </text>
+          )}
+        </g>
+      )}
+    </g>
+  );
+});
+
+export default Sticky;
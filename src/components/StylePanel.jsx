@@ -0,0 +1,126 @@
+import { useState, useEffect } from 'react';
+import ColorPicker from './ColorPicker';
+import NumberField from './NumberField';
+import {
+  SHAPE_TYPES,
+  STROKE_DASH_STYLES,
+  DEFAULT_STROKE_COLOR,
+  MAX_STROKE_WIDTH,
+  MAX_CORNER_RADIUS,
+} from '../utils/constants';
+import { getCommonValue } from '../utils/inspectorUtils';
+import styles from './StylePanel.module.css';
+
+const DASH_LABELS = { solid: 'Solid', dashed: 'Dashed', dotted: 'Dotted' };
+
+/**
+ * StylePanel - Fill, border, dash, corner radius and opacity of the selected shapes
+ * Values the shapes don't share show as "Mixed"; every change applies to all of them
+ * @param {object[]} shapes - Selected shapes that can be styled (and aren't locked by others)
+ * @param {function} onChange - Called with the fields to update, e.g. { strokeWidth: 2 }
+ */
+function StylePanel({ shapes, onChange }) {
+  const first = shapes[0];
+  const common = (read) => getCommonValue(shapes.map(read));
+  const opacity = common((s) => Math.round((s.opacity ?? 1) * 100));
+  const [draftOpacity, setDraftOpacity] = useState(null);
+
+  useEffect(() => {
+    setDraftOpacity(null);
+  }, [opacity]);
+
+  if (!first) return null;
+
+  const rectangles = shapes.filter((s) => s.type === SHAPE_TYPES.RECTANGLE);
+  const strokeWidth = common((s) => s.strokeWidth || 0);
+  const strokeDash = common((s) => s.strokeDash || 'solid');
+  const cornerRadius = getCommonValue(rectangles.map((s) => s.cornerRadius || 0));
+  const shownOpacity = draftOpacity ?? opacity ?? Math.round((first.opacity ?? 1) * 100);
+
+  const commitOpacity = () => {
+    if (draftOpacity === null) return;
+    if (draftOpacity !== opacity) onChange({ opacity: draftOpacity / 100 });
+    setDraftOpacity(null);
+  };
+
+  return (
+    <section className={styles['style-panel']} aria-label="Shape style">
+      <h4 className={styles['style-panel-title']}>Style</h4>
+
+      <div className={styles['style-row']}>
+        <ColorPicker value={first.color} onChange={(color) => onChange({ color })} label="Fill" />
+        <ColorPicker
+          value={first.strokeColor || DEFAULT_STROKE_COLOR}
+          onChange={(strokeColor) =>
+            // Picking a border color on shapes without a border gives them one
+            onChange(strokeWidth ? { strokeColor } : { strokeColor, strokeWidth: 2 })
+          }
+          label="Border"
+        />
+      </div>
+
+      <div className={styles['style-row']}>
+        <NumberField
+          label="Border width"
+          value={strokeWidth}
+          min={0}
+          max={MAX_STROKE_WIDTH}
+          onCommit={(value) => onChange({ strokeWidth: value })}
+        />
+        <label className={styles['style-field']}>
+          <span className={styles['style-field-label']}>Dash</span>
+          <select
+            className={styles['style-select']}
+            value={strokeDash ?? ''}
+            onChange={(e) => onChange({ strokeDash: e.target.value })}
+          >
+            {strokeDash === null && (
+              <option value="" disabled>
+                Mixed
+              </option>
+            )}
+            {STROKE_DASH_STYLES.map((dash) => (
+              <option key={dash} value={dash}>
+                {DASH_LABELS[dash]}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {rectangles.length > 0 && (
+        <div className={styles['style-row']}>
+          <NumberField
+            label="Corner radius"
+            value={cornerRadius}
+            min={0}
+            max={MAX_CORNER_RADIUS}
+            onCommit={(value) => onChange({ cornerRadius: value })}
+          />
+        </div>
+      )}
+
+      <label className={styles['style-field']}>
+        <span className={styles['style-field-label']}>
+          Opacity{' '}
+          <output>
+            {draftOpacity === null && opacity === null ? 'Mixed' : `${shownOpacity}%`}
+          </output>
+        </span>
+        <input
+          type="range"
+          className={styles['style-range']}
+          min={0}
+          max={100}
+          value={shownOpacity}
+          onChange={(e) => setDraftOpacity(Number(e.target.value))}
+          onPointerUp={commitOpacity}
+          onKeyUp={commitOpacity}
+          onBlur={commitOpacity}
+        />
+      </label>
+    </section>
+  );
+}
+
+export default StylePanel;
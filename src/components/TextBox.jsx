@@ -1,69 +1,16 @@
 import { memo, useMemo } from 'react';
+import { layoutTextBox, getTextDecoration } from '../utils/richTextUtils';
+import { RICH_TEXT_LINK_COLOR } from '../utils/constants';
 
 /**
- * Wraps text into lines that fit within a given width
- * @param {string} text - Text to wrap
- * @param {number} maxWidth - Maximum width in pixels
- * @param {number} fontSize - Font size in pixels
- * @param {string} fontWeight - Font weight
- * @returns {string[]} Array of text lines
- */
-function wrapText(text, maxWidth, fontSize, fontWeight) {
-  if (!text) return [];
-
-  // Rough character width estimation based on font size
-  // Bold text is slightly wider
-  const charWidth = fontSize * (fontWeight === 'bold' ? 0.65 : 0.6);
-  const padding = 16; // Account for padding
-  const availableWidth = maxWidth - padding;
-  const maxCharsPerLine = Math.floor(availableWidth / charWidth);
-
-  if (maxCharsPerLine < 1) return [];
-
-  const words = text.split(/\s+/);
-  const lines = [];
-  let currentLine = '';
-
-  words.forEach((word) => {
-    const testLine = currentLine ? `${currentLine} ${word}` : word;
-
-    if (testLine.length <= maxCharsPerLine) {
-      currentLine = testLine;
-    } else {
-      // Word too long, try to split it
-      if (word.length > maxCharsPerLine) {
-        if (currentLine) {
-          lines.push(currentLine);
-          currentLine = '';
-        }
-        // Split long word across multiple lines
-        for (let i = 0; i < word.length; i += maxCharsPerLine) {
-          lines.push(word.slice(i, i + maxCharsPerLine));
-        }
-      } else {
-        if (currentLine) {
-          lines.push(currentLine);
-        }
-        currentLine = word;
-      }
-    }
-  });
-
-  if (currentLine) {
-    lines.push(currentLine);
-  }
-
-  return lines;
-}
-
-/**
- * TextBox component - Renders a text box on the canvas with text wrapping
+ * TextBox component - Renders a text box on the canvas with rich text wrapping
  * @param {string} id - Unique identifier
  * @param {number} x - X coordinate (top-left)
  * @param {number} y - Y coordinate (top-left)
  * @param {number} width - Width of text box
  * @param {number} height - Height of text box
  * @param {string} text - Text content
+ * @param {object} richText - Formatted content (see richTextUtils); used while it matches `text`
  * @param {string} color - Border color
  * @param {string} textColor - Text color (defaults to color if not specified)
  * @param {string} backgroundColor - Background color (defaults to transparent)
@@ -71,6 +18,9 @@ function wrapText(text, maxWidth, fontSize, fontWeight) {
  * @param {number} fontSize - Font size
  * @param {string} fontWeight - Font weight ('normal' or 'bold')
  * @param {string} fontStyle - Font style ('normal' or 'italic')
+ * @param {string} textAlign - Horizontal alignment ('left', 'center' or 'right')
+ * @param {string} fontFamily - Font family key (see FONT_FAMILIES)
+ * @param {number} lineHeight - Line height as a multiple of the font size
  * @param {boolean} isSelected - Whether the text box is selected
  * @param {boolean} isLocked - Whether the text box is locked
  * @param {string} lockedBy - User ID who locked it
@@ -86,6 +36,7 @@ const TextBox = memo(function TextBox({
   width = 200,
   height = 60,
   text = 'Double-click to edit',
+  richText,
   color,
   textColor,
   backgroundColor = 'transparent',
@@ -93,6 +44,9 @@ const TextBox = memo(function TextBox({
   fontSize = 16,
   fontWeight = 'normal',
   fontStyle = 'normal',
+  textAlign,
+  fontFamily,
+  lineHeight,
   isSelected,
   isLocked,
   cursorStyle = 'default',
@@ -110,25 +64,39 @@ const TextBox = memo(function TextBox({
   // Rotation transform (SVG format: rotate(angle centerX centerY))
   const transform = rotation ? `rotate(${rotation} ${centerX} ${centerY})` : undefined;
 
-  // Wrap text into lines
-  const wrappedLines = useMemo(
-    () => wrapText(text, width, fontSize, fontWeight),
-    [text, width, fontSize, fontWeight]
+  // Wrap the formatted text into positioned lines
+  const layout = useMemo(
+    () =>
+      layoutTextBox({
+        x,
+        y,
+        width,
+        height,
+        text,
+        richText,
+        fontSize,
+        fontWeight,
+        fontStyle,
+        textAlign,
+        fontFamily,
+        lineHeight,
+      }),
+    [
+      x,
+      y,
+      width,
+      height,
+      text,
+      richText,
+      fontSize,
+      fontWeight,
+      fontStyle,
+      textAlign,
+      fontFamily,
+      lineHeight,
+    ]
   );
-
-  // Calculate line height (1.2x font size for readability)
-  const lineHeight = fontSize * 1.2;
-  const padding = 8;
-  const availableHeight = height - padding * 2;
-  const maxVisibleLines = Math.floor(availableHeight / lineHeight);
-
-  // Check if text overflows
-  const hasOverflow = wrappedLines.length > maxVisibleLines;
-  const visibleLines = hasOverflow ? wrappedLines.slice(0, maxVisibleLines) : wrappedLines;
-
-  // Calculate starting Y position for vertically centered text
-  const totalTextHeight = visibleLines.length * lineHeight;
-  const startY = y + (height - totalTextHeight) / 2 + fontSize * 0.8;
+  const fill = textColor || color || '#000000';
 
   // Event handlers that pass the id parameter
   const handleClick = (e) => {
@@ -190,29 +158,53 @@ const TextBox = memo(function TextBox({
 
       {/* Text content - wrapped and clipped */}
       <g clipPath={`url(#clip-${id})`}>
-        {visibleLines.map((line, i) => (
-          <text
-            key={i}
-            x={x + 8}
-            y={startY + i * lineHeight}
-            fill={textColor || color || '#000000'}
-            fontSize={fontSize}
-            fontWeight={fontWeight}
-            fontStyle={fontStyle}
-            fontFamily="Arial, sans-serif"
-            textAnchor="start"
-            style={{
-              userSelect: 'none',
-              pointerEvents: 'none',
-            }}
-          >
-            {line}
-          </text>
+        {layout.lines.map((line, i) => (
+          <g key={i}>
+            {line.marker && line.anchor === 'start' && (
+              <text
+                x={line.markerX}
+                y={line.y}
+                fill={fill}
+                fontSize={layout.fontSize}
+                fontFamily={layout.fontFamily}
+                style={{ userSelect: 'none', pointerEvents: 'none' }}
+              >
+                {line.marker}
+              </text>
+            )}
+            <text
+              x={line.x}
+              y={line.y}
+              fill={fill}
+              fontSize={layout.fontSize}
+              fontFamily={layout.fontFamily}
+              textAnchor={line.anchor}
+              style={{
+                userSelect: 'none',
+                pointerEvents: 'none',
+                whiteSpace: 'pre',
+              }}
+            >
+              {/* Centered and right-aligned list items keep their marker next to the text */}
+              {line.marker && line.anchor !== 'start' && <tspan>{`${line.marker} `}</tspan>}
+              {line.runs.map((run, j) => (
+                <tspan
+                  key={j}
+                  fontWeight={run.bold ? 'bold' : undefined}
+                  fontStyle={run.italic ? 'italic' : undefined}
+                  textDecoration={getTextDecoration(run)}
+                  fill={run.link ? RICH_TEXT_LINK_COLOR : undefined}
+                >
+                  {run.text}
+                </tspan>
+              ))}
+            </text>
+          </g>
         ))}
       </g>
 
       {/* Overflow indicator (star) */}
-      {hasOverflow && (
+      {layout.hasOverflow && (
         <g style={{ pointerEvents: 'none' }}>
           {/* Small circle background for star */}
           <circle
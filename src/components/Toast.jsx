@@ -0,0 +1,32 @@
+import { memo, useEffect } from 'react';
+import styles from './Toast.module.css';
+
+/**
+ * Toast component - Short-lived, non-blocking notification
+ * Used for messages the user should see but not have to dismiss (e.g. undo conflicts)
+ */
+const Toast = memo(function Toast({ message, type = 'info', duration = 4000, onDismiss }) {
+  // Auto-dismiss; restart the timer whenever a new message comes in
+  useEffect(() => {
+    if (!message || !duration) return;
+    const timerId = setTimeout(() => onDismiss?.(), duration);
+    return () => clearTimeout(timerId);
+  }, [message, duration, onDismiss]);
+
+  if (!message) return null;
+
+  return (
+    <div
+      className={`${styles.toast} ${styles[`toast-${type}`] || ''}`}
+      role={type === 'error' ? 'alert' : 'status'}
+      aria-live={type === 'error' ? 'assertive' : 'polite'}
+    >
+      <span className={styles['toast-message']}>{message}</span>
+      <button className={styles['toast-close']} onClick={onDismiss} aria-label="Dismiss">
+        ×
+      </button>
+    </div>
+  );
+});
+
+export default Toast;
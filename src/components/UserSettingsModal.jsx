@@ -3,9 +3,16 @@ import styles from './UserSettingsModal.module.css';
 
 /**
  * UserSettingsModal - User preferences modal
- * Currently supports theme selection
+ * Supports theme selection and, when `onSnapChange` is given, the snapping toggle
  */
-export default function UserSettingsModal({ isOpen, onClose, theme, onThemeChange }) {
+export default function UserSettingsModal({
+  isOpen,
+  onClose,
+  theme,
+  onThemeChange,
+  snapEnabled = true,
+  onSnapChange,
+}) {
   const [selectedTheme, setSelectedTheme] = useState(theme);
 
   useEffect(() => {
@@ -112,12 +119,34 @@ export default function UserSettingsModal({ isOpen, onClose, theme, onThemeChang
               ))}
             </div>
           </div>
+
+          {onSnapChange && (
+            <div className={styles['settings-section']}>
+              <h3 className={styles['settings-section-title']}>Canvas</h3>
+              <p className={styles['settings-section-description']}>
+                Snap shapes to other shapes&apos; edges and centers, equal spacing and the grid
+                while moving or resizing them. Hold Alt to move freely.
+              </p>
+
+              <label className={styles['settings-toggle']}>
+                <input
+                  type="checkbox"
+                  checked={snapEnabled}
+                  onChange={(e) => onSnapChange(e.target.checked)}
+                />
+                <span className={styles['settings-toggle-slider']}>
+                  <span className={styles['settings-toggle-handle']}></span>
+                </span>
+                <span className={styles['settings-toggle-label']}>
+                  {snapEnabled ? 'Snapping On' : 'Snapping Off'}
+                </span>
+              </label>
+            </div>
+          )}
         </div>
 
         <div className={styles['settings-modal-footer']}>
-          <p className={styles['settings-info']}>
-            Theme preference is saved locally on your device
-          </p>
+          <p className={styles['settings-info']}>Preferences are saved locally on your device</p>
         </div>
       </div>
     </div>
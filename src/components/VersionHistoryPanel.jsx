@@ -0,0 +1,253 @@
+import { useState, useEffect } from 'react';
+import {
+  createSnapshot,
+  subscribeToSnapshots,
+  getSnapshotDiff,
+  restoreSnapshot,
+  deleteSnapshot,
+} from '../services/snapshotService';
+import { MAX_SNAPSHOT_NAME_LENGTH } from '../utils/constants';
+import { reportError } from '../utils/errorHandler';
+import styles from './VersionHistoryPanel.module.css';
+
+const formatDiff = ({ added, removed, changed }) => {
+  if (added.length + removed.length + changed.length === 0) {
+    return 'Identical to the current canvas';
+  }
+  const parts = [];
+  if (added.length) parts.push(`${added.length} added`);
+  if (removed.length) parts.push(`${removed.length} removed`);
+  if (changed.length) parts.push(`${changed.length} changed`);
+  return `Since this version: ${parts.join(', ')}`;
+};
+
+/**
+ * VersionHistoryPanel component - Named and automatic versions of the canvas
+ * Allows:
+ * - Everyone with access to browse versions and see what changed since each one
+ * - Owners and editors to save a named version and restore any version
+ */
+function VersionHistoryPanel({ canvasId, canvasName, user, canEdit, isOpen, onClose }) {
+  const [snapshots, setSnapshots] = useState([]);
+  const [versionName, setVersionName] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+
+  useEffect(() => {
+    if (!isOpen || !canvasId) return;
+    return subscribeToSnapshots(canvasId, setSnapshots);
+  }, [isOpen, canvasId]);
+
+  // Load the diff summary for the selected version
+  useEffect(() => {
+    if (!selectedId) return;
+    let cancelled = false;
+    setDiff(null);
+
+    getSnapshotDiff(canvasId, selectedId)
+      .then((result) => {
+        if (!cancelled) setDiff(result);
+      })
+      .catch(() => {
+        if (!cancelled) setError('Failed to compare this version with the canvas');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [canvasId, selectedId]);
+
+  const userInfo = { userId: user?.uid, userName: user?.displayName || user?.email || '' };
+
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    setTimeout(() => setSuccessMessage(''), 3000);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+
+    try {
+      await createSnapshot(canvasId, { ...userInfo, name: versionName });
+      setVersionName('');
+      showSuccess('Version saved');
+    } catch (err) {
+      reportError(err, { component: 'VersionHistoryPanel', action: 'handleSave' });
+      setError('Failed to save version. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRestore = async (snapshot) => {
+    const confirmed = window.confirm(
+      `Restore "${snapshot.name}"? The current canvas will be saved as a version first.`
+    );
+    if (!confirmed) return;
+
+    setBusy(true);
+    setError('');
+
+    try {
+      await restoreSnapshot(canvasId, snapshot, userInfo);
+      setSelectedId(null);
+      showSuccess(`Restored "${snapshot.name}"`);
+    } catch (err) {
+      reportError(err, { component: 'VersionHistoryPanel', action: 'handleRestore' });
+      setError('Failed to restore version. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = async (snapshot) => {
+    if (!window.confirm(`Delete version "${snapshot.name}"?`)) return;
+
+    setBusy(true);
+    setError('');
+
+    try {
+      await deleteSnapshot(canvasId, snapshot.id);
+      if (selectedId === snapshot.id) setSelectedId(null);
+    } catch (err) {
+      reportError(err, { component: 'VersionHistoryPanel', action: 'handleDelete' });
+      setError('Failed to delete version. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleClose = () => {
+    setError('');
+    setSuccessMessage('');
+    setSelectedId(null);
+    onClose();
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    // eslint-disable-next-line jsx-a11y/no-static-element-interactions
+    <div
+      className={styles['history-modal-overlay']}
+      onClick={(e) => {
+        if (e.target === e.currentTarget) handleClose();
+      }}
+      onKeyDown={(e) => {
+        if (e.key === 'Escape') handleClose();
+      }}
+    >
+      <div
+        className={styles['history-modal']}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="history-modal-title"
+      >
+        <div className={styles['history-modal-header']}>
+          <h2 id="history-modal-title">Version history — {canvasName}</h2>
+          <button
+            className={styles['history-modal-close']}
+            onClick={handleClose}
+            aria-label="Close"
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className={styles['history-modal-content']}>
+          {error && <div className={styles['history-modal-error']}>{error}</div>}
+          {successMessage && (
+            <div className={styles['history-modal-success']}>{successMessage}</div>
+          )}
+
+          {canEdit && (
+            <form className={styles['history-save']} onSubmit={handleSave}>
+              <input
+                type="text"
+                value={versionName}
+                onChange={(e) => setVersionName(e.target.value)}
+                placeholder="Version name (optional)"
+                maxLength={MAX_SNAPSHOT_NAME_LENGTH}
+                aria-label="Version name"
+              />
+              <button type="submit" disabled={busy}>
+                Save version
+              </button>
+            </form>
+          )}
+
+          {snapshots.length === 0 ? (
+            <p className={styles['history-empty']}>
+              No versions yet. Versions are also saved automatically while the canvas is edited.
+            </p>
+          ) : (
+            <ul className={styles['history-list']}>
+              {snapshots.map((snapshot) => {
+                const isSelected = snapshot.id === selectedId;
+                return (
+                  <li
+                    key={snapshot.id}
+                    className={`${styles['history-item']} ${isSelected ? styles.selected : ''}`}
+                  >
+                    <button
+                      className={styles['history-item-summary']}
+                      onClick={() => setSelectedId(isSelected ? null : snapshot.id)}
+                      aria-expanded={isSelected}
+                    >
+                      <span className={styles['history-item-name']}>
+                        {snapshot.name}
+                        {snapshot.auto && (
+                          <span className={styles['history-auto-badge']}>Auto</span>
+                        )}
+                      </span>
+                      <span className={styles['history-item-meta']}>
+                        {new Date(snapshot.createdAt).toLocaleString()}
+                        {snapshot.createdByName && ` · ${snapshot.createdByName}`}
+                        {` · ${snapshot.shapeCount} shape${snapshot.shapeCount === 1 ? '' : 's'}`}
+                      </span>
+                    </button>
+
+                    {isSelected && (
+                      <div className={styles['history-item-details']}>
+                        <span className={styles['history-diff']}>
+                          {diff ? formatDiff(diff) : 'Comparing…'}
+                        </span>
+                        {canEdit && (
+                          <div className={styles['history-item-actions']}>
+                            {snapshot.createdBy === user?.uid && (
+                              <button
+                                className={styles['history-delete-btn']}
+                                onClick={() => handleDelete(snapshot)}
+                                disabled={busy}
+                              >
+                                Delete
+                              </button>
+                            )}
+                            <button
+                              className={styles['history-restore-btn']}
+                              onClick={() => handleRestore(snapshot)}
+                              disabled={busy}
+                            >
+                              Restore
+                            </button>
+                          </div>
+                        )}
+                      </div>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default VersionHistoryPanel;
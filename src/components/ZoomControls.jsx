@@ -4,6 +4,7 @@ import styles from './ZoomControls.module.css';
 /**
  * ZoomControls component - Provides zoom in/out buttons and zoom level display
  * Alternative to mousewheel zoom for browsers with gesture conflicts (like Safari)
+ * Also zooms to fit all content or the selection, and shows/hides the minimap.
  */
 const ZoomControls = memo(function ZoomControls({
   zoom,
@@ -12,6 +13,11 @@ const ZoomControls = memo(function ZoomControls({
   onZoomReset,
   onZoomSet,
   onFitCanvas,
+  onZoomToFit,
+  onZoomToSelection,
+  hasSelection = false,
+  isMinimapOpen = false,
+  onToggleMinimap,
   minZoom,
   maxZoom,
 }) {
@@ -172,6 +178,68 @@ const ZoomControls = memo(function ZoomControls({
           />
         </svg>
       </button>
+
+      {/* Zoom to fit content */}
+      {onZoomToFit && (
+        <button
+          className={styles['zoom-btn']}
+          onClick={onZoomToFit}
+          title="Zoom to fit all content (Shift + 1)"
+          aria-label="Zoom to fit content"
+        >
+          <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+            <path
+              d="M3 8V3h5M16 3h5v5M21 16v5h-5M8 21H3v-5"
+              stroke="currentColor"
+              strokeWidth="2"
+              strokeLinecap="round"
+              strokeLinejoin="round"
+            />
+            <rect x="8" y="8" width="8" height="8" rx="1" fill="currentColor" />
+          </svg>
+        </button>
+      )}
+
+      {/* Zoom to selection */}
+      {onZoomToSelection && (
+        <button
+          className={styles['zoom-btn']}
+          onClick={onZoomToSelection}
+          disabled={!hasSelection}
+          title="Zoom to selection (Shift + 2)"
+          aria-label="Zoom to selection"
+        >
+          <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+            <rect
+              x="4"
+              y="4"
+              width="16"
+              height="16"
+              rx="1"
+              stroke="currentColor"
+              strokeWidth="2"
+              strokeDasharray="3 3"
+            />
+            <circle cx="12" cy="12" r="3" fill="currentColor" />
+          </svg>
+        </button>
+      )}
+
+      {/* Minimap toggle */}
+      {onToggleMinimap && (
+        <button
+          className={`${styles['zoom-btn']} ${isMinimapOpen ? styles['active'] : ''}`}
+          onClick={onToggleMinimap}
+          title={isMinimapOpen ? 'Hide minimap' : 'Show minimap'}
+          aria-label="Minimap"
+          aria-pressed={isMinimapOpen}
+        >
+          <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+            <rect x="3" y="5" width="18" height="14" rx="2" stroke="currentColor" strokeWidth="2" />
+            <rect x="12" y="11" width="6" height="5" fill="currentColor" />
+          </svg>
+        </button>
+      )}
     </div>
   );
 });
@@ -0,0 +1,27 @@
+import { useEffect } from 'react';
+import { createAutoSnapshotIfDue } from '../services/snapshotService';
+import { SNAPSHOT_INTERVAL_MS } from '../utils/constants';
+
+/**
+ * Periodically save an automatic version of the canvas while it is open.
+ * Each tick is a no-op unless the canvas changed and the latest snapshot is
+ * older than SNAPSHOT_INTERVAL_MS, so several open tabs don't pile up versions.
+ *
+ * @param {string} canvasId - Canvas ID
+ * @param {Object} user - Current user ({ uid, displayName })
+ * @param {boolean} enabled - Only users who can edit take snapshots
+ */
+export function useAutoSnapshot(canvasId, user, enabled) {
+  const userId = user?.uid;
+  const userName = user?.displayName || user?.email || '';
+
+  useEffect(() => {
+    if (!enabled || !canvasId || !userId) return;
+
+    const takeSnapshot = () =>
+      createAutoSnapshotIfDue(canvasId, { userId, userName, minInterval: SNAPSHOT_INTERVAL_MS });
+
+    const interval = setInterval(takeSnapshot, SNAPSHOT_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [canvasId, userId, userName, enabled]);
+}
@@ -5,6 +5,7 @@ import {
   unlockObject,
   monitorConnection,
 } from '../services/canvasService';
+import { startOfflineSync } from '../services/offlineService';
 import { DEFAULT_CANVAS_ID } from '../utils/constants';
 import { reportError } from '../utils/errorHandler';
 
@@ -37,6 +38,8 @@ export function useCanvas(userId, userName = '', canvasId = DEFAULT_CANVAS_ID) {
     setError(null);
 
     let unsubscribe;
+    // Queue shape writes while offline and replay them on reconnect
+    const stopOfflineSync = startOfflineSync(canvasId);
 
     try {
       unsubscribe = subscribeToObjects(
@@ -45,8 +48,8 @@ export function useCanvas(userId, userName = '', canvasId = DEFAULT_CANVAS_ID) {
           // Update last update time for connection monitoring
           lastUpdateTimeRef.current = Date.now();
 
-          // Update connection status to connected
-          setConnectionStatus('connected');
+          // Update connection status to connected (edits made offline show up here too)
+          setConnectionStatus((status) => (status === 'offline' ? status : 'connected'));
           setError(null);
 
           // Update shapes, but preserve local optimistic updates while dragging
@@ -100,6 +103,7 @@ export function useCanvas(userId, userName = '', canvasId = DEFAULT_CANVAS_ID) {
       if (unsubscribe) {
         unsubscribe();
       }
+      stopOfflineSync();
     };
   }, [canvasId]);
 
@@ -111,8 +115,8 @@ export function useCanvas(userId, userName = '', canvasId = DEFAULT_CANVAS_ID) {
         setError(null);
         lastUpdateTimeRef.current = Date.now();
       } else {
-        setConnectionStatus('reconnecting');
-        setError('Connection lost. Attempting to reconnect...');
+        // Editing goes on offline: shape writes are queued until the connection is back
+        setConnectionStatus((status) => (status === 'connecting' ? status : 'offline'));
       }
     });
 
@@ -1,7 +1,22 @@
 import { useEffect } from 'react';
-import { TOOL_TYPES } from '../utils/constants';
+import { TOOL_TYPES, READ_ONLY_ROLES } from '../utils/constants';
 import { createShape, deleteShape } from '../services/canvasService';
 import { reportError } from '../utils/errorHandler';
+import { createBatchAction } from '../utils/historyUtils';
+import {
+  isConnector,
+  resolveConnectorEndpoints,
+  sortConnectorsLast,
+} from '../utils/connectorUtils';
+import {
+  isGroup,
+  getEffectiveLock,
+  getSelectedGroups,
+  getEmptyGroupIds,
+  sortGroupsFirst,
+  offsetGroupedShapeCopy,
+} from '../utils/groupUtils';
+import { expandWithFrameChildren, sortFramesFirst, remapFrameId } from '../utils/frameUtils';
 
 /**
  * useCanvasKeyboard — Attaches the global keydown listener for all canvas keyboard shortcuts.
@@ -35,12 +50,19 @@ export function useCanvasKeyboard({
   handleZoomIn,
   handleZoomOut,
   handleZoomReset,
+  handleZoomToFit,
+  handleZoomToSelection,
   // Z-order
   handleSendToFront,
   handleSendToBack,
+  // Groups
+  handleGroup,
+  handleUngroup,
+  // Sticky notes
+  handleNewSticky,
   // Undo/Redo
-  popUndo,
-  popRedo,
+  undo,
+  redo,
   recordAction,
   // Misc
   notifyFirestoreActivity,
@@ -70,6 +92,10 @@ export function useCanvasKeyboard({
       const hasSelection = selectedShapeId || selectedShapeIds.length > 0;
       const notInteracting =
         !isDrawing && !isDragging && !isResizing && !isRotating && !isSelecting;
+      // Plain-key shortcuts must not fire while typing in a field
+      const target = e.target;
+      const isTyping =
+        target?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName);
 
       // Zoom shortcuts (Ctrl/Cmd + +/- and Ctrl/Cmd + 0)
       if (hasModifier && !e.shiftKey && !e.altKey) {
@@ -91,16 +117,29 @@ export function useCanvasKeyboard({
       // Copy (Ctrl/Cmd + C)
       if (hasModifier && e.key.toLowerCase() === 'c' && hasSelection && notInteracting) {
         e.preventDefault();
-        const shapesToCopy = selectedShapeIds.length > 0 ? selectedShapeIds : [selectedShapeId];
+        // Frames are copied with their children
+        const shapesToCopy = expandWithFrameChildren(
+          selectedShapeIds.length > 0 ? selectedShapeIds : [selectedShapeId],
+          shapes
+        );
+        const shapesById = new Map(shapes.map((s) => [s.id, s]));
+        // Groups whose shapes are all copied are copied with them
+        const copiedGroupIds = getSelectedGroups(shapesToCopy, shapes).map((g) => g.id);
+        // The original ID is kept so pasted connectors can attach to pasted shapes
+        // (createShape always assigns a new ID)
         const copiedShapes = shapes
-          .filter((s) => shapesToCopy.includes(s.id))
-          .map((shape) => ({
-            ...shape,
-            id: undefined,
-            timestamp: undefined,
-            lockedBy: null,
-            lockedByUserName: null,
-          }));
+          .filter((s) => shapesToCopy.includes(s.id) || copiedGroupIds.includes(s.id))
+          .map((shape) => {
+            const copy = {
+              ...shape,
+              timestamp: undefined,
+              lockedBy: null,
+              lockedByUserName: null,
+            };
+            if (!isConnector(shape)) return copy;
+            const { start, end } = resolveConnectorEndpoints(shape, shapesById);
+            return { ...copy, x: start.x, y: start.y, x2: end.x, y2: end.y };
+          });
         setClipboard(copiedShapes);
         return;
       }
@@ -108,24 +147,27 @@ export function useCanvasKeyboard({
       // Paste (Ctrl/Cmd + V)
       if (hasModifier && e.key.toLowerCase() === 'v' && clipboard.length > 0 && notInteracting) {
         e.preventDefault();
-        if (userRole === 'viewer') return;
+        if (READ_ONLY_ROLES.includes(userRole)) return;
 
         try {
           const newShapeIds = [];
+          const createActions = [];
           const pasteOffset = 20;
           if (selectedShapeId) await deselectShape();
           setSelectedShapeIds([]);
 
-          for (const shapeData of clipboard) {
+          const idMap = new Map();
+          for (const shapeData of sortFramesFirst(sortGroupsFirst(sortConnectorsLast(clipboard)))) {
             const pastedShape = {
-              ...shapeData,
-              x: shapeData.x + pasteOffset,
-              y: shapeData.y + pasteOffset,
+              ...remapFrameId(offsetGroupedShapeCopy(shapeData, pasteOffset, {}, idMap), idMap),
               createdBy: user.uid,
             };
             const newId = await createShape(canvasId, pastedShape);
-            newShapeIds.push(newId);
+            idMap.set(shapeData.id, newId);
+            if (!isGroup(shapeData)) newShapeIds.push(newId);
+            createActions.push({ type: 'create', shapeId: newId, shapeData: pastedShape });
           }
+          recordAction(createBatchAction(createActions));
 
           if (newShapeIds.length === 1) {
             setTimeout(() => selectShape(newShapeIds[0]), 100);
@@ -134,11 +176,19 @@ export function useCanvasKeyboard({
           }
 
           setClipboard(
-            clipboard.map((shape) => ({
-              ...shape,
-              x: shape.x + pasteOffset,
-              y: shape.y + pasteOffset,
-            }))
+            clipboard.map((shape) =>
+              isGroup(shape)
+                ? shape
+                : {
+                    ...shape,
+                    x: shape.x + pasteOffset,
+                    y: shape.y + pasteOffset,
+                    ...(isConnector(shape) && {
+                      x2: shape.x2 + pasteOffset,
+                      y2: shape.y2 + pasteOffset,
+                    }),
+                  }
+            )
           );
           notifyFirestoreActivity();
         } catch (error) {
@@ -150,23 +200,32 @@ export function useCanvasKeyboard({
       // Duplicate (Ctrl/Cmd + D)
       if (hasModifier && e.key.toLowerCase() === 'd' && hasSelection && notInteracting) {
         e.preventDefault();
-        if (userRole === 'viewer') return;
+        if (READ_ONLY_ROLES.includes(userRole)) return;
 
-        const shapesToDuplicate =
-          selectedShapeIds.length > 0 ? selectedShapeIds : [selectedShapeId];
+        const shapesToDuplicate = expandWithFrameChildren(
+          selectedShapeIds.length > 0 ? selectedShapeIds : [selectedShapeId],
+          shapes
+        );
         try {
           const newShapeIds = [];
+          const createActions = [];
           const duplicateOffset = 20;
           if (selectedShapeId) await deselectShape();
           setSelectedShapeIds([]);
 
-          for (const shapeId of shapesToDuplicate) {
-            const shape = shapes.find((s) => s.id === shapeId);
-            if (!shape) continue;
+          const shapesById = new Map(shapes.map((s) => [s.id, s]));
+          const idMap = new Map();
+          const toDuplicate = [
+            ...getSelectedGroups(shapesToDuplicate, shapes),
+            ...shapes.filter((s) => shapesToDuplicate.includes(s.id)),
+          ];
+
+          for (const shape of sortFramesFirst(sortGroupsFirst(sortConnectorsLast(toDuplicate)))) {
             const duplicatedShape = {
-              ...shape,
-              x: shape.x + duplicateOffset,
-              y: shape.y + duplicateOffset,
+              ...remapFrameId(
+                offsetGroupedShapeCopy(shape, duplicateOffset, shapesById, idMap),
+                idMap
+              ),
               createdBy: user.uid,
               lockedBy: null,
               lockedByUserName: null,
@@ -174,8 +233,11 @@ export function useCanvasKeyboard({
             delete duplicatedShape.id;
             delete duplicatedShape.timestamp;
             const newId = await createShape(canvasId, duplicatedShape);
-            newShapeIds.push(newId);
+            idMap.set(shape.id, newId);
+            if (!isGroup(shape)) newShapeIds.push(newId);
+            createActions.push({ type: 'create', shapeId: newId, shapeData: duplicatedShape });
           }
+          recordAction(createBatchAction(createActions));
 
           if (newShapeIds.length === 1) {
             setTimeout(() => selectShape(newShapeIds[0]), 100);
@@ -192,14 +254,23 @@ export function useCanvasKeyboard({
       // Delete / Backspace
       if ((e.key === 'Delete' || e.key === 'Backspace') && hasSelection && notInteracting) {
         e.preventDefault();
-        if (userRole === 'viewer') return;
+        if (READ_ONLY_ROLES.includes(userRole)) return;
 
-        const shapesToDelete = selectedShapeIds.length > 0 ? selectedShapeIds : [selectedShapeId];
-        const deletableShapes = shapesToDelete.filter((id) => {
-          const shape = shapes.find((s) => s.id === id);
-          return shape && (!shape.lockedBy || shape.lockedBy === user?.uid);
+        // Deleting a frame deletes the shapes inside it
+        const shapesToDelete = expandWithFrameChildren(
+          selectedShapeIds.length > 0 ? selectedShapeIds : [selectedShapeId],
+          shapes
+        );
+        const shapesById = new Map(shapes.map((s) => [s.id, s]));
+        const deletableIds = shapesToDelete.filter((id) => {
+          const shape = shapesById.get(id);
+          if (!shape) return false;
+          const { lockedBy } = getEffectiveLock(shape, shapesById);
+          return !lockedBy || lockedBy === user?.uid;
         });
-        if (deletableShapes.length === 0) return;
+        if (deletableIds.length === 0) return;
+        // Groups left without shapes go with them
+        const deletableShapes = [...deletableIds, ...getEmptyGroupIds(shapes, deletableIds)];
 
         try {
           if (selectedShapeId) await deselectShape();
@@ -208,11 +279,10 @@ export function useCanvasKeyboard({
           const deletePromises = deletableShapes.map(async (id) => {
             const shapeToDelete = shapes.find((s) => s.id === id);
             await deleteShape(canvasId, id);
-            if (shapeToDelete) {
-              recordAction({ type: 'delete', shapeId: id, shapeData: shapeToDelete });
-            }
+            return shapeToDelete ? { type: 'delete', shapeId: id, shapeData: shapeToDelete } : null;
           });
-          await Promise.all(deletePromises);
+          // Record all deletions as one step so a multi-shape delete undoes together
+          recordAction(createBatchAction(await Promise.all(deletePromises)));
           notifyFirestoreActivity();
         } catch (error) {
           reportError(error, { component: 'useCanvasKeyboard', action: 'delete' });
@@ -220,6 +290,15 @@ export function useCanvasKeyboard({
         return;
       }
 
+      // Group (Ctrl/Cmd + G) / Ungroup (Ctrl/Cmd + Shift + G)
+      if (hasModifier && e.key.toLowerCase() === 'g' && hasSelection && notInteracting) {
+        e.preventDefault();
+        if (READ_ONLY_ROLES.includes(userRole)) return;
+        if (e.shiftKey) handleUngroup();
+        else handleGroup();
+        return;
+      }
+
       // Bring to front (Ctrl/Cmd + ])
       if (hasModifier && e.key === ']' && hasSelection && notInteracting) {
         e.preventDefault();
@@ -237,38 +316,56 @@ export function useCanvasKeyboard({
       // Undo (Ctrl/Cmd + Z)
       if (hasModifier && e.key === 'z' && !e.shiftKey && notInteracting) {
         e.preventDefault();
-        const action = popUndo();
-        if (!action) return;
 
         try {
-          if (action.type === 'create') {
-            await deleteShape(canvasId, action.shapeId);
-          } else if (action.type === 'delete') {
-            await createShape(canvasId, action.shapeData);
-          }
-          notifyFirestoreActivity();
+          const action = await undo();
+          if (action) notifyFirestoreActivity();
         } catch (error) {
           reportError(error, { component: 'useCanvasKeyboard', action: 'undo' });
         }
         return;
       }
 
+      // Zoom to fit all content (Shift + 1) / to the selection (Shift + 2);
+      // e.code, since Shift changes e.key to the layout's symbol
+      if (e.shiftKey && !hasModifier && !e.altKey && !isTyping && notInteracting) {
+        if (e.code === 'Digit1') {
+          e.preventDefault();
+          handleZoomToFit();
+          return;
+        } else if (e.code === 'Digit2' && hasSelection) {
+          e.preventDefault();
+          handleZoomToSelection();
+          return;
+        }
+      }
+
+      // New sticky note (S)
+      if (
+        e.key.toLowerCase() === 's' &&
+        !hasModifier &&
+        !e.altKey &&
+        !e.shiftKey &&
+        !isTyping &&
+        notInteracting &&
+        !isDrawingCustomPolygon
+      ) {
+        e.preventDefault();
+        if (READ_ONLY_ROLES.includes(userRole)) return;
+        handleNewSticky();
+        return;
+      }
+
       // Redo (Ctrl/Cmd + R or Ctrl/Cmd + Shift + Z)
       if (
         (hasModifier && e.key === 'r') ||
         (hasModifier && e.shiftKey && e.key === 'z' && notInteracting)
       ) {
         e.preventDefault();
-        const action = popRedo();
-        if (!action) return;
 
         try {
-          if (action.type === 'create') {
-            await createShape(canvasId, action.shapeData);
-          } else if (action.type === 'delete') {
-            await deleteShape(canvasId, action.shapeId);
-          }
-          notifyFirestoreActivity();
+          const action = await redo();
+          if (action) notifyFirestoreActivity();
         } catch (error) {
           reportError(error, { component: 'useCanvasKeyboard', action: 'redo' });
         }
@@ -298,13 +395,18 @@ export function useCanvasKeyboard({
     handleZoomIn,
     handleZoomOut,
     handleZoomReset,
+    handleZoomToFit,
+    handleZoomToSelection,
     handleFinishCustomPolygon,
     handleSendToFront,
     handleSendToBack,
+    handleGroup,
+    handleUngroup,
+    handleNewSticky,
     trackActivity,
     userRole,
-    popUndo,
-    popRedo,
+    undo,
+    redo,
     recordAction,
     setClipboard,
     setSelectedShapeIds,
@@ -0,0 +1,147 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import {
+  joinTextEdit,
+  leaveTextEdit,
+  pushTextOps,
+  subscribeToTextOps,
+  updateTextCaret,
+  subscribeToTextCarets,
+} from '../services/canvasService';
+import { createTextDoc } from '../utils/textCrdt';
+import { getUserColor } from '../utils/colorUtils';
+import { reportError } from '../utils/errorHandler';
+
+/**
+ * Custom hook for editing a shape's text together with everyone else editing it.
+ * Joins the shape's text editing session, shares what this editor types as
+ * character operations and merges everyone else's in (see textCrdt).
+ *
+ * The editor's DOM is its own, so the hook talks to it through two callbacks:
+ * `readContent` returns the editor's rich text, and `onRemoteChange(richText,
+ * mapOffset)` replaces it, with `mapOffset` moving a plain-text offset from the
+ * old content to the same place in the new one (null when the session's text is
+ * first shown). Until `ready` the editor shouldn't take input; if the session
+ * can't be joined (e.g. offline) it becomes ready anyway and edits alone.
+ */
+export function useCollaborativeText({
+  canvasId,
+  shapeId,
+  sessionId,
+  user,
+  initialRichText,
+  readContent,
+  onRemoteChange,
+}) {
+  const [ready, setReady] = useState(false);
+  const [rawCarets, setRawCarets] = useState([]);
+  // Bumped whenever the text changes, so caret offsets are worked out again
+  const [version, setVersion] = useState(0);
+  const docRef = useRef(null);
+  const lastCaretRef = useRef(null);
+  const callbacksRef = useRef(null);
+  callbacksRef.current = { readContent, onRemoteChange };
+
+  const userId = user?.uid;
+  const userName = user?.displayName || 'Anonymous';
+
+  useEffect(() => {
+    if (!canvasId || !shapeId || !sessionId || !userId) {
+      setReady(true);
+      return;
+    }
+
+    let active = true;
+    let unsubscribeOps = () => {};
+    let unsubscribeCarets = () => {};
+
+    joinTextEdit(canvasId, shapeId, sessionId, { userId, userName }, initialRichText)
+      .then((base) => {
+        if (!active) return;
+        const doc = createTextDoc(sessionId, base);
+        docRef.current = doc;
+
+        // Batches arriving together (e.g. everything typed before we joined) are applied at once
+        let queued = [];
+        const applyQueued = () => {
+          const ops = queued;
+          queued = [];
+          if (!active) return;
+          const before = doc.visibleIds();
+          if (!doc.apply(ops)) return;
+          callbacksRef.current.onRemoteChange(doc.toRichText(), (offset) =>
+            doc.offsetOf(offset > 0 ? before[offset - 1] : null)
+          );
+          setVersion((v) => v + 1);
+        };
+        unsubscribeOps = subscribeToTextOps(canvasId, shapeId, (ops) => {
+          if (queued.length === 0) queueMicrotask(applyQueued);
+          queued.push(...ops);
+        });
+        unsubscribeCarets = subscribeToTextCarets(canvasId, shapeId, (carets) =>
+          setRawCarets(carets.filter((caret) => caret.sessionId !== sessionId))
+        );
+
+        callbacksRef.current.onRemoteChange(doc.toRichText(), null);
+        setReady(true);
+      })
+      .catch(() => {
+        // joinTextEdit reports the error; edit alone
+        if (active) setReady(true);
+      });
+
+    return () => {
+      active = false;
+      unsubscribeOps();
+      unsubscribeCarets();
+      docRef.current = null;
+      leaveTextEdit(canvasId, shapeId, sessionId).catch(() => {
+        // Already reported; the caret goes away on disconnect
+      });
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps -- the session is joined once per shape; initialRichText only seeds a new session and userName only labels the caret
+  }, [canvasId, shapeId, sessionId, userId]);
+
+  // Share the editor's latest content
+  const publishContent = useCallback(() => {
+    const doc = docRef.current;
+    if (!doc) return;
+    const ops = doc.update(callbacksRef.current.readContent());
+    if (ops.length === 0) return;
+    setVersion((v) => v + 1);
+    pushTextOps(canvasId, shapeId, sessionId, ops).catch((err) =>
+      reportError(err, { component: 'useCollaborativeText', action: 'publishContent' })
+    );
+  }, [canvasId, shapeId, sessionId]);
+
+  // Share this editor's selection, given as plain-text offsets
+  const publishCaret = useCallback(
+    (start, end) => {
+      const doc = docRef.current;
+      if (!doc) return;
+      const ids = doc.visibleIds();
+      const anchor = start > 0 ? ids[start - 1] || null : null;
+      const focus = end > 0 ? ids[end - 1] || null : null;
+      const last = lastCaretRef.current;
+      if (last && last.anchor === anchor && last.focus === focus) return;
+      lastCaretRef.current = { anchor, focus };
+      updateTextCaret(canvasId, shapeId, sessionId, { userId, userName, anchor, focus });
+    },
+    [canvasId, shapeId, sessionId, userId, userName]
+  );
+
+  // Other editors' selections as offsets in the current text
+  const carets = useMemo(() => {
+    const doc = docRef.current;
+    if (!doc || !ready) return [];
+    return rawCarets.map((caret) => ({
+      sessionId: caret.sessionId,
+      userName: caret.userName || 'Anonymous',
+      color: getUserColor(caret.userId),
+      start: doc.offsetOf(caret.anchor),
+      end: doc.offsetOf(caret.focus),
+    }));
+    // eslint-disable-next-line react-hooks/exhaustive-deps -- version stands in for changes to the document in docRef
+  }, [rawCarets, ready, version]);
+
+  return { ready, carets, publishContent, publishCaret };
+}
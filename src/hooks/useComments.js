@@ -0,0 +1,43 @@
+import { useState, useEffect, useMemo } from 'react';
+import { subscribeToComments } from '../services/commentService';
+import { getCanvasPermissions } from '../services/canvasService';
+import { getMentionCandidates } from '../utils/commentUtils';
+import { reportError } from '../utils/errorHandler';
+import { DEFAULT_CANVAS_ID } from '../utils/constants';
+
+/**
+ * Custom hook for a canvas's comment threads and the people who can be
+ * @mentioned in them. Only the owner can read the member list, so for everyone
+ * else the candidates are the people online and those who have commented.
+ */
+export function useComments(canvasId = DEFAULT_CANVAS_ID, { userRole, onlineUsers = [] } = {}) {
+  const [threads, setThreads] = useState([]);
+  const [permissions, setPermissions] = useState(null);
+
+  useEffect(() => subscribeToComments(canvasId, setThreads), [canvasId]);
+
+  useEffect(() => {
+    if (userRole !== 'owner') return;
+    let cancelled = false;
+    getCanvasPermissions(canvasId)
+      .then((result) => {
+        if (!cancelled) setPermissions(result);
+      })
+      .catch((error) => reportError(error, { component: 'useComments', action: 'loadMembers' }));
+    return () => {
+      cancelled = true;
+    };
+  }, [canvasId, userRole]);
+
+  const members = useMemo(
+    () =>
+      getMentionCandidates({
+        permissions,
+        onlineUsers,
+        authors: threads.flatMap((thread) => thread.messages),
+      }),
+    [permissions, onlineUsers, threads]
+  );
+
+  return { threads, members };
+}
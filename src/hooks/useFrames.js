@@ -0,0 +1,50 @@
+import { useCallback } from 'react';
+import { SHAPE_TYPES, DEFAULT_FRAME_COLOR } from '../utils/constants';
+import { createShape, batchUpdateShapes, generateObjectId } from '../services/canvasService';
+import { createBatchAction, createUpdateAction } from '../utils/historyUtils';
+import { getShapeIdsInsideRect } from '../utils/frameUtils';
+
+/**
+ * useFrames — Create frames. A new frame adopts the shapes already inside it;
+ * the frame and the adoption are written together and undo in one step.
+ */
+export function useFrames({ canvasId, user, shapes, recordAction }) {
+  /**
+   * @param {{ x: number, y: number, width: number, height: number }} rect - Frame box
+   * @param {{ name?: string }} [options]
+   * @returns {Promise<{ frameId: string, childIds: string[] } | null>}
+   */
+  const createFrame = useCallback(
+    async (rect, { name } = {}) => {
+      if (!user) return null;
+      const frameId = generateObjectId(user.uid);
+      const frameData = {
+        type: SHAPE_TYPES.FRAME,
+        ...rect,
+        color: DEFAULT_FRAME_COLOR,
+        rotation: 0,
+        createdBy: user.uid,
+        zIndex: Date.now(),
+        ...(name && { name }),
+      };
+
+      const childIds = getShapeIdsInsideRect(rect, shapes);
+      const updates = Object.fromEntries(childIds.map((id) => [id, { frameId }]));
+      const action =
+        childIds.length > 0
+          ? createBatchAction([
+              { type: 'create', shapeId: frameId, shapeData: frameData },
+              createUpdateAction(shapes, updates),
+            ])
+          : { type: 'create', shapeId: frameId, shapeData: frameData };
+
+      await createShape(canvasId, frameData, frameId);
+      if (childIds.length > 0) await batchUpdateShapes(canvasId, updates);
+      recordAction(action);
+      return { frameId, childIds };
+    },
+    [canvasId, user, shapes, recordAction]
+  );
+
+  return { createFrame };
+}
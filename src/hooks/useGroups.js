@@ -0,0 +1,100 @@
+import { useCallback } from 'react';
+import { SHAPE_TYPES } from '../utils/constants';
+import {
+  createShape,
+  batchUpdateShapes,
+  deleteShape,
+  generateObjectId,
+} from '../services/canvasService';
+import { createBatchAction, createUpdateAction } from '../utils/historyUtils';
+import {
+  isGroup,
+  getAncestorGroupIds,
+  getGroupMembers,
+  getSelectionUnits,
+} from '../utils/groupUtils';
+import { isFrame } from '../utils/frameUtils';
+
+/**
+ * useGroups — Group and ungroup shapes. Each operation is written in one batch
+ * and recorded as a single undo step.
+ */
+export function useGroups({ canvasId, user, shapes, recordAction }) {
+  /**
+   * Put the top-level units of a selection (ungrouped shapes and whole groups)
+   * into a new group. Needs at least two units.
+   * @param {string[]} ids - Selected shape or group IDs
+   * @param {{ name?: string, groupId?: string }} [options] - Group name, and an ID
+   *   chosen by the caller (Canny reports it before the write completes)
+   * @returns {Promise<{ groupId: string, memberIds: string[] } | null>}
+   */
+  const groupShapes = useCallback(
+    async (ids, { name, groupId = user && generateObjectId(user.uid) } = {}) => {
+      if (!user) return null;
+      // Frames own their children instead of joining groups
+      const units = getSelectionUnits(ids, shapes).filter(
+        (id) => !isFrame(shapes.find((s) => s.id === id))
+      );
+      if (units.length < 2) return null;
+
+      const memberIds = units.flatMap((id) => {
+        const unit = shapes.find((s) => s.id === id);
+        return isGroup(unit) ? getGroupMembers(id, shapes).map((s) => s.id) : [id];
+      });
+      const zIndexes = shapes.filter((s) => memberIds.includes(s.id)).map((s) => s.zIndex || 0);
+      const groupData = {
+        type: SHAPE_TYPES.GROUP,
+        createdBy: user.uid,
+        groupId: null,
+        zIndex: Math.max(0, ...zIndexes),
+        ...(name && { name }),
+      };
+      const updates = Object.fromEntries(units.map((id) => [id, { groupId }]));
+      const action = createBatchAction([
+        { type: 'create', shapeId: groupId, shapeData: groupData },
+        createUpdateAction(shapes, updates),
+      ]);
+
+      await createShape(canvasId, groupData, groupId);
+      await batchUpdateShapes(canvasId, updates);
+      recordAction(action);
+      return { groupId, memberIds };
+    },
+    [canvasId, user, shapes, recordAction]
+  );
+
+  /**
+   * Dissolve groups: their direct children move up to the nearest enclosing
+   * group that is kept (or become ungrouped) and the group records are removed.
+   * @returns {Promise<string[]>} Leaf shapes that were in the removed groups
+   */
+  const ungroupShapes = useCallback(
+    async (groupIds) => {
+      const groups = shapes.filter((s) => isGroup(s) && groupIds.includes(s.id));
+      if (groups.length === 0) return [];
+
+      const byId = new Map(shapes.map((s) => [s.id, s]));
+      const removed = new Set(groups.map((g) => g.id));
+      const updates = {};
+      shapes.forEach((shape) => {
+        if (removed.has(shape.id) || !removed.has(shape.groupId)) return;
+        const parentId = getAncestorGroupIds(shape, byId).find((id) => !removed.has(id));
+        updates[shape.id] = { groupId: parentId || null };
+      });
+      const memberIds = groups.flatMap((g) => getGroupMembers(g.id, shapes).map((s) => s.id));
+
+      const action = createBatchAction([
+        createUpdateAction(shapes, updates),
+        ...groups.map((group) => ({ type: 'delete', shapeId: group.id, shapeData: group })),
+      ]);
+
+      await batchUpdateShapes(canvasId, updates);
+      await Promise.all(groups.map((group) => deleteShape(canvasId, group.id)));
+      recordAction(action);
+      return [...new Set(memberIds)];
+    },
+    [canvasId, shapes, recordAction]
+  );
+
+  return { groupShapes, ungroupShapes };
+}
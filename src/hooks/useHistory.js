@@ -1,97 +1,253 @@
-import { useState, useCallback, useRef } from 'react';
+import { useState, useCallback, useRef, useEffect } from 'react';
+import {
+  restoreShape,
+  deleteShape,
+  updateShape,
+  batchUpdateShapes,
+} from '../services/canvasService';
+import { DEFAULT_CANVAS_ID, MAX_HISTORY_SIZE } from '../utils/constants';
+import {
+  createUpdateAction,
+  invertAction,
+  getChangeUpdates,
+  rebaseAction,
+} from '../utils/historyUtils';
 
 /**
- * useHistory hook - Simple undo/redo for collaborative canvas
+ * useHistory hook - Operation-based undo/redo for collaborative canvas
  *
  * Note: In a real-time collaborative environment, undo/redo is complex because:
  * - Multiple users can edit simultaneously
  * - Firebase is the source of truth
  * - We can't "undo" other users' actions
  *
- * This implementation provides a simple action queue for the current user only.
- * It tracks action IDs and allows reverting recent actions by deleting/restoring them.
+ * This implementation keeps an operation log for the current user only. Each entry is
+ * inverse-able: creates/deletes restore or remove the shape under its original ID, and
+ * updates store before/after snapshots of the fields they touched. A 'batch' entry groups
+ * several operations (e.g. a multi-shape drag) so they undo in one step.
+ *
+ * Before anything is written, undo/redo rebases the operation onto the live shapes
+ * (see rebaseAction): fields another user has changed since, shapes they deleted and
+ * shapes they have locked are skipped instead of overwritten, and onConflict is told.
  */
 
-const MAX_HISTORY_SIZE = 20; // Keep last 20 actions
+/**
+ * Apply a history action to the database (forward direction).
+ * Undo applies the inverted action; redo applies the action itself.
+ */
+const applyHistoryAction = async (canvasId, action) => {
+  switch (action.type) {
+    case 'create':
+      await restoreShape(canvasId, { ...action.shapeData, id: action.shapeId });
+      break;
+    case 'delete':
+      await deleteShape(canvasId, action.shapeId);
+      break;
+    case 'update':
+      await batchUpdateShapes(canvasId, getChangeUpdates(action.changes));
+      break;
+    case 'batch':
+      for (const child of action.actions) {
+        await applyHistoryAction(canvasId, child);
+      }
+      break;
+  }
+};
+
+/**
+ * @param {string} canvasId - Canvas the history belongs to
+ * @param {Array} shapes - Live shapes, used for "before" snapshots and conflict checks
+ * @param {Object} [options]
+ * @param {string} [options.userId] - Current user; their own locks never block undo
+ * @param {Function} [options.onConflict] - Called with { direction, conflicts, applied }
+ *   when an undo/redo had to skip changes made by someone else
+ */
+export const useHistory = (canvasId = DEFAULT_CANVAS_ID, shapes = [], options = {}) => {
+  const { userId = null, onConflict } = options;
 
-export const useHistory = () => {
-  const [undoStack, setUndoStack] = useState([]); // Actions that can be undone
-  const [redoStack, setRedoStack] = useState([]); // Actions that can be redone
+  // Refs are the source of truth so rapid key repeats never pop the same entry twice
+  const undoStackRef = useRef([]); // Actions that can be undone
+  const redoStackRef = useRef([]); // Actions that can be redone
+  const [stackSizes, setStackSizes] = useState({ undo: 0, redo: 0 });
   const isProcessingRef = useRef(false); // Prevent recording during undo/redo
 
+  // Latest shapes, used to snapshot "before" values without re-creating callbacks
+  const shapesRef = useRef(shapes);
+  useEffect(() => {
+    shapesRef.current = shapes;
+  }, [shapes]);
+
+  const onConflictRef = useRef(onConflict);
+  useEffect(() => {
+    onConflictRef.current = onConflict;
+  }, [onConflict]);
+
+  const syncStackSizes = useCallback(() => {
+    setStackSizes({ undo: undoStackRef.current.length, redo: redoStackRef.current.length });
+  }, []);
+
   /**
-   * Record an action (e.g., shape creation, deletion)
-   * @param {Object} action - { type: 'create'|'delete', shapeId, shapeData }
+   * Record an action
+   * @param {Object|null} action - { type: 'create'|'delete', shapeId, shapeData },
+   *   { type: 'update', changes: [{ shapeId, before, after }] } or { type: 'batch', actions }.
+   *   Null is ignored so callers can pass the result of createUpdateAction directly.
    */
-  const recordAction = useCallback((action) => {
-    if (isProcessingRef.current) return;
+  const recordAction = useCallback(
+    (action) => {
+      if (!action || isProcessingRef.current) return;
 
-    setUndoStack((prev) => {
-      const newStack = [...prev, { ...action, timestamp: Date.now() }];
+      const newStack = [...undoStackRef.current, { ...action, timestamp: Date.now() }];
       // Limit stack size
       if (newStack.length > MAX_HISTORY_SIZE) {
         newStack.shift();
       }
-      return newStack;
-    });
+      undoStackRef.current = newStack;
 
-    // Clear redo stack when new action is performed
-    setRedoStack([]);
-  }, []);
+      // Clear redo stack when new action is performed
+      redoStackRef.current = [];
+      syncStackSizes();
+    },
+    [syncStackSizes]
+  );
 
   /**
    * Get the last action from undo stack
    */
   const popUndo = useCallback(() => {
-    if (undoStack.length === 0) return null;
+    if (undoStackRef.current.length === 0) return null;
 
-    isProcessingRef.current = true;
-    const action = undoStack[undoStack.length - 1];
-    setUndoStack((prev) => prev.slice(0, -1));
-    setRedoStack((prev) => [...prev, action]);
-
-    // Reset flag
-    setTimeout(() => {
-      isProcessingRef.current = false;
-    }, 100);
+    const action = undoStackRef.current[undoStackRef.current.length - 1];
+    undoStackRef.current = undoStackRef.current.slice(0, -1);
+    redoStackRef.current = [...redoStackRef.current, action];
+    syncStackSizes();
 
     return action;
-  }, [undoStack]);
+  }, [syncStackSizes]);
 
   /**
    * Get the last action from redo stack
    */
   const popRedo = useCallback(() => {
-    if (redoStack.length === 0) return null;
-
-    isProcessingRef.current = true;
-    const action = redoStack[redoStack.length - 1];
-    setRedoStack((prev) => prev.slice(0, -1));
-    setUndoStack((prev) => [...prev, action]);
+    if (redoStackRef.current.length === 0) return null;
 
-    // Reset flag
-    setTimeout(() => {
-      isProcessingRef.current = false;
-    }, 100);
+    const action = redoStackRef.current[redoStackRef.current.length - 1];
+    redoStackRef.current = redoStackRef.current.slice(0, -1);
+    undoStackRef.current = [...undoStackRef.current, action];
+    syncStackSizes();
 
     return action;
-  }, [redoStack]);
+  }, [syncStackSizes]);
+
+  /**
+   * Move the top entry of one stack to the other, writing only what is still safe to write.
+   * The entry that lands on the target stack is the rebased one, so a later redo/undo never
+   * replays fields that were skipped. Fully conflicting entries are dropped.
+   * @param {'undo'|'redo'} direction
+   */
+  const step = useCallback(
+    async (direction) => {
+      const fromRef = direction === 'undo' ? undoStackRef : redoStackRef;
+      const toRef = direction === 'undo' ? redoStackRef : undoStackRef;
+      if (fromRef.current.length === 0) return null;
+
+      const entry = fromRef.current[fromRef.current.length - 1];
+      fromRef.current = fromRef.current.slice(0, -1);
+
+      const forward = direction === 'undo' ? invertAction(entry) : entry;
+      const { action: rebased, conflicts } = rebaseAction(forward, shapesRef.current, userId);
+
+      if (rebased) {
+        const stored = direction === 'undo' ? invertAction(rebased) : rebased;
+        toRef.current = [...toRef.current, { ...stored, timestamp: entry.timestamp }];
+      }
+      syncStackSizes();
+
+      if (conflicts.length > 0) {
+        onConflictRef.current?.({ direction, conflicts, applied: !!rebased });
+      }
+      if (!rebased) return entry;
+
+      isProcessingRef.current = true;
+      try {
+        await applyHistoryAction(canvasId, rebased);
+      } finally {
+        isProcessingRef.current = false;
+      }
+      return entry;
+    },
+    [canvasId, userId, syncStackSizes]
+  );
+
+  /**
+   * Undo the last action and write its inverse to the database
+   * @returns {Promise<Object|null>} The undone action, or null if there was nothing to undo
+   */
+  const undo = useCallback(() => step('undo'), [step]);
+
+  /**
+   * Redo the last undone action
+   * @returns {Promise<Object|null>} The redone action, or null if there was nothing to redo
+   */
+  const redo = useCallback(() => step('redo'), [step]);
+
+  /**
+   * updateShape that records an inverse-able 'update' action
+   * @param {string} shapeId - Shape ID
+   * @param {Object} updates - Fields to update
+   * @param {Object} [previous] - Explicit "before" values (e.g. positions at drag start)
+   */
+  const updateShapeWithHistory = useCallback(
+    async (shapeId, updates, previous) => {
+      const action = createUpdateAction(
+        shapesRef.current,
+        { [shapeId]: updates },
+        previous ? { [shapeId]: previous } : undefined
+      );
+      await updateShape(canvasId, shapeId, updates);
+      recordAction(action);
+    },
+    [canvasId, recordAction]
+  );
+
+  /**
+   * batchUpdateShapes that records all changes as a single undoable step
+   * @param {Object<string, Object>} updates - Map of shapeId → property updates
+   * @param {Object<string, Object>} [previous] - Map of shapeId → explicit "before" values
+   */
+  const batchUpdateShapesWithHistory = useCallback(
+    async (updates, previous) => {
+      const action = createUpdateAction(shapesRef.current, updates || {}, previous);
+      await batchUpdateShapes(canvasId, updates);
+      recordAction(action);
+    },
+    [canvasId, recordAction]
+  );
 
   /**
    * Clear all history
    */
   const clearHistory = useCallback(() => {
-    setUndoStack([]);
-    setRedoStack([]);
-  }, []);
+    undoStackRef.current = [];
+    redoStackRef.current = [];
+    syncStackSizes();
+  }, [syncStackSizes]);
+
+  // History belongs to a single canvas
+  useEffect(() => {
+    clearHistory();
+  }, [canvasId, clearHistory]);
 
-  const canUndo = undoStack.length > 0;
-  const canRedo = redoStack.length > 0;
+  const canUndo = stackSizes.undo > 0;
+  const canRedo = stackSizes.redo > 0;
 
   return {
     recordAction,
     popUndo,
     popRedo,
+    undo,
+    redo,
+    updateShapeWithHistory,
+    batchUpdateShapesWithHistory,
     clearHistory,
     canUndo,
     canRedo,
@@ -0,0 +1,22 @@
+import { useState, useEffect, useCallback } from 'react';
+import { subscribeToOfflineStatus, dismissOfflineConflicts } from '../services/offlineService';
+import { DEFAULT_CANVAS_ID } from '../utils/constants';
+
+/**
+ * Custom hook for a canvas's offline state: whether it's online, how many shape
+ * changes are queued to be sent, and how many conflicted or failed on reconnect
+ */
+export function useOfflineStatus(canvasId = DEFAULT_CANVAS_ID) {
+  const [status, setStatus] = useState({
+    online: true,
+    pendingCount: 0,
+    conflictCount: 0,
+    failedCount: 0,
+  });
+
+  useEffect(() => subscribeToOfflineStatus(canvasId, setStatus), [canvasId]);
+
+  const dismissConflicts = useCallback(() => dismissOfflineConflicts(canvasId), [canvasId]);
+
+  return { ...status, dismissConflicts };
+}
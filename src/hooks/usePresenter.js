@@ -0,0 +1,60 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  subscribeToPresenter,
+  startPresenting as startPresentingSession,
+  stopPresenting as stopPresentingSession,
+} from '../services/canvasService';
+import { DEFAULT_CANVAS_ID } from '../utils/constants';
+import { reportError } from '../utils/errorHandler';
+
+/**
+ * Custom hook for presenter mode
+ * Tracks who (if anyone) is presenting on the canvas; everyone else follows the
+ * presenter's viewport until they take over the view themselves.
+ */
+export function usePresenter(sessionId, user, canvasId = DEFAULT_CANVAS_ID) {
+  const [presenter, setPresenter] = useState(null);
+  const isPresenting = Boolean(presenter && presenter.sessionId === sessionId);
+  const isPresentingRef = useRef(false);
+  isPresentingRef.current = isPresenting;
+
+  useEffect(() => {
+    if (!canvasId || !sessionId) return;
+    const unsubscribe = subscribeToPresenter(canvasId, setPresenter);
+    return () => {
+      unsubscribe();
+      setPresenter(null);
+    };
+  }, [canvasId, sessionId]);
+
+  // Leaving the canvas ends our presentation
+  useEffect(() => {
+    return () => {
+      if (isPresentingRef.current) {
+        stopPresentingSession(canvasId).catch(() => {
+          // Ignore errors during cleanup; onDisconnect removes it eventually
+        });
+      }
+    };
+  }, [canvasId]);
+
+  const startPresenting = useCallback(() => {
+    if (!user || !sessionId) return;
+    startPresentingSession(canvasId, sessionId, user.uid, user.displayName).catch((err) =>
+      reportError(err, { component: 'usePresenter', action: 'startPresenting' })
+    );
+  }, [canvasId, sessionId, user]);
+
+  const stopPresenting = useCallback(() => {
+    stopPresentingSession(canvasId).catch((err) =>
+      reportError(err, { component: 'usePresenter', action: 'stopPresenting' })
+    );
+  }, [canvasId]);
+
+  return {
+    presenter,
+    isPresenting,
+    startPresenting,
+    stopPresenting,
+  };
+}
@@ -1,5 +1,6 @@
 import { useState, useCallback } from 'react';
 import { getShapeBounds } from '../utils/canvasUtils';
+import { isGroup, expandSelectionToGroups } from '../utils/groupUtils';
 
 /**
  * useSelection — Multi-selection state and selection rectangle logic.
@@ -12,6 +13,7 @@ export function useSelection() {
 
   /**
    * Resolve the selection rectangle on mouseUp.
+   * A shape inside a group selects every member of its top-level group.
    * Returns the newly-selected shape IDs (may be empty on click-deselect).
    */
   const resolveSelection = useCallback(
@@ -31,11 +33,17 @@ export function useSelection() {
       }
 
       const selected = shapes.filter((shape) => {
+        if (isGroup(shape)) return false;
         const b = getShapeBounds(shape);
         return !(b.maxX < minX || b.minX > maxX || b.maxY < minY || b.minY > maxY);
       });
 
-      const ids = selected.map((s) => s.id);
+      const ids = expandSelectionToGroups(
+        selected.map((s) => s.id),
+        shapes
+      );
+      // The marquee replaces a single (possibly group) selection
+      if (ids.length > 0) deselectShape();
       setSelectedShapeIds(ids);
       return ids;
     },
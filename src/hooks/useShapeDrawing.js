@@ -7,6 +7,8 @@ export function useShapeDrawing() {
   const [isDrawing, setIsDrawing] = useState(false);
   const [drawStart, setDrawStart] = useState({ x: 0, y: 0 });
   const [drawCurrent, setDrawCurrent] = useState({ x: 0, y: 0 });
+  // Raw pointer samples captured by the pen tool (canvas coordinates)
+  const [penPoints, setPenPoints] = useState([]);
 
   // Preview rectangle during drawing
   const previewRect = useMemo(() => {
@@ -26,6 +28,8 @@ export function useShapeDrawing() {
     setDrawStart,
     drawCurrent,
     setDrawCurrent,
+    penPoints,
+    setPenPoints,
     previewRect,
   };
 }
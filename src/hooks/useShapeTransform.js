@@ -1,9 +1,42 @@
 import { useState, useRef, useCallback } from 'react';
-import { SHAPE_TYPES } from '../utils/constants';
+import { SHAPE_TYPES, READ_ONLY_ROLES } from '../utils/constants';
 import { screenToCanvas } from '../utils/canvasUtils';
+import {
+  isGroup,
+  getEffectiveLock,
+  getTopLevelGroupId,
+  getGroupMembers,
+  getGroupBounds,
+} from '../utils/groupUtils';
+import { expandWithFrameChildren } from '../utils/frameUtils';
+import { buildSnapTargets, getSnapBounds } from '../utils/snapUtils';
+
+/**
+ * Members and bounds of a group at the start of a resize or rotate (null for other shapes)
+ */
+function getGroupSnapshot(shape, shapes) {
+  if (!isGroup(shape)) return null;
+  const members = getGroupMembers(shape.id, shapes);
+  const bounds = getGroupBounds(members);
+  return bounds ? { members, bounds } : null;
+}
+
+/**
+ * Visible part of the canvas, where snap targets are collected
+ */
+function getViewArea(viewport, containerSize) {
+  if (!containerSize) return null;
+  return {
+    x: viewport.offsetX,
+    y: viewport.offsetY,
+    width: containerSize.width / viewport.zoom,
+    height: containerSize.height / viewport.zoom,
+  };
+}
 
 /**
  * useShapeTransform — Drag, resize, and rotate state + start handlers.
+ * When snapping is on, the snap targets are collected once per drag or resize.
  */
 export function useShapeTransform({
   svgRef,
@@ -11,11 +44,14 @@ export function useShapeTransform({
   user,
   selectedShapeId,
   selectedShapeIds,
+  setSelectedShapeIds,
   selectShape,
   viewport,
   setIsDraggingLocal,
   userRole,
   trackActivity,
+  snapEnabled = false,
+  containerSize,
 }) {
   // Drag state
   const [isDragging, setIsDragging] = useState(false);
@@ -35,9 +71,18 @@ export function useShapeTransform({
   const [rotateStart, setRotateStart] = useState({ x: 0, y: 0 });
   const [rotateInitial, setRotateInitial] = useState(0);
 
+  // Members of the group being resized or rotated, as they were when it started
+  const [groupTransformInitial, setGroupTransformInitial] = useState(null);
+
   // Track if user actually moved/resized/rotated vs just clicked
   const didInteractRef = useRef(false);
 
+  // Snapping: lines of the other visible shapes, the dragged box at drag start,
+  // and the guides to draw for the current position
+  const snapTargetsRef = useRef(null);
+  const snapBoundsRef = useRef(null);
+  const [snapGuides, setSnapGuides] = useState([]);
+
   const handleShapeMouseDown = useCallback(
     (shapeId, e) => {
       e.stopPropagation();
@@ -47,16 +92,27 @@ export function useShapeTransform({
       const shape = shapes.find((s) => s.id === shapeId);
       if (!shape) return;
 
-      if (userRole === 'viewer') return;
-      if (shape.lockedBy && shape.lockedBy !== user?.uid) return;
+      if (READ_ONLY_ROLES.includes(userRole)) return;
+      const shapesById = new Map(shapes.map((s) => [s.id, s]));
+      const { lockedBy } = getEffectiveLock(shape, shapesById);
+      if (lockedBy && lockedBy !== user?.uid) return;
 
       let shapesToDrag = [];
+      const unitId = getTopLevelGroupId(shape, shapesById);
       if (selectedShapeIds.length > 0 && selectedShapeIds.includes(shapeId)) {
         shapesToDrag = selectedShapeIds;
+      } else if (unitId !== shapeId) {
+        // A grouped shape selects (and locks) its top-level group and drags every member
+        if (selectedShapeId !== unitId) selectShape(unitId);
+        shapesToDrag = getGroupMembers(unitId, shapes).map((s) => s.id);
+        setSelectedShapeIds(shapesToDrag);
       } else {
         if (selectedShapeId !== shapeId) selectShape(shapeId);
+        if (selectedShapeIds.length > 0) setSelectedShapeIds([]);
         shapesToDrag = [shapeId];
       }
+      // A frame carries the shapes inside it
+      shapesToDrag = expandWithFrameChildren(shapesToDrag, shapes);
 
       const svgRect = svgRef.current.getBoundingClientRect();
       const canvasPos = screenToCanvas(e.clientX, e.clientY, viewport, svgRect);
@@ -67,12 +123,20 @@ export function useShapeTransform({
         if (s) {
           if (s.type === SHAPE_TYPES.CUSTOM_POLYGON) {
             initialPositions[id] = { vertices: s.vertices.map((v) => ({ x: v.x, y: v.y })) };
+          } else if (s.type === SHAPE_TYPES.CONNECTOR) {
+            initialPositions[id] = { x: s.x, y: s.y, x2: s.x2, y2: s.y2 };
           } else {
             initialPositions[id] = { x: s.x, y: s.y };
           }
         }
       });
 
+      const dragged = shapes.filter((s) => shapesToDrag.includes(s.id));
+      snapTargetsRef.current = snapEnabled
+        ? buildSnapTargets(shapes, shapesToDrag, getViewArea(viewport, containerSize))
+        : null;
+      snapBoundsRef.current = snapEnabled ? getSnapBounds(dragged) : null;
+
       setDragStart(canvasPos);
       setDragOffset({ x: shape.x, y: shape.y });
       setDraggedShapeIds(shapesToDrag);
@@ -88,18 +152,21 @@ export function useShapeTransform({
       user,
       selectedShapeId,
       selectedShapeIds,
+      setSelectedShapeIds,
       selectShape,
       viewport,
       setIsDraggingLocal,
       userRole,
       trackActivity,
+      snapEnabled,
+      containerSize,
     ]
   );
 
   const handleResizeStart = useCallback(
     (handle, e) => {
       if (!svgRef.current || !selectedShapeId) return;
-      if (userRole === 'viewer') return;
+      if (READ_ONLY_ROLES.includes(userRole)) return;
 
       const shape = shapes.find((s) => s.id === selectedShapeId);
       if (!shape) return;
@@ -107,20 +174,34 @@ export function useShapeTransform({
       const svgRect = svgRef.current.getBoundingClientRect();
       const canvasPos = screenToCanvas(e.clientX, e.clientY, viewport, svgRect);
 
+      snapTargetsRef.current = snapEnabled
+        ? buildSnapTargets(shapes, [shape.id], getViewArea(viewport, containerSize))
+        : null;
+
       setResizeHandle(handle);
       setResizeStart(canvasPos);
       setResizeInitial({ ...shape });
+      setGroupTransformInitial(getGroupSnapshot(shape, shapes));
       setIsResizing(true);
       setIsDraggingLocal(true);
       e.preventDefault();
     },
-    [svgRef, selectedShapeId, shapes, viewport, setIsDraggingLocal, userRole]
+    [
+      svgRef,
+      selectedShapeId,
+      shapes,
+      viewport,
+      setIsDraggingLocal,
+      userRole,
+      snapEnabled,
+      containerSize,
+    ]
   );
 
   const handleRotateStart = useCallback(
     (e) => {
       if (!svgRef.current || !selectedShapeId) return;
-      if (userRole === 'viewer') return;
+      if (READ_ONLY_ROLES.includes(userRole)) return;
 
       const shape = shapes.find((s) => s.id === selectedShapeId);
       if (!shape) return;
@@ -130,6 +211,7 @@ export function useShapeTransform({
 
       setRotateStart(canvasPos);
       setRotateInitial(shape.rotation || 0);
+      setGroupTransformInitial(getGroupSnapshot(shape, shapes));
       setIsRotating(true);
       setIsDraggingLocal(true);
       e.preventDefault();
@@ -165,6 +247,14 @@ export function useShapeTransform({
     setRotateStart,
     rotateInitial,
     setRotateInitial,
+    // Group resize/rotate
+    groupTransformInitial,
+    setGroupTransformInitial,
+    // Snapping
+    snapTargetsRef,
+    snapBoundsRef,
+    snapGuides,
+    setSnapGuides,
     // Ref
     didInteractRef,
     // Handlers
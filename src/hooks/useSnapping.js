@@ -0,0 +1,29 @@
+import { useState, useEffect, useCallback } from 'react';
+
+const storageKey = (userId) => `snapping-preference:${userId || 'anonymous'}`;
+
+/**
+ * Custom hook to manage the snapping preference (alignment guides, equal spacing
+ * and grid snapping while dragging and resizing). Saved per user on this device;
+ * on by default.
+ */
+export function useSnapping(userId) {
+  const [snapEnabled, setSnapEnabled] = useState(
+    () => localStorage.getItem(storageKey(userId)) !== 'off'
+  );
+
+  // Pick up the saved preference when the signed-in user changes
+  useEffect(() => {
+    setSnapEnabled(localStorage.getItem(storageKey(userId)) !== 'off');
+  }, [userId]);
+
+  const setSnapping = useCallback(
+    (enabled) => {
+      setSnapEnabled(!!enabled);
+      localStorage.setItem(storageKey(userId), enabled ? 'on' : 'off');
+    },
+    [userId]
+  );
+
+  return { snapEnabled, setSnapEnabled: setSnapping };
+}
@@ -0,0 +1,16 @@
+import { useMemo } from 'react';
+import { createSpatialIndex } from '../utils/spatialIndex';
+
+/**
+ * Custom hook keeping a spatial index of the shapes, for viewport culling.
+ * Returns a search function ({x, y, width, height} => shapes overlapping it);
+ * it changes whenever the shapes do, so memos that depend on it recompute.
+ */
+export function useSpatialIndex(shapes) {
+  const index = useMemo(() => createSpatialIndex(), []);
+
+  return useMemo(() => {
+    index.sync(shapes);
+    return (region) => index.search(region);
+  }, [index, shapes]);
+}
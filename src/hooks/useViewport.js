@@ -7,13 +7,24 @@ import {
   ZOOM_SENSITIVITY,
   DEFAULT_ZOOM,
   PAN_PADDING_PERCENT,
+  ZOOM_TO_FIT_PADDING,
+  ZOOM_TO_FIT_MAX_ZOOM,
 } from '../utils/constants';
-import { screenToCanvas, clampPanOffset, clamp } from '../utils/canvasUtils';
+import {
+  screenToCanvas,
+  clampPanOffset,
+  clamp,
+  getViewportForRegion,
+  centerViewportOn,
+  getCanvasSize,
+} from '../utils/canvasUtils';
 
 /**
  * useViewport — Manages viewport state (pan, zoom), wheel events, and container sizing.
+ * Panning stays near the board unless the canvas is `infinite`.
  */
-export function useViewport(svgRef, containerRef) {
+export function useViewport(svgRef, containerRef, { infinite = false } = {}) {
+  const canvasSize = useMemo(() => getCanvasSize(infinite), [infinite]);
   const [viewport, setViewport] = useState({
     offsetX: 0,
     offsetY: 0,
@@ -66,14 +77,14 @@ export function useViewport(svgRef, containerRef) {
         newZoom,
         containerSize.width,
         containerSize.height,
-        CANVAS_WIDTH,
-        CANVAS_HEIGHT,
+        canvasSize.width,
+        canvasSize.height,
         PAN_PADDING_PERCENT
       );
 
       setViewport({ offsetX: clamped.offsetX, offsetY: clamped.offsetY, zoom: newZoom });
     },
-    [viewport, containerSize, svgRef]
+    [viewport, containerSize, canvasSize, svgRef]
   );
 
   // Attach wheel event listener with passive: false
@@ -105,13 +116,13 @@ export function useViewport(svgRef, containerRef) {
         newZoom,
         containerSize.width,
         containerSize.height,
-        CANVAS_WIDTH,
-        CANVAS_HEIGHT,
+        canvasSize.width,
+        canvasSize.height,
         PAN_PADDING_PERCENT
       );
       setViewport({ offsetX: clamped.offsetX, offsetY: clamped.offsetY, zoom: newZoom });
     },
-    [viewport, containerSize, svgRef]
+    [viewport, containerSize, canvasSize, svgRef]
   );
 
   const handleZoomIn = useCallback(() => zoomFromCenter(1.2), [zoomFromCenter]);
@@ -141,13 +152,13 @@ export function useViewport(svgRef, containerRef) {
         clampedZoom,
         containerSize.width,
         containerSize.height,
-        CANVAS_WIDTH,
-        CANVAS_HEIGHT,
+        canvasSize.width,
+        canvasSize.height,
         PAN_PADDING_PERCENT
       );
       setViewport({ zoom: clampedZoom, offsetX: clamped.offsetX, offsetY: clamped.offsetY });
     },
-    [viewport, containerSize, svgRef]
+    [viewport, containerSize, canvasSize, svgRef]
   );
 
   const handleFitCanvas = useCallback(() => {
@@ -162,6 +173,77 @@ export function useViewport(svgRef, containerRef) {
     setViewport({ zoom: fitZoom, offsetX: newOffsetX, offsetY: newOffsetY });
   }, [svgRef]);
 
+  // Fit a region of the canvas (e.g. all content, the selection or a followed
+  // collaborator's view) in view
+  const handleZoomToRegion = useCallback(
+    (region, { padding = ZOOM_TO_FIT_PADDING, maxZoom = ZOOM_TO_FIT_MAX_ZOOM } = {}) => {
+      const { width, height } = containerSize;
+      if (!region || width === 0 || height === 0) return;
+      const fit = getViewportForRegion(region, width, height, {
+        padding,
+        minZoom: MIN_ZOOM,
+        maxZoom,
+      });
+      const clamped = clampPanOffset(
+        fit.offsetX,
+        fit.offsetY,
+        fit.zoom,
+        width,
+        height,
+        canvasSize.width,
+        canvasSize.height,
+        PAN_PADDING_PERCENT
+      );
+      setViewport({ zoom: fit.zoom, offsetX: clamped.offsetX, offsetY: clamped.offsetY });
+    },
+    [containerSize, canvasSize]
+  );
+
+  // Pan so a canvas point is in the middle of the view, keeping the zoom (minimap navigation)
+  const handleCenterOn = useCallback(
+    (point) => {
+      setViewport((prev) => {
+        const centered = centerViewportOn(
+          point,
+          prev.zoom,
+          containerSize.width,
+          containerSize.height
+        );
+        const clamped = clampPanOffset(
+          centered.offsetX,
+          centered.offsetY,
+          prev.zoom,
+          containerSize.width,
+          containerSize.height,
+          canvasSize.width,
+          canvasSize.height,
+          PAN_PADDING_PERCENT
+        );
+        return { ...prev, offsetX: clamped.offsetX, offsetY: clamped.offsetY };
+      });
+    },
+    [containerSize, canvasSize]
+  );
+
+  // Back on a bounded board (e.g. infinite mode switched off), pull the view back near it
+  useEffect(() => {
+    const { width, height } = containerSize;
+    if (infinite || width === 0 || height === 0) return;
+    setViewport((prev) => ({
+      ...prev,
+      ...clampPanOffset(
+        prev.offsetX,
+        prev.offsetY,
+        prev.zoom,
+        width,
+        height,
+        canvasSize.width,
+        canvasSize.height,
+        PAN_PADDING_PERCENT
+      ),
+    }));
+  }, [infinite, canvasSize, containerSize]);
+
   // Calculate viewBox for SVG
   const viewBox = useMemo(
     () =>
@@ -179,11 +261,14 @@ export function useViewport(svgRef, containerRef) {
     panOffset,
     setPanOffset,
     containerSize,
+    canvasSize,
     viewBox,
     handleZoomIn,
     handleZoomOut,
     handleZoomReset,
     handleZoomSet,
     handleFitCanvas,
+    handleZoomToRegion,
+    handleCenterOn,
   };
 }
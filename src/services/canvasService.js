@@ -9,15 +9,41 @@ import {
   update,
   remove,
   onValue,
+  onChildAdded,
+  onChildChanged,
+  onChildRemoved,
   off,
+  push,
   get,
   query,
   orderByChild,
   onDisconnect,
+  runTransaction,
 } from 'firebase/database';
 import { realtimeDb } from './firebase';
-import { DEFAULT_CANVAS_ID } from '../utils/constants';
+import {
+  DEFAULT_CANVAS_ID,
+  DEFAULT_FRAME_COLOR,
+  CANVAS_ROLE,
+  SHARE_ROLES,
+} from '../utils/constants';
 import { reportError } from '../utils/errorHandler';
+import { createCanvasDocument } from '../utils/canvasDocument';
+import { normalizeRichText } from '../utils/richTextUtils';
+import { isConnector, remapConnectorBindings } from '../utils/connectorUtils';
+import { isGroup, remapGroupId } from '../utils/groupUtils';
+import { remapFrameId } from '../utils/frameUtils';
+import {
+  isQueueingWrites,
+  queueObjectWrite,
+  applyQueuedObjectWrites,
+  rememberServerObjects,
+  subscribeToOfflineStatus,
+} from './offlineService';
+import { loadCachedObjects } from './offlineStore';
+import { getEditAttribution, recordShapeChange } from './shapeHistoryService';
+import { getEditedFields, isShapeRemoval } from '../utils/shapeHistoryUtils';
+import { getShareLinkStatus, getShareLinkError, listShareLinks } from '../utils/shareLinkUtils';
 
 // Reference paths for Realtime Database
 const getCanvasRef = (canvasId = DEFAULT_CANVAS_ID) => ref(realtimeDb, `canvases/${canvasId}`);
@@ -25,6 +51,8 @@ const getCanvasMetadataRef = (canvasId = DEFAULT_CANVAS_ID) =>
   ref(realtimeDb, `canvases/${canvasId}/metadata`);
 const getCanvasPermissionsRef = (canvasId = DEFAULT_CANVAS_ID) =>
   ref(realtimeDb, `canvases/${canvasId}/permissions`);
+const getCanvasShareTokensRef = (canvasId = DEFAULT_CANVAS_ID) =>
+  ref(realtimeDb, `canvases/${canvasId}/shareTokens`);
 const getCanvasShareTokenRef = (canvasId = DEFAULT_CANVAS_ID, token) =>
   ref(realtimeDb, `canvases/${canvasId}/shareTokens/${token}`);
 const getObjectsRef = (canvasId = DEFAULT_CANVAS_ID) =>
@@ -39,6 +67,16 @@ const getPresenceRef = (canvasId = DEFAULT_CANVAS_ID) =>
   ref(realtimeDb, `canvases/${canvasId}/presence`);
 const getPresenceSessionRef = (canvasId = DEFAULT_CANVAS_ID, sessionId) =>
   ref(realtimeDb, `canvases/${canvasId}/presence/${sessionId}`);
+const getPresenterRef = (canvasId = DEFAULT_CANVAS_ID) =>
+  ref(realtimeDb, `canvases/${canvasId}/presenter`);
+const getTextEditRef = (canvasId = DEFAULT_CANVAS_ID, shapeId) =>
+  ref(realtimeDb, `canvases/${canvasId}/textEdits/${shapeId}`);
+const getTextEditOpsRef = (canvasId = DEFAULT_CANVAS_ID, shapeId) =>
+  ref(realtimeDb, `canvases/${canvasId}/textEdits/${shapeId}/ops`);
+const getTextEditCaretsRef = (canvasId = DEFAULT_CANVAS_ID, shapeId) =>
+  ref(realtimeDb, `canvases/${canvasId}/textEdits/${shapeId}/carets`);
+const getTextEditCaretRef = (canvasId = DEFAULT_CANVAS_ID, shapeId, sessionId) =>
+  ref(realtimeDb, `canvases/${canvasId}/textEdits/${shapeId}/carets/${sessionId}`);
 const getUserCanvasesRef = (userId) => ref(realtimeDb, `userCanvases/${userId}`);
 const getUserCanvasRef = (userId, canvasId) =>
   ref(realtimeDb, `userCanvases/${userId}/${canvasId}`);
@@ -75,19 +113,15 @@ export const generateObjectId = (userId) => {
   return `${userId}_${timestamp}_${random}`;
 };
 
-const normalizePermissionRole = (permission) => {
-  if (typeof permission === 'string') {
-    return permission;
-  }
-
-  if (permission && typeof permission === 'object') {
-    return permission.role || null;
-  }
+const CANVAS_ROLES = Object.values(CANVAS_ROLE);
 
-  return null;
+// Unknown roles (e.g. written by a newer client) grant nothing
+const normalizePermissionRole = (permission) => {
+  const role = permission && typeof permission === 'object' ? permission.role : permission;
+  return CANVAS_ROLES.includes(role) ? role : null;
 };
 
-const isShareRole = (role) => role === 'viewer' || role === 'editor';
+const isShareRole = (role) => SHARE_ROLES.includes(role);
 
 const generateShareToken = () => {
   if (typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function') {
@@ -116,6 +150,10 @@ const getDefaultShapeName = (type) => {
     customPolygon: 'Polygon',
     text: 'Text',
     image: 'Image',
+    connector: 'Connector',
+    path: 'Drawing',
+    group: 'Group',
+    frame: 'Frame',
   };
   return typeNames[type] || 'Shape';
 };
@@ -124,17 +162,22 @@ const getDefaultShapeName = (type) => {
  * Create a new shape on the canvas
  * @param {string} canvasId - Canvas ID
  * @param {Object} shapeData - Shape data (type, x, y, color, createdBy, and type-specific props)
+ * @param {string} [objectId] - ID to use (from generateObjectId) when the caller needs it
+ *   before the write completes; any `id` in shapeData is ignored
  * @returns {Promise<string>} Created shape ID
  */
-export const createShape = async (canvasId = DEFAULT_CANVAS_ID, shapeData) => {
+export const createShape = async (
+  canvasId = DEFAULT_CANVAS_ID,
+  shapeData,
+  objectId = generateObjectId(shapeData.createdBy)
+) => {
   try {
-    const objectId = generateObjectId(shapeData.createdBy);
     const objectRef = getObjectRef(canvasId, objectId);
 
     // Auto-generate name if not provided
     const defaultName = getDefaultShapeName(shapeData.type);
 
-    await set(objectRef, {
+    const data = {
       ...shapeData,
       id: objectId,
       name: shapeData.name || defaultName, // Auto-generated name
@@ -142,7 +185,14 @@ export const createShape = async (canvasId = DEFAULT_CANVAS_ID, shapeData) => {
       lockedBy: null,
       lockedByUserName: null,
       timestamp: Date.now(),
-    });
+      ...getEditAttribution(),
+    };
+    recordShapeChange(canvasId, objectId, 'create');
+    if (isQueueingWrites(canvasId)) {
+      await queueObjectWrite(canvasId, { [objectId]: data });
+      return objectId;
+    }
+    await set(objectRef, data);
 
     // console.log('Shape created:', shapeData.type, objectId);
     return objectId;
@@ -152,6 +202,34 @@ export const createShape = async (canvasId = DEFAULT_CANVAS_ID, shapeData) => {
   }
 };
 
+/**
+ * Restore a shape under its original ID (used by undo/redo).
+ * Unlike createShape, this keeps the existing ID so later history entries still match.
+ * @param {string} canvasId - Canvas ID
+ * @param {Object} shapeData - Full shape data including id
+ * @returns {Promise<string>} Restored shape ID
+ */
+export const restoreShape = async (canvasId = DEFAULT_CANVAS_ID, shapeData) => {
+  try {
+    const objectRef = getObjectRef(canvasId, shapeData.id);
+    // Firebase rejects undefined values, so drop them from the snapshot
+    const data = Object.fromEntries(
+      Object.entries(shapeData).filter(([, value]) => value !== undefined)
+    );
+    const restored = { ...data, lockedBy: null, lockedByUserName: null, ...getEditAttribution() };
+    recordShapeChange(canvasId, shapeData.id, 'restore');
+    if (isQueueingWrites(canvasId)) {
+      await queueObjectWrite(canvasId, { [shapeData.id]: restored });
+      return shapeData.id;
+    }
+    await set(objectRef, restored);
+    return shapeData.id;
+  } catch (error) {
+    reportError(error, { component: 'canvasService', action: 'restoreShape' });
+    throw error;
+  }
+};
+
 /**
  * Update an existing shape
  * @param {string} canvasId - Canvas ID
@@ -161,8 +239,22 @@ export const createShape = async (canvasId = DEFAULT_CANVAS_ID, shapeData) => {
  */
 export const updateShape = async (canvasId = DEFAULT_CANVAS_ID, shapeId, updates) => {
   try {
+    // Locks and the like aren't edits: they're neither attributed nor logged.
+    // Clearing every field removes the shape, so it mustn't leave attribution behind
+    const fields = getEditedFields(updates);
+    const attributed = fields.length > 0 && !isShapeRemoval(updates);
+    const data = attributed ? { ...updates, ...getEditAttribution() } : updates;
+    if (attributed) recordShapeChange(canvasId, shapeId, 'update', fields);
+    else if (fields.length > 0) recordShapeChange(canvasId, shapeId, 'delete');
+    if (isQueueingWrites(canvasId)) {
+      await queueObjectWrite(
+        canvasId,
+        Object.fromEntries(Object.entries(data).map(([key, value]) => [`${shapeId}/${key}`, value]))
+      );
+      return;
+    }
     const objectRef = getObjectRef(canvasId, shapeId);
-    await update(objectRef, updates);
+    await update(objectRef, data);
     // console.log('Shape updated:', shapeId);
   } catch (error) {
     reportError(error, { component: 'canvasService', action: 'updateShape' });
@@ -182,10 +274,20 @@ export const batchUpdateShapes = async (canvasId = DEFAULT_CANVAS_ID, updates) =
     const objectsRef = getObjectsRef(canvasId);
     const multiPathUpdates = {};
     for (const [shapeId, shapeUpdates] of Object.entries(updates)) {
-      for (const [key, value] of Object.entries(shapeUpdates)) {
+      const fields = getEditedFields(shapeUpdates);
+      // Snapshot restores remove shapes by clearing every field
+      const attributed = fields.length > 0 && !isShapeRemoval(shapeUpdates);
+      const attribution = attributed ? getEditAttribution() : {};
+      if (attributed) recordShapeChange(canvasId, shapeId, 'update', fields);
+      else if (fields.length > 0) recordShapeChange(canvasId, shapeId, 'delete');
+      for (const [key, value] of Object.entries({ ...shapeUpdates, ...attribution })) {
         multiPathUpdates[`${shapeId}/${key}`] = value;
       }
     }
+    if (isQueueingWrites(canvasId)) {
+      await queueObjectWrite(canvasId, multiPathUpdates);
+      return;
+    }
     await update(objectsRef, multiPathUpdates);
   } catch (error) {
     reportError(error, { component: 'canvasService', action: 'batchUpdateShapes' });
@@ -201,6 +303,11 @@ export const batchUpdateShapes = async (canvasId = DEFAULT_CANVAS_ID, updates) =
  */
 export const deleteShape = async (canvasId = DEFAULT_CANVAS_ID, shapeId) => {
   try {
+    recordShapeChange(canvasId, shapeId, 'delete');
+    if (isQueueingWrites(canvasId)) {
+      await queueObjectWrite(canvasId, { [shapeId]: null });
+      return;
+    }
     const objectRef = getObjectRef(canvasId, shapeId);
     await remove(objectRef);
     // console.log('Shape deleted:', shapeId);
@@ -219,6 +326,8 @@ export const deleteShape = async (canvasId = DEFAULT_CANVAS_ID, shapeId) => {
  * @returns {Promise<void>}
  */
 export const lockObject = async (canvasId = DEFAULT_CANVAS_ID, objectId, userId, userName = '') => {
+  // Locks only matter while others can see them; offline, selection is local
+  if (isQueueingWrites(canvasId)) return;
   try {
     const objectRef = getObjectRef(canvasId, objectId);
     await update(objectRef, {
@@ -239,6 +348,7 @@ export const lockObject = async (canvasId = DEFAULT_CANVAS_ID, objectId, userId,
  * @returns {Promise<void>}
  */
 export const unlockObject = async (canvasId = DEFAULT_CANVAS_ID, objectId) => {
+  if (isQueueingWrites(canvasId)) return;
   try {
     const objectRef = getObjectRef(canvasId, objectId);
     await update(objectRef, {
@@ -254,6 +364,12 @@ export const unlockObject = async (canvasId = DEFAULT_CANVAS_ID, objectId) => {
 
 /**
  * Subscribe to real-time object updates
+ * The list is built once from the initial load, then kept current from child
+ * events: only added or changed objects get new records, so unchanged shapes keep
+ * their identity (memoized shape components and the spatial index skip them).
+ * Changes that arrive together are delivered in a single callback.
+ * Shape writes queued while offline are applied on top (see offlineService), and
+ * until the first load arrives the objects cached from the last visit are shown.
  * @param {string} canvasId - Canvas ID
  * @param {Function} callback - Callback function receiving array of objects
  * @param {Function} errorCallback - Optional error callback
@@ -261,32 +377,76 @@ export const unlockObject = async (canvasId = DEFAULT_CANVAS_ID, objectId) => {
  */
 export const subscribeToObjects = (canvasId = DEFAULT_CANVAS_ID, callback, errorCallback) => {
   const objectsRef = getObjectsRef(canvasId);
+  const objects = new Map();
+  let loaded = false;
+  let cached = null;
+  let pending = false;
+  let active = true;
+  let failed = false;
+
+  const emit = () => {
+    pending = false;
+    if (!active) return;
+    const current = loaded ? Array.from(objects.values()) : cached;
+    rememberServerObjects(canvasId, current);
+    callback(applyQueuedObjectWrites(canvasId, current));
+  };
 
-  onValue(
-    objectsRef,
-    (snapshot) => {
-      const objects = [];
-      const data = snapshot.val();
+  const scheduleEmit = () => {
+    if ((!loaded && !cached) || pending) return;
+    pending = true;
+    queueMicrotask(emit);
+  };
 
-      if (data) {
-        Object.keys(data).forEach((key) => {
-          objects.push({ id: key, ...data[key] });
-        });
-      }
+  const setObject = (snapshot) => {
+    objects.set(snapshot.key, { id: snapshot.key, ...snapshot.val() });
+    scheduleEmit();
+  };
 
-      callback(objects);
-    },
-    (error) => {
-      reportError(error, { component: 'canvasService', action: 'subscribeToObjects' });
-      if (errorCallback) {
-        errorCallback(error);
-      }
+  const removeObject = (snapshot) => {
+    objects.delete(snapshot.key);
+    scheduleEmit();
+  };
+
+  // Every listener is cancelled on a permission error; report it once
+  const handleError = (error) => {
+    if (failed) return;
+    failed = true;
+    reportError(error, { component: 'canvasService', action: 'subscribeToObjects' });
+    if (errorCallback) {
+      errorCallback(error);
     }
-  );
+  };
+
+  const unsubscribers = [
+    onChildAdded(objectsRef, setObject, handleError),
+    onChildChanged(objectsRef, setObject, handleError),
+    onChildRemoved(objectsRef, removeObject, handleError),
+    // The value event comes after the initial child_added events (and also
+    // arrives for a canvas with no objects), so it marks the end of the first load
+    onValue(
+      objectsRef,
+      () => {
+        loaded = true;
+        emit();
+      },
+      handleError,
+      { onlyOnce: true }
+    ),
+    // Queued writes change what the canvas shows
+    subscribeToOfflineStatus(canvasId, scheduleEmit),
+  ];
+
+  loadCachedObjects(canvasId).then((cachedObjects) => {
+    if (!active || loaded || !cachedObjects) return;
+    cached = Object.entries(cachedObjects).map(([id, object]) => ({ ...object, id }));
+    emit();
+  });
 
   // Return unsubscribe function
   return () => {
-    off(objectsRef);
+    active = false;
+    unsubscribers.forEach((unsubscribe) => unsubscribe());
   };
 };
 
@@ -304,6 +464,7 @@ export const subscribeToObjects = (canvasId = DEFAULT_CANVAS_ID, callback, error
  * @param {string} userName - User display name
  * @param {number} arrivalTime - When cursor first appeared
  * @param {boolean} isActive - Whether user is actively dragging (shows cursor to others)
+ * @param {object|null} viewport - Visible canvas region ({x, y, width, height}), for followers
  * @returns {Promise<void>}
  */
 export const updateCursor = async (
@@ -314,7 +475,8 @@ export const updateCursor = async (
   y,
   userName,
   arrivalTime,
-  isActive = false
+  isActive = false,
+  viewport = null
 ) => {
   try {
     const cursorRef = getCursorRef(canvasId, sessionId);
@@ -334,6 +496,8 @@ export const updateCursor = async (
       timestamp: Date.now(),
       arrivalTime: arrivalTime || Date.now(),
       isActive,
+      // Firebase rejects undefined, so the viewport is only written when known
+      ...(viewport ? { viewport } : {}),
     });
   } catch (error) {
     reportError(error, { component: 'canvasService', action: 'updateCursor' });
@@ -512,6 +676,23 @@ export const updatePresenceHeartbeat = async (
   }
 };
 
+/**
+ * Share the part of the canvas this session is looking at (shown on collaborators' minimaps)
+ * @param {string} canvasId - Canvas ID
+ * @param {string} sessionId - Session ID
+ * @param {object} viewport - Visible region in canvas coordinates ({x, y, width, height})
+ * @returns {Promise<void>}
+ */
+export const updatePresenceViewport = async (canvasId = DEFAULT_CANVAS_ID, sessionId, viewport) => {
+  try {
+    const presenceRef = getPresenceSessionRef(canvasId, sessionId);
+    await update(presenceRef, { viewport });
+  } catch (error) {
+    reportError(error, { component: 'canvasService', action: 'updatePresenceViewport' });
+    // Don't throw - a missed viewport update only delays the minimap
+  }
+};
+
 /**
  * Remove a specific presence session
  * @param {string} canvasId - Canvas ID
@@ -583,6 +764,241 @@ export const cleanupStalePresence = async (canvasId = DEFAULT_CANVAS_ID) => {
   }
 };
 
+// ============================================================================
+// PRESENTER OPERATIONS
+// ============================================================================
+
+/**
+ * Start presenting: everyone on the canvas follows this session's viewport.
+ * Fails (permission denied) while someone else is presenting.
+ * @param {string} canvasId - Canvas ID
+ * @param {string} sessionId - Presenting session
+ * @param {string} userId - Presenting user's ID
+ * @param {string} userName - Presenting user's display name
+ * @returns {Promise<void>}
+ */
+export const startPresenting = async (
+  canvasId = DEFAULT_CANVAS_ID,
+  sessionId,
+  userId,
+  userName
+) => {
+  try {
+    const presenterRef = getPresenterRef(canvasId);
+
+    await set(presenterRef, {
+      sessionId,
+      userId,
+      userName: userName || '',
+      startedAt: Date.now(),
+    });
+
+    // The presentation ends if the presenter's tab closes or loses its connection.
+    // Registered once we are the presenter: the rules only let the presenter (or
+    // the owner) remove it, and a failed start must not end someone else's later
+    await onDisconnect(presenterRef).remove();
+  } catch (error) {
+    reportError(error, { component: 'canvasService', action: 'startPresenting' });
+    throw error;
+  }
+};
+
+/**
+ * Stop presenting
+ * @param {string} canvasId - Canvas ID
+ * @returns {Promise<void>}
+ */
+export const stopPresenting = async (canvasId = DEFAULT_CANVAS_ID) => {
+  try {
+    const presenterRef = getPresenterRef(canvasId);
+    await onDisconnect(presenterRef).cancel();
+    await remove(presenterRef);
+  } catch (error) {
+    reportError(error, { component: 'canvasService', action: 'stopPresenting' });
+    throw error;
+  }
+};
+
+/**
+ * Subscribe to the canvas's current presenter
+ * @param {string} canvasId - Canvas ID
+ * @param {Function} callback - Callback receiving the presenter ({sessionId, userId, userName, startedAt}) or null
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToPresenter = (canvasId = DEFAULT_CANVAS_ID, callback) => {
+  const presenterRef = getPresenterRef(canvasId);
+
+  onValue(
+    presenterRef,
+    (snapshot) => {
+      callback(snapshot.val() || null);
+    },
+    (error) => {
+      reportError(error, { component: 'canvasService', action: 'subscribeToPresenter' });
+    }
+  );
+
+  return () => {
+    off(presenterRef);
+  };
+};
+
+// ============================================================================
+// TEXT EDITING OPERATIONS
+// ============================================================================
+// Everyone editing a shape's text shares a session at textEdits/{shapeId}: the
+// base text it started from, the operations typed since (see textCrdt) and each
+// editor's caret. Carets go away when their tab disconnects; a session with no
+// carets left is stale and the next editor starts it over.
+
+/**
+ * Join the editing session for a shape's text, starting one from `richText` if
+ * nobody is editing it
+ * @param {string} canvasId - Canvas ID
+ * @param {string} shapeId - Shape whose text is edited
+ * @param {string} sessionId - Joining session
+ * @param {Object} caret - Initial caret ({userId, userName})
+ * @param {Object} richText - The shape's current rich text
+ * @returns {Promise<Object>} The session's base rich text
+ */
+export const joinTextEdit = async (
+  canvasId = DEFAULT_CANVAS_ID,
+  shapeId,
+  sessionId,
+  caret,
+  richText
+) => {
+  try {
+    const sessionRef = getTextEditRef(canvasId, shapeId);
+    // Transaction: two editors opening the text at once must share one base, so a
+    // new session is written together with our caret and the second one joins it
+    const { snapshot } = await runTransaction(sessionRef, (session) => {
+      // Someone is already editing: join their session as it is
+      if (session?.base && session.carets) return undefined;
+      const now = Date.now();
+      return {
+        base: { richText, createdAt: now },
+        carets: { [sessionId]: { ...caret, updatedAt: now } },
+      };
+    });
+    const { base } = snapshot.val();
+
+    const caretRef = getTextEditCaretRef(canvasId, shapeId, sessionId);
+    await onDisconnect(caretRef).remove();
+    await set(caretRef, { ...caret, updatedAt: Date.now() });
+
+    // The database drops empty arrays, so an empty text comes back without blocks
+    return normalizeRichText(base.richText) || { blocks: [] };
+  } catch (error) {
+    reportError(error, { component: 'canvasService', action: 'joinTextEdit' });
+    throw error;
+  }
+};
+
+/**
+ * Leave a text editing session; the last editor to leave removes it
+ * @param {string} canvasId - Canvas ID
+ * @param {string} shapeId - Shape whose text was edited
+ * @param {string} sessionId - Leaving session
+ * @returns {Promise<void>}
+ */
+export const leaveTextEdit = async (canvasId = DEFAULT_CANVAS_ID, shapeId, sessionId) => {
+  try {
+    const caretRef = getTextEditCaretRef(canvasId, shapeId, sessionId);
+    await onDisconnect(caretRef).cancel();
+
+    // Transaction: someone joining as we leave must keep the session they joined
+    await runTransaction(getTextEditRef(canvasId, shapeId), (session) => {
+      if (!session) return null;
+      const { [sessionId]: _left, ...carets } = session.carets || {};
+      if (Object.keys(carets).length === 0) return null;
+      return { ...session, carets };
+    });
+  } catch (error) {
+    reportError(error, { component: 'canvasService', action: 'leaveTextEdit' });
+    throw error;
+  }
+};
+
+/**
+ * Share text operations with the other editors
+ * @param {string} canvasId - Canvas ID
+ * @param {string} shapeId - Shape whose text is edited
+ * @param {string} sessionId - Session the operations come from
+ * @param {Array} ops - Operations (textCrdt TextOp)
+ * @returns {Promise<void>}
+ */
+export const pushTextOps = async (canvasId = DEFAULT_CANVAS_ID, shapeId, sessionId, ops) => {
+  try {
+    await set(push(getTextEditOpsRef(canvasId, shapeId)), {
+      sessionId,
+      ops,
+      createdAt: Date.now(),
+    });
+  } catch (error) {
+    reportError(error, { component: 'canvasService', action: 'pushTextOps' });
+    throw error;
+  }
+};
+
+/**
+ * Subscribe to a session's text operations: every batch so far, then each new one
+ * @param {string} canvasId - Canvas ID
+ * @param {string} shapeId - Shape whose text is edited
+ * @param {Function} callback - Callback receiving an array of operations
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToTextOps = (canvasId = DEFAULT_CANVAS_ID, shapeId, callback) =>
+  onChildAdded(
+    getTextEditOpsRef(canvasId, shapeId),
+    (snapshot) => {
+      callback(snapshot.val()?.ops || []);
+    },
+    (error) => {
+      reportError(error, { component: 'canvasService', action: 'subscribeToTextOps' });
+    }
+  );
+
+/**
+ * Update this session's caret in a text editing session
+ * @param {string} canvasId - Canvas ID
+ * @param {string} shapeId - Shape whose text is edited
+ * @param {string} sessionId - Session ID
+ * @param {Object} caret - {userId, userName, anchor, focus}: ids of the characters
+ *   before the selection's ends (null at the start of the text)
+ * @returns {Promise<void>}
+ */
+export const updateTextCaret = async (canvasId = DEFAULT_CANVAS_ID, shapeId, sessionId, caret) => {
+  try {
+    await set(getTextEditCaretRef(canvasId, shapeId, sessionId), {
+      ...caret,
+      updatedAt: Date.now(),
+    });
+  } catch (error) {
+    // Carets are cosmetic; a missed update is replaced by the next one
+    reportError(error, { component: 'canvasService', action: 'updateTextCaret' });
+  }
+};
+
+/**
+ * Subscribe to the carets in a text editing session
+ * @param {string} canvasId - Canvas ID
+ * @param {string} shapeId - Shape whose text is edited
+ * @param {Function} callback - Callback receiving an array of carets ({sessionId, userId, userName, anchor, focus})
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToTextCarets = (canvasId = DEFAULT_CANVAS_ID, shapeId, callback) =>
+  onValue(
+    getTextEditCaretsRef(canvasId, shapeId),
+    (snapshot) => {
+      const carets = snapshot.val() || {};
+      callback(Object.entries(carets).map(([sessionId, caret]) => ({ sessionId, ...caret })));
+    },
+    (error) => {
+      reportError(error, { component: 'canvasService', action: 'subscribeToTextCarets' });
+    }
+  );
+
 // ============================================================================
 // TEST/UTILITY FUNCTIONS
 // ============================================================================
@@ -672,11 +1088,15 @@ export const createCanvas = async (userId, canvasName, template = 'blank') => {
     if (template !== 'blank') {
       const templateShapes = getTemplateShapes(template, userId);
       if (templateShapes.length > 0) {
-        const objectsRef = getObjectsRef(canvasId);
-        for (const shape of templateShapes) {
-          const objectId = generateObjectId(userId);
+        // Template frames have local IDs that their children's frameId refers to
+        const objectIds = templateShapes.map(() => generateObjectId(userId));
+        const idMap = new Map(
+          templateShapes.map((shape, i) => [shape.id, objectIds[i]]).filter(([localId]) => localId)
+        );
+        for (const [i, shape] of templateShapes.entries()) {
+          const objectId = objectIds[i];
           await set(ref(realtimeDb, `canvases/${canvasId}/objects/${objectId}`), {
-            ...shape,
+            ...remapFrameId(shape, idMap),
             id: objectId,
             timestamp: now,
           });
@@ -694,6 +1114,7 @@ export const createCanvas = async (userId, canvasName, template = 'blank') => {
 
 /**
  * Get template shapes based on template type
+ * Frames carry a template-local `id` that createCanvas replaces with a real one
  * @param {string} template - Template type
  * @param {string} userId - User ID (for createdBy field)
  * @returns {Array} Array of shape objects
@@ -707,152 +1128,84 @@ const getTemplateShapes = (template, userId) => {
   };
 
   if (template === 'brainstorm') {
-    return [
-      // Ideas zone (Yellow)
-      {
-        ...baseShape,
-        type: 'rectangle',
-        x: 100,
-        y: 100,
-        width: 400,
-        height: 500,
-        color: 'rgba(255, 235, 59, 0.2)',
-        zIndex: Date.now(),
-      },
-      {
-        ...baseShape,
-        type: 'text',
-        x: 150,
-        y: 120,
-        width: 300,
-        height: 50,
-        text: '💡 Ideas',
-        fontSize: 24,
-        fontWeight: 'bold',
-        textColor: 'rgba(255, 235, 59, 1)',
-        zIndex: Date.now() + 1,
-      },
-      // Actions zone (Green)
-      {
-        ...baseShape,
-        type: 'rectangle',
-        x: 550,
-        y: 100,
-        width: 400,
-        height: 500,
-        color: 'rgba(76, 175, 80, 0.2)',
-        zIndex: Date.now() + 2,
-      },
+    // One frame per zone, each with its heading inside
+    const zone = (id, name, x, color, heading, zIndex) => [
       {
         ...baseShape,
-        type: 'text',
-        x: 600,
-        y: 120,
-        width: 300,
-        height: 50,
-        text: '⚡ Actions',
-        fontSize: 24,
-        fontWeight: 'bold',
-        textColor: 'rgba(76, 175, 80, 1)',
-        zIndex: Date.now() + 3,
-      },
-      // Questions zone (Blue)
-      {
-        ...baseShape,
-        type: 'rectangle',
-        x: 1000,
+        id,
+        type: 'frame',
+        name,
+        x,
         y: 100,
         width: 400,
         height: 500,
-        color: 'rgba(33, 150, 243, 0.2)',
-        zIndex: Date.now() + 4,
+        color: `rgba(${color}, 0.2)`,
+        zIndex,
       },
       {
         ...baseShape,
         type: 'text',
-        x: 1050,
+        frameId: id,
+        x: x + 50,
         y: 120,
         width: 300,
         height: 50,
-        text: '❓ Questions',
+        text: heading,
         fontSize: 24,
         fontWeight: 'bold',
-        textColor: 'rgba(33, 150, 243, 1)',
-        zIndex: Date.now() + 5,
+        textColor: `rgba(${color}, 1)`,
+        zIndex: zIndex + 1,
       },
     ];
-  } else if (template === 'wireframe') {
     return [
-      // Header
-      {
-        ...baseShape,
-        type: 'rectangle',
-        x: 100,
-        y: 100,
-        width: 1200,
-        height: 100,
-        color: 'rgba(200, 200, 200, 0.3)',
-        zIndex: Date.now(),
-      },
-      {
-        ...baseShape,
-        type: 'text',
-        x: 150,
-        y: 130,
-        width: 200,
-        height: 40,
-        text: 'Header Area',
-        fontSize: 20,
-        textColor: 'rgba(100, 100, 100, 1)',
-        zIndex: Date.now() + 1,
-      },
-      // Sidebar
-      {
-        ...baseShape,
-        type: 'rectangle',
-        x: 100,
-        y: 220,
-        width: 250,
-        height: 600,
-        color: 'rgba(200, 200, 200, 0.3)',
-        zIndex: Date.now() + 2,
-      },
-      {
-        ...baseShape,
-        type: 'text',
-        x: 150,
-        y: 250,
-        width: 150,
-        height: 40,
-        text: 'Sidebar',
-        fontSize: 18,
-        textColor: 'rgba(100, 100, 100, 1)',
-        zIndex: Date.now() + 3,
-      },
-      // Main Content
-      {
-        ...baseShape,
-        type: 'rectangle',
-        x: 370,
-        y: 220,
-        width: 930,
-        height: 600,
-        color: 'rgba(255, 255, 255, 0)',
-        zIndex: Date.now() + 4,
-      },
+      ...zone('ideas', 'Ideas', 100, '255, 235, 59', '💡 Ideas', Date.now()),
+      ...zone('actions', 'Actions', 550, '76, 175, 80', '⚡ Actions', Date.now() + 2),
+      ...zone('questions', 'Questions', 1000, '33, 150, 243', '❓ Questions', Date.now() + 4),
+    ];
+  } else if (template === 'wireframe') {
+    // One frame per layout area, each with a label inside
+    const area = (id, name, rect, color, label, zIndex) => [
+      { ...baseShape, id, type: 'frame', name, ...rect, color, zIndex },
       {
         ...baseShape,
         type: 'text',
-        x: 420,
-        y: 250,
-        width: 300,
+        frameId: id,
+        x: rect.x + 50,
+        y: rect.y + 30,
+        width: label.width,
         height: 40,
-        text: 'Main Content Area',
-        fontSize: 20,
+        text: label.text,
+        fontSize: label.fontSize,
         textColor: 'rgba(100, 100, 100, 1)',
-        zIndex: Date.now() + 5,
+        zIndex: zIndex + 1,
       },
     ];
+    return [
+      ...area(
+        'header',
+        'Header',
+        { x: 100, y: 100, width: 1200, height: 100 },
+        'rgba(200, 200, 200, 0.3)',
+        { text: 'Header Area', width: 200, fontSize: 20 },
+        Date.now()
+      ),
+      ...area(
+        'sidebar',
+        'Sidebar',
+        { x: 100, y: 220, width: 250, height: 600 },
+        'rgba(200, 200, 200, 0.3)',
+        { text: 'Sidebar', width: 150, fontSize: 18 },
+        Date.now() + 2
+      ),
+      ...area(
+        'main',
+        'Main Content',
+        { x: 370, y: 220, width: 930, height: 600 },
+        DEFAULT_FRAME_COLOR,
+        { text: 'Main Content Area', width: 300, fontSize: 20 },
+        Date.now() + 4
+      ),
+    ];
   }
 
   return []; // blank template
@@ -893,24 +1246,33 @@ export const getCanvasPermissions = async (canvasId) => {
 
 /**
  * Create a share token for a canvas link.
- * Tokens are role-scoped and grant only viewer/editor access when redeemed.
+ * Tokens are role-scoped and grant only viewer/commenter/editor access when redeemed.
  * @param {string} canvasId - Canvas ID
  * @param {string} userId - User creating the token
- * @param {string} role - Role granted by the token ('viewer' | 'editor')
+ * @param {string} role - Role granted by the token ('viewer' | 'commenter' | 'editor')
+ * @param {Object} [limits] - Optional limits
+ * @param {number} [limits.expiresAt] - Time after which the link stops working
+ * @param {number} [limits.maxUses] - Number of people who can join through the link
  * @returns {Promise<string>} Share token
  */
-export const createShareToken = async (canvasId, userId, role = 'viewer') => {
+export const createShareToken = async (canvasId, userId, role = 'viewer', limits = {}) => {
   if (!isShareRole(role)) {
-    throw new Error('Share links can only grant viewer or editor access');
+    throw new Error('Share links can only grant viewer, commenter or editor access');
+  }
+  const { expiresAt, maxUses } = limits;
+  if (expiresAt != null && !(Number.isFinite(expiresAt) && expiresAt > Date.now())) {
+    throw new Error('Share link expiry must be in the future');
+  }
+  if (maxUses != null && !(Number.isInteger(maxUses) && maxUses >= 1)) {
+    throw new Error('Share link usage limit must be a whole number of at least 1');
   }
 
   try {
     const token = generateShareToken();
-    await set(getCanvasShareTokenRef(canvasId, token), {
-      role,
-      createdBy: userId,
-      createdAt: Date.now(),
-    });
+    const data = { role, createdBy: userId, createdAt: Date.now(), uses: 0 };
+    if (expiresAt != null) data.expiresAt = expiresAt;
+    if (maxUses != null) data.maxUses = maxUses;
+    await set(getCanvasShareTokenRef(canvasId, token), data);
     return token;
   } catch (error) {
     reportError(error, { component: 'canvasService', action: 'createShareToken' });
@@ -918,9 +1280,44 @@ export const createShareToken = async (canvasId, userId, role = 'viewer') => {
   }
 };
 
+/**
+ * Get a canvas's share links, newest first, with their status (owner only)
+ * @param {string} canvasId - Canvas ID
+ * @returns {Promise<Array>} Links ({token, role, uses, maxUses, expiresAt, revoked, status, ...})
+ */
+export const getShareTokens = async (canvasId) => {
+  try {
+    const snapshot = await get(getCanvasShareTokensRef(canvasId));
+    return listShareLinks(snapshot.exists() ? snapshot.val() : {});
+  } catch (error) {
+    reportError(error, { component: 'canvasService', action: 'getShareTokens' });
+    throw error;
+  }
+};
+
+/**
+ * Revoke a share link. Nobody new can join through it; people who already
+ * did keep their access (remove them from the collaborators list).
+ * @param {string} canvasId - Canvas ID
+ * @param {string} token - Share token
+ * @returns {Promise<void>}
+ */
+export const revokeShareToken = async (canvasId, token) => {
+  try {
+    await update(getCanvasShareTokenRef(canvasId, token), {
+      revoked: true,
+      revokedAt: Date.now(),
+    });
+  } catch (error) {
+    reportError(error, { component: 'canvasService', action: 'revokeShareToken' });
+    throw error;
+  }
+};
+
 /**
  * Request access to a canvas via shared link
- * Grants access only when a valid role-scoped share token is supplied.
+ * Grants access only when a valid role-scoped share token is supplied, and
+ * counts the use against the token's limit.
  * @param {string} canvasId - Canvas ID
  * @param {string} userId - User ID requesting access
  * @param {string} userName - User display name
@@ -987,13 +1384,22 @@ export const requestCanvasAccess = async (canvasId, userId, userName, shareToken
       return { success: false, error: 'This share link has an invalid role' };
     }
 
-    // Write the canonical permission first. Rules validate this against the token.
-    await set(ref(realtimeDb, `canvases/${canvasId}/permissions/${userId}`), {
-      role,
-      userName,
-      grantedAt: Date.now(),
-      grantedVia: 'share-link',
-      token: shareToken,
+    const linkError = getShareLinkError(getShareLinkStatus(tokenData));
+    if (linkError) {
+      return { success: false, error: linkError };
+    }
+
+    // Write the canonical permission first, counting the use in the same write.
+    // Rules validate both against the token.
+    await update(getCanvasRef(canvasId), {
+      [`permissions/${userId}`]: {
+        role,
+        userName,
+        grantedAt: Date.now(),
+        grantedVia: 'share-link',
+        token: shareToken,
+      },
+      [`shareTokens/${shareToken}/uses`]: (tokenData.uses || 0) + 1,
     });
 
     // Permission now exists, so metadata can be read and the user's index can be updated.
@@ -1067,31 +1473,47 @@ export const duplicateCanvas = async (sourceCanvasId, userId, newName) => {
       const offsetX = 20; // Offset duplicated objects by 20px
       const offsetY = 20;
 
-      Object.entries(sourceData.objects).forEach(([oldId, obj]) => {
+      const validEntries = Object.entries(sourceData.objects).filter(([oldId, obj]) => {
         // Skip objects with invalid data
         if (!obj || typeof obj !== 'object') {
           console.warn(`Skipping invalid object during duplication: ${oldId}`);
-          return;
+          return false;
         }
+        return true;
+      });
+
+      // New IDs up front so connectors, group members and frame children follow the copies
+      const idMap = new Map(validEntries.map(([oldId]) => [oldId, generateObjectId(userId)]));
 
+      validEntries.forEach(([oldId, obj]) => {
         // Ensure x and y are valid numbers
         const objX = typeof obj.x === 'number' && !isNaN(obj.x) ? obj.x : 0;
         const objY = typeof obj.y === 'number' && !isNaN(obj.y) ? obj.y : 0;
 
-        // Generate new ID for duplicated object
-        const newId = generateObjectId(userId);
-
-        // Copy object with offset position
-        duplicatedObjects[newId] = {
-          ...obj,
-          id: newId,
-          x: objX + offsetX,
-          y: objY + offsetY,
-          createdBy: userId,
-          lockedBy: null,
-          lockedByUserName: null,
-          timestamp: timestamp,
-        };
+        const newId = idMap.get(oldId);
+
+        // Copy object with offset position (groups have no position of their own)
+        const copy = remapGroupId(
+          remapFrameId(
+            {
+              ...obj,
+              id: newId,
+              ...(!isGroup(obj) && { x: objX + offsetX, y: objY + offsetY }),
+              createdBy: userId,
+              lockedBy: null,
+              lockedByUserName: null,
+              timestamp: timestamp,
+            },
+            idMap
+          ),
+          idMap
+        );
+        duplicatedObjects[newId] = isConnector(obj)
+          ? remapConnectorBindings(
+              { ...copy, x2: (Number(obj.x2) || 0) + offsetX, y2: (Number(obj.y2) || 0) + offsetY },
+              idMap
+            )
+          : copy;
       });
     }
 
@@ -1119,6 +1541,104 @@ export const duplicateCanvas = async (sourceCanvasId, userId, newName) => {
   }
 };
 
+/**
+ * Export a canvas as a versioned JSON document (see utils/canvasDocument)
+ * @param {string} canvasId - Canvas ID
+ * @returns {Promise<Object>} Canvas document with metadata, settings and objects
+ */
+export const exportCanvasDocument = async (canvasId) => {
+  try {
+    const [metadataSnapshot, objectsSnapshot] = await Promise.all([
+      get(getCanvasMetadataRef(canvasId)),
+      get(getObjectsRef(canvasId)),
+    ]);
+    if (!metadataSnapshot.exists()) {
+      throw new Error('Canvas not found');
+    }
+
+    return createCanvasDocument({
+      metadata: metadataSnapshot.val(),
+      objects: objectsSnapshot.exists() ? objectsSnapshot.val() : {},
+    });
+  } catch (error) {
+    reportError(error, { component: 'canvasService', action: 'exportCanvasDocument' });
+    throw error;
+  }
+};
+
+/**
+ * Create a new canvas from a validated canvas document (see parseCanvasDocument).
+ * Every object gets a fresh ID so the same file can be imported more than once.
+ * @param {string} userId - Owner of the new canvas
+ * @param {Object} document - Current-version canvas document
+ * @param {string} [name] - Name override (defaults to the document's name)
+ * @returns {Promise<string>} New canvas ID
+ */
+export const importCanvasDocument = async (userId, document, name) => {
+  try {
+    const canvasId = generateCanvasId(userId);
+    const now = Date.now();
+    const canvasName = name || document.metadata.name;
+
+    // New IDs up front so connectors, group members and frame children follow the imported shapes
+    const newIds = document.objects.map(() => generateObjectId(userId));
+    const idMap = new Map(
+      document.objects.map((shape, i) => [shape.id, newIds[i]]).filter(([oldId]) => oldId)
+    );
+
+    const objects = {};
+    document.objects.forEach((shape, i) => {
+      const objectId = newIds[i];
+      const imported = remapGroupId(
+        remapFrameId(
+          {
+            ...shape,
+            id: objectId,
+            createdBy: userId,
+            lockedBy: null,
+            lockedByUserName: null,
+            timestamp: now,
+          },
+          idMap
+        ),
+        idMap
+      );
+      objects[objectId] = isConnector(shape) ? remapConnectorBindings(imported, idMap) : imported;
+    });
+
+    // Create in rule-compatible order: permission first, then metadata and objects.
+    await set(ref(realtimeDb, `canvases/${canvasId}/permissions/${userId}`), 'owner');
+    await set(getCanvasMetadataRef(canvasId), {
+      name: canvasName,
+      createdBy: userId,
+      createdAt: now,
+      lastModified: now,
+      template: document.metadata.template || 'blank',
+      settings: {
+        backgroundColor: document.settings.backgroundColor || '#1a1a1a',
+        gridVisible: document.settings.gridVisible === true,
+        infinite: document.settings.infinite === true,
+      },
+    });
+
+    if (Object.keys(objects).length > 0) {
+      await set(getObjectsRef(canvasId), objects);
+    }
+
+    await set(getUserCanvasRef(userId, canvasId), {
+      name: canvasName,
+      role: 'owner',
+      lastAccessed: now,
+      starred: false,
+    });
+
+    return canvasId;
+  } catch (error) {
+    reportError(error, { component: 'canvasService', action: 'importCanvasDocument' });
+    throw error;
+  }
+};
+
 /**
  * Update canvas metadata
  * @param {string} canvasId - Canvas ID
@@ -1265,7 +1785,7 @@ export const getUserCanvases = async (userId) => {
  * Add canvas permission for a user
  * @param {string} canvasId - Canvas ID
  * @param {string} userId - User ID to grant permission
- * @param {string} role - Role ('owner', 'editor', 'viewer')
+ * @param {string} role - Role ('owner', 'editor', 'commenter', 'viewer')
  * @param {string} canvasName - Canvas name (for user's canvas list)
  * @returns {Promise<void>}
  */
@@ -1303,7 +1823,7 @@ export const toggleCanvasStarred = async (canvasId, userId) => {
  * Get user's role for a specific canvas
  * @param {string} canvasId - Canvas ID
  * @param {string} userId - User ID
- * @returns {Promise<string|null>} User's role ('owner', 'editor', 'viewer') or null if no access
+ * @returns {Promise<string|null>} User's role ('owner', 'editor', 'commenter', 'viewer') or null if no access
  */
 export const getUserRole = async (canvasId, userId) => {
   try {
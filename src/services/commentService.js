@@ -0,0 +1,152 @@
+import { ref, set, update, remove, push, onValue, off } from 'firebase/database';
+import { realtimeDb } from './firebase';
+import { reportError } from '../utils/errorHandler';
+
+/**
+ * Comment Service
+ * Comment threads pinned to canvas positions and shapes
+ *
+ * Features:
+ * - Owners, editors and commenters can start threads and reply; viewers read
+ * - Messages record the members they @mention
+ * - Threads are resolved and reopened by anyone who can comment; their author
+ *   or the canvas owner can delete them
+ */
+
+const getCommentsRef = (canvasId) => ref(realtimeDb, `canvases/${canvasId}/comments`);
+const getThreadRef = (canvasId, threadId) =>
+  ref(realtimeDb, `canvases/${canvasId}/comments/${threadId}`);
+const getMessagesRef = (canvasId, threadId) =>
+  ref(realtimeDb, `canvases/${canvasId}/comments/${threadId}/messages`);
+
+const toMessage = ({ userId, userName, text, mentions = [] }) => {
+  const message = { userId, userName: userName || '', text, createdAt: Date.now() };
+  if (mentions.length > 0) message.mentions = mentions;
+  return message;
+};
+
+/**
+ * Start a comment thread
+ * @param {string} canvasId - Canvas ID
+ * @param {Object} anchor - Where it is pinned ({x, y, shapeId, offsetX, offsetY}; see commentUtils)
+ * @param {Object} message - First message ({userId, userName, text, mentions})
+ * @returns {Promise<string>} Thread ID
+ */
+export const createCommentThread = async (canvasId, anchor, message) => {
+  try {
+    const threadRef = push(getCommentsRef(canvasId));
+    const messageId = push(getMessagesRef(canvasId, threadRef.key)).key;
+    const first = toMessage(message);
+    const thread = {
+      x: anchor.x,
+      y: anchor.y,
+      shapeId: anchor.shapeId || null,
+      createdBy: first.userId,
+      createdByName: first.userName,
+      createdAt: first.createdAt,
+      resolved: false,
+      messages: { [messageId]: first },
+    };
+    if (anchor.shapeId) {
+      thread.offsetX = anchor.offsetX;
+      thread.offsetY = anchor.offsetY;
+    }
+    await set(threadRef, thread);
+    return threadRef.key;
+  } catch (error) {
+    reportError(error, { component: 'commentService', action: 'createCommentThread' });
+    throw error;
+  }
+};
+
+/**
+ * Reply to a comment thread
+ * @param {string} canvasId - Canvas ID
+ * @param {string} threadId - Thread ID
+ * @param {Object} message - Reply ({userId, userName, text, mentions})
+ * @returns {Promise<void>}
+ */
+export const replyToCommentThread = async (canvasId, threadId, message) => {
+  try {
+    await set(push(getMessagesRef(canvasId, threadId)), toMessage(message));
+  } catch (error) {
+    reportError(error, { component: 'commentService', action: 'replyToCommentThread' });
+    throw error;
+  }
+};
+
+/**
+ * Resolve or reopen a comment thread
+ * @param {string} canvasId - Canvas ID
+ * @param {string} threadId - Thread ID
+ * @param {boolean} resolved - Whether the thread is resolved
+ * @param {string} userId - Member resolving it
+ * @returns {Promise<void>}
+ */
+export const setCommentThreadResolved = async (canvasId, threadId, resolved, userId) => {
+  try {
+    await update(getThreadRef(canvasId, threadId), {
+      resolved,
+      resolvedBy: resolved ? userId : null,
+      resolvedAt: resolved ? Date.now() : null,
+    });
+  } catch (error) {
+    reportError(error, { component: 'commentService', action: 'setCommentThreadResolved' });
+    throw error;
+  }
+};
+
+/**
+ * Delete a comment thread with all its replies
+ * @param {string} canvasId - Canvas ID
+ * @param {string} threadId - Thread ID
+ * @returns {Promise<void>}
+ */
+export const deleteCommentThread = async (canvasId, threadId) => {
+  try {
+    await remove(getThreadRef(canvasId, threadId));
+  } catch (error) {
+    reportError(error, { component: 'commentService', action: 'deleteCommentThread' });
+    throw error;
+  }
+};
+
+/**
+ * Subscribe to a canvas's comment threads, most recently active first
+ * @param {string} canvasId - Canvas ID
+ * @param {Function} callback - Receives an array of threads, each with its
+ *   messages as an array (oldest first) and `lastActivityAt`
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToComments = (canvasId, callback) => {
+  const commentsRef = getCommentsRef(canvasId);
+
+  onValue(
+    commentsRef,
+    (snapshot) => {
+      const data = snapshot.val() || {};
+      const threads = Object.entries(data)
+        .map(([id, thread]) => {
+          const messages = Object.entries(thread.messages || {})
+            .map(([messageId, message]) => ({ id: messageId, ...message }))
+            .sort((a, b) => a.createdAt - b.createdAt);
+          const lastActivityAt = Math.max(
+            thread.createdAt || 0,
+            thread.resolvedAt || 0,
+            ...messages.map((message) => message.createdAt || 0)
+          );
+          return { ...thread, id, messages, lastActivityAt };
+        })
+        .sort((a, b) => b.lastActivityAt - a.lastActivityAt);
+      callback(threads);
+    },
+    (error) => {
+      reportError(error, { component: 'commentService', action: 'subscribeToComments' });
+      callback([]);
+    }
+  );
+
+  return () => {
+    off(commentsRef);
+  };
+};
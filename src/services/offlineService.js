@@ -0,0 +1,260 @@
+import { ref, get, update, onValue } from 'firebase/database';
+import { realtimeDb } from './firebase';
+import { reportError } from '../utils/errorHandler';
+import {
+  applyQueuedWrites,
+  getPathShapeId,
+  getPathValue,
+  resolveQueuedWrite,
+} from '../utils/offlineUtils';
+import {
+  saveCachedObjects,
+  loadQueuedWrites,
+  saveQueuedWrite,
+  deleteQueuedWrite,
+} from './offlineStore';
+
+/**
+ * Offline Service
+ * Keeps a canvas editable while the connection is down
+ *
+ * Features:
+ * - Shape writes made offline are queued (and kept in IndexedDB) instead of sent
+ * - Object subscribers see the queued writes applied right away
+ * - Reconnecting replays the queue in order; fields someone else changed in the
+ *   meantime keep their value, and the write counts as a conflict. A write the
+ *   server refuses (or that can't be read back) is dropped and counts as failed
+ * - The last objects seen are cached, so the canvas shows while it can't load
+ */
+
+const CACHE_SAVE_DELAY_MS = 2000;
+
+// canvasId -> sync state while the canvas is open
+const canvases = new Map();
+// canvasId -> status listeners (may subscribe before the canvas opens)
+const listeners = new Map();
+let lastCreatedAt = 0;
+
+const getStatus = (state) => ({
+  online: state ? state.online : true,
+  pendingCount: state ? state.writes.length : 0,
+  conflictCount: state ? state.conflictCount : 0,
+  failedCount: state ? state.failedCount : 0,
+});
+
+const notify = (canvasId) => {
+  const status = getStatus(canvases.get(canvasId));
+  listeners.get(canvasId)?.forEach((listener) => listener(status));
+};
+
+const getObjectsRef = (canvasId) => ref(realtimeDb, `canvases/${canvasId}/objects`);
+
+const readServerObjects = async (canvasId, shapeIds) => {
+  const snapshots = await Promise.all(
+    shapeIds.map((shapeId) => get(ref(realtimeDb, `canvases/${canvasId}/objects/${shapeId}`)))
+  );
+  const objects = {};
+  snapshots.forEach((snapshot, i) => {
+    if (snapshot.exists()) objects[shapeIds[i]] = snapshot.val();
+  });
+  return objects;
+};
+
+/**
+ * Start offline support for an open canvas: load its queued writes, follow the
+ * connection and replay the queue whenever it comes back
+ * @param {string} canvasId - Canvas ID
+ * @returns {Function} Stop function
+ */
+export function startOfflineSync(canvasId) {
+  if (!canvasId) return () => {};
+
+  const existing = canvases.get(canvasId);
+  if (existing) {
+    existing.users++;
+    return () => stopOfflineSync(canvasId);
+  }
+
+  const state = {
+    users: 1,
+    online: typeof navigator === 'undefined' || navigator.onLine !== false,
+    everConnected: false,
+    writes: [],
+    conflictCount: 0,
+    failedCount: 0,
+    replaying: false,
+    serverObjects: {},
+    cacheTimer: null,
+    unsubscribeConnection: null,
+  };
+  canvases.set(canvasId, state);
+
+  loadQueuedWrites(canvasId).then((writes) => {
+    if (canvases.get(canvasId) !== state || writes.length === 0) return;
+    const queued = new Set(state.writes.map((write) => write.id));
+    state.writes = [...writes.filter((write) => !queued.has(write.id)), ...state.writes];
+    notify(canvasId);
+    replayQueuedWrites(canvasId);
+  });
+
+  // The connection starts out down; until it first comes up, only the browser knows we're offline
+  state.unsubscribeConnection = onValue(ref(realtimeDb, '.info/connected'), (snapshot) => {
+    const connected = snapshot.val() === true;
+    if (connected) state.everConnected = true;
+    const online = connected || (!state.everConnected && state.online);
+    if (online === state.online) return;
+    state.online = online;
+    notify(canvasId);
+    replayQueuedWrites(canvasId);
+  });
+
+  return () => stopOfflineSync(canvasId);
+}
+
+const stopOfflineSync = (canvasId) => {
+  const state = canvases.get(canvasId);
+  if (!state || --state.users > 0) return;
+  state.unsubscribeConnection?.();
+  if (state.cacheTimer) {
+    clearTimeout(state.cacheTimer);
+    saveCachedObjects(canvasId, state.serverObjects);
+  }
+  canvases.delete(canvasId);
+  notify(canvasId);
+};
+
+/**
+ * Whether shape writes to a canvas should be queued: while it's offline, and until
+ * earlier queued writes are sent so everything reaches the server in order
+ * @param {string} canvasId - Canvas ID
+ * @returns {boolean}
+ */
+export const isQueueingWrites = (canvasId) => {
+  const state = canvases.get(canvasId);
+  return !!state && (!state.online || state.writes.length > 0);
+};
+
+/**
+ * Queue a shape write for when the canvas is back online
+ * @param {string} canvasId - Canvas ID
+ * @param {Object} paths - Values by path under the canvas's objects (null removes)
+ * @returns {Promise<void>}
+ */
+export const queueObjectWrite = async (canvasId, paths) => {
+  const state = canvases.get(canvasId);
+  if (!state) return;
+
+  const current = applyQueuedWrites(state.serverObjects, state.writes);
+  const createdAt = Math.max(Date.now(), lastCreatedAt + 1);
+  lastCreatedAt = createdAt;
+  const write = {
+    id: `${canvasId}_${createdAt}`,
+    canvasId,
+    paths,
+    base: Object.fromEntries(Object.keys(paths).map((path) => [path, getPathValue(current, path)])),
+    createdAt,
+  };
+  state.writes = [...state.writes, write];
+  notify(canvasId);
+  await saveQueuedWrite(write);
+  // Writes queued only to keep the order go out as soon as those before them have
+  replayQueuedWrites(canvasId);
+};
+
+/**
+ * Send a canvas's queued writes in order, skipping paths that conflict with
+ * changes made on the server since. Stops if the connection drops again.
+ * @param {string} canvasId - Canvas ID
+ * @returns {Promise<void>}
+ */
+export const replayQueuedWrites = async (canvasId) => {
+  const state = canvases.get(canvasId);
+  if (!state || state.replaying) return;
+  state.replaying = true;
+
+  try {
+    while (canvases.get(canvasId) === state && state.online && state.writes.length > 0) {
+      const [write] = state.writes;
+      try {
+        const shapeIds = [...new Set(Object.keys(write.paths).map(getPathShapeId))];
+        const server = await readServerObjects(canvasId, shapeIds);
+        const { paths, conflicts } = resolveQueuedWrite(write, server);
+        if (Object.keys(paths).length > 0) await update(getObjectsRef(canvasId), paths);
+        if (conflicts.length > 0) state.conflictCount++;
+      } catch (error) {
+        // Dropped again: keep the write for next time. Otherwise it can't be applied.
+        if (!state.online) break;
+        reportError(error, { component: 'offlineService', action: 'replayQueuedWrites' });
+        state.failedCount++;
+      }
+      state.writes = state.writes.filter((queued) => queued !== write);
+      await deleteQueuedWrite(write.id);
+      notify(canvasId);
+    }
+  } catch (error) {
+    reportError(error, { component: 'offlineService', action: 'replayQueuedWrites' });
+  } finally {
+    // Whatever went wrong, a later reconnect must be able to replay again
+    state.replaying = false;
+  }
+};
+
+/**
+ * Apply a canvas's queued writes to objects from the server (or the cache)
+ * @param {string} canvasId - Canvas ID
+ * @param {Array} objects - Objects as delivered by subscribeToObjects
+ * @returns {Array} Objects as they will be once the queue is sent
+ */
+export const applyQueuedObjectWrites = (canvasId, objects) => {
+  const state = canvases.get(canvasId);
+  if (!state || state.writes.length === 0) return objects;
+  const byId = Object.fromEntries(objects.map((object) => [object.id, object]));
+  return Object.values(applyQueuedWrites(byId, state.writes));
+};
+
+/**
+ * Remember the objects last received from the server: the base of queued writes,
+ * and (after a short delay) the offline cache
+ * @param {string} canvasId - Canvas ID
+ * @param {Array} objects - Objects from the server
+ */
+export const rememberServerObjects = (canvasId, objects) => {
+  const state = canvases.get(canvasId);
+  if (!state) return;
+  state.serverObjects = Object.fromEntries(objects.map((object) => [object.id, object]));
+  if (state.cacheTimer) return;
+  state.cacheTimer = setTimeout(() => {
+    state.cacheTimer = null;
+    saveCachedObjects(canvasId, state.serverObjects);
+  }, CACHE_SAVE_DELAY_MS);
+};
+
+/**
+ * Subscribe to a canvas's offline status
+ * @param {string} canvasId - Canvas ID
+ * @param {Function} callback - Receives { online, pendingCount, conflictCount, failedCount } now
+ *   and on changes
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToOfflineStatus = (canvasId, callback) => {
+  if (!listeners.has(canvasId)) listeners.set(canvasId, new Set());
+  listeners.get(canvasId).add(callback);
+  callback(getStatus(canvases.get(canvasId)));
+  return () => {
+    const canvasListeners = listeners.get(canvasId);
+    canvasListeners?.delete(callback);
+    if (canvasListeners?.size === 0) listeners.delete(canvasId);
+  };
+};
+
+/**
+ * Clear the counts of conflicting and failed offline writes once the user has seen them
+ * @param {string} canvasId - Canvas ID
+ */
+export const dismissOfflineConflicts = (canvasId) => {
+  const state = canvases.get(canvasId);
+  if (!state || (state.conflictCount === 0 && state.failedCount === 0)) return;
+  state.conflictCount = 0;
+  state.failedCount = 0;
+  notify(canvasId);
+};
@@ -0,0 +1,127 @@
+import { reportError } from '../utils/errorHandler';
+
+/**
+ * Offline Store
+ * IndexedDB persistence for offline editing: the last objects seen on each canvas
+ * and the shape writes waiting to be sent. Without IndexedDB (private browsing,
+ * tests) reads come back empty and writes are skipped.
+ *
+ * Stores:
+ * - objects - { canvasId, objects, savedAt }, keyed by canvas
+ * - writes  - queued writes (see offlineUtils), keyed by ID and indexed by canvas
+ */
+
+const DB_NAME = 'collabcanvas-offline';
+const DB_VERSION = 1;
+const OBJECTS_STORE = 'objects';
+const WRITES_STORE = 'writes';
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(OBJECTS_STORE, { keyPath: 'canvasId' });
+        db.createObjectStore(WRITES_STORE, { keyPath: 'id' }).createIndex('canvasId', 'canvasId');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      reportError(error, { component: 'offlineStore', action: 'openDatabase' });
+      return null;
+    });
+  }
+  return dbPromise;
+};
+
+// Run one request against a store; resolves with its result (or `fallback` without IndexedDB)
+const runRequest = async (storeName, mode, makeRequest, fallback = null) => {
+  const db = await openDatabase();
+  if (!db) return fallback;
+  return new Promise((resolve, reject) => {
+    const request = makeRequest(db.transaction(storeName, mode).objectStore(storeName));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Load the objects last cached for a canvas
+ * @param {string} canvasId - Canvas ID
+ * @returns {Promise<Object|null>} Objects keyed by shape ID, or null if none are cached
+ */
+export const loadCachedObjects = async (canvasId) => {
+  try {
+    const entry = await runRequest(OBJECTS_STORE, 'readonly', (store) => store.get(canvasId));
+    return entry?.objects || null;
+  } catch (error) {
+    reportError(error, { component: 'offlineStore', action: 'loadCachedObjects' });
+    return null;
+  }
+};
+
+/**
+ * Cache a canvas's objects for opening it offline
+ * @param {string} canvasId - Canvas ID
+ * @param {Object} objects - Objects keyed by shape ID
+ * @returns {Promise<void>}
+ */
+export const saveCachedObjects = async (canvasId, objects) => {
+  try {
+    await runRequest(OBJECTS_STORE, 'readwrite', (store) =>
+      store.put({ canvasId, objects, savedAt: Date.now() })
+    );
+  } catch (error) {
+    reportError(error, { component: 'offlineStore', action: 'saveCachedObjects' });
+  }
+};
+
+/**
+ * Load a canvas's queued writes, oldest first
+ * @param {string} canvasId - Canvas ID
+ * @returns {Promise<Array>} Queued writes
+ */
+export const loadQueuedWrites = async (canvasId) => {
+  try {
+    const writes = await runRequest(
+      WRITES_STORE,
+      'readonly',
+      (store) => store.index('canvasId').getAll(canvasId),
+      []
+    );
+    return [...writes].sort((a, b) => a.createdAt - b.createdAt);
+  } catch (error) {
+    reportError(error, { component: 'offlineStore', action: 'loadQueuedWrites' });
+    return [];
+  }
+};
+
+/**
+ * Persist a queued write
+ * @param {Object} write - Queued write
+ * @returns {Promise<void>}
+ */
+export const saveQueuedWrite = async (write) => {
+  try {
+    await runRequest(WRITES_STORE, 'readwrite', (store) => store.put(write));
+  } catch (error) {
+    reportError(error, { component: 'offlineStore', action: 'saveQueuedWrite' });
+  }
+};
+
+/**
+ * Forget a queued write once it has been replayed (or given up on)
+ * @param {string} writeId - Queued write ID
+ * @returns {Promise<void>}
+ */
+export const deleteQueuedWrite = async (writeId) => {
+  try {
+    await runRequest(WRITES_STORE, 'readwrite', (store) => store.delete(writeId));
+  } catch (error) {
+    reportError(error, { component: 'offlineStore', action: 'deleteQueuedWrite' });
+  }
+};
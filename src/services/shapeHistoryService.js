@@ -0,0 +1,122 @@
+import { ref, set, push, onValue, off, query, orderByChild, limitToLast } from 'firebase/database';
+import { auth, realtimeDb } from './firebase';
+import { reportError } from '../utils/errorHandler';
+import { mergeEditedFields } from '../utils/shapeHistoryUtils';
+
+/**
+ * Shape History Service
+ * Who changed each shape, and when
+ *
+ * Features:
+ * - Shape writes carry their author (see getEditAttribution)
+ * - Each create, restore, edit and delete is appended to the shape's history
+ * - Edits one user keeps making to a shape (a drag, typing) share one entry
+ * - Recording is best effort: a failed log write never fails the shape write
+ */
+
+// Edits by the same user this close together are merged into one entry
+const MERGE_WINDOW_MS = 60000;
+// Entries shown for a shape (the log itself keeps everything)
+const HISTORY_LIMIT = 50;
+
+// `${canvasId}/${shapeId}` -> the entry this client last wrote for the shape
+const recentEntries = new Map();
+
+const getShapeHistoryRef = (canvasId, shapeId) =>
+  ref(realtimeDb, `canvases/${canvasId}/shapeHistory/${shapeId}`);
+
+const getEditor = () => {
+  const user = auth.currentUser;
+  if (!user) return null;
+  return { userId: user.uid, userName: user.displayName || user.email || '' };
+};
+
+/**
+ * Attribution fields for a shape write by the signed-in user
+ * @returns {Object} {lastModifiedBy, lastModifiedByName, lastModifiedAt}, or {} when signed out
+ */
+export const getEditAttribution = () => {
+  const editor = getEditor();
+  if (!editor) return {};
+  return {
+    lastModifiedBy: editor.userId,
+    lastModifiedByName: editor.userName,
+    lastModifiedAt: Date.now(),
+  };
+};
+
+/**
+ * Append a change to a shape's history. Updates extend the user's previous
+ * entry for the shape if it was an update made within the merge window.
+ * @param {string} canvasId - Canvas ID
+ * @param {string} shapeId - Shape ID
+ * @param {'create'|'update'|'delete'|'restore'} action - What happened
+ * @param {string[]} [fields] - Fields edited (updates only)
+ */
+export const recordShapeChange = (canvasId, shapeId, action, fields = []) => {
+  const editor = getEditor();
+  if (!editor || !canvasId || !shapeId) return;
+
+  const key = `${canvasId}/${shapeId}`;
+  const now = Date.now();
+  const recent = recentEntries.get(key);
+  const merging =
+    action === 'update' &&
+    recent?.entry.action === 'update' &&
+    recent.entry.userId === editor.userId &&
+    now - recent.lastEditAt < MERGE_WINDOW_MS;
+
+  let entryRef;
+  let entry;
+  if (merging) {
+    recent.lastEditAt = now;
+    const merged = mergeEditedFields(recent.entry.fields, fields);
+    // Nothing new to say: most writes during a drag end here
+    if (merged.length === recent.entry.fields.length) return;
+    entryRef = recent.entryRef;
+    entry = { ...recent.entry, fields: merged };
+  } else {
+    entryRef = push(getShapeHistoryRef(canvasId, shapeId));
+    entry = { ...editor, action, createdAt: now };
+    if (action === 'update') entry.fields = fields;
+  }
+  recentEntries.set(key, { entryRef, entry, lastEditAt: now });
+
+  set(entryRef, entry).catch((error) => {
+    reportError(error, { component: 'shapeHistoryService', action: 'recordShapeChange' });
+  });
+};
+
+/**
+ * Subscribe to a shape's history, newest first
+ * @param {string} canvasId - Canvas ID
+ * @param {string} shapeId - Shape ID
+ * @param {Function} callback - Receives an array of entries ({id, userId, userName, action, fields, createdAt})
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToShapeHistory = (canvasId, shapeId, callback) => {
+  const historyQuery = query(
+    getShapeHistoryRef(canvasId, shapeId),
+    orderByChild('createdAt'),
+    limitToLast(HISTORY_LIMIT)
+  );
+
+  onValue(
+    historyQuery,
+    (snapshot) => {
+      const data = snapshot.val() || {};
+      const entries = Object.entries(data)
+        .map(([id, entry]) => ({ id, ...entry }))
+        .sort((a, b) => b.createdAt - a.createdAt);
+      callback(entries);
+    },
+    (error) => {
+      reportError(error, { component: 'shapeHistoryService', action: 'subscribeToShapeHistory' });
+      callback([]);
+    }
+  );
+
+  return () => {
+    off(historyQuery);
+  };
+};
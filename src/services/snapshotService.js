@@ -0,0 +1,229 @@
+import { ref, get, update, onValue, off } from 'firebase/database';
+import { realtimeDb } from './firebase';
+import { batchUpdateShapes, generateObjectId } from './canvasService';
+import { MAX_AUTO_SNAPSHOTS, MAX_SNAPSHOT_NAME_LENGTH } from '../utils/constants';
+import { reportError } from '../utils/errorHandler';
+import {
+  toSnapshotObjects,
+  diffSnapshotObjects,
+  getRestoreUpdates,
+  hashSnapshotObjects,
+} from '../utils/snapshotUtils';
+
+/**
+ * Snapshot Service
+ * Version history for a canvas: named and automatic snapshots of its objects
+ *
+ * Layout under `canvases/{canvasId}/snapshots`:
+ * - meta/{snapshotId}    - { name, createdBy, createdByName, createdAt, auto, shapeCount, hash }
+ * - objects/{snapshotId} - copy of `canvases/{canvasId}/objects` at that time
+ *
+ * Metadata and objects are kept apart so the history list loads without
+ * downloading every stored version of the canvas.
+ */
+
+const getSnapshotMetaRef = (canvasId) => ref(realtimeDb, `canvases/${canvasId}/snapshots/meta`);
+const getSnapshotObjectsRef = (canvasId, snapshotId) =>
+  ref(realtimeDb, `canvases/${canvasId}/snapshots/objects/${snapshotId}`);
+const getCanvasObjectsRef = (canvasId) => ref(realtimeDb, `canvases/${canvasId}/objects`);
+
+const readCurrentObjects = async (canvasId) => {
+  const snapshot = await get(getCanvasObjectsRef(canvasId));
+  return toSnapshotObjects(snapshot.exists() ? snapshot.val() : {});
+};
+
+const readSnapshotMeta = async (canvasId) => {
+  const snapshot = await get(getSnapshotMetaRef(canvasId));
+  if (!snapshot.exists()) return [];
+  return Object.entries(snapshot.val())
+    .map(([id, meta]) => ({ id, ...meta }))
+    .sort((a, b) => b.createdAt - a.createdAt);
+};
+
+/**
+ * Remove the oldest automatic snapshots beyond MAX_AUTO_SNAPSHOTS.
+ * Named (manual) versions are never pruned.
+ */
+const pruneAutoSnapshots = async (canvasId) => {
+  const autoSnapshots = (await readSnapshotMeta(canvasId)).filter((meta) => meta.auto);
+  const expired = autoSnapshots.slice(MAX_AUTO_SNAPSHOTS);
+  if (expired.length === 0) return;
+
+  const updates = {};
+  expired.forEach(({ id }) => {
+    updates[`meta/${id}`] = null;
+    updates[`objects/${id}`] = null;
+  });
+  await update(ref(realtimeDb, `canvases/${canvasId}/snapshots`), updates);
+};
+
+/**
+ * Save the current state of the canvas as a snapshot
+ * @param {string} canvasId - Canvas ID
+ * @param {Object} options - Snapshot options
+ * @param {string} options.userId - User saving the snapshot
+ * @param {string} options.userName - Display name shown in the history list
+ * @param {string} options.name - Version name (defaults to "Auto-save" for automatic snapshots)
+ * @param {boolean} options.auto - Whether this is a periodic snapshot (eligible for pruning)
+ * @param {Object} options.objects - Objects to store (defaults to the canvas as stored in the database)
+ * @returns {Promise<string>} Snapshot ID
+ */
+export const createSnapshot = async (
+  canvasId,
+  { userId, userName = '', name, auto = false, objects }
+) => {
+  try {
+    const snapshotObjects = objects || (await readCurrentObjects(canvasId));
+    const snapshotId = generateObjectId(userId);
+    const snapshotName = (name || '').trim() || (auto ? 'Auto-save' : 'Untitled version');
+
+    // Written in one update so the rules can check meta and objects together
+    await update(ref(realtimeDb, `canvases/${canvasId}/snapshots`), {
+      [`meta/${snapshotId}`]: {
+        name: snapshotName.slice(0, MAX_SNAPSHOT_NAME_LENGTH),
+        createdBy: userId,
+        createdByName: userName,
+        createdAt: Date.now(),
+        auto,
+        shapeCount: Object.keys(snapshotObjects).length,
+        hash: hashSnapshotObjects(snapshotObjects),
+      },
+      [`objects/${snapshotId}`]: snapshotObjects,
+    });
+
+    if (auto) {
+      await pruneAutoSnapshots(canvasId);
+    }
+
+    return snapshotId;
+  } catch (error) {
+    reportError(error, { component: 'snapshotService', action: 'createSnapshot' });
+    throw error;
+  }
+};
+
+/**
+ * Take an automatic snapshot if the canvas changed since the latest snapshot
+ * and that snapshot is older than `minInterval`. Safe to call from every client:
+ * whoever runs first saves the snapshot and the others see it as recent.
+ * @param {string} canvasId - Canvas ID
+ * @param {Object} options - { userId, userName, minInterval }
+ * @returns {Promise<string|null>} Snapshot ID, or null when skipped
+ */
+export const createAutoSnapshotIfDue = async (canvasId, { userId, userName, minInterval }) => {
+  try {
+    const [latest] = await readSnapshotMeta(canvasId);
+    if (latest && Date.now() - latest.createdAt < minInterval) return null;
+
+    const objects = await readCurrentObjects(canvasId);
+    if (Object.keys(objects).length === 0 && !latest) return null;
+    if (latest && latest.hash === hashSnapshotObjects(objects)) return null;
+
+    return await createSnapshot(canvasId, { userId, userName, auto: true, objects });
+  } catch (error) {
+    reportError(error, { component: 'snapshotService', action: 'createAutoSnapshotIfDue' });
+    return null;
+  }
+};
+
+/**
+ * Subscribe to the snapshot list of a canvas (newest first, metadata only)
+ * @param {string} canvasId - Canvas ID
+ * @param {Function} callback - Receives an array of snapshot metadata with `id`
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToSnapshots = (canvasId, callback) => {
+  const metaRef = getSnapshotMetaRef(canvasId);
+
+  onValue(
+    metaRef,
+    (snapshot) => {
+      const data = snapshot.val() || {};
+      const snapshots = Object.entries(data)
+        .map(([id, meta]) => ({ id, ...meta }))
+        .sort((a, b) => b.createdAt - a.createdAt);
+      callback(snapshots);
+    },
+    (error) => {
+      reportError(error, { component: 'snapshotService', action: 'subscribeToSnapshots' });
+      callback([]);
+    }
+  );
+
+  return () => {
+    off(metaRef);
+  };
+};
+
+/**
+ * Compare a snapshot with the live canvas
+ * @param {string} canvasId - Canvas ID
+ * @param {string} snapshotId - Snapshot ID
+ * @returns {Promise<{added: string[], removed: string[], changed: string[]}>}
+ *   Shapes added, removed and changed on the canvas since the snapshot was taken
+ */
+export const getSnapshotDiff = async (canvasId, snapshotId) => {
+  try {
+    const [snapshot, current] = await Promise.all([
+      get(getSnapshotObjectsRef(canvasId, snapshotId)),
+      readCurrentObjects(canvasId),
+    ]);
+    return diffSnapshotObjects(toSnapshotObjects(snapshot.val()), current);
+  } catch (error) {
+    reportError(error, { component: 'snapshotService', action: 'getSnapshotDiff' });
+    throw error;
+  }
+};
+
+/**
+ * Restore the canvas to a snapshot.
+ * The current state is saved as an automatic "Before restore" snapshot first, so a
+ * restore can itself be reverted from the history list.
+ * @param {string} canvasId - Canvas ID
+ * @param {Object} snapshot - Snapshot metadata (`id` and `name`)
+ * @param {Object} user - { userId, userName }
+ * @returns {Promise<void>}
+ */
+export const restoreSnapshot = async (canvasId, snapshot, { userId, userName }) => {
+  try {
+    const [snapshotData, current] = await Promise.all([
+      get(getSnapshotObjectsRef(canvasId, snapshot.id)),
+      readCurrentObjects(canvasId),
+    ]);
+    if (!snapshotData.exists() && snapshot.shapeCount > 0) {
+      throw new Error('Snapshot data not found');
+    }
+
+    await createSnapshot(canvasId, {
+      userId,
+      userName,
+      name: `Before restoring "${snapshot.name}"`,
+      auto: true,
+      objects: current,
+    });
+
+    const target = toSnapshotObjects(snapshotData.val());
+    await batchUpdateShapes(canvasId, getRestoreUpdates(current, target));
+  } catch (error) {
+    reportError(error, { component: 'snapshotService', action: 'restoreSnapshot' });
+    throw error;
+  }
+};
+
+/**
+ * Delete a snapshot (metadata and stored objects)
+ * @param {string} canvasId - Canvas ID
+ * @param {string} snapshotId - Snapshot ID
+ * @returns {Promise<void>}
+ */
+export const deleteSnapshot = async (canvasId, snapshotId) => {
+  try {
+    await update(ref(realtimeDb, `canvases/${canvasId}/snapshots`), {
+      [`meta/${snapshotId}`]: null,
+      [`objects/${snapshotId}`]: null,
+    });
+  } catch (error) {
+    reportError(error, { component: 'snapshotService', action: 'deleteSnapshot' });
+    throw error;
+  }
+};
@@ -10,6 +10,13 @@ import {
   isPointInRect,
   constrainRectangle,
   constrainCircle,
+  getViewportForRegion,
+  centerViewportOn,
+  getVisibleRegion,
+  getCanvasSize,
+  clampToCanvas,
+  clampPanOffset,
+  getGridLines,
 } from '../utils/canvasUtils';
 
 describe('canvasUtils', () => {
@@ -163,4 +170,82 @@ describe('canvasUtils', () => {
       expect(result.y - result.radius).toBeGreaterThanOrEqual(0);
     });
   });
+
+  describe('getViewportForRegion', () => {
+    it('fits the region with padding and centers it', () => {
+      const result = getViewportForRegion({ x: 0, y: 0, width: 1000, height: 1000 }, 800, 600, {
+        padding: 50,
+      });
+      expect(result.zoom).toBe(0.5);
+      expect(result.offsetX).toBe(-300);
+      expect(result.offsetY).toBe(-100);
+    });
+
+    it('clamps the zoom', () => {
+      const region = { x: 0, y: 0, width: 10, height: 10 };
+      expect(getViewportForRegion(region, 800, 600, { maxZoom: 2 }).zoom).toBe(2);
+      expect(getViewportForRegion({ ...region, width: 1e6 }, 800, 600, { minZoom: 0.1 }).zoom).toBe(
+        0.1
+      );
+    });
+  });
+
+  describe('centerViewportOn / getVisibleRegion', () => {
+    it('round-trips the center of the view', () => {
+      const offset = centerViewportOn({ x: 1000, y: 500 }, 2, 800, 600);
+      const region = getVisibleRegion({ ...offset, zoom: 2 }, 800, 600);
+      expect(region).toEqual({ x: 800, y: 350, width: 400, height: 300 });
+    });
+  });
+
+  describe('infinite canvas', () => {
+    const { width, height } = getCanvasSize(true);
+
+    it('has no size limit', () => {
+      expect(getCanvasSize()).toEqual({ width: 5000, height: 5000 });
+      expect(width).toBe(Infinity);
+      expect(clampToCanvas(-300, width)).toBe(-300);
+      expect(clampToCanvas(-300, 5000)).toBe(0);
+    });
+
+    it('leaves positions and pan offsets unconstrained', () => {
+      expect(constrainRectangle(-900, 9000, 200, 150, width, height)).toEqual({
+        x: -900,
+        y: 9000,
+        width: 200,
+        height: 150,
+      });
+      expect(constrainCircle(-20, -20, 50, width, height)).toEqual({ x: -20, y: -20, radius: 50 });
+      expect(clampPanOffset(-50000, 80000, 1, 800, 600, width, height)).toEqual({
+        offsetX: -50000,
+        offsetY: 80000,
+      });
+    });
+  });
+
+  describe('getGridLines', () => {
+    it('draws lines across the visible region at any offset', () => {
+      const grid = getGridLines(
+        { x: -130, y: 9990, width: 200, height: 100 },
+        50,
+        Infinity,
+        Infinity
+      );
+      expect(grid.vertical).toEqual([-100, -50, 0, 50]);
+      expect(grid.horizontal).toEqual([10000, 10050]);
+      expect(grid).toMatchObject({ minX: -130, maxX: 70, minY: 9990, maxY: 10090 });
+    });
+
+    it('stays on the board when it is bounded', () => {
+      const grid = getGridLines({ x: -100, y: -100, width: 300, height: 300 }, 100, 5000, 5000);
+      expect(grid.vertical).toEqual([0, 100, 200]);
+      expect(grid).toMatchObject({ minX: 0, minY: 0 });
+    });
+
+    it('spaces lines further apart when zoomed far out', () => {
+      const grid = getGridLines({ x: 0, y: 0, width: 100000, height: 100 }, 50, Infinity, Infinity);
+      expect(grid.vertical.length).toBeLessThanOrEqual(201);
+      expect(grid.vertical[1] - grid.vertical[0]).toBe(1250);
+    });
+  });
 });
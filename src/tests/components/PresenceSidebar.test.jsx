@@ -0,0 +1,60 @@
+/**
+ * @vitest-environment happy-dom
+ */
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import PresenceSidebar from '../../components/PresenceSidebar';
+
+const onlineUsers = [
+  { sessionId: 's1', userId: 'u1', userName: 'Ada', isActive: true },
+  { sessionId: 's2', userId: 'u2', userName: 'Grace', isActive: true },
+];
+
+function renderSidebar(overrides = {}) {
+  return render(<PresenceSidebar onlineUsers={onlineUsers} currentSessionId="s1" {...overrides} />);
+}
+
+describe('PresenceSidebar', () => {
+  it('follows other users when clicked, but not yourself', () => {
+    const onFollowUser = vi.fn();
+    renderSidebar({ onFollowUser });
+
+    fireEvent.click(screen.getByRole('button', { name: /grace/i }));
+    expect(onFollowUser).toHaveBeenCalledWith('s2');
+    expect(screen.queryByRole('button', { name: /ada/i })).toBeNull();
+  });
+
+  it('marks the followed user', () => {
+    renderSidebar({ followedSessionId: 's2' });
+    const grace = screen.getByRole('button', { name: /grace/i });
+    expect(grace.getAttribute('aria-pressed')).toBe('true');
+    expect(grace.textContent).toContain('Following');
+  });
+
+  it('starts and stops presenting', () => {
+    const onStartPresenting = vi.fn();
+    const onStopPresenting = vi.fn();
+    const { rerender } = renderSidebar({ onStartPresenting, onStopPresenting });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Present to everyone' }));
+    expect(onStartPresenting).toHaveBeenCalledOnce();
+
+    rerender(
+      <PresenceSidebar
+        onlineUsers={onlineUsers}
+        currentSessionId="s1"
+        presenter={{ sessionId: 's1', userName: 'Ada' }}
+        isPresenting
+        onStopPresenting={onStopPresenting}
+      />
+    );
+    fireEvent.click(screen.getByRole('button', { name: 'Stop presenting' }));
+    expect(onStopPresenting).toHaveBeenCalledOnce();
+  });
+
+  it("can't start presenting while someone else presents", () => {
+    renderSidebar({ presenter: { sessionId: 's2', userName: 'Grace' } });
+    expect(screen.getByRole('button', { name: 'Present to everyone' }).disabled).toBe(true);
+    expect(screen.getByText('Presenting')).toBeTruthy();
+  });
+});
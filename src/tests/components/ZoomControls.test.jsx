@@ -87,4 +87,33 @@ describe('ZoomControls', () => {
     fireEvent.click(screen.getByRole('button', { name: /fit canvas/i }));
     expect(onFitCanvas).toHaveBeenCalledOnce();
   });
+
+  it('zooms to content, and to the selection only when there is one', () => {
+    const onZoomToFit = vi.fn();
+    const onZoomToSelection = vi.fn();
+    const { rerender } = renderZoom({ onZoomToFit, onZoomToSelection });
+    fireEvent.click(screen.getByRole('button', { name: /fit content/i }));
+    expect(onZoomToFit).toHaveBeenCalledOnce();
+    expect(screen.getByRole('button', { name: /zoom to selection/i }).disabled).toBe(true);
+
+    rerender(
+      <ZoomControls
+        {...defaultProps}
+        onZoomToFit={onZoomToFit}
+        onZoomToSelection={onZoomToSelection}
+        hasSelection
+      />
+    );
+    fireEvent.click(screen.getByRole('button', { name: /zoom to selection/i }));
+    expect(onZoomToSelection).toHaveBeenCalledOnce();
+  });
+
+  it('toggles the minimap', () => {
+    const onToggleMinimap = vi.fn();
+    renderZoom({ onToggleMinimap, isMinimapOpen: true });
+    const button = screen.getByRole('button', { name: /minimap/i });
+    expect(button.getAttribute('aria-pressed')).toBe('true');
+    fireEvent.click(button);
+    expect(onToggleMinimap).toHaveBeenCalledOnce();
+  });
 });
@@ -1,148 +1,361 @@
 /**
- * @vitest-environment node
- *
- * Tests useHistory hook logic by simulating its state machine.
- * Uses node environment because the hook's core logic (undo/redo stacks)
- * is pure state management that doesn't require DOM.
+ * @vitest-environment happy-dom
  */
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { set, update, remove } from 'firebase/database';
+import { useHistory } from '../../hooks/useHistory';
+import { MAX_HISTORY_SIZE } from '../../utils/constants';
+
+// Firebase mocks are set up in setup.js
+
+const shapes = [
+  { id: 's1', type: 'rectangle', x: 10, y: 20, width: 50, height: 50, name: 'Box' },
+  { id: 's2', type: 'circle', x: 100, y: 100, radius: 30 },
+];
+
+function renderHistory(initialShapes = shapes, options = {}) {
+  return renderHook(({ s }) => useHistory('canvas1', s, { userId: 'userA', ...options }), {
+    initialProps: { s: initialShapes },
+  });
+}
 
 describe('useHistory', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
   it('exports useHistory as named and default export', async () => {
     const mod = await import('../../hooks/useHistory');
     expect(typeof mod.useHistory).toBe('function');
     expect(typeof mod.default).toBe('function');
   });
 
-  // Simulate the undo/redo state machine (mirrors the hook's algorithm exactly)
-  function createHistoryMachine() {
-    const MAX = 20;
-    let undoStack = [];
-    let redoStack = [];
-    let isProcessing = false;
-
-    return {
-      recordAction(action) {
-        if (isProcessing) return;
-        const newStack = [...undoStack, { ...action, timestamp: Date.now() }];
-        if (newStack.length > MAX) newStack.shift();
-        undoStack = newStack;
-        redoStack = [];
-      },
-      popUndo() {
-        if (undoStack.length === 0) return null;
-        isProcessing = true;
-        const action = undoStack[undoStack.length - 1];
-        undoStack = undoStack.slice(0, -1);
-        redoStack = [...redoStack, action];
-        isProcessing = false;
-        return action;
-      },
-      popRedo() {
-        if (redoStack.length === 0) return null;
-        isProcessing = true;
-        const action = redoStack[redoStack.length - 1];
-        redoStack = redoStack.slice(0, -1);
-        undoStack = [...undoStack, action];
-        isProcessing = false;
-        return action;
-      },
-      clearHistory() {
-        undoStack = [];
-        redoStack = [];
-      },
-      get canUndo() {
-        return undoStack.length > 0;
-      },
-      get canRedo() {
-        return redoStack.length > 0;
-      },
-    };
-  }
-
   it('starts with empty stacks', () => {
-    const h = createHistoryMachine();
-    expect(h.canUndo).toBe(false);
-    expect(h.canRedo).toBe(false);
+    const { result } = renderHistory();
+    expect(result.current.canUndo).toBe(false);
+    expect(result.current.canRedo).toBe(false);
   });
 
   it('records actions to undo stack', () => {
-    const h = createHistoryMachine();
-    h.recordAction({ type: 'create', shapeId: 's1' });
-    expect(h.canUndo).toBe(true);
-    expect(h.canRedo).toBe(false);
+    const { result } = renderHistory();
+    act(() => result.current.recordAction({ type: 'create', shapeId: 's1' }));
+    expect(result.current.canUndo).toBe(true);
+    expect(result.current.canRedo).toBe(false);
+  });
+
+  it('ignores null actions', () => {
+    const { result } = renderHistory();
+    act(() => result.current.recordAction(null));
+    expect(result.current.canUndo).toBe(false);
   });
 
   it('popUndo returns last action and enables redo', () => {
-    const h = createHistoryMachine();
-    h.recordAction({ type: 'create', shapeId: 's1' });
-    const action = h.popUndo();
+    const { result } = renderHistory();
+    act(() => result.current.recordAction({ type: 'create', shapeId: 's1' }));
+    let action;
+    act(() => {
+      action = result.current.popUndo();
+    });
     expect(action.shapeId).toBe('s1');
     expect(action.type).toBe('create');
-    expect(h.canUndo).toBe(false);
-    expect(h.canRedo).toBe(true);
+    expect(result.current.canUndo).toBe(false);
+    expect(result.current.canRedo).toBe(true);
   });
 
   it('popRedo returns last undone action', () => {
-    const h = createHistoryMachine();
-    h.recordAction({ type: 'create', shapeId: 's1' });
-    h.popUndo();
-    const action = h.popRedo();
+    const { result } = renderHistory();
+    act(() => result.current.recordAction({ type: 'create', shapeId: 's1' }));
+    act(() => {
+      result.current.popUndo();
+    });
+    let action;
+    act(() => {
+      action = result.current.popRedo();
+    });
     expect(action.shapeId).toBe('s1');
-    expect(h.canUndo).toBe(true);
-    expect(h.canRedo).toBe(false);
+    expect(result.current.canUndo).toBe(true);
+    expect(result.current.canRedo).toBe(false);
   });
 
-  it('popUndo returns null when empty', () => {
-    const h = createHistoryMachine();
-    expect(h.popUndo()).toBeNull();
+  it('popUndo and popRedo return null when empty', () => {
+    const { result } = renderHistory();
+    expect(result.current.popUndo()).toBeNull();
+    expect(result.current.popRedo()).toBeNull();
   });
 
-  it('popRedo returns null when empty', () => {
-    const h = createHistoryMachine();
-    expect(h.popRedo()).toBeNull();
+  it('new action clears redo stack', () => {
+    const { result } = renderHistory();
+    act(() => result.current.recordAction({ type: 'create', shapeId: 's1' }));
+    act(() => {
+      result.current.popUndo();
+    });
+    expect(result.current.canRedo).toBe(true);
+    act(() => result.current.recordAction({ type: 'create', shapeId: 's2' }));
+    expect(result.current.canRedo).toBe(false);
   });
 
-  it('new action clears redo stack', () => {
-    const h = createHistoryMachine();
-    h.recordAction({ type: 'create', shapeId: 's1' });
-    h.popUndo();
-    expect(h.canRedo).toBe(true);
-    h.recordAction({ type: 'create', shapeId: 's2' });
-    expect(h.canRedo).toBe(false);
-  });
-
-  it('limits undo stack to 20 actions', () => {
-    const h = createHistoryMachine();
-    for (let i = 0; i < 25; i++) {
-      h.recordAction({ type: 'create', shapeId: `s${i}` });
-    }
+  it(`limits undo stack to ${MAX_HISTORY_SIZE} actions`, () => {
+    const { result } = renderHistory();
+    act(() => {
+      for (let i = 0; i < MAX_HISTORY_SIZE + 5; i++) {
+        result.current.recordAction({ type: 'create', shapeId: `s${i}` });
+      }
+    });
     let count = 0;
-    while (h.canUndo) {
-      h.popUndo();
-      count++;
-    }
-    expect(count).toBe(20);
+    act(() => {
+      while (result.current.popUndo()) count++;
+    });
+    expect(count).toBe(MAX_HISTORY_SIZE);
   });
 
   it('clearHistory empties both stacks', () => {
-    const h = createHistoryMachine();
-    h.recordAction({ type: 'create', shapeId: 's1' });
-    h.recordAction({ type: 'create', shapeId: 's2' });
-    h.popUndo();
-    expect(h.canUndo).toBe(true);
-    expect(h.canRedo).toBe(true);
-    h.clearHistory();
-    expect(h.canUndo).toBe(false);
-    expect(h.canRedo).toBe(false);
+    const { result } = renderHistory();
+    act(() => {
+      result.current.recordAction({ type: 'create', shapeId: 's1' });
+      result.current.recordAction({ type: 'create', shapeId: 's2' });
+    });
+    act(() => {
+      result.current.popUndo();
+    });
+    expect(result.current.canUndo).toBe(true);
+    expect(result.current.canRedo).toBe(true);
+    act(() => result.current.clearHistory());
+    expect(result.current.canUndo).toBe(false);
+    expect(result.current.canRedo).toBe(false);
   });
 
   it('records action with timestamp', () => {
-    const h = createHistoryMachine();
+    const { result } = renderHistory();
     const before = Date.now();
-    h.recordAction({ type: 'create', shapeId: 's1' });
-    const action = h.popUndo();
+    act(() => result.current.recordAction({ type: 'create', shapeId: 's1' }));
+    let action;
+    act(() => {
+      action = result.current.popUndo();
+    });
     expect(action.timestamp).toBeGreaterThanOrEqual(before);
     expect(action.timestamp).toBeLessThanOrEqual(Date.now());
   });
+
+  describe('operation-based updates', () => {
+    it('updateShapeWithHistory writes the update and records before/after', async () => {
+      const { result } = renderHistory();
+      await act(() => result.current.updateShapeWithHistory('s1', { name: 'Header' }));
+      expect(update).toHaveBeenCalledWith(expect.anything(), { name: 'Header' });
+      expect(result.current.canUndo).toBe(true);
+
+      let action;
+      act(() => {
+        action = result.current.popUndo();
+      });
+      expect(action.changes).toEqual([
+        { shapeId: 's1', before: { name: 'Box' }, after: { name: 'Header' } },
+      ]);
+    });
+
+    it('does not record updates that change nothing', async () => {
+      const { result } = renderHistory();
+      await act(() => result.current.updateShapeWithHistory('s1', { x: 10 }));
+      expect(result.current.canUndo).toBe(false);
+    });
+
+    it('uses explicit previous values when local state has already moved', async () => {
+      const moved = [{ ...shapes[0], x: 300, y: 400 }, shapes[1]];
+      const { result } = renderHistory(moved);
+      await act(() =>
+        result.current.updateShapeWithHistory('s1', { x: 300, y: 400 }, { x: 10, y: 20 })
+      );
+      let action;
+      act(() => {
+        action = result.current.popUndo();
+      });
+      expect(action.changes[0].before).toEqual({ x: 10, y: 20 });
+    });
+
+    it('groups a multi-shape batch update into one undo step', async () => {
+      const { result, rerender } = renderHistory();
+      await act(() =>
+        result.current.batchUpdateShapesWithHistory({
+          s1: { x: 60, y: 70 },
+          s2: { x: 150, y: 150 },
+        })
+      );
+      rerender({
+        s: [
+          { ...shapes[0], x: 60, y: 70 },
+          { ...shapes[1], x: 150, y: 150 },
+        ],
+      });
+
+      update.mockClear();
+      await act(() => result.current.undo());
+
+      expect(update).toHaveBeenCalledTimes(1);
+      expect(update).toHaveBeenCalledWith(expect.anything(), {
+        's1/x': 10,
+        's1/y': 20,
+        's2/x': 100,
+        's2/y': 100,
+      });
+      expect(result.current.canUndo).toBe(false);
+      expect(result.current.canRedo).toBe(true);
+    });
+
+    it('redo re-applies the "after" values', async () => {
+      const { result, rerender } = renderHistory();
+      await act(() => result.current.updateShapeWithHistory('s2', { rotation: 45 }));
+      rerender({ s: [shapes[0], { ...shapes[1], rotation: 45 }] });
+      await act(() => result.current.undo());
+      rerender({ s: shapes });
+
+      update.mockClear();
+      await act(() => result.current.redo());
+      expect(update).toHaveBeenCalledWith(expect.anything(), { 's2/rotation': 45 });
+    });
+
+    it('fields missing before the update are removed on undo', async () => {
+      const { result, rerender } = renderHistory();
+      await act(() => result.current.updateShapeWithHistory('s2', { name: 'Sun' }));
+      rerender({ s: [shapes[0], { ...shapes[1], name: 'Sun' }] });
+      update.mockClear();
+      await act(() => result.current.undo());
+      expect(update).toHaveBeenCalledWith(expect.anything(), { 's2/name': null });
+    });
+  });
+
+  describe('create/delete', () => {
+    it('undoing a create deletes the shape; redo restores it under the same ID', async () => {
+      const shapeData = { type: 'rectangle', x: 0, y: 0, width: 10, height: 10 };
+      // Live shape as createShape writes it, with its defaults filled in
+      const created = {
+        ...shapeData,
+        id: 'new1',
+        name: 'Rectangle 1',
+        visible: true,
+        lockedBy: null,
+        lockedByUserName: null,
+        timestamp: 1000,
+      };
+      const { result, rerender } = renderHistory([...shapes, created]);
+      act(() => result.current.recordAction({ type: 'create', shapeId: 'new1', shapeData }));
+
+      await act(() => result.current.undo());
+      expect(remove).toHaveBeenCalledTimes(1);
+
+      rerender({ s: shapes });
+
+      await act(() => result.current.redo());
+      expect(set).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({ ...shapeData, id: 'new1', lockedBy: null })
+      );
+    });
+
+    it('undoing a batch of deletes restores every shape', async () => {
+      const { result } = renderHistory([]);
+      act(() =>
+        result.current.recordAction({
+          type: 'batch',
+          actions: shapes.map((s) => ({ type: 'delete', shapeId: s.id, shapeData: s })),
+        })
+      );
+
+      await act(() => result.current.undo());
+      expect(set).toHaveBeenCalledTimes(2);
+      expect(result.current.canUndo).toBe(false);
+    });
+  });
+
+  describe('collaboration conflicts', () => {
+    it('skips the undo when another user changed the same field', async () => {
+      const onConflict = vi.fn();
+      const { result, rerender } = renderHistory(shapes, { onConflict });
+      await act(() => result.current.updateShapeWithHistory('s1', { x: 60 }));
+
+      // User B moves the shape afterwards
+      rerender({ s: [{ ...shapes[0], x: 200 }, shapes[1]] });
+      update.mockClear();
+      await act(() => result.current.undo());
+
+      expect(update).not.toHaveBeenCalled();
+      expect(onConflict).toHaveBeenCalledWith({
+        direction: 'undo',
+        conflicts: [{ shapeId: 's1', reason: 'modified' }],
+        applied: false,
+      });
+      expect(result.current.canUndo).toBe(false);
+      expect(result.current.canRedo).toBe(false);
+    });
+
+    it('rebases onto fields the other user did not touch', async () => {
+      const onConflict = vi.fn();
+      const { result, rerender } = renderHistory(shapes, { onConflict });
+      await act(() => result.current.updateShapeWithHistory('s1', { x: 60, name: 'Header' }));
+
+      // User A's write lands, then user B renames the shape
+      rerender({ s: [{ ...shapes[0], x: 60, name: 'Title' }, shapes[1]] });
+      update.mockClear();
+      await act(() => result.current.undo());
+
+      expect(update).toHaveBeenCalledWith(expect.anything(), { 's1/x': 10 });
+      expect(onConflict).toHaveBeenCalledWith(expect.objectContaining({ applied: true }));
+
+      // Redo only replays what was actually undone
+      rerender({ s: [{ ...shapes[0], name: 'Title' }, shapes[1]] });
+      update.mockClear();
+      await act(() => result.current.redo());
+      expect(update).toHaveBeenCalledWith(expect.anything(), { 's1/x': 60 });
+    });
+
+    it('does not delete a created shape another user has since edited', async () => {
+      const onConflict = vi.fn();
+      const shapeData = { type: 'rectangle', x: 0, y: 0, width: 10, height: 10 };
+      const { result, rerender } = renderHistory([{ ...shapeData, id: 'new1' }], { onConflict });
+      act(() => result.current.recordAction({ type: 'create', shapeId: 'new1', shapeData }));
+
+      rerender({ s: [{ ...shapeData, id: 'new1', x: 40 }] });
+      await act(() => result.current.undo());
+
+      expect(remove).not.toHaveBeenCalled();
+      expect(onConflict).toHaveBeenCalledWith(
+        expect.objectContaining({ conflicts: [{ shapeId: 'new1', reason: 'modified' }] })
+      );
+    });
+
+    it('skips shapes locked by another user but not by the current user', async () => {
+      const onConflict = vi.fn();
+      const { result, rerender } = renderHistory(shapes, { onConflict });
+      await act(() =>
+        result.current.batchUpdateShapesWithHistory({ s1: { x: 60 }, s2: { x: 150 } })
+      );
+
+      rerender({
+        s: [
+          { ...shapes[0], x: 60, lockedBy: 'userB' },
+          { ...shapes[1], x: 150, lockedBy: 'userA' },
+        ],
+      });
+      update.mockClear();
+      await act(() => result.current.undo());
+
+      expect(update).toHaveBeenCalledWith(expect.anything(), { 's2/x': 100 });
+      expect(onConflict).toHaveBeenCalledWith(
+        expect.objectContaining({ conflicts: [{ shapeId: 's1', reason: 'locked' }] })
+      );
+    });
+
+    it('does not resurrect a shape another user deleted', async () => {
+      const onConflict = vi.fn();
+      const { result, rerender } = renderHistory(shapes, { onConflict });
+      await act(() => result.current.updateShapeWithHistory('s2', { radius: 50 }));
+
+      rerender({ s: [shapes[0]] });
+      await act(() => result.current.undo());
+
+      expect(set).not.toHaveBeenCalled();
+      expect(onConflict).toHaveBeenCalledWith(
+        expect.objectContaining({ conflicts: [{ shapeId: 's2', reason: 'deleted' }] })
+      );
+    });
+  });
 });
@@ -0,0 +1,39 @@
+/**
+ * @vitest-environment happy-dom
+ */
+import { describe, it, expect, beforeEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { useSnapping } from '../../hooks/useSnapping';
+
+describe('useSnapping', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('is on by default', () => {
+    const { result } = renderHook(() => useSnapping('u1'));
+    expect(result.current.snapEnabled).toBe(true);
+  });
+
+  it('saves the preference for the user', () => {
+    const { result } = renderHook(() => useSnapping('u1'));
+
+    act(() => {
+      result.current.setSnapEnabled(false);
+    });
+
+    expect(result.current.snapEnabled).toBe(false);
+    expect(localStorage.getItem('snapping-preference:u1')).toBe('off');
+  });
+
+  it('keeps a separate preference per user', () => {
+    localStorage.setItem('snapping-preference:u1', 'off');
+    const { result, rerender } = renderHook(({ uid }) => useSnapping(uid), {
+      initialProps: { uid: 'u1' },
+    });
+    expect(result.current.snapEnabled).toBe(false);
+
+    rerender({ uid: 'u2' });
+    expect(result.current.snapEnabled).toBe(true);
+  });
+});
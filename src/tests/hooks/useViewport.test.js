@@ -87,6 +87,55 @@ describe('useViewport', () => {
     expect(result.current.viewport.zoom).toBe(2.0);
   });
 
+  it('zooms to a region, centered and no closer than the fit limit', () => {
+    const { svgRef, containerRef } = createRefs();
+    const { result } = renderHook(() => useViewport(svgRef, containerRef));
+    act(() => result.current.handleZoomToRegion({ x: 1000, y: 1000, width: 1000, height: 500 }));
+    const { zoom, offsetX, offsetY } = result.current.viewport;
+    expect(zoom).toBeCloseTo((800 - 96) / 1000);
+    expect(offsetX + 400 / zoom).toBeCloseTo(1500);
+    expect(offsetY + 300 / zoom).toBeCloseTo(1250);
+
+    act(() => result.current.handleZoomToRegion({ x: 100, y: 100, width: 10, height: 10 }));
+    expect(result.current.viewport.zoom).toBe(2);
+  });
+
+  it('matches a region exactly when fitting without padding', () => {
+    const { svgRef, containerRef } = createRefs();
+    const { result } = renderHook(() => useViewport(svgRef, containerRef));
+    const exact = { padding: 0, maxZoom: 5 };
+    act(() =>
+      result.current.handleZoomToRegion({ x: 1000, y: 500, width: 400, height: 300 }, exact)
+    );
+    expect(result.current.viewport).toEqual({ zoom: 2, offsetX: 1000, offsetY: 500 });
+
+    act(() => result.current.handleZoomToRegion({ x: 100, y: 100, width: 80, height: 60 }, exact));
+    expect(result.current.viewport.zoom).toBe(5);
+  });
+
+  it('only keeps the view near the board when the canvas is bounded', () => {
+    const { svgRef, containerRef } = createRefs();
+    const far = { x: -20000, y: 30000 };
+    const bounded = renderHook(() => useViewport(svgRef, containerRef));
+    act(() => bounded.result.current.handleCenterOn(far));
+    expect(bounded.result.current.viewport.offsetX).toBeGreaterThan(-20000);
+
+    const infinite = renderHook(() => useViewport(svgRef, containerRef, { infinite: true }));
+    act(() => infinite.result.current.handleCenterOn(far));
+    expect(infinite.result.current.viewport).toEqual({
+      zoom: 1,
+      offsetX: -20400,
+      offsetY: 29700,
+    });
+  });
+
+  it('centers on a point without changing the zoom', () => {
+    const { svgRef, containerRef } = createRefs();
+    const { result } = renderHook(() => useViewport(svgRef, containerRef));
+    act(() => result.current.handleCenterOn({ x: 2500, y: 2000 }));
+    expect(result.current.viewport).toEqual({ zoom: 1, offsetX: 2100, offsetY: 1700 });
+  });
+
   it('attaches wheel event listener to SVG element', () => {
     const { svgRef, containerRef } = createRefs();
     renderHook(() => useViewport(svgRef, containerRef));
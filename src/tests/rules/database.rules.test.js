@@ -1,6 +1,6 @@
 import { readFileSync } from 'node:fs';
 import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
-import { get, ref, set } from 'firebase/database';
+import { get, onDisconnect, ref, runTransaction, set, update } from 'firebase/database';
 
 const hasDatabaseEmulator = Boolean(process.env.FIREBASE_DATABASE_EMULATOR_HOST);
 const describeWithEmulator = hasDatabaseEmulator ? describe : describe.skip;
@@ -25,6 +25,7 @@ async function seedCanvas() {
       permissions: {
         owner: 'owner',
         editor: 'editor',
+        commenter: 'commenter',
         viewer: 'viewer',
       },
       shareTokens: {
@@ -33,6 +34,11 @@ async function seedCanvas() {
           createdBy: 'owner',
           createdAt: 1,
         },
+        commenterToken: {
+          role: 'commenter',
+          createdBy: 'owner',
+          createdAt: 1,
+        },
         editorToken: {
           role: 'editor',
           createdBy: 'owner',
@@ -61,6 +67,21 @@ async function seedCanvas() {
   });
 }
 
+// Join through a share link the way requestCanvasAccess does: the permission
+// and the token's use count in one write
+function redeemShareToken(db, userId, token, role, uses) {
+  return update(ref(db, `canvases/${canvasId}`), {
+    [`permissions/${userId}`]: {
+      role,
+      token,
+      userName: userId,
+      grantedVia: 'share-link',
+      grantedAt: 2,
+    },
+    [`shareTokens/${token}/uses`]: uses,
+  });
+}
+
 describeWithEmulator('database.rules.json', () => {
   beforeAll(async () => {
     const rulesTesting = await import('@firebase/rules-unit-testing');
@@ -115,15 +136,7 @@ describeWithEmulator('database.rules.json', () => {
     const db = testEnv.authenticatedContext('alice').database();
 
     await assertSucceeds(get(ref(db, `canvases/${canvasId}/shareTokens/viewerToken`)));
-    await assertSucceeds(
-      set(ref(db, `canvases/${canvasId}/permissions/alice`), {
-        role: 'viewer',
-        token: 'viewerToken',
-        userName: 'Alice',
-        grantedVia: 'share-link',
-        grantedAt: 2,
-      })
-    );
+    await assertSucceeds(redeemShareToken(db, 'alice', 'viewerToken', 'viewer', 1));
     await assertSucceeds(
       set(ref(db, `userCanvases/alice/${canvasId}`), {
         name: 'Rules Test Canvas',
@@ -133,20 +146,54 @@ describeWithEmulator('database.rules.json', () => {
       })
     );
 
+    await assertFails(redeemShareToken(db, 'bob', 'viewerToken', 'editor', 2));
+
+    const carolDb = testEnv.authenticatedContext('carol').database();
+    await assertFails(redeemShareToken(carolDb, 'carol', 'commenterToken', 'editor', 1));
+    await assertSucceeds(redeemShareToken(carolDb, 'carol', 'commenterToken', 'commenter', 1));
+    await assertSucceeds(get(ref(carolDb, `canvases/${canvasId}/objects`)));
+  });
+
+  it('enforces share link expiry, usage limits and revocation', async () => {
+    const ownerDb = testEnv.authenticatedContext('owner').database();
+    const tokensPath = `canvases/${canvasId}/shareTokens`;
+    const token = (limits) => ({
+      role: 'viewer',
+      createdBy: 'owner',
+      createdAt: 2,
+      uses: 0,
+      ...limits,
+    });
+    await assertSucceeds(set(ref(ownerDb, `${tokensPath}/expired`), token({ expiresAt: 3 })));
+    await assertSucceeds(set(ref(ownerDb, `${tokensPath}/once`), token({ maxUses: 1 })));
+    await assertSucceeds(set(ref(ownerDb, `${tokensPath}/revoked`), token()));
+    await assertSucceeds(update(ref(ownerDb, `${tokensPath}/revoked`), { revoked: true }));
+    await assertFails(update(ref(ownerDb, `${tokensPath}/revoked`), { revoked: false }));
+    await assertFails(set(ref(ownerDb, `${tokensPath}/bad`), token({ maxUses: 0 })));
+
+    const aliceDb = testEnv.authenticatedContext('alice').database();
+    const bobDb = testEnv.authenticatedContext('bob').database();
+    await assertFails(redeemShareToken(aliceDb, 'alice', 'expired', 'viewer', 1));
+    await assertFails(redeemShareToken(aliceDb, 'alice', 'revoked', 'viewer', 1));
+
+    // Each redemption must count itself, and only once
     await assertFails(
-      set(ref(db, `canvases/${canvasId}/permissions/bob`), {
-        role: 'editor',
-        token: 'viewerToken',
-        userName: 'Bob',
-        grantedVia: 'share-link',
-        grantedAt: 2,
+      set(ref(aliceDb, `canvases/${canvasId}/permissions/alice`), {
+        role: 'viewer',
+        token: 'once',
+        userName: 'alice',
       })
     );
+    await assertFails(redeemShareToken(aliceDb, 'alice', 'once', 'viewer', 0));
+    await assertSucceeds(redeemShareToken(aliceDb, 'alice', 'once', 'viewer', 1));
+    await assertFails(set(ref(aliceDb, `${tokensPath}/once/uses`), 2));
+    await assertFails(redeemShareToken(bobDb, 'bob', 'once', 'viewer', 2));
   });
 
   it('restricts object writes to owners and editors', async () => {
     const ownerDb = testEnv.authenticatedContext('owner').database();
     const editorDb = testEnv.authenticatedContext('editor').database();
+    const commenterDb = testEnv.authenticatedContext('commenter').database();
     const viewerDb = testEnv.authenticatedContext('viewer').database();
 
     await assertSucceeds(
@@ -163,6 +210,13 @@ describeWithEmulator('database.rules.json', () => {
         createdBy: 'editor',
       })
     );
+    await assertFails(
+      set(ref(commenterDb, `canvases/${canvasId}/objects/commenterShape`), {
+        id: 'commenterShape',
+        type: 'rectangle',
+        createdBy: 'commenter',
+      })
+    );
     await assertFails(
       set(ref(viewerDb, `canvases/${canvasId}/objects/viewerShape`), {
         id: 'viewerShape',
@@ -220,4 +274,230 @@ describeWithEmulator('database.rules.json', () => {
       })
     );
   });
+
+  it('lets owners and editors edit text together, each with their own caret', async () => {
+    const editorDb = testEnv.authenticatedContext('editor').database();
+    const viewerDb = testEnv.authenticatedContext('viewer').database();
+    const sessionPath = `canvases/${canvasId}/textEdits/shape1`;
+    const caret = (userId) => ({ userId, userName: userId, updatedAt: 2 });
+
+    await assertSucceeds(
+      set(ref(editorDb, `${sessionPath}/ops/op1`), {
+        sessionId: 'editor-session',
+        ops: [{ type: 'insert', id: '1@editor-session', value: 'a' }],
+        createdAt: 2,
+      })
+    );
+    await assertSucceeds(
+      set(ref(editorDb, `${sessionPath}/carets/editor-session`), caret('editor'))
+    );
+    await assertSucceeds(get(ref(viewerDb, sessionPath)));
+
+    await assertFails(set(ref(editorDb, `${sessionPath}/carets/other-session`), caret('owner')));
+    await assertFails(set(ref(viewerDb, `${sessionPath}/carets/viewer-session`), caret('viewer')));
+  });
+
+  it("lets an editor leave a text session without touching the others' carets", async () => {
+    const ownerDb = testEnv.authenticatedContext('owner').database();
+    const editorDb = testEnv.authenticatedContext('editor').database();
+    const sessionPath = `canvases/${canvasId}/textEdits/shape1`;
+    const caret = (userId) => ({ userId, userName: userId, updatedAt: 2 });
+
+    await assertSucceeds(set(ref(editorDb, `${sessionPath}/base`), { createdAt: 2 }));
+    await assertSucceeds(
+      set(ref(editorDb, `${sessionPath}/carets/editor-session`), caret('editor'))
+    );
+    await assertSucceeds(set(ref(ownerDb, `${sessionPath}/carets/owner-session`), caret('owner')));
+
+    // As leaveTextEdit does it: drop our caret, keep the session for the owner
+    await assertSucceeds(
+      runTransaction(ref(editorDb, sessionPath), (session) => {
+        const { 'editor-session': _left, ...carets } = session?.carets || {};
+        return { ...session, carets };
+      })
+    );
+    await assertSucceeds(get(ref(ownerDb, `${sessionPath}/carets/owner-session`)));
+  });
+
+  it('keeps an append-only shape history where entries belong to their author', async () => {
+    const ownerDb = testEnv.authenticatedContext('owner').database();
+    const editorDb = testEnv.authenticatedContext('editor').database();
+    const viewerDb = testEnv.authenticatedContext('viewer').database();
+    const historyPath = `canvases/${canvasId}/shapeHistory/shape1`;
+    const entry = (userId, fields) => ({
+      userId,
+      userName: userId,
+      action: 'update',
+      fields,
+      createdAt: 2,
+    });
+
+    await assertSucceeds(set(ref(editorDb, `${historyPath}/entry1`), entry('editor', ['x'])));
+    await assertSucceeds(set(ref(editorDb, `${historyPath}/entry1`), entry('editor', ['x', 'y'])));
+    await assertSucceeds(get(ref(viewerDb, historyPath)));
+
+    await assertFails(set(ref(editorDb, `${historyPath}/entry1`), null));
+    await assertSucceeds(set(ref(ownerDb, `${historyPath}/entry2`), entry('owner', ['x'])));
+    await assertFails(set(ref(editorDb, `${historyPath}/entry2`), entry('editor', ['y'])));
+    await assertFails(set(ref(editorDb, `${historyPath}/entry3`), entry('owner', ['x'])));
+    await assertFails(set(ref(viewerDb, `${historyPath}/entry4`), entry('viewer', ['x'])));
+    await assertFails(
+      set(ref(editorDb, `${historyPath}/entry5`), { ...entry('editor'), action: 'rewrite' })
+    );
+  });
+
+  it('lets commenters and up comment, reply and resolve, but only as themselves', async () => {
+    const ownerDb = testEnv.authenticatedContext('owner').database();
+    const editorDb = testEnv.authenticatedContext('editor').database();
+    const commenterDb = testEnv.authenticatedContext('commenter').database();
+    const viewerDb = testEnv.authenticatedContext('viewer').database();
+    const intruderDb = testEnv.authenticatedContext('intruder').database();
+    const commentsPath = `canvases/${canvasId}/comments`;
+    const message = (userId, text = 'Looks good') => ({
+      userId,
+      userName: userId,
+      text,
+      createdAt: 2,
+    });
+    const thread = (userId) => ({
+      x: 10,
+      y: 20,
+      createdBy: userId,
+      createdByName: userId,
+      createdAt: 2,
+      resolved: false,
+      messages: { message1: message(userId) },
+    });
+
+    await assertSucceeds(set(ref(commenterDb, `${commentsPath}/thread1`), thread('commenter')));
+    await assertSucceeds(get(ref(viewerDb, commentsPath)));
+    await assertFails(set(ref(viewerDb, `${commentsPath}/thread2`), thread('viewer')));
+    await assertFails(get(ref(intruderDb, commentsPath)));
+    await assertFails(set(ref(intruderDb, `${commentsPath}/thread2`), thread('intruder')));
+    await assertFails(set(ref(editorDb, `${commentsPath}/thread3`), thread('commenter')));
+
+    // Replies are written by their author and can't be rewritten by anyone else
+    await assertSucceeds(
+      set(ref(editorDb, `${commentsPath}/thread1/messages/reply1`), message('editor'))
+    );
+    await assertFails(
+      set(
+        ref(commenterDb, `${commentsPath}/thread1/messages/reply1`),
+        message('commenter', 'Edited')
+      )
+    );
+    await assertFails(
+      set(ref(commenterDb, `${commentsPath}/thread1/messages/reply2`), message('editor'))
+    );
+    await assertFails(
+      set(ref(commenterDb, `${commentsPath}/thread1/messages/reply3`), message('commenter', ''))
+    );
+    await assertFails(
+      set(ref(viewerDb, `${commentsPath}/thread1/messages/reply4`), message('viewer'))
+    );
+
+    // Commenters and up resolve and reopen; only the author or the owner deletes
+    await assertSucceeds(
+      update(ref(editorDb, `${commentsPath}/thread1`), {
+        resolved: true,
+        resolvedBy: 'editor',
+        resolvedAt: 3,
+      })
+    );
+    await assertFails(
+      update(ref(editorDb, `${commentsPath}/thread1`), { resolved: true, resolvedBy: 'commenter' })
+    );
+    await assertFails(
+      update(ref(viewerDb, `${commentsPath}/thread1`), { resolved: false, resolvedBy: null })
+    );
+    await assertSucceeds(
+      update(ref(commenterDb, `${commentsPath}/thread1`), {
+        resolved: false,
+        resolvedBy: null,
+        resolvedAt: null,
+      })
+    );
+    await assertFails(update(ref(editorDb, `${commentsPath}/thread1`), { x: 50 }));
+    await assertFails(set(ref(editorDb, `${commentsPath}/thread1`), null));
+    await assertSucceeds(set(ref(commenterDb, `${commentsPath}/thread1`), null));
+    await assertSucceeds(set(ref(ownerDb, `${commentsPath}/thread4`), thread('owner')));
+
+    // The canvas chat stays open to every member, viewers included
+    const chat = (userId) => ({ userId, userName: userId, text: 'Hi', timestamp: 2 });
+    await assertSucceeds(
+      set(ref(commenterDb, `canvases/${canvasId}/chat/chat1`), chat('commenter'))
+    );
+    await assertSucceeds(set(ref(viewerDb, `canvases/${canvasId}/chat/chat2`), chat('viewer')));
+    await assertFails(set(ref(viewerDb, `canvases/${canvasId}/chat/chat3`), chat('editor')));
+  });
+
+  it('lets one member present at a time and only the presenter or owner end it', async () => {
+    const ownerDb = testEnv.authenticatedContext('owner').database();
+    const editorDb = testEnv.authenticatedContext('editor').database();
+    const viewerDb = testEnv.authenticatedContext('viewer').database();
+    const intruderDb = testEnv.authenticatedContext('intruder').database();
+    const presenterPath = `canvases/${canvasId}/presenter`;
+    const presenter = (userId) => ({ sessionId: `${userId}-session`, userId, startedAt: 2 });
+
+    await assertFails(set(ref(intruderDb, presenterPath), presenter('intruder')));
+    await assertFails(set(ref(viewerDb, presenterPath), presenter('editor')));
+    await assertSucceeds(set(ref(viewerDb, presenterPath), presenter('viewer')));
+    await assertSucceeds(get(ref(editorDb, presenterPath)));
+
+    // Nobody can take over or end someone else's presentation, except the owner
+    await assertFails(set(ref(editorDb, presenterPath), presenter('editor')));
+    await assertFails(set(ref(editorDb, presenterPath), null));
+    await assertSucceeds(set(ref(viewerDb, presenterPath), null));
+
+    await assertSucceeds(set(ref(editorDb, presenterPath), presenter('editor')));
+    await assertSucceeds(set(ref(ownerDb, presenterPath), null));
+  });
+
+  it('lets a member who is not the owner start presenting the way startPresenting does', async () => {
+    const editorDb = testEnv.authenticatedContext('editor').database();
+    const presenterRef = ref(editorDb, `canvases/${canvasId}/presenter`);
+
+    // Removing on disconnect is only allowed once the editor is the presenter
+    await assertFails(onDisconnect(presenterRef).remove());
+    await assertSucceeds(
+      set(presenterRef, { sessionId: 'editor-session', userId: 'editor', startedAt: 2 })
+    );
+    await assertSucceeds(onDisconnect(presenterRef).remove());
+  });
+
+  it('lets owners and editors save versions but keeps them immutable', async () => {
+    const editorDb = testEnv.authenticatedContext('editor').database();
+    const viewerDb = testEnv.authenticatedContext('viewer').database();
+    const snapshot = (userId, auto = false) => ({
+      'meta/v1': {
+        name: 'Version 1',
+        createdBy: userId,
+        createdByName: userId,
+        createdAt: 2,
+        auto,
+        shapeCount: 1,
+      },
+      'objects/v1': { shape1: { id: 'shape1', type: 'rectangle' } },
+    });
+
+    await assertFails(update(ref(viewerDb, `canvases/${canvasId}/snapshots`), snapshot('viewer')));
+    await assertFails(update(ref(editorDb, `canvases/${canvasId}/snapshots`), snapshot('owner')));
+    await assertSucceeds(
+      update(ref(editorDb, `canvases/${canvasId}/snapshots`), snapshot('editor'))
+    );
+    await assertSucceeds(get(ref(viewerDb, `canvases/${canvasId}/snapshots/meta`)));
+
+    // Stored objects can't be swapped out or deleted without their metadata
+    await assertFails(
+      set(ref(editorDb, `canvases/${canvasId}/snapshots/objects/v1`), { shape2: { id: 'shape2' } })
+    );
+    await assertFails(set(ref(editorDb, `canvases/${canvasId}/snapshots/objects/v1`), null));
+    await assertFails(set(ref(editorDb, `canvases/${canvasId}/snapshots/meta/v1/name`), 'Renamed'));
+    await assertSucceeds(
+      update(ref(editorDb, `canvases/${canvasId}/snapshots`), {
+        'meta/v1': null,
+        'objects/v1': null,
+      })
+    );
+  });
 });
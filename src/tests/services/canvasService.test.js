@@ -1,11 +1,37 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { ref, set, update, remove, get, onValue } from 'firebase/database';
+import {
+  ref,
+  set,
+  update,
+  remove,
+  get,
+  push,
+  onValue,
+  onChildAdded,
+  onChildChanged,
+  onChildRemoved,
+  onDisconnect,
+  runTransaction,
+} from 'firebase/database';
 import {
   generateObjectId,
   createShape,
   updateShape,
   deleteShape,
   monitorConnection,
+  importCanvasDocument,
+  updatePresenceViewport,
+  updateCursor,
+  startPresenting,
+  stopPresenting,
+  subscribeToPresenter,
+  subscribeToObjects,
+  joinTextEdit,
+  leaveTextEdit,
+  pushTextOps,
+  createShareToken,
+  getUserRole,
+  requestCanvasAccess,
 } from '../../services/canvasService';
 
 // Firebase mocks are set up in setup.js
@@ -63,6 +89,64 @@ describe('canvasService', () => {
     });
   });
 
+  describe('updateCursor', () => {
+    it('writes the viewport alongside the cursor only when given', async () => {
+      const viewport = { x: 10, y: 20, width: 800, height: 600 };
+      await updateCursor('canvas1', 'session1', 'user1', 5, 6, 'Ada', 1, true, viewport);
+      expect(set).toHaveBeenLastCalledWith(
+        expect.anything(),
+        expect.objectContaining({ x: 5, y: 6, isActive: true, viewport })
+      );
+
+      await updateCursor('canvas1', 'session1', 'user1', 5, 6, 'Ada', 1, true);
+      expect(set.mock.lastCall[1]).not.toHaveProperty('viewport');
+    });
+  });
+
+  describe('presenter', () => {
+    it('writes the presenting session and removes it when stopped', async () => {
+      await startPresenting('canvas1', 'session1', 'user1', 'Ada');
+      expect(set).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({ sessionId: 'session1', userId: 'user1', userName: 'Ada' })
+      );
+
+      await stopPresenting('canvas1');
+      expect(remove).toHaveBeenCalled();
+    });
+
+    it("doesn't arrange to end the presentation when starting it fails", async () => {
+      set.mockRejectedValueOnce(new Error('PERMISSION_DENIED'));
+      onDisconnect.mockClear();
+      await expect(startPresenting('canvas1', 'session1', 'user1', 'Ada')).rejects.toThrow();
+      expect(onDisconnect).not.toHaveBeenCalled();
+    });
+
+    it('passes the presenter or null to subscribers', () => {
+      const callback = vi.fn();
+      subscribeToPresenter('canvas1', callback);
+      const onSnapshot = onValue.mock.lastCall[1];
+      callback.mockClear();
+
+      onSnapshot({ val: () => ({ sessionId: 'session1', userName: 'Ada' }) });
+      onSnapshot({ val: () => null });
+      expect(callback.mock.calls).toEqual([[{ sessionId: 'session1', userName: 'Ada' }], [null]]);
+    });
+  });
+
+  describe('updatePresenceViewport', () => {
+    it('writes the visible region into the session presence and swallows errors', async () => {
+      const viewport = { x: 10, y: 20, width: 800, height: 600 };
+      await updatePresenceViewport('canvas1', 'session1', viewport);
+      expect(update).toHaveBeenCalledWith(expect.anything(), { viewport });
+
+      update.mockRejectedValueOnce(new Error('offline'));
+      await expect(
+        updatePresenceViewport('canvas1', 'session1', viewport)
+      ).resolves.toBeUndefined();
+    });
+  });
+
   describe('deleteShape', () => {
     it('calls firebase remove', async () => {
       await deleteShape('canvas1', 'shape1');
@@ -71,6 +155,248 @@ describe('canvasService', () => {
     });
   });
 
+  describe('subscribeToObjects', () => {
+    const child = (key, value) => ({ key, val: () => value });
+    const listener = (mock) => mock.mock.calls[0][1];
+
+    it('delivers the first load once, then only replaces the objects that change', async () => {
+      const callback = vi.fn();
+      onValue.mockImplementationOnce((_ref, cb) => {
+        listener(onChildAdded)(child('a', { type: 'rectangle', x: 0 }));
+        listener(onChildAdded)(child('b', { type: 'circle', x: 10 }));
+        cb({ val: () => null });
+        return vi.fn();
+      });
+      subscribeToObjects('canvas1', callback);
+      expect(callback).toHaveBeenCalledTimes(1);
+      const [first] = callback.mock.calls[0][0];
+      expect(first).toEqual({ id: 'a', type: 'rectangle', x: 0 });
+
+      listener(onChildChanged)(child('b', { type: 'circle', x: 20 }));
+      listener(onChildRemoved)(child('a', null));
+      listener(onChildAdded)(child('c', { type: 'text', x: 5 }));
+      await Promise.resolve();
+
+      expect(callback).toHaveBeenCalledTimes(2);
+      expect(callback.mock.calls[1][0]).toEqual([
+        { id: 'b', type: 'circle', x: 20 },
+        { id: 'c', type: 'text', x: 5 },
+      ]);
+    });
+
+    it('keeps unchanged objects identical between callbacks', async () => {
+      const callback = vi.fn();
+      onValue.mockImplementationOnce((_ref, cb) => {
+        listener(onChildAdded)(child('a', { type: 'rectangle' }));
+        cb({ val: () => null });
+        return vi.fn();
+      });
+      subscribeToObjects('canvas1', callback);
+      listener(onChildAdded)(child('b', { type: 'circle' }));
+      await Promise.resolve();
+      expect(callback.mock.calls[1][0][0]).toBe(callback.mock.calls[0][0][0]);
+    });
+
+    it('stops listening and drops pending changes on unsubscribe', async () => {
+      const callback = vi.fn();
+      const unsubscribe = subscribeToObjects('canvas1', callback);
+      listener(onChildAdded)(child('a', { type: 'rectangle' }));
+      const off = onChildAdded.mock.results[0].value;
+      unsubscribe();
+      await Promise.resolve();
+      expect(off).toHaveBeenCalled();
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    it('reports a failed subscription once', () => {
+      const errorCallback = vi.fn();
+      subscribeToObjects('canvas1', vi.fn(), errorCallback);
+      const error = new Error('permission_denied');
+      onChildAdded.mock.calls[0][2](error);
+      onChildChanged.mock.calls[0][2](error);
+      expect(errorCallback).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('text editing sessions', () => {
+    const snapshot = (value) => ({ exists: () => value !== null, val: () => value });
+    const richText = { blocks: [{ type: 'paragraph', spans: [{ text: 'hi' }] }] };
+    // Runs the transaction against the given session, as the server would
+    const sessionTransaction = (session) =>
+      runTransaction.mockImplementationOnce(async (_ref, transactionUpdate) => {
+        const next = transactionUpdate(session);
+        return {
+          committed: next !== undefined,
+          snapshot: snapshot(next === undefined ? session : next),
+        };
+      });
+
+    it('starts a session from the given text when nobody is editing', async () => {
+      sessionTransaction({ base: { richText: { blocks: [] } } });
+      const base = await joinTextEdit(
+        'canvas1',
+        'shape1',
+        'session1',
+        { userId: 'user1' },
+        richText
+      );
+      expect(base).toEqual(richText);
+      const { committed, snapshot: written } = await runTransaction.mock.results[0].value;
+      expect(committed).toBe(true);
+      expect(written.val()).toEqual({
+        base: { richText, createdAt: expect.any(Number) },
+        carets: { session1: { userId: 'user1', updatedAt: expect.any(Number) } },
+      });
+    });
+
+    it('joins a running session from its base text', async () => {
+      sessionTransaction({
+        base: { richText: { blocks: [{ type: 'paragraph' }] } },
+        carets: { s2: {} },
+      });
+      const base = await joinTextEdit(
+        'canvas1',
+        'shape1',
+        'session1',
+        { userId: 'user1' },
+        richText
+      );
+      expect(base).toEqual({ blocks: [{ type: 'paragraph', spans: [] }] });
+      expect(set).toHaveBeenCalledTimes(1);
+      expect(set).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({ userId: 'user1', updatedAt: expect.any(Number) })
+      );
+    });
+
+    it('removes the session when the last editor leaves', async () => {
+      const base = { richText };
+      sessionTransaction({ base, carets: { session1: {}, s2: {} } });
+      await leaveTextEdit('canvas1', 'shape1', 'session1');
+      let { snapshot: written } = await runTransaction.mock.results[0].value;
+      expect(written.val()).toEqual({ base, carets: { s2: {} } });
+
+      sessionTransaction({ base, carets: { session1: {} } });
+      await leaveTextEdit('canvas1', 'shape1', 'session1');
+      ({ snapshot: written } = await runTransaction.mock.results[1].value);
+      expect(written.val()).toBeNull();
+      expect(remove).not.toHaveBeenCalled();
+    });
+
+    it('pushes operations with their session', async () => {
+      const ops = [{ type: 'delete', id: '1@' }];
+      await pushTextOps('canvas1', 'shape1', 'session1', ops);
+      expect(push).toHaveBeenCalled();
+      expect(set).toHaveBeenCalledWith(expect.anything(), {
+        sessionId: 'session1',
+        ops,
+        createdAt: expect.any(Number),
+      });
+    });
+  });
+
+  describe('roles', () => {
+    it('creates share links for viewers, commenters and editors only', async () => {
+      await createShareToken('canvas1', 'owner1', 'commenter');
+      expect(set.mock.calls[0][1]).toMatchObject({ role: 'commenter', createdBy: 'owner1' });
+      await expect(createShareToken('canvas1', 'owner1', 'owner')).rejects.toThrow(
+        'Share links can only grant viewer, commenter or editor access'
+      );
+    });
+
+    it('reads string and share-link permissions, ignoring unknown roles', async () => {
+      const permission = (value) => ({ exists: () => true, val: () => value });
+      get.mockResolvedValueOnce(permission('commenter'));
+      expect(await getUserRole('canvas1', 'user1')).toBe('commenter');
+      get.mockResolvedValueOnce(permission({ role: 'commenter', token: 't1' }));
+      expect(await getUserRole('canvas1', 'user1')).toBe('commenter');
+      get.mockResolvedValueOnce(permission('superuser'));
+      expect(await getUserRole('canvas1', 'user1')).toBeNull();
+    });
+  });
+
+  describe('share links', () => {
+    const snapshotOf = (value) => ({ exists: () => value != null, val: () => value });
+    // Not a member yet: no index entry, no readable permission, then the token
+    const redeem = (tokenData) => {
+      get
+        .mockResolvedValueOnce(snapshotOf(null))
+        .mockResolvedValueOnce(snapshotOf(null))
+        .mockResolvedValueOnce(snapshotOf(tokenData));
+      return requestCanvasAccess('canvas1', 'user1', 'Ada', 'token1');
+    };
+
+    it('creates links with an expiry and a usage limit', async () => {
+      const now = vi.spyOn(Date, 'now').mockReturnValue(1000);
+      await createShareToken('canvas1', 'owner1', 'viewer', { expiresAt: 5000, maxUses: 3 });
+      expect(set.mock.calls[0][1]).toEqual({
+        role: 'viewer',
+        createdBy: 'owner1',
+        createdAt: 1000,
+        uses: 0,
+        expiresAt: 5000,
+        maxUses: 3,
+      });
+      await expect(
+        createShareToken('canvas1', 'owner1', 'viewer', { expiresAt: 500 })
+      ).rejects.toThrow('Share link expiry must be in the future');
+      await expect(createShareToken('canvas1', 'owner1', 'viewer', { maxUses: 0 })).rejects.toThrow(
+        'at least 1'
+      );
+      now.mockRestore();
+    });
+
+    it('turns away revoked, expired and used-up links', async () => {
+      const token = { role: 'viewer', createdBy: 'owner1', createdAt: 1 };
+      expect(await redeem({ ...token, revoked: true })).toMatchObject({ success: false });
+      expect(await redeem({ ...token, expiresAt: 1 })).toEqual({
+        success: false,
+        error: 'This share link has expired',
+      });
+      expect(await redeem({ ...token, maxUses: 1, uses: 1 })).toEqual({
+        success: false,
+        error: 'This share link has reached its usage limit',
+      });
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    it('counts the use in the same write that grants access', async () => {
+      await redeem({ role: 'commenter', createdBy: 'owner1', createdAt: 1, maxUses: 5, uses: 2 });
+      expect(update).toHaveBeenCalledWith(
+        {},
+        {
+          'permissions/user1': expect.objectContaining({ role: 'commenter', token: 'token1' }),
+          'shareTokens/token1/uses': 3,
+        }
+      );
+    });
+  });
+
+  describe('importCanvasDocument', () => {
+    const document = {
+      format: 'collabcanvas',
+      version: 2,
+      metadata: { name: 'Imported' },
+      settings: {},
+      objects: [{ id: 'old1', type: 'rectangle', x: 0, y: 0, width: 10, height: 10 }],
+    };
+
+    it('writes the owner permission before anything else', async () => {
+      await importCanvasDocument('user1', document);
+      expect(set.mock.calls[0][1]).toBe('owner');
+    });
+
+    it('gives imported objects fresh IDs owned by the importer', async () => {
+      await importCanvasDocument('user1', document);
+      const objects = set.mock.calls
+        .map(([, value]) => value)
+        .find((value) => value?.[Object.keys(value)[0]]?.type);
+      const [id] = Object.keys(objects);
+      expect(id).not.toBe('old1');
+      expect(objects[id]).toMatchObject({ id, createdBy: 'user1', lockedBy: null });
+    });
+  });
+
   describe('monitorConnection', () => {
     it('subscribes to .info/connected and returns unsubscribe', () => {
       const callback = vi.fn();
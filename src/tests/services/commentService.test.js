@@ -0,0 +1,99 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { ref, set, update, push, onValue } from 'firebase/database';
+import {
+  createCommentThread,
+  setCommentThreadResolved,
+  subscribeToComments,
+} from '../../services/commentService';
+
+// Firebase mocks are set up in setup.js
+
+describe('commentService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    push.mockImplementation(() => ({ key: 'pushed' }));
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('starts a thread pinned to a shape with its first message', async () => {
+    vi.spyOn(Date, 'now').mockReturnValue(1000);
+    const threadId = await createCommentThread(
+      'canvas1',
+      { x: 10, y: 20, shapeId: 'shape1', offsetX: 0.5, offsetY: 0 },
+      { userId: 'user1', userName: 'Ada', text: 'Hi @Grace', mentions: ['user2'] }
+    );
+
+    expect(threadId).toBe('pushed');
+    expect(set).toHaveBeenCalledWith(
+      { key: 'pushed' },
+      {
+        x: 10,
+        y: 20,
+        shapeId: 'shape1',
+        offsetX: 0.5,
+        offsetY: 0,
+        createdBy: 'user1',
+        createdByName: 'Ada',
+        createdAt: 1000,
+        resolved: false,
+        messages: {
+          pushed: {
+            userId: 'user1',
+            userName: 'Ada',
+            text: 'Hi @Grace',
+            createdAt: 1000,
+            mentions: ['user2'],
+          },
+        },
+      }
+    );
+  });
+
+  it('records who resolved a thread and clears it on reopen', async () => {
+    vi.spyOn(Date, 'now').mockReturnValue(2000);
+    await setCommentThreadResolved('canvas1', 'thread1', true, 'user1');
+    expect(update).toHaveBeenLastCalledWith(
+      {},
+      {
+        resolved: true,
+        resolvedBy: 'user1',
+        resolvedAt: 2000,
+      }
+    );
+    expect(ref).toHaveBeenLastCalledWith(expect.anything(), 'canvases/canvas1/comments/thread1');
+
+    await setCommentThreadResolved('canvas1', 'thread1', false, 'user1');
+    expect(update).toHaveBeenLastCalledWith(
+      {},
+      {
+        resolved: false,
+        resolvedBy: null,
+        resolvedAt: null,
+      }
+    );
+  });
+
+  it('lists threads by latest activity with their messages in order', () => {
+    onValue.mockImplementationOnce((_ref, callback) => {
+      callback({
+        val: () => ({
+          old: {
+            createdAt: 1,
+            messages: { m2: { text: 'second', createdAt: 5 }, m1: { text: 'first', createdAt: 1 } },
+          },
+          recent: { createdAt: 3, messages: { m3: { text: 'only', createdAt: 3 } } },
+        }),
+      });
+    });
+    const callback = vi.fn();
+    subscribeToComments('canvas1', callback);
+
+    const threads = callback.mock.calls[0][0];
+    expect(threads.map((thread) => thread.id)).toEqual(['old', 'recent']);
+    expect(threads[0].lastActivityAt).toBe(5);
+    expect(threads[0].messages.map((message) => message.id)).toEqual(['m1', 'm2']);
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { get, update, onValue } from 'firebase/database';
+import {
+  startOfflineSync,
+  isQueueingWrites,
+  queueObjectWrite,
+  applyQueuedObjectWrites,
+  rememberServerObjects,
+  subscribeToOfflineStatus,
+  dismissOfflineConflicts,
+} from '../../services/offlineService';
+import { loadQueuedWrites, saveQueuedWrite, deleteQueuedWrite } from '../../services/offlineStore';
+
+// Firebase mocks are set up in setup.js
+vi.mock('../../services/offlineStore', () => ({
+  loadCachedObjects: vi.fn(() => Promise.resolve(null)),
+  saveCachedObjects: vi.fn(() => Promise.resolve()),
+  loadQueuedWrites: vi.fn(() => Promise.resolve([])),
+  saveQueuedWrite: vi.fn(() => Promise.resolve()),
+  deleteQueuedWrite: vi.fn(() => Promise.resolve()),
+}));
+
+const snapshotOf = (value) => ({ exists: () => value != null, val: () => value });
+const rect = { id: 'a', type: 'rectangle', x: 0, y: 0, width: 10, height: 10 };
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('offlineService', () => {
+  let setConnected;
+  let stop;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    onValue.mockImplementationOnce((_ref, cb) => {
+      setConnected = (connected) => cb(snapshotOf(connected));
+      return vi.fn();
+    });
+    stop = startOfflineSync('canvas1');
+    setConnected(true);
+    rememberServerObjects('canvas1', [rect]);
+  });
+
+  afterEach(() => {
+    stop();
+  });
+
+  it('queues writes while offline and shows them applied', async () => {
+    const statuses = [];
+    const unsubscribe = subscribeToOfflineStatus('canvas1', (status) => statuses.push(status));
+    expect(isQueueingWrites('canvas1')).toBe(false);
+
+    setConnected(false);
+    expect(isQueueingWrites('canvas1')).toBe(true);
+    await queueObjectWrite('canvas1', { 'a/x': 40 });
+
+    expect(saveQueuedWrite).toHaveBeenCalledWith(
+      expect.objectContaining({ paths: { 'a/x': 40 }, base: { 'a/x': 0 } })
+    );
+    expect(applyQueuedObjectWrites('canvas1', [rect])).toEqual([{ ...rect, x: 40 }]);
+    expect(statuses.at(-1)).toEqual({
+      online: false,
+      pendingCount: 1,
+      conflictCount: 0,
+      failedCount: 0,
+    });
+    expect(update).not.toHaveBeenCalled();
+    unsubscribe();
+  });
+
+  it('replays the queue on reconnect, keeping fields others changed meanwhile', async () => {
+    setConnected(false);
+    await queueObjectWrite('canvas1', { 'a/x': 40, 'a/y': 50 });
+    await queueObjectWrite('canvas1', { b: { type: 'circle', x: 1, y: 1, radius: 5 } });
+
+    get
+      .mockResolvedValueOnce(snapshotOf({ ...rect, x: 25 }))
+      .mockResolvedValueOnce(snapshotOf(null));
+    setConnected(true);
+    await flush();
+
+    expect(update.mock.calls.map((call) => call[1])).toEqual([
+      { 'a/y': 50 },
+      { b: { type: 'circle', x: 1, y: 1, radius: 5 } },
+    ]);
+    expect(deleteQueuedWrite).toHaveBeenCalledTimes(2);
+
+    const callback = vi.fn();
+    subscribeToOfflineStatus('canvas1', callback)();
+    expect(callback).toHaveBeenCalledWith(expect.objectContaining({ conflictCount: 1 }));
+    expect(isQueueingWrites('canvas1')).toBe(false);
+
+    dismissOfflineConflicts('canvas1');
+    subscribeToOfflineStatus('canvas1', callback)();
+    expect(callback).toHaveBeenLastCalledWith({
+      online: true,
+      pendingCount: 0,
+      conflictCount: 0,
+      failedCount: 0,
+    });
+  });
+
+  it('drops a write that fails while online as failed, and can replay again afterwards', async () => {
+    setConnected(false);
+    await queueObjectWrite('canvas1', { 'a/x': 40 });
+    await queueObjectWrite('canvas1', { 'a/y': 50 });
+
+    // The shape as the server has it, read once per write replayed
+    [1, 2, 3, 4].forEach(() => get.mockResolvedValueOnce(snapshotOf(rect)));
+    update.mockRejectedValueOnce(new Error('PERMISSION_DENIED'));
+    setConnected(true);
+    await flush();
+
+    expect(update.mock.calls.map((call) => call[1])).toEqual([{ 'a/x': 40 }, { 'a/y': 50 }]);
+    const callback = vi.fn();
+    subscribeToOfflineStatus('canvas1', callback)();
+    expect(callback).toHaveBeenCalledWith({
+      online: true,
+      pendingCount: 0,
+      conflictCount: 0,
+      failedCount: 1,
+    });
+
+    // Storage failing after a write was sent still leaves replay usable
+    setConnected(false);
+    await queueObjectWrite('canvas1', { 'a/x': 60 });
+    deleteQueuedWrite.mockRejectedValueOnce(new Error('QuotaExceededError'));
+    setConnected(true);
+    await flush();
+    setConnected(false);
+    await queueObjectWrite('canvas1', { 'a/x': 70 });
+    setConnected(true);
+    await flush();
+    expect(update.mock.calls.map((call) => call[1]).slice(2)).toEqual([
+      { 'a/x': 60 },
+      { 'a/x': 70 },
+    ]);
+  });
+
+  it('replays writes left from an earlier visit', async () => {
+    stop();
+    loadQueuedWrites.mockResolvedValueOnce([
+      { id: 'old', canvasId: 'canvas1', paths: { 'a/x': 7 }, base: { 'a/x': 0 }, createdAt: 1 },
+    ]);
+    onValue.mockImplementationOnce((_ref, cb) => {
+      cb(snapshotOf(true));
+      return vi.fn();
+    });
+    get.mockResolvedValueOnce(snapshotOf(rect));
+    stop = startOfflineSync('canvas1');
+    await flush();
+
+    expect(update).toHaveBeenCalledWith(expect.anything(), { 'a/x': 7 });
+    expect(deleteQueuedWrite).toHaveBeenCalledWith('old');
+  });
+});
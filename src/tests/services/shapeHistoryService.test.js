@@ -0,0 +1,96 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { ref, set, push, update } from 'firebase/database';
+import { auth } from '../../services/firebase';
+import { getEditAttribution, recordShapeChange } from '../../services/shapeHistoryService';
+import { batchUpdateShapes, updateShape } from '../../services/canvasService';
+
+// Firebase mocks are set up in setup.js
+
+describe('shapeHistoryService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    auth.currentUser = { uid: 'user1', displayName: 'Ada' };
+    push.mockImplementation(() => ({ key: 'entry' }));
+  });
+
+  afterEach(() => {
+    auth.currentUser = null;
+    vi.restoreAllMocks();
+  });
+
+  it('attributes writes to the signed-in user, and nothing when signed out', () => {
+    vi.spyOn(Date, 'now').mockReturnValue(1000);
+    expect(getEditAttribution()).toEqual({
+      lastModifiedBy: 'user1',
+      lastModifiedByName: 'Ada',
+      lastModifiedAt: 1000,
+    });
+
+    auth.currentUser = null;
+    expect(getEditAttribution()).toEqual({});
+    recordShapeChange('canvas1', 'shape0', 'create');
+    expect(set).not.toHaveBeenCalled();
+  });
+
+  it("merges a user's quick successive edits into one entry", () => {
+    const now = vi.spyOn(Date, 'now').mockReturnValue(1000);
+    recordShapeChange('canvas1', 'shape1', 'update', ['x', 'y']);
+    now.mockReturnValue(2000);
+    recordShapeChange('canvas1', 'shape1', 'update', ['x', 'y']);
+    recordShapeChange('canvas1', 'shape1', 'update', ['width']);
+
+    expect(push).toHaveBeenCalledTimes(1);
+    expect(set).toHaveBeenCalledTimes(2);
+    expect(set).toHaveBeenLastCalledWith(
+      { key: 'entry' },
+      {
+        userId: 'user1',
+        userName: 'Ada',
+        action: 'update',
+        fields: ['width', 'x', 'y'],
+        createdAt: 1000,
+      }
+    );
+
+    // Much later, or another kind of change, starts a new entry
+    now.mockReturnValue(100000);
+    recordShapeChange('canvas1', 'shape1', 'update', ['x']);
+    recordShapeChange('canvas1', 'shape1', 'delete');
+    expect(push).toHaveBeenCalledTimes(3);
+    expect(set).toHaveBeenLastCalledWith(
+      { key: 'entry' },
+      { userId: 'user1', userName: 'Ada', action: 'delete', createdAt: 100000 }
+    );
+  });
+
+  it('logs and attributes shape edits but not lock changes', async () => {
+    await updateShape('canvas1', 'shape2', { lockedBy: 'user1', lockedByUserName: 'Ada' });
+    expect(push).not.toHaveBeenCalled();
+
+    await updateShape('canvas1', 'shape2', { color: '#ff0000' });
+    expect(ref).toHaveBeenCalledWith({}, 'canvases/canvas1/shapeHistory/shape2');
+    expect(set).toHaveBeenCalledWith(
+      { key: 'entry' },
+      expect.objectContaining({ action: 'update', fields: ['color'] })
+    );
+  });
+
+  it("doesn't attribute writes that clear a whole shape, so nothing is left behind", async () => {
+    await batchUpdateShapes('canvas1', { shape3: { type: null, x: null }, shape4: { x: 5 } });
+    expect(update).toHaveBeenCalledWith(
+      {},
+      {
+        'shape3/type': null,
+        'shape3/x': null,
+        'shape4/x': 5,
+        'shape4/lastModifiedBy': 'user1',
+        'shape4/lastModifiedByName': 'Ada',
+        'shape4/lastModifiedAt': expect.any(Number),
+      }
+    );
+    expect(set).toHaveBeenCalledWith(
+      { key: 'entry' },
+      expect.objectContaining({ action: 'delete' })
+    );
+  });
+});
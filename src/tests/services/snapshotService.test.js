@@ -0,0 +1,84 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { get, update } from 'firebase/database';
+import {
+  createSnapshot,
+  createAutoSnapshotIfDue,
+  restoreSnapshot,
+} from '../../services/snapshotService';
+import { hashSnapshotObjects } from '../../utils/snapshotUtils';
+
+// Firebase mocks are set up in setup.js
+
+const snapshotOf = (value) => ({ exists: () => value != null, val: () => value });
+
+const rect = { id: 'a', type: 'rectangle', x: 0, y: 0, width: 10, height: 10 };
+
+describe('snapshotService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('createSnapshot', () => {
+    it('writes metadata and objects in a single update', async () => {
+      get.mockResolvedValueOnce(snapshotOf({ a: { ...rect, lockedBy: 'u2' } }));
+
+      const id = await createSnapshot('canvas1', { userId: 'u1', userName: 'Ann', name: ' v1 ' });
+
+      expect(update).toHaveBeenCalledTimes(1);
+      const payload = update.mock.calls[0][1];
+      expect(payload[`meta/${id}`]).toMatchObject({
+        name: 'v1',
+        createdBy: 'u1',
+        auto: false,
+        shapeCount: 1,
+      });
+      expect(payload[`objects/${id}`]).toEqual({ a: rect });
+    });
+  });
+
+  describe('createAutoSnapshotIfDue', () => {
+    it('skips when the latest snapshot is recent', async () => {
+      get.mockResolvedValueOnce(snapshotOf({ s1: { createdAt: Date.now(), hash: 'x' } }));
+
+      const id = await createAutoSnapshotIfDue('canvas1', { userId: 'u1', minInterval: 60000 });
+
+      expect(id).toBeNull();
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    it('skips when nothing changed since the latest snapshot', async () => {
+      const hash = hashSnapshotObjects({ a: rect });
+      get
+        .mockResolvedValueOnce(snapshotOf({ s1: { createdAt: 0, hash } }))
+        .mockResolvedValueOnce(snapshotOf({ a: rect }));
+
+      const id = await createAutoSnapshotIfDue('canvas1', { userId: 'u1', minInterval: 60000 });
+
+      expect(id).toBeNull();
+      expect(update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('restoreSnapshot', () => {
+    it('saves the current state, then applies the snapshot through batchUpdateShapes', async () => {
+      const moved = { ...rect, x: 200 };
+      get
+        .mockResolvedValueOnce(snapshotOf({ a: rect })) // snapshot objects
+        .mockResolvedValueOnce(snapshotOf({ a: moved })); // current objects
+
+      await restoreSnapshot(
+        'canvas1',
+        { id: 's1', name: 'v1', shapeCount: 1 },
+        { userId: 'u1', userName: 'Ann' }
+      );
+
+      const backup = Object.values(update.mock.calls[0][1]);
+      expect(backup[0]).toMatchObject({ name: 'Before restoring "v1"', auto: true });
+      expect(backup[1]).toEqual({ a: moved });
+
+      // The last update is the multi-path write from batchUpdateShapes
+      const restore = update.mock.calls[update.mock.calls.length - 1][1];
+      expect(restore).toEqual({ 'a/x': 0 });
+    });
+  });
+});
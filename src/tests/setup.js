@@ -42,12 +42,25 @@ vi.mock('firebase/database', () => ({
     cb({ val: () => null, exists: () => false });
     return vi.fn();
   }),
+  onChildAdded: vi.fn(() => vi.fn()),
+  onChildChanged: vi.fn(() => vi.fn()),
+  onChildRemoved: vi.fn(() => vi.fn()),
   off: vi.fn(),
+  push: vi.fn(() => ({ key: 'pushed' })),
   query: vi.fn(),
   orderByChild: vi.fn(),
+  limitToLast: vi.fn(),
+  runTransaction: vi.fn((_ref, transactionUpdate) => {
+    const value = transactionUpdate(null) ?? null;
+    return Promise.resolve({
+      committed: value !== null,
+      snapshot: { exists: () => value !== null, val: () => value },
+    });
+  }),
   onDisconnect: vi.fn(() => ({
     set: vi.fn(() => Promise.resolve()),
     remove: vi.fn(() => Promise.resolve()),
+    cancel: vi.fn(() => Promise.resolve()),
   })),
 }));
 
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { getPngExportSize, shouldUseVision } from '../../utils/canvasCapture';
+import { MAX_EXPORT_DIMENSION, MAX_EXPORT_PIXELS } from '../../utils/constants';
+
+describe('getPngExportSize', () => {
+  it('multiplies the region by the requested scale', () => {
+    expect(getPngExportSize({ width: 400, height: 300 }, 2)).toEqual({
+      width: 800,
+      height: 600,
+      scale: 2,
+      limited: false,
+    });
+  });
+
+  it('reduces the scale for the full 5000x5000 canvas at 4x', () => {
+    const size = getPngExportSize({ width: 5000, height: 5000 }, 4);
+    expect(size.limited).toBe(true);
+    expect(size.width).toBeLessThanOrEqual(MAX_EXPORT_DIMENSION);
+    expect(size.width * size.height).toBeLessThanOrEqual(MAX_EXPORT_PIXELS + size.width);
+  });
+
+  it('respects the per-side limit for very wide regions', () => {
+    const size = getPngExportSize({ width: 20000, height: 100 }, 1);
+    expect(size.width).toBe(MAX_EXPORT_DIMENSION);
+    expect(size.limited).toBe(true);
+  });
+
+  it('never returns a zero-sized image', () => {
+    expect(getPngExportSize({ width: 0.2, height: 0.2 }, 1)).toMatchObject({ width: 1, height: 1 });
+  });
+});
+
+describe('shouldUseVision', () => {
+  it('still detects visual questions', () => {
+    expect(shouldUseVision('What color is the circle?')).toBe(true);
+    expect(shouldUseVision('')).toBe(false);
+  });
+});
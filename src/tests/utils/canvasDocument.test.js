@@ -0,0 +1,195 @@
+import { describe, it, expect } from 'vitest';
+import {
+  CANVAS_DOCUMENT_FORMAT,
+  CANVAS_DOCUMENT_VERSION,
+  createCanvasDocument,
+  parseCanvasDocument,
+  upgradeCanvasDocument,
+} from '../../utils/canvasDocument';
+
+const rect = { type: 'rectangle', x: 10, y: 20, width: 100, height: 50, color: '#ff0000' };
+
+const currentDocument = (overrides = {}) => ({
+  format: CANVAS_DOCUMENT_FORMAT,
+  version: CANVAS_DOCUMENT_VERSION,
+  metadata: { name: 'My Canvas' },
+  settings: { backgroundColor: '#ffffff', gridVisible: true },
+  objects: [{ ...rect, id: 'shape1' }],
+  ...overrides,
+});
+
+describe('parseCanvasDocument', () => {
+  it('accepts a current-version document', () => {
+    const result = parseCanvasDocument(currentDocument());
+    expect(result.success).toBe(true);
+    expect(result.document.metadata.name).toBe('My Canvas');
+    expect(result.document.objects).toHaveLength(1);
+  });
+
+  it('keeps unknown shape fields', () => {
+    const result = parseCanvasDocument(
+      currentDocument({ objects: [{ ...rect, id: 'shape1', customField: 42 }] })
+    );
+    expect(result.document.objects[0].customField).toBe(42);
+  });
+
+  it('defaults missing settings', () => {
+    const doc = currentDocument();
+    delete doc.settings;
+    expect(parseCanvasDocument(doc).document.settings).toEqual({});
+  });
+
+  it('reports the path of the first invalid field', () => {
+    const result = parseCanvasDocument(
+      currentDocument({ objects: [{ ...rect, id: 'shape1', width: 'wide' }] })
+    );
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('objects.0.width');
+  });
+
+  it('validates border and opacity styling', () => {
+    const styled = { ...rect, id: 'shape1', strokeWidth: 2, strokeDash: 'dotted', opacity: 0.5 };
+    expect(parseCanvasDocument(currentDocument({ objects: [styled] })).success).toBe(true);
+    const result = parseCanvasDocument(currentDocument({ objects: [{ ...styled, opacity: 2 }] }));
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('objects.0.opacity');
+  });
+
+  it('validates rich text boxes', () => {
+    const text = {
+      type: 'text',
+      id: 'shape1',
+      x: 0,
+      y: 0,
+      width: 200,
+      height: 60,
+      text: 'Hi',
+      textAlign: 'center',
+      richText: { blocks: [{ type: 'paragraph', spans: [{ text: 'Hi', bold: true }] }] },
+    };
+    expect(parseCanvasDocument(currentDocument({ objects: [text] })).success).toBe(true);
+    const result = parseCanvasDocument(
+      currentDocument({ objects: [{ ...text, richText: { blocks: [{ type: 'quote' }] } }] })
+    );
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('objects.0.richText');
+  });
+
+  it('validates sticky notes', () => {
+    const sticky = {
+      type: 'sticky',
+      id: 'shape1',
+      x: 0,
+      y: 0,
+      width: 200,
+      height: 200,
+      text: 'Idea',
+      color: '#fff59d',
+      createdByName: 'Ada',
+    };
+    expect(parseCanvasDocument(currentDocument({ objects: [sticky] })).success).toBe(true);
+    const { width: _width, ...withoutWidth } = sticky;
+    expect(parseCanvasDocument(currentDocument({ objects: [withoutWidth] })).success).toBe(false);
+  });
+
+  it('rejects unknown shape types', () => {
+    const result = parseCanvasDocument(
+      currentDocument({ objects: [{ type: 'hexagram', x: 0, y: 0 }] })
+    );
+    expect(result.success).toBe(false);
+  });
+
+  it('requires vertices on custom polygons but not x/y', () => {
+    const vertices = [
+      { x: 0, y: 0 },
+      { x: 10, y: 0 },
+      { x: 5, y: 10 },
+    ];
+    expect(
+      parseCanvasDocument(currentDocument({ objects: [{ type: 'customPolygon', vertices }] }))
+        .success
+    ).toBe(true);
+    expect(
+      parseCanvasDocument(
+        currentDocument({ objects: [{ type: 'customPolygon', vertices: vertices.slice(0, 2) }] })
+      ).success
+    ).toBe(false);
+  });
+
+  it('rejects documents from a newer version', () => {
+    const result = parseCanvasDocument(currentDocument({ version: CANVAS_DOCUMENT_VERSION + 1 }));
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/newer version/);
+  });
+
+  it('rejects values that are not objects', () => {
+    expect(parseCanvasDocument(null).success).toBe(false);
+    expect(parseCanvasDocument([]).success).toBe(false);
+    expect(parseCanvasDocument('canvas').success).toBe(false);
+  });
+});
+
+describe('upgradeCanvasDocument', () => {
+  const legacy = {
+    version: 1,
+    metadata: { name: 'Old Canvas', settings: { backgroundColor: '#000000' } },
+    objects: {
+      top: { ...rect, zIndex: 2 },
+      bottom: { ...rect, zIndex: 1 },
+    },
+  };
+
+  it('converts the database layout to the current version', () => {
+    const upgraded = upgradeCanvasDocument(legacy);
+    expect(upgraded.format).toBe(CANVAS_DOCUMENT_FORMAT);
+    expect(upgraded.version).toBe(CANVAS_DOCUMENT_VERSION);
+    expect(upgraded.settings).toEqual({ backgroundColor: '#000000' });
+    expect(upgraded.metadata).toEqual({ name: 'Old Canvas' });
+  });
+
+  it('turns the objects map into an array ordered by zIndex', () => {
+    const upgraded = upgradeCanvasDocument(legacy);
+    expect(upgraded.objects.map((o) => o.id)).toEqual(['bottom', 'top']);
+  });
+
+  it('treats documents without a version as version 1', () => {
+    const { version: _version, ...unversioned } = legacy;
+    const result = parseCanvasDocument(unversioned);
+    expect(result.success).toBe(true);
+    expect(result.document.objects).toHaveLength(2);
+  });
+});
+
+describe('createCanvasDocument', () => {
+  it('builds a current-version document from database data', () => {
+    const doc = createCanvasDocument({
+      metadata: { name: 'Exported', createdBy: 'user1', settings: { gridVisible: true } },
+      objects: { shape1: rect },
+    });
+    expect(doc.format).toBe(CANVAS_DOCUMENT_FORMAT);
+    expect(doc.version).toBe(CANVAS_DOCUMENT_VERSION);
+    expect(doc.metadata).toEqual({ name: 'Exported' });
+    expect(doc.settings).toEqual({ gridVisible: true });
+    expect(doc.objects[0].id).toBe('shape1');
+  });
+
+  it('strips lock fields and sorts by zIndex', () => {
+    const doc = createCanvasDocument({
+      metadata: { name: 'Exported' },
+      objects: {
+        a: { ...rect, zIndex: 5, lockedBy: 'user2', lockedByUserName: 'Bob' },
+        b: { ...rect, zIndex: 1 },
+      },
+    });
+    expect(doc.objects.map((o) => o.id)).toEqual(['b', 'a']);
+    expect(doc.objects[1]).not.toHaveProperty('lockedBy');
+    expect(doc.objects[1]).not.toHaveProperty('lockedByUserName');
+  });
+
+  it('round-trips through parseCanvasDocument', () => {
+    const doc = createCanvasDocument({ metadata: { name: 'Round trip' }, objects: { a: rect } });
+    const result = parseCanvasDocument(JSON.parse(JSON.stringify(doc)));
+    expect(result.success).toBe(true);
+    expect(result.document.objects[0]).toMatchObject(rect);
+  });
+});
@@ -20,8 +20,8 @@ function makeContext(overrides = {}) {
 }
 
 describe('canvasToolDefinitions', () => {
-  it('exports 9 tool definitions', () => {
-    expect(canvasToolDefinitions).toHaveLength(9);
+  it('exports 11 tool definitions', () => {
+    expect(canvasToolDefinitions).toHaveLength(11);
   });
 
   it('each definition has type "function" with name and parameters', () => {
@@ -93,9 +93,92 @@ describe('executeCanvasTool', () => {
       expect(call.x).toBeGreaterThanOrEqual(0);
       expect(call.y).toBeGreaterThanOrEqual(0);
     });
+
+    it('places shapes anywhere on an infinite canvas', () => {
+      const ctx = makeContext({ infinite: true });
+      executeCanvasTool('createShape', { shapeType: 'rectangle', x: -100, y: 8000 }, ctx);
+      expect(ctx.createShape.mock.calls[0][0]).toMatchObject({ x: -100, y: 8000 });
+    });
+
+    it('creates a connector attached to existing shapes', () => {
+      const shapes = [
+        { id: 'a', type: 'rectangle', x: 100, y: 100, width: 100, height: 100 },
+        { id: 'b', type: 'circle', x: 150, y: 500, radius: 50 },
+      ];
+      const ctx = makeContext({ shapes });
+      const result = executeCanvasTool(
+        'createShape',
+        { shapeType: 'connector', fromShapeId: 'a', toShapeId: 'b', endArrowhead: 'triangle' },
+        ctx
+      );
+      expect(result.success).toBe(true);
+      expect(ctx.createShape).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: 'connector',
+          x: 150,
+          y: 200,
+          x2: 150,
+          y2: 450,
+          startAnchor: 'bottom',
+          endAnchor: 'top',
+          endArrowhead: 'triangle',
+        })
+      );
+    });
+
+    it('creates a free connector from points and rejects unknown shapes', () => {
+      const ctx = makeContext();
+      expect(
+        executeCanvasTool('createShape', { shapeType: 'connector', x: 0, y: 0, x2: 50, y2: 0 }, ctx)
+          .success
+      ).toBe(true);
+      const result = executeCanvasTool(
+        'createShape',
+        { shapeType: 'connector', fromShapeId: 'missing', x2: 50, y2: 0 },
+        ctx
+      );
+      expect(result.success).toBe(false);
+      expect(result.message).toContain('missing');
+    });
+
+    it('creates sticky notes signed by the user, side by side and only in paper colors', () => {
+      const ctx = makeContext({ userName: 'Ada' });
+      const result = executeCanvasTool(
+        'createShape',
+        { shapeType: 'sticky', x: 100, y: 100, count: 2, text: 'Idea', color: '#ff0000' },
+        ctx
+      );
+      expect(result.message).toBe('Created 2 sticky notes');
+      const [first, second] = ctx.createShape.mock.calls.map(([data]) => data);
+      expect(first).toMatchObject({
+        type: 'sticky',
+        x: 100,
+        width: 200,
+        height: 200,
+        text: 'Idea',
+        color: '#fff59d',
+        createdBy: 'user1',
+        createdByName: 'Ada',
+      });
+      expect(second.x).toBe(320);
+    });
   });
 
   describe('createShapesBatch', () => {
+    it('creates sticky notes in a batch', () => {
+      const ctx = makeContext();
+      const shapes = [
+        { shapeType: 'sticky', x: 100, y: 100, text: 'One', color: '#b3e5fc' },
+        { shapeType: 'sticky', x: 4990, y: 100, text: 'Two' },
+      ];
+      const result = executeCanvasTool('createShapesBatch', { shapes }, ctx);
+      expect(result.data.created).toBe(2);
+      expect(ctx.createShape.mock.calls[0][0]).toMatchObject({ text: 'One', color: '#b3e5fc' });
+      expect(ctx.createShape.mock.calls[0][0]).not.toHaveProperty('createdByName');
+      // Kept on the canvas
+      expect(ctx.createShape.mock.calls[1][0].x).toBe(4800);
+    });
+
     it('creates shapes at specific positions', () => {
       const ctx = makeContext();
       const shapes = [
@@ -112,6 +195,38 @@ describe('executeCanvasTool', () => {
       expect(result.success).toBe(false);
     });
 
+    it('creates connectors between shapes from the same batch', () => {
+      let n = 0;
+      const ctx = makeContext({ createShape: vi.fn((data) => ({ id: `shape_${n++}`, ...data })) });
+      const shapes = [
+        { shapeType: 'rectangle', x: 100, y: 100, width: 100, height: 50 },
+        { shapeType: 'rectangle', x: 400, y: 100, width: 100, height: 50 },
+        { shapeType: 'connector', fromIndex: 0, toIndex: 1, routing: 'elbow' },
+      ];
+      const result = executeCanvasTool('createShapesBatch', { shapes }, ctx);
+      expect(result.data.created).toBe(3);
+      expect(ctx.createShape.mock.calls[2][0]).toMatchObject({
+        type: 'connector',
+        startShapeId: 'shape_0',
+        startAnchor: 'right',
+        endShapeId: 'shape_1',
+        endAnchor: 'left',
+        routing: 'elbow',
+        x: 200,
+        x2: 400,
+      });
+    });
+
+    it('rejects connectors that refer to later shapes', () => {
+      const shapes = [
+        { shapeType: 'connector', fromIndex: 1, toIndex: 2 },
+        { shapeType: 'rectangle', x: 100, y: 100 },
+      ];
+      const result = executeCanvasTool('createShapesBatch', { shapes }, makeContext());
+      expect(result.data.failed).toBe(1);
+      expect(result.message).toContain('earlier shape');
+    });
+
     it('rejects batch exceeding 50 shapes', () => {
       const shapes = Array.from({ length: 51 }, (_, i) => ({
         shapeType: 'rectangle',
@@ -230,6 +345,27 @@ describe('executeCanvasTool', () => {
       expect(ctx.batchUpdateShapes).toHaveBeenCalledTimes(1);
     });
 
+    it('sets stroke, dash, corner radius and opacity, clamping out-of-range values', () => {
+      const shapes = [{ id: 's1', type: 'rectangle', x: 100, y: 100, width: 50, height: 50 }];
+      const ctx = makeContext({ shapes });
+      const result = executeCanvasTool(
+        'updateShapeProperties',
+        {
+          strokeColor: '#112233',
+          strokeWidth: 999,
+          strokeDash: 'wavy',
+          cornerRadius: 8,
+          opacity: 1.5,
+          useSelected: false,
+        },
+        ctx
+      );
+      expect(result.success).toBe(true);
+      expect(ctx.batchUpdateShapes).toHaveBeenCalledWith({
+        s1: { strokeColor: '#112233', strokeWidth: 20, cornerRadius: 8, opacity: 1 },
+      });
+    });
+
     it('returns error with no shapes', () => {
       const result = executeCanvasTool(
         'updateShapeProperties',
@@ -282,6 +418,12 @@ describe('executeCanvasTool', () => {
       expect(result.data.selectedShapes).toBe(1);
       expect(result.data.shapesByType.rectangle).toBe(2);
       expect(result.data.shapesByType.circle).toBe(1);
+      expect(result.data.infinite).toBe(false);
+    });
+
+    it('reports an infinite canvas', () => {
+      const result = executeCanvasTool('getCanvasInfo', {}, makeContext({ infinite: true }));
+      expect(result.data.infinite).toBe(true);
     });
   });
 
@@ -318,4 +460,76 @@ describe('executeCanvasTool', () => {
       expect(result.data.count).toBe(2);
     });
   });
+
+  describe('groups', () => {
+    const shapes = [
+      { id: 'g1', type: 'group', name: 'Header', groupId: null },
+      { id: 's1', type: 'rectangle', x: 100, y: 100, width: 50, height: 50, groupId: 'g1' },
+      { id: 's2', type: 'rectangle', x: 200, y: 100, width: 50, height: 50, groupId: 'g1' },
+      { id: 's3', type: 'rectangle', x: 400, y: 300, width: 50, height: 50 },
+    ];
+
+    it('groups the top-level units of the given shapes', () => {
+      const groupShapes = vi.fn(() => 'g2');
+      const result = executeCanvasTool(
+        'groupShapes',
+        { shapeIds: ['s1', 's3'], name: 'Row' },
+        makeContext({ shapes, groupShapes })
+      );
+      expect(result.success).toBe(true);
+      expect(groupShapes).toHaveBeenCalledWith(['g1', 's3'], 'Row');
+      expect(result.data.groupId).toBe('g2');
+    });
+
+    it('needs at least two units to group', () => {
+      const groupShapes = vi.fn();
+      const result = executeCanvasTool(
+        'groupShapes',
+        { shapeIds: ['s1', 's2'] },
+        makeContext({ shapes, groupShapes })
+      );
+      expect(result.success).toBe(false);
+      expect(groupShapes).not.toHaveBeenCalled();
+    });
+
+    it('ungroups groups by name', () => {
+      const ungroupShapes = vi.fn(() => true);
+      const result = executeCanvasTool(
+        'ungroupShapes',
+        { groupName: 'Header' },
+        makeContext({ shapes, ungroupShapes })
+      );
+      expect(result.success).toBe(true);
+      expect(ungroupShapes).toHaveBeenCalledWith(['g1']);
+    });
+
+    it('moves a group as one unit when aligning', () => {
+      const ctx = makeContext({ shapes, selectedShapeIds: ['s1', 's2', 's3'] });
+      executeCanvasTool('alignShapes', { alignment: 'bottom' }, ctx);
+      const updates = ctx.batchUpdateShapes.mock.calls[0][0];
+      expect(updates.s1).toEqual({ x: 100, y: 300 });
+      expect(updates.s2).toEqual({ x: 200, y: 300 });
+      expect(updates.g1).toBeUndefined();
+    });
+
+    it('lists groups in canvas info without counting them as shapes', () => {
+      const result = executeCanvasTool('getCanvasInfo', {}, makeContext({ shapes }));
+      expect(result.data.totalShapes).toBe(3);
+      expect(result.data.shapesByType.group).toBeUndefined();
+      expect(result.data.groups).toEqual([{ id: 'g1', name: 'Header', memberCount: 2 }]);
+    });
+
+    it('selects a group by name', () => {
+      const ctx = makeContext({ shapes });
+      const result = executeCanvasTool('selectShapes', { groupName: 'Header' }, ctx);
+      expect(ctx.selectShape).toHaveBeenCalledWith('g1');
+      expect(result.data.count).toBe(2);
+    });
+
+    it('deletes groups left empty', () => {
+      const ctx = makeContext({ shapes, selectedShapeIds: ['s1', 's2'] });
+      executeCanvasTool('deleteShapes', { confirmation: true }, ctx);
+      expect(ctx.deleteShape.mock.calls.map(([id]) => id)).toEqual(['s1', 's2', 'g1']);
+    });
+  });
 });
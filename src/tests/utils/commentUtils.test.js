@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getCommentAnchor,
+  getCommentPosition,
+  getMentionCandidates,
+  splitMentions,
+  findMentions,
+  getMentionQuery,
+} from '../../utils/commentUtils';
+
+const rect = { id: 'r1', type: 'rectangle', x: 100, y: 100, width: 200, height: 100 };
+const members = [
+  { userId: 'u1', userName: 'Ada' },
+  { userId: 'u2', userName: 'Ada Lovelace' },
+  { userId: 'u3', userName: 'Grace' },
+];
+
+describe('comment anchors', () => {
+  it('pins to a point, or to a shape so the pin follows it', () => {
+    expect(getCommentAnchor({ x: 5, y: 6 })).toEqual({ x: 5, y: 6, shapeId: null });
+
+    const anchor = getCommentAnchor({ x: 150, y: 175 }, rect);
+    expect(anchor).toEqual({ x: 150, y: 175, shapeId: 'r1', offsetX: 0.25, offsetY: 0.75 });
+
+    const moved = { ...rect, x: 0, y: 0, width: 400 };
+    expect(getCommentPosition(anchor, new Map([['r1', moved]]))).toEqual({ x: 100, y: 75 });
+    // Once the shape is gone the pin stays where it was placed
+    expect(getCommentPosition(anchor, new Map())).toEqual({ x: 150, y: 175 });
+  });
+});
+
+describe('getMentionCandidates', () => {
+  it('combines members, online users and authors without duplicates', () => {
+    const candidates = getMentionCandidates({
+      permissions: { u1: 'owner', u2: { role: 'editor', userName: 'Linus' } },
+      onlineUsers: [
+        { userId: 'u2', userName: 'Someone else' },
+        { userId: 'u3', userName: 'Grace' },
+      ],
+      authors: [{ userId: 'u4', userName: 'Alan' }, { userId: 'u5' }],
+    });
+    expect(candidates).toEqual([
+      { userId: 'u4', userName: 'Alan' },
+      { userId: 'u3', userName: 'Grace' },
+      { userId: 'u2', userName: 'Linus' },
+    ]);
+  });
+});
+
+describe('mentions', () => {
+  it('matches the longest member name at word boundaries', () => {
+    expect(splitMentions('Ask @ada lovelace and @Grace.', members)).toEqual([
+      { text: 'Ask ' },
+      { text: '@ada lovelace', userId: 'u2' },
+      { text: ' and ' },
+      { text: '@Grace', userId: 'u3' },
+      { text: '.' },
+    ]);
+    expect(findMentions('mail ada@Grace or @Gracey, @Ada @Ada', members)).toEqual(['u1']);
+  });
+
+  it('finds the mention being typed at the caret', () => {
+    expect(getMentionQuery('Hi @Ad', 6)).toEqual({ start: 3, query: 'Ad' });
+    expect(getMentionQuery('Hi @Ada Lo', 10)).toEqual({ start: 3, query: 'Ada Lo' });
+    expect(getMentionQuery('mail@host', 9)).toBeNull();
+    expect(getMentionQuery('@Ada\nnext', 9)).toBeNull();
+  });
+});
@@ -0,0 +1,223 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getAnchorPoint,
+  getNearestAnchor,
+  findAnchorTarget,
+  resolveConnectorEndpoints,
+  getConnectorPoints,
+  getConnectorRoute,
+  pointsToPathData,
+  getArrowheadPath,
+  getConnectorEndpointUpdates,
+  remapConnectorBindings,
+  sortConnectorsLast,
+  offsetShapeCopy,
+} from '../../utils/connectorUtils';
+
+const rect = { id: 'r1', type: 'rectangle', x: 100, y: 100, width: 100, height: 50 };
+const circle = { id: 'c1', type: 'circle', x: 400, y: 125, radius: 25 };
+
+const connector = {
+  id: 'k1',
+  type: 'connector',
+  x: 0,
+  y: 0,
+  x2: 10,
+  y2: 10,
+  startShapeId: 'r1',
+  startAnchor: 'right',
+  endShapeId: 'c1',
+  endAnchor: 'left',
+};
+
+describe('getAnchorPoint', () => {
+  it('returns side midpoints and the center of the bounding box', () => {
+    expect(getAnchorPoint(rect, 'top')).toEqual({ x: 150, y: 100 });
+    expect(getAnchorPoint(rect, 'right')).toEqual({ x: 200, y: 125 });
+    expect(getAnchorPoint(rect, 'bottom')).toEqual({ x: 150, y: 150 });
+    expect(getAnchorPoint(rect, 'left')).toEqual({ x: 100, y: 125 });
+    expect(getAnchorPoint(rect, 'center')).toEqual({ x: 150, y: 125 });
+  });
+
+  it('uses the center-based position of circles', () => {
+    expect(getAnchorPoint(circle, 'left')).toEqual({ x: 375, y: 125 });
+  });
+
+  it('applies the shape rotation', () => {
+    const rotated = getAnchorPoint({ ...rect, rotation: 90 }, 'right');
+    expect(rotated.x).toBeCloseTo(150);
+    expect(rotated.y).toBeCloseTo(175);
+  });
+});
+
+describe('getNearestAnchor', () => {
+  it('picks the closest side anchor', () => {
+    const nearest = getNearestAnchor(rect, { x: 210, y: 130 });
+    expect(nearest.anchor).toBe('right');
+    expect(nearest.x).toBe(200);
+  });
+});
+
+describe('findAnchorTarget', () => {
+  it('snaps to an anchor within the distance', () => {
+    expect(findAnchorTarget([rect, circle], { x: 205, y: 128 }, 10)).toEqual({
+      shapeId: 'r1',
+      anchor: 'right',
+      x: 200,
+      y: 125,
+    });
+  });
+
+  it('attaches to the nearest anchor when the point is inside a shape', () => {
+    expect(findAnchorTarget([rect], { x: 110, y: 120 }, 5)?.anchor).toBe('left');
+  });
+
+  it('returns null away from shapes', () => {
+    expect(findAnchorTarget([rect, circle], { x: 1000, y: 1000 }, 20)).toBeNull();
+  });
+
+  it('ignores connectors, hidden and excluded shapes', () => {
+    const hidden = { ...circle, id: 'c2', visible: false };
+    expect(findAnchorTarget([connector, hidden], { x: 375, y: 125 }, 20)).toBeNull();
+    expect(findAnchorTarget([rect], { x: 200, y: 125 }, 20, ['r1'])).toBeNull();
+  });
+});
+
+describe('resolveConnectorEndpoints', () => {
+  it('follows bound shapes', () => {
+    const shapes = new Map([
+      ['r1', rect],
+      ['c1', circle],
+    ]);
+    expect(resolveConnectorEndpoints(connector, shapes)).toEqual({
+      start: { x: 200, y: 125 },
+      end: { x: 375, y: 125 },
+    });
+  });
+
+  it('falls back to the stored points when a bound shape is missing', () => {
+    expect(resolveConnectorEndpoints(connector, { r1: rect })).toEqual({
+      start: { x: 200, y: 125 },
+      end: { x: 10, y: 10 },
+    });
+  });
+});
+
+describe('getConnectorPoints', () => {
+  const start = { x: 0, y: 0 };
+  const end = { x: 100, y: 50 };
+
+  it('returns the two endpoints for straight routing', () => {
+    expect(getConnectorPoints(start, end)).toEqual([start, end]);
+  });
+
+  it('joins two horizontal anchors with a vertical segment half-way', () => {
+    expect(getConnectorPoints(start, end, 'elbow', 'right', 'left')).toEqual([
+      start,
+      { x: 50, y: 0 },
+      { x: 50, y: 50 },
+      end,
+    ]);
+  });
+
+  it('joins two vertical anchors with a horizontal segment half-way', () => {
+    expect(getConnectorPoints(start, end, 'elbow', 'bottom', 'top')).toEqual([
+      start,
+      { x: 0, y: 25 },
+      { x: 100, y: 25 },
+      end,
+    ]);
+  });
+
+  it('uses a single corner for mixed anchors', () => {
+    expect(getConnectorPoints(start, end, 'elbow', 'right', 'top')).toEqual([
+      start,
+      { x: 100, y: 0 },
+      end,
+    ]);
+  });
+
+  it('drops zero-length segments for aligned points', () => {
+    expect(getConnectorPoints(start, { x: 100, y: 0 }, 'elbow', 'right', 'left')).toEqual([
+      start,
+      { x: 50, y: 0 },
+      { x: 100, y: 0 },
+    ]);
+  });
+
+  it('routes the whole connector with resolved ends', () => {
+    const route = getConnectorRoute({ ...connector, routing: 'elbow' }, { r1: rect, c1: circle });
+    expect(route[0]).toEqual({ x: 200, y: 125 });
+    expect(route[route.length - 1]).toEqual({ x: 375, y: 125 });
+  });
+});
+
+describe('pointsToPathData', () => {
+  it('builds move/line commands', () => {
+    expect(
+      pointsToPathData([
+        { x: 0, y: 0 },
+        { x: 10.123, y: 5 },
+      ])
+    ).toBe('M 0 0 L 10.12 5');
+  });
+});
+
+describe('getArrowheadPath', () => {
+  const tip = { x: 100, y: 0 };
+  const from = { x: 0, y: 0 };
+
+  it('returns null for no arrowhead', () => {
+    expect(getArrowheadPath(tip, from, 'none')).toBeNull();
+  });
+
+  it('draws an open arrow through the tip', () => {
+    const arrow = getArrowheadPath(tip, from, 'arrow', 2);
+    expect(arrow.filled).toBe(false);
+    expect(arrow.d).toBe('M 88 6 L 100 0 L 88 -6');
+  });
+
+  it('draws filled triangles and dots', () => {
+    expect(getArrowheadPath(tip, from, 'triangle', 2)).toEqual({
+      d: 'M 100 0 L 88 6 L 88 -6 Z',
+      filled: true,
+    });
+    expect(getArrowheadPath(tip, from, 'circle', 2).filled).toBe(true);
+  });
+});
+
+describe('getConnectorEndpointUpdates', () => {
+  it('stores the new position of connectors bound to moved shapes', () => {
+    const moved = { ...rect, x: 300 };
+    const updates = getConnectorEndpointUpdates([moved, circle, connector], ['r1']);
+    expect(updates).toEqual({ k1: { x: 400, y: 125, x2: 375, y2: 125 } });
+  });
+
+  it('ignores connectors not attached to the moved shapes', () => {
+    expect(getConnectorEndpointUpdates([rect, circle, connector], ['other'])).toEqual({});
+  });
+});
+
+describe('copying connectors', () => {
+  it('rebinds copied ends and detaches the others', () => {
+    const copy = remapConnectorBindings(connector, { r1: 'r1-copy' });
+    expect(copy.startShapeId).toBe('r1-copy');
+    expect(copy.startAnchor).toBe('right');
+    expect(copy.endShapeId).toBeNull();
+    expect(copy.endAnchor).toBeNull();
+  });
+
+  it('sorts connectors after other shapes', () => {
+    expect(sortConnectorsLast([connector, rect, circle]).map((s) => s.id)).toEqual([
+      'r1',
+      'c1',
+      'k1',
+    ]);
+  });
+
+  it('offsets a connector copy from its resolved position', () => {
+    const copy = offsetShapeCopy(connector, 20, { r1: rect, c1: circle }, new Map());
+    expect(copy).toMatchObject({ x: 220, y: 145, x2: 395, y2: 145, startShapeId: null });
+    expect(offsetShapeCopy(rect, 20, {}, new Map())).toMatchObject({ x: 120, y: 120 });
+  });
+});
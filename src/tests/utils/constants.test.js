@@ -23,6 +23,9 @@ import {
   MAX_CANVASES_PER_USER,
   SHAPE_TYPES,
   CANVAS_ROLE,
+  READ_ONLY_ROLES,
+  COMMENTING_ROLES,
+  SHARE_ROLES,
 } from '../../utils/constants';
 
 describe('constants', () => {
@@ -122,12 +125,20 @@ describe('constants', () => {
       expect(SHAPE_TYPES.IMAGE).toBe('image');
     });
 
-    it('CANVAS_ROLE has owner, editor, viewer', () => {
+    it('CANVAS_ROLE has owner, editor, commenter, viewer', () => {
       expect(CANVAS_ROLE.OWNER).toBe('owner');
       expect(CANVAS_ROLE.EDITOR).toBe('editor');
+      expect(CANVAS_ROLE.COMMENTER).toBe('commenter');
       expect(CANVAS_ROLE.VIEWER).toBe('viewer');
     });
 
+    it('commenters can comment but not edit, and the owner role is never shared', () => {
+      expect(READ_ONLY_ROLES).toEqual(['commenter', 'viewer']);
+      expect(COMMENTING_ROLES).toContain('commenter');
+      expect(COMMENTING_ROLES).not.toContain('viewer');
+      expect(SHARE_ROLES).not.toContain('owner');
+    });
+
     it('MAX_CANVASES_PER_USER is positive', () => {
       expect(MAX_CANVASES_PER_USER).toBeGreaterThan(0);
     });
@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getFrameChildren,
+  findFrameAt,
+  getFrameMembershipUpdates,
+  getShapeIdsInsideRect,
+  expandWithFrameChildren,
+  sortFramesFirst,
+  remapFrameId,
+  getFrameIdForShape,
+  getFrameRenderOrder,
+} from '../../utils/frameUtils';
+
+// f1 holds r1 and the group g (r2 + r3); f2 is empty and in front of f1 where they overlap
+const f1 = { id: 'f1', type: 'frame', x: 0, y: 0, width: 200, height: 200, zIndex: 1 };
+const f2 = { id: 'f2', type: 'frame', x: 150, y: 0, width: 200, height: 200, zIndex: 2 };
+const g = { id: 'g', type: 'group', groupId: null };
+const r1 = { id: 'r1', type: 'rectangle', x: 10, y: 10, width: 20, height: 20, frameId: 'f1' };
+const r2 = {
+  id: 'r2',
+  type: 'rectangle',
+  x: 10,
+  y: 100,
+  width: 20,
+  height: 20,
+  frameId: 'f1',
+  groupId: 'g',
+};
+const r3 = { ...r2, id: 'r3', x: 50 };
+const loose = { id: 'loose', type: 'circle', x: 500, y: 500, radius: 10 };
+const connector = { id: 'k', type: 'connector', x: 10, y: 10, x2: 500, y2: 500 };
+const shapes = [f1, f2, g, r1, r2, r3, loose, connector];
+
+describe('frame membership', () => {
+  it('lists a frame’s children', () => {
+    expect(getFrameChildren('f1', shapes).map((s) => s.id)).toEqual(['r1', 'r2', 'r3']);
+  });
+
+  it('finds the frontmost visible frame under a point', () => {
+    expect(findFrameAt({ x: 175, y: 50 }, shapes).id).toBe('f2');
+    expect(findFrameAt({ x: 50, y: 50 }, shapes).id).toBe('f1');
+    expect(findFrameAt({ x: 175, y: 50 }, [f1, { ...f2, visible: false }]).id).toBe('f1');
+    expect(findFrameAt({ x: 900, y: 900 }, shapes)).toBeNull();
+  });
+
+  it('moves dropped shapes into the frame under their center', () => {
+    const moved = shapes.map((s) => (s.id === 'loose' ? { ...s, x: 300, y: 100 } : s));
+    expect(getFrameMembershipUpdates(['loose'], moved)).toEqual({ loose: { frameId: 'f2' } });
+  });
+
+  it('takes shapes out of their frame when dropped outside every frame', () => {
+    const moved = shapes.map((s) => (s.id === 'r1' ? { ...s, x: 600 } : s));
+    expect(getFrameMembershipUpdates(['r1'], moved)).toEqual({ r1: { frameId: null } });
+    expect(getFrameMembershipUpdates(['r1'], shapes)).toEqual({});
+  });
+
+  it('moves a group as a unit and keeps children moving with their frame', () => {
+    const moved = shapes.map((s) => (s.groupId === 'g' ? { ...s, x: s.x + 600 } : s));
+    expect(getFrameMembershipUpdates(['r2', 'r3'], moved)).toEqual({
+      r2: { frameId: null },
+      r3: { frameId: null },
+    });
+    expect(getFrameMembershipUpdates(['f1', 'r1', 'r2', 'r3'], shapes)).toEqual({});
+  });
+
+  it('never puts connectors or frames in a frame', () => {
+    expect(getFrameMembershipUpdates(['k', 'f2'], shapes)).toEqual({});
+    expect(getFrameIdForShape(connector, shapes)).toBeNull();
+  });
+
+  it('picks the frame for a new shape from its center', () => {
+    expect(getFrameIdForShape({ id: 'n', type: 'circle', x: 50, y: 50, radius: 5 }, shapes)).toBe(
+      'f1'
+    );
+  });
+
+  it('adopts whole units inside a drawn rectangle', () => {
+    const free = shapes.map((s) => ({ ...s, frameId: null }));
+    expect(getShapeIdsInsideRect({ x: 0, y: 0, width: 120, height: 150 }, free)).toEqual([
+      'r1',
+      'r2',
+      'r3',
+    ]);
+    // r3 sticks out, so its group stays outside
+    expect(getShapeIdsInsideRect({ x: 0, y: 0, width: 60, height: 150 }, free)).toEqual(['r1']);
+  });
+});
+
+describe('copying', () => {
+  it('expands frames with their children', () => {
+    expect(expandWithFrameChildren(['f1', 'r1'], shapes)).toEqual(['f1', 'r1', 'r2', 'r3']);
+    expect(expandWithFrameChildren(['loose'], shapes)).toEqual(['loose']);
+  });
+
+  it('creates frames before other shapes', () => {
+    expect(sortFramesFirst([r1, f1, loose, f2]).map((s) => s.id)).toEqual([
+      'f1',
+      'f2',
+      'r1',
+      'loose',
+    ]);
+  });
+
+  it('points copies at the copied frame and keeps the frame otherwise', () => {
+    expect(remapFrameId(r1, new Map([['f1', 'f1-copy']])).frameId).toBe('f1-copy');
+    expect(remapFrameId(r1, { other: 'x' }).frameId).toBe('f1');
+    expect(remapFrameId(loose, {})).toBe(loose);
+  });
+});
+
+describe('getFrameRenderOrder', () => {
+  it('draws children inside their frame and connectors at the top level', () => {
+    const byId = new Map(shapes.map((s) => [s.id, s]));
+    const { topLevel, childrenByFrame } = getFrameRenderOrder([f1, r1, r2, loose, connector], byId);
+    expect(topLevel.map((s) => s.id)).toEqual(['f1', 'loose', 'k']);
+    expect(childrenByFrame.get('f1').map((s) => s.id)).toEqual(['r1', 'r2']);
+  });
+
+  it('drops children of unlisted frames and draws orphans at the top level', () => {
+    const orphan = { ...r1, id: 'orphan', frameId: 'gone' };
+    const byId = new Map([...shapes, orphan].map((s) => [s.id, s]));
+    const { topLevel } = getFrameRenderOrder([r1, orphan], byId);
+    expect(topLevel.map((s) => s.id)).toEqual(['orphan']);
+  });
+});
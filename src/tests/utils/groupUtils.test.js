@@ -0,0 +1,142 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getAncestorGroupIds,
+  getTopLevelGroupId,
+  getGroupMembers,
+  expandSelectionToGroups,
+  getSelectionUnits,
+  getSelectedGroups,
+  getEmptyGroupIds,
+  sortGroupsFirst,
+  remapGroupId,
+  getEffectiveLock,
+  getGroupBounds,
+  translateShape,
+  scaleShape,
+  rotateShape,
+} from '../../utils/groupUtils';
+
+// outer contains inner and r3; inner contains r1 and r2; r4 is ungrouped
+const outer = { id: 'outer', type: 'group', groupId: null };
+const inner = { id: 'inner', type: 'group', groupId: 'outer' };
+const r1 = { id: 'r1', type: 'rectangle', x: 0, y: 0, width: 10, height: 10, groupId: 'inner' };
+const r2 = { id: 'r2', type: 'rectangle', x: 20, y: 0, width: 10, height: 10, groupId: 'inner' };
+const r3 = { id: 'r3', type: 'rectangle', x: 0, y: 40, width: 10, height: 10, groupId: 'outer' };
+const r4 = { id: 'r4', type: 'rectangle', x: 100, y: 100, width: 10, height: 10 };
+const shapes = [outer, inner, r1, r2, r3, r4];
+const byId = new Map(shapes.map((s) => [s.id, s]));
+
+describe('group membership', () => {
+  it('lists ancestors innermost first and finds the top-level group', () => {
+    expect(getAncestorGroupIds(r1, byId)).toEqual(['inner', 'outer']);
+    expect(getTopLevelGroupId(r1, byId)).toBe('outer');
+    expect(getTopLevelGroupId(r4, byId)).toBe('r4');
+  });
+
+  it('ignores links to missing groups and cycles', () => {
+    expect(getAncestorGroupIds({ id: 'x', type: 'rectangle', groupId: 'gone' }, byId)).toEqual([]);
+    const a = { id: 'a', type: 'group', groupId: 'b' };
+    const b = { id: 'b', type: 'group', groupId: 'a' };
+    expect(getAncestorGroupIds(a, { a, b })).toEqual(['b', 'a']);
+  });
+
+  it('returns leaf members at any depth', () => {
+    expect(getGroupMembers('outer', shapes).map((s) => s.id)).toEqual(['r1', 'r2', 'r3']);
+    expect(getGroupMembers('inner', shapes).map((s) => s.id)).toEqual(['r1', 'r2']);
+  });
+});
+
+describe('selection', () => {
+  it('expands a selection to whole top-level groups', () => {
+    expect(expandSelectionToGroups(['r1'], shapes)).toEqual(['r1', 'r2', 'r3']);
+    expect(expandSelectionToGroups(['r4', 'inner'], shapes)).toEqual(['r1', 'r2', 'r3', 'r4']);
+  });
+
+  it('reduces a selection to its top-level units', () => {
+    expect(getSelectionUnits(['r1', 'r3', 'r4'], shapes)).toEqual(['outer', 'r4']);
+  });
+
+  it('finds groups whose members are all selected', () => {
+    expect(getSelectedGroups(['r1', 'r2'], shapes).map((g) => g.id)).toEqual(['inner']);
+    expect(getSelectedGroups(['r1', 'r2', 'r3'], shapes).map((g) => g.id)).toEqual([
+      'outer',
+      'inner',
+    ]);
+  });
+
+  it('finds groups left empty by a deletion', () => {
+    expect(getEmptyGroupIds(shapes, ['r1', 'r2'])).toEqual(['inner']);
+    expect(getEmptyGroupIds(shapes, ['r1', 'r2', 'r3'])).toEqual(['outer', 'inner']);
+  });
+});
+
+describe('copying', () => {
+  it('orders outer groups before inner groups and shapes', () => {
+    expect(sortGroupsFirst([r1, inner, r3, outer]).map((s) => s.id)).toEqual([
+      'outer',
+      'inner',
+      'r1',
+      'r3',
+    ]);
+  });
+
+  it('points copies at the copied group or ungroups them', () => {
+    expect(remapGroupId(r1, { inner: 'inner-copy' }).groupId).toBe('inner-copy');
+    expect(remapGroupId(r1, {}).groupId).toBeNull();
+    expect(remapGroupId(r4, {})).toBe(r4);
+  });
+});
+
+describe('getEffectiveLock', () => {
+  it('inherits the lock of the nearest locked group', () => {
+    const locked = new Map(byId).set('outer', {
+      ...outer,
+      lockedBy: 'u2',
+      lockedByUserName: 'Sam',
+    });
+    expect(getEffectiveLock(r1, locked)).toEqual({ lockedBy: 'u2', lockedByUserName: 'Sam' });
+    expect(getEffectiveLock(r4, locked)).toEqual({ lockedBy: null, lockedByUserName: null });
+  });
+});
+
+describe('group transforms', () => {
+  it('derives bounds from the members', () => {
+    expect(getGroupBounds([r1, r2, r3])).toMatchObject({ minX: 0, minY: 0, maxX: 30, maxY: 50 });
+    expect(getGroupBounds([])).toBeNull();
+  });
+
+  it('translates absolute vertices and connector ends with the position', () => {
+    const polygon = { id: 'p', type: 'customPolygon', x: 0, y: 0, vertices: [{ x: 1, y: 2 }] };
+    expect(translateShape(polygon, 5, 10)).toEqual({ x: 5, y: 10, vertices: [{ x: 6, y: 12 }] });
+    const connector = { id: 'k', type: 'connector', x: 0, y: 0, x2: 10, y2: 10 };
+    expect(translateShape(connector, 5, 0)).toEqual({ x: 5, y: 0, x2: 15, y2: 10 });
+  });
+
+  it('scales members uniformly around the origin', () => {
+    expect(scaleShape(r2, { x: 0, y: 0 }, 2)).toEqual({ x: 40, y: 0, width: 20, height: 20 });
+    const circle = { id: 'c', type: 'circle', x: 10, y: 10, radius: 5 };
+    expect(scaleShape(circle, { x: 0, y: 0 }, 2)).toEqual({ x: 20, y: 20, radius: 10 });
+  });
+
+  it('scales text size and path points with the box', () => {
+    const text = { id: 't', type: 'text', x: 0, y: 0, width: 10, height: 10, fontSize: 12 };
+    expect(scaleShape(text, { x: 0, y: 0 }, 2).fontSize).toBe(24);
+    const path = {
+      id: 'p',
+      type: 'path',
+      x: 0,
+      y: 0,
+      width: 10,
+      height: 10,
+      points: [{ x: 10, y: 5 }],
+    };
+    expect(scaleShape(path, { x: 0, y: 0 }, 2).points).toEqual([{ x: 20, y: 10 }]);
+  });
+
+  it('rotates members around the group center', () => {
+    const updates = rotateShape(r2, { x: 15, y: 5 }, 180);
+    expect(updates.x).toBeCloseTo(0);
+    expect(updates.y).toBeCloseTo(0);
+    expect(updates.rotation).toBe(180);
+  });
+});
@@ -0,0 +1,221 @@
+import { describe, it, expect } from 'vitest';
+import {
+  pickFields,
+  createUpdateAction,
+  createBatchAction,
+  invertAction,
+  getChangeUpdates,
+  getActionShapeIds,
+  rebaseAction,
+} from '../../utils/historyUtils';
+
+const shapes = [
+  { id: 'a', type: 'rectangle', x: 0, y: 0, width: 10, height: 10, color: '#fff' },
+  {
+    id: 'b',
+    type: 'customPolygon',
+    vertices: [
+      { x: 0, y: 0 },
+      { x: 5, y: 5 },
+    ],
+  },
+];
+
+describe('pickFields', () => {
+  it('records missing fields as null', () => {
+    expect(pickFields({ x: 1 }, ['x', 'name'])).toEqual({ x: 1, name: null });
+  });
+
+  it('handles an undefined shape', () => {
+    expect(pickFields(undefined, ['x'])).toEqual({ x: null });
+  });
+});
+
+describe('createUpdateAction', () => {
+  it('snapshots current values as "before"', () => {
+    const action = createUpdateAction(shapes, { a: { color: '#000' } });
+    expect(action).toEqual({
+      type: 'update',
+      changes: [{ shapeId: 'a', before: { color: '#fff' }, after: { color: '#000' } }],
+    });
+  });
+
+  it('returns null when no field changes', () => {
+    expect(createUpdateAction(shapes, { a: { x: 0, y: 0 } })).toBeNull();
+  });
+
+  it('compares arrays by value', () => {
+    const vertices = shapes[1].vertices.map((v) => ({ ...v }));
+    expect(createUpdateAction(shapes, { b: { vertices } })).toBeNull();
+  });
+
+  it('prefers explicit previous values', () => {
+    const action = createUpdateAction(shapes, { a: { x: 50 } }, { a: { x: 25 } });
+    expect(action.changes[0].before).toEqual({ x: 25 });
+  });
+
+  it('skips unchanged shapes but keeps changed ones', () => {
+    const action = createUpdateAction(shapes, { a: { x: 0 }, b: { name: 'Star' } });
+    expect(action.changes).toHaveLength(1);
+    expect(action.changes[0].shapeId).toBe('b');
+  });
+});
+
+describe('createBatchAction', () => {
+  it('returns null for no actions', () => {
+    expect(createBatchAction([null, null])).toBeNull();
+  });
+
+  it('passes a single action through', () => {
+    const action = { type: 'create', shapeId: 'a' };
+    expect(createBatchAction([action, null])).toBe(action);
+  });
+
+  it('wraps multiple actions', () => {
+    const batch = createBatchAction([
+      { type: 'create', shapeId: 'a' },
+      { type: 'create', shapeId: 'b' },
+    ]);
+    expect(batch.type).toBe('batch');
+    expect(batch.actions).toHaveLength(2);
+  });
+});
+
+describe('invertAction', () => {
+  it('swaps create and delete', () => {
+    expect(invertAction({ type: 'create', shapeId: 'a' }).type).toBe('delete');
+    expect(invertAction({ type: 'delete', shapeId: 'a' }).type).toBe('create');
+  });
+
+  it('swaps before and after for updates', () => {
+    const inverted = invertAction({
+      type: 'update',
+      changes: [{ shapeId: 'a', before: { x: 1 }, after: { x: 2 } }],
+    });
+    expect(inverted.changes[0]).toEqual({ shapeId: 'a', before: { x: 2 }, after: { x: 1 } });
+  });
+
+  it('reverses batch order', () => {
+    const inverted = invertAction({
+      type: 'batch',
+      actions: [
+        { type: 'create', shapeId: 'a' },
+        { type: 'create', shapeId: 'b' },
+      ],
+    });
+    expect(inverted.actions.map((a) => a.shapeId)).toEqual(['b', 'a']);
+    expect(inverted.actions.every((a) => a.type === 'delete')).toBe(true);
+  });
+
+  it('is its own inverse', () => {
+    const action = {
+      type: 'update',
+      changes: [{ shapeId: 'a', before: { x: 1 }, after: { x: 2 } }],
+    };
+    expect(invertAction(invertAction(action))).toEqual(action);
+  });
+});
+
+describe('getChangeUpdates', () => {
+  it('builds a batch update payload from the "after" side', () => {
+    expect(
+      getChangeUpdates([
+        { shapeId: 'a', before: { x: 1 }, after: { x: 2 } },
+        { shapeId: 'b', before: { y: 1 }, after: { y: 3 } },
+      ])
+    ).toEqual({ a: { x: 2 }, b: { y: 3 } });
+  });
+});
+
+describe('getActionShapeIds', () => {
+  it('collects unique IDs from nested batches', () => {
+    const ids = getActionShapeIds({
+      type: 'batch',
+      actions: [
+        { type: 'create', shapeId: 'a' },
+        { type: 'update', changes: [{ shapeId: 'a', before: {}, after: {} }] },
+        { type: 'delete', shapeId: 'b' },
+      ],
+    });
+    expect(ids).toEqual(['a', 'b']);
+  });
+});
+
+describe('rebaseAction', () => {
+  const update = (before, after) => ({
+    type: 'update',
+    changes: [{ shapeId: 'a', before, after }],
+  });
+
+  it('keeps an update whose "before" still matches', () => {
+    const action = update({ x: 0 }, { x: 5 });
+    expect(rebaseAction(action, shapes, 'me')).toEqual({ action, conflicts: [] });
+  });
+
+  it('drops fields another user changed and keeps the rest', () => {
+    const { action, conflicts } = rebaseAction(
+      update({ x: 0, color: '#000' }, { x: 5, color: '#fff' }),
+      shapes,
+      'me'
+    );
+    expect(action.changes).toEqual([{ shapeId: 'a', before: { x: 0 }, after: { x: 5 } }]);
+    expect(conflicts).toEqual([{ shapeId: 'a', reason: 'modified' }]);
+  });
+
+  it('reports deleted and locked shapes', () => {
+    const locked = [{ ...shapes[0], lockedBy: 'other' }];
+    expect(rebaseAction(update({ x: 0 }, { x: 5 }), [], 'me').conflicts[0].reason).toBe('deleted');
+    expect(rebaseAction(update({ x: 0 }, { x: 5 }), locked, 'me').conflicts[0].reason).toBe(
+      'locked'
+    );
+    expect(rebaseAction(update({ x: 0 }, { x: 5 }), locked, 'other').conflicts).toEqual([]);
+  });
+
+  it('ignores lock, timestamp and attribution fields when checking a delete', () => {
+    // e.g. a redo of a delete after the undo restored the shape with new attribution
+    const current = [{ ...shapes[0], lockedBy: 'me', timestamp: 99, lastModifiedAt: 99 }];
+    const { action } = rebaseAction(
+      {
+        type: 'delete',
+        shapeId: 'a',
+        shapeData: { ...shapes[0], timestamp: 1, lastModifiedAt: 1 },
+      },
+      current,
+      'me'
+    );
+    expect(action.type).toBe('delete');
+  });
+
+  it('ignores fields added when the shape was written when checking a delete', () => {
+    const current = [{ ...shapes[0], name: 'Rectangle 1', visible: true }];
+    const { action, conflicts } = rebaseAction(
+      { type: 'delete', shapeId: 'a', shapeData: shapes[0] },
+      current,
+      'me'
+    );
+    expect(action.type).toBe('delete');
+    expect(conflicts).toEqual([]);
+  });
+
+  it('silently skips creates of shapes that already exist', () => {
+    expect(rebaseAction({ type: 'create', shapeId: 'a' }, shapes, 'me')).toEqual({
+      action: null,
+      conflicts: [],
+    });
+  });
+
+  it('filters batches down to their surviving actions', () => {
+    const { action } = rebaseAction(
+      {
+        type: 'batch',
+        actions: [
+          { type: 'create', shapeId: 'a' },
+          { type: 'create', shapeId: 'c' },
+        ],
+      },
+      shapes,
+      'me'
+    );
+    expect(action.actions.map((a) => a.shapeId)).toEqual(['c']);
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isInspectable,
+  getCommonValue,
+  getInspectorValues,
+  getInspectorUpdates,
+} from '../../utils/inspectorUtils';
+
+const rect = { id: 'r', type: 'rectangle', x: 100, y: 50, width: 200, height: 100, rotation: 0 };
+const circle = { id: 'c', type: 'circle', x: 400, y: 400, radius: 50 };
+const polygon = { id: 'p', type: 'polygon', x: 600, y: 600, radius: 40, sides: 6 };
+
+describe('isInspectable', () => {
+  it('leaves out groups and connectors', () => {
+    expect(isInspectable(rect)).toBe(true);
+    expect(isInspectable({ type: 'group' })).toBe(false);
+    expect(isInspectable({ type: 'connector' })).toBe(false);
+    expect(isInspectable(undefined)).toBe(false);
+  });
+});
+
+describe('getCommonValue', () => {
+  it('returns the shared value or null', () => {
+    expect(getCommonValue([3, 3])).toBe(3);
+    expect(getCommonValue([3, 4])).toBeNull();
+    expect(getCommonValue([])).toBeNull();
+  });
+});
+
+describe('getInspectorValues', () => {
+  it('reads a single rectangle', () => {
+    expect(getInspectorValues([rect])).toEqual({
+      x: 100,
+      y: 50,
+      width: 200,
+      height: 100,
+      rotation: 0,
+    });
+  });
+
+  it('uses the top-left of centered shapes', () => {
+    const values = getInspectorValues([circle]);
+    expect(values.x).toBe(350);
+    expect(values.y).toBe(350);
+    expect(values.radius).toBe(50);
+    expect(values).not.toHaveProperty('width');
+  });
+
+  it('marks differing values as mixed and keeps fields any shape has', () => {
+    const values = getInspectorValues([rect, { ...rect, id: 'r2', x: 120 }, polygon]);
+    expect(values.x).toBeNull();
+    expect(values.width).toBe(200);
+    expect(values.radius).toBe(40);
+    expect(values.sides).toBe(6);
+  });
+
+  it('has no rotation for frames', () => {
+    const frame = { id: 'f', type: 'frame', x: 0, y: 0, width: 400, height: 300 };
+    expect(getInspectorValues([frame])).not.toHaveProperty('rotation');
+  });
+});
+
+describe('getInspectorUpdates', () => {
+  it('moves shapes so their bounds start at the value', () => {
+    expect(getInspectorUpdates('x', 150, [rect, circle])).toEqual({
+      r: { x: 150, y: 50 },
+      c: { x: 200, y: 400 },
+    });
+  });
+
+  it('keeps moved shapes on the canvas', () => {
+    expect(getInspectorUpdates('x', 9000, [rect]).r.x).toBe(5000 - 200);
+  });
+
+  it('moves shapes anywhere on an infinite canvas', () => {
+    const infinite = { width: Infinity, height: Infinity };
+    expect(getInspectorUpdates('x', -9000, [rect], [rect], infinite).r.x).toBe(-9000);
+  });
+
+  it('moves the unselected children of a moved frame', () => {
+    const frame = { id: 'f', type: 'frame', x: 0, y: 0, width: 400, height: 300 };
+    const child = { ...rect, id: 'child', frameId: 'f' };
+    const updates = getInspectorUpdates('y', 100, [frame], [frame, child]);
+    expect(updates.f).toEqual({ x: 0, y: 100 });
+    expect(updates.child).toEqual({ x: 100, y: 150 });
+  });
+
+  it('resizes from the top-left and clamps to the minimum size', () => {
+    expect(getInspectorUpdates('width', 5, [rect]).r).toEqual({ width: 20 });
+    const image = { id: 'i', type: 'image', x: 100, y: 100, width: 100, height: 100 };
+    expect(getInspectorUpdates('width', 200, [image]).i).toEqual({ width: 200, x: 150, y: 100 });
+  });
+
+  it('scales pen points with the new size', () => {
+    const path = {
+      id: 'pen',
+      type: 'path',
+      x: 0,
+      y: 0,
+      width: 10,
+      height: 0,
+      points: [
+        { x: 0, y: 0 },
+        { x: 10, y: 0 },
+      ],
+    };
+    expect(getInspectorUpdates('width', 40, [path]).pen.points).toEqual([
+      { x: 0, y: 0 },
+      { x: 40, y: 0 },
+    ]);
+    expect(getInspectorUpdates('height', 40, [path])).toEqual({});
+  });
+
+  it('only touches shapes that have the field', () => {
+    expect(getInspectorUpdates('radius', 5, [rect, circle, polygon])).toEqual({
+      c: { radius: 10 },
+      p: { radius: 10 },
+    });
+    expect(getInspectorUpdates('sides', 20.4, [rect, polygon])).toEqual({ p: { sides: 12 } });
+  });
+
+  it('ignores values that are not numbers', () => {
+    expect(getInspectorUpdates('x', NaN, [rect])).toEqual({});
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getMinimapShapes,
+  getMinimapWorld,
+  minimapToCanvas,
+  getCollaboratorViewports,
+  getSessionViewport,
+} from '../../utils/minimapUtils';
+
+describe('getMinimapShapes', () => {
+  it('draws visible shapes as their bounding boxes', () => {
+    const rects = getMinimapShapes([
+      { id: 'r', type: 'rectangle', x: 100, y: 200, width: 50, height: 40, color: '#f00' },
+      { id: 'c', type: 'circle', x: 500, y: 500, radius: 25, color: '#0f0' },
+      { id: 'h', type: 'rectangle', x: 0, y: 0, width: 10, height: 10, visible: false },
+      { id: 'g', type: 'group', x: 0, y: 0 },
+    ]);
+    expect(rects).toEqual([
+      { id: 'r', x: 100, y: 200, width: 50, height: 40, color: '#f00' },
+      { id: 'c', x: 475, y: 475, width: 50, height: 50, color: '#0f0' },
+    ]);
+  });
+
+  it('keeps thin shapes visible and gives uncolored ones a fallback', () => {
+    const [line] = getMinimapShapes(
+      [{ id: 'l', type: 'connector', x: 0, y: 100, x2: 200, y2: 100 }],
+      20
+    );
+    expect(line).toMatchObject({ x: 0, y: 90, width: 200, height: 20 });
+    expect(line.color).toBeTruthy();
+  });
+});
+
+describe('minimapToCanvas', () => {
+  const rect = { left: 10, top: 20, width: 180, height: 180 };
+
+  it('scales the pointer position to canvas coordinates', () => {
+    expect(minimapToCanvas(100, 110, rect)).toEqual({ x: 2500, y: 2500 });
+  });
+
+  it('clamps to the canvas when dragging past the edge', () => {
+    expect(minimapToCanvas(0, 500, rect)).toEqual({ x: 0, y: 5000 });
+  });
+
+  it('maps onto the part of the canvas the minimap shows', () => {
+    const world = { x: -1000, y: -1000, width: 2000, height: 2000 };
+    expect(minimapToCanvas(100, 110, rect, world)).toEqual({ x: 0, y: 0 });
+  });
+});
+
+describe('getMinimapWorld', () => {
+  const regions = [
+    { x: -2000, y: 0, width: 1000, height: 500 },
+    { x: 7000, y: 0, width: 1000, height: 500 },
+  ];
+
+  it('shows the board on a bounded canvas', () => {
+    expect(getMinimapWorld(regions)).toEqual({ x: 0, y: 0, width: 5000, height: 5000 });
+  });
+
+  it('shows a square around everything, with a margin, on an infinite canvas', () => {
+    expect(getMinimapWorld(regions, true)).toEqual({
+      x: -3000,
+      y: -5750,
+      width: 12000,
+      height: 12000,
+    });
+  });
+});
+
+describe('getCollaboratorViewports', () => {
+  it('keeps other sessions that share a valid viewport', () => {
+    const viewport = { x: 0, y: 0, width: 800, height: 600 };
+    const result = getCollaboratorViewports(
+      [
+        { sessionId: 'me', userName: 'Me', viewport },
+        { sessionId: 'a', userName: 'Ada', color: '#f00', viewport },
+        { sessionId: 'b', userName: 'Bob' },
+        { sessionId: 'c', userName: 'Cy', viewport: { x: 0, y: 0 } },
+      ],
+      'me'
+    );
+    expect(result).toEqual([{ sessionId: 'a', userName: 'Ada', color: '#f00', viewport }]);
+  });
+});
+
+describe('getSessionViewport', () => {
+  const presenceView = { x: 0, y: 0, width: 800, height: 600 };
+  const cursorView = { x: 100, y: 50, width: 800, height: 600 };
+  const onlineUsers = [{ sessionId: 's1', viewport: presenceView }, { sessionId: 's2' }];
+
+  it("prefers the viewport sent with the session's cursor over its presence", () => {
+    expect(getSessionViewport('s1', onlineUsers)).toBe(presenceView);
+    expect(getSessionViewport('s1', onlineUsers, [{ sessionId: 's1', viewport: cursorView }])).toBe(
+      cursorView
+    );
+  });
+
+  it('returns null for sessions without a shared viewport', () => {
+    expect(getSessionViewport('s2', onlineUsers)).toBeNull();
+    expect(getSessionViewport('missing', onlineUsers)).toBeNull();
+    expect(getSessionViewport(null, onlineUsers)).toBeNull();
+  });
+});
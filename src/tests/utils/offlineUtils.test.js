@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import {
+  applyObjectPaths,
+  applyQueuedWrites,
+  getPathValue,
+  resolveQueuedWrite,
+} from '../../utils/offlineUtils';
+
+const rect = { id: 'a', type: 'rectangle', x: 0, y: 0, width: 10, height: 10 };
+const queued = (paths, base) => ({ id: 'w1', canvasId: 'c1', paths, base, createdAt: 1 });
+
+describe('applyObjectPaths', () => {
+  it('creates, updates and removes shapes, keeping untouched ones identical', () => {
+    const other = { id: 'b', type: 'circle', x: 5, y: 5, radius: 3 };
+    const objects = { a: rect, b: other };
+    const next = applyObjectPaths(objects, {
+      'a/x': 40,
+      'a/width': null,
+      c: { type: 'text', x: 1, y: 1 },
+      'missing/x': 3,
+    });
+    expect(next.a).toEqual({ id: 'a', type: 'rectangle', x: 40, y: 0, height: 10 });
+    expect(next.b).toBe(other);
+    expect(next.c).toEqual({ id: 'c', type: 'text', x: 1, y: 1 });
+    expect(next.missing).toBeUndefined();
+    expect(applyObjectPaths(next, { b: null }).b).toBeUndefined();
+  });
+
+  it('applies queued writes in order', () => {
+    const writes = [queued({ 'a/x': 1 }, {}), queued({ 'a/x': 2, 'a/y': 3 }, {})];
+    expect(applyQueuedWrites({ a: rect }, writes).a).toMatchObject({ x: 2, y: 3 });
+    expect(getPathValue({ a: rect }, 'a/color')).toBeNull();
+    expect(getPathValue({ a: rect }, 'a')).toBe(rect);
+  });
+});
+
+describe('resolveQueuedWrite', () => {
+  it('sends paths nobody else changed', () => {
+    const write = queued({ 'a/x': 50, 'a/y': 60 }, { 'a/x': 0, 'a/y': 0 });
+    const server = { a: { ...rect, color: '#f00', lockedBy: 'u2' } };
+    expect(resolveQueuedWrite(write, server)).toEqual({
+      paths: { 'a/x': 50, 'a/y': 60 },
+      conflicts: [],
+    });
+  });
+
+  it('keeps fields someone else changed in the meantime', () => {
+    const write = queued({ 'a/x': 50, 'a/y': 60 }, { 'a/x': 0, 'a/y': 0 });
+    const server = { a: { ...rect, x: 25 } };
+    expect(resolveQueuedWrite(write, server)).toEqual({
+      paths: { 'a/y': 60 },
+      conflicts: ['a/x'],
+    });
+  });
+
+  it("doesn't bring back shapes others deleted, or delete shapes others changed", () => {
+    expect(resolveQueuedWrite(queued({ 'a/x': 50 }, { 'a/x': 0 }), {}).conflicts).toEqual(['a/x']);
+    expect(
+      resolveQueuedWrite(queued({ a: null }, { a: rect }), { a: { ...rect, x: 9 } }).conflicts
+    ).toEqual(['a']);
+    // A lock is not a change
+    expect(
+      resolveQueuedWrite(queued({ a: null }, { a: rect }), { a: { ...rect, lockedBy: 'u2' } })
+    ).toEqual({ paths: { a: null }, conflicts: [] });
+  });
+
+  it('sends attribution with the edits it belongs to, never as a conflict', () => {
+    const attribution = { 'a/lastModifiedBy': 'u1', 'a/lastModifiedAt': 5 };
+    const base = { 'a/lastModifiedBy': 'u1', 'a/lastModifiedAt': 1 };
+    const server = { a: { ...rect, lastModifiedBy: 'u2', lastModifiedAt: 3 } };
+    expect(
+      resolveQueuedWrite(queued({ 'a/y': 60, ...attribution }, { 'a/y': 0, ...base }), server)
+    ).toEqual({ paths: { 'a/y': 60, ...attribution }, conflicts: [] });
+    // Nothing else of the shape is sent, so neither is the attribution
+    expect(
+      resolveQueuedWrite(queued({ 'a/x': 50, ...attribution }, { 'a/x': 9, ...base }), server)
+    ).toEqual({ paths: {}, conflicts: ['a/x'] });
+  });
+
+  it('compares values regardless of key order', () => {
+    const richText = { blocks: [{ type: 'paragraph', spans: [{ text: 'hi', bold: true }] }] };
+    const reordered = { blocks: [{ spans: [{ bold: true, text: 'hi' }], type: 'paragraph' }] };
+    const write = queued({ 'a/richText': null }, { 'a/richText': richText });
+    expect(resolveQueuedWrite(write, { a: { ...rect, richText: reordered } }).conflicts).toEqual(
+      []
+    );
+  });
+});
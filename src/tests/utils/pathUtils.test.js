@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import {
+  simplifyPoints,
+  normalizePathPoints,
+  scalePathPoints,
+  getSmoothPathData,
+} from '../../utils/pathUtils';
+import { getShapeBounds } from '../../utils/canvasUtils';
+
+describe('simplifyPoints', () => {
+  it('keeps short inputs as they are', () => {
+    const points = [
+      { x: 0, y: 0 },
+      { x: 5, y: 5 },
+    ];
+    expect(simplifyPoints(points, 1)).toEqual(points);
+  });
+
+  it('drops points that lie on a straight line', () => {
+    const line = Array.from({ length: 20 }, (_, i) => ({ x: i * 5, y: i * 5 + (i % 2) * 0.5 }));
+    expect(simplifyPoints(line, 1)).toEqual([line[0], line[19]]);
+  });
+
+  it('keeps corners further than the tolerance', () => {
+    const corner = [
+      { x: 0, y: 0 },
+      { x: 50, y: 1 },
+      { x: 100, y: 0 },
+      { x: 100, y: 50 },
+      { x: 101, y: 100 },
+    ];
+    expect(simplifyPoints(corner, 2)).toEqual([corner[0], corner[2], corner[4]]);
+  });
+
+  it('handles long strokes without recursion', () => {
+    const long = Array.from({ length: 20000 }, (_, i) => ({ x: i, y: Math.sin(i / 50) * 40 }));
+    const simplified = simplifyPoints(long, 1);
+    expect(simplified.length).toBeGreaterThan(2);
+    expect(simplified.length).toBeLessThan(long.length / 10);
+  });
+});
+
+describe('normalizePathPoints', () => {
+  it('moves points into the bounding box', () => {
+    expect(
+      normalizePathPoints([
+        { x: 110, y: 220 },
+        { x: 150, y: 200 },
+        { x: 130, y: 260 },
+      ])
+    ).toEqual({
+      x: 110,
+      y: 200,
+      width: 40,
+      height: 60,
+      points: [
+        { x: 0, y: 20 },
+        { x: 40, y: 0 },
+        { x: 20, y: 60 },
+      ],
+    });
+  });
+
+  it('gives getShapeBounds the stroke box, even for a flat stroke', () => {
+    const path = {
+      type: 'path',
+      ...normalizePathPoints([
+        { x: 10, y: 30 },
+        { x: 90, y: 30 },
+      ]),
+    };
+    expect(getShapeBounds(path)).toMatchObject({ minX: 10, maxX: 90, minY: 30, maxY: 30 });
+  });
+});
+
+describe('scalePathPoints', () => {
+  it('scales points with the box', () => {
+    const points = [
+      { x: 0, y: 0 },
+      { x: 40, y: 20 },
+    ];
+    expect(scalePathPoints(points, { width: 40, height: 20 }, { width: 80, height: 10 })).toEqual([
+      { x: 0, y: 0 },
+      { x: 80, y: 10 },
+    ]);
+  });
+
+  it('leaves a zero-size axis alone', () => {
+    const points = [
+      { x: 0, y: 0 },
+      { x: 40, y: 0 },
+    ];
+    expect(scalePathPoints(points, { width: 40, height: 0 }, { width: 20, height: 30 })).toEqual([
+      { x: 0, y: 0 },
+      { x: 20, y: 0 },
+    ]);
+  });
+});
+
+describe('getSmoothPathData', () => {
+  it('returns nothing for no points', () => {
+    expect(getSmoothPathData([])).toBe('');
+  });
+
+  it('draws a straight segment for two points', () => {
+    expect(
+      getSmoothPathData(
+        [
+          { x: 0, y: 0 },
+          { x: 10, y: 0 },
+        ],
+        5,
+        5
+      )
+    ).toBe('M 5 5 L 15 5');
+  });
+
+  it('passes a cubic curve through every point', () => {
+    const d = getSmoothPathData([
+      { x: 0, y: 0 },
+      { x: 10, y: 10 },
+      { x: 20, y: 0 },
+    ]);
+    expect(d.startsWith('M 0 0 C')).toBe(true);
+    expect(d.match(/C /g)).toHaveLength(2);
+    expect(d).toContain(', 10 10 C');
+    expect(d.endsWith(', 20 0')).toBe(true);
+  });
+});
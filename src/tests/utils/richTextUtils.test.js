@@ -0,0 +1,220 @@
+/**
+ * @vitest-environment happy-dom
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  isSafeLink,
+  normalizeRichText,
+  plainTextToRichText,
+  richTextToPlainText,
+  getRichText,
+  layoutRichText,
+  layoutTextBox,
+  getTextDecoration,
+  richTextToHtml,
+  htmlToRichText,
+  getTextOffset,
+  getRangeAtOffset,
+} from '../../utils/richTextUtils';
+
+const paragraph = (...spans) => ({ type: 'paragraph', spans });
+
+describe('isSafeLink', () => {
+  it('allows web and mail links only', () => {
+    expect(isSafeLink('https://example.com')).toBe(true);
+    expect(isSafeLink('mailto:a@b.co')).toBe(true);
+    expect(isSafeLink('javascript:alert(1)')).toBe(false);
+    expect(isSafeLink('example.com')).toBe(false);
+    expect(isSafeLink(42)).toBe(false);
+  });
+});
+
+describe('normalizeRichText', () => {
+  it('restores blocks whose spans the database dropped and merges equal marks', () => {
+    expect(
+      normalizeRichText({
+        blocks: [
+          { type: 'paragraph' },
+          {
+            type: 'bullet',
+            spans: [
+              { text: 'a', bold: true },
+              { text: 'b', bold: true },
+            ],
+          },
+        ],
+      })
+    ).toEqual({
+      blocks: [
+        { type: 'paragraph', spans: [] },
+        { type: 'bullet', spans: [{ text: 'ab', bold: true }] },
+      ],
+    });
+  });
+
+  it('drops unsafe links, false marks and unknown block types', () => {
+    expect(
+      normalizeRichText({
+        blocks: [{ type: 'quote', spans: [{ text: 'x', link: 'javascript:x', italic: false }] }],
+      })
+    ).toEqual({ blocks: [paragraph({ text: 'x' })] });
+    expect(normalizeRichText(null)).toBeNull();
+  });
+});
+
+describe('plain text conversion', () => {
+  it('maps lines to paragraphs and back', () => {
+    const rich = plainTextToRichText('one\n\ntwo', { bold: true });
+    expect(rich.blocks).toHaveLength(3);
+    expect(rich.blocks[0].spans).toEqual([{ text: 'one', bold: true }]);
+    expect(richTextToPlainText(rich)).toBe('one\n\ntwo');
+  });
+});
+
+describe('getRichText', () => {
+  const richText = { blocks: [paragraph({ text: 'Hi', underline: true })] };
+
+  it('uses the stored model while it matches the text', () => {
+    expect(getRichText({ text: 'Hi', richText })).toEqual(richText);
+  });
+
+  it('falls back to the plain text with box-wide formatting when they differ', () => {
+    expect(getRichText({ text: 'Bye', richText, fontWeight: 'bold' })).toEqual({
+      blocks: [paragraph({ text: 'Bye', bold: true })],
+    });
+  });
+});
+
+describe('layoutRichText', () => {
+  it('wraps words across spans and keeps marks per run', () => {
+    // 10px font: 6px per character, so 60px fits 10 characters
+    const lines = layoutRichText(
+      { blocks: [paragraph({ text: 'hello ' }, { text: 'big world', bold: true })] },
+      60,
+      10
+    );
+    expect(lines.map((line) => line.runs)).toEqual([
+      [{ text: 'hello ' }, { text: 'big', bold: true }],
+      [{ text: 'world', bold: true }],
+    ]);
+  });
+
+  it('numbers consecutive list items and indents them', () => {
+    const lines = layoutRichText(
+      {
+        blocks: [
+          { type: 'ordered', spans: [{ text: 'a' }] },
+          { type: 'ordered', spans: [{ text: 'b' }] },
+          paragraph(),
+          { type: 'ordered', spans: [{ text: 'c' }] },
+        ],
+      },
+      200,
+      10
+    );
+    expect(lines.map((line) => line.marker)).toEqual(['1.', '2.', undefined, '1.']);
+    expect(lines[0].indent).toBe(15);
+    expect(lines[2].runs).toEqual([]);
+  });
+
+  it('splits words longer than a line', () => {
+    const lines = layoutRichText({ blocks: [paragraph({ text: 'abcdefghij' })] }, 30, 10);
+    expect(lines.map((line) => line.runs[0].text)).toEqual(['abcde', 'fghij']);
+  });
+});
+
+describe('layoutTextBox', () => {
+  it('anchors lines by alignment and cuts overflow', () => {
+    const layout = layoutTextBox({
+      x: 0,
+      y: 0,
+      width: 216,
+      height: 40,
+      text: 'a\nb\nc',
+      fontSize: 10,
+      textAlign: 'right',
+      lineHeight: 1.5,
+    });
+    expect(layout.lines).toHaveLength(1);
+    expect(layout.hasOverflow).toBe(true);
+    expect(layout.lines[0]).toMatchObject({ x: 208, anchor: 'end' });
+    expect(layout.fontFamily).toContain('Arial');
+  });
+});
+
+describe('getTextDecoration', () => {
+  it('combines underline, links and strikethrough', () => {
+    expect(getTextDecoration({})).toBeUndefined();
+    expect(getTextDecoration({ link: 'https://x.co', strike: true })).toBe(
+      'underline line-through'
+    );
+  });
+});
+
+describe('editor HTML', () => {
+  const parse = (html) => {
+    const root = document.createElement('div');
+    root.innerHTML = html;
+    return htmlToRichText(root);
+  };
+
+  it('round-trips the model through editor markup', () => {
+    const richText = {
+      blocks: [
+        paragraph({ text: 'a <b>', bold: true, italic: true }, { text: ' plain' }),
+        paragraph(),
+        { type: 'bullet', spans: [{ text: 'one', link: 'https://example.com' }] },
+        { type: 'ordered', spans: [{ text: 'two', underline: true, strike: true }] },
+      ],
+    };
+    expect(parse(richTextToHtml(richText))).toEqual(richText);
+  });
+
+  it('escapes text and drops unsafe links when writing markup', () => {
+    const html = richTextToHtml({
+      blocks: [paragraph({ text: '<img src=x onerror=alert(1)>', link: 'javascript:alert(1)' })],
+    });
+    expect(html).not.toContain('<img');
+    expect(html).not.toContain('<a');
+  });
+
+  it('reads browser markup: line breaks, styled spans and unsafe links', () => {
+    expect(
+      parse(
+        'first<br>second<div><span style="font-weight: bold">third</span></div>' +
+          '<a href="javascript:alert(1)">bad</a><div><br></div>'
+      )
+    ).toEqual({
+      blocks: [
+        paragraph({ text: 'first' }),
+        paragraph({ text: 'second' }),
+        paragraph({ text: 'third', bold: true }),
+        paragraph({ text: 'bad' }),
+      ],
+    });
+  });
+});
+
+describe('editor offsets', () => {
+  const editor = (html) => {
+    const root = document.createElement('div');
+    root.innerHTML = html;
+    return root;
+  };
+
+  it('measures DOM positions in plain-text offsets', () => {
+    const root = editor('<div>ab<b>cd</b></div><div><br></div><div>ef</div>');
+    const bold = root.querySelector('b').firstChild;
+    expect(getTextOffset(root, bold, 1)).toBe(3);
+    expect(getTextOffset(root, root.lastChild.firstChild, 2)).toBe(8);
+  });
+
+  it('finds the DOM position of an offset, including on empty lines', () => {
+    const root = editor('<div>ab<b>cd</b></div><div><br></div><div>ef</div>');
+    const range = getRangeAtOffset(root, 3);
+    expect(range.startContainer.textContent).toBe('cd');
+    expect(range.startOffset).toBe(1);
+    expect(getRangeAtOffset(root, 5).startContainer).toBe(root.children[1]);
+    expect(getRangeAtOffset(root, 7).startContainer.textContent).toBe('ef');
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getEditedFields,
+  mergeEditedFields,
+  describeShapeHistoryEntry,
+  formatEditTime,
+  getLastEditedLabel,
+} from '../../utils/shapeHistoryUtils';
+
+describe('getEditedFields', () => {
+  it('leaves out locks, write times and attribution', () => {
+    expect(getEditedFields({ lockedBy: 'u1', lockedByUserName: 'Ada', timestamp: 1 })).toEqual([]);
+    expect(getEditedFields({ y: 2, x: 1, lastModifiedAt: 3 })).toEqual(['x', 'y']);
+    expect(mergeEditedFields(['x', 'y'], ['color', 'x'])).toEqual(['color', 'x', 'y']);
+  });
+});
+
+describe('describeShapeHistoryEntry', () => {
+  it('names whole-shape changes by their action', () => {
+    expect(describeShapeHistoryEntry({ action: 'create' })).toBe('Created');
+    expect(describeShapeHistoryEntry({ action: 'delete' })).toBe('Deleted');
+    expect(describeShapeHistoryEntry({ action: 'restore' })).toBe('Restored');
+  });
+
+  it('summarizes the fields an update changed', () => {
+    expect(describeShapeHistoryEntry({ action: 'update', fields: ['x', 'y'] })).toBe('Moved');
+    expect(describeShapeHistoryEntry({ action: 'update', fields: ['height', 'x'] })).toBe(
+      'Moved and resized'
+    );
+    expect(
+      describeShapeHistoryEntry({ action: 'update', fields: ['strokeColor', 'text', 'rotation'] })
+    ).toBe('Rotated, edited the text and restyled');
+    expect(describeShapeHistoryEntry({ action: 'update', fields: [] })).toBe('Edited');
+  });
+});
+
+describe('getLastEditedLabel', () => {
+  it("shows the shape's last editor and how long ago", () => {
+    const now = 10 * 60000;
+    const shape = { lastModifiedByName: 'Ada', lastModifiedAt: now - 5 * 60000 };
+    expect(getLastEditedLabel(shape, now)).toBe('Last edited by Ada · 5m ago');
+    expect(getLastEditedLabel({ x: 0 }, now)).toBeNull();
+    expect(formatEditTime(now - 1000, now)).toBe('Just now');
+    expect(formatEditTime(now - 3 * 3600000, now + 3 * 3600000)).toBe('6h ago');
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getShareLinkStatus,
+  getShareLinkError,
+  listShareLinks,
+  formatShareLinkUses,
+  formatShareLinkExpiry,
+} from '../../utils/shareLinkUtils';
+
+const HOUR = 60 * 60 * 1000;
+const token = { role: 'viewer', createdBy: 'owner', createdAt: 1 };
+
+describe('getShareLinkStatus', () => {
+  it('stops links that are revoked, expired or used up', () => {
+    expect(getShareLinkStatus(token, 1000)).toBe('active');
+    expect(getShareLinkStatus(null, 1000)).toBe('revoked');
+    expect(getShareLinkStatus({ ...token, revoked: true }, 1000)).toBe('revoked');
+    expect(getShareLinkStatus({ ...token, expiresAt: 1000 }, 1000)).toBe('expired');
+    expect(getShareLinkStatus({ ...token, expiresAt: 1001 }, 1000)).toBe('active');
+    expect(getShareLinkStatus({ ...token, maxUses: 2, uses: 2 }, 1000)).toBe('used-up');
+    expect(getShareLinkStatus({ ...token, maxUses: 2 }, 1000)).toBe('active');
+    expect(getShareLinkError('active')).toBeNull();
+    expect(getShareLinkError('expired')).toBe('This share link has expired');
+  });
+});
+
+describe('listShareLinks', () => {
+  it('lists tokens newest first with their status', () => {
+    const links = listShareLinks(
+      { old: token, recent: { ...token, createdAt: 5, revoked: true } },
+      1000
+    );
+    expect(links.map((link) => [link.token, link.status])).toEqual([
+      ['recent', 'revoked'],
+      ['old', 'active'],
+    ]);
+    expect(listShareLinks(null)).toEqual([]);
+  });
+});
+
+describe('share link labels', () => {
+  it('describes uses and time left', () => {
+    expect(formatShareLinkUses(token)).toBe('0 uses');
+    expect(formatShareLinkUses({ ...token, uses: 1 })).toBe('1 use');
+    expect(formatShareLinkUses({ ...token, uses: 3, maxUses: 10 })).toBe('3 / 10 uses');
+
+    expect(formatShareLinkExpiry(token, 0)).toBe('Never expires');
+    expect(formatShareLinkExpiry({ ...token, expiresAt: 30 * 60000 }, 0)).toBe('Expires in 30m');
+    expect(formatShareLinkExpiry({ ...token, expiresAt: 5 * HOUR }, 0)).toBe('Expires in 5h');
+    expect(formatShareLinkExpiry({ ...token, expiresAt: 72 * HOUR }, 0)).toBe('Expires in 3d');
+    expect(formatShareLinkExpiry({ ...token, expiresAt: 1 }, 1)).toBe('Expired');
+  });
+});
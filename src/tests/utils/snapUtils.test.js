@@ -0,0 +1,153 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildSnapTargets,
+  getSnapBounds,
+  offsetBounds,
+  snapMove,
+  snapPoint,
+} from '../../utils/snapUtils';
+
+const rect = (id, x, y, width = 100, height = 100, extra = {}) => ({
+  id,
+  type: 'rectangle',
+  x,
+  y,
+  width,
+  height,
+  ...extra,
+});
+
+const moving = rect('m', 0, 0, 50, 50);
+const boxAt = (x, y) => offsetBounds(getSnapBounds([moving]), x, y);
+
+describe('buildSnapTargets', () => {
+  it('collects sorted edge and center lines of the other visible shapes', () => {
+    const targets = buildSnapTargets(
+      [
+        rect('a', 200, 0),
+        rect('b', 0, 300),
+        moving,
+        rect('h', 500, 500, 10, 10, { visible: false }),
+      ],
+      ['m']
+    );
+    expect(targets.xLines.map((l) => l.value)).toEqual([0, 50, 100, 200, 250, 300]);
+    expect(targets.yLines.map((l) => l.value)).toEqual([0, 50, 100, 300, 350, 400]);
+    expect(targets.boxes).toHaveLength(2);
+  });
+
+  it('skips groups, connectors and shapes outside the area', () => {
+    const targets = buildSnapTargets(
+      [
+        { id: 'g', type: 'group' },
+        { id: 'c', type: 'connector', x: 0, y: 0, x2: 10, y2: 10 },
+        rect('far', 5000, 5000),
+        rect('near', 10, 10),
+      ],
+      [],
+      { x: 0, y: 0, width: 1000, height: 1000 }
+    );
+    expect(targets.boxes).toHaveLength(1);
+    expect(targets.xLines.map((l) => l.value)).toEqual([10, 60, 110]);
+  });
+});
+
+describe('getSnapBounds', () => {
+  it('combines the unrotated bounds of the moving shapes, ignoring group records', () => {
+    const b = getSnapBounds([
+      rect('a', 0, 0, 10, 10),
+      { id: 'c', type: 'circle', x: 100, y: 100, radius: 20 },
+      { id: 'g', type: 'group' },
+    ]);
+    expect(b).toMatchObject({ minX: 0, minY: 0, maxX: 120, maxY: 120, width: 120 });
+    expect(getSnapBounds([])).toBeNull();
+  });
+});
+
+describe('snapMove', () => {
+  const targets = buildSnapTargets([rect('a', 200, 200)], ['m']);
+
+  it('aligns edges within the threshold and returns a guide for every matching line', () => {
+    // Left edge at 203 snaps to a's left edge at 200; the right edge then meets a's center
+    const result = snapMove(boxAt(203, 400), targets, { threshold: 5 });
+    expect(result.dx).toBe(-3);
+    expect(result.dy).toBe(0);
+    expect(result.guides).toEqual([
+      { kind: 'align', x1: 200, y1: 200, x2: 200, y2: 450 },
+      { kind: 'align', x1: 250, y1: 200, x2: 250, y2: 450 },
+    ]);
+  });
+
+  it('aligns centers', () => {
+    // Center 227 → a's center 250 is too far; 248 snaps by +2
+    const result = snapMove(boxAt(223, 400), targets, { threshold: 5 });
+    expect(result.dx).toBe(2);
+    expect(result.guides[0]).toMatchObject({ x1: 250, x2: 250 });
+  });
+
+  it('does not snap outside the threshold', () => {
+    expect(snapMove(boxAt(210, 400), targets, { threshold: 5 })).toEqual({
+      dx: 0,
+      dy: 0,
+      guides: [],
+    });
+  });
+
+  it('centers a shape between two neighbours in the same row', () => {
+    const row = buildSnapTargets([rect('l', 0, 0), rect('r', 250, 0)], []);
+    // Gap between l and r is 150; a 50-wide box fits with 50 on each side at x=150
+    const result = snapMove(boxAt(147, 300 - 275), row, { threshold: 5 });
+    expect(result.dx).toBe(3);
+    expect(result.guides.filter((g) => g.kind === 'spacing')).toEqual([
+      { kind: 'spacing', x1: 100, y1: 50, x2: 150, y2: 50 },
+      { kind: 'spacing', x1: 200, y1: 50, x2: 250, y2: 50 },
+    ]);
+  });
+
+  it('repeats the gap between the two previous shapes', () => {
+    const row = buildSnapTargets([rect('a', 0, 0), rect('b', 130, 0)], []);
+    // a → b gap is 30, so the box snaps to 230 + 30 = 260
+    const result = snapMove(boxAt(262, 20), row, { threshold: 5 });
+    expect(result.dx).toBe(-2);
+    expect(result.guides.some((g) => g.kind === 'spacing' && g.x1 === 230 && g.x2 === 260)).toBe(
+      true
+    );
+  });
+
+  it('falls back to the grid when no shape is close', () => {
+    const empty = buildSnapTargets([], []);
+    expect(snapMove(boxAt(48, 103), empty, { threshold: 5, gridSize: 50 })).toEqual({
+      dx: 2,
+      dy: -3,
+      guides: [],
+    });
+    expect(snapMove(boxAt(48, 103), empty, { threshold: 5 }).dx).toBe(0);
+  });
+
+  it('stays fast with hundreds of shapes', () => {
+    const shapes = Array.from({ length: 500 }, (_, i) =>
+      rect(`s${i}`, (i % 25) * 120, Math.floor(i / 25) * 120, 80, 80)
+    );
+    const many = buildSnapTargets(shapes, []);
+    const start = performance.now();
+    for (let i = 0; i < 200; i++) snapMove(boxAt(i * 7, i * 5), many, { threshold: 5 });
+    expect(performance.now() - start).toBeLessThan(500);
+  });
+});
+
+describe('snapPoint', () => {
+  const targets = buildSnapTargets([rect('a', 200, 200)], []);
+
+  it('snaps only the axes the handle moves', () => {
+    const result = snapPoint({ x: 297, y: 302 }, targets, { threshold: 5 }, { x: true, y: false });
+    expect(result.point).toEqual({ x: 300, y: 302 });
+    expect(result.guides).toHaveLength(1);
+  });
+
+  it('snaps both axes by default', () => {
+    expect(snapPoint({ x: 297, y: 302 }, targets, { threshold: 5 }).point).toEqual({
+      x: 300,
+      y: 300,
+    });
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import {
+  toSnapshotObjects,
+  isShapeChanged,
+  diffSnapshotObjects,
+  getRestoreUpdates,
+  hashSnapshotObjects,
+} from '../../utils/snapshotUtils';
+
+const rect = { id: 'a', type: 'rectangle', x: 0, y: 0, width: 10, height: 10 };
+const circle = { id: 'b', type: 'circle', x: 50, y: 50, radius: 20 };
+
+describe('toSnapshotObjects', () => {
+  it('keys shapes by ID and strips locks', () => {
+    const objects = toSnapshotObjects([{ ...rect, lockedBy: 'u1', lockedByUserName: 'Ann' }]);
+    expect(objects).toEqual({ a: rect });
+  });
+
+  it('accepts a database map and adds missing IDs', () => {
+    const { id: _id, ...withoutId } = circle;
+    expect(toSnapshotObjects({ b: withoutId })).toEqual({ b: circle });
+    expect(toSnapshotObjects(null)).toEqual({});
+  });
+});
+
+describe('isShapeChanged', () => {
+  it('ignores locks and timestamps', () => {
+    expect(isShapeChanged(rect, { ...rect, lockedBy: 'u1', timestamp: 5 })).toBe(false);
+  });
+
+  it('detects changed, added and removed fields', () => {
+    expect(isShapeChanged(rect, { ...rect, x: 5 })).toBe(true);
+    expect(isShapeChanged(rect, { ...rect, color: '#fff' })).toBe(true);
+    const { width: _width, ...narrower } = rect;
+    expect(isShapeChanged(rect, narrower)).toBe(true);
+  });
+});
+
+describe('diffSnapshotObjects', () => {
+  it('lists added, removed and changed shapes', () => {
+    const from = { a: rect, b: circle };
+    const to = { a: { ...rect, x: 99 }, c: { ...rect, id: 'c' } };
+    expect(diffSnapshotObjects(from, to)).toEqual({
+      added: ['c'],
+      removed: ['b'],
+      changed: ['a'],
+    });
+  });
+
+  it('reports nothing for identical content', () => {
+    expect(diffSnapshotObjects({ a: rect }, { a: { ...rect } })).toEqual({
+      added: [],
+      removed: [],
+      changed: [],
+    });
+  });
+});
+
+describe('getRestoreUpdates', () => {
+  it('nulls every field of shapes missing from the target', () => {
+    const updates = getRestoreUpdates({ a: rect, b: circle }, { a: rect });
+    expect(updates).toEqual({
+      b: { id: null, type: null, x: null, y: null, radius: null },
+    });
+  });
+
+  it('writes all fields of shapes missing from the current canvas', () => {
+    expect(getRestoreUpdates({}, { a: rect })).toEqual({ a: rect });
+  });
+
+  it('writes only changed fields and clears extra ones', () => {
+    const current = { a: { ...rect, x: 40, color: '#f00', lockedBy: 'u2' } };
+    expect(getRestoreUpdates(current, { a: rect })).toEqual({
+      a: { x: 0, color: null, lockedBy: null },
+    });
+  });
+
+  it('compares nested values by content', () => {
+    const vertices = [
+      { x: 0, y: 0 },
+      { x: 1, y: 1 },
+    ];
+    const polygon = { id: 'p', type: 'customPolygon', vertices };
+    expect(
+      getRestoreUpdates({ p: polygon }, { p: { ...polygon, vertices: [...vertices] } })
+    ).toEqual({});
+  });
+});
+
+describe('hashSnapshotObjects', () => {
+  it('is stable across key order and volatile fields', () => {
+    const reordered = { height: 10, width: 10, y: 0, x: 0, type: 'rectangle', id: 'a' };
+    expect(hashSnapshotObjects({ a: rect, b: circle })).toBe(
+      hashSnapshotObjects({ b: circle, a: { ...reordered, timestamp: 123 } })
+    );
+  });
+
+  it('changes when content changes', () => {
+    expect(hashSnapshotObjects({ a: rect })).not.toBe(
+      hashSnapshotObjects({ a: { ...rect, x: 1 } })
+    );
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { createSpatialIndex } from '../../utils/spatialIndex';
+
+const rect = (id, x, y, size = 10) => ({ id, type: 'rectangle', x, y, width: size, height: size });
+const ids = (shapes) => shapes.map((shape) => shape.id);
+
+describe('createSpatialIndex', () => {
+  it('finds the shapes overlapping a region', () => {
+    const index = createSpatialIndex();
+    index.sync([
+      rect('a', 0, 0),
+      rect('b', 100, 100),
+      { id: 'c', type: 'circle', x: 300, y: 300, radius: 50 },
+    ]);
+    expect(ids(index.search({ x: 95, y: 95, width: 10, height: 10 }))).toEqual(['b']);
+    expect(ids(index.search({ x: 340, y: 340, width: 10, height: 10 }))).toEqual(['c']);
+    expect(index.search({ x: 1000, y: 1000, width: 10, height: 10 })).toEqual([]);
+  });
+
+  it('matches a brute-force search on a large canvas, in array order', () => {
+    const shapes = Array.from({ length: 3000 }, (_, i) =>
+      rect(`s${i}`, (i * 7919) % 5000, (i * 104729) % 5000, 5 + (i % 40))
+    );
+    const region = { x: 1200, y: 800, width: 900, height: 600 };
+    const index = createSpatialIndex();
+    index.sync(shapes);
+
+    const expected = shapes.filter(
+      (s) =>
+        s.x <= region.x + region.width &&
+        s.x + s.width >= region.x &&
+        s.y <= region.y + region.height &&
+        s.y + s.height >= region.y
+    );
+    expect(ids(index.search(region))).toEqual(ids(expected));
+  });
+
+  it('follows moved, added and removed shapes', () => {
+    const index = createSpatialIndex();
+    const a = rect('a', 0, 0);
+    const b = rect('b', 500, 500);
+    index.sync([a, b]);
+    index.sync([{ ...a, x: 600, y: 600 }, b, rect('c', 550, 550)]);
+    expect(ids(index.search({ x: 490, y: 490, width: 200, height: 200 }))).toEqual(['a', 'b', 'c']);
+
+    index.sync([b]);
+    expect(index.size()).toBe(1);
+    expect(ids(index.search({ x: 0, y: 0, width: 5000, height: 5000 }))).toEqual(['b']);
+  });
+
+  it('grows to take in shapes far beyond the board', () => {
+    const index = createSpatialIndex();
+    index.sync([rect('near', 10, 10), rect('far', -80000, 120000)]);
+    expect(ids(index.search({ x: -80010, y: 119990, width: 50, height: 50 }))).toEqual(['far']);
+    expect(ids(index.search({ x: 0, y: 0, width: 50, height: 50 }))).toEqual(['near']);
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isSticky,
+  getStickyFontSize,
+  getStickyHeight,
+  layoutSticky,
+  getStickyColor,
+  buildStickyData,
+} from '../../utils/stickyUtils';
+import {
+  DEFAULT_STICKY_COLOR,
+  STICKY_MAX_FONT_SIZE,
+  STICKY_MIN_FONT_SIZE,
+} from '../../utils/constants';
+
+const longText = 'brainstorm '.repeat(80).trim();
+
+describe('isSticky', () => {
+  it('matches sticky notes only', () => {
+    expect(isSticky({ type: 'sticky' })).toBe(true);
+    expect(isSticky({ type: 'text' })).toBe(false);
+    expect(isSticky(null)).toBe(false);
+  });
+});
+
+describe('getStickyFontSize', () => {
+  it('uses the largest size for short text', () => {
+    expect(getStickyFontSize('Idea', 200, 200)).toBe(STICKY_MAX_FONT_SIZE);
+  });
+
+  it('shrinks as the text gets longer, down to the minimum', () => {
+    const medium = getStickyFontSize('brainstorm '.repeat(8), 200, 200);
+    expect(medium).toBeLessThan(STICKY_MAX_FONT_SIZE);
+    expect(medium).toBeGreaterThan(STICKY_MIN_FONT_SIZE);
+    expect(getStickyFontSize(longText, 200, 200)).toBe(STICKY_MIN_FONT_SIZE);
+  });
+});
+
+describe('getStickyHeight', () => {
+  it('keeps the height when the text fits', () => {
+    expect(getStickyHeight({ x: 0, y: 0, width: 200, height: 200, text: 'Idea' })).toBe(200);
+  });
+
+  it('grows to fit text that does not fit at the minimum size', () => {
+    expect(
+      getStickyHeight({ x: 0, y: 0, width: 200, height: 200, text: longText })
+    ).toBeGreaterThan(200);
+  });
+
+  it('never grows past the bottom of the canvas', () => {
+    expect(getStickyHeight({ x: 0, y: 4900, width: 200, height: 50, text: longText })).toBe(100);
+  });
+
+  it('grows without limit on an infinite canvas', () => {
+    const sticky = { x: 0, y: 4900, width: 200, height: 50, text: longText };
+    expect(getStickyHeight(sticky, Infinity)).toBeGreaterThan(100);
+  });
+});
+
+describe('layoutSticky', () => {
+  it('centers lines horizontally and puts the author at the bottom right', () => {
+    const layout = layoutSticky({
+      x: 100,
+      y: 100,
+      width: 200,
+      height: 200,
+      text: 'One\nTwo',
+      createdByName: 'Ada',
+    });
+    expect(layout.lines.map((line) => line.text)).toEqual(['One', 'Two']);
+    expect(layout.lines[0].x).toBe(200);
+    expect(layout.lines[1].y).toBeGreaterThan(layout.lines[0].y);
+    expect(layout.author).toMatchObject({ text: 'Ada' });
+    expect(layout.author.x).toBeGreaterThan(200);
+    expect(layout.author.y).toBeGreaterThan(layout.lines[1].y);
+  });
+
+  it('leaves out the author when the note has none', () => {
+    expect(layoutSticky({ x: 0, y: 0, text: 'Idea' }).author).toBeNull();
+  });
+});
+
+describe('getStickyColor', () => {
+  it('keeps paper colors and replaces anything else with the default', () => {
+    expect(getStickyColor('#F8BBD0')).toBe('#f8bbd0');
+    expect(getStickyColor('#ff0000')).toBe(DEFAULT_STICKY_COLOR);
+    expect(getStickyColor(undefined)).toBe(DEFAULT_STICKY_COLOR);
+  });
+});
+
+describe('buildStickyData', () => {
+  it('builds a default-size note signed by its author', () => {
+    expect(buildStickyData({ x: 10, y: 20, createdBy: 'u1', createdByName: 'Ada' })).toEqual({
+      type: 'sticky',
+      x: 10,
+      y: 20,
+      width: 200,
+      height: 200,
+      text: '',
+      color: DEFAULT_STICKY_COLOR,
+      createdBy: 'u1',
+      createdByName: 'Ada',
+      rotation: 0,
+    });
+  });
+
+  it('leaves out an unknown author and grows to fit its text', () => {
+    const data = buildStickyData({ x: 0, y: 0, text: longText, createdBy: 'u1' });
+    expect(data).not.toHaveProperty('createdByName');
+    expect(data.height).toBeGreaterThan(200);
+  });
+});
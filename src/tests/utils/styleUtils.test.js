@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isStyleable,
+  getStrokeDashArray,
+  getStyleAttributes,
+  getCornerRadius,
+  sanitizeStyleUpdates,
+} from '../../utils/styleUtils';
+
+describe('isStyleable', () => {
+  it('accepts filled shapes only', () => {
+    expect(isStyleable({ type: 'rectangle' })).toBe(true);
+    expect(isStyleable({ type: 'customPolygon' })).toBe(true);
+    expect(isStyleable({ type: 'text' })).toBe(false);
+    expect(isStyleable({ type: 'connector' })).toBe(false);
+    expect(isStyleable(null)).toBe(false);
+  });
+});
+
+describe('getStrokeDashArray', () => {
+  it('scales dashes and dots with the stroke width', () => {
+    expect(getStrokeDashArray('solid', 3)).toBeUndefined();
+    expect(getStrokeDashArray('dashed', 3)).toBe('12 6');
+    expect(getStrokeDashArray('dotted', 3)).toBe('0 6');
+    expect(getStrokeDashArray('dashed', 0.5)).toBe('4 2');
+  });
+});
+
+describe('getStyleAttributes', () => {
+  it('draws nothing extra for unstyled shapes', () => {
+    expect(getStyleAttributes({})).toEqual({ fillOpacity: undefined });
+  });
+
+  it('uses the default stroke color once a width is set', () => {
+    expect(getStyleAttributes({ strokeWidth: 2 })).toMatchObject({
+      stroke: '#000000',
+      strokeWidth: 2,
+      strokeDasharray: undefined,
+    });
+  });
+
+  it('rounds dotted line caps and fades fill and stroke together', () => {
+    expect(
+      getStyleAttributes({
+        strokeWidth: 2,
+        strokeDash: 'dotted',
+        strokeColor: '#f00',
+        opacity: 0.4,
+      })
+    ).toEqual({
+      stroke: '#f00',
+      strokeWidth: 2,
+      strokeDasharray: '0 4',
+      strokeLinecap: 'round',
+      fillOpacity: 0.4,
+      strokeOpacity: 0.4,
+    });
+  });
+});
+
+describe('getCornerRadius', () => {
+  it('caps the radius at half the shorter side', () => {
+    expect(getCornerRadius({ cornerRadius: 8, width: 100, height: 100 })).toBe(8);
+    expect(getCornerRadius({ cornerRadius: 80, width: 100, height: 40 })).toBe(20);
+    expect(getCornerRadius({ width: 100, height: 40 })).toBe(0);
+  });
+});
+
+describe('sanitizeStyleUpdates', () => {
+  it('clamps numbers, drops invalid values and keeps other fields', () => {
+    expect(
+      sanitizeStyleUpdates({
+        color: '#fff',
+        strokeWidth: -4,
+        opacity: 3,
+        cornerRadius: 'big',
+        strokeDash: 'zigzag',
+      })
+    ).toEqual({ color: '#fff', strokeWidth: 0, opacity: 1 });
+    expect(sanitizeStyleUpdates({ strokeDash: 'dotted', cornerRadius: 12 })).toEqual({
+      strokeDash: 'dotted',
+      cornerRadius: 12,
+    });
+  });
+});
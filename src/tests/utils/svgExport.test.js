@@ -0,0 +1,336 @@
+import { describe, it, expect } from 'vitest';
+import {
+  escapeXml,
+  getRotatedShapeBounds,
+  getContentBounds,
+  shapeToSvg,
+  shapesToSvg,
+  getExportRegion,
+} from '../../utils/svgExport';
+import { getExportFilename } from '../../utils/download';
+
+const rect = {
+  id: 'r1',
+  type: 'rectangle',
+  x: 100,
+  y: 100,
+  width: 50,
+  height: 20,
+  color: '#ff0000',
+};
+const circle = { id: 'c1', type: 'circle', x: 300, y: 300, radius: 25, color: '#00ff00' };
+
+describe('escapeXml', () => {
+  it('escapes markup characters', () => {
+    expect(escapeXml('<a href="x">Tom & Jerry\'s</a>')).toBe(
+      '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;'
+    );
+  });
+});
+
+describe('getRotatedShapeBounds', () => {
+  it('returns plain bounds for unrotated shapes', () => {
+    expect(getRotatedShapeBounds(rect)).toMatchObject({
+      minX: 100,
+      maxX: 150,
+      minY: 100,
+      maxY: 120,
+    });
+  });
+
+  it('grows to fit a rotated rectangle', () => {
+    const bounds = getRotatedShapeBounds({ ...rect, rotation: 90 });
+    // 50x20 around center (125,110) becomes 20x50
+    expect(bounds.width).toBeCloseTo(20);
+    expect(bounds.height).toBeCloseTo(50);
+    expect(bounds.centerX).toBeCloseTo(125);
+  });
+});
+
+describe('getContentBounds', () => {
+  it('returns null for no shapes', () => {
+    expect(getContentBounds([])).toBeNull();
+  });
+
+  it('unions all shapes', () => {
+    expect(getContentBounds([rect, circle])).toMatchObject({
+      minX: 100,
+      minY: 100,
+      maxX: 325,
+      maxY: 325,
+    });
+  });
+});
+
+describe('shapeToSvg', () => {
+  it('serializes a rectangle with its label', () => {
+    const svg = shapeToSvg({ ...rect, text: 'Hi <b>' });
+    expect(svg).toContain('<rect x="100" y="100" width="50" height="20" fill="#ff0000"/>');
+    expect(svg).toContain('Hi &lt;b&gt;');
+  });
+
+  it('draws border, dash, corner radius and opacity like the components', () => {
+    const svg = shapeToSvg({
+      ...rect,
+      strokeColor: '#0000ff',
+      strokeWidth: 2,
+      strokeDash: 'dashed',
+      cornerRadius: 30,
+      opacity: 0.5,
+    });
+    // The radius is capped at half the shorter side
+    expect(svg).toContain(
+      '<rect x="100" y="100" width="50" height="20" rx="10" ry="10" fill="#ff0000" stroke="#0000ff" stroke-width="2" stroke-dasharray="8 4" fill-opacity="0.5" stroke-opacity="0.5"/>'
+    );
+    expect(shapeToSvg({ ...circle, opacity: 0.25 })).toContain('fill-opacity="0.25"');
+  });
+
+  it('applies rotation around the same center as the component', () => {
+    expect(shapeToSvg({ ...circle, rotation: 45 })).toContain('transform="rotate(45 300 300)"');
+  });
+
+  it('builds regular polygon points starting from the top', () => {
+    const svg = shapeToSvg({ id: 'p', type: 'polygon', x: 0, y: 0, radius: 10, sides: 4 });
+    expect(svg).toMatch(/points="0,-10 10,0 0,10 -10,0"/);
+  });
+
+  it('skips custom polygons with fewer than 3 vertices', () => {
+    expect(shapeToSvg({ id: 'cp', type: 'customPolygon', vertices: [{ x: 0, y: 0 }] })).toBe('');
+  });
+
+  it('draws freehand paths relative to their position', () => {
+    const svg = shapeToSvg({
+      id: 'pen',
+      type: 'path',
+      x: 100,
+      y: 50,
+      width: 10,
+      height: 0,
+      points: [
+        { x: 0, y: 0 },
+        { x: 10, y: 0 },
+      ],
+      strokeWidth: 3,
+      color: '#123456',
+    });
+    expect(svg).toContain('d="M 100 50 L 110 50" fill="none" stroke="#123456" stroke-width="3"');
+    expect(shapeToSvg({ id: 'empty', type: 'path', x: 0, y: 0, points: [] })).toBe('');
+  });
+
+  it('positions images from their center and uses embedded data', () => {
+    const svg = shapeToSvg(
+      {
+        id: 'i',
+        type: 'image',
+        x: 100,
+        y: 100,
+        width: 40,
+        height: 20,
+        imageUrl: 'https://x/a.png',
+      },
+      { 'https://x/a.png': 'data:image/png;base64,AAA' }
+    );
+    expect(svg).toContain('href="data:image/png;base64,AAA" x="80" y="90"');
+  });
+
+  it('wraps text box content and never emits editor placeholders', () => {
+    const svg = shapeToSvg({
+      id: 't',
+      type: 'text',
+      x: 0,
+      y: 0,
+      width: 120,
+      height: 100,
+      text: 'one two three four five',
+      fontSize: 16,
+    });
+    expect(svg.match(/<text /g).length).toBeGreaterThan(1);
+    expect(shapeToSvg({ id: 't2', type: 'text', x: 0, y: 0, text: '' })).not.toContain('<text');
+  });
+
+  it('exports rich text marks, links, list markers and alignment', () => {
+    const svg = shapeToSvg({
+      id: 't',
+      type: 'text',
+      x: 0,
+      y: 0,
+      width: 300,
+      height: 200,
+      text: 'Bold link\nitem',
+      textAlign: 'center',
+      fontFamily: 'serif',
+      richText: {
+        blocks: [
+          {
+            type: 'paragraph',
+            spans: [
+              { text: 'Bold', bold: true },
+              { text: ' ' },
+              { text: 'link', link: 'https://example.com' },
+            ],
+          },
+          { type: 'bullet', spans: [{ text: 'item', strike: true }] },
+        ],
+      },
+    });
+    expect(svg).toContain('<tspan font-weight="bold">Bold</tspan>');
+    expect(svg).toContain('<a href="https://example.com"><tspan text-decoration="underline"');
+    expect(svg).toContain('<tspan>• </tspan><tspan text-decoration="line-through">item</tspan>');
+    expect(svg).toContain('text-anchor="middle"');
+    expect(svg).toContain('font-family="Georgia');
+  });
+
+  it('draws sticky notes with their paper, text and author', () => {
+    const svg = shapeToSvg({
+      id: 's',
+      type: 'sticky',
+      x: 0,
+      y: 0,
+      width: 200,
+      height: 200,
+      text: 'Ship it',
+      color: '#ffcc80',
+      createdByName: 'Ada <dev>',
+    });
+    expect(svg).toContain('fill="#ffcc80"');
+    expect(svg).toContain('>Ship it</text>');
+    expect(svg).toContain('Ada &lt;dev&gt;');
+  });
+});
+
+describe('shapesToSvg', () => {
+  it('returns null when nothing is visible', () => {
+    expect(shapesToSvg([{ ...rect, visible: false }])).toBeNull();
+  });
+
+  it('produces a standalone document cropped to the content', () => {
+    const svg = shapesToSvg([rect], { padding: 10 });
+    expect(svg).toMatch(/^<\?xml/);
+    expect(svg).toContain('xmlns="http://www.w3.org/2000/svg"');
+    expect(svg).toContain('viewBox="90 90 70 40"');
+  });
+
+  it('draws shapes in z-order with an optional background', () => {
+    const svg = shapesToSvg(
+      [
+        { ...circle, zIndex: 2 },
+        { ...rect, zIndex: 1 },
+      ],
+      {
+        backgroundColor: '#1a1a1a',
+      }
+    );
+    expect(svg.indexOf('fill="#1a1a1a"')).toBeLessThan(svg.indexOf('id="r1"'));
+    expect(svg.indexOf('id="r1"')).toBeLessThan(svg.indexOf('id="c1"'));
+  });
+
+  it('leaves out lock and selection state', () => {
+    const svg = shapesToSvg([{ ...rect, lockedBy: 'u2', lockedByUserName: 'Bob' }]);
+    expect(svg).not.toContain('Bob');
+    expect(svg).not.toContain('selection');
+  });
+});
+
+describe('getExportRegion', () => {
+  const shapes = [rect, circle, { ...circle, id: 'hidden', x: 4000, visible: false }];
+
+  it('uses the visible viewport', () => {
+    expect(
+      getExportRegion('viewport', {
+        shapes,
+        viewport: { offsetX: 100, offsetY: 50, zoom: 2 },
+        containerSize: { width: 800, height: 600 },
+      })
+    ).toEqual({ x: 100, y: 50, width: 400, height: 300 });
+  });
+
+  it('pads the selection bounds', () => {
+    expect(getExportRegion('selection', { shapes, selectedIds: ['c1'], padding: 5 })).toEqual({
+      x: 270,
+      y: 270,
+      width: 60,
+      height: 60,
+    });
+  });
+
+  it('returns null for an empty selection', () => {
+    expect(getExportRegion('selection', { shapes, selectedIds: [] })).toBeNull();
+  });
+
+  it('clamps all content to the canvas area and ignores hidden shapes', () => {
+    const region = getExportRegion('full', {
+      shapes: [...shapes, { ...rect, id: 'edge', x: -40, y: 10 }],
+      padding: 20,
+    });
+    expect(region).toEqual({ x: 0, y: 0, width: 345, height: 345 });
+  });
+
+  it('keeps content past the board on an infinite canvas', () => {
+    const region = getExportRegion('full', {
+      shapes: [...shapes, { ...rect, id: 'edge', x: -40, y: 10 }],
+      padding: 20,
+      infinite: true,
+    });
+    expect(region.x).toBe(-60);
+  });
+});
+
+describe('shapesToSvg with a region', () => {
+  it('drops shapes outside the region and keeps an empty area exportable', () => {
+    const svg = shapesToSvg([rect, circle], { region: { x: 0, y: 0, width: 200, height: 200 } });
+    expect(svg).toContain('id="r1"');
+    expect(svg).not.toContain('id="c1"');
+    expect(shapesToSvg([], { region: { x: 0, y: 0, width: 10, height: 10 } })).toContain('<svg');
+  });
+
+  it('renders at an explicit pixel size', () => {
+    const svg = shapesToSvg([rect], {
+      region: { x: 0, y: 0, width: 200, height: 100 },
+      size: { width: 400, height: 200 },
+    });
+    expect(svg).toContain('width="400" height="200" viewBox="0 0 200 100"');
+  });
+});
+
+describe('frames', () => {
+  const frame = {
+    id: 'f1',
+    type: 'frame',
+    x: 0,
+    y: 0,
+    width: 120,
+    height: 80,
+    color: '#ffffff',
+    zIndex: 5,
+  };
+  const child = { ...rect, frameId: 'f1', zIndex: 1 };
+
+  it('exports exactly the frame box', () => {
+    expect(getExportRegion('frame', { shapes: [frame, child], frameId: 'f1' })).toEqual({
+      x: 0,
+      y: 0,
+      width: 120,
+      height: 80,
+    });
+    expect(getExportRegion('frame', { shapes: [child], frameId: 'f1' })).toBeNull();
+  });
+
+  it('clips children to their frame and draws them above it', () => {
+    const svg = shapesToSvg([child, frame]);
+    expect(svg).toContain(
+      '<clipPath id="frame-clip-f1"><rect x="0" y="0" width="120" height="80"/>'
+    );
+    expect(svg.indexOf('id="f1"')).toBeLessThan(svg.indexOf('id="r1"'));
+    expect(svg.indexOf('clip-path="url(#frame-clip-f1)"')).toBeLessThan(svg.indexOf('id="r1"'));
+  });
+});
+
+describe('getExportFilename', () => {
+  it('slugifies the canvas name', () => {
+    expect(getExportFilename('Team Board #2', 'svg')).toBe('team-board-2.svg');
+  });
+
+  it('falls back to "canvas"', () => {
+    expect(getExportFilename('', 'png')).toBe('canvas.png');
+  });
+});
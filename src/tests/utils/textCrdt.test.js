@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { createTextDoc, richTextToChars, charsToRichText } from '../../utils/textCrdt';
+import { plainTextToRichText, richTextToPlainText } from '../../utils/richTextUtils';
+
+const base = plainTextToRichText('hello');
+const text = (doc) => richTextToPlainText(doc.toRichText());
+const edit = (doc, value) => doc.update(plainTextToRichText(value));
+
+describe('rich text characters', () => {
+  it('round-trips blocks and marks, with a newline ending each block', () => {
+    const richText = {
+      blocks: [
+        { type: 'paragraph', spans: [{ text: 'ab', bold: true }, { text: 'c' }] },
+        { type: 'bullet', spans: [{ text: 'd' }] },
+      ],
+    };
+    const chars = richTextToChars(richText);
+    expect(chars.map((c) => c.value).join('')).toBe('abc\nd\n');
+    expect(chars[4].attrs).toEqual({});
+    expect(chars[5].attrs).toEqual({ block: 'bullet' });
+    expect(charsToRichText(chars)).toEqual(richText);
+  });
+});
+
+describe('createTextDoc', () => {
+  it('converges when concurrent edits arrive in different orders', () => {
+    const a = createTextDoc('a', base);
+    const b = createTextDoc('b', base);
+    const c = createTextDoc('c', base);
+    const opsA = edit(a, 'hello world');
+    const opsB = edit(b, 'Hello');
+    const opsC = edit(c, 'help');
+
+    a.apply([...opsB, ...opsC]);
+    b.apply([...opsC, ...opsA]);
+    c.apply([...opsA, ...opsB]);
+    expect(text(a)).toBe(text(b));
+    expect(text(b)).toBe(text(c));
+    expect(text(a)).toBe('Help world');
+  });
+
+  it('keeps concurrent inserts at the same place together', () => {
+    const a = createTextDoc('a', base);
+    const b = createTextDoc('b', base);
+    const opsA = edit(a, 'hello there');
+    const opsB = edit(b, 'hello you');
+    a.apply(opsB);
+    b.apply(opsA);
+    expect(text(a)).toBe(text(b));
+    expect(text(a)).toMatch(/^hello( there you| you there)$/);
+  });
+
+  it('keeps the latest formatting of a character', () => {
+    const bold = { blocks: [{ type: 'paragraph', spans: [{ text: 'hello', bold: true }] }] };
+    const italic = { blocks: [{ type: 'paragraph', spans: [{ text: 'hello', italic: true }] }] };
+    const a = createTextDoc('a', base);
+    const b = createTextDoc('b', base);
+    const opsA = a.update(bold);
+    b.apply(opsA);
+    const opsB = b.update(italic);
+    expect(opsB.every((op) => op.type === 'format')).toBe(true);
+
+    a.apply(opsB);
+    // Replaying the older change changes nothing
+    expect(b.apply(opsA)).toBe(false);
+    expect(a.toRichText()).toEqual(italic);
+    expect(b.toRichText()).toEqual(italic);
+  });
+
+  it('holds operations back until what they refer to arrives', () => {
+    const a = createTextDoc('a', base);
+    const b = createTextDoc('b', base);
+    const first = edit(a, 'hello!');
+    const second = edit(a, 'hello!?');
+    expect(b.apply(second)).toBe(false);
+    expect(text(b)).toBe('hello');
+    expect(b.apply(first)).toBe(true);
+    expect(text(b)).toBe('hello!?');
+  });
+
+  it('maps character ids to offsets, deleted ones to where they were', () => {
+    const doc = createTextDoc('a', base);
+    const ids = doc.visibleIds();
+    expect(doc.offsetOf(null)).toBe(0);
+    expect(doc.offsetOf(ids[1])).toBe(2);
+
+    edit(doc, 'ho');
+    expect(doc.offsetOf(ids[1])).toBe(1);
+    expect(doc.offsetOf(ids[4])).toBe(2);
+    expect(doc.offsetOf('unknown')).toBe(0);
+  });
+});
@@ -1,7 +1,42 @@
 // Shape types
-export type ShapeType = 'rectangle' | 'circle' | 'polygon' | 'customPolygon' | 'text' | 'image';
+export type ShapeType =
+  | 'rectangle'
+  | 'circle'
+  | 'polygon'
+  | 'customPolygon'
+  | 'text'
+  | 'image'
+  | 'connector'
+  | 'path'
+  | 'group'
+  | 'frame'
+  | 'sticky';
 export type ToolType = 'select' | ShapeType;
-export type CanvasRole = 'owner' | 'editor' | 'viewer';
+export type CanvasRole = 'owner' | 'editor' | 'commenter' | 'viewer';
+export type StrokeDash = 'solid' | 'dashed' | 'dotted';
+export type TextAlign = 'left' | 'center' | 'right';
+export type FontFamily = 'sans' | 'serif' | 'mono' | 'handwriting';
+
+// Rich text: blocks (paragraphs or list items) made of styled runs of text
+export interface RichTextSpan {
+  text: string;
+  bold?: boolean;
+  italic?: boolean;
+  underline?: boolean;
+  strike?: boolean;
+  link?: string; // http(s) or mailto URL
+}
+
+export type RichTextBlockType = 'paragraph' | 'bullet' | 'ordered';
+
+export interface RichTextBlock {
+  type: RichTextBlockType;
+  spans: RichTextSpan[];
+}
+
+export interface RichText {
+  blocks: RichTextBlock[];
+}
 
 // Base shape properties shared by all shapes
 export interface ShapeBase {
@@ -14,8 +49,20 @@ export interface ShapeBase {
   lockedBy: string | null;
   lockedByUserName: string | null;
   timestamp: number;
+  // Last edit (set on every create, restore and edit made while signed in)
+  lastModifiedBy?: string;
+  lastModifiedByName?: string;
+  lastModifiedAt?: number;
   rotation: number;
   zIndex?: number;
+  groupId?: string | null;
+  frameId?: string | null;
+  // Styling (drawn by rectangles, circles and polygons; no stroke when unset or 0)
+  strokeColor?: string;
+  strokeWidth?: number;
+  strokeDash?: StrokeDash;
+  cornerRadius?: number; // Rectangles only
+  opacity?: number; // 0–1, defaults to 1
 }
 
 export interface RectangleShape extends ShapeBase {
@@ -48,6 +95,21 @@ export interface TextShape extends ShapeBase {
   fontSize: number;
   textColor: string;
   backgroundColor?: string;
+  // Inline formatting; `text` always holds the same content as plain text
+  richText?: RichText;
+  textAlign?: TextAlign;
+  fontFamily?: FontFamily;
+  lineHeight?: number; // Multiple of the font size, defaults to 1.2
+}
+
+// Sticky note: paper-colored box whose text shrinks to fit and the note grows
+// when it can't shrink further
+export interface StickyShape extends ShapeBase {
+  type: 'sticky';
+  width: number;
+  height: number;
+  text: string;
+  createdByName?: string; // Author shown on the note
 }
 
 export interface ImageShape extends ShapeBase {
@@ -57,13 +119,100 @@ export interface ImageShape extends ShapeBase {
   imageUrl: string;
 }
 
+export type ConnectorAnchor = 'top' | 'right' | 'bottom' | 'left' | 'center';
+export type ConnectorRouting = 'straight' | 'elbow';
+export type ArrowheadStyle = 'none' | 'arrow' | 'triangle' | 'circle';
+
+/**
+ * Line/arrow between two points. x,y is the start point and x2,y2 the end point;
+ * an end bound to a shape (startShapeId/endShapeId) follows that shape's anchor,
+ * and the stored coordinates are its last known position.
+ */
+export interface ConnectorShape extends ShapeBase {
+  type: 'connector';
+  x2: number;
+  y2: number;
+  startShapeId?: string | null;
+  startAnchor?: ConnectorAnchor | null;
+  endShapeId?: string | null;
+  endAnchor?: ConnectorAnchor | null;
+  routing?: ConnectorRouting;
+  startArrowhead?: ArrowheadStyle;
+  endArrowhead?: ArrowheadStyle;
+  strokeWidth?: number;
+}
+
+/**
+ * Freehand pen stroke. x,y is the top-left of the width×height box and
+ * points are relative to it, so moving and resizing work like a rectangle.
+ */
+export interface PathShape extends ShapeBase {
+  type: 'path';
+  width: number;
+  height: number;
+  points: { x: number; y: number }[];
+  strokeWidth?: number;
+}
+
+/**
+ * Persistent group. Has no geometry of its own: members point at it with
+ * `groupId` and its bounds are derived from them. Groups can be nested.
+ */
+export interface GroupShape {
+  id: string;
+  type: 'group';
+  name?: string;
+  groupId?: string | null;
+  createdBy: string;
+  lockedBy: string | null;
+  lockedByUserName: string | null;
+  timestamp: number;
+  lastModifiedBy?: string;
+  lastModifiedByName?: string;
+  lastModifiedAt?: number;
+  zIndex?: number;
+  visible?: boolean;
+}
+
+/**
+ * Named container (artboard). x,y is the top-left of the width×height box.
+ * Shapes inside point at it with `frameId`, move with it and are clipped to it.
+ * Frames are always top-level: they are never grouped or put inside other frames.
+ */
+export interface FrameShape extends ShapeBase {
+  type: 'frame';
+  width: number;
+  height: number;
+  name?: string;
+}
+
 export type Shape =
   | RectangleShape
   | CircleShape
   | PolygonShape
   | CustomPolygonShape
   | TextShape
-  | ImageShape;
+  | StickyShape
+  | ImageShape
+  | ConnectorShape
+  | PathShape
+  | GroupShape
+  | FrameShape;
+
+export type ShapeHistoryAction = 'create' | 'update' | 'delete' | 'restore';
+
+/**
+ * One entry in a shape's edit history (`shapeHistory/{shapeId}`). Edits one user
+ * makes in quick succession share an entry, so `fields` lists everything they changed.
+ */
+export interface ShapeHistoryEntry {
+  id: string;
+  userId: string;
+  userName: string;
+  action: ShapeHistoryAction;
+  fields?: string[]; // Updates only
+  createdAt: number;
+}
 
 // Viewport
 export interface Viewport {
@@ -91,6 +240,7 @@ export interface PresenceEntry {
   color: string;
   sessionId?: string;
   status?: 'active' | 'away';
+  viewport?: { x: number; y: number; width: number; height: number }; // Visible region
 }
 
 // Authenticated user
@@ -117,12 +267,19 @@ export interface CanvasMetadata {
 export interface CanvasSettings {
   backgroundColor: string;
   gridVisible: boolean;
+  infinite?: boolean;
 }
 
 // Undo/redo action
-export interface HistoryAction {
-  type: 'create' | 'delete';
+export type ShapeFields = Record<string, unknown>;
+
+export interface ShapeChange {
   shapeId: string;
-  shapeData?: Shape;
-  timestamp?: number;
+  before: ShapeFields;
+  after: ShapeFields;
 }
+
+export type HistoryAction =
+  | { type: 'create' | 'delete'; shapeId: string; shapeData?: Shape; timestamp?: number }
+  | { type: 'update'; changes: ShapeChange[]; timestamp?: number }
+  | { type: 'batch'; actions: HistoryAction[]; timestamp?: number };
@@ -2,10 +2,61 @@
  * Canvas Capture Utility
  *
  * Converts the SVG canvas to a JPEG image for sending to GPT-4 Vision
- * (JPEG with quality setting provides smaller file sizes than PNG)
+ * (JPEG with quality setting provides smaller file sizes than PNG),
+ * and renders user-facing PNG exports at higher resolutions.
  */
 
 import { reportError } from './errorHandler';
+import { MAX_EXPORT_DIMENSION, MAX_EXPORT_PIXELS } from './constants';
+import { shapesToSvg, embedImages } from './svgExport';
+
+/**
+ * Draw SVG markup onto a new <canvas> element
+ *
+ * @param {string} svgMarkup - Serialized SVG document
+ * @param {Object} options - Raster options
+ * @param {number} options.width - Output width in pixels
+ * @param {number} options.height - Output height in pixels
+ * @param {string|null} options.backgroundColor - Fill drawn first (null keeps transparency)
+ * @returns {Promise<HTMLCanvasElement>} Canvas containing the rendered image
+ */
+export async function rasterizeSvg(svgMarkup, { width, height, backgroundColor = null }) {
+  // Create a blob from SVG data
+  const svgBlob = new Blob([svgMarkup], { type: 'image/svg+xml;charset=utf-8' });
+  const url = URL.createObjectURL(svgBlob);
+
+  try {
+    // Create an image element
+    const img = new Image();
+
+    // Wait for image to load
+    await new Promise((resolve, reject) => {
+      img.onload = resolve;
+      img.onerror = reject;
+      img.src = url;
+    });
+
+    // Create canvas element
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+
+    const ctx = canvas.getContext('2d');
+
+    if (backgroundColor) {
+      ctx.fillStyle = backgroundColor;
+      ctx.fillRect(0, 0, width, height);
+    }
+
+    // Draw the image onto canvas
+    ctx.drawImage(img, 0, 0, width, height);
+
+    return canvas;
+  } finally {
+    // Clean up
+    URL.revokeObjectURL(url);
+  }
+}
 
 /**
  * Capture the current viewport of the canvas as a base64 JPEG image
@@ -44,36 +95,8 @@ export async function captureCanvasImage(svgElement, options = {}) {
     // Get the SVG as XML string
     const svgData = new XMLSerializer().serializeToString(svgClone);
 
-    // Create a blob from SVG data
-    const svgBlob = new Blob([svgData], { type: 'image/svg+xml;charset=utf-8' });
-    const url = URL.createObjectURL(svgBlob);
-
-    // Create an image element
-    const img = new Image();
-
-    // Wait for image to load
-    await new Promise((resolve, reject) => {
-      img.onload = resolve;
-      img.onerror = reject;
-      img.src = url;
-    });
-
-    // Create canvas element
-    const canvas = document.createElement('canvas');
-    canvas.width = width;
-    canvas.height = height;
-
-    const ctx = canvas.getContext('2d');
-
     // Fill with white background (so transparent areas are visible)
-    ctx.fillStyle = '#FFFFFF';
-    ctx.fillRect(0, 0, width, height);
-
-    // Draw the image onto canvas
-    ctx.drawImage(img, 0, 0, width, height);
-
-    // Clean up
-    URL.revokeObjectURL(url);
+    const canvas = await rasterizeSvg(svgData, { width, height, backgroundColor: '#FFFFFF' });
 
     // Convert canvas to base64 JPEG with quality setting (smaller file size)
     const base64Image = canvas.toDataURL('image/jpeg', quality);
@@ -85,6 +108,65 @@ export async function captureCanvasImage(svgElement, options = {}) {
   }
 }
 
+/**
+ * Work out the output size of a PNG export.
+ * The requested scale is reduced when the image would exceed what browsers can allocate
+ * (MAX_EXPORT_DIMENSION per side, MAX_EXPORT_PIXELS in total).
+ *
+ * @param {{width: number, height: number}} region - Export region in canvas units
+ * @param {number} requestedScale - Desired pixels per canvas unit (1, 2 or 4)
+ * @returns {{width: number, height: number, scale: number, limited: boolean}}
+ */
+export function getPngExportSize(region, requestedScale) {
+  const maxScale = Math.min(
+    MAX_EXPORT_DIMENSION / region.width,
+    MAX_EXPORT_DIMENSION / region.height,
+    Math.sqrt(MAX_EXPORT_PIXELS / (region.width * region.height))
+  );
+  const scale = Math.min(requestedScale, maxScale);
+
+  return {
+    width: Math.max(1, Math.round(region.width * scale)),
+    height: Math.max(1, Math.round(region.height * scale)),
+    scale,
+    limited: scale < requestedScale,
+  };
+}
+
+/**
+ * Render shapes to a PNG blob
+ *
+ * Shapes are serialized with the same code as the SVG export, so editor chrome
+ * (selection, locks, cursors, grid) never appears. Images are embedded first so
+ * the canvas isn't tainted by cross-origin Storage URLs.
+ *
+ * @param {Array} shapes - Shapes to draw
+ * @param {Object} options - Export options
+ * @param {{x: number, y: number, width: number, height: number}} options.region - Area to export
+ * @param {number} options.scale - Pixels per canvas unit (default 1)
+ * @param {string|null} options.backgroundColor - Background fill, or null for transparent
+ * @returns {Promise<Blob>} PNG image
+ */
+export async function exportShapesToPng(shapes, { region, scale = 1, backgroundColor = null }) {
+  try {
+    const imageData = await embedImages(shapes);
+    const size = getPngExportSize(region, scale);
+    // Render the SVG at the output size so the browser rasterizes vectors crisply
+    const svg = shapesToSvg(shapes, { region, imageData, backgroundColor, size });
+    const canvas = await rasterizeSvg(svg, { width: size.width, height: size.height });
+
+    return await new Promise((resolve, reject) => {
+      canvas.toBlob(
+        (blob) => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))),
+        'image/png'
+      );
+    });
+  } catch (error) {
+    reportError(error, { component: 'canvasCapture', action: 'exportShapesToPng' });
+    throw error;
+  }
+}
+
 /**
  * Keywords that suggest the user wants Canny to see the canvas
  * Used to auto-detect when vision would be helpful
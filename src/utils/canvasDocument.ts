@@ -0,0 +1,319 @@
+/**
+ * Canvas JSON documents — versioned import/export format.
+ *
+ * Version history:
+ *   1 — database layout: `{ metadata: { name, settings, ... }, objects: { [id]: shape } }`
+ *       (also what a raw Realtime Database export of `canvases/{id}` looks like)
+ *   2 — current: top-level `settings`, `objects` as an array in z-order
+ *
+ * Older documents are upgraded step by step before validation, so the zod schema
+ * only ever describes the current version.
+ */
+
+import { z } from 'zod';
+import {
+  SHAPE_TYPES,
+  CONNECTOR_ANCHORS,
+  ARROWHEAD_STYLES,
+  STROKE_DASH_STYLES,
+  TEXT_ALIGNMENTS,
+  FONT_FAMILIES,
+} from './constants';
+
+export const CANVAS_DOCUMENT_FORMAT = 'collabcanvas';
+export const CANVAS_DOCUMENT_VERSION = 2;
+export const MAX_IMPORT_OBJECTS = 10000;
+export const MAX_IMPORT_FILE_BYTES = 20 * 1024 * 1024;
+
+const finite = z.number().finite();
+const point = z.object({ x: finite, y: finite });
+
+// Fields every shape may carry; unknown extra fields are kept (passthrough)
+const shapeBase = {
+  id: z.string().optional(),
+  x: finite,
+  y: finite,
+  color: z.string().optional(),
+  rotation: finite.optional(),
+  zIndex: finite.optional(),
+  visible: z.boolean().optional(),
+  name: z.string().optional(),
+  text: z.string().nullable().optional(),
+  fontSize: finite.positive().optional(),
+  groupId: z.string().nullable().optional(),
+  frameId: z.string().nullable().optional(),
+};
+
+const sizedShape = { width: finite.nonnegative(), height: finite.nonnegative() };
+
+// Border and opacity of filled shapes (cornerRadius is only drawn on rectangles)
+const styledShape = {
+  strokeColor: z.string().optional(),
+  strokeWidth: finite.nonnegative().optional(),
+  strokeDash: z.enum(STROKE_DASH_STYLES).optional(),
+  opacity: finite.min(0).max(1).optional(),
+};
+
+// Formatted text box content (see richTextUtils); links are checked again when rendered
+const richText = z.object({
+  blocks: z.array(
+    z.object({
+      type: z.enum(['paragraph', 'bullet', 'ordered']),
+      spans: z
+        .array(
+          z.object({
+            text: z.string(),
+            bold: z.boolean().optional(),
+            italic: z.boolean().optional(),
+            underline: z.boolean().optional(),
+            strike: z.boolean().optional(),
+            link: z.string().optional(),
+          })
+        )
+        .optional(),
+    })
+  ),
+});
+
+const shapeSchema = z.discriminatedUnion('type', [
+  z
+    .object({
+      type: z.literal(SHAPE_TYPES.RECTANGLE),
+      ...shapeBase,
+      ...sizedShape,
+      ...styledShape,
+      cornerRadius: finite.nonnegative().optional(),
+    })
+    .passthrough(),
+  z
+    .object({
+      type: z.literal(SHAPE_TYPES.CIRCLE),
+      ...shapeBase,
+      ...styledShape,
+      radius: finite.nonnegative(),
+    })
+    .passthrough(),
+  z
+    .object({
+      type: z.literal(SHAPE_TYPES.POLYGON),
+      ...shapeBase,
+      ...styledShape,
+      radius: finite.nonnegative(),
+      sides: z.number().int().min(3).optional(),
+    })
+    .passthrough(),
+  z
+    .object({
+      type: z.literal(SHAPE_TYPES.CUSTOM_POLYGON),
+      ...shapeBase,
+      ...styledShape,
+      // Custom polygons are positioned by their vertices only
+      x: finite.optional(),
+      y: finite.optional(),
+      vertices: z.array(point).min(3),
+    })
+    .passthrough(),
+  z
+    .object({
+      type: z.literal(SHAPE_TYPES.TEXT),
+      ...shapeBase,
+      ...sizedShape,
+      richText: richText.optional(),
+      textAlign: z.enum(TEXT_ALIGNMENTS).optional(),
+      fontFamily: z.enum(Object.keys(FONT_FAMILIES) as [keyof typeof FONT_FAMILIES]).optional(),
+      lineHeight: finite.positive().optional(),
+    })
+    .passthrough(),
+  z
+    .object({
+      type: z.literal(SHAPE_TYPES.STICKY),
+      ...shapeBase,
+      ...sizedShape,
+      createdByName: z.string().optional(),
+    })
+    .passthrough(),
+  z
+    .object({
+      type: z.literal(SHAPE_TYPES.IMAGE),
+      ...shapeBase,
+      ...sizedShape,
+      imageUrl: z.string().min(1),
+    })
+    .passthrough(),
+  z
+    .object({
+      type: z.literal(SHAPE_TYPES.CONNECTOR),
+      ...shapeBase,
+      x2: finite,
+      y2: finite,
+      startShapeId: z.string().nullable().optional(),
+      startAnchor: z.enum(CONNECTOR_ANCHORS).nullable().optional(),
+      endShapeId: z.string().nullable().optional(),
+      endAnchor: z.enum(CONNECTOR_ANCHORS).nullable().optional(),
+      routing: z.enum(['straight', 'elbow']).optional(),
+      startArrowhead: z.enum(ARROWHEAD_STYLES).optional(),
+      endArrowhead: z.enum(ARROWHEAD_STYLES).optional(),
+      strokeWidth: finite.positive().optional(),
+    })
+    .passthrough(),
+  z
+    .object({
+      type: z.literal(SHAPE_TYPES.PATH),
+      ...shapeBase,
+      ...sizedShape,
+      points: z.array(point).min(1),
+      strokeWidth: finite.positive().optional(),
+    })
+    .passthrough(),
+  z.object({ type: z.literal(SHAPE_TYPES.FRAME), ...shapeBase, ...sizedShape }).passthrough(),
+  z
+    .object({
+      type: z.literal(SHAPE_TYPES.GROUP),
+      ...shapeBase,
+      // Groups have no geometry of their own (bounds come from their members)
+      x: finite.optional(),
+      y: finite.optional(),
+    })
+    .passthrough(),
+]);
+
+const canvasDocumentSchema = z.object({
+  format: z.literal(CANVAS_DOCUMENT_FORMAT),
+  version: z.literal(CANVAS_DOCUMENT_VERSION),
+  exportedAt: finite.optional(),
+  metadata: z
+    .object({
+      name: z.string().trim().min(1).max(100),
+      template: z.string().optional(),
+      createdAt: finite.optional(),
+    })
+    .passthrough(),
+  settings: z
+    .object({
+      backgroundColor: z.string().optional(),
+      gridVisible: z.boolean().optional(),
+      infinite: z.boolean().optional(),
+    })
+    .passthrough()
+    .default({}),
+  objects: z.array(shapeSchema).max(MAX_IMPORT_OBJECTS),
+});
+
+export type CanvasDocument = z.infer<typeof canvasDocumentSchema>;
+export type CanvasDocumentShape = z.infer<typeof shapeSchema>;
+
+export type ParseResult =
+  | { success: true; document: CanvasDocument }
+  | { success: false; error: string };
+
+type RawDocument = Record<string, unknown>;
+
+// Runtime-only fields that should never travel between canvases
+const TRANSIENT_FIELDS = ['lockedBy', 'lockedByUserName'];
+
+const stripTransient = (shape: Record<string, unknown>) => {
+  const clean = { ...shape };
+  TRANSIENT_FIELDS.forEach((field) => delete clean[field]);
+  return clean;
+};
+
+const sortByZIndex = (objects: Record<string, unknown>[]) =>
+  [...objects].sort((a, b) => (Number(a.zIndex) || 0) - (Number(b.zIndex) || 0));
+
+/**
+ * Upgrades keyed by the version they start from
+ */
+const UPGRADES: Record<number, (doc: RawDocument) => RawDocument> = {
+  1: (doc) => {
+    const { settings, ...metadata } = (doc.metadata || {}) as RawDocument;
+    const objects = Object.entries((doc.objects || {}) as Record<string, RawDocument>)
+      .filter(([, shape]) => shape && typeof shape === 'object')
+      .map(([id, shape]) => ({ ...shape, id }));
+    return {
+      format: CANVAS_DOCUMENT_FORMAT,
+      version: 2,
+      exportedAt: doc.exportedAt,
+      metadata,
+      settings: settings || {},
+      objects: sortByZIndex(objects),
+    };
+  },
+};
+
+/**
+ * Bring a parsed JSON value up to the current document version.
+ * Documents without a version are treated as version 1 (database layout).
+ * @throws Error for versions newer than this app understands
+ */
+export function upgradeCanvasDocument(raw: unknown): RawDocument {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Not a canvas document');
+  }
+
+  let doc = raw as RawDocument;
+  let version = typeof doc.version === 'number' ? doc.version : 1;
+
+  if (version > CANVAS_DOCUMENT_VERSION) {
+    throw new Error(
+      `This file was exported by a newer version (v${version}). Please update the app and try again.`
+    );
+  }
+
+  while (version < CANVAS_DOCUMENT_VERSION) {
+    const upgrade = UPGRADES[version];
+    if (!upgrade) throw new Error(`Unsupported document version: ${version}`);
+    doc = upgrade(doc);
+    version = doc.version as number;
+  }
+
+  return doc;
+}
+
+/**
+ * Upgrade and validate an imported document
+ * @param raw - Result of JSON.parse on the uploaded file
+ */
+export function parseCanvasDocument(raw: unknown): ParseResult {
+  let upgraded: RawDocument;
+  try {
+    upgraded = upgradeCanvasDocument(raw);
+  } catch (error) {
+    return { success: false, error: (error as Error).message };
+  }
+
+  const result = canvasDocumentSchema.safeParse(upgraded);
+  if (!result.success) {
+    const issue = result.error.issues[0];
+    const path = issue.path.length > 0 ? `${issue.path.join('.')}: ` : '';
+    return { success: false, error: `Invalid canvas file — ${path}${issue.message}` };
+  }
+
+  return { success: true, document: result.data };
+}
+
+/**
+ * Build a current-version document from canvas data as stored in the database
+ * @param canvas - `{ metadata, objects }` where objects is keyed by shape ID
+ */
+export function createCanvasDocument(canvas: {
+  metadata?: RawDocument | null;
+  objects?: Record<string, RawDocument> | null;
+}): CanvasDocument {
+  const { settings = {}, name, template, createdAt } = (canvas.metadata || {}) as RawDocument;
+  const objects = Object.entries(canvas.objects || {}).map(([id, shape]) =>
+    stripTransient({ ...shape, id })
+  );
+
+  return {
+    format: CANVAS_DOCUMENT_FORMAT,
+    version: CANVAS_DOCUMENT_VERSION,
+    exportedAt: Date.now(),
+    metadata: {
+      name: (name as string) || 'Untitled Canvas',
+      ...(template ? { template: template as string } : {}),
+      ...(createdAt ? { createdAt: createdAt as number } : {}),
+    },
+    settings: settings as CanvasDocument['settings'],
+    objects: sortByZIndex(objects) as CanvasDocumentShape[],
+  };
+}
@@ -5,8 +5,32 @@
  * including creating shapes, aligning objects, distributing elements, etc.
  */
 
-import { SHAPE_TYPES, CANVAS_WIDTH, CANVAS_HEIGHT } from './constants';
-import { constrainShapePosition, clamp, getShapeBounds } from './canvasUtils';
+import {
+  SHAPE_TYPES,
+  CANVAS_WIDTH,
+  CANVAS_HEIGHT,
+  CONNECTOR_ANCHORS,
+  ARROWHEAD_STYLES,
+  DEFAULT_CONNECTOR_COLOR,
+  DEFAULT_CONNECTOR_STROKE_WIDTH,
+  STROKE_DASH_STYLES,
+  MAX_STROKE_WIDTH,
+  DEFAULT_STICKY_SIZE,
+  STICKY_COLORS,
+} from './constants';
+import { constrainShapePosition, clamp, getShapeBounds, getCanvasSize } from './canvasUtils';
+import { getAnchorPoint, getNearestAnchor, resolveConnectorEndpoints } from './connectorUtils';
+import { scalePathPoints } from './pathUtils';
+import { sanitizeStyleUpdates } from './styleUtils';
+import { buildStickyData } from './stickyUtils';
+import {
+  isGroup,
+  getGroupMembers,
+  getGroupBounds,
+  getSelectionUnits,
+  getEmptyGroupIds,
+  translateShape,
+} from './groupUtils';
 import { reportError } from './errorHandler';
 
 // Safety limits to prevent accidental mass creation
@@ -29,13 +53,21 @@ export const canvasToolDefinitions = [
     function: {
       name: 'createShape',
       description:
-        'Create a new shape on the canvas (rectangle, circle, polygon, text, or custom polygon)',
+        "Create a new shape on the canvas (rectangle, circle, polygon, text, sticky note, custom polygon, or connector). Sticky notes are 200x200 by default, signed with the user's name and grow to fit their text; good for brainstorms. A connector is a line/arrow; pass fromShapeId/toShapeId to attach its ends to existing shapes so it follows them when they move, or x,y and x2,y2 for free ends.",
       parameters: {
         type: 'object',
         properties: {
           shapeType: {
             type: 'string',
-            enum: ['rectangle', 'circle', 'polygon', 'text', 'customPolygon'],
+            enum: [
+              'rectangle',
+              'circle',
+              'polygon',
+              'text',
+              'sticky',
+              'customPolygon',
+              'connector',
+            ],
             description: 'Type of shape to create',
           },
           x: {
@@ -48,11 +80,11 @@ export const canvasToolDefinitions = [
           },
           width: {
             type: 'number',
-            description: 'Width (for rectangles and text, default 100)',
+            description: 'Width (for rectangles and text, default 100; sticky notes default 200)',
           },
           height: {
             type: 'number',
-            description: 'Height (for rectangles and text, default 100)',
+            description: 'Height (for rectangles and text, default 100; sticky notes default 200)',
           },
           radius: {
             type: 'number',
@@ -60,15 +92,56 @@ export const canvasToolDefinitions = [
           },
           color: {
             type: 'string',
-            description: 'Fill color (hex code, e.g., "#FF5733")',
+            description: `Fill color (hex code, e.g., "#FF5733"). Sticky notes only take paper colors: ${STICKY_COLORS.join(', ')}`,
           },
           text: {
             type: 'string',
-            description: 'Text content (for text shapes)',
+            description: 'Text content (for text shapes and sticky notes)',
           },
           count: {
             type: 'number',
-            description: 'Number of shapes to create (default 1)',
+            description: 'Number of shapes to create (default 1, ignored for connectors)',
+          },
+          fromShapeId: {
+            type: 'string',
+            description: 'Connector only: ID of the shape the connector starts at',
+          },
+          toShapeId: {
+            type: 'string',
+            description: 'Connector only: ID of the shape the connector ends at',
+          },
+          fromAnchor: {
+            type: 'string',
+            enum: [...CONNECTOR_ANCHORS],
+            description: 'Connector only: side of the start shape (default: side facing the end)',
+          },
+          toAnchor: {
+            type: 'string',
+            enum: [...CONNECTOR_ANCHORS],
+            description: 'Connector only: side of the end shape (default: side facing the start)',
+          },
+          x2: {
+            type: 'number',
+            description: 'Connector only: X of a free end point',
+          },
+          y2: {
+            type: 'number',
+            description: 'Connector only: Y of a free end point',
+          },
+          routing: {
+            type: 'string',
+            enum: ['straight', 'elbow'],
+            description: 'Connector only: straight line or right-angled elbow (default straight)',
+          },
+          startArrowhead: {
+            type: 'string',
+            enum: [...ARROWHEAD_STYLES],
+            description: 'Connector only: arrowhead at the start (default none)',
+          },
+          endArrowhead: {
+            type: 'string',
+            enum: [...ARROWHEAD_STYLES],
+            description: 'Connector only: arrowhead at the end (default arrow)',
           },
         },
         required: ['shapeType'],
@@ -80,7 +153,7 @@ export const canvasToolDefinitions = [
     function: {
       name: 'createShapesBatch',
       description:
-        'Create multiple shapes at specific positions in a single call. Perfect for patterns, drawings, and arrangements. Example: To draw a circle outline using 12 small circles, calculate their positions around a center point using trigonometry (x = centerX + radius * cos(angle), y = centerY + radius * sin(angle)). You can see the canvas and calculate exact positions.',
+        'Create multiple shapes at specific positions in a single call. Perfect for patterns, drawings, and arrangements. Example: To draw a circle outline using 12 small circles, calculate their positions around a center point using trigonometry (x = centerX + radius * cos(angle), y = centerY + radius * sin(angle)). You can see the canvas and calculate exact positions. For flowcharts, add connectors that reference boxes from the same batch with fromIndex/toIndex.',
       parameters: {
         type: 'object',
         properties: {
@@ -92,24 +165,32 @@ export const canvasToolDefinitions = [
               properties: {
                 shapeType: {
                   type: 'string',
-                  enum: ['rectangle', 'circle', 'polygon', 'text', 'customPolygon'],
+                  enum: [
+                    'rectangle',
+                    'circle',
+                    'polygon',
+                    'text',
+                    'sticky',
+                    'customPolygon',
+                    'connector',
+                  ],
                   description: 'Type of shape',
                 },
                 x: {
                   type: 'number',
-                  description: 'X coordinate (required for each shape)',
+                  description: 'X coordinate (required for each shape except attached connectors)',
                 },
                 y: {
                   type: 'number',
-                  description: 'Y coordinate (required for each shape)',
+                  description: 'Y coordinate (required for each shape except attached connectors)',
                 },
                 width: {
                   type: 'number',
-                  description: 'Width (for rectangles and text)',
+                  description: 'Width (for rectangles, text and sticky notes)',
                 },
                 height: {
                   type: 'number',
-                  description: 'Height (for rectangles and text)',
+                  description: 'Height (for rectangles, text and sticky notes)',
                 },
                 radius: {
                   type: 'number',
@@ -117,14 +198,68 @@ export const canvasToolDefinitions = [
                 },
                 color: {
                   type: 'string',
-                  description: 'Fill color (hex code)',
+                  description: `Fill color (hex code). Sticky notes only take paper colors: ${STICKY_COLORS.join(', ')}`,
                 },
                 text: {
                   type: 'string',
-                  description: 'Text content (for text shapes)',
+                  description: 'Text content (for text shapes and sticky notes)',
+                },
+                fromIndex: {
+                  type: 'number',
+                  description:
+                    'Connector only: index (in this batch) of the shape the connector starts at',
+                },
+                toIndex: {
+                  type: 'number',
+                  description:
+                    'Connector only: index (in this batch) of the shape the connector ends at',
+                },
+                fromShapeId: {
+                  type: 'string',
+                  description: 'Connector only: ID of the shape the connector starts at',
+                },
+                toShapeId: {
+                  type: 'string',
+                  description: 'Connector only: ID of the shape the connector ends at',
+                },
+                fromAnchor: {
+                  type: 'string',
+                  enum: [...CONNECTOR_ANCHORS],
+                  description:
+                    'Connector only: side of the start shape (default: side facing the end)',
+                },
+                toAnchor: {
+                  type: 'string',
+                  enum: [...CONNECTOR_ANCHORS],
+                  description:
+                    'Connector only: side of the end shape (default: side facing the start)',
+                },
+                x2: {
+                  type: 'number',
+                  description: 'Connector only: X of a free end point',
+                },
+                y2: {
+                  type: 'number',
+                  description: 'Connector only: Y of a free end point',
+                },
+                routing: {
+                  type: 'string',
+                  enum: ['straight', 'elbow'],
+                  description:
+                    'Connector only: straight line or right-angled elbow (default straight)',
+                },
+                startArrowhead: {
+                  type: 'string',
+                  enum: [...ARROWHEAD_STYLES],
+                  description: 'Connector only: arrowhead at the start (default none)',
+                },
+                endArrowhead: {
+                  type: 'string',
+                  enum: [...ARROWHEAD_STYLES],
+                  description: 'Connector only: arrowhead at the end (default arrow)',
                 },
               },
-              required: ['shapeType', 'x', 'y'],
+              required: ['shapeType'],
             },
           },
         },
@@ -217,7 +352,8 @@ export const canvasToolDefinitions = [
     type: 'function',
     function: {
       name: 'updateShapeProperties',
-      description: 'Update properties (color, size, etc.) of selected shapes or all shapes',
+      description:
+        'Update properties (color, size, stroke, opacity, etc.) of selected shapes or all shapes',
       parameters: {
         type: 'object',
         properties: {
@@ -227,11 +363,11 @@ export const canvasToolDefinitions = [
           },
           width: {
             type: 'number',
-            description: 'New width (for rectangles and text)',
+            description: 'New width (for rectangles, text and drawings)',
           },
           height: {
             type: 'number',
-            description: 'New height (for rectangles and text)',
+            description: 'New height (for rectangles, text and drawings)',
           },
           radius: {
             type: 'number',
@@ -241,6 +377,27 @@ export const canvasToolDefinitions = [
             type: 'number',
             description: 'Rotation angle in degrees',
           },
+          strokeColor: {
+            type: 'string',
+            description: 'Border color (hex code); shown once strokeWidth is above 0',
+          },
+          strokeWidth: {
+            type: 'number',
+            description: `Border width (0 removes the border, max ${MAX_STROKE_WIDTH})`,
+          },
+          strokeDash: {
+            type: 'string',
+            enum: [...STROKE_DASH_STYLES],
+            description: 'Border dash pattern',
+          },
+          cornerRadius: {
+            type: 'number',
+            description: 'Corner radius (for rectangles)',
+          },
+          opacity: {
+            type: 'number',
+            description: 'Opacity from 0 (invisible) to 1 (solid)',
+          },
           useSelected: {
             type: 'boolean',
             description:
@@ -273,12 +430,56 @@ export const canvasToolDefinitions = [
       },
     },
   },
+  {
+    type: 'function',
+    function: {
+      name: 'groupShapes',
+      description:
+        'Group shapes so they move, resize, rotate and duplicate as one unit. Groups can contain other groups.',
+      parameters: {
+        type: 'object',
+        properties: {
+          shapeIds: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'IDs of the shapes or groups to group (defaults to the selected shapes)',
+          },
+          name: {
+            type: 'string',
+            description: 'Optional name for the group, shown in the layers panel',
+          },
+        },
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'ungroupShapes',
+      description:
+        'Dissolve groups. Their members stay on the canvas and move up to the enclosing group, if any.',
+      parameters: {
+        type: 'object',
+        properties: {
+          groupIds: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'IDs of the groups to dissolve (defaults to the selected groups)',
+          },
+          groupName: {
+            type: 'string',
+            description: 'Dissolve the groups with this name instead',
+          },
+        },
+      },
+    },
+  },
   {
     type: 'function',
     function: {
       name: 'getCanvasInfo',
       description:
-        'Get information about the current canvas state (shape count, selected shapes, viewport, etc.)',
+        'Get information about the current canvas state (shape count, selected shapes, groups, whether the canvas is infinite, viewport, etc.)',
       parameters: {
         type: 'object',
         properties: {},
@@ -289,19 +490,34 @@ export const canvasToolDefinitions = [
     type: 'function',
     function: {
       name: 'selectShapes',
-      description: 'Select shapes by type, color, or other criteria',
+      description: 'Select shapes by type, color, or group',
       parameters: {
         type: 'object',
         properties: {
           shapeType: {
             type: 'string',
-            enum: ['rectangle', 'circle', 'polygon', 'text', 'customPolygon', 'image', 'all'],
+            enum: [
+              'rectangle',
+              'circle',
+              'polygon',
+              'text',
+              'sticky',
+              'customPolygon',
+              'image',
+              'connector',
+              'path',
+              'all',
+            ],
             description: 'Type of shapes to select',
           },
           color: {
             type: 'string',
             description: 'Select shapes with this color (hex code)',
           },
+          groupName: {
+            type: 'string',
+            description: 'Select the group with this name (as one unit, with all its members)',
+          },
         },
       },
     },
@@ -352,6 +568,12 @@ export function executeCanvasTool(toolName, args, context) {
     case 'deleteShapes':
       return handleDeleteShapes(args, context);
 
+    case 'groupShapes':
+      return handleGroupShapes(args, context);
+
+    case 'ungroupShapes':
+      return handleUngroupShapes(args, context);
+
     case 'getCanvasInfo':
       return handleGetCanvasInfo(args, context);
 
@@ -366,10 +588,100 @@ export function executeCanvasTool(toolName, args, context) {
   }
 }
 
+/**
+ * Build connector data from tool arguments. An end given as a shape attaches to
+ * that shape (on the side facing the other end unless an anchor is given);
+ * otherwise the end is free at x,y / x2,y2.
+ * @param {object} spec - Tool arguments (fromShapeId/toShapeId, anchors, points, styles)
+ * @param {object[]} shapes - Shapes the ends may attach to
+ * @returns {{ shapeData?: object, error?: string }}
+ */
+function buildConnectorData(spec, shapes) {
+  const {
+    fromShapeId,
+    toShapeId,
+    fromAnchor,
+    toAnchor,
+    x,
+    y,
+    x2,
+    y2,
+    color = DEFAULT_CONNECTOR_COLOR,
+    routing = 'straight',
+    startArrowhead = 'none',
+    endArrowhead = 'arrow',
+  } = spec;
+
+  const shapesById = new Map((shapes || []).map((shape) => [shape.id, shape]));
+  const fromShape = fromShapeId ? shapesById.get(fromShapeId) : null;
+  const toShape = toShapeId ? shapesById.get(toShapeId) : null;
+
+  if (fromShapeId && !fromShape) return { error: `Shape ${fromShapeId} not found` };
+  if (toShapeId && !toShape) return { error: `Shape ${toShapeId} not found` };
+  if (!fromShape && (typeof x !== 'number' || typeof y !== 'number')) {
+    return { error: 'Connector needs fromShapeId or a start point (x, y)' };
+  }
+  if (!toShape && (typeof x2 !== 'number' || typeof y2 !== 'number')) {
+    return { error: 'Connector needs toShapeId or an end point (x2, y2)' };
+  }
+
+  const startCenter = fromShape ? getAnchorPoint(fromShape, 'center') : { x, y };
+  const endCenter = toShape ? getAnchorPoint(toShape, 'center') : { x: x2, y: y2 };
+
+  const connector = {
+    type: SHAPE_TYPES.CONNECTOR,
+    x: startCenter.x,
+    y: startCenter.y,
+    x2: endCenter.x,
+    y2: endCenter.y,
+    startShapeId: fromShape ? fromShape.id : null,
+    startAnchor: fromShape ? fromAnchor || getNearestAnchor(fromShape, endCenter).anchor : null,
+    endShapeId: toShape ? toShape.id : null,
+    endAnchor: toShape ? toAnchor || getNearestAnchor(toShape, startCenter).anchor : null,
+    routing,
+    startArrowhead,
+    endArrowhead,
+    strokeWidth: DEFAULT_CONNECTOR_STROKE_WIDTH,
+    color,
+  };
+
+  const { start, end } = resolveConnectorEndpoints(connector, shapesById);
+  return { shapeData: { ...connector, x: start.x, y: start.y, x2: end.x, y2: end.y } };
+}
+
+/**
+ * Shape data for a sticky note from tool args: square by default, kept on the
+ * canvas and signed with the name of the user who asked for it
+ */
+function buildStickyToolData(spec, x, y, context) {
+  const canvasSize = getCanvasSize(context.infinite);
+  const width = spec.width || DEFAULT_STICKY_SIZE;
+  const height = spec.height || DEFAULT_STICKY_SIZE;
+  const position = constrainShapePosition(
+    SHAPE_TYPES.STICKY,
+    x,
+    y,
+    { width, height },
+    canvasSize.width,
+    canvasSize.height
+  );
+  return buildStickyData({
+    ...position,
+    width,
+    height,
+    text: spec.text || '',
+    color: spec.color,
+    createdBy: context.userId,
+    createdByName: context.userName,
+    canvasHeight: canvasSize.height,
+  });
+}
+
 /**
  * Create one or more shapes
  */
 function handleCreateShape(args, context) {
+  const canvasSize = getCanvasSize(context.infinite);
   const { createShape, viewport, userId, shapes } = context;
   const {
     shapeType,
@@ -400,27 +712,55 @@ function handleCreateShape(args, context) {
     };
   }
 
+  if (shapeType === SHAPE_TYPES.CONNECTOR) {
+    const { shapeData, error } = buildConnectorData(args, shapes);
+    if (error) {
+      return { success: false, message: `Failed to create connector: ${error}` };
+    }
+    const newShape = createShape({ ...shapeData, createdBy: userId, timestamp: Date.now() });
+    return {
+      success: !!newShape,
+      message: newShape ? 'Created 1 connector' : 'Failed to create connector',
+      data: { count: newShape ? 1 : 0, shapes: newShape ? [newShape] : [] },
+    };
+  }
+
   const createdShapes = [];
   const spacing = 120; // Space between multiple shapes
 
   try {
     for (let i = 0; i < count; i++) {
+      if (shapeType === SHAPE_TYPES.STICKY) {
+        // Notes side by side with a small gap, like a row on a whiteboard
+        const stickyX = x + i * ((args.width || DEFAULT_STICKY_SIZE) + 20);
+        const newShape = createShape({
+          ...buildStickyToolData(args, stickyX, y, context),
+          timestamp: Date.now(),
+        });
+        if (newShape) {
+          createdShapes.push(newShape);
+        }
+        continue;
+      }
+
       const offsetX = i * spacing;
       let finalX = x + offsetX;
       let finalY = y;
 
       // Apply canvas boundary constraints based on shape type
       if (shapeType === SHAPE_TYPES.CUSTOM_POLYGON) {
-        finalX = clamp(finalX, 100, CANVAS_WIDTH - 100);
-        finalY = clamp(finalY, 100, CANVAS_HEIGHT - 100);
+        if (!context.infinite) {
+          finalX = clamp(finalX, 100, CANVAS_WIDTH - 100);
+          finalY = clamp(finalY, 100, CANVAS_HEIGHT - 100);
+        }
       } else {
         const constrained = constrainShapePosition(
           shapeType,
           finalX,
           finalY,
           { width, height, radius },
-          CANVAS_WIDTH,
-          CANVAS_HEIGHT
+          canvasSize.width,
+          canvasSize.height
         );
         finalX = constrained.x;
         finalY = constrained.y;
@@ -457,9 +797,10 @@ function handleCreateShape(args, context) {
       }
     }
 
+    const label = shapeType === SHAPE_TYPES.STICKY ? 'sticky note' : shapeType;
     const result = {
       success: true,
-      message: `Created ${createdShapes.length} ${shapeType}${createdShapes.length > 1 ? 's' : ''}`,
+      message: `Created ${createdShapes.length} ${label}${createdShapes.length > 1 ? 's' : ''}`,
       data: { count: createdShapes.length, shapes: createdShapes },
     };
 
@@ -476,6 +817,7 @@ function handleCreateShape(args, context) {
  * Create multiple shapes with specific positions in batch
  */
 function handleCreateShapesBatch(args, context) {
+  const canvasSize = getCanvasSize(context.infinite);
   const { createShape, userId, shapes: existingShapes } = context;
   const { shapes: shapesToCreate } = args;
 
@@ -504,10 +846,67 @@ function handleCreateShapesBatch(args, context) {
   }
 
   const createdShapes = [];
+  // Shape created for each batch index, so connectors can refer to them
+  const createdByIndex = [];
   const errors = [];
 
   try {
     shapesToCreate.forEach((shapeSpec, index) => {
+      if (shapeSpec.shapeType === SHAPE_TYPES.CONNECTOR) {
+        const { fromIndex, toIndex } = shapeSpec;
+        const fromIndexShape = fromIndex !== undefined ? createdByIndex[fromIndex] : null;
+        const toIndexShape = toIndex !== undefined ? createdByIndex[toIndex] : null;
+        if (fromIndexShape === undefined || toIndexShape === undefined) {
+          errors.push(`Shape ${index + 1}: connector must refer to an earlier shape in the batch`);
+          return;
+        }
+
+        const { shapeData, error } = buildConnectorData(
+          {
+            ...shapeSpec,
+            fromShapeId: fromIndexShape ? fromIndexShape.id : shapeSpec.fromShapeId,
+            toShapeId: toIndexShape ? toIndexShape.id : shapeSpec.toShapeId,
+          },
+          [...(existingShapes || []), ...createdShapes]
+        );
+        if (error) {
+          errors.push(`Shape ${index + 1}: ${error}`);
+          return;
+        }
+        try {
+          const newShape = createShape({
+            ...shapeData,
+            createdBy: userId,
+            timestamp: Date.now() + index,
+          });
+          if (newShape) {
+            createdShapes.push(newShape);
+            createdByIndex[index] = newShape;
+          }
+        } catch (error) {
+          reportError(error, { component: 'canvasTools', action: 'createBatchShape' });
+          errors.push(`Shape ${index + 1}: ${error.message}`);
+        }
+        return;
+      }
+
+      if (shapeSpec.shapeType === SHAPE_TYPES.STICKY) {
+        try {
+          const newShape = createShape({
+            ...buildStickyToolData(shapeSpec, shapeSpec.x, shapeSpec.y, context),
+            timestamp: Date.now() + index,
+          });
+          if (newShape) {
+            createdShapes.push(newShape);
+            createdByIndex[index] = newShape;
+          }
+        } catch (error) {
+          reportError(error, { component: 'canvasTools', action: 'createBatchShape' });
+          errors.push(`Shape ${index + 1}: ${error.message}`);
+        }
+        return;
+      }
+
       const {
         shapeType,
         x,
@@ -524,16 +923,18 @@ function handleCreateShapesBatch(args, context) {
 
       // Apply canvas boundary constraints based on shape type
       if (shapeType === SHAPE_TYPES.CUSTOM_POLYGON) {
-        finalX = clamp(finalX, 100, CANVAS_WIDTH - 100);
-        finalY = clamp(finalY, 100, CANVAS_HEIGHT - 100);
+        if (!context.infinite) {
+          finalX = clamp(finalX, 100, CANVAS_WIDTH - 100);
+          finalY = clamp(finalY, 100, CANVAS_HEIGHT - 100);
+        }
       } else {
         const constrained = constrainShapePosition(
           shapeType,
           finalX,
           finalY,
           { width, height, radius },
-          CANVAS_WIDTH,
-          CANVAS_HEIGHT
+          canvasSize.width,
+          canvasSize.height
         );
         finalX = constrained.x;
         finalY = constrained.y;
@@ -568,6 +969,7 @@ function handleCreateShapesBatch(args, context) {
         const newShape = createShape(shapeData);
         if (newShape) {
           createdShapes.push(newShape);
+          createdByIndex[index] = newShape;
         }
       } catch (error) {
         reportError(error, { component: 'canvasTools', action: 'createBatchShape' });
@@ -604,13 +1006,11 @@ function handleCreateShapesBatch(args, context) {
  * Align shapes
  */
 function handleAlignShapes(args, context) {
-  const { shapes, selectedShapeIds, batchUpdateShapes } = context;
+  const canvasSize = getCanvasSize(context.infinite);
+  const { shapes, batchUpdateShapes } = context;
   const { alignment, useSelected = true } = args;
 
-  const shapesToAlign =
-    useSelected && selectedShapeIds.length > 0
-      ? shapes.filter((s) => selectedShapeIds.includes(s.id))
-      : shapes;
+  const shapesToAlign = getTargetShapes(context, useSelected);
 
   if (shapesToAlign.length === 0) {
     return {
@@ -623,36 +1023,25 @@ function handleAlignShapes(args, context) {
     // Calculate bounds of all shapes
     const bounds = calculateShapesBounds(shapesToAlign);
 
+    const units = getMoveUnits(shapesToAlign, shapes);
     const batchUpdates = {};
     let skipped = 0;
-    shapesToAlign.forEach((shape) => {
+    units.forEach(({ shape, members, bounds: sb }) => {
+      if (isGroup(shape)) {
+        const { dx = 0, dy = 0 } = getAlignmentOffset(alignment, bounds, sb);
+        translateMembers(members, dx, dy, batchUpdates);
+        return;
+      }
+
       const updates = {};
-      const sb = getShapeBounds(shape);
 
       // Coerce position to number (separate from getShapeBounds coercion, which protects bounds)
       const sx = Number(shape.x) || 0;
       const sy = Number(shape.y) || 0;
 
-      switch (alignment) {
-        case 'left':
-          updates.x = sx + (bounds.minX - sb.minX);
-          break;
-        case 'right':
-          updates.x = sx + (bounds.maxX - sb.maxX);
-          break;
-        case 'top':
-          updates.y = sy + (bounds.minY - sb.minY);
-          break;
-        case 'bottom':
-          updates.y = sy + (bounds.maxY - sb.maxY);
-          break;
-        case 'center-horizontal':
-          updates.x = sx + (bounds.centerX - sb.centerX);
-          break;
-        case 'center-vertical':
-          updates.y = sy + (bounds.centerY - sb.centerY);
-          break;
-      }
+      const { dx, dy } = getAlignmentOffset(alignment, bounds, sb);
+      if (dx !== undefined) updates.x = sx + dx;
+      if (dy !== undefined) updates.y = sy + dy;
 
       if (Object.keys(updates).length > 0) {
         const newX = updates.x !== undefined ? updates.x : sx;
@@ -662,8 +1051,8 @@ function handleAlignShapes(args, context) {
           newX,
           newY,
           shape,
-          CANVAS_WIDTH,
-          CANVAS_HEIGHT
+          canvasSize.width,
+          canvasSize.height
         );
         if (updates.x !== undefined) updates.x = constrained.x;
         if (updates.y !== undefined) updates.y = constrained.y;
@@ -686,7 +1075,7 @@ function handleAlignShapes(args, context) {
 
     batchUpdateShapes(batchUpdates);
 
-    const aligned = shapesToAlign.length - skipped;
+    const aligned = units.length - skipped;
     return {
       success: aligned > 0,
       message: `Aligned ${aligned} shape${aligned !== 1 ? 's' : ''} to ${alignment}`,
@@ -704,15 +1093,13 @@ function handleAlignShapes(args, context) {
  * Distribute shapes evenly
  */
 function handleDistributeShapes(args, context) {
-  const { shapes, selectedShapeIds, batchUpdateShapes } = context;
+  const canvasSize = getCanvasSize(context.infinite);
+  const { shapes, batchUpdateShapes } = context;
   const { direction, spacing, useSelected = true } = args;
 
-  const shapesToDistribute =
-    useSelected && selectedShapeIds.length > 0
-      ? shapes.filter((s) => selectedShapeIds.includes(s.id))
-      : shapes;
+  const units = getMoveUnits(getTargetShapes(context, useSelected), shapes);
 
-  if (shapesToDistribute.length < 2) {
+  if (units.length < 2) {
     return {
       success: false,
       message: 'Need at least 2 shapes to distribute',
@@ -720,27 +1107,45 @@ function handleDistributeShapes(args, context) {
   }
 
   try {
-    // Sort shapes by position
-    const sorted = [...shapesToDistribute].sort((a, b) => {
-      return direction === 'horizontal'
-        ? (Number(a.x) || 0) - (Number(b.x) || 0)
-        : (Number(a.y) || 0) - (Number(b.y) || 0);
-    });
+    // Sort shapes by position (groups by the edge of their bounds)
+    const position = ({ shape, bounds }) => {
+      if (isGroup(shape)) return direction === 'horizontal' ? bounds.minX : bounds.minY;
+      return Number(direction === 'horizontal' ? shape.x : shape.y) || 0;
+    };
+    const sorted = [...units].sort((a, b) => position(a) - position(b));
 
-    const bounds = calculateShapesBounds(sorted);
+    const bounds = calculateShapesBounds(sorted.flatMap((unit) => unit.members));
     const totalSpace =
       direction === 'horizontal' ? bounds.maxX - bounds.minX : bounds.maxY - bounds.minY;
 
     const gapSize = spacing || totalSpace / (sorted.length - 1);
 
-    const firstBounds = getShapeBounds(sorted[0]);
+    const firstBounds = sorted[0].bounds;
 
     const batchUpdates = {};
     let skipped = 0;
-    sorted.forEach((shape, index) => {
+    sorted.forEach(({ shape, members, bounds: sb }, index) => {
       if (index === 0) return; // Keep first shape in place
 
-      const sb = getShapeBounds(shape);
+      if (isGroup(shape)) {
+        if (direction === 'horizontal') {
+          translateMembers(
+            members,
+            firstBounds.centerX + gapSize * index - sb.centerX,
+            0,
+            batchUpdates
+          );
+        } else {
+          translateMembers(
+            members,
+            0,
+            firstBounds.centerY + gapSize * index - sb.centerY,
+            batchUpdates
+          );
+        }
+        return;
+      }
+
       // Coerce position to number (separate from getShapeBounds coercion, which protects bounds)
       const sx = Number(shape.x) || 0;
       const sy = Number(shape.y) || 0;
@@ -760,8 +1165,8 @@ function handleDistributeShapes(args, context) {
         newX,
         newY,
         shape,
-        CANVAS_WIDTH,
-        CANVAS_HEIGHT
+        canvasSize.width,
+        canvasSize.height
       );
       if (updates.x !== undefined) updates.x = constrained.x;
       if (updates.y !== undefined) updates.y = constrained.y;
@@ -801,15 +1206,13 @@ function handleDistributeShapes(args, context) {
  * Arrange shapes in a grid
  */
 function handleArrangeInGrid(args, context) {
-  const { shapes, selectedShapeIds, batchUpdateShapes, viewport } = context;
+  const canvasSize = getCanvasSize(context.infinite);
+  const { shapes, batchUpdateShapes, viewport } = context;
   const { rows, columns, spacing = 20, useSelected = true } = args;
 
-  const shapesToArrange =
-    useSelected && selectedShapeIds.length > 0
-      ? shapes.filter((s) => selectedShapeIds.includes(s.id))
-      : shapes;
+  const units = getMoveUnits(getTargetShapes(context, useSelected), shapes);
 
-  if (shapesToArrange.length === 0) {
+  if (units.length === 0) {
     return {
       success: false,
       message: 'No shapes to arrange',
@@ -824,14 +1227,16 @@ function handleArrangeInGrid(args, context) {
     const gridWidth = (columns - 1) * spacing + 100; // +100 for shape size estimate
     const gridHeight = (rows - 1) * spacing + 100;
 
-    // Adjust start position if grid would extend beyond canvas
-    if (startX < 100) startX = 100;
-    if (startY < 100) startY = 100;
-    if (startX + gridWidth > CANVAS_WIDTH - 100) startX = CANVAS_WIDTH - gridWidth - 100;
-    if (startY + gridHeight > CANVAS_HEIGHT - 100) startY = CANVAS_HEIGHT - gridHeight - 100;
+    // Adjust start position if grid would extend beyond canvas (infinite canvases have no edges)
+    if (!context.infinite) {
+      if (startX < 100) startX = 100;
+      if (startY < 100) startY = 100;
+      if (startX + gridWidth > CANVAS_WIDTH - 100) startX = CANVAS_WIDTH - gridWidth - 100;
+      if (startY + gridHeight > CANVAS_HEIGHT - 100) startY = CANVAS_HEIGHT - gridHeight - 100;
+    }
 
     const batchUpdates = {};
-    shapesToArrange.forEach((shape, index) => {
+    units.forEach(({ shape, members, bounds }, index) => {
       const row = Math.floor(index / columns);
       const col = index % columns;
 
@@ -839,20 +1244,25 @@ function handleArrangeInGrid(args, context) {
 
       const posX = startX + col * spacing;
       const posY = startY + row * spacing;
+      if (isGroup(shape)) {
+        // A group's top-left corner goes on the grid point
+        translateMembers(members, posX - bounds.minX, posY - bounds.minY, batchUpdates);
+        return;
+      }
       const constrained = constrainShapePosition(
         shape.type,
         posX,
         posY,
         shape,
-        CANVAS_WIDTH,
-        CANVAS_HEIGHT
+        canvasSize.width,
+        canvasSize.height
       );
       batchUpdates[shape.id] = { x: constrained.x, y: constrained.y };
     });
 
     batchUpdateShapes(batchUpdates);
 
-    const arranged = Math.min(shapesToArrange.length, rows * columns);
+    const arranged = Math.min(units.length, rows * columns);
 
     return {
       success: true,
@@ -871,13 +1281,12 @@ function handleArrangeInGrid(args, context) {
  * Update shape properties
  */
 function handleUpdateShapeProperties(args, context) {
-  const { shapes, selectedShapeIds, batchUpdateShapes } = context;
-  const { useSelected = true, ...properties } = args;
+  const canvasSize = getCanvasSize(context.infinite);
+  const { batchUpdateShapes } = context;
+  const { useSelected = true, ...rest } = args;
+  const properties = sanitizeStyleUpdates(rest);
 
-  const shapesToUpdate =
-    useSelected && selectedShapeIds.length > 0
-      ? shapes.filter((s) => selectedShapeIds.includes(s.id))
-      : shapes;
+  const shapesToUpdate = getTargetShapes(context, useSelected);
 
   if (shapesToUpdate.length === 0) {
     return {
@@ -899,13 +1308,21 @@ function handleUpdateShapeProperties(args, context) {
           newX,
           newY,
           shape,
-          CANVAS_WIDTH,
-          CANVAS_HEIGHT
+          canvasSize.width,
+          canvasSize.height
         );
         constrainedProperties.x = constrained.x;
         constrainedProperties.y = constrained.y;
       }
 
+      // Path points are relative to the box, so they scale with it
+      if (shape.type === SHAPE_TYPES.PATH && ('width' in properties || 'height' in properties)) {
+        constrainedProperties.points = scalePathPoints(shape.points || [], shape, {
+          width: properties.width ?? shape.width,
+          height: properties.height ?? shape.height,
+        });
+      }
+
       batchUpdates[shape.id] = constrainedProperties;
     });
 
@@ -928,7 +1345,7 @@ function handleUpdateShapeProperties(args, context) {
  * Delete shapes
  */
 function handleDeleteShapes(args, context) {
-  const { shapes, selectedShapeIds, deleteShape } = context;
+  const { shapes, deleteShape } = context;
   const { useSelected = true, confirmation } = args;
 
   if (!confirmation) {
@@ -938,10 +1355,7 @@ function handleDeleteShapes(args, context) {
     };
   }
 
-  const shapesToDelete =
-    useSelected && selectedShapeIds.length > 0
-      ? shapes.filter((s) => selectedShapeIds.includes(s.id))
-      : shapes;
+  const shapesToDelete = getTargetShapes(context, useSelected);
 
   if (shapesToDelete.length === 0) {
     return {
@@ -954,6 +1368,11 @@ function handleDeleteShapes(args, context) {
     shapesToDelete.forEach((shape) => {
       deleteShape(shape.id);
     });
+    // Groups left without members go too
+    getEmptyGroupIds(
+      shapes,
+      shapesToDelete.map((s) => s.id)
+    ).forEach((groupId) => deleteShape(groupId));
 
     return {
       success: true,
@@ -968,24 +1387,111 @@ function handleDeleteShapes(args, context) {
   }
 }
 
+/**
+ * Group shapes into one unit
+ */
+function handleGroupShapes(args, context) {
+  const { shapes, selectedShapeIds, groupShapes } = context;
+  const { shapeIds, name } = args;
+
+  const ids = shapeIds && shapeIds.length > 0 ? shapeIds : selectedShapeIds;
+  const units = getSelectionUnits(ids, shapes);
+
+  if (units.length < 2) {
+    return {
+      success: false,
+      message: 'Need at least 2 shapes or groups to make a group',
+    };
+  }
+
+  try {
+    const groupId = groupShapes(units, name);
+    if (!groupId) {
+      return {
+        success: false,
+        message: 'Failed to group shapes',
+      };
+    }
+
+    return {
+      success: true,
+      message: `Grouped ${units.length} item${units.length !== 1 ? 's' : ''}${name ? ` as "${name}"` : ''}`,
+      data: { groupId, count: units.length },
+    };
+  } catch (error) {
+    return {
+      success: false,
+      message: `Failed to group shapes: ${error.message}`,
+    };
+  }
+}
+
+/**
+ * Dissolve groups
+ */
+function handleUngroupShapes(args, context) {
+  const { shapes, selectedShapeIds, ungroupShapes } = context;
+  const { groupIds, groupName } = args;
+
+  let groups;
+  if (groupIds && groupIds.length > 0) {
+    groups = shapes.filter((s) => isGroup(s) && groupIds.includes(s.id));
+  } else if (groupName) {
+    groups = shapes.filter((s) => isGroup(s) && s.name === groupName);
+  } else {
+    const units = getSelectionUnits(selectedShapeIds, shapes);
+    groups = shapes.filter((s) => isGroup(s) && units.includes(s.id));
+  }
+
+  if (groups.length === 0) {
+    return {
+      success: false,
+      message: 'No groups to ungroup',
+    };
+  }
+
+  try {
+    ungroupShapes(groups.map((g) => g.id));
+
+    return {
+      success: true,
+      message: `Ungrouped ${groups.length} group${groups.length !== 1 ? 's' : ''}`,
+      data: { count: groups.length },
+    };
+  } catch (error) {
+    return {
+      success: false,
+      message: `Failed to ungroup shapes: ${error.message}`,
+    };
+  }
+}
+
 /**
  * Get canvas information
  */
 function handleGetCanvasInfo(args, context) {
-  const { shapes, selectedShapeIds, viewport } = context;
+  const { shapes, selectedShapeIds, viewport, infinite = false } = context;
 
-  const shapesByType = shapes.reduce((acc, shape) => {
+  const drawnShapes = shapes.filter((shape) => !isGroup(shape));
+  const shapesByType = drawnShapes.reduce((acc, shape) => {
     acc[shape.type] = (acc[shape.type] || 0) + 1;
     return acc;
   }, {});
+  const groups = shapes.filter(isGroup).map((group) => ({
+    id: group.id,
+    name: group.name || 'Group',
+    memberCount: getGroupMembers(group.id, shapes).length,
+  }));
 
   return {
     success: true,
     message: 'Canvas information retrieved',
     data: {
-      totalShapes: shapes.length,
+      totalShapes: drawnShapes.length,
       selectedShapes: selectedShapeIds.length,
       shapesByType,
+      groups,
+      infinite,
       viewport: {
         zoom: viewport.zoom,
         offsetX: viewport.offsetX,
@@ -1000,13 +1506,32 @@ function handleGetCanvasInfo(args, context) {
  */
 function handleSelectShapes(args, context) {
   const { shapes, selectShape, deselectShape } = context;
-  const { shapeType, color } = args;
+  const { shapeType, color, groupName } = args;
 
   // First deselect all
   shapes.forEach((shape) => deselectShape(shape.id));
 
+  if (groupName) {
+    const group = shapes.find((s) => isGroup(s) && s.name === groupName);
+    if (!group) {
+      return {
+        success: false,
+        message: `No group named "${groupName}"`,
+      };
+    }
+    // Selecting the group record selects all of its members
+    selectShape(group.id);
+    const count = getGroupMembers(group.id, shapes).length;
+    return {
+      success: true,
+      message: `Selected group "${groupName}" (${count} shape${count !== 1 ? 's' : ''})`,
+      data: { count, groupId: group.id },
+    };
+  }
+
   // Select matching shapes
   const matchingShapes = shapes.filter((shape) => {
+    if (isGroup(shape)) return false;
     if (shapeType && shapeType !== 'all' && shape.type !== shapeType) return false;
     if (color && shape.color !== color) return false;
     return true;
@@ -1021,6 +1546,68 @@ function handleSelectShapes(args, context) {
   };
 }
 
+/**
+ * Helper: The shapes a tool works on — the selection, or every shape when
+ * nothing is selected or useSelected is false. Group records have no geometry
+ * of their own and are left out; their members are included instead.
+ */
+function getTargetShapes(context, useSelected) {
+  const { shapes, selectedShapeIds } = context;
+  const targets =
+    useSelected && selectedShapeIds.length > 0
+      ? shapes.filter((s) => selectedShapeIds.includes(s.id))
+      : shapes;
+  return targets.filter((s) => !isGroup(s));
+}
+
+/**
+ * Helper: Split shapes into the units that move together — an ungrouped shape
+ * on its own, or a top-level group with all of its members
+ */
+function getMoveUnits(targets, shapes) {
+  const byId = new Map(shapes.map((s) => [s.id, s]));
+  return getSelectionUnits(
+    targets.map((s) => s.id),
+    shapes
+  ).map((unitId) => {
+    const shape = byId.get(unitId);
+    if (!isGroup(shape)) return { shape, members: [shape], bounds: getShapeBounds(shape) };
+    const members = getGroupMembers(unitId, shapes);
+    return { shape, members, bounds: getGroupBounds(members) };
+  });
+}
+
+/**
+ * Helper: Offset along one axis that aligns shape bounds `sb` to the combined `bounds`
+ */
+function getAlignmentOffset(alignment, bounds, sb) {
+  switch (alignment) {
+    case 'left':
+      return { dx: bounds.minX - sb.minX };
+    case 'right':
+      return { dx: bounds.maxX - sb.maxX };
+    case 'top':
+      return { dy: bounds.minY - sb.minY };
+    case 'bottom':
+      return { dy: bounds.maxY - sb.maxY };
+    case 'center-horizontal':
+      return { dx: bounds.centerX - sb.centerX };
+    case 'center-vertical':
+      return { dy: bounds.centerY - sb.centerY };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Helper: Move every member of a group by dx, dy
+ */
+function translateMembers(members, dx, dy, batchUpdates) {
+  members.forEach((member) => {
+    batchUpdates[member.id] = translateShape(member, dx, dy);
+  });
+}
+
 /**
  * Helper: Calculate bounds of multiple shapes
  */
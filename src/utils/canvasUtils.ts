@@ -2,7 +2,7 @@
  * Canvas utility functions for coordinate transformations and calculations
  */
 
-import { SHAPE_TYPES } from './constants';
+import { SHAPE_TYPES, CANVAS_WIDTH, CANVAS_HEIGHT, GRID_MAX_LINES } from './constants';
 
 interface ViewportParams {
   offsetX: number;
@@ -10,7 +10,7 @@ interface ViewportParams {
   zoom: number;
 }
 
-interface Point {
+export interface Point {
   x: number;
   y: number;
 }
@@ -46,6 +46,26 @@ export function clamp(value: number, min: number, max: number): number {
   return Math.min(Math.max(value, min), max);
 }
 
+/**
+ * Size of the board shapes are kept on. An infinite canvas has an infinite size:
+ * it has no edges, so the clamp and constrain helpers leave everything on it
+ * where it is. Coordinates mean the same in both modes, so switching a canvas
+ * to infinite never moves its shapes.
+ */
+export function getCanvasSize(infinite = false): { width: number; height: number } {
+  return infinite
+    ? { width: Infinity, height: Infinity }
+    : { width: CANVAS_WIDTH, height: CANVAS_HEIGHT };
+}
+
+const isUnbounded = (canvasWidth: number, canvasHeight: number) =>
+  !Number.isFinite(canvasWidth) || !Number.isFinite(canvasHeight);
+
+/** Clamp a coordinate onto the board ([0, size]); any value fits an infinite canvas */
+export function clampToCanvas(value: number, size: number): number {
+  return Number.isFinite(size) ? clamp(value, 0, size) : value;
+}
+
 export function clampPanOffset(
   offsetX: number,
   offsetY: number,
@@ -56,6 +76,7 @@ export function clampPanOffset(
   canvasHeight: number,
   paddingPercent: number = 0.2
 ): { offsetX: number; offsetY: number } {
+  if (isUnbounded(canvasWidth, canvasHeight)) return { offsetX, offsetY };
   const visibleWidth = viewportWidth / zoom;
   const visibleHeight = viewportHeight / zoom;
   const paddingX = canvasWidth * paddingPercent;
@@ -72,6 +93,116 @@ export function clampPanOffset(
   return { offsetX: clampedOffsetX, offsetY: clampedOffsetY };
 }
 
+/**
+ * Zoom and offset that fit a region of the canvas in the viewport, centered,
+ * with `padding` screen pixels around it and the zoom clamped to [minZoom, maxZoom]
+ */
+export function getViewportForRegion(
+  region: { x: number; y: number; width: number; height: number },
+  viewportWidth: number,
+  viewportHeight: number,
+  { padding = 0, minZoom = 0, maxZoom = Infinity } = {}
+): ViewportParams {
+  const availableWidth = Math.max(viewportWidth - padding * 2, 1);
+  const availableHeight = Math.max(viewportHeight - padding * 2, 1);
+  const zoom = clamp(
+    Math.min(
+      availableWidth / Math.max(region.width, 1),
+      availableHeight / Math.max(region.height, 1)
+    ),
+    minZoom,
+    maxZoom
+  );
+  return {
+    zoom,
+    ...centerViewportOn(
+      { x: region.x + region.width / 2, y: region.y + region.height / 2 },
+      zoom,
+      viewportWidth,
+      viewportHeight
+    ),
+  };
+}
+
+/**
+ * Offset that puts a canvas point in the middle of the viewport at a zoom level
+ */
+export function centerViewportOn(
+  point: Point,
+  zoom: number,
+  viewportWidth: number,
+  viewportHeight: number
+): { offsetX: number; offsetY: number } {
+  return {
+    offsetX: point.x - viewportWidth / 2 / zoom,
+    offsetY: point.y - viewportHeight / 2 / zoom,
+  };
+}
+
+/**
+ * The part of the canvas the viewport shows, in canvas coordinates
+ */
+export function getVisibleRegion(
+  viewport: ViewportParams,
+  viewportWidth: number,
+  viewportHeight: number
+): { x: number; y: number; width: number; height: number } {
+  return {
+    x: viewport.offsetX,
+    y: viewport.offsetY,
+    width: viewportWidth / viewport.zoom,
+    height: viewportHeight / viewport.zoom,
+  };
+}
+
+export interface GridLines {
+  vertical: number[];
+  horizontal: number[];
+  minX: number;
+  maxX: number;
+  minY: number;
+  maxY: number;
+}
+
+/**
+ * Grid lines covering a region of the canvas, for any offset: lines sit on
+ * multiples of the grid size, which grows 5x at a time while there would be
+ * more than `maxLines` per axis, and stay on the board when it has edges
+ */
+export function getGridLines(
+  region: { x: number; y: number; width: number; height: number },
+  gridSize: number,
+  canvasWidth: number,
+  canvasHeight: number,
+  maxLines: number = GRID_MAX_LINES
+): GridLines {
+  const bounded = !isUnbounded(canvasWidth, canvasHeight);
+  const minX = bounded ? Math.max(region.x, 0) : region.x;
+  const minY = bounded ? Math.max(region.y, 0) : region.y;
+  const maxX = bounded ? Math.min(region.x + region.width, canvasWidth) : region.x + region.width;
+  const maxY = bounded
+    ? Math.min(region.y + region.height, canvasHeight)
+    : region.y + region.height;
+
+  let step = gridSize;
+  while (Math.max(maxX - minX, maxY - minY) / step > maxLines) step *= 5;
+
+  const linesBetween = (min: number, max: number) => {
+    const lines: number[] = [];
+    for (let value = Math.ceil(min / step) * step; value <= max; value += step) lines.push(value);
+    return lines;
+  };
+
+  return {
+    vertical: linesBetween(minX, maxX),
+    horizontal: linesBetween(minY, maxY),
+    minX,
+    maxX,
+    minY,
+    maxY,
+  };
+}
+
 export function calculateFPS(frameTimes: number[]): number {
   if (frameTimes.length < 2) return 0;
   const timeSpan = frameTimes[frameTimes.length - 1] - frameTimes[0];
@@ -98,11 +229,15 @@ export interface ShapeBounds {
  *   IMAGE             — x,y is center (default 200×200)
  *   CIRCLE / POLYGON  — x,y is center
  *   CUSTOM_POLYGON    — absolute vertex coordinates
+ *   CONNECTOR         — x,y is the start point, x2,y2 the end point
+ *   PATH              — x,y is top-left (points are relative to it)
  */
 export function getShapeBounds(shape: {
   type: string;
   x: number;
   y: number;
+  x2?: number;
+  y2?: number;
   width?: number;
   height?: number;
   radius?: number;
@@ -116,7 +251,9 @@ export function getShapeBounds(shape: {
 
   switch (shape.type) {
     case SHAPE_TYPES.RECTANGLE:
-    case SHAPE_TYPES.TEXT: {
+    case SHAPE_TYPES.TEXT:
+    case SHAPE_TYPES.STICKY:
+    case SHAPE_TYPES.FRAME: {
       const w = Number(shape.width) || 100;
       const h = Number(shape.height) || 100;
       minX = x;
@@ -159,6 +296,23 @@ export function getShapeBounds(shape: {
       }
       break;
     }
+    case SHAPE_TYPES.PATH: {
+      // A straight stroke may have zero width or height, so no size fallback
+      minX = x;
+      maxX = x + (Number(shape.width) || 0);
+      minY = y;
+      maxY = y + (Number(shape.height) || 0);
+      break;
+    }
+    case SHAPE_TYPES.CONNECTOR: {
+      const x2 = Number(shape.x2) || 0;
+      const y2 = Number(shape.y2) || 0;
+      minX = Math.min(x, x2);
+      maxX = Math.max(x, x2);
+      minY = Math.min(y, y2);
+      maxY = Math.max(y, y2);
+      break;
+    }
     default: {
       minX = x;
       maxX = x + (Number(shape.width) || 0);
@@ -182,6 +336,37 @@ export function getShapeBounds(shape: {
   };
 }
 
+/**
+ * Point a shape rotates around, matching each component's transform origin
+ */
+export function getRotationCenter(shape: {
+  type: string;
+  x: number;
+  y: number;
+  width?: number;
+  height?: number;
+  vertices?: Point[];
+}): Point {
+  switch (shape.type) {
+    case SHAPE_TYPES.RECTANGLE:
+    case SHAPE_TYPES.TEXT:
+    case SHAPE_TYPES.STICKY:
+    case SHAPE_TYPES.PATH:
+    case SHAPE_TYPES.FRAME:
+      return { x: shape.x + (shape.width || 0) / 2, y: shape.y + (shape.height || 0) / 2 };
+    case SHAPE_TYPES.CUSTOM_POLYGON: {
+      const vertices = shape.vertices || [];
+      if (vertices.length === 0) return { x: shape.x, y: shape.y };
+      return {
+        x: vertices.reduce((sum, v) => sum + v.x, 0) / vertices.length,
+        y: vertices.reduce((sum, v) => sum + v.y, 0) / vertices.length,
+      };
+    }
+    default:
+      return { x: shape.x, y: shape.y };
+  }
+}
+
 /**
  * Constrain a shape's position within canvas boundaries based on its type.
  * Dispatches to constrainRectangle/constrainCircle/clamp as appropriate.
@@ -194,7 +379,23 @@ export function constrainShapePosition(
   canvasWidth: number,
   canvasHeight: number
 ): { x: number; y: number } {
-  if (shapeType === SHAPE_TYPES.RECTANGLE || shapeType === SHAPE_TYPES.TEXT) {
+  if (shapeType === SHAPE_TYPES.PATH) {
+    const c = constrainRectangle(
+      x,
+      y,
+      dims.width || 0,
+      dims.height || 0,
+      canvasWidth,
+      canvasHeight
+    );
+    return { x: c.x, y: c.y };
+  }
+  if (
+    shapeType === SHAPE_TYPES.RECTANGLE ||
+    shapeType === SHAPE_TYPES.TEXT ||
+    shapeType === SHAPE_TYPES.STICKY ||
+    shapeType === SHAPE_TYPES.FRAME
+  ) {
     const c = constrainRectangle(
       x,
       y,
@@ -209,7 +410,7 @@ export function constrainShapePosition(
     const c = constrainCircle(x, y, dims.radius || 50, canvasWidth, canvasHeight);
     return { x: c.x, y: c.y };
   }
-  return { x: clamp(x, 0, canvasWidth), y: clamp(y, 0, canvasHeight) };
+  return { x: clampToCanvas(x, canvasWidth), y: clampToCanvas(y, canvasHeight) };
 }
 
 export function constrainRectangle(
@@ -220,6 +421,7 @@ export function constrainRectangle(
   canvasWidth: number,
   canvasHeight: number
 ): { x: number; y: number; width: number; height: number } {
+  if (isUnbounded(canvasWidth, canvasHeight)) return { x, y, width, height };
   const constrainedX = clamp(x, 0, canvasWidth - width);
   const constrainedY = clamp(y, 0, canvasHeight - height);
   return { x: constrainedX, y: constrainedY, width, height };
@@ -232,7 +434,71 @@ export function constrainCircle(
   canvasWidth: number,
   canvasHeight: number
 ): { x: number; y: number; radius: number } {
+  if (isUnbounded(canvasWidth, canvasHeight)) return { x, y, radius };
   const constrainedX = clamp(x, radius, canvasWidth - radius);
   const constrainedY = clamp(y, radius, canvasHeight - radius);
   return { x: constrainedX, y: constrainedY, radius };
 }
+
+/**
+ * Wrap text into lines that fit within a given width.
+ * Uses a rough per-character width estimate (no DOM measurement), so it can run
+ * both in TextBox rendering and in exports.
+ * @param text - Text to wrap
+ * @param maxWidth - Box width in pixels (including 8px padding on each side)
+ * @param fontSize - Font size in pixels
+ * @param fontWeight - Font weight ('bold' is slightly wider)
+ * @returns Array of text lines
+ */
+export function wrapText(
+  text: string | null | undefined,
+  maxWidth: number,
+  fontSize: number,
+  fontWeight?: string
+): string[] {
+  if (!text) return [];
+
+  // Rough character width estimation based on font size
+  // Bold text is slightly wider
+  const charWidth = fontSize * (fontWeight === 'bold' ? 0.65 : 0.6);
+  const padding = 16; // Account for padding
+  const availableWidth = maxWidth - padding;
+  const maxCharsPerLine = Math.floor(availableWidth / charWidth);
+
+  if (maxCharsPerLine < 1) return [];
+
+  const words = text.split(/\s+/);
+  const lines: string[] = [];
+  let currentLine = '';
+
+  words.forEach((word) => {
+    const testLine = currentLine ? `${currentLine} ${word}` : word;
+
+    if (testLine.length <= maxCharsPerLine) {
+      currentLine = testLine;
+    } else {
+      // Word too long, try to split it
+      if (word.length > maxCharsPerLine) {
+        if (currentLine) {
+          lines.push(currentLine);
+          currentLine = '';
+        }
+        // Split long word across multiple lines
+        for (let i = 0; i < word.length; i += maxCharsPerLine) {
+          lines.push(word.slice(i, i + maxCharsPerLine));
+        }
+      } else {
+        if (currentLine) {
+          lines.push(currentLine);
+        }
+        currentLine = word;
+      }
+    }
+  });
+
+  if (currentLine) {
+    lines.push(currentLine);
+  }
+
+  return lines;
+}
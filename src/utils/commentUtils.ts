@@ -0,0 +1,162 @@
+/**
+ * Comment thread helpers
+ *
+ * A thread is pinned either to a point on the canvas or to a shape. A shape pin
+ * keeps its place relative to the shape's bounds (as fractions, so it follows
+ * moves and resizes) and falls back to where it was placed once the shape is gone.
+ * Messages mention canvas members as `@Name`; the ids of the members mentioned
+ * are stored with the message.
+ */
+
+import type { ShapeFields } from '../types/canvas';
+import { getShapeBounds } from './canvasUtils';
+
+export interface CommentAnchor {
+  x: number;
+  y: number;
+  shapeId: string | null;
+  offsetX?: number; // Fraction of the shape's width (shape pins only)
+  offsetY?: number; // Fraction of the shape's height
+}
+
+export interface CommentMember {
+  userId: string;
+  userName: string;
+}
+
+export interface MentionSegment {
+  text: string;
+  userId?: string; // Set on `@Name` segments
+}
+
+type BoundedShape = Parameters<typeof getShapeBounds>[0];
+
+const clamp01 = (value: number): number => Math.min(1, Math.max(0, value));
+
+const hasBounds = (shape: ShapeFields | undefined): shape is ShapeFields & BoundedShape =>
+  !!shape && typeof shape.x === 'number' && typeof shape.y === 'number';
+
+/** Anchor for a pin placed at a canvas point, on `shape` if one was clicked */
+export function getCommentAnchor(
+  point: { x: number; y: number },
+  shape?: ShapeFields | null
+): CommentAnchor {
+  if (!shape || !hasBounds(shape)) return { x: point.x, y: point.y, shapeId: null };
+  const bounds = getShapeBounds(shape);
+  return {
+    x: point.x,
+    y: point.y,
+    shapeId: shape.id as string,
+    offsetX: bounds.width > 0 ? clamp01((point.x - bounds.minX) / bounds.width) : 0.5,
+    offsetY: bounds.height > 0 ? clamp01((point.y - bounds.minY) / bounds.height) : 0.5,
+  };
+}
+
+/** Where a thread's pin is drawn */
+export function getCommentPosition(
+  anchor: CommentAnchor,
+  shapesById: Map<string, ShapeFields>
+): { x: number; y: number } {
+  const shape = anchor.shapeId ? shapesById.get(anchor.shapeId) : undefined;
+  if (!hasBounds(shape)) return { x: anchor.x, y: anchor.y };
+  const bounds = getShapeBounds(shape);
+  return {
+    x: bounds.minX + (anchor.offsetX ?? 0.5) * bounds.width,
+    y: bounds.minY + (anchor.offsetY ?? 0.5) * bounds.height,
+  };
+}
+
+/**
+ * People who can be mentioned: canvas members with a known name (the permission
+ * list is only readable by the owner), then whoever is online or has commented.
+ * Sorted by name.
+ */
+export function getMentionCandidates(sources: {
+  permissions?: Record<string, unknown> | null;
+  onlineUsers?: { userId?: string; userName?: string }[];
+  authors?: { userId?: string; userName?: string }[];
+}): CommentMember[] {
+  const names = new Map<string, string>();
+  const add = (userId: unknown, userName: unknown) => {
+    if (typeof userId !== 'string' || typeof userName !== 'string' || !userName.trim()) return;
+    if (names.has(userId)) return;
+    names.set(userId, userName.trim());
+  };
+
+  Object.entries(sources.permissions || {}).forEach(([userId, permission]) => {
+    if (permission && typeof permission === 'object') {
+      add(userId, (permission as { userName?: unknown }).userName);
+    }
+  });
+  (sources.onlineUsers || []).forEach((user) => add(user.userId, user.userName));
+  (sources.authors || []).forEach((user) => add(user.userId, user.userName));
+
+  return [...names.entries()]
+    .map(([userId, userName]) => ({ userId, userName }))
+    .sort((a, b) => a.userName.localeCompare(b.userName));
+}
+
+// Longest names first, so "@Ada Lovelace" isn't read as "@Ada"
+const byNameLength = (members: CommentMember[]): CommentMember[] =>
+  [...members].sort((a, b) => b.userName.length - a.userName.length);
+
+const isWordChar = (char: string | undefined): boolean => !!char && /[\p{L}\p{N}_]/u.test(char);
+
+/** Split text into plain runs and `@Name` mentions of the given members */
+export function splitMentions(text: string, members: CommentMember[]): MentionSegment[] {
+  const sorted = byNameLength(members);
+  const lower = text.toLowerCase();
+  const segments: MentionSegment[] = [];
+  let plainStart = 0;
+  let i = 0;
+
+  while (i < text.length) {
+    const at = text.indexOf('@', i);
+    if (at === -1) break;
+    const member = isWordChar(text[at - 1])
+      ? undefined
+      : sorted.find((candidate) => {
+          const name = candidate.userName.toLowerCase();
+          return (
+            lower.startsWith(name, at + 1) && !isWordChar(text[at + 1 + candidate.userName.length])
+          );
+        });
+    if (!member) {
+      i = at + 1;
+      continue;
+    }
+    if (at > plainStart) segments.push({ text: text.slice(plainStart, at) });
+    const end = at + 1 + member.userName.length;
+    segments.push({ text: text.slice(at, end), userId: member.userId });
+    plainStart = end;
+    i = end;
+  }
+
+  if (plainStart < text.length) segments.push({ text: text.slice(plainStart) });
+  return segments;
+}
+
+/** Ids of the members mentioned in text, in order of first mention */
+export function findMentions(text: string, members: CommentMember[]): string[] {
+  const ids = splitMentions(text, members)
+    .map((segment) => segment.userId)
+    .filter((userId): userId is string => !!userId);
+  return [...new Set(ids)];
+}
+
+/**
+ * The mention being typed at the caret: the text after an `@` that starts a
+ * word, or null when the caret isn't in one
+ */
+export function getMentionQuery(
+  text: string,
+  caret: number
+): { start: number; query: string } | null {
+  const before = text.slice(0, caret);
+  const at = before.lastIndexOf('@');
+  if (at === -1 || isWordChar(before[at - 1])) return null;
+  const query = before.slice(at + 1);
+  // Names may have spaces, but a mention doesn't run across lines or go on forever
+  if (query.includes('\n') || query.length > 40) return null;
+  return { start: at, query };
+}
@@ -0,0 +1,409 @@
+/**
+ * Connector utility functions — anchor points, endpoint binding and routing
+ *
+ * A connector stores both endpoints (x,y and x2,y2). An end bound to a shape
+ * (startShapeId/endShapeId + anchor) is resolved against that shape whenever it is
+ * drawn, so connectors follow shapes as they move; the stored coordinates are the
+ * last known position and are used when the bound shape no longer exists.
+ */
+
+import { SHAPE_TYPES, CONNECTOR_ANCHORS, CONNECTOR_ROUTING } from './constants';
+import { getShapeBounds, getRotationCenter, type Point } from './canvasUtils';
+import type { ConnectorAnchor, ConnectorRouting, ArrowheadStyle } from '../types/canvas';
+
+/** Loose shape record as stored in the database (fields vary by type) */
+export interface AnchorableShape {
+  id: string;
+  type: string;
+  x: number;
+  y: number;
+  width?: number;
+  height?: number;
+  radius?: number;
+  vertices?: Point[];
+  rotation?: number;
+  visible?: boolean;
+  zIndex?: number;
+}
+
+export interface ConnectorFields {
+  id?: string;
+  type: string;
+  x: number;
+  y: number;
+  x2: number;
+  y2: number;
+  startShapeId?: string | null;
+  startAnchor?: ConnectorAnchor | null;
+  endShapeId?: string | null;
+  endAnchor?: ConnectorAnchor | null;
+  routing?: ConnectorRouting;
+}
+
+/** Shape an endpoint attaches to, and where */
+export interface AnchorTarget {
+  shapeId: string;
+  anchor: ConnectorAnchor;
+  x: number;
+  y: number;
+}
+
+export type ShapeLookup = Map<string, AnchorableShape> | Record<string, AnchorableShape>;
+
+const SIDE_ANCHORS = CONNECTOR_ANCHORS.filter((anchor) => anchor !== 'center');
+
+const lookupShape = (shapes: ShapeLookup, id: string | null | undefined) => {
+  if (!id) return undefined;
+  return shapes instanceof Map ? shapes.get(id) : shapes[id];
+};
+
+const distance = (a: Point, b: Point) => Math.hypot(a.x - b.x, a.y - b.y);
+
+export const isConnector = (shape: { type?: string } | null | undefined) =>
+  shape?.type === SHAPE_TYPES.CONNECTOR;
+
+/**
+ * Canvas position of a shape's anchor point (the middle of a side of its
+ * bounding box, or its center), with the shape's rotation applied
+ */
+export function getAnchorPoint(shape: AnchorableShape, anchor: ConnectorAnchor): Point {
+  const bounds = getShapeBounds(shape);
+  let point: Point;
+
+  switch (anchor) {
+    case 'top':
+      point = { x: bounds.centerX, y: bounds.minY };
+      break;
+    case 'right':
+      point = { x: bounds.maxX, y: bounds.centerY };
+      break;
+    case 'bottom':
+      point = { x: bounds.centerX, y: bounds.maxY };
+      break;
+    case 'left':
+      point = { x: bounds.minX, y: bounds.centerY };
+      break;
+    default:
+      point = { x: bounds.centerX, y: bounds.centerY };
+      break;
+  }
+
+  if (!shape.rotation) return point;
+
+  const center = getRotationCenter(shape);
+  const angle = (shape.rotation * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return {
+    x: center.x + (point.x - center.x) * cos - (point.y - center.y) * sin,
+    y: center.y + (point.x - center.x) * sin + (point.y - center.y) * cos,
+  };
+}
+
+/**
+ * Side anchor of a shape closest to a point
+ */
+export function getNearestAnchor(
+  shape: AnchorableShape,
+  point: Point
+): { anchor: ConnectorAnchor; x: number; y: number; distance: number } {
+  let best = { anchor: SIDE_ANCHORS[0] as ConnectorAnchor, x: 0, y: 0, distance: Infinity };
+  SIDE_ANCHORS.forEach((anchor) => {
+    const anchorPoint = getAnchorPoint(shape, anchor);
+    const d = distance(anchorPoint, point);
+    if (d < best.distance) best = { anchor, ...anchorPoint, distance: d };
+  });
+  return best;
+}
+
+/**
+ * Find the anchor a connector endpoint dropped at `point` should attach to.
+ * A shape qualifies when the point is within `maxDistance` of one of its side
+ * anchors or inside its bounds; the closest anchor wins, and the topmost shape
+ * breaks ties. Connectors, groups and hidden shapes are never targets.
+ * @param excludeIds - Shapes to ignore (e.g. the connector being edited)
+ * @returns The target, or null when the endpoint should stay free
+ */
+export function findAnchorTarget(
+  shapes: AnchorableShape[],
+  point: Point,
+  maxDistance: number,
+  excludeIds: string[] = []
+): AnchorTarget | null {
+  let best: (AnchorTarget & { distance: number; zIndex: number }) | null = null;
+
+  shapes.forEach((shape) => {
+    if (
+      isConnector(shape) ||
+      shape.type === SHAPE_TYPES.GROUP ||
+      shape.visible === false ||
+      excludeIds.includes(shape.id)
+    ) {
+      return;
+    }
+
+    const nearest = getNearestAnchor(shape, point);
+    if (nearest.distance > maxDistance) {
+      const b = getShapeBounds(shape);
+      const inside =
+        point.x >= b.minX && point.x <= b.maxX && point.y >= b.minY && point.y <= b.maxY;
+      if (!inside) return;
+    }
+
+    const zIndex = shape.zIndex || 0;
+    if (
+      !best ||
+      nearest.distance < best.distance ||
+      (nearest.distance === best.distance && zIndex > best.zIndex)
+    ) {
+      best = {
+        shapeId: shape.id,
+        anchor: nearest.anchor,
+        x: nearest.x,
+        y: nearest.y,
+        distance: nearest.distance,
+        zIndex,
+      };
+    }
+  });
+
+  if (!best) return null;
+  const { shapeId, anchor, x, y } = best as AnchorTarget;
+  return { shapeId, anchor, x, y };
+}
+
+/**
+ * Current start and end points of a connector, following bound shapes
+ */
+export function resolveConnectorEndpoints(
+  connector: ConnectorFields,
+  shapes: ShapeLookup
+): { start: Point; end: Point } {
+  const resolve = (
+    shapeId: string | null | undefined,
+    anchor: ConnectorAnchor | null | undefined,
+    fallback: Point
+  ): Point => {
+    const shape = lookupShape(shapes, shapeId);
+    return shape ? getAnchorPoint(shape, anchor || 'center') : fallback;
+  };
+
+  return {
+    start: resolve(connector.startShapeId, connector.startAnchor, {
+      x: connector.x,
+      y: connector.y,
+    }),
+    end: resolve(connector.endShapeId, connector.endAnchor, { x: connector.x2, y: connector.y2 }),
+  };
+}
+
+const isHorizontalAnchor = (anchor?: ConnectorAnchor | null) =>
+  anchor === 'left' || anchor === 'right';
+const isVerticalAnchor = (anchor?: ConnectorAnchor | null) =>
+  anchor === 'top' || anchor === 'bottom';
+
+/**
+ * Points along a connector's route (two for straight lines, up to four for elbows).
+ *
+ * Elbow routes leave and enter shapes perpendicular to the anchored side: two
+ * horizontal ends are joined by a vertical segment half-way between them (and vice
+ * versa), while mixed ends meet at a single corner. Free ends follow the dominant
+ * direction of travel.
+ */
+export function getConnectorPoints(
+  start: Point,
+  end: Point,
+  routing: ConnectorRouting = CONNECTOR_ROUTING.STRAIGHT,
+  startAnchor?: ConnectorAnchor | null,
+  endAnchor?: ConnectorAnchor | null
+): Point[] {
+  if (routing !== CONNECTOR_ROUTING.ELBOW) return [start, end];
+
+  const mostlyHorizontal = Math.abs(end.x - start.x) >= Math.abs(end.y - start.y);
+  const startHorizontal =
+    isHorizontalAnchor(startAnchor) || (!isVerticalAnchor(startAnchor) && mostlyHorizontal);
+  const endHorizontal =
+    isHorizontalAnchor(endAnchor) || (!isVerticalAnchor(endAnchor) && startHorizontal);
+
+  let points: Point[];
+  if (startHorizontal && endHorizontal) {
+    const midX = (start.x + end.x) / 2;
+    points = [start, { x: midX, y: start.y }, { x: midX, y: end.y }, end];
+  } else if (!startHorizontal && !endHorizontal) {
+    const midY = (start.y + end.y) / 2;
+    points = [start, { x: start.x, y: midY }, { x: end.x, y: midY }, end];
+  } else if (startHorizontal) {
+    points = [start, { x: end.x, y: start.y }, end];
+  } else {
+    points = [start, { x: start.x, y: end.y }, end];
+  }
+
+  // Drop zero-length segments (aligned endpoints)
+  return points.filter(
+    (point, i) => i === 0 || point.x !== points[i - 1].x || point.y !== points[i - 1].y
+  );
+}
+
+/**
+ * Route of a connector with its bound ends resolved
+ */
+export function getConnectorRoute(connector: ConnectorFields, shapes: ShapeLookup): Point[] {
+  const { start, end } = resolveConnectorEndpoints(connector, shapes);
+  return getConnectorPoints(
+    start,
+    end,
+    connector.routing,
+    connector.startShapeId ? connector.startAnchor : null,
+    connector.endShapeId ? connector.endAnchor : null
+  );
+}
+
+/**
+ * SVG path data ("M … L …") for a list of points
+ */
+export function pointsToPathData(points: Point[]): string {
+  const round = (value: number) => Math.round(value * 100) / 100;
+  return points
+    .map((point, i) => `${i === 0 ? 'M' : 'L'} ${round(point.x)} ${round(point.y)}`)
+    .join(' ');
+}
+
+/**
+ * Arrowhead drawn at `tip`, pointing away from `from`.
+ * Arrowheads are plain paths rather than SVG markers so they look the same on
+ * the canvas and in exported files.
+ * @returns Path data and whether it is filled (open arrows are stroked only),
+ *   or null for 'none'
+ */
+export function getArrowheadPath(
+  tip: Point,
+  from: Point,
+  style: ArrowheadStyle | null | undefined,
+  strokeWidth: number = 2
+): { d: string; filled: boolean } | null {
+  if (!style || style === 'none') return null;
+
+  const length = distance(tip, from) || 1;
+  const ux = (tip.x - from.x) / length;
+  const uy = (tip.y - from.y) / length;
+  const size = 8 + strokeWidth * 2;
+  const round = (value: number) => Math.round(value * 100) / 100;
+  const at = (along: number, across: number) =>
+    `${round(tip.x - ux * along - uy * across)} ${round(tip.y - uy * along + ux * across)}`;
+
+  switch (style) {
+    case 'arrow':
+      return { d: `M ${at(size, size / 2)} L ${at(0, 0)} L ${at(size, -size / 2)}`, filled: false };
+    case 'triangle':
+      return {
+        d: `M ${at(0, 0)} L ${at(size, size / 2)} L ${at(size, -size / 2)} Z`,
+        filled: true,
+      };
+    case 'circle': {
+      const r = round(size / 3);
+      return {
+        d: `M ${at(0, 0)} a ${r} ${r} 0 1 0 ${round(-ux * r * 2)} ${round(-uy * r * 2)} a ${r} ${r} 0 1 0 ${round(ux * r * 2)} ${round(uy * r * 2)}`,
+        filled: true,
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Stored endpoint coordinates to write for connectors bound to shapes that moved,
+ * so connectors stay correct in exports and if the shapes are later deleted.
+ * @param shapes - All shapes, with the moved shapes already at their new position
+ * @param movedIds - IDs of shapes that moved, resized or rotated
+ * @returns Map of connector ID → { x, y, x2, y2 } (only connectors that changed)
+ */
+export function getConnectorEndpointUpdates(
+  shapes: (AnchorableShape & Partial<ConnectorFields>)[],
+  movedIds: string[]
+): Record<string, { x: number; y: number; x2: number; y2: number }> {
+  const moved = new Set(movedIds);
+  const byId = new Map(shapes.map((shape) => [shape.id, shape]));
+  const updates: Record<string, { x: number; y: number; x2: number; y2: number }> = {};
+
+  shapes.forEach((shape) => {
+    if (!isConnector(shape)) return;
+    const connector = shape as unknown as ConnectorFields;
+    const boundToMoved =
+      (connector.startShapeId && moved.has(connector.startShapeId)) ||
+      (connector.endShapeId && moved.has(connector.endShapeId));
+    if (!boundToMoved) return;
+
+    const { start, end } = resolveConnectorEndpoints(connector, byId);
+    if (
+      start.x !== connector.x ||
+      start.y !== connector.y ||
+      end.x !== connector.x2 ||
+      end.y !== connector.y2
+    ) {
+      updates[shape.id] = { x: start.x, y: start.y, x2: end.x, y2: end.y };
+    }
+  });
+
+  return updates;
+}
+
+/**
+ * Rebind a copied connector's ends. An end whose shape was copied along with it
+ * (present in `idMap`) attaches to the copy; any other bound end is detached, so
+ * the copy doesn't stay glued to the original shapes.
+ * @param connector - Connector being copied (stored coordinates already offset)
+ * @param idMap - Map of original shape ID → copied shape ID
+ */
+export function remapConnectorBindings<T extends ConnectorFields>(
+  connector: T,
+  idMap: Map<string, string> | Record<string, string>
+): T {
+  const mapId = (id: string | null | undefined) => {
+    if (!id) return null;
+    return (idMap instanceof Map ? idMap.get(id) : idMap[id]) || null;
+  };
+  const startShapeId = mapId(connector.startShapeId);
+  const endShapeId = mapId(connector.endShapeId);
+
+  return {
+    ...connector,
+    startShapeId,
+    startAnchor: startShapeId ? connector.startAnchor || null : null,
+    endShapeId,
+    endAnchor: endShapeId ? connector.endAnchor || null : null,
+  };
+}
+
+/**
+ * Order shapes so connectors come after the shapes they may be attached to
+ * (copies of those shapes need IDs before the connector copies can use them)
+ */
+export function sortConnectorsLast<T extends { type?: string }>(shapes: T[]): T[] {
+  return [...shapes].sort((a, b) => Number(isConnector(a)) - Number(isConnector(b)));
+}
+
+/**
+ * Copy of a shape moved by `offset` for duplicate and paste. Connectors are placed
+ * at their current (resolved) position and rebound with remapConnectorBindings.
+ * @param shapes - Lookup used to resolve the source connector's bound ends
+ * @param idMap - Map of original shape ID → copied shape ID (filled in by the caller)
+ */
+export function offsetShapeCopy<T extends { type: string; x: number; y: number }>(
+  shape: T,
+  offset: number,
+  shapes: ShapeLookup,
+  idMap: Map<string, string> | Record<string, string>
+): T {
+  if (!isConnector(shape)) return { ...shape, x: shape.x + offset, y: shape.y + offset };
+
+  const { start, end } = resolveConnectorEndpoints(shape as unknown as ConnectorFields, shapes);
+  const moved = {
+    ...(shape as unknown as ConnectorFields),
+    x: start.x + offset,
+    y: start.y + offset,
+    x2: end.x + offset,
+    y2: end.y + offset,
+  };
+  return remapConnectorBindings(moved, idMap) as unknown as T;
+}
@@ -3,7 +3,7 @@
  * Defines fixed canvas size, zoom limits, colors, and other configuration
  */
 
-// Canvas dimensions - fixed boundaries
+// Canvas dimensions - fixed boundaries (canvases in infinite mode have none)
 export const CANVAS_WIDTH = 5000;
 export const CANVAS_HEIGHT = 5000;
 
@@ -12,6 +12,14 @@ export const MIN_ZOOM = 0.1;
 export const MAX_ZOOM = 5;
 export const ZOOM_SENSITIVITY = 0.001;
 export const DEFAULT_ZOOM = 1;
+// Zoom to fit / zoom to selection: screen pixels kept around the content, and
+// the closest they zoom in (so a single small shape doesn't fill the screen)
+export const ZOOM_TO_FIT_PADDING = 48;
+export const ZOOM_TO_FIT_MAX_ZOOM = 2;
+
+// Minimap and follow mode
+export const MINIMAP_SIZE = 180; // Width and height in pixels (the canvas is square)
+export const VIEWPORT_SYNC_THROTTLE = 150; // ms between sharing our viewport with collaborators
 
 // Pan configuration
 export const PAN_PADDING_PERCENT = 0.2;
@@ -24,6 +32,11 @@ export const SHAPE_TYPES = {
   CUSTOM_POLYGON: 'customPolygon',
   TEXT: 'text',
   IMAGE: 'image',
+  CONNECTOR: 'connector',
+  PATH: 'path',
+  GROUP: 'group',
+  FRAME: 'frame',
+  STICKY: 'sticky',
 } as const;
 
 // Tool types
@@ -41,6 +54,47 @@ export const MIN_CIRCLE_RADIUS = 10;
 export const DEFAULT_CIRCLE_RADIUS = 50;
 export const MIN_POLYGON_RADIUS = 10;
 export const DEFAULT_POLYGON_SIDES = 5;
+export const MIN_POLYGON_SIDES = 3;
+export const MAX_POLYGON_SIDES = 12;
+
+// Shape styling (stroke, dash, corner radius, opacity)
+export const STROKE_DASH_STYLES = ['solid', 'dashed', 'dotted'] as const;
+export const DEFAULT_STROKE_COLOR = '#000000';
+export const MAX_STROKE_WIDTH = 20;
+export const MAX_CORNER_RADIUS = 200;
+
+// Frames (named containers that clip their children)
+export const DEFAULT_FRAME_COLOR = '#ffffff';
+export const FRAME_BORDER_COLOR = 'rgba(0, 0, 0, 0.15)';
+export const FRAME_LABEL_FONT_SIZE = 12; // Screen pixels, kept constant while zooming
+
+// Connectors (lines/arrows that can attach to other shapes)
+export const CONNECTOR_ANCHORS = ['top', 'right', 'bottom', 'left', 'center'] as const;
+export const CONNECTOR_ROUTING = {
+  STRAIGHT: 'straight',
+  ELBOW: 'elbow',
+} as const;
+export const ARROWHEAD_STYLES = ['none', 'arrow', 'triangle', 'circle'] as const;
+export const DEFAULT_CONNECTOR_COLOR = '#a0a0a0';
+export const DEFAULT_CONNECTOR_STROKE_WIDTH = 2;
+export const MIN_CONNECTOR_LENGTH = 10;
+export const CONNECTOR_SNAP_DISTANCE = 24; // Screen pixels from an anchor to attach
+
+// Freehand pen paths
+export const DEFAULT_PATH_STROKE_WIDTH = 4;
+export const MIN_PATH_SAMPLE_DISTANCE = 2; // Screen pixels between captured pointer samples
+export const PATH_SIMPLIFY_TOLERANCE = 1.5; // Screen pixels, Ramer–Douglas–Peucker epsilon
+
+// Shape fields written without the shape being edited (locks, write times, attribution)
+export const NON_EDIT_SHAPE_FIELDS: readonly string[] = [
+  'id',
+  'lockedBy',
+  'lockedByUserName',
+  'timestamp',
+  'lastModifiedBy',
+  'lastModifiedByName',
+  'lastModifiedAt',
+];
 
 // Hardcoded colors for pseudorandom assignment
 export const CANVAS_COLORS: readonly string[] = [
@@ -71,11 +125,54 @@ export const DEFAULT_FONT_SIZE = 16;
 export const FONT_SIZES: readonly number[] = [12, 14, 16, 18, 20, 24, 28, 32, 36, 40, 48];
 export const DEFAULT_TEXT_COLOR = '#ffffff';
 export const DEFAULT_TEXT_BACKGROUND_COLOR = 'transparent';
+export const TEXT_ALIGNMENTS = ['left', 'center', 'right'] as const;
+export const FONT_FAMILIES = {
+  sans: { label: 'Sans', css: 'Arial, sans-serif' },
+  serif: { label: 'Serif', css: 'Georgia, "Times New Roman", serif' },
+  mono: { label: 'Mono', css: '"Courier New", monospace' },
+  handwriting: { label: 'Hand', css: '"Comic Sans MS", "Segoe Print", cursive' },
+} as const;
+export const DEFAULT_FONT_FAMILY = 'sans';
+export const LINE_HEIGHTS: readonly number[] = [1, 1.2, 1.5, 2];
+export const DEFAULT_LINE_HEIGHT = 1.2;
+export const RICH_TEXT_LINK_COLOR = '#3b82f6';
+
+// Sticky notes
+export const STICKY_COLORS: readonly string[] = [
+  '#fff59d', // yellow
+  '#ffcc80', // orange
+  '#f8bbd0', // pink
+  '#e1bee7', // purple
+  '#b3e5fc', // blue
+  '#c8e6c9', // green
+];
+export const STICKY_COLOR_NAMES: Record<string, string> = {
+  '#fff59d': 'Yellow',
+  '#ffcc80': 'Orange',
+  '#f8bbd0': 'Pink',
+  '#e1bee7': 'Purple',
+  '#b3e5fc': 'Blue',
+  '#c8e6c9': 'Green',
+};
+export const DEFAULT_STICKY_COLOR = '#fff59d';
+export const DEFAULT_STICKY_SIZE = 200;
+export const STICKY_TEXT_COLOR = '#1f2937';
+export const STICKY_MAX_FONT_SIZE = 28;
+export const STICKY_MIN_FONT_SIZE = 12;
 
 // Grid configuration
 export const GRID_SIZE = 50;
+export const GRID_MAX_LINES = 200; // Per axis; zoomed further out, the grid coarsens 5x at a time
 export const GRID_COLOR = 'rgba(255, 255, 255, 0.1)';
 
+// Snapping while dragging and resizing
+export const SNAP_THRESHOLD = 6; // Screen pixels; divided by zoom on the canvas
+export const SNAP_GUIDE_COLOR = '#ff00ff';
+
+// Rendering large canvases
+export const CULL_MARGIN = 200; // Canvas units drawn beyond the edges of the view
+export const LOD_MIN_SCREEN_SIZE = 4; // Shapes smaller than this on screen (px) are drawn as plain boxes
+
 // Performance monitoring
 export const SHOW_FPS_COUNTER: boolean = import.meta.env.DEV;
 export const FPS_UPDATE_INTERVAL = 500;
@@ -88,6 +185,22 @@ export const PRESENCE_TIMEOUT = 60000;
 export const PRESENCE_AWAY_TIMEOUT = 120000;
 export const AUTO_LOGOUT_TIMEOUT = 1800000;
 
+// Undo/redo
+export const MAX_HISTORY_SIZE = 100;
+
+// Image export
+export const EXPORT_SCALES = [1, 2, 4] as const;
+export const MAX_EXPORT_DIMENSION = 16384; // Largest canvas side most browsers accept
+export const MAX_EXPORT_PIXELS = 8192 * 8192; // Keeps the RGBA buffer around 256MB
+
+// Version history
+export const SNAPSHOT_INTERVAL_MS = 10 * 60 * 1000; // Auto-snapshot at most every 10 minutes
+export const MAX_AUTO_SNAPSHOTS = 30; // Oldest automatic snapshots are pruned beyond this
+export const MAX_SNAPSHOT_NAME_LENGTH = 100;
+
+// Comments
+export const MAX_COMMENT_LENGTH = 2000;
+
 // Canvas boundary styling
 export const BOUNDARY_COLOR = '#444';
 export const BOUNDARY_WIDTH = 2;
@@ -119,5 +232,19 @@ export const CANVAS_TEMPLATES = {
 export const CANVAS_ROLE = {
   OWNER: 'owner',
   EDITOR: 'editor',
+  COMMENTER: 'commenter',
   VIEWER: 'viewer',
 } as const;
+// Roles that can't change shapes; commenters can still comment (every member can chat)
+export const READ_ONLY_ROLES: readonly string[] = [CANVAS_ROLE.COMMENTER, CANVAS_ROLE.VIEWER];
+export const COMMENTING_ROLES: readonly string[] = [
+  CANVAS_ROLE.OWNER,
+  CANVAS_ROLE.EDITOR,
+  CANVAS_ROLE.COMMENTER,
+];
+// Roles a share link or invitation can grant
+export const SHARE_ROLES: readonly string[] = [
+  CANVAS_ROLE.VIEWER,
+  CANVAS_ROLE.COMMENTER,
+  CANVAS_ROLE.EDITOR,
+];
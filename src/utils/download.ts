@@ -0,0 +1,31 @@
+/**
+ * Browser download helpers for canvas exports
+ */
+
+/**
+ * Save a blob to the user's machine via a temporary object URL
+ */
+export function downloadBlob(blob: Blob, filename: string): void {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke on the next tick so the download has started
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Build a filesystem-safe export filename from a canvas name
+ * @example getExportFilename('Team Board #2', 'svg') // 'team-board-2.svg'
+ */
+export function getExportFilename(name: string | null | undefined, extension: string): string {
+  const base =
+    (name || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '') || 'canvas';
+  return `${base}.${extension}`;
+}
@@ -0,0 +1,195 @@
+/**
+ * Frame utility functions — membership, containment and drawing order
+ *
+ * A frame ({ type: 'frame' }) is a named top-level rectangle that owns the shapes
+ * placed inside it. Children point at it with `frameId`, move with it and are
+ * clipped to its bounds. Only leaf shapes carry `frameId`: a group is inside a
+ * frame when its members are. Connectors stay top-level so lines between frames
+ * are never clipped away.
+ */
+
+import { SHAPE_TYPES } from './constants';
+import { getShapeBounds, type Point, type ShapeBounds } from './canvasUtils';
+import {
+  isGroup,
+  getGroupMembers,
+  getGroupBounds,
+  getSelectionUnits,
+  type GroupableShape,
+} from './groupUtils';
+
+/** Loose record as stored in the database (fields vary by type) */
+export interface FrameableShape extends GroupableShape {
+  frameId?: string | null;
+  visible?: boolean;
+}
+
+export const isFrame = (shape: { type?: string } | null | undefined) =>
+  shape?.type === SHAPE_TYPES.FRAME;
+
+/** Shapes that can be put in a frame (not frames, group records or connectors) */
+const canJoinFrame = (shape: { type?: string }) =>
+  !isFrame(shape) && !isGroup(shape) && shape.type !== SHAPE_TYPES.CONNECTOR;
+
+/** ID of the <clipPath> that clips a frame's children */
+export const getFrameClipId = (frameId: string) => `frame-clip-${frameId}`;
+
+const boundsOf = (shape: FrameableShape): ShapeBounds =>
+  getShapeBounds(shape as Parameters<typeof getShapeBounds>[0]);
+
+/**
+ * Shapes inside a frame, in the order given
+ */
+export function getFrameChildren<T extends FrameableShape>(frameId: string, shapes: T[]): T[] {
+  return shapes.filter((s) => s.frameId === frameId && canJoinFrame(s));
+}
+
+/**
+ * Frontmost visible frame whose box contains the point, or null
+ */
+export function findFrameAt<T extends FrameableShape>(point: Point, shapes: T[]): T | null {
+  let found: T | null = null;
+  shapes.forEach((shape) => {
+    if (!isFrame(shape) || shape.visible === false) return;
+    const b = boundsOf(shape);
+    const inside = point.x >= b.minX && point.x <= b.maxX && point.y >= b.minY && point.y <= b.maxY;
+    if (inside && (!found || (shape.zIndex || 0) >= (found.zIndex || 0))) found = shape;
+  });
+  return found;
+}
+
+/**
+ * Leaf shapes and bounds of a selection unit (a shape, or a group with its members)
+ */
+function getUnit<T extends FrameableShape>(
+  unitId: string,
+  byId: Map<string, T>,
+  shapes: T[]
+): { members: T[]; bounds: ShapeBounds | null } {
+  const shape = byId.get(unitId);
+  if (!shape) return { members: [], bounds: null };
+  if (!isGroup(shape)) return { members: [shape], bounds: boundsOf(shape) };
+  const members = getGroupMembers(unitId, shapes);
+  return { members, bounds: getGroupBounds(members) };
+}
+
+/**
+ * `frameId` updates for shapes that were moved or created: each top-level unit
+ * (a shape or a whole group) joins the frame under its center, or leaves its
+ * frame when dropped outside every frame. Shapes moving together with their
+ * frame keep it. Only shapes whose frame changes are included.
+ */
+export function getFrameMembershipUpdates<T extends FrameableShape>(
+  ids: string[],
+  shapes: T[]
+): Record<string, { frameId: string | null }> {
+  const byId = new Map(shapes.map((s) => [s.id, s]));
+  const moving = new Set(ids);
+  const updates: Record<string, { frameId: string | null }> = {};
+
+  getSelectionUnits(ids, shapes).forEach((unitId) => {
+    const { members, bounds } = getUnit(unitId, byId, shapes);
+    const joining = members.filter((m) => canJoinFrame(m) && !(m.frameId && moving.has(m.frameId)));
+    if (!bounds || joining.length === 0) return;
+
+    const frame = findFrameAt({ x: bounds.centerX, y: bounds.centerY }, shapes);
+    const frameId = frame ? frame.id : null;
+    joining.forEach((member) => {
+      if ((member.frameId || null) !== frameId) updates[member.id] = { frameId };
+    });
+  });
+
+  return updates;
+}
+
+/**
+ * Leaf shapes whose whole unit lies inside the rectangle — what a newly drawn frame adopts
+ */
+export function getShapeIdsInsideRect<T extends FrameableShape>(
+  rect: { x: number; y: number; width: number; height: number },
+  shapes: T[]
+): string[] {
+  const byId = new Map(shapes.map((s) => [s.id, s]));
+  const candidates = shapes.filter(canJoinFrame).map((s) => s.id);
+
+  return getSelectionUnits(candidates, shapes).flatMap((unitId) => {
+    const { members, bounds } = getUnit(unitId, byId, shapes);
+    if (!bounds) return [];
+    const inside =
+      bounds.minX >= rect.x &&
+      bounds.maxX <= rect.x + rect.width &&
+      bounds.minY >= rect.y &&
+      bounds.maxY <= rect.y + rect.height;
+    return inside ? members.filter(canJoinFrame).map((m) => m.id) : [];
+  });
+}
+
+/**
+ * IDs plus the children of any frames among them (a frame moves, copies and
+ * deletes together with its children)
+ */
+export function expandWithFrameChildren(ids: string[], shapes: FrameableShape[]): string[] {
+  const frameIds = new Set(ids.filter((id) => shapes.some((s) => s.id === id && isFrame(s))));
+  if (frameIds.size === 0) return ids;
+  const childIds = shapes
+    .filter((s) => s.frameId && frameIds.has(s.frameId) && canJoinFrame(s) && !ids.includes(s.id))
+    .map((s) => s.id);
+  return [...ids, ...childIds];
+}
+
+/**
+ * Order records for copying so each frame is created before its children;
+ * the order of other records is kept
+ */
+export function sortFramesFirst<T extends { type?: string }>(shapes: T[]): T[] {
+  return [...shapes.filter((s) => isFrame(s)), ...shapes.filter((s) => !isFrame(s))];
+}
+
+/**
+ * Point a copy at the copy of its frame. A shape copied without its frame stays
+ * in the original frame (the copy lands next to the original).
+ */
+export function remapFrameId<T extends { frameId?: string | null }>(
+  shape: T,
+  idMap: Map<string, string> | Record<string, string>
+): T {
+  if (!shape.frameId) return shape;
+  const newFrameId = idMap instanceof Map ? idMap.get(shape.frameId) : idMap[shape.frameId];
+  return newFrameId ? { ...shape, frameId: newFrameId } : shape;
+}
+
+/**
+ * Split shapes (already in z-order) for drawing: top-level items, and the children
+ * of each frame to draw clipped inside it. Children of a frame that is not in the
+ * list (hidden or off-screen) are dropped since they would be clipped away;
+ * children of a frame that no longer exists are drawn at the top level.
+ */
+export function getFrameRenderOrder<T extends FrameableShape>(
+  shapes: T[],
+  allShapes: Map<string, FrameableShape>
+): { topLevel: T[]; childrenByFrame: Map<string, T[]> } {
+  const listedFrames = new Set(shapes.filter((s) => isFrame(s)).map((s) => s.id));
+  const topLevel: T[] = [];
+  const childrenByFrame = new Map<string, T[]>();
+
+  shapes.forEach((shape) => {
+    const frameId = canJoinFrame(shape) ? shape.frameId : null;
+    if (frameId && listedFrames.has(frameId)) {
+      if (!childrenByFrame.has(frameId)) childrenByFrame.set(frameId, []);
+      childrenByFrame.get(frameId)!.push(shape);
+    } else if (!frameId || !isFrame(allShapes.get(frameId))) {
+      topLevel.push(shape);
+    }
+  });
+
+  return { topLevel, childrenByFrame };
+}
+
+/**
+ * Frame a new shape should join: the frontmost frame under its center
+ */
+export function getFrameIdForShape(shape: FrameableShape, shapes: FrameableShape[]): string | null {
+  if (!canJoinFrame(shape)) return null;
+  const bounds = boundsOf(shape);
+  return findFrameAt({ x: bounds.centerX, y: bounds.centerY }, shapes)?.id ?? null;
+}
@@ -0,0 +1,385 @@
+/**
+ * Group utility functions — membership, selection expansion and group transforms
+ *
+ * A group is its own record in the objects tree ({ type: 'group' }) with no
+ * geometry. Shapes (and nested groups) point at the group they belong to with
+ * `groupId`, so membership survives reloads and is shared with collaborators.
+ * A group's bounds are always derived from its members.
+ */
+
+import { SHAPE_TYPES } from './constants';
+import { getRotationCenter, type Point, type ShapeBounds } from './canvasUtils';
+import { scalePathPoints } from './pathUtils';
+import { getContentBounds, type ExportShape } from './svgExport';
+import { offsetShapeCopy, type ShapeLookup } from './connectorUtils';
+
+/** Loose record as stored in the database (fields vary by type) */
+export interface GroupableShape {
+  id: string;
+  type: string;
+  groupId?: string | null;
+  x?: number;
+  y?: number;
+  x2?: number;
+  y2?: number;
+  width?: number;
+  height?: number;
+  radius?: number;
+  vertices?: Point[];
+  points?: Point[];
+  rotation?: number;
+  fontSize?: number;
+  zIndex?: number;
+  lockedBy?: string | null;
+  lockedByUserName?: string | null;
+}
+
+export type GroupLookup = Map<string, GroupableShape> | Record<string, GroupableShape>;
+
+const lookupShape = (shapes: GroupLookup, id: string): GroupableShape | undefined =>
+  shapes instanceof Map ? shapes.get(id) : shapes[id];
+
+const toLookup = (shapes: GroupableShape[]): Map<string, GroupableShape> =>
+  new Map(shapes.map((s) => [s.id, s]));
+
+export const isGroup = (shape: { type?: string } | null | undefined) =>
+  shape?.type === SHAPE_TYPES.GROUP;
+
+/**
+ * IDs of the groups a record is nested in, innermost first.
+ * Links to groups that no longer exist are ignored.
+ */
+export function getAncestorGroupIds(shape: GroupableShape, shapes: GroupLookup): string[] {
+  const ancestors: string[] = [];
+  let groupId = shape.groupId;
+  while (groupId && !ancestors.includes(groupId)) {
+    const group = lookupShape(shapes, groupId);
+    if (!isGroup(group)) break;
+    ancestors.push(groupId);
+    groupId = group!.groupId;
+  }
+  return ancestors;
+}
+
+/**
+ * Outermost group containing the record, or the record's own ID when it is not grouped
+ */
+export function getTopLevelGroupId(shape: GroupableShape, shapes: GroupLookup): string {
+  const ancestors = getAncestorGroupIds(shape, shapes);
+  return ancestors.length > 0 ? ancestors[ancestors.length - 1] : shape.id;
+}
+
+/**
+ * Leaf shapes inside a group at any depth (nested group records are not included)
+ */
+export function getGroupMembers<T extends GroupableShape>(groupId: string, shapes: T[]): T[] {
+  const byId = toLookup(shapes);
+  return shapes.filter((s) => !isGroup(s) && getAncestorGroupIds(s, byId).includes(groupId));
+}
+
+/**
+ * Group records nested inside a group at any depth
+ */
+export function getDescendantGroupIds(groupId: string, shapes: GroupableShape[]): string[] {
+  const byId = toLookup(shapes);
+  return shapes
+    .filter((s) => isGroup(s) && s.id !== groupId && getAncestorGroupIds(s, byId).includes(groupId))
+    .map((s) => s.id);
+}
+
+/**
+ * Replace every selected shape with all leaf members of its top-level group,
+ * so grouped shapes are always selected together. Group records map to their members.
+ */
+export function expandSelectionToGroups(ids: string[], shapes: GroupableShape[]): string[] {
+  const byId = toLookup(shapes);
+  const topLevelIds = new Set<string>();
+  ids.forEach((id) => {
+    const shape = byId.get(id);
+    if (shape) topLevelIds.add(getTopLevelGroupId(shape, byId));
+  });
+
+  return shapes
+    .filter((s) => !isGroup(s) && topLevelIds.has(getTopLevelGroupId(s, byId)))
+    .map((s) => s.id);
+}
+
+/**
+ * Distinct top-level units (group IDs or ungrouped shape IDs) of a selection
+ */
+export function getSelectionUnits(ids: string[], shapes: GroupableShape[]): string[] {
+  const byId = toLookup(shapes);
+  const units: string[] = [];
+  ids.forEach((id) => {
+    const shape = byId.get(id);
+    if (!shape) return;
+    const unit = getTopLevelGroupId(shape, byId);
+    if (!units.includes(unit)) units.push(unit);
+  });
+  return units;
+}
+
+/**
+ * Group records whose leaf members are all in `ids` — the groups that travel
+ * with a selection when it is copied, duplicated or deleted
+ */
+export function getSelectedGroups<T extends GroupableShape>(ids: string[], shapes: T[]): T[] {
+  const selected = new Set(ids);
+  const byId = toLookup(shapes);
+  const memberCounts = new Map<string, { total: number; selected: number }>();
+
+  shapes.forEach((s) => {
+    if (isGroup(s)) return;
+    getAncestorGroupIds(s, byId).forEach((groupId) => {
+      const counts = memberCounts.get(groupId) || { total: 0, selected: 0 };
+      counts.total += 1;
+      if (selected.has(s.id)) counts.selected += 1;
+      memberCounts.set(groupId, counts);
+    });
+  });
+
+  return shapes.filter((s) => {
+    const counts = memberCounts.get(s.id);
+    return isGroup(s) && !!counts && counts.selected === counts.total;
+  });
+}
+
+/**
+ * Groups left without any leaf members once `removedIds` are gone
+ */
+export function getEmptyGroupIds(shapes: GroupableShape[], removedIds: string[] = []): string[] {
+  const removed = new Set(removedIds);
+  const byId = toLookup(shapes);
+  const nonEmpty = new Set<string>();
+
+  shapes.forEach((s) => {
+    if (isGroup(s) || removed.has(s.id)) return;
+    getAncestorGroupIds(s, byId).forEach((groupId) => nonEmpty.add(groupId));
+  });
+
+  return shapes
+    .filter((s) => isGroup(s) && !removed.has(s.id) && !nonEmpty.has(s.id))
+    .map((s) => s.id);
+}
+
+/**
+ * Order records for copying so each group is created before anything inside it
+ * (outer groups first); the order of other records is kept
+ */
+export function sortGroupsFirst<T extends GroupableShape>(shapes: T[]): T[] {
+  const byId = toLookup(shapes);
+  const depth = (s: T) => getAncestorGroupIds(s, byId).length;
+  const groups = shapes.filter((s) => isGroup(s)).sort((a, b) => depth(a) - depth(b));
+  return [...groups, ...shapes.filter((s) => !isGroup(s))];
+}
+
+/**
+ * Point a copy at the copy of its group; copies of shapes whose group was not
+ * copied are left ungrouped
+ */
+export function remapGroupId<T extends { groupId?: string | null }>(
+  shape: T,
+  idMap: Map<string, string> | Record<string, string>
+): T {
+  if (!shape.groupId) return shape;
+  const newGroupId = idMap instanceof Map ? idMap.get(shape.groupId) : idMap[shape.groupId];
+  return { ...shape, groupId: newGroupId || null };
+}
+
+/**
+ * Copy of a record for duplicate and paste (see offsetShapeCopy). Group records
+ * have no position and are copied as they are; every copy joins the copy of its group.
+ */
+export function offsetGroupedShapeCopy<T extends { type: string; x: number; y: number }>(
+  shape: T,
+  offset: number,
+  shapes: ShapeLookup,
+  idMap: Map<string, string> | Record<string, string>
+): T {
+  const copy = isGroup(shape) ? { ...shape } : offsetShapeCopy(shape, offset, shapes, idMap);
+  return remapGroupId(copy as T & { groupId?: string | null }, idMap);
+}
+
+/**
+ * The lock that applies to a record: its own, or the nearest locked group it is in.
+ * Selecting a group locks only the group record, which covers every member.
+ */
+export function getEffectiveLock(
+  shape: GroupableShape,
+  shapes: GroupLookup
+): { lockedBy: string | null; lockedByUserName: string | null } {
+  if (shape.lockedBy) {
+    return { lockedBy: shape.lockedBy, lockedByUserName: shape.lockedByUserName || null };
+  }
+  for (const groupId of getAncestorGroupIds(shape, shapes)) {
+    const group = lookupShape(shapes, groupId);
+    if (group?.lockedBy) {
+      return { lockedBy: group.lockedBy, lockedByUserName: group.lockedByUserName || null };
+    }
+  }
+  return { lockedBy: null, lockedByUserName: null };
+}
+
+const rotatePoint = (point: Point, center: Point, degrees: number): Point => {
+  const rad = (degrees * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  const dx = point.x - center.x;
+  const dy = point.y - center.y;
+  return { x: center.x + dx * cos - dy * sin, y: center.y + dx * sin + dy * cos };
+};
+
+/**
+ * Bounds around all members including their rotation (null for an empty group)
+ */
+export function getGroupBounds(members: GroupableShape[]): ShapeBounds | null {
+  return getContentBounds(members as ExportShape[]);
+}
+
+/**
+ * Field updates that move a member of a group by dx, dy (used when a group is
+ * aligned or arranged as one unit)
+ */
+export function translateShape(
+  shape: GroupableShape,
+  dx: number,
+  dy: number
+): Record<string, unknown> {
+  const updates: Record<string, unknown> = { x: (shape.x || 0) + dx, y: (shape.y || 0) + dy };
+  if (shape.type === SHAPE_TYPES.CUSTOM_POLYGON) {
+    updates.vertices = (shape.vertices || []).map((v) => ({ x: v.x + dx, y: v.y + dy }));
+  }
+  if (shape.type === SHAPE_TYPES.CONNECTOR) {
+    updates.x2 = (shape.x2 || 0) + dx;
+    updates.y2 = (shape.y2 || 0) + dy;
+  }
+  return updates;
+}
+
+// Geometry fields that scaleShape and rotateShape may change
+const TRANSFORM_FIELDS = [
+  'x',
+  'y',
+  'x2',
+  'y2',
+  'width',
+  'height',
+  'radius',
+  'vertices',
+  'points',
+  'fontSize',
+  'rotation',
+] as const;
+
+/**
+ * The stored geometry of a shape that a group transform can change, used to
+ * persist a group resize/rotate and to record what it replaced
+ */
+export function getTransformFields(shape: GroupableShape): Record<string, unknown> {
+  return Object.fromEntries(
+    TRANSFORM_FIELDS.filter((key) => shape[key] !== undefined).map((key) => [key, shape[key]])
+  );
+}
+
+const scaleAround = (point: Point, origin: Point, scale: number): Point => ({
+  x: origin.x + (point.x - origin.x) * scale,
+  y: origin.y + (point.y - origin.y) * scale,
+});
+
+/**
+ * Field updates that scale a member of a resized group uniformly around `origin`.
+ * Each shape's rotation center is scaled so rotated members keep their place.
+ */
+export function scaleShape(
+  shape: GroupableShape,
+  origin: Point,
+  scale: number
+): Record<string, unknown> {
+  const x = shape.x || 0;
+  const y = shape.y || 0;
+
+  switch (shape.type) {
+    case SHAPE_TYPES.CIRCLE:
+    case SHAPE_TYPES.POLYGON: {
+      const center = scaleAround({ x, y }, origin, scale);
+      return { ...center, radius: (shape.radius || 0) * scale };
+    }
+    case SHAPE_TYPES.IMAGE: {
+      const center = scaleAround({ x, y }, origin, scale);
+      return { ...center, width: (shape.width || 0) * scale, height: (shape.height || 0) * scale };
+    }
+    case SHAPE_TYPES.CUSTOM_POLYGON: {
+      const vertices = (shape.vertices || []).map((v) => scaleAround(v, origin, scale));
+      return { ...scaleAround({ x, y }, origin, scale), vertices };
+    }
+    case SHAPE_TYPES.CONNECTOR: {
+      const start = scaleAround({ x, y }, origin, scale);
+      const end = scaleAround({ x: shape.x2 || 0, y: shape.y2 || 0 }, origin, scale);
+      return { x: start.x, y: start.y, x2: end.x, y2: end.y };
+    }
+    default: {
+      // Top-left based shapes (rectangle, text, path)
+      const width = (shape.width || 0) * scale;
+      const height = (shape.height || 0) * scale;
+      const center = scaleAround(
+        { x: x + (shape.width || 0) / 2, y: y + (shape.height || 0) / 2 },
+        origin,
+        scale
+      );
+      const updates: Record<string, unknown> = {
+        x: center.x - width / 2,
+        y: center.y - height / 2,
+        width,
+        height,
+      };
+      if (shape.type === SHAPE_TYPES.PATH) {
+        updates.points = scalePathPoints(
+          shape.points || [],
+          shape as { width: number; height: number },
+          {
+            width,
+            height,
+          }
+        );
+      }
+      if (shape.type === SHAPE_TYPES.TEXT && shape.fontSize) {
+        updates.fontSize = shape.fontSize * scale;
+      }
+      return updates;
+    }
+  }
+}
+
+/**
+ * Field updates that rotate a member of a rotated group by `degrees` around `center`
+ */
+export function rotateShape(
+  shape: GroupableShape,
+  center: Point,
+  degrees: number
+): Record<string, unknown> {
+  const rotation = (shape.rotation || 0) + degrees;
+
+  switch (shape.type) {
+    case SHAPE_TYPES.CUSTOM_POLYGON:
+      return { vertices: (shape.vertices || []).map((v) => rotatePoint(v, center, degrees)) };
+    case SHAPE_TYPES.CONNECTOR: {
+      const start = rotatePoint({ x: shape.x || 0, y: shape.y || 0 }, center, degrees);
+      const end = rotatePoint({ x: shape.x2 || 0, y: shape.y2 || 0 }, center, degrees);
+      return { x: start.x, y: start.y, x2: end.x, y2: end.y };
+    }
+    case SHAPE_TYPES.CIRCLE:
+    case SHAPE_TYPES.POLYGON:
+    case SHAPE_TYPES.IMAGE:
+      return { ...rotatePoint({ x: shape.x || 0, y: shape.y || 0 }, center, degrees), rotation };
+    default: {
+      const ownCenter = getRotationCenter(shape as Parameters<typeof getRotationCenter>[0]);
+      const moved = rotatePoint(ownCenter, center, degrees);
+      return {
+        x: (shape.x || 0) + moved.x - ownCenter.x,
+        y: (shape.y || 0) + moved.y - ownCenter.y,
+        rotation,
+      };
+    }
+  }
+}
@@ -0,0 +1,221 @@
+/**
+ * History utility functions for operation-based undo/redo
+ *
+ * Every recorded action can be inverted: creates become deletes, deletes become
+ * restores, and updates swap their before/after field snapshots. Batches group
+ * several actions so they undo and redo as a single step.
+ */
+
+import type { HistoryAction, ShapeChange, ShapeFields } from '../types/canvas';
+import { NON_EDIT_SHAPE_FIELDS } from './constants';
+
+type ShapeLike = { id: string } & ShapeFields;
+
+function valuesEqual(a: unknown, b: unknown): boolean {
+  if (a === b) return true;
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Snapshot the given fields of a shape. Missing fields are recorded as null so
+ * that restoring the snapshot removes them again in Realtime Database.
+ */
+export function pickFields(shape: ShapeFields | undefined, keys: string[]): ShapeFields {
+  const fields: ShapeFields = {};
+  keys.forEach((key) => {
+    const value = shape ? shape[key] : undefined;
+    fields[key] = value === undefined ? null : value;
+  });
+  return fields;
+}
+
+/**
+ * Build an 'update' action from a map of shapeId → updates.
+ *
+ * The "before" state is read from `shapes` unless an explicit previous snapshot
+ * is supplied (needed after drags/resizes, where local state is already moved).
+ * Returns null when nothing actually changes.
+ */
+export function createUpdateAction(
+  shapes: ShapeLike[],
+  updatesById: Record<string, ShapeFields>,
+  previousById: Record<string, ShapeFields> = {}
+): HistoryAction | null {
+  const changes: ShapeChange[] = [];
+
+  Object.entries(updatesById).forEach(([shapeId, updates]) => {
+    if (!updates) return;
+    const keys = Object.keys(updates);
+    if (keys.length === 0) return;
+
+    const shape = shapes.find((s) => s.id === shapeId);
+    const before = pickFields({ ...shape, ...previousById[shapeId] }, keys);
+    const after = pickFields(updates, keys);
+    if (keys.every((key) => valuesEqual(before[key], after[key]))) return;
+
+    changes.push({ shapeId, before, after });
+  });
+
+  return changes.length > 0 ? { type: 'update', changes } : null;
+}
+
+/**
+ * Group several actions into one undoable step. Single actions pass through.
+ */
+export function createBatchAction(actions: (HistoryAction | null)[]): HistoryAction | null {
+  const valid = actions.filter((a): a is HistoryAction => a !== null);
+  if (valid.length === 0) return null;
+  if (valid.length === 1) return valid[0];
+  return { type: 'batch', actions: valid };
+}
+
+/**
+ * Return the action that reverts the given action.
+ */
+export function invertAction(action: HistoryAction): HistoryAction {
+  switch (action.type) {
+    case 'create':
+      return { ...action, type: 'delete' };
+    case 'delete':
+      return { ...action, type: 'create' };
+    case 'update':
+      return {
+        ...action,
+        changes: action.changes.map(({ shapeId, before, after }) => ({
+          shapeId,
+          before: after,
+          after: before,
+        })),
+      };
+    case 'batch':
+      return { ...action, actions: [...action.actions].reverse().map(invertAction) };
+  }
+}
+
+/**
+ * Collect the "after" side of every change as a batchUpdateShapes payload.
+ */
+export function getChangeUpdates(changes: ShapeChange[]): Record<string, ShapeFields> {
+  const updates: Record<string, ShapeFields> = {};
+  changes.forEach(({ shapeId, after }) => {
+    updates[shapeId] = { ...updates[shapeId], ...after };
+  });
+  return updates;
+}
+
+/**
+ * List every shape ID touched by an action (including nested batches).
+ */
+export function getActionShapeIds(action: HistoryAction): string[] {
+  switch (action.type) {
+    case 'create':
+    case 'delete':
+      return [action.shapeId];
+    case 'update':
+      return action.changes.map((c) => c.shapeId);
+    case 'batch':
+      return [...new Set(action.actions.flatMap(getActionShapeIds))];
+  }
+}
+
+export type HistoryConflictReason = 'modified' | 'deleted' | 'locked';
+
+export interface HistoryConflict {
+  shapeId: string;
+  reason: HistoryConflictReason;
+}
+
+export interface RebaseResult {
+  action: HistoryAction | null;
+  conflicts: HistoryConflict[];
+}
+
+/**
+ * Rebase an action that is about to be applied onto the current remote shapes.
+ *
+ * Each operation carries the state it expects to find (an update's "before"
+ * values, a delete's shape snapshot, a create's absence). Anything a collaborator
+ * has changed since is left alone and reported as a conflict:
+ * - update: only fields still matching "before" are written; others are skipped
+ * - delete: skipped if a recorded field was edited or the shape is locked by someone else
+ * - create: skipped if the shape already exists again
+ *
+ * @param action - Forward action to apply (already inverted for undo)
+ * @param shapes - Current shapes from subscribeToObjects
+ * @param userId - Current user (their own locks never conflict)
+ */
+export function rebaseAction(
+  action: HistoryAction,
+  shapes: ShapeLike[],
+  userId?: string | null
+): RebaseResult {
+  const conflicts: HistoryConflict[] = [];
+  const findShape = (shapeId: string) => shapes.find((s) => s.id === shapeId);
+  const isLockedByOther = (shape: ShapeFields) => !!shape.lockedBy && shape.lockedBy !== userId;
+
+  const rebase = (current: HistoryAction): HistoryAction | null => {
+    switch (current.type) {
+      case 'create':
+        // Already back (e.g. restored by someone else) — nothing to do
+        return findShape(current.shapeId) ? null : current;
+
+      case 'delete': {
+        const shape = findShape(current.shapeId);
+        if (!shape) return null;
+        if (isLockedByOther(shape)) {
+          conflicts.push({ shapeId: current.shapeId, reason: 'locked' });
+          return null;
+        }
+        // Only the recorded fields: the written shape also has defaults (name,
+        // visible, ...) that were added when it was created
+        const keys = Object.keys(current.shapeData || {}).filter(
+          (k) => !NON_EDIT_SHAPE_FIELDS.includes(k)
+        );
+        const expected = pickFields(current.shapeData as ShapeFields | undefined, keys);
+        const actual = pickFields(shape, keys);
+        if (!keys.every((key) => valuesEqual(expected[key], actual[key]))) {
+          conflicts.push({ shapeId: current.shapeId, reason: 'modified' });
+          return null;
+        }
+        return current;
+      }
+
+      case 'update': {
+        const changes: ShapeChange[] = [];
+        current.changes.forEach(({ shapeId, before, after }) => {
+          const shape = findShape(shapeId);
+          if (!shape) {
+            conflicts.push({ shapeId, reason: 'deleted' });
+            return;
+          }
+          if (isLockedByOther(shape)) {
+            conflicts.push({ shapeId, reason: 'locked' });
+            return;
+          }
+          const actual = pickFields(shape, Object.keys(before));
+          const cleanKeys = Object.keys(before).filter((key) =>
+            valuesEqual(actual[key], before[key])
+          );
+          if (cleanKeys.length < Object.keys(before).length) {
+            conflicts.push({ shapeId, reason: 'modified' });
+          }
+          if (cleanKeys.length === 0) return;
+          changes.push({
+            shapeId,
+            before: pickFields(before, cleanKeys),
+            after: pickFields(after, cleanKeys),
+          });
+        });
+        return changes.length > 0 ? { ...current, changes } : null;
+      }
+
+      case 'batch': {
+        const actions = current.actions.map(rebase).filter((a): a is HistoryAction => a !== null);
+        return actions.length > 0 ? { ...current, actions } : null;
+      }
+    }
+  };
+
+  return { action: rebase(action), conflicts };
+}
@@ -0,0 +1,214 @@
+/**
+ * Properties inspector utility functions — read and write exact geometry values
+ *
+ * The inspector shows the selection's position (top-left of the bounds), size,
+ * rotation, radius and sides. A field is shown when any selected shape has it;
+ * its value is `null` ("mixed") when those shapes disagree. Edits only touch the
+ * shapes that have the field.
+ */
+
+import {
+  SHAPE_TYPES,
+  MIN_SHAPE_SIZE,
+  MIN_CIRCLE_RADIUS,
+  MIN_POLYGON_RADIUS,
+  MIN_POLYGON_SIDES,
+  MAX_POLYGON_SIDES,
+} from './constants';
+import { getShapeBounds, clamp, getCanvasSize, type Point } from './canvasUtils';
+import { translateShape } from './groupUtils';
+import { isFrame, getFrameChildren } from './frameUtils';
+import { scalePathPoints } from './pathUtils';
+
+/** Loose record as stored in the database (fields vary by type) */
+export interface InspectableShape {
+  id: string;
+  type: string;
+  x: number;
+  y: number;
+  width?: number;
+  height?: number;
+  radius?: number;
+  sides?: number;
+  rotation?: number;
+  vertices?: Point[];
+  points?: Point[];
+  frameId?: string | null;
+}
+
+export type InspectorField = 'x' | 'y' | 'width' | 'height' | 'rotation' | 'radius' | 'sides';
+
+/** Value per field present in the selection; null when the shapes differ */
+export type InspectorValues = Partial<Record<InspectorField, number | null>>;
+
+const SIZED_TYPES: readonly string[] = [
+  SHAPE_TYPES.RECTANGLE,
+  SHAPE_TYPES.TEXT,
+  SHAPE_TYPES.IMAGE,
+  SHAPE_TYPES.PATH,
+  SHAPE_TYPES.FRAME,
+  SHAPE_TYPES.STICKY,
+];
+const RADIUS_TYPES: readonly string[] = [SHAPE_TYPES.CIRCLE, SHAPE_TYPES.POLYGON];
+
+/** Whether the inspector edits this shape (groups and connectors have no box of their own) */
+export const isInspectable = (shape: { type?: string } | null | undefined) =>
+  !!shape?.type && shape.type !== SHAPE_TYPES.GROUP && shape.type !== SHAPE_TYPES.CONNECTOR;
+
+/** Shapes that carry a field */
+function hasField(shape: InspectableShape, field: InspectorField): boolean {
+  switch (field) {
+    case 'x':
+    case 'y':
+      return true;
+    case 'width':
+    case 'height':
+      return SIZED_TYPES.includes(shape.type);
+    case 'rotation':
+      return !isFrame(shape);
+    case 'radius':
+      return RADIUS_TYPES.includes(shape.type);
+    case 'sides':
+      return shape.type === SHAPE_TYPES.POLYGON;
+  }
+}
+
+function readField(shape: InspectableShape, field: InspectorField): number {
+  switch (field) {
+    case 'x':
+      return getShapeBounds(shape).minX;
+    case 'y':
+      return getShapeBounds(shape).minY;
+    case 'rotation':
+      return shape.rotation || 0;
+    case 'sides':
+      return shape.sides || 5;
+    default:
+      return Number(shape[field]) || 0;
+  }
+}
+
+/** The one value every item shares, or null when they differ */
+export function getCommonValue<T>(values: T[]): T | null {
+  if (values.length === 0) return null;
+  return values.every((v) => v === values[0]) ? values[0] : null;
+}
+
+const FIELDS: InspectorField[] = ['x', 'y', 'width', 'height', 'rotation', 'radius', 'sides'];
+
+/**
+ * Values to show for the selected shapes. Fields no shape has are left out.
+ */
+export function getInspectorValues(shapes: InspectableShape[]): InspectorValues {
+  const values: InspectorValues = {};
+  FIELDS.forEach((field) => {
+    const withField = shapes.filter((s) => hasField(s, field));
+    if (withField.length === 0) return;
+    values[field] = getCommonValue(withField.map((s) => readField(s, field)));
+  });
+  return values;
+}
+
+/**
+ * New box of a sized shape whose width or height changes; the top-left stays put
+ */
+function resize(shape: InspectableShape, field: 'width' | 'height', value: number) {
+  const width = field === 'width' ? value : shape.width || 0;
+  const height = field === 'height' ? value : shape.height || 0;
+  const updates: Record<string, unknown> = { [field]: value };
+
+  if (shape.type === SHAPE_TYPES.IMAGE) {
+    // Images are positioned by their center
+    const b = getShapeBounds(shape);
+    updates.x = b.minX + width / 2;
+    updates.y = b.minY + height / 2;
+  } else if (shape.type === SHAPE_TYPES.PATH) {
+    updates.points = scalePathPoints(
+      shape.points || [],
+      { width: shape.width || 0, height: shape.height || 0 },
+      { width, height }
+    );
+  }
+  return updates;
+}
+
+/**
+ * Field updates (by shape ID) that set one inspector field on the selected shapes.
+ * Values are clamped to the same limits as mouse edits (none at the edges of an
+ * infinite canvas). Moving a frame moves the shapes inside it, as dragging does.
+ */
+export function getInspectorUpdates(
+  field: InspectorField,
+  value: number,
+  shapes: InspectableShape[],
+  allShapes: InspectableShape[] = shapes,
+  canvasSize: { width: number; height: number } = getCanvasSize()
+): Record<string, Record<string, unknown>> {
+  const bounded = Number.isFinite(canvasSize.width) && Number.isFinite(canvasSize.height);
+  const updates: Record<string, Record<string, unknown>> = {};
+  if (!Number.isFinite(value)) return updates;
+  const selected = new Set(shapes.map((s) => s.id));
+
+  shapes.forEach((shape) => {
+    if (!hasField(shape, field)) return;
+
+    switch (field) {
+      case 'x':
+      case 'y': {
+        const b = getShapeBounds(shape);
+        const target = bounded
+          ? clamp(
+              value,
+              0,
+              field === 'x' ? canvasSize.width - b.width : canvasSize.height - b.height
+            )
+          : value;
+        const dx = field === 'x' ? target - b.minX : 0;
+        const dy = field === 'y' ? target - b.minY : 0;
+        if (!dx && !dy) return;
+        updates[shape.id] = translateShape(shape, dx, dy);
+        if (isFrame(shape)) {
+          getFrameChildren(shape.id, allShapes)
+            .filter((child) => !selected.has(child.id))
+            .forEach((child) => {
+              updates[child.id] = translateShape(child, dx, dy);
+            });
+        }
+        return;
+      }
+      case 'width':
+      case 'height': {
+        // A straight pen stroke has no extent to scale along that axis
+        if (shape.type === SHAPE_TYPES.PATH && !shape[field]) return;
+        const max =
+          (field === 'width' ? canvasSize.width : canvasSize.height) -
+          readField(shape, field === 'width' ? 'x' : 'y');
+        updates[shape.id] = resize(
+          shape,
+          field,
+          clamp(value, MIN_SHAPE_SIZE, Math.max(max, MIN_SHAPE_SIZE))
+        );
+        return;
+      }
+      case 'rotation':
+        updates[shape.id] = { rotation: value };
+        return;
+      case 'radius': {
+        const min = shape.type === SHAPE_TYPES.CIRCLE ? MIN_CIRCLE_RADIUS : MIN_POLYGON_RADIUS;
+        // Keep the shape on the canvas around its center
+        const max = bounded
+          ? Math.min(shape.x, canvasSize.width - shape.x, shape.y, canvasSize.height - shape.y)
+          : Infinity;
+        updates[shape.id] = { radius: clamp(value, min, Math.max(max, min)) };
+        return;
+      }
+      case 'sides':
+        updates[shape.id] = {
+          sides: clamp(Math.round(value), MIN_POLYGON_SIDES, MAX_POLYGON_SIDES),
+        };
+        return;
+    }
+  });
+
+  return updates;
+}
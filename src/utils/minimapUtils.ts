@@ -0,0 +1,149 @@
+/**
+ * Minimap utility functions — simplified shapes, collaborator viewports, pointer mapping
+ *
+ * The minimap draws the whole canvas scaled down: every shape as its plain
+ * bounding box, plus the part of the canvas each user is looking at. Follow
+ * mode tracks those same shared viewports.
+ */
+
+import { SHAPE_TYPES, CANVAS_WIDTH, CANVAS_HEIGHT } from './constants';
+import { getShapeBounds, clamp, type Point } from './canvasUtils';
+
+// Shapes without a fill (text boxes, lines) still show up in a neutral gray
+const FALLBACK_COLOR = '#9ca3af';
+
+export interface MinimapRect {
+  id: string;
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  color: string;
+}
+
+export interface Region {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+interface MinimapShape {
+  id: string;
+  type: string;
+  x: number;
+  y: number;
+  color?: string;
+  visible?: boolean;
+  [key: string]: unknown;
+}
+
+/**
+ * Bounding boxes of the visible shapes, at least `minSize` canvas units on each
+ * side so thin lines and tiny shapes stay visible at minimap scale
+ */
+export function getMinimapShapes(shapes: MinimapShape[], minSize = 0): MinimapRect[] {
+  return shapes
+    .filter((shape) => shape.visible !== false && shape.type !== SHAPE_TYPES.GROUP)
+    .map((shape) => {
+      const bounds = getShapeBounds(shape);
+      const width = Math.max(bounds.width, minSize);
+      const height = Math.max(bounds.height, minSize);
+      return {
+        id: shape.id,
+        x: bounds.centerX - width / 2,
+        y: bounds.centerY - height / 2,
+        width,
+        height,
+        color: shape.color || FALLBACK_COLOR,
+      };
+    });
+}
+
+const BOARD: Region = { x: 0, y: 0, width: CANVAS_WIDTH, height: CANVAS_HEIGHT };
+
+// Margin around the content on an infinite canvas's minimap, as a share of its size
+const INFINITE_MARGIN = 0.1;
+
+/**
+ * Part of the canvas the minimap shows: the board, or on an infinite canvas a
+ * square around everything it draws (shapes and viewports) with some margin
+ */
+export function getMinimapWorld(regions: Region[], infinite = false): Region {
+  if (!infinite) return BOARD;
+  if (regions.length === 0) return BOARD;
+  const minX = Math.min(...regions.map((r) => r.x));
+  const minY = Math.min(...regions.map((r) => r.y));
+  const maxX = Math.max(...regions.map((r) => r.x + r.width));
+  const maxY = Math.max(...regions.map((r) => r.y + r.height));
+  const size = Math.max(maxX - minX, maxY - minY, 1) * (1 + INFINITE_MARGIN * 2);
+  return {
+    x: (minX + maxX) / 2 - size / 2,
+    y: (minY + maxY) / 2 - size / 2,
+    width: size,
+    height: size,
+  };
+}
+
+/**
+ * Canvas point under a pointer on the minimap, kept inside the part it shows
+ * @param rect - The minimap's bounding client rect
+ * @param world - The part of the canvas the minimap shows
+ */
+export function minimapToCanvas(
+  clientX: number,
+  clientY: number,
+  rect: { left: number; top: number; width: number; height: number },
+  world: Region = BOARD
+): Point {
+  return {
+    x: world.x + clamp((clientX - rect.left) / rect.width, 0, 1) * world.width,
+    y: world.y + clamp((clientY - rect.top) / rect.height, 0, 1) * world.height,
+  };
+}
+
+const isRegion = (value: unknown): value is Region =>
+  !!value &&
+  typeof value === 'object' &&
+  ['x', 'y', 'width', 'height'].every((key) =>
+    Number.isFinite((value as Record<string, unknown>)[key])
+  );
+
+/**
+ * Viewports other sessions share through presence, without our own session
+ */
+export function getCollaboratorViewports(
+  onlineUsers: {
+    sessionId?: string;
+    userName?: string;
+    color?: string;
+    viewport?: unknown;
+  }[],
+  currentSessionId: string | null | undefined
+): { sessionId: string; userName: string; color: string; viewport: Region }[] {
+  return onlineUsers
+    .filter((user) => user.sessionId && user.sessionId !== currentSessionId)
+    .filter((user) => isRegion(user.viewport))
+    .map((user) => ({
+      sessionId: user.sessionId as string,
+      userName: user.userName || '',
+      color: user.color || FALLBACK_COLOR,
+      viewport: user.viewport as Region,
+    }));
+}
+
+/**
+ * Latest viewport a session has shared. While it drags, the viewport sent with
+ * its cursor is fresher than the one in its presence.
+ */
+export function getSessionViewport(
+  sessionId: string | null | undefined,
+  onlineUsers: { sessionId?: string; viewport?: unknown }[],
+  cursors: { sessionId?: string; viewport?: unknown }[] = []
+): Region | null {
+  if (!sessionId) return null;
+  const cursor = cursors.find((c) => c.sessionId === sessionId && isRegion(c.viewport));
+  if (cursor) return cursor.viewport as Region;
+  const user = onlineUsers.find((u) => u.sessionId === sessionId && isRegion(u.viewport));
+  return user ? (user.viewport as Region) : null;
+}
@@ -0,0 +1,131 @@
+/**
+ * Offline editing helpers
+ *
+ * While the connection is down, shape writes are queued instead of sent. A queued
+ * write is a set of paths under `canvases/{id}/objects` — `{shapeId}` for a whole
+ * shape, `{shapeId}/{field}` for one field, null to remove — together with the
+ * values those paths had when it was made. When it is replayed, a path someone
+ * else changed in the meantime is a conflict and keeps their value.
+ */
+
+import type { ShapeFields } from '../types/canvas';
+import { NON_EDIT_SHAPE_FIELDS } from './constants';
+import { isShapeChanged } from './snapshotUtils';
+
+export type ObjectMap = Record<string, ShapeFields>;
+export type ObjectPaths = Record<string, unknown>;
+
+export interface QueuedWrite {
+  id: string;
+  canvasId: string;
+  paths: ObjectPaths;
+  /** Value of each path when the write was made (null when there was none) */
+  base: ObjectPaths;
+  createdAt: number;
+}
+
+export interface ResolvedWrite {
+  /** Paths to send */
+  paths: ObjectPaths;
+  /** Paths left as the server has them */
+  conflicts: string[];
+}
+
+const splitPath = (path: string): [string, string | null] => {
+  const slash = path.indexOf('/');
+  return slash === -1 ? [path, null] : [path.slice(0, slash), path.slice(slash + 1)];
+};
+
+/** ID of the shape a path writes to */
+export const getPathShapeId = (path: string): string => splitPath(path)[0];
+
+// JSON with sorted keys, so values read back from the database compare equal
+const stableStringify = (value: unknown): string => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify((value as ShapeFields)[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+function isSameValue(path: string, a: unknown, b: unknown): boolean {
+  if (a === null || b === null) return a === b;
+  // Whole shapes: locks and write times don't count as changes
+  if (splitPath(path)[1] === null) return !isShapeChanged(a as ShapeFields, b as ShapeFields);
+  return a === b || stableStringify(a) === stableStringify(b);
+}
+
+/** Value at a path in objects keyed by shape ID (null when absent) */
+export function getPathValue(objects: ObjectMap, path: string): unknown {
+  const [shapeId, field] = splitPath(path);
+  const shape = objects[shapeId];
+  if (!shape) return null;
+  return field === null ? shape : (shape[field] ?? null);
+}
+
+/**
+ * Objects with paths written to them, as the database would store them. Shapes
+ * the paths don't touch keep their identity; fields of missing shapes are skipped.
+ */
+export function applyObjectPaths(objects: ObjectMap, paths: ObjectPaths): ObjectMap {
+  const next = { ...objects };
+  Object.entries(paths).forEach(([path, value]) => {
+    const [shapeId, field] = splitPath(path);
+    if (field === null) {
+      if (value === null || value === undefined) delete next[shapeId];
+      else next[shapeId] = { ...(value as ShapeFields), id: shapeId };
+      return;
+    }
+    const shape = next[shapeId];
+    if (!shape) return;
+    if (value === null || value === undefined) {
+      const { [field]: _removed, ...rest } = shape;
+      next[shapeId] = rest;
+    } else {
+      next[shapeId] = { ...shape, [field]: value };
+    }
+  });
+  return next;
+}
+
+/** Objects with queued writes applied in order */
+export function applyQueuedWrites(objects: ObjectMap, writes: QueuedWrite[]): ObjectMap {
+  return writes.reduce((current, write) => applyObjectPaths(current, write.paths), objects);
+}
+
+/**
+ * Check a queued write against the server's objects: paths that changed on the
+ * server since the write was made (to something other than what it writes) are
+ * conflicts, the rest are still safe to send. Attribution and write times never
+ * conflict; they go out with whatever else of their shape is sent.
+ * @param server - Current server objects (at least the shapes the write touches)
+ */
+export function resolveQueuedWrite(write: QueuedWrite, server: ObjectMap): ResolvedWrite {
+  const resolved: ResolvedWrite = { paths: {}, conflicts: [] };
+  const isNonEditPath = (path: string) => {
+    const field = splitPath(path)[1];
+    return field !== null && NON_EDIT_SHAPE_FIELDS.includes(field);
+  };
+  const entries = Object.entries(write.paths);
+  entries.forEach(([path, value]) => {
+    if (isNonEditPath(path)) return;
+    const current = getPathValue(server, path);
+    const base = write.base[path] ?? null;
+    const ours = value ?? null;
+    if (!isSameValue(path, base, current) && !isSameValue(path, ours, current)) {
+      resolved.conflicts.push(path);
+    } else {
+      resolved.paths[path] = ours;
+    }
+  });
+  const sentShapes = new Set(Object.keys(resolved.paths).map(getPathShapeId));
+  entries.forEach(([path, value]) => {
+    if (isNonEditPath(path) && sentShapes.has(getPathShapeId(path))) {
+      resolved.paths[path] = value ?? null;
+    }
+  });
+  return resolved;
+}
@@ -0,0 +1,127 @@
+/**
+ * Freehand path utility functions — sampling, simplification and smoothing
+ *
+ * The pen tool captures raw pointer samples in canvas coordinates. On release the
+ * samples are simplified with Ramer–Douglas–Peucker and stored relative to the
+ * stroke's bounding box (see PathShape); rendering draws a Catmull-Rom curve
+ * through the remaining points so the simplified stroke still looks smooth.
+ */
+
+import type { Point } from './canvasUtils';
+
+export interface PathGeometry {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  points: Point[];
+}
+
+const round = (n: number) => Math.round(n * 100) / 100;
+
+/** Distance from p to the segment a–b */
+function distanceToSegment(p: Point, a: Point, b: Point): number {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  if (lengthSq === 0) return Math.hypot(p.x - a.x, p.y - a.y);
+
+  const t = Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+/**
+ * Ramer–Douglas–Peucker simplification. Keeps the first and last point and every
+ * point that deviates more than `tolerance` from the simplified line.
+ * Iterative so long strokes can't overflow the call stack.
+ */
+export function simplifyPoints(points: Point[], tolerance: number): Point[] {
+  if (points.length <= 2) return points.slice();
+
+  const keep = new Array<boolean>(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+  const stack: [number, number][] = [[0, points.length - 1]];
+
+  while (stack.length > 0) {
+    const [first, last] = stack.pop()!;
+    let maxDistance = 0;
+    let index = -1;
+
+    for (let i = first + 1; i < last; i++) {
+      const d = distanceToSegment(points[i], points[first], points[last]);
+      if (d > maxDistance) {
+        maxDistance = d;
+        index = i;
+      }
+    }
+
+    if (index !== -1 && maxDistance > tolerance) {
+      keep[index] = true;
+      stack.push([first, index], [index, last]);
+    }
+  }
+
+  return points.filter((_, i) => keep[i]);
+}
+
+/**
+ * Turn absolute canvas points into a path's position, size and relative points
+ */
+export function normalizePathPoints(points: Point[]): PathGeometry {
+  const xs = points.map((p) => p.x);
+  const ys = points.map((p) => p.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+
+  return {
+    x: round(minX),
+    y: round(minY),
+    width: round(Math.max(...xs) - minX),
+    height: round(Math.max(...ys) - minY),
+    points: points.map((p) => ({ x: round(p.x - minX), y: round(p.y - minY) })),
+  };
+}
+
+/**
+ * Scale relative path points from one box size to another (used when resizing).
+ * A zero-size axis (a perfectly straight stroke) is left unscaled.
+ */
+export function scalePathPoints(
+  points: Point[],
+  from: { width: number; height: number },
+  to: { width: number; height: number }
+): Point[] {
+  const sx = from.width > 0 ? to.width / from.width : 1;
+  const sy = from.height > 0 ? to.height / from.height : 1;
+  return points.map((p) => ({ x: round(p.x * sx), y: round(p.y * sy) }));
+}
+
+/**
+ * SVG path data for a smooth curve through the points (Catmull-Rom converted to
+ * cubic Béziers). Offsets place relative points on the canvas.
+ */
+export function getSmoothPathData(points: Point[], offsetX = 0, offsetY = 0): string {
+  if (points.length === 0) return '';
+
+  const p = points.map((pt) => ({ x: pt.x + offsetX, y: pt.y + offsetY }));
+  if (p.length === 1) return `M ${round(p[0].x)} ${round(p[0].y)} Z`;
+  if (p.length === 2) {
+    return `M ${round(p[0].x)} ${round(p[0].y)} L ${round(p[1].x)} ${round(p[1].y)}`;
+  }
+
+  let d = `M ${round(p[0].x)} ${round(p[0].y)}`;
+  for (let i = 0; i < p.length - 1; i++) {
+    const p0 = p[i - 1] || p[i];
+    const p1 = p[i];
+    const p2 = p[i + 1];
+    const p3 = p[i + 2] || p2;
+
+    const c1x = p1.x + (p2.x - p0.x) / 6;
+    const c1y = p1.y + (p2.y - p0.y) / 6;
+    const c2x = p2.x - (p3.x - p1.x) / 6;
+    const c2y = p2.y - (p3.y - p1.y) / 6;
+    d += ` C ${round(c1x)} ${round(c1y)}, ${round(c2x)} ${round(c2y)}, ${round(p2.x)} ${round(p2.y)}`;
+  }
+  return d;
+}
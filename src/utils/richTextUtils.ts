@@ -0,0 +1,489 @@
+/**
+ * Rich text utility functions — the structured model behind formatted text boxes
+ *
+ * A text box's content is a list of blocks (paragraphs, bullet or numbered list
+ * items), each a list of spans with inline marks (bold, italic, underline,
+ * strikethrough, link). The model is stored as `richText` next to the plain
+ * `text`, which keeps holding the same content so search, Canny and older
+ * clients still see it. When the two disagree (e.g. `text` was changed by a tool
+ * that doesn't know about formatting) the plain text wins.
+ *
+ * Layout uses the same per-character width estimate as `wrapText`, so TextBox
+ * and the SVG export place every line identically without measuring the DOM.
+ */
+
+import {
+  DEFAULT_FONT_SIZE,
+  DEFAULT_FONT_FAMILY,
+  DEFAULT_LINE_HEIGHT,
+  FONT_FAMILIES,
+  TEXT_ALIGNMENTS,
+} from './constants';
+import type {
+  RichText,
+  RichTextBlock,
+  RichTextBlockType,
+  RichTextSpan,
+  TextAlign,
+  FontFamily,
+} from '../types/canvas';
+
+export type RichTextMarks = Omit<RichTextSpan, 'text'>;
+
+const BLOCK_TYPES: readonly RichTextBlockType[] = ['paragraph', 'bullet', 'ordered'];
+const BOOLEAN_MARKS = ['bold', 'italic', 'underline', 'strike'] as const;
+
+// Inner padding of a text box, on each side
+const PADDING = 8;
+
+/**
+ * Whether a link target is safe to store and render (http, https or mailto)
+ */
+export function isSafeLink(url: unknown): url is string {
+  if (typeof url !== 'string') return false;
+  try {
+    const parsed = new URL(url.trim());
+    return ['http:', 'https:', 'mailto:'].includes(parsed.protocol);
+  } catch {
+    return false;
+  }
+}
+
+/** Marks of a span, with only the set ones present (the database rejects undefined) */
+function getMarks(span: Partial<RichTextSpan>): RichTextMarks {
+  const marks: RichTextMarks = {};
+  BOOLEAN_MARKS.forEach((mark) => {
+    if (span[mark] === true) marks[mark] = true;
+  });
+  if (isSafeLink(span.link)) marks.link = span.link.trim();
+  return marks;
+}
+
+const sameMarks = (a: RichTextMarks, b: RichTextMarks) =>
+  BOOLEAN_MARKS.every((mark) => !!a[mark] === !!b[mark]) && a.link === b.link;
+
+/** Drop empty spans and merge neighbours with the same marks */
+function compactSpans(spans: RichTextSpan[]): RichTextSpan[] {
+  const result: RichTextSpan[] = [];
+  spans.forEach((span) => {
+    if (!span.text) return;
+    const last = result[result.length - 1];
+    if (last && sameMarks(last, span)) last.text += span.text;
+    else result.push({ ...span });
+  });
+  return result;
+}
+
+/**
+ * Coerce a stored or untrusted value into a valid rich text model, or null.
+ * The database drops empty arrays, so blocks without spans come back without
+ * a `spans` field.
+ */
+export function normalizeRichText(value: unknown): RichText | null {
+  const blocks = (value as { blocks?: unknown } | null)?.blocks;
+  if (!Array.isArray(blocks)) return null;
+
+  return {
+    blocks: blocks.map((raw): RichTextBlock => {
+      const block = (raw || {}) as Partial<RichTextBlock>;
+      const spans = Array.isArray(block.spans) ? block.spans : [];
+      return {
+        type: BLOCK_TYPES.includes(block.type as RichTextBlockType)
+          ? (block.type as RichTextBlockType)
+          : 'paragraph',
+        spans: compactSpans(
+          spans
+            .filter((span) => typeof span?.text === 'string')
+            .map((span) => ({ text: span.text.replace(/\n/g, ' '), ...getMarks(span) }))
+        ),
+      };
+    }),
+  };
+}
+
+/**
+ * The plain text of a rich text model, one line per block
+ */
+export function richTextToPlainText(richText: RichText): string {
+  return richText.blocks.map((block) => block.spans.map((span) => span.text).join('')).join('\n');
+}
+
+/**
+ * A rich text model with one paragraph per line of the text, all with the same marks
+ */
+export function plainTextToRichText(text: string, marks: RichTextMarks = {}): RichText {
+  if (!text) return { blocks: [] };
+  return {
+    blocks: text.split('\n').map((line) => ({
+      type: 'paragraph',
+      spans: line ? [{ text: line, ...getMarks(marks) }] : [],
+    })),
+  };
+}
+
+/** Shape fields that decide how a text box's content looks */
+export interface RichTextShape {
+  text?: string | null;
+  richText?: unknown;
+  fontWeight?: string;
+  fontStyle?: string;
+}
+
+/**
+ * The rich text a text box shows: its stored model when that still matches the
+ * plain text, otherwise the plain text with the box-wide bold/italic applied
+ */
+export function getRichText(shape: RichTextShape): RichText {
+  const text = shape.text || '';
+  const stored = normalizeRichText(shape.richText);
+  if (stored && richTextToPlainText(stored) === text) return stored;
+  return plainTextToRichText(text, {
+    bold: shape.fontWeight === 'bold',
+    italic: shape.fontStyle === 'italic',
+  });
+}
+
+/** Whether two models have the same content and formatting */
+export function isSameRichText(a: RichText, b: RichText): boolean {
+  return JSON.stringify(normalizeRichText(a)) === JSON.stringify(normalizeRichText(b));
+}
+
+// ---------------------------------------------------------------------------
+// Layout
+// ---------------------------------------------------------------------------
+
+/** Estimated width of a run of text (see `wrapText`) */
+export function estimateTextWidth(text: string, fontSize: number, bold?: boolean): number {
+  return text.length * fontSize * (bold ? 0.65 : 0.6);
+}
+
+export interface RichTextLine {
+  runs: RichTextSpan[];
+  /** List marker ('•' or '3.') on the first line of a list item */
+  marker?: string;
+  /** Left indent of list items, in pixels */
+  indent: number;
+  /** Estimated width of the runs, in pixels */
+  width: number;
+}
+
+/**
+ * Wrap a rich text model into lines that fit the available width. Words are
+ * kept whole unless a single word is wider than a line; empty blocks give
+ * empty lines.
+ */
+export function layoutRichText(
+  richText: RichText,
+  maxWidth: number,
+  fontSize: number
+): RichTextLine[] {
+  const lines: RichTextLine[] = [];
+  let number = 0;
+
+  richText.blocks.forEach((block) => {
+    number = block.type === 'ordered' ? number + 1 : 0;
+    const isList = block.type !== 'paragraph';
+    const indent = isList ? fontSize * 1.5 : 0;
+    const available = maxWidth - indent;
+    const marker = block.type === 'bullet' ? '•' : block.type === 'ordered' ? `${number}.` : '';
+
+    let line: RichTextLine = { runs: [], indent, width: 0, ...(marker ? { marker } : {}) };
+    const pushLine = () => {
+      // Trailing spaces don't count towards the width
+      const last = line.runs[line.runs.length - 1];
+      if (last) {
+        const trimmed = last.text.replace(/\s+$/, '');
+        line.width -= estimateTextWidth(last.text.slice(trimmed.length), fontSize, last.bold);
+        last.text = trimmed;
+        if (!trimmed) line.runs.pop();
+      }
+      lines.push(line);
+      line = { runs: [], indent, width: 0 };
+    };
+    const append = (text: string, marks: RichTextMarks) => {
+      const last = line.runs[line.runs.length - 1];
+      if (last && sameMarks(last, marks)) last.text += text;
+      else line.runs.push({ text, ...marks });
+      line.width += estimateTextWidth(text, fontSize, marks.bold);
+    };
+
+    block.spans.forEach((span) => {
+      const marks = getMarks(span);
+      span.text.split(/(\s+)/).forEach((token) => {
+        if (!token) return;
+        const tokenWidth = estimateTextWidth(token, fontSize, marks.bold);
+        if (/^\s/.test(token)) {
+          // Spaces at the start of a wrapped line are dropped
+          if (line.runs.length > 0) append(token, marks);
+          return;
+        }
+        if (line.width + tokenWidth > available && line.runs.length > 0) pushLine();
+        if (tokenWidth <= available) {
+          append(token, marks);
+          return;
+        }
+        // Split a word longer than a line
+        const charWidth = estimateTextWidth('x', fontSize, marks.bold);
+        const perLine = Math.max(1, Math.floor(available / charWidth));
+        for (let i = 0; i < token.length; i += perLine) {
+          if (line.runs.length > 0) pushLine();
+          append(token.slice(i, i + perLine), marks);
+        }
+      });
+    });
+    pushLine();
+  });
+
+  return lines;
+}
+
+/** Shape fields used to lay out a text box */
+export interface TextBoxShape extends RichTextShape {
+  x: number;
+  y: number;
+  width?: number;
+  height?: number;
+  fontSize?: number;
+  textAlign?: TextAlign;
+  fontFamily?: FontFamily;
+  lineHeight?: number;
+}
+
+export interface TextBoxLine extends RichTextLine {
+  /** Baseline position of the line's text, with `anchor` saying which end x is */
+  x: number;
+  y: number;
+  anchor: 'start' | 'middle' | 'end';
+  /** Position of the list marker, for left-aligned lists */
+  markerX: number;
+}
+
+export interface TextBoxLayout {
+  lines: TextBoxLine[];
+  hasOverflow: boolean;
+  fontSize: number;
+  fontFamily: string;
+}
+
+/**
+ * Positioned lines of a text box: wrapped to its width, cut to the lines that
+ * fit its height and centered vertically
+ */
+export function layoutTextBox(shape: TextBoxShape): TextBoxLayout {
+  const width = shape.width || 200;
+  const height = shape.height || 60;
+  const fontSize = shape.fontSize || DEFAULT_FONT_SIZE;
+  const lineHeight = fontSize * (shape.lineHeight || DEFAULT_LINE_HEIGHT);
+  const align: TextAlign = TEXT_ALIGNMENTS.includes(shape.textAlign as TextAlign)
+    ? (shape.textAlign as TextAlign)
+    : 'left';
+  const family =
+    FONT_FAMILIES[shape.fontFamily as FontFamily] || FONT_FAMILIES[DEFAULT_FONT_FAMILY];
+
+  const wrapped = layoutRichText(getRichText(shape), width - PADDING * 2, fontSize);
+  const maxVisibleLines = Math.max(0, Math.floor((height - PADDING * 2) / lineHeight));
+  const hasOverflow = wrapped.length > maxVisibleLines;
+  const visible = hasOverflow ? wrapped.slice(0, maxVisibleLines) : wrapped;
+  const startY = shape.y + (height - visible.length * lineHeight) / 2 + fontSize * 0.8;
+
+  const left = shape.x + PADDING;
+  const right = shape.x + width - PADDING;
+  const lines = visible.map((line, i) => {
+    const contentLeft = left + line.indent;
+    const x =
+      align === 'center' ? (contentLeft + right) / 2 : align === 'right' ? right : contentLeft;
+    return {
+      ...line,
+      x,
+      y: startY + i * lineHeight,
+      anchor: align === 'center' ? 'middle' : align === 'right' ? 'end' : 'start',
+      markerX: left,
+    } as TextBoxLine;
+  });
+
+  return { lines, hasOverflow, fontSize, fontFamily: family.css };
+}
+
+/**
+ * SVG text-decoration value for a span's underline/strikethrough (and links,
+ * which are always underlined)
+ */
+export function getTextDecoration(span: RichTextMarks): string | undefined {
+  const decorations = [
+    (span.underline || span.link) && 'underline',
+    span.strike && 'line-through',
+  ].filter(Boolean);
+  return decorations.length > 0 ? decorations.join(' ') : undefined;
+}
+
+// ---------------------------------------------------------------------------
+// Editor HTML
+// ---------------------------------------------------------------------------
+
+const escapeHtml = (value: string) =>
+  value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+function spanToHtml(span: RichTextSpan): string {
+  let html = escapeHtml(span.text);
+  if (span.bold) html = `<b>${html}</b>`;
+  if (span.italic) html = `<i>${html}</i>`;
+  if (span.underline) html = `<u>${html}</u>`;
+  if (span.strike) html = `<s>${html}</s>`;
+  if (isSafeLink(span.link)) html = `<a href="${escapeHtml(span.link.trim())}">${html}</a>`;
+  return html;
+}
+
+/**
+ * HTML for the contenteditable text editor: paragraphs as divs, list items
+ * grouped into ul/ol
+ */
+export function richTextToHtml(richText: RichText): string {
+  let html = '';
+  let openList: 'ul' | 'ol' | null = null;
+
+  richText.blocks.forEach((block) => {
+    const list = block.type === 'bullet' ? 'ul' : block.type === 'ordered' ? 'ol' : null;
+    if (openList && openList !== list) {
+      html += `</${openList}>`;
+      openList = null;
+    }
+    if (list && !openList) {
+      html += `<${list}>`;
+      openList = list;
+    }
+    const content = block.spans.map(spanToHtml).join('') || '<br>';
+    html += list ? `<li>${content}</li>` : `<div>${content}</div>`;
+  });
+  if (openList) html += `</${openList}>`;
+  return html;
+}
+
+const TEXT_NODE = 3;
+const ELEMENT_NODE = 1;
+const BLOCK_TAGS = ['DIV', 'P', 'LI', 'UL', 'OL', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE'];
+
+/** Marks an element adds to its content (tags and inline styles from execCommand) */
+function elementMarks(element: HTMLElement, marks: RichTextMarks): RichTextMarks {
+  const next = { ...marks };
+  const tag = element.tagName;
+  const style = element.style;
+  const decoration = style?.textDecoration || style?.textDecorationLine || '';
+
+  if (tag === 'B' || tag === 'STRONG' || /^(bold|[6-9]00)$/.test(style?.fontWeight || '')) {
+    next.bold = true;
+  }
+  if (tag === 'I' || tag === 'EM' || style?.fontStyle === 'italic') next.italic = true;
+  if (tag === 'U' || decoration.includes('underline')) next.underline = true;
+  if (['S', 'STRIKE', 'DEL'].includes(tag) || decoration.includes('line-through')) {
+    next.strike = true;
+  }
+  if (tag === 'A') {
+    const href = element.getAttribute('href');
+    if (isSafeLink(href)) next.link = href.trim();
+  }
+  return next;
+}
+
+/**
+ * Read the contenteditable editor's DOM back into the rich text model. Unknown
+ * elements contribute only their text; unsafe links are dropped.
+ * @param keepTrailingLines - Keep empty lines at the end (collaborative editing
+ *   shares them as they're typed; saved text leaves them out)
+ */
+export function htmlToRichText(root: Node, keepTrailingLines = false): RichText {
+  const blocks: RichTextBlock[] = [];
+  let current: RichTextBlock | null = null;
+
+  const startBlock = (type: RichTextBlockType) => {
+    current = { type, spans: [] };
+    blocks.push(current);
+    return current;
+  };
+
+  const walk = (node: Node, marks: RichTextMarks, type: RichTextBlockType) => {
+    if (node.nodeType === TEXT_NODE) {
+      const lines = (node.textContent || '').split('\n');
+      lines.forEach((text, i) => {
+        if (i > 0) current = null;
+        if (!text) return;
+        (current || startBlock(type)).spans.push({ text, ...marks });
+      });
+      return;
+    }
+    if (node.nodeType !== ELEMENT_NODE) return;
+
+    const element = node as HTMLElement;
+    const tag = element.tagName;
+    if (tag === 'BR') {
+      if (!current) startBlock(type);
+      current = null;
+      return;
+    }
+
+    let childType = type;
+    if (tag === 'UL') childType = 'bullet';
+    if (tag === 'OL') childType = 'ordered';
+    const childMarks = elementMarks(element, marks);
+
+    if (!BLOCK_TAGS.includes(tag)) {
+      element.childNodes.forEach((child) => walk(child, childMarks, childType));
+      return;
+    }
+
+    // Block elements start and end their own lines; empty ones are blank lines
+    const count = blocks.length;
+    current = null;
+    element.childNodes.forEach((child) => walk(child, childMarks, childType));
+    if (blocks.length === count && tag !== 'UL' && tag !== 'OL') startBlock(childType);
+    current = null;
+  };
+
+  root.childNodes.forEach((child) => walk(child, {}, 'paragraph'));
+
+  const normalized = normalizeRichText({ blocks }) || { blocks: [] };
+  // Editors leave a trailing empty line behind; it isn't content
+  while (!keepTrailingLines && normalized.blocks.length > 0) {
+    const last = normalized.blocks[normalized.blocks.length - 1];
+    if (last.type !== 'paragraph' || last.spans.length > 0) break;
+    normalized.blocks.pop();
+  }
+  return normalized;
+}
+
+/**
+ * Offset in the editor's plain text (richTextToPlainText of its content) of a
+ * DOM position inside it. Measured by reading everything before the position
+ * into the model, so it always agrees with htmlToRichText.
+ */
+export function getTextOffset(root: Node, node: Node, offset: number): number {
+  const range = document.createRange();
+  range.selectNodeContents(root);
+  range.setEnd(node, offset);
+  return richTextToPlainText(htmlToRichText(range.cloneContents(), true)).length;
+}
+
+/**
+ * A collapsed DOM range at a plain-text offset in the editor (see getTextOffset),
+ * in a text node where there is one, otherwise at the start of an empty line
+ */
+export function getRangeAtOffset(root: Node, offset: number): Range {
+  const range = document.createRange();
+  range.setStart(root, 0);
+
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ALL);
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const isText = node.nodeType === TEXT_NODE;
+    const isEmptyLine =
+      node.nodeType === ELEMENT_NODE &&
+      BLOCK_TAGS.includes((node as HTMLElement).tagName) &&
+      !node.textContent;
+    if (!isText && !isEmptyLine) continue;
+
+    const start = getTextOffset(root, node, 0);
+    if (start > offset) break;
+    const length = isText ? (node.textContent || '').length : 0;
+    range.setStart(node, Math.min(offset - start, length));
+  }
+  range.collapse(true);
+  return range;
+}
@@ -0,0 +1,93 @@
+/**
+ * Shape edit history helpers
+ *
+ * Every create, restore, edit and delete of a shape is logged under
+ * `canvases/{id}/shapeHistory/{shapeId}` with who made it and when, and the shape
+ * itself keeps its last editor (`lastModifiedBy`, `lastModifiedByName`,
+ * `lastModifiedAt`). These helpers decide which writes count as edits and turn
+ * log entries into the lines shown to users.
+ */
+
+import type { ShapeFields, ShapeHistoryEntry } from '../types/canvas';
+import { NON_EDIT_SHAPE_FIELDS } from './constants';
+
+// What a change to each field is called; fields not listed are style changes
+const FIELD_CHANGES: [string, string[]][] = [
+  ['moved', ['x', 'y', 'x2', 'y2']],
+  ['resized', ['width', 'height', 'radius']],
+  ['reshaped', ['points', 'vertices', 'sides']],
+  ['rotated', ['rotation']],
+  ['edited the text', ['text', 'richText']],
+  ['renamed', ['name']],
+  ['reconnected', ['startShapeId', 'startAnchor', 'endShapeId', 'endAnchor']],
+  ['replaced the image', ['imageUrl']],
+  ['reordered', ['zIndex']],
+  ['regrouped', ['groupId']],
+  ['changed its frame', ['frameId']],
+  ['shown or hidden', ['visible']],
+];
+
+const ACTION_LABELS: Record<string, string> = {
+  create: 'Created',
+  restore: 'Restored',
+  delete: 'Deleted',
+};
+
+/** Fields of a shape write that are edits (sorted), or [] for locks and the like */
+export function getEditedFields(updates: ShapeFields | null | undefined): string[] {
+  return Object.keys(updates || {})
+    .filter((field) => !NON_EDIT_SHAPE_FIELDS.includes(field))
+    .sort();
+}
+
+/** Whether a shape write clears every field it names, i.e. removes the shape */
+export function isShapeRemoval(updates: ShapeFields | null | undefined): boolean {
+  const values = Object.values(updates || {});
+  return values.length > 0 && values.every((value) => value === null);
+}
+
+/** Sorted union of two lists of edited fields */
+export function mergeEditedFields(a: string[], b: string[]): string[] {
+  return [...new Set([...a, ...b])].sort();
+}
+
+/** One line describing a history entry, e.g. "Moved and resized" */
+export function describeShapeHistoryEntry(
+  entry: Pick<ShapeHistoryEntry, 'action' | 'fields'>
+): string {
+  if (ACTION_LABELS[entry.action]) return ACTION_LABELS[entry.action];
+
+  const fields = entry.fields || [];
+  const changes = FIELD_CHANGES.filter(([, names]) =>
+    names.some((name) => fields.includes(name))
+  ).map(([change]) => change);
+  const known = FIELD_CHANGES.flatMap(([, names]) => names);
+  if (fields.some((field) => !known.includes(field))) changes.push('restyled');
+  if (changes.length === 0) return 'Edited';
+
+  const text =
+    changes.length === 1
+      ? changes[0]
+      : `${changes.slice(0, -1).join(', ')} and ${changes[changes.length - 1]}`;
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/** How long ago an edit was made ("Just now", "5m ago", … or the date) */
+export function formatEditTime(timestamp: number, now: number = Date.now()): string {
+  const diffMins = Math.floor((now - timestamp) / 60000);
+  const diffHours = Math.floor(diffMins / 60);
+  const diffDays = Math.floor(diffHours / 24);
+
+  if (diffMins < 1) return 'Just now';
+  if (diffMins < 60) return `${diffMins}m ago`;
+  if (diffHours < 24) return `${diffHours}h ago`;
+  if (diffDays < 7) return `${diffDays}d ago`;
+  return new Date(timestamp).toLocaleDateString();
+}
+
+/** "Last edited by Ada · 5m ago" for a shape, or null if it has no recorded editor */
+export function getLastEditedLabel(shape: ShapeFields, now: number = Date.now()): string | null {
+  const { lastModifiedByName, lastModifiedAt } = shape;
+  if (!lastModifiedByName || typeof lastModifiedAt !== 'number') return null;
+  return `Last edited by ${lastModifiedByName} · ${formatEditTime(lastModifiedAt, now)}`;
+}
@@ -0,0 +1,79 @@
+/**
+ * Share link helpers
+ *
+ * A share link carries a token stored at `canvases/{id}/shareTokens/{token}`. A
+ * token can expire (`expiresAt`), stop after a number of redemptions (`maxUses`,
+ * counted in `uses`) or be revoked by the owner; after that it grants nothing,
+ * although people who already joined through it stay collaborators.
+ */
+
+export interface ShareToken {
+  role: string;
+  createdBy: string;
+  createdAt: number;
+  expiresAt?: number;
+  maxUses?: number;
+  uses?: number;
+  revoked?: boolean;
+  revokedAt?: number;
+}
+
+export type ShareLinkStatus = 'active' | 'revoked' | 'expired' | 'used-up';
+
+export interface ShareLink extends ShareToken {
+  token: string;
+  status: ShareLinkStatus;
+}
+
+/** Whether a token can still be redeemed, and if not why */
+export function getShareLinkStatus(
+  token: ShareToken | null | undefined,
+  now: number = Date.now()
+): ShareLinkStatus {
+  if (!token || token.revoked) return 'revoked';
+  if (typeof token.expiresAt === 'number' && token.expiresAt <= now) return 'expired';
+  if (typeof token.maxUses === 'number' && (token.uses || 0) >= token.maxUses) return 'used-up';
+  return 'active';
+}
+
+/** Error shown to someone opening a link that no longer works */
+export function getShareLinkError(status: ShareLinkStatus): string | null {
+  switch (status) {
+    case 'revoked':
+      return 'This share link is invalid or has been revoked';
+    case 'expired':
+      return 'This share link has expired';
+    case 'used-up':
+      return 'This share link has reached its usage limit';
+    default:
+      return null;
+  }
+}
+
+/** Tokens as a list, newest first, with their status */
+export function listShareLinks(
+  tokens: Record<string, ShareToken> | null | undefined,
+  now: number = Date.now()
+): ShareLink[] {
+  return Object.entries(tokens || {})
+    .map(([token, data]) => ({ ...data, token, status: getShareLinkStatus(data, now) }))
+    .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+}
+
+/** "3 uses", "3 / 10 uses" */
+export function formatShareLinkUses(link: ShareToken): string {
+  const uses = link.uses || 0;
+  if (typeof link.maxUses === 'number') return `${uses} / ${link.maxUses} uses`;
+  return `${uses} ${uses === 1 ? 'use' : 'uses'}`;
+}
+
+/** "Never expires", "Expires in 5h", "Expires in 3d" */
+export function formatShareLinkExpiry(link: ShareToken, now: number = Date.now()): string {
+  if (typeof link.expiresAt !== 'number') return 'Never expires';
+  const remaining = link.expiresAt - now;
+  if (remaining <= 0) return 'Expired';
+  const hours = Math.floor(remaining / 3600000);
+  if (hours < 1) return `Expires in ${Math.max(1, Math.floor(remaining / 60000))}m`;
+  if (hours < 48) return `Expires in ${hours}h`;
+  return `Expires in ${Math.floor(hours / 24)}d`;
+}
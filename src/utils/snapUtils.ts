@@ -0,0 +1,413 @@
+/**
+ * Snapping utility functions — alignment guides, equal spacing and grid snapping
+ *
+ * When a drag or resize starts, the edges and centers of the other visible shapes
+ * are collected once into sorted lists (buildSnapTargets). Each pointer move then
+ * only needs a binary search per axis, which keeps snapping cheap on canvases with
+ * hundreds of shapes. Candidates are found with getShapeBounds, so rotation is
+ * ignored, like the rest of the alignment tools.
+ */
+
+import { SHAPE_TYPES } from './constants';
+import { getShapeBounds, type Point, type ShapeBounds } from './canvasUtils';
+
+/** Loose record as stored in the database (fields vary by type) */
+export interface SnappableShape {
+  id: string;
+  type: string;
+  x: number;
+  y: number;
+  width?: number;
+  height?: number;
+  radius?: number;
+  vertices?: Point[];
+  visible?: boolean;
+}
+
+/** An edge or center line of a shape, with the extent of that shape along the line */
+interface SnapLine {
+  value: number;
+  from: number;
+  to: number;
+}
+
+export interface SnapTargets {
+  /** Vertical lines (x values), sorted */
+  xLines: SnapLine[];
+  /** Horizontal lines (y values), sorted */
+  yLines: SnapLine[];
+  /** Boxes of the candidate shapes, for equal-spacing checks */
+  boxes: ShapeBounds[];
+}
+
+/** A guide segment to draw, in canvas coordinates */
+export interface SnapGuide {
+  kind: 'align' | 'spacing';
+  x1: number;
+  y1: number;
+  x2: number;
+  y2: number;
+}
+
+export interface SnapResult {
+  dx: number;
+  dy: number;
+  guides: SnapGuide[];
+}
+
+export interface SnapOptions {
+  /** Largest distance that still snaps, in canvas units */
+  threshold: number;
+  /** Grid spacing used when nothing else is close; 0 turns grid snapping off */
+  gridSize?: number;
+}
+
+/** Lines closer than this are treated as the same line when drawing guides */
+const SAME_LINE = 0.5;
+
+const byValue = (a: SnapLine, b: SnapLine) => a.value - b.value;
+
+/**
+ * Collect snap lines from the shapes a drag or resize can snap to. Hidden shapes,
+ * group records, connectors and the excluded (moving) shapes are skipped.
+ */
+export function buildSnapTargets(
+  shapes: SnappableShape[],
+  excludeIds: string[] = [],
+  area: { x: number; y: number; width: number; height: number } | null = null
+): SnapTargets {
+  const excluded = new Set(excludeIds);
+  const xLines: SnapLine[] = [];
+  const yLines: SnapLine[] = [];
+  const boxes: ShapeBounds[] = [];
+
+  shapes.forEach((shape) => {
+    if (
+      excluded.has(shape.id) ||
+      shape.visible === false ||
+      shape.type === SHAPE_TYPES.GROUP ||
+      shape.type === SHAPE_TYPES.CONNECTOR
+    ) {
+      return;
+    }
+    const b = getShapeBounds(shape);
+    if (
+      area &&
+      (b.maxX < area.x ||
+        b.minX > area.x + area.width ||
+        b.maxY < area.y ||
+        b.minY > area.y + area.height)
+    ) {
+      return;
+    }
+
+    boxes.push(b);
+    [b.minX, b.centerX, b.maxX].forEach((value) => {
+      xLines.push({ value, from: b.minY, to: b.maxY });
+    });
+    [b.minY, b.centerY, b.maxY].forEach((value) => {
+      yLines.push({ value, from: b.minX, to: b.maxX });
+    });
+  });
+
+  return { xLines: xLines.sort(byValue), yLines: yLines.sort(byValue), boxes };
+}
+
+/**
+ * Combined (unrotated) bounds of the shapes being moved — the box that snaps.
+ * Group records are skipped; their members are in the list.
+ */
+export function getSnapBounds(shapes: SnappableShape[]): ShapeBounds | null {
+  const all = shapes.filter((s) => s.type !== SHAPE_TYPES.GROUP).map((s) => getShapeBounds(s));
+  if (all.length === 0) return null;
+  const minX = Math.min(...all.map((b) => b.minX));
+  const maxX = Math.max(...all.map((b) => b.maxX));
+  const minY = Math.min(...all.map((b) => b.minY));
+  const maxY = Math.max(...all.map((b) => b.maxY));
+  return {
+    minX,
+    maxX,
+    minY,
+    maxY,
+    centerX: (minX + maxX) / 2,
+    centerY: (minY + maxY) / 2,
+    width: maxX - minX,
+    height: maxY - minY,
+  };
+}
+
+/** Index of the first line whose value is >= target */
+function lowerBound(lines: SnapLine[], target: number): number {
+  let lo = 0;
+  let hi = lines.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (lines[mid].value < target) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/** Closest line to a value within the threshold, or null */
+function nearestLine(lines: SnapLine[], value: number, threshold: number): SnapLine | null {
+  const i = lowerBound(lines, value);
+  let best: SnapLine | null = null;
+  for (const line of [lines[i - 1], lines[i]]) {
+    if (!line) continue;
+    const distance = Math.abs(line.value - value);
+    if (distance <= threshold && (!best || distance < Math.abs(best.value - value))) best = line;
+  }
+  return best;
+}
+
+/** Every line at (about) a value */
+function linesAt(lines: SnapLine[], value: number): SnapLine[] {
+  const result: SnapLine[] = [];
+  for (let i = lowerBound(lines, value - SAME_LINE); i < lines.length; i++) {
+    if (lines[i].value > value + SAME_LINE) break;
+    result.push(lines[i]);
+  }
+  return result;
+}
+
+interface AxisSnap {
+  offset: number;
+  guides: SnapGuide[];
+}
+
+/**
+ * Best alignment of any of the box's three lines (min, center, max) on one axis
+ */
+function snapAlign(
+  lines: SnapLine[],
+  values: number[],
+  span: { from: number; to: number },
+  threshold: number,
+  vertical: boolean
+): AxisSnap | null {
+  let best: { offset: number; value: number } | null = null;
+  for (const value of values) {
+    const line = nearestLine(lines, value, threshold);
+    if (line && (!best || Math.abs(line.value - value) < Math.abs(best.offset))) {
+      best = { offset: line.value - value, value: line.value };
+    }
+  }
+  if (!best) return null;
+  const { offset } = best;
+
+  // One guide per snapped line, spanning the moving box and every shape on it
+  const guides: SnapGuide[] = [];
+  values.forEach((value) => {
+    const matches = linesAt(lines, value + offset);
+    if (matches.length === 0) return;
+    const from = Math.min(span.from, ...matches.map((l) => l.from));
+    const to = Math.max(span.to, ...matches.map((l) => l.to));
+    const at = value + offset;
+    guides.push(
+      vertical
+        ? { kind: 'align', x1: at, y1: from, x2: at, y2: to }
+        : { kind: 'align', x1: from, y1: at, x2: to, y2: at }
+    );
+  });
+  return { offset, guides };
+}
+
+/**
+ * Equal spacing along one axis: centre the box between its nearest neighbours in
+ * the same row (or column), or repeat the gap between a neighbour and the next shape.
+ */
+function snapSpacing(
+  boxes: ShapeBounds[],
+  box: ShapeBounds,
+  threshold: number,
+  horizontal: boolean
+): AxisSnap | null {
+  const min = (b: ShapeBounds) => (horizontal ? b.minX : b.minY);
+  const max = (b: ShapeBounds) => (horizontal ? b.maxX : b.maxY);
+  const crossMin = (b: ShapeBounds) => (horizontal ? b.minY : b.minX);
+  const crossMax = (b: ShapeBounds) => (horizontal ? b.maxY : b.maxX);
+  const size = max(box) - min(box);
+
+  // Shapes sharing the box's row, sorted along the axis
+  const row = boxes
+    .filter((b) => crossMax(b) >= crossMin(box) && crossMin(b) <= crossMax(box))
+    .sort((a, b) => min(a) - min(b));
+  const before = row.filter((b) => max(b) <= min(box) + threshold);
+  const after = row.filter((b) => min(b) >= max(box) - threshold);
+  const prev = before.reduce<ShapeBounds | null>((p, b) => (!p || max(b) > max(p) ? b : p), null);
+  const next = after.reduce<ShapeBounds | null>((n, b) => (!n || min(b) < min(n) ? b : n), null);
+
+  const candidates: { start: number; gaps: [number, number][] }[] = [];
+  if (prev && next) {
+    const gap = (min(next) - max(prev) - size) / 2;
+    if (gap >= 0) {
+      const start = max(prev) + gap;
+      candidates.push({
+        start,
+        gaps: [
+          [max(prev), start],
+          [start + size, min(next)],
+        ],
+      });
+    }
+  }
+  if (prev) {
+    const prevPrev = before
+      .filter((b) => max(b) <= min(prev) && b !== prev)
+      .reduce<ShapeBounds | null>((p, b) => (!p || max(b) > max(p) ? b : p), null);
+    if (prevPrev) {
+      const gap = min(prev) - max(prevPrev);
+      const start = max(prev) + gap;
+      candidates.push({
+        start,
+        gaps: [
+          [max(prevPrev), min(prev)],
+          [max(prev), start],
+        ],
+      });
+    }
+  }
+  if (next) {
+    const nextNext = after
+      .filter((b) => min(b) >= max(next) && b !== next)
+      .reduce<ShapeBounds | null>((n, b) => (!n || min(b) < min(n) ? b : n), null);
+    if (nextNext) {
+      const gap = min(nextNext) - max(next);
+      const start = min(next) - gap - size;
+      candidates.push({
+        start,
+        gaps: [
+          [start + size, min(next)],
+          [max(next), min(nextNext)],
+        ],
+      });
+    }
+  }
+
+  let best: (typeof candidates)[number] | null = null;
+  for (const c of candidates) {
+    const distance = Math.abs(c.start - min(box));
+    if (distance <= threshold && (!best || distance < Math.abs(best.start - min(box)))) best = c;
+  }
+  if (!best) return null;
+  const { start, gaps } = best;
+
+  // Gap markers run through the middle of the box's row
+  const cross = (crossMin(box) + crossMax(box)) / 2;
+  const guides: SnapGuide[] = gaps.map(([a, b]) =>
+    horizontal
+      ? { kind: 'spacing', x1: a, y1: cross, x2: b, y2: cross }
+      : { kind: 'spacing', x1: cross, y1: a, x2: cross, y2: b }
+  );
+  return { offset: start - min(box), guides };
+}
+
+/** Offset that puts the box's min edge on the grid, if it is close enough */
+function snapGrid(value: number, gridSize: number, threshold: number): AxisSnap | null {
+  if (!gridSize) return null;
+  const offset = Math.round(value / gridSize) * gridSize - value;
+  return Math.abs(offset) <= threshold ? { offset, guides: [] } : null;
+}
+
+/** Prefer the closer of alignment and spacing; fall back to the grid */
+function pickAxis(...snaps: (AxisSnap | null)[]): AxisSnap | null {
+  const [align, spacing, grid] = snaps;
+  if (align && spacing) return Math.abs(spacing.offset) < Math.abs(align.offset) ? spacing : align;
+  return align || spacing || grid;
+}
+
+/** Bounds moved by dx, dy */
+export const offsetBounds = (b: ShapeBounds, dx: number, dy: number): ShapeBounds => ({
+  minX: b.minX + dx,
+  maxX: b.maxX + dx,
+  minY: b.minY + dy,
+  maxY: b.maxY + dy,
+  centerX: b.centerX + dx,
+  centerY: b.centerY + dy,
+  width: b.width,
+  height: b.height,
+});
+
+/**
+ * Snap a moving box (the bounds of everything being dragged, already offset by the
+ * pointer movement). Returns the extra offset to apply and the guides to draw.
+ */
+export function snapMove(box: ShapeBounds, targets: SnapTargets, options: SnapOptions): SnapResult {
+  const { threshold, gridSize = 0 } = options;
+
+  const x = pickAxis(
+    snapAlign(
+      targets.xLines,
+      [box.minX, box.centerX, box.maxX],
+      { from: box.minY, to: box.maxY },
+      threshold,
+      true
+    ),
+    snapSpacing(targets.boxes, box, threshold, true),
+    snapGrid(box.minX, gridSize, threshold)
+  );
+  const y = pickAxis(
+    snapAlign(
+      targets.yLines,
+      [box.minY, box.centerY, box.maxY],
+      { from: box.minX, to: box.maxX },
+      threshold,
+      false
+    ),
+    snapSpacing(targets.boxes, box, threshold, false),
+    snapGrid(box.minY, gridSize, threshold)
+  );
+
+  const dx = x?.offset ?? 0;
+  const dy = y?.offset ?? 0;
+  // Guides were measured before the other axis snapped; shift them along with the box
+  const guides = [
+    ...(x?.guides ?? []).map((g) =>
+      g.kind === 'spacing' ? { ...g, y1: g.y1 + dy, y2: g.y2 + dy } : g
+    ),
+    ...(y?.guides ?? []).map((g) =>
+      g.kind === 'spacing' ? { ...g, x1: g.x1 + dx, x2: g.x2 + dx } : g
+    ),
+  ];
+  if (dx || dy) return { dx, dy, guides: refreshAlignGuides(guides, offsetBounds(box, dx, dy)) };
+  return { dx, dy, guides };
+}
+
+/** Stretch alignment guides so they still reach the box after both axes snapped */
+function refreshAlignGuides(guides: SnapGuide[], box: ShapeBounds): SnapGuide[] {
+  return guides.map((g) => {
+    if (g.kind !== 'align') return g;
+    if (g.x1 === g.x2) {
+      return { ...g, y1: Math.min(g.y1, box.minY), y2: Math.max(g.y2, box.maxY) };
+    }
+    return { ...g, x1: Math.min(g.x1, box.minX), x2: Math.max(g.x2, box.maxX) };
+  });
+}
+
+/**
+ * Snap a point (a resize handle) to nearby shape lines or the grid, per axis.
+ * `axes` limits snapping to the axes the handle actually moves.
+ */
+export function snapPoint(
+  point: Point,
+  targets: SnapTargets,
+  options: SnapOptions,
+  axes: { x: boolean; y: boolean } = { x: true, y: true }
+): { point: Point; guides: SnapGuide[] } {
+  const { threshold, gridSize = 0 } = options;
+  const snapAxis = (lines: SnapLine[], value: number, vertical: boolean) =>
+    snapAlign(
+      lines,
+      [value],
+      { from: vertical ? point.y : point.x, to: vertical ? point.y : point.x },
+      threshold,
+      vertical
+    ) || snapGrid(value, gridSize, threshold);
+
+  const x = axes.x ? snapAxis(targets.xLines, point.x, true) : null;
+  const y = axes.y ? snapAxis(targets.yLines, point.y, false) : null;
+  return {
+    point: { x: point.x + (x?.offset ?? 0), y: point.y + (y?.offset ?? 0) },
+    guides: [...(x?.guides ?? []), ...(y?.guides ?? [])],
+  };
+}
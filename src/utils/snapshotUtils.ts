@@ -0,0 +1,134 @@
+/**
+ * Snapshot utility functions for canvas version history
+ *
+ * Snapshots store a copy of `canvases/{id}/objects` keyed by shape ID. These helpers
+ * compare two such maps (for the "what changed" summary) and compute the field-level
+ * updates that turn the live canvas back into a snapshot.
+ */
+
+import type { ShapeFields } from '../types/canvas';
+import { NON_EDIT_SHAPE_FIELDS } from './constants';
+
+export type SnapshotObjects = Record<string, ShapeFields>;
+
+export interface SnapshotDiff {
+  added: string[];
+  removed: string[];
+  changed: string[];
+}
+
+function valuesEqual(a: unknown, b: unknown): boolean {
+  if (a === b) return true;
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Copy shapes into the form stored in a snapshot: keyed by ID, without locks
+ * @param shapes - Shapes as an array (from useCanvas) or a map (from the database)
+ */
+export function toSnapshotObjects(shapes: ShapeFields[] | SnapshotObjects | null): SnapshotObjects {
+  const entries = Array.isArray(shapes)
+    ? shapes.map((shape) => [shape.id as string, shape] as const)
+    : Object.entries(shapes || {});
+
+  const objects: SnapshotObjects = {};
+  entries.forEach(([id, shape]) => {
+    if (!id || !shape) return;
+    const { lockedBy: _lockedBy, lockedByUserName: _lockedByUserName, ...rest } = shape;
+    objects[id] = { ...rest, id };
+  });
+  return objects;
+}
+
+/**
+ * Whether two versions of a shape differ in anything other than locks, write times
+ * and attribution
+ */
+export function isShapeChanged(before: ShapeFields, after: ShapeFields): boolean {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys].some(
+    (key) =>
+      !NON_EDIT_SHAPE_FIELDS.includes(key) && !valuesEqual(before[key] ?? null, after[key] ?? null)
+  );
+}
+
+/**
+ * Summarize how `to` differs from `from` (shape IDs added, removed and changed)
+ */
+export function diffSnapshotObjects(from: SnapshotObjects, to: SnapshotObjects): SnapshotDiff {
+  const diff: SnapshotDiff = { added: [], removed: [], changed: [] };
+
+  Object.keys(to).forEach((id) => {
+    if (!from[id]) {
+      diff.added.push(id);
+    } else if (isShapeChanged(from[id], to[id])) {
+      diff.changed.push(id);
+    }
+  });
+  Object.keys(from).forEach((id) => {
+    if (!to[id]) diff.removed.push(id);
+  });
+
+  return diff;
+}
+
+/**
+ * Build a batchUpdateShapes payload that turns `current` into `target`.
+ *
+ * Every field is written individually: fields missing from the target are set to
+ * null (which also clears locks), and shapes missing from the target have all of
+ * their fields nulled, which removes them in Realtime Database.
+ */
+export function getRestoreUpdates(
+  current: SnapshotObjects,
+  target: SnapshotObjects
+): Record<string, ShapeFields> {
+  const updates: Record<string, ShapeFields> = {};
+
+  Object.entries(current).forEach(([id, shape]) => {
+    if (target[id]) return;
+    updates[id] = Object.fromEntries(Object.keys(shape).map((key) => [key, null]));
+  });
+
+  Object.entries(target).forEach(([id, shape]) => {
+    const existing = current[id] || {};
+    const shapeUpdates: ShapeFields = {};
+
+    Object.entries(shape).forEach(([key, value]) => {
+      if (!valuesEqual(existing[key], value)) shapeUpdates[key] = value;
+    });
+    Object.keys(existing).forEach((key) => {
+      if (!(key in shape)) shapeUpdates[key] = null;
+    });
+
+    if (Object.keys(shapeUpdates).length > 0) updates[id] = shapeUpdates;
+  });
+
+  return updates;
+}
+
+/**
+ * Short content fingerprint used to skip automatic snapshots when nothing changed
+ */
+export function hashSnapshotObjects(objects: SnapshotObjects): string {
+  const stable = Object.keys(objects)
+    .sort()
+    .map((id) => {
+      const shape = objects[id];
+      const fields = Object.keys(shape)
+        .filter((key) => !NON_EDIT_SHAPE_FIELDS.includes(key))
+        .sort()
+        .map((key) => `${key}:${JSON.stringify(shape[key])}`);
+      return `${id}{${fields.join(',')}}`;
+    })
+    .join('|');
+
+  // FNV-1a (32-bit)
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < stable.length; i++) {
+    hash ^= stable.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
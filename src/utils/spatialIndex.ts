@@ -0,0 +1,201 @@
+/**
+ * Spatial index — a quadtree of shape bounding boxes for viewport culling
+ *
+ * Finding the shapes in view by testing every shape gets slow on canvases with
+ * thousands of them. The index keeps each shape's getShapeBounds box in a
+ * quadtree, so a search only visits the parts of the tree that overlap the
+ * region. `sync` compares shapes by identity: shape objects that haven't changed
+ * since the last sync (subscribeToObjects keeps them) are skipped, so keeping
+ * the index current costs little more than a pass over the array.
+ *
+ * The tree starts out covering the board and grows outwards for shapes beyond
+ * it, so it works on infinite canvases too.
+ */
+
+import { CANVAS_WIDTH } from './constants';
+import { getShapeBounds, type Point } from './canvasUtils';
+
+/** Loose record as stored in the database (fields vary by type) */
+export interface IndexableShape {
+  id: string;
+  type: string;
+  x: number;
+  y: number;
+  width?: number;
+  height?: number;
+  radius?: number;
+  vertices?: Point[];
+}
+
+export interface SearchRegion {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export interface SpatialIndex<T extends IndexableShape> {
+  /** Bring the index up to date with the current shapes */
+  sync: (shapes: T[]) => void;
+  /** Shapes whose bounds overlap the region, in the order they were synced */
+  search: (region: SearchRegion) => T[];
+  /** Number of indexed shapes */
+  size: () => number;
+}
+
+interface Entry<T> {
+  shape: T;
+  order: number;
+  minX: number;
+  minY: number;
+  maxX: number;
+  maxY: number;
+  node: QuadNode<T> | null;
+}
+
+/** Square area of the tree; entries that don't fit in one child stay on the node */
+interface QuadNode<T> {
+  x: number;
+  y: number;
+  size: number;
+  entries: Entry<T>[];
+  children: QuadNode<T>[] | null;
+}
+
+// A node splits once it holds more entries than this...
+const NODE_CAPACITY = 16;
+// ...unless it is already this small (shapes piled on one spot)
+const MIN_NODE_SIZE = 16;
+
+const createNode = <T>(x: number, y: number, size: number): QuadNode<T> => ({
+  x,
+  y,
+  size,
+  entries: [],
+  children: null,
+});
+
+const createChildren = <T>(node: QuadNode<T>): QuadNode<T>[] => {
+  const half = node.size / 2;
+  return [0, 1, 2, 3].map((i) =>
+    createNode<T>(node.x + (i % 2) * half, node.y + Math.floor(i / 2) * half, half)
+  );
+};
+
+const nodeContains = <T>(node: QuadNode<T>, entry: Entry<T>) =>
+  entry.minX >= node.x &&
+  entry.minY >= node.y &&
+  entry.maxX <= node.x + node.size &&
+  entry.maxY <= node.y + node.size;
+
+const overlaps = (
+  entry: { minX: number; minY: number; maxX: number; maxY: number },
+  region: SearchRegion
+) =>
+  entry.minX <= region.x + region.width &&
+  entry.maxX >= region.x &&
+  entry.minY <= region.y + region.height &&
+  entry.maxY >= region.y;
+
+function insert<T>(node: QuadNode<T>, entry: Entry<T>): void {
+  if (node.children) {
+    const child = node.children.find((c) => nodeContains(c, entry));
+    if (child) {
+      insert(child, entry);
+      return;
+    }
+  }
+
+  node.entries.push(entry);
+  entry.node = node;
+
+  if (!node.children && node.entries.length > NODE_CAPACITY && node.size > MIN_NODE_SIZE) {
+    node.children = createChildren(node);
+    const entries = node.entries;
+    node.entries = [];
+    entries.forEach((e) => insert(node, e));
+  }
+}
+
+function searchNode<T>(node: QuadNode<T>, region: SearchRegion, out: Entry<T>[]): void {
+  const bounds = { minX: node.x, minY: node.y, maxX: node.x + node.size, maxY: node.y + node.size };
+  if (!overlaps(bounds, region)) return;
+  node.entries.forEach((entry) => {
+    if (overlaps(entry, region)) out.push(entry);
+  });
+  node.children?.forEach((child) => searchNode(child, region, out));
+}
+
+/**
+ * Create an empty spatial index
+ */
+export function createSpatialIndex<T extends IndexableShape>(): SpatialIndex<T> {
+  const entries = new Map<string, Entry<T>>();
+  let root = createNode<T>(0, 0, CANVAS_WIDTH);
+
+  // Double the root towards the entry until it fits; the old root becomes one of the quadrants
+  const growToFit = (entry: Entry<T>) => {
+    while (!nodeContains(root, entry)) {
+      const x = entry.minX < root.x ? root.x - root.size : root.x;
+      const y = entry.minY < root.y ? root.y - root.size : root.y;
+      const grown = createNode<T>(x, y, root.size * 2);
+      grown.children = createChildren(grown).map((child) =>
+        child.x === root.x && child.y === root.y ? root : child
+      );
+      root = grown;
+    }
+  };
+
+  const add = (shape: T, order: number) => {
+    const bounds = getShapeBounds(shape);
+    const entry: Entry<T> = {
+      shape,
+      order,
+      minX: bounds.minX,
+      minY: bounds.minY,
+      maxX: bounds.maxX,
+      maxY: bounds.maxY,
+      node: null,
+    };
+    entries.set(shape.id, entry);
+    // Bounds that aren't numbers can't be placed; such shapes are simply never found
+    if (![entry.minX, entry.minY, entry.maxX, entry.maxY].every(Number.isFinite)) return;
+    growToFit(entry);
+    insert(root, entry);
+  };
+
+  const removeEntry = (id: string, entry: Entry<T>) => {
+    if (entry.node) {
+      const { entries: nodeEntries } = entry.node;
+      nodeEntries.splice(nodeEntries.indexOf(entry), 1);
+    }
+    entries.delete(id);
+  };
+
+  return {
+    sync(shapes) {
+      const seen = new Set<string>();
+      shapes.forEach((shape, order) => {
+        seen.add(shape.id);
+        const existing = entries.get(shape.id);
+        if (existing?.shape === shape) {
+          existing.order = order;
+          return;
+        }
+        if (existing) removeEntry(shape.id, existing);
+        add(shape, order);
+      });
+      entries.forEach((entry, id) => {
+        if (!seen.has(id)) removeEntry(id, entry);
+      });
+    },
+
+    search(region) {
+      const found: Entry<T>[] = [];
+      searchNode(root, region, found);
+      return found.sort((a, b) => a.order - b.order).map((entry) => entry.shape);
+    },
+
+    size: () => entries.size,
+  };
+}
@@ -0,0 +1,162 @@
+/**
+ * Sticky note utility functions — text fitting, auto-grow and creation
+ *
+ * A sticky note is a paper-colored box with plain text and its author's name in
+ * the footer. The text is drawn at the largest size (down to a minimum) at which
+ * it fits; when even the minimum size doesn't fit, the note grows taller as the
+ * text is saved, so nothing is ever cut off.
+ *
+ * Text wraps with the rich text layout (plain paragraphs), so line breaks are
+ * kept and every renderer places the lines identically.
+ */
+
+import {
+  SHAPE_TYPES,
+  CANVAS_HEIGHT,
+  DEFAULT_STICKY_COLOR,
+  DEFAULT_STICKY_SIZE,
+  STICKY_COLORS,
+  STICKY_MAX_FONT_SIZE,
+  STICKY_MIN_FONT_SIZE,
+} from './constants';
+import { layoutRichText, plainTextToRichText } from './richTextUtils';
+
+const PADDING = 12;
+const FOOTER_HEIGHT = 22;
+const LINE_HEIGHT = 1.25;
+const AUTHOR_FONT_SIZE = 11;
+
+export interface StickyLike {
+  x: number;
+  y: number;
+  width?: number;
+  height?: number;
+  text?: string | null;
+  createdByName?: string | null;
+}
+
+export const isSticky = (shape: { type?: string } | null | undefined) =>
+  shape?.type === SHAPE_TYPES.STICKY;
+
+/** Lines of the sticky's text wrapped at a font size */
+function wrapStickyText(text: string, width: number, fontSize: number): string[] {
+  return layoutRichText(plainTextToRichText(text), width - PADDING * 2, fontSize).map((line) =>
+    line.runs.map((run) => run.text).join('')
+  );
+}
+
+/** Height the text area needs for some lines */
+const textHeight = (lines: number, fontSize: number) => lines * fontSize * LINE_HEIGHT;
+
+/**
+ * Largest font size (in steps of 2) at which the text fits the note, or the
+ * minimum size when it doesn't fit at all
+ */
+export function getStickyFontSize(text: string, width: number, height: number): number {
+  const available = height - PADDING * 2 - FOOTER_HEIGHT;
+  for (let size = STICKY_MAX_FONT_SIZE; size > STICKY_MIN_FONT_SIZE; size -= 2) {
+    if (textHeight(wrapStickyText(text, width, size).length, size) <= available) return size;
+  }
+  return STICKY_MIN_FONT_SIZE;
+}
+
+/**
+ * Height the note needs to show all of its text at the minimum font size: its
+ * current height when that's enough, never more than fits on the canvas
+ * (`canvasHeight` is Infinity on an infinite canvas)
+ */
+export function getStickyHeight(sticky: StickyLike, canvasHeight: number = CANVAS_HEIGHT): number {
+  const width = sticky.width || DEFAULT_STICKY_SIZE;
+  const height = sticky.height || DEFAULT_STICKY_SIZE;
+  const lines = wrapStickyText(sticky.text || '', width, STICKY_MIN_FONT_SIZE).length;
+  const needed = Math.ceil(textHeight(lines, STICKY_MIN_FONT_SIZE) + PADDING * 2 + FOOTER_HEIGHT);
+  return Math.max(height, Math.min(needed, canvasHeight - sticky.y));
+}
+
+export interface StickyLayout {
+  fontSize: number;
+  lines: { text: string; x: number; y: number }[];
+  author: { text: string; x: number; y: number; fontSize: number } | null;
+}
+
+/**
+ * Positioned text of a sticky note: lines centered in the area above the
+ * footer, and the author's name at the bottom right
+ */
+export function layoutSticky(sticky: StickyLike): StickyLayout {
+  const width = sticky.width || DEFAULT_STICKY_SIZE;
+  const height = sticky.height || DEFAULT_STICKY_SIZE;
+  const text = sticky.text || '';
+  const fontSize = getStickyFontSize(text, width, height);
+  const lineHeight = fontSize * LINE_HEIGHT;
+
+  // Lines that still don't fit (before the note has grown) are cut off
+  const available = height - PADDING * 2 - FOOTER_HEIGHT;
+  const wrapped = wrapStickyText(text, width, fontSize);
+  const visible = wrapped.slice(0, Math.max(1, Math.floor(available / lineHeight)));
+  const areaHeight = height - FOOTER_HEIGHT;
+  const startY = sticky.y + (areaHeight - visible.length * lineHeight) / 2 + fontSize * 0.8;
+
+  return {
+    fontSize,
+    lines: visible.map((line, i) => ({
+      text: line,
+      x: sticky.x + width / 2,
+      y: startY + i * lineHeight,
+    })),
+    author: sticky.createdByName
+      ? {
+          text: sticky.createdByName,
+          x: sticky.x + width - PADDING,
+          y: sticky.y + height - PADDING + 2,
+          fontSize: AUTHOR_FONT_SIZE,
+        }
+      : null,
+  };
+}
+
+/** Paper color for a requested color: palette colors as given, anything else the default */
+export function getStickyColor(color?: string | null): string {
+  const match = STICKY_COLORS.find((c) => c.toLowerCase() === (color || '').toLowerCase());
+  return match || DEFAULT_STICKY_COLOR;
+}
+
+/**
+ * Shape data for a new sticky note (top-left at x,y), grown to fit its text
+ */
+export function buildStickyData({
+  x,
+  y,
+  text = '',
+  color,
+  width = DEFAULT_STICKY_SIZE,
+  height = DEFAULT_STICKY_SIZE,
+  createdBy,
+  createdByName,
+  canvasHeight = CANVAS_HEIGHT,
+}: {
+  x: number;
+  y: number;
+  text?: string;
+  color?: string | null;
+  width?: number;
+  height?: number;
+  createdBy: string;
+  createdByName?: string | null;
+  canvasHeight?: number;
+}) {
+  const data = {
+    type: SHAPE_TYPES.STICKY,
+    x,
+    y,
+    width,
+    height,
+    text,
+    color: getStickyColor(color),
+    createdBy,
+    rotation: 0,
+    // Firebase rejects undefined, so the name is only set when known
+    ...(createdByName ? { createdByName } : {}),
+  };
+  return { ...data, height: getStickyHeight(data, canvasHeight) };
+}
@@ -0,0 +1,124 @@
+/**
+ * Shape styling utility functions — stroke, dash pattern, corner radius and opacity
+ *
+ * Rectangles, circles, polygons and custom polygons can have a stroke
+ * (strokeColor, strokeWidth, strokeDash), an opacity and, for rectangles, a
+ * corner radius. Unset fields mean no stroke, square corners and full opacity,
+ * so shapes saved before styling existed look the same.
+ */
+
+import {
+  SHAPE_TYPES,
+  STROKE_DASH_STYLES,
+  DEFAULT_STROKE_COLOR,
+  MAX_STROKE_WIDTH,
+  MAX_CORNER_RADIUS,
+} from './constants';
+import { clamp } from './canvasUtils';
+import type { StrokeDash } from '../types/canvas';
+
+/** Style fields as stored on a shape */
+export interface ShapeStyle {
+  color?: string;
+  strokeColor?: string;
+  strokeWidth?: number;
+  strokeDash?: StrokeDash;
+  cornerRadius?: number;
+  opacity?: number;
+}
+
+/** Shape types that draw stroke and opacity */
+export const STYLEABLE_TYPES: readonly string[] = [
+  SHAPE_TYPES.RECTANGLE,
+  SHAPE_TYPES.CIRCLE,
+  SHAPE_TYPES.POLYGON,
+  SHAPE_TYPES.CUSTOM_POLYGON,
+];
+
+export const isStyleable = (shape: { type?: string } | null | undefined) =>
+  !!shape?.type && STYLEABLE_TYPES.includes(shape.type);
+
+/**
+ * SVG dash array for a dash style; dashes scale with the stroke so thick lines
+ * keep their pattern. Undefined for solid lines.
+ */
+export function getStrokeDashArray(
+  dash: StrokeDash | undefined,
+  strokeWidth: number
+): string | undefined {
+  const w = Math.max(strokeWidth, 1);
+  if (dash === 'dashed') return `${w * 4} ${w * 2}`;
+  if (dash === 'dotted') return `0 ${w * 2}`;
+  return undefined;
+}
+
+/**
+ * SVG presentation attributes (camelCase, as React takes them) for a shape's
+ * stroke and opacity. Opacity goes on fill and stroke separately because the
+ * shared hover styles animate the `opacity` property.
+ */
+export function getStyleAttributes(shape: ShapeStyle): {
+  stroke?: string;
+  strokeWidth?: number;
+  strokeDasharray?: string;
+  strokeLinecap?: 'round';
+  fillOpacity?: number;
+  strokeOpacity?: number;
+} {
+  const strokeWidth = shape.strokeWidth || 0;
+  const opacity = shape.opacity ?? 1;
+  const faded = opacity < 1 ? clamp(opacity, 0, 1) : undefined;
+  if (strokeWidth <= 0) return { fillOpacity: faded };
+  return {
+    stroke: shape.strokeColor || DEFAULT_STROKE_COLOR,
+    strokeWidth,
+    strokeDasharray: getStrokeDashArray(shape.strokeDash, strokeWidth),
+    // Dots are zero-length dashes with round caps
+    strokeLinecap: shape.strokeDash === 'dotted' ? 'round' : undefined,
+    fillOpacity: faded,
+    strokeOpacity: faded,
+  };
+}
+
+/**
+ * Corner radius that fits the rectangle (at most half its shorter side)
+ */
+export function getCornerRadius(shape: ShapeStyle & { width?: number; height?: number }): number {
+  const r = shape.cornerRadius || 0;
+  if (r <= 0) return 0;
+  return Math.min(r, (shape.width || 0) / 2, (shape.height || 0) / 2);
+}
+
+/**
+ * Validate style fields from untrusted input (Canny tool calls): numbers are
+ * clamped to their ranges, unknown dash styles are dropped. Other fields are
+ * passed through unchanged.
+ */
+export function sanitizeStyleUpdates<T extends Record<string, unknown>>(updates: T): T {
+  const result: Record<string, unknown> = { ...updates };
+  const asNumber = (value: unknown) =>
+    typeof value === 'number' && Number.isFinite(value) ? value : null;
+
+  if ('strokeWidth' in result) {
+    const w = asNumber(result.strokeWidth);
+    if (w === null) delete result.strokeWidth;
+    else result.strokeWidth = clamp(w, 0, MAX_STROKE_WIDTH);
+  }
+  if ('opacity' in result) {
+    const o = asNumber(result.opacity);
+    if (o === null) delete result.opacity;
+    else result.opacity = clamp(o, 0, 1);
+  }
+  if ('cornerRadius' in result) {
+    const r = asNumber(result.cornerRadius);
+    if (r === null) delete result.cornerRadius;
+    else result.cornerRadius = clamp(r, 0, MAX_CORNER_RADIUS);
+  }
+  if (
+    'strokeDash' in result &&
+    !(STROKE_DASH_STYLES as readonly unknown[]).includes(result.strokeDash)
+  ) {
+    delete result.strokeDash;
+  }
+  return result as T;
+}
@@ -0,0 +1,676 @@
+/**
+ * SVG export — serializes canvas shapes into a clean, standalone SVG document.
+ *
+ * Geometry mirrors the shape components rendered by ShapeRenderer, but only the
+ * content is emitted: selection highlights, lock overlays, cursors, the grid and
+ * other editor chrome are never part of the output.
+ */
+
+import {
+  SHAPE_TYPES,
+  CANVAS_WIDTH,
+  CANVAS_HEIGHT,
+  DEFAULT_CONNECTOR_COLOR,
+  DEFAULT_CONNECTOR_STROKE_WIDTH,
+  DEFAULT_PATH_STROKE_WIDTH,
+  RICH_TEXT_LINK_COLOR,
+  STICKY_TEXT_COLOR,
+  DEFAULT_STICKY_SIZE,
+} from './constants';
+import { getContrastColor } from './colorUtils';
+import { getShapeBounds, getRotationCenter, type ShapeBounds } from './canvasUtils';
+import { downloadBlob } from './download';
+import {
+  isConnector,
+  resolveConnectorEndpoints,
+  getConnectorRoute,
+  pointsToPathData,
+  getArrowheadPath,
+} from './connectorUtils';
+import { getSmoothPathData } from './pathUtils';
+import { isFrame, getFrameClipId, getFrameRenderOrder } from './frameUtils';
+import { getStyleAttributes, getCornerRadius } from './styleUtils';
+import { layoutTextBox, getTextDecoration } from './richTextUtils';
+import { layoutSticky } from './stickyUtils';
+import type {
+  ConnectorAnchor,
+  ConnectorRouting,
+  ArrowheadStyle,
+  StrokeDash,
+  RichText,
+  TextAlign,
+  FontFamily,
+} from '../types/canvas';
+
+/** Loose shape record as stored in the database (fields vary by type) */
+export interface ExportShape {
+  id: string;
+  type: string;
+  x: number;
+  y: number;
+  width?: number;
+  height?: number;
+  radius?: number;
+  sides?: number;
+  vertices?: { x: number; y: number }[];
+  color?: string;
+  rotation?: number;
+  text?: string | null;
+  fontSize?: number;
+  fontWeight?: string;
+  fontStyle?: string;
+  textColor?: string | null;
+  backgroundColor?: string;
+  createdByName?: string;
+  richText?: RichText;
+  textAlign?: TextAlign;
+  fontFamily?: FontFamily;
+  lineHeight?: number;
+  imageUrl?: string;
+  visible?: boolean;
+  zIndex?: number;
+  // Styling (rectangles, circles and polygons)
+  strokeColor?: string;
+  strokeDash?: StrokeDash;
+  cornerRadius?: number;
+  opacity?: number;
+  // Shapes inside a frame are clipped to it
+  frameId?: string | null;
+  // Connectors
+  x2?: number;
+  y2?: number;
+  startShapeId?: string | null;
+  startAnchor?: ConnectorAnchor | null;
+  endShapeId?: string | null;
+  endAnchor?: ConnectorAnchor | null;
+  routing?: ConnectorRouting;
+  startArrowhead?: ArrowheadStyle;
+  endArrowhead?: ArrowheadStyle;
+  strokeWidth?: number;
+  // Paths (points relative to x,y)
+  points?: { x: number; y: number }[];
+}
+
+export interface SvgExportOptions {
+  /** Fill behind the content; omitted for a transparent export */
+  backgroundColor?: string | null;
+  /** Space around the content bounds, in canvas units */
+  padding?: number;
+  /** Replacement hrefs for image shapes (e.g. data URLs from embedImages) */
+  imageData?: Record<string, string>;
+  /** Explicit area to export (canvas units); defaults to the content bounds plus padding */
+  region?: ExportRegion | null;
+  /** Rendered document size in pixels (defaults to the region size, i.e. 1x) */
+  size?: { width: number; height: number } | null;
+}
+
+/** Rectangle of the canvas to export, in canvas units */
+export interface ExportRegion {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export type ExportScope = 'viewport' | 'selection' | 'frame' | 'full';
+
+const FONT_FAMILY = 'Arial, sans-serif';
+
+/**
+ * Escape a value for use in XML text or a double-quoted attribute
+ */
+export function escapeXml(value: unknown): string {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/** Round to 2 decimals so the output stays readable */
+const num = (value: number) => Math.round(value * 100) / 100;
+
+const attrs = (values: Record<string, string | number | null | undefined>) =>
+  Object.entries(values)
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([key, value]) => `${key}="${escapeXml(typeof value === 'number' ? num(value) : value)}"`)
+    .join(' ');
+
+/**
+ * Stroke and opacity attributes of a styled shape, as ShapeRenderer draws them
+ */
+function styleAttrs(shape: ExportShape): Record<string, string | number | undefined> {
+  const style = getStyleAttributes(shape);
+  return {
+    stroke: style.stroke,
+    'stroke-width': style.strokeWidth,
+    'stroke-dasharray': style.strokeDasharray,
+    'stroke-linecap': style.strokeLinecap,
+    'fill-opacity': style.fillOpacity,
+    'stroke-opacity': style.strokeOpacity,
+  };
+}
+
+/**
+ * Axis-aligned bounds of a shape after its rotation is applied
+ */
+export function getRotatedShapeBounds(shape: ExportShape): ShapeBounds {
+  const bounds = getShapeBounds(shape);
+  if (!shape.rotation) return bounds;
+
+  const center = getRotationCenter(shape);
+  const angle = (shape.rotation * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const corners = [
+    [bounds.minX, bounds.minY],
+    [bounds.maxX, bounds.minY],
+    [bounds.maxX, bounds.maxY],
+    [bounds.minX, bounds.maxY],
+  ].map(([px, py]) => ({
+    x: center.x + (px - center.x) * cos - (py - center.y) * sin,
+    y: center.y + (px - center.x) * sin + (py - center.y) * cos,
+  }));
+
+  const minX = Math.min(...corners.map((c) => c.x));
+  const maxX = Math.max(...corners.map((c) => c.x));
+  const minY = Math.min(...corners.map((c) => c.y));
+  const maxY = Math.max(...corners.map((c) => c.y));
+  return {
+    minX,
+    maxX,
+    minY,
+    maxY,
+    centerX: (minX + maxX) / 2,
+    centerY: (minY + maxY) / 2,
+    width: maxX - minX,
+    height: maxY - minY,
+  };
+}
+
+/**
+ * Union of the rotated bounds of all shapes, or null for an empty list
+ */
+export function getContentBounds(shapes: ExportShape[]): ShapeBounds | null {
+  if (shapes.length === 0) return null;
+  const all = shapes.map(getRotatedShapeBounds);
+  const minX = Math.min(...all.map((b) => b.minX));
+  const maxX = Math.max(...all.map((b) => b.maxX));
+  const minY = Math.min(...all.map((b) => b.minY));
+  const maxY = Math.max(...all.map((b) => b.maxY));
+  return {
+    minX,
+    maxX,
+    minY,
+    maxY,
+    centerX: (minX + maxX) / 2,
+    centerY: (minY + maxY) / 2,
+    width: maxX - minX,
+    height: maxY - minY,
+  };
+}
+
+/**
+ * Centered multi-line label used by rectangles, circles and polygons
+ */
+function centeredText(shape: ExportShape, cx: number, cy: number): string {
+  if (!shape.text) return '';
+  const fontSize = shape.fontSize || 14;
+  const lines = shape.text.split('\n');
+  const tspans = lines
+    .map(
+      (line, i) =>
+        `<tspan ${attrs({ x: cx, dy: i === 0 ? -((lines.length - 1) * fontSize) / 2 : fontSize })}>${escapeXml(line)}</tspan>`
+    )
+    .join('');
+  return `<text ${attrs({
+    x: cx,
+    y: cy,
+    fill: shape.textColor || getContrastColor(shape.color || '#000000'),
+    'fill-opacity': getStyleAttributes(shape).fillOpacity,
+    'font-size': fontSize,
+    'font-weight': shape.fontWeight !== 'normal' ? shape.fontWeight : null,
+    'font-style': shape.fontStyle !== 'normal' ? shape.fontStyle : null,
+    'font-family': FONT_FAMILY,
+    'text-anchor': 'middle',
+    'dominant-baseline': 'middle',
+  })}>${tspans}</text>`;
+}
+
+/**
+ * Text box body: formatted lines laid out exactly as TextBox draws them
+ */
+function textBoxContent(shape: ExportShape): string {
+  const width = shape.width || 200;
+  const height = shape.height || 60;
+  const backgroundColor = shape.backgroundColor || 'transparent';
+
+  const parts: string[] = [];
+  if (backgroundColor !== 'transparent' || shape.color) {
+    parts.push(
+      `<rect ${attrs({
+        x: shape.x,
+        y: shape.y,
+        width,
+        height,
+        rx: 4,
+        fill: backgroundColor === 'transparent' ? 'none' : backgroundColor,
+        stroke: shape.color || null,
+        'stroke-width': shape.color ? 2 : null,
+      })}/>`
+    );
+  }
+
+  const layout = layoutTextBox(shape);
+  const fill = shape.textColor || shape.color || '#000000';
+  const textAttrs = { fill, 'font-size': layout.fontSize, 'font-family': layout.fontFamily };
+
+  layout.lines.forEach((line) => {
+    const inlineMarker = line.marker && line.anchor !== 'start';
+    if (line.marker && !inlineMarker) {
+      parts.push(
+        `<text ${attrs({ x: line.markerX, y: line.y, ...textAttrs })}>${escapeXml(line.marker)}</text>`
+      );
+    }
+    const runs = line.runs.map((run) => {
+      const tspan = `<tspan ${attrs({
+        'font-weight': run.bold ? 'bold' : null,
+        'font-style': run.italic ? 'italic' : null,
+        'text-decoration': getTextDecoration(run),
+        fill: run.link ? RICH_TEXT_LINK_COLOR : null,
+      })}>${escapeXml(run.text)}</tspan>`;
+      return run.link ? `<a ${attrs({ href: run.link })}>${tspan}</a>` : tspan;
+    });
+    if (inlineMarker) runs.unshift(`<tspan>${escapeXml(`${line.marker} `)}</tspan>`);
+    parts.push(
+      `<text ${attrs({
+        x: line.x,
+        y: line.y,
+        ...textAttrs,
+        'text-anchor': line.anchor !== 'start' ? line.anchor : null,
+        'xml:space': 'preserve',
+      })}>${runs.join('')}</text>`
+    );
+  });
+
+  return parts.join('');
+}
+
+/**
+ * Sticky note: paper, fitted text lines and the author, as Sticky draws them
+ */
+function stickyContent(shape: ExportShape): string {
+  const layout = layoutSticky(shape);
+  const textAttrs = { fill: STICKY_TEXT_COLOR, 'font-family': FONT_FAMILY };
+  const parts = [
+    `<rect ${attrs({
+      x: shape.x,
+      y: shape.y,
+      width: shape.width || DEFAULT_STICKY_SIZE,
+      height: shape.height || DEFAULT_STICKY_SIZE,
+      rx: 2,
+      fill: shape.color,
+    })}/>`,
+    ...layout.lines.map(
+      (line) =>
+        `<text ${attrs({ x: line.x, y: line.y, ...textAttrs, 'font-size': layout.fontSize, 'text-anchor': 'middle', 'xml:space': 'preserve' })}>${escapeXml(line.text)}</text>`
+    ),
+  ];
+  if (layout.author) {
+    const { text, x, y, fontSize } = layout.author;
+    parts.push(
+      `<text ${attrs({ x, y, ...textAttrs, 'fill-opacity': 0.6, 'font-size': fontSize, 'text-anchor': 'end' })}>${escapeXml(text)}</text>`
+    );
+  }
+  return parts.join('');
+}
+
+/**
+ * Serialize a single shape to SVG markup (empty string for shapes that don't render)
+ */
+export function shapeToSvg(shape: ExportShape, imageData: Record<string, string> = {}): string {
+  let content = '';
+
+  switch (shape.type) {
+    case SHAPE_TYPES.CIRCLE:
+      content =
+        `<circle ${attrs({ cx: shape.x, cy: shape.y, r: shape.radius || 0, fill: shape.color, ...styleAttrs(shape) })}/>` +
+        centeredText(shape, shape.x, shape.y);
+      break;
+
+    case SHAPE_TYPES.POLYGON: {
+      const sides = shape.sides || 5;
+      const radius = shape.radius || 0;
+      const points = Array.from({ length: sides }, (_, i) => {
+        const angle = -Math.PI / 2 + ((Math.PI * 2) / sides) * i;
+        return `${num(shape.x + radius * Math.cos(angle))},${num(shape.y + radius * Math.sin(angle))}`;
+      }).join(' ');
+      content =
+        `<polygon ${attrs({ points, fill: shape.color, ...styleAttrs(shape) })}/>` +
+        centeredText(shape, shape.x, shape.y);
+      break;
+    }
+
+    case SHAPE_TYPES.CUSTOM_POLYGON: {
+      const vertices = shape.vertices || [];
+      if (vertices.length < 3) return '';
+      const points = vertices.map((v) => `${num(v.x)},${num(v.y)}`).join(' ');
+      const centroid = getRotationCenter(shape);
+      content =
+        `<polygon ${attrs({ points, fill: shape.color, ...styleAttrs(shape) })}/>` +
+        centeredText(shape, centroid.x, centroid.y);
+      break;
+    }
+
+    case SHAPE_TYPES.TEXT:
+      content = textBoxContent(shape);
+      break;
+
+    case SHAPE_TYPES.STICKY:
+      content = stickyContent(shape);
+      break;
+
+    case SHAPE_TYPES.IMAGE: {
+      const href = (shape.imageUrl && imageData[shape.imageUrl]) || shape.imageUrl;
+      if (!href) return '';
+      const width = shape.width || 200;
+      const height = shape.height || 200;
+      content = `<image ${attrs({
+        href,
+        x: shape.x - width / 2,
+        y: shape.y - height / 2,
+        width,
+        height,
+        preserveAspectRatio: 'none',
+      })}/>`;
+      break;
+    }
+
+    case SHAPE_TYPES.CONNECTOR: {
+      // Ends are expected to be resolved already (see shapesToSvg)
+      const points = getConnectorRoute({ ...shape, x2: shape.x2 || 0, y2: shape.y2 || 0 }, {});
+      const color = shape.color || DEFAULT_CONNECTOR_COLOR;
+      const strokeWidth = shape.strokeWidth || DEFAULT_CONNECTOR_STROKE_WIDTH;
+      const arrowheads = [
+        getArrowheadPath(points[0], points[1], shape.startArrowhead ?? 'none', strokeWidth),
+        getArrowheadPath(
+          points[points.length - 1],
+          points[points.length - 2],
+          shape.endArrowhead ?? 'arrow',
+          strokeWidth
+        ),
+      ];
+      content =
+        `<path ${attrs({ d: pointsToPathData(points), fill: 'none', stroke: color, 'stroke-width': strokeWidth, 'stroke-linejoin': 'round' })}/>` +
+        arrowheads
+          .filter((arrowhead) => arrowhead !== null)
+          .map(
+            (arrowhead) =>
+              `<path ${attrs({
+                d: arrowhead.d,
+                fill: arrowhead.filled ? color : 'none',
+                stroke: color,
+                'stroke-width': strokeWidth,
+                'stroke-linejoin': 'round',
+                'stroke-linecap': 'round',
+              })}/>`
+          )
+          .join('');
+      break;
+    }
+
+    case SHAPE_TYPES.PATH: {
+      if (!shape.points || shape.points.length === 0) return '';
+      content = `<path ${attrs({
+        d: getSmoothPathData(shape.points, shape.x, shape.y),
+        fill: 'none',
+        stroke: shape.color,
+        'stroke-width': shape.strokeWidth || DEFAULT_PATH_STROKE_WIDTH,
+        'stroke-linecap': 'round',
+        'stroke-linejoin': 'round',
+      })}/>`;
+      break;
+    }
+
+    default: {
+      const width = shape.width || 0;
+      const height = shape.height || 0;
+      const rx = isFrame(shape) ? 0 : getCornerRadius({ ...shape, width, height });
+      content =
+        `<rect ${attrs({ x: shape.x, y: shape.y, width, height, rx: rx || null, ry: rx || null, fill: shape.color, ...(isFrame(shape) ? {} : styleAttrs(shape)) })}/>` +
+        centeredText(shape, shape.x + width / 2, shape.y + height / 2);
+      break;
+    }
+  }
+
+  if (!content) return '';
+
+  const center = getRotationCenter(shape);
+  const transform = shape.rotation
+    ? `rotate(${num(shape.rotation)} ${num(center.x)} ${num(center.y)})`
+    : null;
+  return `<g ${attrs({ id: shape.id, transform })}>${content}</g>`;
+}
+
+/**
+ * Whether a shape's rotated bounds overlap a region
+ */
+function intersectsRegion(shape: ExportShape, region: ExportRegion): boolean {
+  const b = getRotatedShapeBounds(shape);
+  return (
+    b.maxX >= region.x &&
+    b.minX <= region.x + region.width &&
+    b.maxY >= region.y &&
+    b.minY <= region.y + region.height
+  );
+}
+
+/**
+ * Resolve an export scope to a canvas region.
+ * - viewport: what is currently on screen
+ * - selection: bounds of the selected shapes plus padding
+ * - frame: exactly the box of the frame `frameId`
+ * - full: bounds of all content plus padding, clamped to the CANVAS_WIDTH × CANVAS_HEIGHT area
+ *   unless the canvas is infinite
+ * @returns The region, or null when the scope has nothing in it
+ */
+export function getExportRegion(
+  scope: ExportScope,
+  {
+    shapes,
+    selectedIds = [],
+    frameId = null,
+    viewport,
+    containerSize,
+    padding = 20,
+    infinite = false,
+  }: {
+    shapes: ExportShape[];
+    selectedIds?: string[];
+    frameId?: string | null;
+    viewport?: { offsetX: number; offsetY: number; zoom: number };
+    containerSize?: { width: number; height: number };
+    padding?: number;
+    infinite?: boolean;
+  }
+): ExportRegion | null {
+  if (scope === 'viewport') {
+    if (!viewport || !containerSize) return null;
+    return {
+      x: viewport.offsetX,
+      y: viewport.offsetY,
+      width: containerSize.width / viewport.zoom,
+      height: containerSize.height / viewport.zoom,
+    };
+  }
+
+  if (scope === 'frame') {
+    const frame = shapes.find((shape) => shape.id === frameId && isFrame(shape));
+    if (!frame) return null;
+    return { x: frame.x, y: frame.y, width: frame.width || 0, height: frame.height || 0 };
+  }
+
+  const visible = shapes.filter(
+    (shape) => shape.visible !== false && shape.type !== SHAPE_TYPES.GROUP
+  );
+  const scoped =
+    scope === 'selection' ? visible.filter((shape) => selectedIds.includes(shape.id)) : visible;
+  const bounds = getContentBounds(scoped);
+  if (!bounds) return null;
+
+  if (scope === 'selection' || infinite) {
+    return {
+      x: bounds.minX - padding,
+      y: bounds.minY - padding,
+      width: bounds.width + padding * 2,
+      height: bounds.height + padding * 2,
+    };
+  }
+
+  const minX = Math.max(0, bounds.minX - padding);
+  const minY = Math.max(0, bounds.minY - padding);
+  const maxX = Math.min(CANVAS_WIDTH, bounds.maxX + padding);
+  const maxY = Math.min(CANVAS_HEIGHT, bounds.maxY + padding);
+  if (maxX <= minX || maxY <= minY) return null;
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * Serialize shapes into a standalone SVG document.
+ * Hidden shapes are skipped and the rest are drawn in z-order, with each frame's
+ * children drawn right after it and clipped to it. Without a region the
+ * document is cropped to the content bounds; with one, shapes outside it are dropped.
+ * @returns SVG markup, or null when there is nothing to export
+ */
+export function shapesToSvg(shapes: ExportShape[], options: SvgExportOptions = {}): string | null {
+  const {
+    backgroundColor = null,
+    padding = 20,
+    imageData = {},
+    region = null,
+    size = null,
+  } = options;
+
+  // Connectors are drawn where their attached shapes are now, not where they were stored
+  const byId = new Map(shapes.map((shape) => [shape.id, shape]));
+  // Group records have no geometry; their members are exported on their own
+  let exportable = shapes
+    .filter((shape) => shape.visible !== false && shape.type !== SHAPE_TYPES.GROUP)
+    .map((shape) => {
+      if (!isConnector(shape)) return shape;
+      const { start, end } = resolveConnectorEndpoints(
+        { ...shape, x2: shape.x2 || 0, y2: shape.y2 || 0 },
+        byId
+      );
+      return { ...shape, x: start.x, y: start.y, x2: end.x, y2: end.y };
+    })
+    .sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0));
+
+  let area: ExportRegion;
+  if (region) {
+    exportable = exportable.filter((shape) => intersectsRegion(shape, region));
+    area = region;
+  } else {
+    const bounds = getContentBounds(exportable);
+    if (!bounds) return null;
+    area = {
+      x: bounds.minX - padding,
+      y: bounds.minY - padding,
+      width: bounds.width + padding * 2,
+      height: bounds.height + padding * 2,
+    };
+  }
+
+  const { x, y, width, height } = area;
+  // A frame's children follow it, clipped to its box
+  const { topLevel, childrenByFrame } = getFrameRenderOrder(exportable, byId);
+  const body = topLevel
+    .map((shape) => {
+      const markup = shapeToSvg(shape, imageData);
+      const children = isFrame(shape) ? childrenByFrame.get(shape.id) || [] : [];
+      if (children.length === 0) return markup;
+      const clipId = getFrameClipId(shape.id);
+      const clipRect = attrs({
+        x: shape.x,
+        y: shape.y,
+        width: shape.width || 0,
+        height: shape.height || 0,
+      });
+      return (
+        markup +
+        `<clipPath ${attrs({ id: clipId })}><rect ${clipRect}/></clipPath>` +
+        `<g ${attrs({ 'clip-path': `url(#${clipId})` })}>` +
+        children.map((child) => shapeToSvg(child, imageData)).join('') +
+        '</g>'
+      );
+    })
+    .filter(Boolean);
+  if (backgroundColor) {
+    body.unshift(`<rect ${attrs({ x, y, width, height, fill: backgroundColor })}/>`);
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" ${attrs({
+      width: size?.width ?? width,
+      height: size?.height ?? height,
+      viewBox: `${num(x)} ${num(y)} ${num(width)} ${num(height)}`,
+    })}>`,
+    ...body.map((line) => `  ${line}`),
+    '</svg>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Fetch image shapes' sources and convert them to data URLs so the export doesn't
+ * depend on Storage links. Images that can't be fetched (e.g. CORS) keep their URL.
+ * @returns Map of imageUrl → data URL
+ */
+export async function embedImages(shapes: ExportShape[]): Promise<Record<string, string>> {
+  const urls = [
+    ...new Set(
+      shapes
+        .filter((shape) => shape.type === SHAPE_TYPES.IMAGE && shape.imageUrl)
+        .map((shape) => shape.imageUrl as string)
+    ),
+  ].filter((url) => !url.startsWith('data:'));
+
+  const entries = await Promise.all(
+    urls.map(async (url) => {
+      try {
+        const response = await fetch(url);
+        if (!response.ok) return null;
+        const blob = await response.blob();
+        const dataUrl = await new Promise<string>((resolve, reject) => {
+          const reader = new FileReader();
+          reader.onload = () => resolve(reader.result as string);
+          reader.onerror = () => reject(reader.error);
+          reader.readAsDataURL(blob);
+        });
+        return [url, dataUrl] as const;
+      } catch {
+        return null;
+      }
+    })
+  );
+
+  return Object.fromEntries(entries.filter((entry) => entry !== null));
+}
+
+/**
+ * Embed images, serialize and download shapes as an .svg file
+ * @returns false when there was nothing to export
+ */
+export async function downloadShapesAsSvg(
+  shapes: ExportShape[],
+  filename: string,
+  options: Omit<SvgExportOptions, 'imageData'> = {}
+): Promise<boolean> {
+  const imageData = await embedImages(shapes);
+  const svg = shapesToSvg(shapes, { ...options, imageData });
+  if (!svg) return false;
+  downloadBlob(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }), filename);
+  return true;
+}
@@ -286,11 +286,14 @@ export function setup500Test(userId) {
   window.testCanvas = {
     generate500: () => generateTestShapes(500, userId),
     generate1000: () => generateTestShapes(1000, userId),
+    // Large-canvas rendering check (watch the FPS counter); written in parallel
+    generate5000: () => generateTestShapes(5000, userId, DEFAULT_CANVAS_ID, false),
     generateGrid: (rows, cols) => generateGridRectangles(rows, cols, userId),
   };
 
   // console.log('🧪 Test functions available:');
   // console.log('  - window.testCanvas.generate500() - Generate 500 random shapes');
   // console.log('  - window.testCanvas.generate1000() - Generate 1000 random shapes');
+  // console.log('  - window.testCanvas.generate5000() - Generate 5000 random shapes');
   // console.log('  - window.testCanvas.generateGrid(rows, cols) - Generate grid of shapes');
 }
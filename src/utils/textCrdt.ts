@@ -0,0 +1,268 @@
+/**
+ * Collaborative text — a sequence CRDT for several people typing in one text box
+ *
+ * The content is a list of characters, each with a unique id (`clock@site`, a
+ * Lamport clock and the editing session) and the id of the character it was
+ * typed after (RGA). Concurrent inserts after the same character are ordered by
+ * id, deleted characters stay behind as tombstones so later operations can still
+ * refer to them, and each character's formatting is last-writer-wins. Every copy
+ * that has applied the same operations shows the same text, whatever order they
+ * arrived in; operations that refer to a character not seen yet wait until it is.
+ *
+ * Rich text maps onto the sequence as its characters with their marks, every
+ * block ending in a newline that carries the block type. The editor never
+ * produces operations itself: `update` diffs its content against the document.
+ */
+
+import { normalizeRichText, type RichTextMarks } from './richTextUtils';
+import type { RichText, RichTextBlockType } from '../types/canvas';
+
+/** Formatting of one character: inline marks, or the block type on a newline */
+export type CharAttrs = RichTextMarks & { block?: Exclude<RichTextBlockType, 'paragraph'> };
+
+/**
+ * One change to the text. The database drops null and empty values, so a
+ * missing `origin` means the start of the text and missing `attrs` no formatting.
+ */
+export type TextOp =
+  | { type: 'insert'; id: string; origin?: string | null; value: string; attrs?: CharAttrs }
+  | { type: 'delete'; id: string }
+  | { type: 'format'; id: string; attrs?: CharAttrs; clock: string };
+
+export interface TextDoc {
+  /** Apply operations from any session (including echoes of our own); true if the text changed */
+  apply: (ops: TextOp[]) => boolean;
+  /** Bring the document to the editor's content; returns the operations to share */
+  update: (richText: RichText) => TextOp[];
+  toRichText: () => RichText;
+  /** Ids of the visible characters, in order */
+  visibleIds: () => string[];
+  /** Offset just after a character (0 for null); a deleted one maps to where it was */
+  offsetOf: (id: string | null | undefined) => number;
+}
+
+interface Char {
+  value: string;
+  attrs: CharAttrs;
+}
+
+interface Element extends Char {
+  id: string;
+  clock: number;
+  site: string;
+  attrsClock: string;
+  deleted: boolean;
+}
+
+// Sessions' sites sort after the base text's empty site
+const BASE_SITE = '';
+
+const parseId = (id: string): [number, string] => {
+  const at = id.indexOf('@');
+  return [Number(id.slice(0, at)), id.slice(at + 1)];
+};
+
+/** Order of ids (and formatting clocks): by clock, then by site */
+function compareIds(a: string, b: string): number {
+  const [clockA, siteA] = parseId(a);
+  const [clockB, siteB] = parseId(b);
+  if (clockA !== clockB) return clockA - clockB;
+  return siteA < siteB ? -1 : siteA > siteB ? 1 : 0;
+}
+
+const attrsKey = (attrs: CharAttrs = {}) =>
+  Object.keys(attrs)
+    .sort()
+    .map((key) => `${key}=${attrs[key as keyof CharAttrs]}`)
+    .join(';');
+
+const sameChar = (a: Char, b: Char) =>
+  a.value === b.value && attrsKey(a.attrs) === attrsKey(b.attrs);
+
+/** The characters of a rich text model, each block followed by its newline */
+export function richTextToChars(richText: RichText): Char[] {
+  const chars: Char[] = [];
+  richText.blocks.forEach((block) => {
+    block.spans.forEach(({ text, ...marks }) => {
+      text.split('').forEach((value) => chars.push({ value, attrs: marks }));
+    });
+    chars.push({ value: '\n', attrs: block.type === 'paragraph' ? {} : { block: block.type } });
+  });
+  return chars;
+}
+
+/** The rich text model of a list of characters; text after the last newline is a paragraph */
+export function charsToRichText(chars: Char[]): RichText {
+  const blocks: RichText['blocks'] = [];
+  let spans: RichText['blocks'][number]['spans'] = [];
+  chars.forEach(({ value, attrs }) => {
+    if (value === '\n') {
+      blocks.push({ type: attrs.block || 'paragraph', spans });
+      spans = [];
+      return;
+    }
+    const { block: _block, ...marks } = attrs;
+    spans.push({ text: value, ...marks });
+  });
+  if (spans.length > 0) blocks.push({ type: 'paragraph', spans });
+  return normalizeRichText({ blocks }) || { blocks: [] };
+}
+
+/**
+ * Create a document for one editing session, starting from the shared base text.
+ * The base characters get the same ids in every session, so all copies agree on
+ * them without exchanging anything.
+ */
+export function createTextDoc(site: string, base: RichText): TextDoc {
+  const elements: Element[] = [];
+  const byId = new Map<string, Element>();
+  let clock = 0;
+  let pending: TextOp[] = [];
+
+  const observe = (id: string) => {
+    clock = Math.max(clock, parseId(id)[0]);
+  };
+
+  const nextId = () => `${++clock}@${site}`;
+
+  const visible = () => elements.filter((element) => !element.deleted);
+
+  const integrate = (op: Extract<TextOp, { type: 'insert' }>) => {
+    const [opClock, opSite] = parseId(op.id);
+    let index = op.origin ? elements.indexOf(byId.get(op.origin) as Element) + 1 : 0;
+    // Later concurrent inserts after the same character (and what follows them) come first
+    while (index < elements.length && compareIds(elements[index].id, op.id) > 0) index++;
+    const element: Element = {
+      id: op.id,
+      clock: opClock,
+      site: opSite,
+      value: op.value,
+      attrs: op.attrs || {},
+      attrsClock: op.id,
+      deleted: false,
+    };
+    elements.splice(index, 0, element);
+    byId.set(op.id, element);
+    observe(op.id);
+  };
+
+  /** Apply one operation: whether the text changed, or null if it has to wait */
+  const applyOne = (op: TextOp): boolean | null => {
+    if (op.type === 'insert') {
+      if (byId.has(op.id)) return false;
+      if (op.origin && !byId.has(op.origin)) return null;
+      integrate(op);
+      return true;
+    }
+
+    const element = byId.get(op.id);
+    if (!element) return null;
+    if (op.type === 'delete') {
+      if (element.deleted) return false;
+      element.deleted = true;
+      return true;
+    }
+
+    observe(op.clock);
+    if (compareIds(op.clock, element.attrsClock) <= 0) return false;
+    element.attrs = op.attrs || {};
+    element.attrsClock = op.clock;
+    return !element.deleted;
+  };
+
+  const apply = (ops: TextOp[]) => {
+    let queue = [...pending, ...ops];
+    let changed = false;
+    let progress = true;
+    while (progress && queue.length > 0) {
+      progress = false;
+      const waiting: TextOp[] = [];
+      queue.forEach((op) => {
+        const result = applyOne(op);
+        if (result === null) {
+          waiting.push(op);
+          return;
+        }
+        progress = true;
+        changed = changed || result;
+      });
+      queue = waiting;
+    }
+    pending = queue;
+    return changed;
+  };
+
+  richTextToChars(base).forEach((char, i) => {
+    const id = `${i + 1}@${BASE_SITE}`;
+    integrate({ type: 'insert', id, origin: i > 0 ? `${i}@${BASE_SITE}` : null, ...char });
+  });
+
+  return {
+    apply,
+
+    update(richText) {
+      const current = visible();
+      const next = richTextToChars(richText);
+
+      // Only the part between the unchanged start and end is different
+      let start = 0;
+      while (
+        start < current.length &&
+        start < next.length &&
+        sameChar(current[start], next[start])
+      ) {
+        start++;
+      }
+      let end = 0;
+      while (
+        end < current.length - start &&
+        end < next.length - start &&
+        sameChar(current[current.length - 1 - end], next[next.length - 1 - end])
+      ) {
+        end++;
+      }
+      const removed = current.slice(start, current.length - end);
+      const added = next.slice(start, next.length - end);
+
+      const ops: TextOp[] = [];
+      if (
+        removed.length === added.length &&
+        removed.every((element, i) => element.value === added[i].value)
+      ) {
+        // Same characters, different formatting
+        removed.forEach((element, i) => {
+          if (attrsKey(element.attrs) !== attrsKey(added[i].attrs)) {
+            ops.push({ type: 'format', id: element.id, attrs: added[i].attrs, clock: nextId() });
+          }
+        });
+      } else {
+        removed.forEach((element) => ops.push({ type: 'delete', id: element.id }));
+        let origin = start > 0 ? current[start - 1].id : null;
+        added.forEach((char) => {
+          const id = nextId();
+          ops.push({ type: 'insert', id, origin, ...char });
+          origin = id;
+        });
+      }
+
+      apply(ops);
+      return ops;
+    },
+
+    toRichText: () => charsToRichText(visible()),
+
+    visibleIds: () => visible().map((element) => element.id),
+
+    offsetOf(id) {
+      if (!id) return 0;
+      const target = byId.get(id);
+      if (!target) return 0;
+      let offset = 0;
+      for (const element of elements) {
+        if (!element.deleted) offset++;
+        if (element === target) break;
+      }
+      return offset;
+    },
+  };
+}